@@ -1,5 +1,5 @@
 /**
- * Rate Limits Configuration for all 22 Callable Cloud Functions
+ * Rate Limits Configuration for all Callable Cloud Functions and router actions
  * 
  * Limits per minute by criticality:
  * - 🔴 Costosas (15/min): Cálculos pesados, múltiples queries
@@ -15,6 +15,9 @@ const RATE_LIMITS = {
   // ═══════════════════════════════════════════════════════════════
   getHistoricalReturns: { limit: 15, windowMs: 60000 },
   getMultiAccountHistoricalReturns: { limit: 15, windowMs: 60000 },
+  exportPortfolioData: { limit: 5, windowMs: 60000 },
+  getTaxReport: { limit: 5, windowMs: 60000 },
+  getRebalancePlan: { limit: 15, windowMs: 60000 },
 
   // ═══════════════════════════════════════════════════════════════
   // 🔴 Operaciones de Escritura Críticas
@@ -23,12 +26,14 @@ const RATE_LIMITS = {
   sellAsset: { limit: 30, windowMs: 60000 },
   sellPartialAssetsFIFO: { limit: 30, windowMs: 60000 },
   addCashTransaction: { limit: 30, windowMs: 60000 },
+  importTransactions: { limit: 10, windowMs: 60000 },
 
   // ═══════════════════════════════════════════════════════════════
   // 🟡 Operaciones de Lectura
   // ═══════════════════════════════════════════════════════════════
   getCurrentPricesForUser: { limit: 30, windowMs: 60000 },
   getIndexHistory: { limit: 30, windowMs: 60000 },
+  getDividendCalendar: { limit: 30, windowMs: 60000 },
 
   // ═══════════════════════════════════════════════════════════════
   // 🟡 Operaciones de Escritura Normales
@@ -47,6 +52,36 @@ const RATE_LIMITS = {
   updateDefaultCurrency: { limit: 10, windowMs: 60000 },
   updateUserCountry: { limit: 5, windowMs: 60000 },
   updateUserDisplayName: { limit: 5, windowMs: 60000 },
+  issueApiKey: { limit: 10, windowMs: 60000 },
+  rotateApiKey: { limit: 10, windowMs: 60000 },
+  revokeApiKey: { limit: 10, windowMs: 60000 },
+  recordCorporateAction: { limit: 10, windowMs: 60000 },
+  backfillFxHistory: { limit: 2, windowMs: 60000 },
+  importRiskFreeRates: { limit: 5, windowMs: 60000 },
+  createAlert: { limit: 10, windowMs: 60000 },
+  updateAlert: { limit: 20, windowMs: 60000 },
+  deleteAlert: { limit: 10, windowMs: 60000 },
+  getAlerts: { limit: 30, windowMs: 60000 },
+  createWebhook: { limit: 5, windowMs: 60000 },
+  updateWebhook: { limit: 10, windowMs: 60000 },
+  rotateWebhookSecret: { limit: 5, windowMs: 60000 },
+  deleteWebhook: { limit: 10, windowMs: 60000 },
+  getWebhooks: { limit: 30, windowMs: 60000 },
+  setTargetAllocation: { limit: 10, windowMs: 60000 },
+  getTargetAllocations: { limit: 30, windowMs: 60000 },
+  deleteTargetAllocation: { limit: 10, windowMs: 60000 },
+  setBenchmarkPreference: { limit: 10, windowMs: 60000 },
+  getBenchmarkPreferences: { limit: 30, windowMs: 60000 },
+  deleteBenchmarkPreference: { limit: 10, windowMs: 60000 },
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🟡 Watchlists
+  // ═══════════════════════════════════════════════════════════════
+  createWatchlist: { limit: 10, windowMs: 60000 },
+  updateWatchlist: { limit: 30, windowMs: 60000 },
+  deleteWatchlist: { limit: 10, windowMs: 60000 },
+  getWatchlists: { limit: 30, windowMs: 60000 },
+  getWatchlistQuotes: { limit: 15, windowMs: 60000 },
 
   // ═══════════════════════════════════════════════════════════════
   // 🟢 Portfolio Accounts
@@ -25,7 +25,8 @@ const { scrapeSimpleCurrencie } = require("./services/scrapeCurrencies");
 const { scrapeGainers } = require("./services/scrapeGainers");
 const { scrapeLosers } = require("./services/scrapeLosers");
 const { scrapeNews } = require("./services/scrapeNews");
-const fetchHistoricalExchangeRate = require('./services/fetchHistoricalExchangeRate');
+const { isSelectorDriftError } = require("./services/scraperDrift");
+const { getHistoricalRate } = require('./services/fxHistory');
 const { getQuotes, getSimpleQuotes, getNewsFromSymbol, search } = require('./services/financeQuery');
 
 // Crear la app Express
@@ -61,16 +62,67 @@ const demoApiLimiter = rateLimit({
   message: "Too many requests from this IP, please try again after a minute"
 });
 
+// API keys por cliente (services/apiKeys): scopes y quotas por key,
+// process.env.API_KEY sin límites y el limitador demo como fallback
+const { createApiKeyMiddleware, getUsage } = require('./services/apiKeys');
+
 app.use((req, res, next) => {
-  let apiKey = req.get('X-API-Key');
-  if (!apiKey) {
-    apiKey = demoApiKey;
+  if (!req.get('X-API-Key')) {
     req.headers['x-api-key'] = demoApiKey;
-    demoApiLimiter(req, res, next);
-  } else if (apiKey === process.env.API_KEY) {
-    next();
-  } else {
-    demoApiLimiter(req, res, next);
+  }
+  next();
+});
+
+app.use(createApiKeyMiddleware({
+  masterKey: process.env.API_KEY,
+  fallback: demoApiLimiter
+}));
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Uso y quotas de la API key
+ *     description: |
+ *       Devuelve las quotas restantes (por minuto y por día) y el historial
+ *       de requests por día y ruta de la API key enviada en X-API-Key.
+ *     tags: [API Keys]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - name: days
+ *         in: query
+ *         required: false
+ *         description: Días de historial (default 30, max 90)
+ *     responses:
+ *       200:
+ *         description: Uso de la key
+ *       401:
+ *         description: Falta una API key emitida o fue revocada
+ *       500:
+ *         description: Error interno
+ */
+app.get("/usage", async (req, res) => {
+  const { days = '30' } = req.query;
+
+  if (!req.apiClient) {
+    return res.status(401).json({
+      success: false,
+      error: "API_KEY_REQUIRED",
+      message: "Envíe una API key emitida en el header X-API-Key"
+    });
+  }
+
+  try {
+    const usage = await getUsage(req.apiClient, days);
+    res.status(200).json({ success: true, ...usage });
+  } catch (error) {
+    console.error(`[/usage] Error - keyId: ${req.apiClient.keyId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error obteniendo uso de la API key: " + error.message
+    });
   }
 });
 
@@ -85,6 +137,16 @@ app.get("/health", (req, res) => {
 
 // Endpoints de la API original
 
+/**
+ * Código HTTP de un error de scraping: 502 si Google Finance cambió el
+ * markup (ver services/scraperDrift), 500 en otro caso
+ * @param {Error} error
+ * @returns {number}
+ */
+function getScraperErrorStatus(error) {
+  return isSelectorDriftError(error) ? 502 : 500;
+}
+
 app.get("/indices", async (req, res) => {
   const { region, country } = req.query;
   if (!region) {
@@ -103,7 +165,7 @@ app.get("/indices", async (req, res) => {
     res.status(200).json(stockIndex);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al raspar el sitio web: " + error.message,
     });
   }
@@ -122,7 +184,7 @@ app.get("/fullQuote", async (req, res) => {
     res.status(200).json(fullQuote);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al buscar la acción: " + error.message,
     });
   }
@@ -146,7 +208,7 @@ app.get("/quote", async (req, res) => {
         error: "Datos inválidos devueltos por el API: " + error.message,
       });
     } else {
-      res.status(500).json({
+      res.status(getScraperErrorStatus(error)).json({
         error: "Ocurrió un error al buscar la acción: " + error.message,
       });
     }
@@ -212,7 +274,7 @@ app.get("/active", async (req, res) => {
     res.status(200).json(activeStocks);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al raspar el sitio web: " + error.message,
     });
   }
@@ -224,7 +286,7 @@ app.get("/gainers", async (req, res) => {
     res.status(200).json(gainers);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al raspar el sitio web: " + error.message,
     });
   }
@@ -236,7 +298,7 @@ app.get("/losers", async (req, res) => {
     res.status(200).json(losers);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al raspar el sitio web: " + error.message,
     });
   }
@@ -255,14 +317,26 @@ app.get("/news", async (req, res) => {
     res.status(200).json(news);
   } catch (error) {
     console.error(error);
-    res.status(500).json({
+    res.status(getScraperErrorStatus(error)).json({
       error: "Ocurrió un error al buscar la acción: " + error.message,
     });
   }
 });
 
+/**
+ * GET /api/historicalExchangeRate
+ * 
+ * Tipo de cambio histórico (unidades de `currency` por 1 `base`).
+ * Usa fxHistory con la última tasa disponible en o antes de la fecha
+ * (fines de semana y feriados) y, si falta, Yahoo Finance en vivo.
+ * 
+ * Query params:
+ * - currency: Código de moneda
+ * - date: Fecha
+ * - base: (optional) Moneda base, se cruza vía USD (default: USD)
+ */
 app.get("/api/historicalExchangeRate", async (req, res) => {
-  const { currency, date } = req.query;
+  const { currency, date, base = 'USD' } = req.query;
 
   if (!currency || !date) {
     res.status(400).json({
@@ -271,12 +345,28 @@ app.get("/api/historicalExchangeRate", async (req, res) => {
     return;
   }
 
+  const dateObj = new Date(date);
+  if (isNaN(dateObj.getTime())) {
+    res.status(400).json({ error: 'date no es una fecha válida' });
+    return;
+  }
+
   try {
-    const dateObj = new Date(date);
-    const exchangeRate = await fetchHistoricalExchangeRate(currency, dateObj);
+    const dateKey = dateObj.toISOString().split('T')[0];
+    const [quote, baseQuote] = await Promise.all([
+      getHistoricalRate(currency, dateKey),
+      getHistoricalRate(base, dateKey)
+    ]);
 
-    if (exchangeRate !== null) {
-      res.status(200).json({ exchangeRate });
+    if (quote && baseQuote) {
+      res.status(200).json({
+        exchangeRate: quote.rate / baseQuote.rate,
+        base,
+        date: dateKey,
+        rateDate: quote.date < baseQuote.date ? quote.date : baseQuote.date,
+        carriedForward: quote.carriedForward || baseQuote.carriedForward,
+        source: quote.source,
+      });
     } else {
       res.status(404).json({
         error: `No se pudo obtener el tipo de cambio para ${currency} en la fecha especificada`,
@@ -1210,11 +1300,15 @@ if (process.env.NODE_ENV === 'development') {
 // ATTRIBUTION API - Portfolio Performance Attribution
 // =============================================================================
 
+// Rutas de analítica por usuario: el uid sale del Firebase ID token
+const { requireFirebaseAuth } = require('./utils/httpAuth');
+
 const { 
   getPortfolioAttribution, 
   getTopContributors, 
   checkAttributionAvailability 
 } = require('./services/attribution');
+const { parseBenchmarkParam } = require('./services/riskMetrics');
 
 /**
  * GET /attribution
@@ -1222,40 +1316,48 @@ const {
  * Obtiene la atribución completa del portafolio.
  * Calcula la contribución de cada activo al rendimiento total.
  * 
+ * Requiere header Authorization: Bearer <Firebase ID token>.
+ * 
  * Query params:
- * - userId: (required) ID del usuario
+ * - userId: (optional) Solo admins: ID del usuario a consultar (default: uid del token)
  * - period: Período de análisis ('YTD', '1M', '3M', '6M', '1Y', '2Y', 'ALL')
  * - currency: Moneda para cálculos ('USD', 'COP', 'EUR', etc.)
  * - accountIds: Comma-separated list de IDs de cuenta o 'overall'
- * - benchmarkReturn: Retorno del benchmark para comparar
+ * - benchmarkReturn: (optional) Retorno del benchmark (%); si se omite se calcula con el benchmark
+ * - benchmark: (optional) Índice ("GSPC") o combinado ("GSPC:60,AGG:40"); default: preferencia del usuario o S&P 500
+ * - benchmarkRebalance: (optional) Rebalanceo del combinado ('daily', 'monthly', 'none'; default monthly)
  * - maxBars: Máximo de barras en waterfall (default: 8)
  * - portfolioReturn: (optional) TWR pre-calculado del frontend para consistencia
  */
-app.get("/attribution", async (req, res) => {
+app.get("/attribution", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
   const { 
-    userId, 
     period = 'YTD', 
     currency = 'USD',
     accountIds = 'overall',
-    benchmarkReturn = '0',
+    benchmarkReturn,
+    benchmark,
+    benchmarkRebalance,
     maxBars = '8',
     portfolioReturn
   } = req.query;
   
+  let parsedBenchmark;
+  try {
+    parsedBenchmark = benchmark ? parseBenchmarkParam(benchmark, benchmarkRebalance) : undefined;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
-    if (!userId) {
-      return res.status(400).json({
-        error: "Por favor, proporcione el parámetro userId"
-      });
-    }
-    
     const result = await getPortfolioAttribution({
       userId,
       period,
       currency,
       accountIds: accountIds === 'overall' ? ['overall'] : accountIds.split(','),
       options: {
-        benchmarkReturn: parseFloat(benchmarkReturn) || 0,
+        benchmarkReturn: benchmarkReturn !== undefined ? (parseFloat(benchmarkReturn) || 0) : undefined,
+        benchmark: parsedBenchmark,
         maxWaterfallBars: parseInt(maxBars) || 8,
         includeMetadata: true,
         portfolioReturn: portfolioReturn ? parseFloat(portfolioReturn) : undefined
@@ -1284,27 +1386,23 @@ app.get("/attribution", async (req, res) => {
  * Obtiene solo los top y bottom contributors.
  * Versión ligera para carga rápida.
  * 
+ * Requiere header Authorization: Bearer <Firebase ID token>.
+ * 
  * Query params:
- * - userId: (required) ID del usuario
+ * - userId: (optional) Solo admins: ID del usuario a consultar (default: uid del token)
  * - period: Período de análisis
  * - currency: Moneda
  * - topN: Número de contributors a retornar (default: 5)
  */
-app.get("/attribution/top", async (req, res) => {
+app.get("/attribution/top", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
   const { 
-    userId, 
     period = 'YTD', 
     currency = 'USD',
     topN = '5'
   } = req.query;
   
   try {
-    if (!userId) {
-      return res.status(400).json({
-        error: "Por favor, proporcione el parámetro userId"
-      });
-    }
-    
     const result = await getTopContributors({
       userId,
       period,
@@ -1333,19 +1431,15 @@ app.get("/attribution/top", async (req, res) => {
  * 
  * Verifica si hay datos de atribución disponibles para un usuario.
  * 
+ * Requiere header Authorization: Bearer <Firebase ID token>.
+ * 
  * Query params:
- * - userId: (required) ID del usuario
+ * - userId: (optional) Solo admins: ID del usuario a consultar (default: uid del token)
  */
-app.get("/attribution/check", async (req, res) => {
-  const { userId } = req.query;
+app.get("/attribution/check", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
   
   try {
-    if (!userId) {
-      return res.status(400).json({
-        error: "Por favor, proporcione el parámetro userId"
-      });
-    }
-    
     const result = await checkAttributionAvailability(userId);
     res.status(200).json(result);
     
@@ -1361,7 +1455,16 @@ app.get("/attribution/check", async (req, res) => {
 // RISK METRICS ENDPOINTS (STORY-036)
 // ============================================================================
 
-const { calculateRiskMetrics } = require('./services/riskMetrics');
+const {
+  calculateRiskMetrics,
+  calculateRollingRiskMetrics,
+  calculateDrawdownEpisodes,
+  parseRollingWindows,
+  DEFAULT_DRAWDOWN_THRESHOLD,
+  MIN_DRAWDOWN_THRESHOLD,
+  MAX_DRAWDOWN_THRESHOLD
+} = require('./services/riskMetrics');
+const { RISK_FREE_RATE_METHODS } = require('./services/riskFreeRates');
 
 /**
  * @swagger
@@ -1371,12 +1474,25 @@ const { calculateRiskMetrics } = require('./services/riskMetrics');
  *     description: |
  *       Endpoint para obtener métricas de riesgo (Sharpe, Sortino, Beta, etc.)
  *       con soporte para múltiples cuentas y agregación value-weighted.
+ *       Incluye CVaR 95/99, VaR paramétrico y Cornish-Fisher, Calmar, Treynor,
+ *       Omega, information ratio, tracking error, capture ratios, asimetría y
+ *       curtosis (null con menos de 30 días de datos).
+ *
+ *       Con mode=rolling devuelve series móviles (retorno, volatilidad, Sharpe,
+ *       beta y correlación) con un punto por día para cada ventana de `windows`.
+ *
+ *       Con mode=drawdowns lista los episodios de drawdown más profundos que
+ *       `threshold` (pico, valle, profundidad, días al valle, recuperación o
+ *       abierto y días a recuperar) del portafolio y del benchmark, con el
+ *       benchmark medido en la ventana de cada episodio del portafolio.
  *     tags: [Risk Metrics]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - name: userId
  *         in: query
- *         required: true
- *         description: ID del usuario
+ *         required: false
+ *         description: Solo admins - ID del usuario a consultar (default uid del token)
  *         schema:
  *           type: string
  *       - name: period
@@ -1399,6 +1515,51 @@ const { calculateRiskMetrics } = require('./services/riskMetrics');
  *         description: IDs de cuentas separados por coma (vacío = overall)
  *         schema:
  *           type: string
+ *       - name: benchmark
+ *         in: query
+ *         required: false
+ *         description: |
+ *           Índice de indexHistories ("GSPC") o combinado ("GSPC:60,AGG:40").
+ *           Default: preferencia de la cuenta o del portafolio, o S&P 500
+ *         schema:
+ *           type: string
+ *       - name: benchmarkRebalance
+ *         in: query
+ *         required: false
+ *         description: Rebalanceo del benchmark combinado (daily, monthly, none)
+ *         schema:
+ *           type: string
+ *           default: monthly
+ *       - name: riskFreeRateMethod
+ *         in: query
+ *         required: false
+ *         description: |
+ *           Agregación de la tasa libre de riesgo diaria de la moneda (serie riskFreeRates):
+ *           compounded (capitalizada y anualizada) o average (promedio del período)
+ *         schema:
+ *           type: string
+ *           default: compounded
+ *       - name: mode
+ *         in: query
+ *         required: false
+ *         description: summary (métricas del período), rolling (series móviles) o drawdowns (episodios)
+ *         schema:
+ *           type: string
+ *           default: summary
+ *       - name: windows
+ *         in: query
+ *         required: false
+ *         description: Solo mode=rolling - ventanas en días de trading separadas por coma (10 a 756, máximo 5)
+ *         schema:
+ *           type: string
+ *           default: 30,90,252
+ *       - name: threshold
+ *         in: query
+ *         required: false
+ *         description: Solo mode=drawdowns - profundidad mínima del episodio en % (0.5 a 90)
+ *         schema:
+ *           type: number
+ *           default: 5
  *       - name: requestId
  *         in: query
  *         required: false
@@ -1410,15 +1571,25 @@ const { calculateRiskMetrics } = require('./services/riskMetrics');
  *         description: Métricas calculadas exitosamente
  *       400:
  *         description: Parámetros faltantes o inválidos
+ *       401:
+ *         description: Falta el Firebase ID token o no es válido
+ *       403:
+ *         description: userId de otro usuario sin rol de administrador
  *       500:
  *         description: Error interno
  */
-app.get("/risk-metrics", async (req, res) => {
+app.get("/risk-metrics", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
   const { 
-    userId, 
     period = 'YTD', 
     currency = 'USD', 
     accountIds = '',
+    benchmark,
+    benchmarkRebalance,
+    riskFreeRateMethod = 'compounded',
+    mode = 'summary',
+    windows,
+    threshold,
     requestId = `req_${Date.now()}`
   } = req.query;
   
@@ -1426,24 +1597,64 @@ app.get("/risk-metrics", async (req, res) => {
     userId,
     period,
     currency,
-    accountIds
+    accountIds,
+    mode
   });
   
   try {
-    if (!userId) {
+    const validPeriods = ['1M', '3M', '6M', 'YTD', '1Y', '2Y', 'ALL'];
+    if (!validPeriods.includes(period)) {
       return res.status(400).json({
         success: false,
-        error: "MISSING_PARAM",
-        message: "Por favor, proporcione el parámetro userId"
+        error: "INVALID_PERIOD",
+        message: `Período inválido. Valores válidos: ${validPeriods.join(', ')}`
       });
     }
     
-    const validPeriods = ['1M', '3M', '6M', 'YTD', '1Y', '2Y', 'ALL'];
-    if (!validPeriods.includes(period)) {
+    if (!RISK_FREE_RATE_METHODS.includes(riskFreeRateMethod)) {
       return res.status(400).json({
         success: false,
-        error: "INVALID_PERIOD",
-        message: `Período inválido. Valores válidos: ${validPeriods.join(', ')}`
+        error: "INVALID_RISK_FREE_RATE_METHOD",
+        message: `riskFreeRateMethod inválido. Valores válidos: ${RISK_FREE_RATE_METHODS.join(', ')}`
+      });
+    }
+    
+    if (!['summary', 'rolling', 'drawdowns'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_MODE",
+        message: "mode inválido. Valores válidos: summary, rolling, drawdowns"
+      });
+    }
+    
+    const parsedThreshold = threshold === undefined ? DEFAULT_DRAWDOWN_THRESHOLD : Number(threshold);
+    if (!Number.isFinite(parsedThreshold) || parsedThreshold < MIN_DRAWDOWN_THRESHOLD || parsedThreshold > MAX_DRAWDOWN_THRESHOLD) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_THRESHOLD",
+        message: `threshold inválido. Debe estar entre ${MIN_DRAWDOWN_THRESHOLD} y ${MAX_DRAWDOWN_THRESHOLD}`
+      });
+    }
+    
+    let parsedWindows;
+    try {
+      parsedWindows = mode === 'rolling' ? parseRollingWindows(windows) : undefined;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_WINDOWS",
+        message: error.message
+      });
+    }
+    
+    let parsedBenchmark;
+    try {
+      parsedBenchmark = benchmark ? parseBenchmarkParam(benchmark, benchmarkRebalance) : undefined;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_BENCHMARK",
+        message: error.message
       });
     }
     
@@ -1451,12 +1662,22 @@ app.get("/risk-metrics", async (req, res) => {
       ? accountIds.split(',').map(id => id.trim()).filter(Boolean)
       : [];
     
-    const result = await calculateRiskMetrics(userId, {
+    const options = {
       period,
       currency,
       accountIds: parsedAccountIds,
+      benchmark: parsedBenchmark,
+      riskFreeRateMethod,
       requestId
-    });
+    };
+    let result;
+    if (mode === 'rolling') {
+      result = await calculateRollingRiskMetrics(userId, { ...options, windows: parsedWindows });
+    } else if (mode === 'drawdowns') {
+      result = await calculateDrawdownEpisodes(userId, { ...options, threshold: parsedThreshold });
+    } else {
+      result = await calculateRiskMetrics(userId, options);
+    }
     
     console.log(`[/risk-metrics] Response: ${requestId}`, {
       success: result.success,
@@ -1500,11 +1721,13 @@ const { getClosedPositions } = require('./services/closedPositions');
  *       Endpoint para obtener historial de posiciones cerradas con métricas,
  *       filtros, ordenamiento y paginación. Soporta múltiples cuentas.
  *     tags: [Closed Positions]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - name: userId
  *         in: query
- *         required: true
- *         description: ID del usuario
+ *         required: false
+ *         description: Solo admins - ID del usuario a consultar (default uid del token)
  *       - name: accountIds
  *         in: query
  *         required: false
@@ -1550,12 +1773,16 @@ const { getClosedPositions } = require('./services/closedPositions');
  *         description: Posiciones obtenidas exitosamente
  *       400:
  *         description: Parámetros faltantes o inválidos
+ *       401:
+ *         description: Falta el Firebase ID token o no es válido
+ *       403:
+ *         description: userId de otro usuario sin rol de administrador
  *       500:
  *         description: Error interno
  */
-app.get("/closed-positions", async (req, res) => {
+app.get("/closed-positions", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
   const { 
-    userId, 
     accountIds = '',
     startDate,
     endDate,
@@ -1576,14 +1803,6 @@ app.get("/closed-positions", async (req, res) => {
   });
   
   try {
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: "MISSING_PARAM",
-        message: "Por favor, proporcione el parámetro userId"
-      });
-    }
-    
     const parsedAccountIds = accountIds
       ? accountIds.split(',').map(id => id.trim()).filter(Boolean)
       : [];
@@ -1785,4 +2004,569 @@ app.get("/news/batch", async (req, res) => {
   }
 });
 
-module.exports = app; 
\ No newline at end of file
+// ============================================================================
+// EXPORT ENDPOINT
+// ============================================================================
+
+const { exportPortfolioData, EXPORT_DATASETS } = require('./services/exportService');
+
+/**
+ * @swagger
+ * /export:
+ *   get:
+ *     summary: Exporta datos del portafolio
+ *     description: |
+ *       Descarga transacciones, posiciones abiertas, posiciones cerradas y
+ *       rendimiento diario en CSV, XLSX o JSON. En CSV se exporta un solo
+ *       dataset por request; XLSX incluye una hoja por dataset.
+ *     tags: [Export]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         required: false
+ *         description: Solo admins - ID del usuario a consultar (default uid del token)
+ *       - name: datasets
+ *         in: query
+ *         required: false
+ *         description: transactions, openPositions, closedPositions, performance separados por coma (vacío = todos)
+ *       - name: accountIds
+ *         in: query
+ *         required: false
+ *         description: IDs de cuentas separados por coma (vacío = todas)
+ *       - name: startDate
+ *         in: query
+ *         required: false
+ *         description: Fecha inicio filtro (YYYY-MM-DD)
+ *       - name: endDate
+ *         in: query
+ *         required: false
+ *         description: Fecha fin filtro (YYYY-MM-DD)
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         description: json, csv o xlsx (default json)
+ *       - name: currency
+ *         in: query
+ *         required: false
+ *         description: Moneda a la que convertir los montos (vacío = moneda original)
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Archivo generado
+ *       400:
+ *         description: Parámetros faltantes o inválidos
+ *       401:
+ *         description: Falta el Firebase ID token o no es válido
+ *       403:
+ *         description: userId de otro usuario sin rol de administrador
+ *       404:
+ *         description: El usuario no tiene cuentas
+ *       500:
+ *         description: Error interno
+ */
+app.get("/export", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
+  const {
+    datasets = '',
+    accountIds = '',
+    startDate,
+    endDate,
+    format = 'json',
+    currency,
+    requestId = `req_${Date.now()}`
+  } = req.query;
+
+  console.log(`[/export] Request: ${requestId}`, {
+    userId,
+    datasets,
+    format,
+    currency
+  });
+
+  try {
+    const parsedDatasets = datasets
+      ? datasets.split(',').map(d => d.trim()).filter(Boolean)
+      : EXPORT_DATASETS;
+
+    if (format === 'csv' && parsedDatasets.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_PARAM",
+        message: "El formato csv requiere exactamente un dataset"
+      });
+    }
+
+    const parsedAccountIds = accountIds
+      ? accountIds.split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+
+    const result = await exportPortfolioData(userId, {
+      datasets: parsedDatasets,
+      accountIds: parsedAccountIds,
+      startDate,
+      endDate,
+      format,
+      currency: currency || null,
+      requestId
+    });
+
+    if (!result.success) {
+      const statusCode = result.error === 'NO_ACCOUNTS' ? 404 : 400;
+      return res.status(statusCode).json(result);
+    }
+
+    console.log(`[/export] Response: ${requestId}`, result.metadata);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: result.data,
+        metadata: result.metadata
+      });
+    }
+
+    const [file] = result.files;
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.status(200).send(file.buffer);
+
+  } catch (error) {
+    console.error(`[/export] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error exportando datos: " + error.message,
+      requestId
+    });
+  }
+});
+
+// ============================================================================
+// HISTORICAL OHLCV ENDPOINT
+// ============================================================================
+
+const { getPriceHistory, toTimeSeries } = require('./services/priceHistory');
+
+/**
+ * @swagger
+ * /history:
+ *   get:
+ *     summary: Histórico OHLCV de un ticker o par de divisas
+ *     description: |
+ *       Velas open/high/low/close/adjClose/volume indexadas por fecha
+ *       (HistoricalData de models/time_series). Los intervalos diarios o
+ *       mayores se cachean en Firestore por símbolo e intervalo y se
+ *       refrescan de forma incremental; los intradía se consultan en vivo.
+ *     tags: [Market Data]
+ *     parameters:
+ *       - name: symbol
+ *         in: query
+ *         required: true
+ *         description: Ticker (AAPL, VUAA.L, ^GSPC) o par de divisas (USD/COP, EUR/COP, COP=X)
+ *         schema:
+ *           type: string
+ *           example: AAPL
+ *       - name: range
+ *         in: query
+ *         required: false
+ *         description: 1d, 5d, 7d, 1mo, 3mo, 6mo, YTD, 1Y, 5Y, 10Y o max (default 1Y)
+ *       - name: interval
+ *         in: query
+ *         required: false
+ *         description: 1m, 5m, 15m, 30m, 1h, 1d, 1wk, 1mo o 3mo (default 1d)
+ *       - name: refresh
+ *         in: query
+ *         required: false
+ *         description: true para refrescar aunque el cache no haya vencido
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Histórico obtenido exitosamente
+ *       400:
+ *         description: Parámetros faltantes o inválidos
+ *       404:
+ *         description: Sin histórico para el símbolo
+ *       500:
+ *         description: Error interno
+ */
+app.get("/history", async (req, res) => {
+  const {
+    symbol,
+    range,
+    interval,
+    refresh = 'false',
+    requestId = `req_${Date.now()}`
+  } = req.query;
+
+  console.log(`[/history] Request: ${requestId}`, { symbol, range, interval });
+
+  if (!symbol || symbol.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: "MISSING_PARAM",
+      message: "Por favor, proporcione el parámetro symbol",
+      requestId
+    });
+  }
+
+  try {
+    const result = await getPriceHistory(symbol, {
+      range,
+      interval,
+      forceRefresh: refresh === 'true'
+    });
+
+    if (!result.success) {
+      const statusCode = result.error === 'NO_DATA' ? 404 : 400;
+      return res.status(statusCode).json({
+        ...result,
+        error: statusCode === 400 ? "INVALID_PARAM" : result.error,
+        requestId
+      });
+    }
+
+    const { candles, ...metadata } = result;
+    console.log(`[/history] Response: ${requestId}`, {
+      symbol: metadata.symbol,
+      candles: candles.length,
+      source: metadata.source
+    });
+
+    res.status(200).json({
+      ...metadata,
+      count: candles.length,
+      history: toTimeSeries(candles).history,
+      requestId
+    });
+
+  } catch (error) {
+    console.error(`[/history] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error obteniendo histórico: " + error.message,
+      requestId
+    });
+  }
+});
+
+// ============================================================================
+// TECHNICAL ANALYSIS ENDPOINT
+// ============================================================================
+
+const { getTechnicalAnalysis } = require('./services/technicalAnalysis');
+
+/**
+ * @swagger
+ * /analysis:
+ *   get:
+ *     summary: Indicadores técnicos y señal de compra/venta de un símbolo
+ *     description: |
+ *       Calcula los indicadores pedidos (SMA, EMA, WMA, VWMA, RSI, SRSI,
+ *       STOCH, CCI, OBV, BBANDS, AROON, ADX, MACD, SUPERTREND, ICHIMOKU)
+ *       sobre el histórico OHLCV y devuelve cada serie como Analysis
+ *       (fecha → valores), el resumen SummaryAnalysis con los últimos
+ *       valores y una señal global BUY/SELL/NEUTRAL.
+ *     tags: [Market Data]
+ *     parameters:
+ *       - name: symbol
+ *         in: query
+ *         required: true
+ *         description: Ticker o par de divisas (ver /history)
+ *         schema:
+ *           type: string
+ *           example: AAPL
+ *       - name: indicators
+ *         in: query
+ *         required: false
+ *         description: Indicadores separados por coma (vacío = solo resumen)
+ *         schema:
+ *           type: string
+ *           example: RSI,MACD,BBANDS
+ *       - name: period
+ *         in: query
+ *         required: false
+ *         description: Periodo para SMA, EMA, WMA, VWMA, RSI, SRSI, STOCH, CCI, BBANDS, AROON, ADX y SUPERTREND
+ *       - name: range
+ *         in: query
+ *         required: false
+ *         description: Rango del histórico (default 1Y)
+ *       - name: interval
+ *         in: query
+ *         required: false
+ *         description: Intervalo de las velas (default 1d)
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Análisis calculado exitosamente
+ *       400:
+ *         description: Parámetros faltantes o inválidos
+ *       404:
+ *         description: Sin histórico para el símbolo
+ *       500:
+ *         description: Error interno
+ */
+app.get("/analysis", async (req, res) => {
+  const {
+    symbol,
+    indicators = '',
+    period,
+    range,
+    interval,
+    requestId = `req_${Date.now()}`
+  } = req.query;
+
+  console.log(`[/analysis] Request: ${requestId}`, { symbol, indicators, period, range, interval });
+
+  if (!symbol || symbol.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: "MISSING_PARAM",
+      message: "Por favor, proporcione el parámetro symbol",
+      requestId
+    });
+  }
+
+  try {
+    const result = await getTechnicalAnalysis(symbol, { indicators, period, range, interval });
+
+    if (!result.success) {
+      const statusCode = result.error === 'NO_DATA' ? 404 : 400;
+      return res.status(statusCode).json({
+        ...result,
+        error: statusCode === 400 ? "INVALID_PARAM" : result.error,
+        requestId
+      });
+    }
+
+    console.log(`[/analysis] Response: ${requestId}`, {
+      symbol: result.symbol,
+      indicators: Object.keys(result.analysis),
+      signal: result.signal.signal
+    });
+
+    res.status(200).json({ ...result, requestId });
+
+  } catch (error) {
+    console.error(`[/analysis] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error calculando indicadores: " + error.message,
+      requestId
+    });
+  }
+});
+
+// ============================================================================
+// SECTOR PERFORMANCE ENDPOINTS
+// ============================================================================
+
+const {
+  getSectorsPerformance,
+  getSectorPerformance,
+  compareSectorWeights
+} = require('./services/sectorPerformance');
+
+/**
+ * Código HTTP de un error de sectorPerformance
+ * @param {string} error
+ * @returns {number}
+ */
+const sectorErrorStatus = (error) => (error === 'NOT_FOUND' ? 404 : 400);
+
+/**
+ * @swagger
+ * /sectors:
+ *   get:
+ *     summary: Rendimiento de los sectores del mercado
+ *     description: |
+ *       Retornos del día, YTD, 1, 3 y 5 años de los once sectores
+ *       (MarketSector) desde el último snapshot de saveSectorsSnapshot, o
+ *       desde el snapshot en o antes de `date`.
+ *     tags: [Sectors]
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         required: false
+ *         description: Fecha del snapshot (YYYY-MM-DD, default el más reciente)
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Sectores obtenidos exitosamente
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Sin snapshots de sectores
+ *       500:
+ *         description: Error interno
+ */
+app.get("/sectors", async (req, res) => {
+  const { date, requestId = `req_${Date.now()}` } = req.query;
+
+  try {
+    const result = await getSectorsPerformance({ date });
+
+    if (!result.success) {
+      return res.status(sectorErrorStatus(result.error)).json({ ...result, requestId });
+    }
+
+    res.status(200).json({ ...result, requestId });
+
+  } catch (error) {
+    console.error(`[/sectors] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error obteniendo sectores: " + error.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /sectors/comparison:
+ *   get:
+ *     summary: Pesos sectoriales del portafolio frente al mercado
+ *     description: |
+ *       Compara la distribución sectorial del portafolio (con ETFs
+ *       descompuestos) con el peso de cada sector en el mercado y marca
+ *       los sectores sobre y subponderados.
+ *     tags: [Sectors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         required: false
+ *         description: Solo admins - ID del usuario a consultar (default uid del token)
+ *       - name: accountIds
+ *         in: query
+ *         required: false
+ *         description: IDs de cuentas separados por coma (vacío = todas)
+ *       - name: currency
+ *         in: query
+ *         required: false
+ *         description: Moneda del valor total (default USD)
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Comparación calculada exitosamente
+ *       401:
+ *         description: Falta el Firebase ID token o no es válido
+ *       403:
+ *         description: userId de otro usuario sin rol de administrador
+ *       500:
+ *         description: Error interno
+ */
+app.get("/sectors/comparison", requireFirebaseAuth, async (req, res) => {
+  const { userId } = req;
+  const {
+    accountIds = '',
+    currency = 'USD',
+    requestId = `req_${Date.now()}`
+  } = req.query;
+
+  console.log(`[/sectors/comparison] Request: ${requestId}`, { userId, accountIds, currency });
+
+  try {
+    const parsedAccountIds = accountIds
+      ? accountIds.split(',').map(id => id.trim()).filter(Boolean)
+      : undefined;
+
+    const result = await compareSectorWeights(userId, { accountIds: parsedAccountIds, currency });
+
+    res.status(200).json({ ...result, requestId });
+
+  } catch (error) {
+    console.error(`[/sectors/comparison] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error comparando sectores: " + error.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /sectors/{sector}:
+ *   get:
+ *     summary: Detalle e histórico de un sector
+ *     description: |
+ *       Último snapshot del sector (MarketSectorDetails: retornos,
+ *       capitalización, peso en el mercado, principales industrias y
+ *       empresas) y la serie diaria de retornos y peso entre startDate y
+ *       endDate.
+ *     tags: [Sectors]
+ *     parameters:
+ *       - name: sector
+ *         in: path
+ *         required: true
+ *         description: Sector (Technology, basic-materials, FINANCIAL_SERVICES, ...)
+ *       - name: startDate
+ *         in: query
+ *         required: false
+ *         description: Fecha inicio del histórico (YYYY-MM-DD, default un año atrás)
+ *       - name: endDate
+ *         in: query
+ *         required: false
+ *         description: Fecha fin del histórico (YYYY-MM-DD, default hoy)
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: ID único de request para debugging
+ *     responses:
+ *       200:
+ *         description: Sector obtenido exitosamente
+ *       400:
+ *         description: Sector o fechas inválidos
+ *       404:
+ *         description: Sin snapshots del sector
+ *       500:
+ *         description: Error interno
+ */
+app.get("/sectors/:sector", async (req, res) => {
+  const { sector } = req.params;
+  const { startDate, endDate, requestId = `req_${Date.now()}` } = req.query;
+
+  try {
+    const result = await getSectorPerformance(sector, { startDate, endDate });
+
+    if (!result.success) {
+      return res.status(sectorErrorStatus(result.error)).json({ ...result, requestId });
+    }
+
+    res.status(200).json({ ...result, requestId });
+
+  } catch (error) {
+    console.error(`[/sectors/${sector}] Error: ${requestId}`, error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+      message: "Error obteniendo sector: " + error.message,
+      requestId
+    });
+  }
+});
+
+module.exports = app;
\ No newline at end of file
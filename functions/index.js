@@ -581,6 +581,16 @@ exports.accountOperations = accountOperations;
 const { queryOperations } = require('./services/unified/queryOperations');
 exports.queryOperations = queryOperations;
 
+/**
+ * Router unificado para listas de seguimiento
+ * Acciones: createWatchlist, updateWatchlist, deleteWatchlist, getWatchlists,
+ * getWatchlistQuotes
+ * 
+ * @see services/watchlists
+ */
+const { watchlistOperations } = require('./services/unified/watchlistOperations');
+exports.watchlistOperations = watchlistOperations;
+
 /**
  * COST-OPT-002: Scheduled Functions para consolidación de períodos
  * 
@@ -597,6 +607,42 @@ const {
 exports.consolidateMonthlyPerformance = consolidateMonthlyPerformance;
 exports.consolidateYearlyPerformance = consolidateYearlyPerformance;
 
+/**
+ * Entrega de webhooks salientes: primer intento y reintentos con backoff exponencial
+ * 
+ * - deliverWebhookOnCreate: Al registrarse cada entrega en webhookDeliveries
+ * - retryWebhookDeliveries: Cada 5 minutos
+ * 
+ * @see services/webhooks
+ */
+const { deliverWebhookOnCreate } = require('./services/webhookDeliveryTrigger');
+const { retryWebhookDeliveries } = require('./services/webhookDeliveryScheduled');
+
+exports.deliverWebhookOnCreate = deliverWebhookOnCreate;
+exports.retryWebhookDeliveries = retryWebhookDeliveries;
+
+/**
+ * Recálculo de histórico de ventas retroactivas que falló al registrarlas
+ * 
+ * - retryHistoryRecalculations: Cada 30 minutos
+ * 
+ * @see services/backdatedSellService
+ */
+const { retryHistoryRecalculations } = require('./services/historyRecalculationScheduled');
+
+exports.retryHistoryRecalculations = retryHistoryRecalculations;
+
+/**
+ * Serie diaria de tasas libres de riesgo (Sharpe y Sortino por período)
+ * 
+ * - updateRiskFreeRatesDaily: Lunes a viernes, 18:00 ET
+ * 
+ * @see services/riskFreeRates
+ */
+const { updateRiskFreeRatesDaily } = require('./services/riskFreeRatesScheduled');
+
+exports.updateRiskFreeRatesDaily = updateRiskFreeRatesDaily;
+
 // ============================================================================
 // RBAC-001: Auth Triggers para Sistema de Roles
 // ============================================================================
@@ -16,8 +16,8 @@
  * @param {number} week52High - The highest price of the stock in the past 52 weeks.
  * @param {number} week52Low - The lowest price of the stock in the past 52 weeks.
  * @param {number} dividendYield - The dividend yield of the stock.
- * @param {number} change - The change in the stock price.
- * @param {number} percentChange - The percentage change in the stock price.
+ * @param {number} dayChange - The change in the stock price (same as change, kept for the positional signature).
+ * @param {number} dayPercentChange - The percentage change in the stock price (same as percentChange).
  * @param {string} about - Information about the stock.
  * @param {number} employees - The number of employees in the company.
  * @param {string} quarter - The quarter of the income statements.
@@ -41,8 +41,8 @@ function createFullStockQuote(
     week52High,
     week52Low,
     dividendYield,
-    change,
-    percentChange,
+    dayChange,
+    dayPercentChange,
     about,
     employees,
     quarter,
@@ -65,8 +65,6 @@ function createFullStockQuote(
         week52High,
         week52Low,
         dividendYield,
-        change,
-        percentChange,
         about,
         employees,
         quarter,
@@ -3,7 +3,7 @@
  * 
  * PROPÓSITO:
  * Reconstruir datos de rendimiento histórico faltantes utilizando:
- * - Precios históricos reales de activos (API finance-query)
+ * - Precios históricos reales de activos (services/priceHistory, cache en Firestore)
  * - Tipos de cambio históricos (Yahoo Finance)
  * - Transacciones históricas (Firestore)
  * 
@@ -45,15 +45,13 @@ if (!admin.apps.length) {
 }
 
 const db = admin.firestore();
+const { getClosePriceMap } = require('../../../services/priceHistory');
 
 // ============================================================================
 // CONFIGURACIÓN
 // ============================================================================
 
 const CONFIG = {
-  // API de precios históricos
-  HISTORICAL_API_BASE: 'https://dmn46d7xas3rvio6tugd2vzs2q0hxbmb.lambda-url.us-east-1.on.aws/v1',
-  
   // Monedas activas
   CURRENCIES: ['USD', 'COP', 'EUR', 'MXN', 'BRL', 'GBP', 'CAD'],
   
@@ -168,43 +166,23 @@ function log(level, message, data = null) {
 // ============================================================================
 
 /**
- * Obtener precios históricos de un símbolo
+ * Obtener precios históricos de un símbolo (cache priceHistory)
  * @param {string} symbol - Ticker del activo
  * @param {string} startDate - Fecha de inicio para determinar el rango
  * @returns {Object} Map de fecha -> precio de cierre
  */
 async function fetchHistoricalPrices(symbol, startDate = null) {
   try {
-    // Determinar el rango basado en la fecha de inicio
-    let range = 'ytd';
-    if (startDate) {
-      const start = new Date(startDate);
-      const now = new Date();
-      const monthsAgo = (now.getFullYear() - start.getFullYear()) * 12 + (now.getMonth() - start.getMonth());
-      
-      if (monthsAgo > 12) {
-        range = '2y'; // Más de 1 año, usar 2 años
-      } else if (monthsAgo > 6) {
-        range = '1y'; // Más de 6 meses, usar 1 año
-      }
-    }
-    
-    const url = `${CONFIG.HISTORICAL_API_BASE}/historical?symbol=${encodeURIComponent(symbol)}&range=${range}&interval=1d`;
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      log('WARNING', `No se pudieron obtener precios para ${symbol}: ${response.status}`);
-      return {};
+    // Una semana antes del inicio: getPriceForDate necesita el último
+    // cierre previo cuando startDate es feriado
+    const from = startDate
+      ? new Date(new Date(startDate + 'T12:00:00Z').getTime() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      : `${new Date().getFullYear()}-01-01`;
+
+    const priceMap = await getClosePriceMap(symbol, { startDate: from });
+    if (Object.keys(priceMap).length === 0) {
+      log('WARNING', `No se pudieron obtener precios para ${symbol}`);
     }
-    
-    const data = await response.json();
-    
-    // Convertir a map fecha -> close price
-    const priceMap = {};
-    Object.entries(data).forEach(([date, ohlcv]) => {
-      priceMap[date] = ohlcv.close;
-    });
-    
     return priceMap;
   } catch (error) {
     log('ERROR', `Error obteniendo precios históricos para ${symbol}`, { error: error.message });
@@ -0,0 +1,39 @@
+/**
+ * Script para importar la serie de tasas libres de riesgo de una moneda
+ * desde un archivo CSV (`fecha,tasa%`, p. ej. `2024-03-01,12.35`)
+ *
+ * Uso:
+ *   node scripts/importRiskFreeRates.js COP ./ibr.csv "IBR overnight"
+ *
+ * @module scripts/importRiskFreeRates
+ * @see services/riskFreeRates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importRiskFreeRates } = require('../services/riskFreeRates');
+
+async function main() {
+  const [currency, file, name] = process.argv.slice(2);
+
+  if (!currency || !file) {
+    console.error('Uso: node scripts/importRiskFreeRates.js <MONEDA> <archivo.csv> [descripción]');
+    process.exit(1);
+  }
+
+  const csv = fs.readFileSync(path.resolve(file), 'utf8');
+  const result = await importRiskFreeRates({ currency, csv, name });
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.written} tasas de ${result.currency} importadas (${result.firstDate} → ${result.lastDate})`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Error importando tasas:', error);
+  process.exit(1);
+});
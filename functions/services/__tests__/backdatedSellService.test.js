@@ -0,0 +1,341 @@
+/**
+ * Tests para backdatedSellService.js
+ *
+ * Verifica el ajuste de documentos diarios de portfolioPerformance
+ * cuando se registra una venta con fecha pasada y el reintento de los
+ * recálculos que fallaron.
+ *
+ * @module __tests__/services/backdatedSellService.test
+ */
+
+/** Documentos diarios por ruta de la colección dates */
+const mockDays = new Map();
+const mockBatch = { set: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+const mockPending = { docs: [] };
+
+/** Consulta encadenable: '<' no devuelve día previo, '>=' devuelve todos */
+const mockQuery = (name, op = null) => ({
+  where: (field, nextOp) => mockQuery(name, nextOp),
+  orderBy: () => mockQuery(name, op),
+  limit: () => mockQuery(name, op),
+  get: async () => {
+    if (name === 'currencies') {
+      return { docs: [{ id: 'USD', data: () => ({ code: 'USD', exchangeRate: 1, isActive: true }) }] };
+    }
+    if (name === 'pendingHistoryRecalculations') return mockPending;
+    if (!mockDays.has(name)) throw new Error(`UNAVAILABLE: ${name}`);
+    const days = op === '<' ? [] : mockDays.get(name);
+    return { docs: days.map(day => ({ ref: { path: `${name}/${day.date}` }, data: () => day.data })) };
+  }
+});
+
+const mockDb = {
+  collection: jest.fn(name => ({ ...mockQuery(name), doc: id => ({ id, path: `${name}/${id}` }) })),
+  getAll: jest.fn(),
+  batch: jest.fn(() => mockBatch)
+};
+
+jest.mock('../firebaseAdmin', () => ({
+  firestore: jest.fn(() => mockDb)
+}));
+
+jest.mock('../fxHistory', () => ({
+  ...jest.requireActual('../fxHistory'),
+  loadRateTable: jest.fn(async () => null)
+}));
+
+const {
+  getImpliedDividends,
+  applySellToPerformanceDays,
+  buildSales,
+  recalculatePerformanceForBackdatedSell,
+  retryPendingHistoryRecalculations
+} = require('../backdatedSellService');
+const { createRateTable } = require('../fxHistory/rateTable');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/**
+ * Genera un documento diario con un único asset AAPL_stock y efectivo fuera del asset
+ */
+function makeDay(date, { aaplValue, aaplUnits = 10, otherValue = 500, cashFlow = 0, adj = 0, aaplAdj = 0 }) {
+  const totalValue = aaplValue + otherValue;
+  return {
+    date,
+    data: {
+      date,
+      USD: {
+        totalValue,
+        totalInvestment: 1000 + 400,
+        totalCashFlow: cashFlow,
+        adjustedDailyChangePercentage: adj,
+        doneProfitAndLoss: 0,
+        unrealizedProfitAndLoss: totalValue - 1400,
+        assetPerformance: {
+          AAPL_stock: {
+            totalValue: aaplValue,
+            totalInvestment: 1000,
+            units: aaplUnits,
+            totalCashFlow: 0,
+            adjustedDailyChangePercentage: aaplAdj
+          },
+          MSFT_stock: {
+            totalValue: otherValue,
+            totalInvestment: 400,
+            units: 2,
+            totalCashFlow: 0,
+            adjustedDailyChangePercentage: 0
+          }
+        }
+      }
+    }
+  };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('backdatedSellService', () => {
+  describe('getImpliedDividends', () => {
+    it('reconstruye los dividendos desde el adjustedDailyChangePercentage', () => {
+      // (1050 - 1000 + 0 + 10) / 1000 = 6%
+      const data = { totalValue: 1050, totalCashFlow: 0, adjustedDailyChangePercentage: 6 };
+      expect(getImpliedDividends(data, 1000)).toBeCloseTo(10, 8);
+    });
+
+    it('retorna 0 sin valor previo', () => {
+      expect(getImpliedDividends({ totalValue: 100, adjustedDailyChangePercentage: 5 }, 0)).toBe(0);
+    });
+  });
+
+  describe('applySellToPerformanceDays', () => {
+    const days = [
+      makeDay('2025-03-03', { aaplValue: 1000 }),
+      makeDay('2025-03-04', { aaplValue: 1100, adj: (100 / 1500) * 100, aaplAdj: 10 }),
+      makeDay('2025-03-05', { aaplValue: 1210, adj: (110 / 1600) * 100, aaplAdj: 10 })
+    ];
+
+    const sale = {
+      date: '2025-03-04',
+      assetKey: 'AAPL_stock',
+      units: 5,
+      cashFlowByCurrency: { USD: 550 },
+      pnlByCurrency: { USD: 50 }
+    };
+
+    const result = applySellToPerformanceDays(days, sale);
+
+    it('no modifica días anteriores a la venta', () => {
+      expect(result.map(d => d.date)).toEqual(['2025-03-04', '2025-03-05']);
+      expect(days[0].data.USD.totalValue).toBe(1500);
+    });
+
+    it('reduce valor, inversión y unidades del asset proporcionalmente', () => {
+      const asset = result[0].data.USD.assetPerformance.AAPL_stock;
+      expect(asset.units).toBe(5);
+      expect(asset.totalValue).toBeCloseTo(550, 8);
+      expect(asset.totalInvestment).toBeCloseTo(500, 8);
+      expect(result[0].data.USD.totalValue).toBeCloseTo(1050, 8);
+      expect(result[0].data.USD.totalInvestment).toBeCloseTo(900, 8);
+    });
+
+    it('registra el cashflow y el P&L solo en el primer día afectado', () => {
+      expect(result[0].data.USD.totalCashFlow).toBe(550);
+      expect(result[0].data.USD.doneProfitAndLoss).toBe(50);
+      expect(result[0].data.USD.assetPerformance.AAPL_stock.totalCashFlow).toBe(550);
+      expect(result[1].data.USD.totalCashFlow).toBe(0);
+      expect(result[1].data.USD.doneProfitAndLoss).toBe(0);
+    });
+
+    it('mantiene el rendimiento ajustado del día de la venta', () => {
+      // Antes: (1600 - 1500) / 1500. Después: (1050 - 1500 + 550) / 1500
+      expect(result[0].data.USD.adjustedDailyChangePercentage).toBeCloseTo((100 / 1500) * 100, 8);
+      expect(result[0].data.USD.assetPerformance.AAPL_stock.adjustedDailyChangePercentage)
+        .toBeCloseTo(10, 8);
+    });
+
+    it('encadena el día siguiente con el valor previo corregido', () => {
+      const next = result[1].data.USD;
+      expect(next.totalValue).toBeCloseTo(605 + 500, 8);
+      // (1105 - 1050) / 1050
+      expect(next.adjustedDailyChangePercentage).toBeCloseTo((55 / 1050) * 100, 8);
+      expect(next.assetPerformance.AAPL_stock.adjustedDailyChangePercentage).toBeCloseTo(10, 8);
+      expect(next.unrealizedProfitAndLoss).toBeCloseTo(1105 - 900, 8);
+    });
+
+    it('preserva dividendos implícitos del día', () => {
+      const withDividend = [
+        makeDay('2025-03-03', { aaplValue: 1000 }),
+        // +20 de dividendos: (1600 - 1500 + 20) / 1500
+        makeDay('2025-03-04', { aaplValue: 1100, adj: (120 / 1500) * 100, aaplAdj: 10 })
+      ];
+      const [day] = applySellToPerformanceDays(withDividend, sale);
+      expect(day.data.USD.adjustedDailyChangePercentage).toBeCloseTo((120 / 1500) * 100, 8);
+    });
+
+    it('asigna el cashflow al siguiente día disponible si la venta cae en fin de semana', () => {
+      const weekendSale = { ...sale, date: '2025-03-01' };
+      const [first] = applySellToPerformanceDays(days, weekendSale);
+      expect(first.date).toBe('2025-03-03');
+      expect(first.data.USD.totalCashFlow).toBe(550);
+    });
+  });
+
+  describe('buildSales', () => {
+    it('agrupa lotes FIFO del mismo asset y convierte a cada moneda', () => {
+      const currencies = [
+        { code: 'USD', exchangeRate: 1 },
+        { code: 'EUR', exchangeRate: 0.9 }
+      ];
+      const txs = [
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 2, price: 100, valuePnL: 20, currency: 'USD', dollarPriceToDate: 1 },
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 3, price: 100, valuePnL: -30, currency: 'USD', dollarPriceToDate: 1 }
+      ];
+
+      const [sale] = buildSales(txs, currencies);
+
+      expect(sale.assetKey).toBe('AAPL_stock');
+      expect(sale.units).toBe(5);
+      expect(sale.cashFlowByCurrency.USD).toBeCloseTo(500, 8);
+      expect(sale.cashFlowByCurrency.EUR).toBeCloseTo(450, 8);
+      expect(sale.pnlByCurrency.USD).toBeCloseTo(-10, 8);
+    });
+
+    it('usa el tipo de cambio de la venta para la moneda de adquisición', () => {
+      const currencies = [
+        { code: 'USD', exchangeRate: 1 },
+        { code: 'COP', exchangeRate: 4000 }
+      ];
+      const txs = [
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 1, price: 100, valuePnL: 0, currency: 'USD', dollarPriceToDate: 4200, defaultCurrencyForAdquisitionDollar: 'COP' }
+      ];
+
+      const [sale] = buildSales(txs, currencies);
+
+      expect(sale.cashFlowByCurrency.COP).toBeCloseTo(420000, 8);
+    });
+
+    it('convierte a otras monedas con las tasas de fxHistory de la fecha de venta', () => {
+      const currencies = [
+        { code: 'USD', exchangeRate: 1 },
+        { code: 'EUR', exchangeRate: 0.9 }
+      ];
+      const rateTable = createRateTable([{ date: '2025-03-03', rates: { EUR: 0.95 } }]);
+      const txs = [
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 1, price: 100, valuePnL: 0, currency: 'USD', dollarPriceToDate: 1 }
+      ];
+
+      const [sale] = buildSales(txs, currencies, rateTable);
+
+      expect(sale.cashFlowByCurrency.EUR).toBeCloseTo(95, 8);
+    });
+
+    it('separa las ventas del mismo asset en fechas distintas', () => {
+      const txs = [
+        { assetName: 'AAPL', assetType: 'stock', date: '2024-03-10', amount: 5, price: 120, valuePnL: 0, currency: 'USD', dollarPriceToDate: 1 },
+        { assetName: 'AAPL', assetType: 'stock', date: '2024-01-10', amount: 5, price: 100, valuePnL: 0, currency: 'USD', dollarPriceToDate: 1 }
+      ];
+
+      const sales = buildSales(txs, [{ code: 'USD', exchangeRate: 1 }]);
+
+      expect(sales.map(sale => [sale.date, sale.units, sale.cashFlowByCurrency.USD])).toEqual([
+        ['2024-01-10', 5, 500],
+        ['2024-03-10', 5, 600]
+      ]);
+    });
+  });
+
+  describe('recalculatePerformanceForBackdatedSell', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockDays.clear();
+    });
+
+    it('aplica cada venta importada de un ticker desde su propia fecha', async () => {
+      const days = [
+        makeDay('2025-03-04', { aaplValue: 1000 }),
+        makeDay('2025-03-05', { aaplValue: 1000 }),
+        makeDay('2025-03-06', { aaplValue: 1000 })
+      ];
+      mockDays.set('portfolioPerformance/user-1/dates', days);
+      mockDays.set('portfolioPerformance/user-1/accounts/account-1/dates', days);
+      const sells = [
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 5, price: 100, valuePnL: 0, currency: 'USD', dollarPriceToDate: 1 },
+        { assetName: 'AAPL', assetType: 'stock', date: '2025-03-06', amount: 2, price: 100, valuePnL: 0, currency: 'USD', dollarPriceToDate: 1 }
+      ];
+
+      expect(await recalculatePerformanceForBackdatedSell('user-1', 'account-1', sells)).toEqual({ daysUpdated: 6 });
+
+      const written = mockBatch.set.mock.calls
+        .filter(([ref]) => ref.path.startsWith('portfolioPerformance/user-1/dates/'))
+        .map(([, data]) => [data.date, data.USD.assetPerformance.AAPL_stock.units, data.USD.totalCashFlow]);
+      expect(written).toEqual([
+        ['2025-03-04', 5, 500],
+        ['2025-03-05', 5, 0],
+        ['2025-03-06', 3, 200]
+      ]);
+    });
+  });
+
+  describe('retryPendingHistoryRecalculations', () => {
+    const OVERALL = 'portfolioPerformance/user-1/dates';
+    const ACCOUNT = 'portfolioPerformance/user-1/accounts/account-1/dates';
+
+    /** Registro pendiente con una venta de 5 AAPL del 4 de marzo */
+    const pendingDoc = (data = {}) => ({
+      id: 'recalc-1',
+      ref: { delete: jest.fn(), update: jest.fn() },
+      data: () => ({
+        userId: 'user-1',
+        portfolioAccountId: 'account-1',
+        transactionIds: ['tx-1'],
+        completedPaths: [],
+        attempts: 1,
+        status: 'pending',
+        ...data
+      })
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockDays.clear();
+      mockDb.getAll.mockResolvedValue([{
+        id: 'tx-1',
+        exists: true,
+        data: () => ({ assetName: 'AAPL', assetType: 'stock', date: '2025-03-04', amount: 5, price: 110, valuePnL: 50, currency: 'USD', dollarPriceToDate: 1 })
+      }]);
+    });
+
+    it('omite las rutas ya recalculadas y borra el registro al completar', async () => {
+      const doc = pendingDoc({ completedPaths: [OVERALL] });
+      mockPending.docs = [doc];
+      mockDays.set(ACCOUNT, [makeDay('2025-03-04', { aaplValue: 1100 })]);
+
+      expect(await retryPendingHistoryRecalculations()).toEqual({ processed: 1, recalculated: 1, retrying: 0, failed: 0 });
+      expect(mockDb.collection).not.toHaveBeenCalledWith(OVERALL);
+      expect(mockBatch.set).toHaveBeenCalledTimes(1);
+      expect(mockBatch.set.mock.calls[0][0].path).toBe(`${ACCOUNT}/2025-03-04`);
+      expect(mockBatch.set.mock.calls[0][1].USD.assetPerformance.AAPL_stock.units).toBe(5);
+      expect(doc.ref.delete).toHaveBeenCalled();
+    });
+
+    it('guarda las rutas escritas y el intento si vuelve a fallar', async () => {
+      const doc = pendingDoc();
+      mockPending.docs = [doc, pendingDoc({ attempts: 4 })];
+      mockDays.set(OVERALL, [makeDay('2025-03-04', { aaplValue: 1100 })]);
+
+      expect(await retryPendingHistoryRecalculations()).toEqual({ processed: 2, recalculated: 0, retrying: 1, failed: 1 });
+      expect(doc.ref.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending',
+        attempts: 2,
+        completedPaths: [OVERALL],
+        lastError: `UNAVAILABLE: ${ACCOUNT}`
+      }));
+      expect(mockPending.docs[1].ref.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', attempts: 5 }));
+      expect(doc.ref.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests para dividendReinvestment.js
+ *
+ * Verifica la prioridad del flag DRIP (activo sobre cuenta) y la compra
+ * fraccionaria que reemplaza el crédito en efectivo del dividendo.
+ *
+ * @module __tests__/services/dividendReinvestment.test
+ */
+
+const {
+  shouldReinvestDividends,
+  buildReinvestmentPurchase
+} = require('../dividendReinvestment');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const currencies = [
+  { code: 'USD', exchangeRate: 1 },
+  { code: 'COP', exchangeRate: 4000 },
+  { code: 'EUR', exchangeRate: 0.8 }
+];
+
+const GROUP = {
+  portfolioAccountId: 'acc1',
+  userId: 'user1',
+  symbol: 'KO',
+  assetType: 'stock',
+  currency: 'USD',
+  market: 'NYSE',
+  defaultCurrencyForAdquisitionDollar: 'COP'
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('shouldReinvestDividends', () => {
+  it('usa el flag de la cuenta cuando los lotes no lo definen', () => {
+    expect(shouldReinvestDividends({ dividendReinvestment: true }, [{ id: 'a1' }])).toBe(true);
+    expect(shouldReinvestDividends({}, [{ id: 'a1' }])).toBe(false);
+  });
+
+  it('el flag del activo tiene prioridad sobre el de la cuenta', () => {
+    expect(shouldReinvestDividends({ dividendReinvestment: true }, [{ dividendReinvestment: false }])).toBe(false);
+    expect(shouldReinvestDividends({ dividendReinvestment: false }, [{ dividendReinvestment: true }])).toBe(true);
+  });
+
+  it('con lotes en desacuerdo basta uno activado', () => {
+    const lots = [{ dividendReinvestment: false }, { id: 'a2' }, { dividendReinvestment: true }];
+    expect(shouldReinvestDividends({}, lots)).toBe(true);
+  });
+});
+
+describe('buildReinvestmentPurchase', () => {
+  it('compra unidades fraccionarias por el dividendo neto al precio del día', () => {
+    const purchase = buildReinvestmentPurchase({
+      group: GROUP,
+      priceDoc: { symbol: 'KO', price: 60, currency: 'USD' },
+      netAmount: 12.5,
+      date: '2024-07-01',
+      currencies
+    });
+
+    expect(purchase).toEqual({
+      portfolioAccount: 'acc1',
+      name: 'KO',
+      assetType: 'stock',
+      market: 'NYSE',
+      currency: 'USD',
+      units: 0.20833333,
+      unitValue: 60,
+      acquisitionDate: '2024-07-01',
+      acquisitionDollarValue: 4000,
+      defaultCurrencyForAdquisitionDollar: 'COP',
+      commission: 0
+    });
+    expect(purchase.units * purchase.unitValue).toBeCloseTo(12.5, 6);
+  });
+
+  it('convierte el precio a la moneda del dividendo', () => {
+    const purchase = buildReinvestmentPurchase({
+      group: { ...GROUP, currency: 'USD' },
+      priceDoc: { symbol: 'KO', price: 40, currency: 'EUR' },
+      netAmount: 10,
+      date: '2024-07-01',
+      currencies
+    });
+
+    expect(purchase.unitValue).toBe(50);
+    expect(purchase.units).toBe(0.2);
+  });
+
+  it('sin precio válido no reinvierte', () => {
+    const params = { group: GROUP, netAmount: 10, date: '2024-07-01', currencies };
+    expect(buildReinvestmentPurchase({ ...params, priceDoc: { price: 0 } })).toBeNull();
+    expect(buildReinvestmentPurchase({ ...params, priceDoc: null })).toBeNull();
+    expect(buildReinvestmentPurchase({ ...params, priceDoc: { price: 60 }, netAmount: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests para exportService.js
+ *
+ * Verifica la conversión de montos, la recolección de transacciones y la
+ * serialización de datasets a JSON, CSV y XLSX.
+ *
+ * @module __tests__/services/exportService.test
+ */
+
+const mockTransactions = [];
+
+jest.mock('../firebaseAdmin', () => ({
+  firestore: jest.fn(() => ({
+    collection: jest.fn(() => ({
+      where: () => ({
+        get: async () => ({ docs: mockTransactions.map(tx => ({ id: tx.id, data: () => tx })) })
+      })
+    }))
+  }))
+}));
+
+const XLSX = require('xlsx');
+const { createConverter, serializeDatasets, collectTransactions } = require('../exportService');
+const { createRateTable } = require('../fxHistory/rateTable');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const CURRENCIES = [
+  { code: 'USD', exchangeRate: 1 },
+  { code: 'EUR', exchangeRate: 0.9 },
+  { code: 'COP', exchangeRate: 4000 }
+];
+
+const DATASETS = {
+  transactions: [
+    { date: '2025-01-03', type: 'buy', assetName: 'AAPL', units: 10, total: 1800 },
+    { date: '2025-02-10', type: 'sell', assetName: 'AAPL', units: 4, total: 760 }
+  ],
+  performance: [
+    { date: '2025-01-03', accountId: 'overall', totalValue: 1800 }
+  ]
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('exportService', () => {
+  describe('createConverter', () => {
+    it('devuelve el monto original sin moneda destino', () => {
+      const convert = createConverter(null, CURRENCIES);
+      expect(convert(100, 'EUR')).toBe(100);
+    });
+
+    it('convierte con las tasas actuales', () => {
+      const convert = createConverter('EUR', CURRENCIES);
+      expect(convert(100, 'USD')).toBeCloseTo(90, 8);
+      expect(convert(4000, 'COP')).toBeCloseTo(0.9, 8);
+    });
+
+    it('usa el dólar de la transacción cuando convierte USD a su moneda por defecto', () => {
+      const convert = createConverter('COP', CURRENCIES);
+      const fx = { defaultCurrencyForAdquisitionDollar: 'COP', dollarPriceToDate: '4200' };
+      expect(convert(10, 'USD', fx)).toBe(42000);
+      expect(convert(10, 'USD')).toBe(40000);
+    });
+
+    it('usa las tasas de fxHistory de la fecha del monto', () => {
+      const rateTable = createRateTable([{ date: '2025-01-03', rates: { EUR: 0.95, COP: 4300 } }]);
+      const convert = createConverter('EUR', CURRENCIES, rateTable);
+      expect(convert(100, 'USD', { date: '2025-01-04' })).toBeCloseTo(95, 8);
+      expect(convert(100, 'USD')).toBeCloseTo(90, 8);
+    });
+  });
+
+  describe('collectTransactions', () => {
+    it('ordena por fecha y deja al inicio las transacciones sin fecha', async () => {
+      mockTransactions.push(
+        { id: 'tx-2', date: '2025-02-10', type: 'sell', portfolioAccountId: 'acc-1', amount: 4, price: 190, currency: 'USD' },
+        { id: 'tx-0', type: 'deposit', portfolioAccountId: 'acc-1', amount: 100, price: 1, currency: 'USD' },
+        { id: 'tx-1', date: '2025-01-03', type: 'buy', portfolioAccountId: 'acc-1', amount: 10, price: 180, currency: 'USD' }
+      );
+
+      const rows = await collectTransactions(['acc-1'], new Map([['acc-1', 'Broker']]), {}, createConverter(null, CURRENCIES));
+
+      expect(rows.map(row => row.id)).toEqual(['tx-0', 'tx-1', 'tx-2']);
+      expect(rows[1]).toMatchObject({ accountName: 'Broker', units: 10, total: 1800 });
+    });
+  });
+
+  describe('serializeDatasets', () => {
+    it('genera un único JSON con todos los datasets', () => {
+      const files = serializeDatasets(DATASETS, 'json', 'export');
+
+      expect(files).toHaveLength(1);
+      expect(files[0].fileName).toBe('export.json');
+      expect(JSON.parse(files[0].buffer.toString())).toEqual(DATASETS);
+    });
+
+    it('genera un CSV por dataset', () => {
+      const files = serializeDatasets(DATASETS, 'csv', 'export');
+
+      expect(files.map(f => f.fileName)).toEqual(['export_transactions.csv', 'export_performance.csv']);
+      const lines = files[0].buffer.toString().split('\n');
+      expect(lines[0]).toBe('date,type,assetName,units,total');
+      expect(lines[2]).toBe('2025-02-10,sell,AAPL,4,760');
+    });
+
+    it('genera un XLSX con una hoja por dataset', () => {
+      const [file] = serializeDatasets(DATASETS, 'xlsx', 'export');
+      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+
+      expect(workbook.SheetNames).toEqual(['Transacciones', 'Rendimiento diario']);
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Transacciones']);
+      expect(rows[0]).toMatchObject({ assetName: 'AAPL', units: 10, total: 1800 });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests de regresión offline para los scrapers de Google Finance
+ *
+ * Cada scraper se ejecuta contra un fixture HTML (ver
+ * helpers/googleFinanceFixtures) y se compara su salida completa. Los casos
+ * de drift modifican el markup del fixture y verifican que el scraper
+ * informe el selector roto en lugar de devolver un array vacío; una página
+ * sin filas, en cambio, es válida y devuelve [].
+ *
+ * @module __tests__/services/googleFinanceScrapers.test
+ */
+
+const mockAxiosGet = jest.fn();
+jest.mock('axios', () => ({ get: (...args) => mockAxiosGet(...args) }));
+
+const { GOOGLE_FINANCE_ROUTES, createFixtureAxiosGet } = require('./helpers/googleFinanceFixtures');
+const { SCRAPER_DRIFT_CODE } = require('../scraperDrift');
+const scrapeIndices = require('../scrapeIndices');
+const { scrapeNews } = require('../scrapeNews');
+const { scrapeGainers } = require('../scrapeGainers');
+const { scrapeLosers } = require('../scrapeLosers');
+const { scrapeActiveStock } = require('../scrapeActiveStock');
+const { scrapeFullQuote, scrapeSimpleQuote } = require('../scrapeQuote');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Sirve los fixtures aplicando un cambio de markup
+ * @param {function(string): string} [transform]
+ */
+function serveFixtures(transform) {
+  mockAxiosGet.mockImplementation(createFixtureAxiosGet(GOOGLE_FINANCE_ROUTES, { transform }));
+}
+
+/** Renombra una clase en todo el HTML (simula un cambio de Google) */
+const renameClass = (from, to) => html => html.split(from).join(to);
+
+/** Quita todos los elementos que coinciden con el patrón (página sin filas) */
+const removeMatches = pattern => html => html.replace(pattern, '');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+beforeEach(() => {
+  serveFixtures();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('harness', () => {
+  it('rechaza URLs sin fixture (sin acceso a la red)', async () => {
+    await expect(scrapeFullQuote('MSFT', 'NASDAQ')).rejects.toThrow('Sin fixture');
+  });
+});
+
+describe('scrapeGainers / scrapeLosers / scrapeActiveStock', () => {
+  it('scrapeGainers parsea la lista de mayores alzas', async () => {
+    expect(await scrapeGainers()).toEqual([
+      { symbol: 'SMCI', name: 'Super Micro Computer Inc', current: '$1,020.54', change: '+$84.12', percentChange: '+8.98%' },
+      { symbol: 'NVDA', name: 'NVIDIA Corp', current: '$878.37', change: '+$42.39', percentChange: '+5.07%' }
+    ]);
+  });
+
+  it('scrapeLosers parsea la lista de mayores bajas', async () => {
+    expect(await scrapeLosers()).toEqual([
+      { symbol: 'TSLA', name: 'Tesla Inc', current: '$163.57', change: '-$9.43', percentChange: '-5.45%' },
+      { symbol: 'INTC', name: 'Intel Corp', current: '$42.81', change: '-$1.32', percentChange: '-2.99%' }
+    ]);
+  });
+
+  it('scrapeActiveStock toma el signo del cambio', async () => {
+    const active = await scrapeActiveStock();
+    expect(active.map(stock => [stock.symbol, stock.percentChange])).toEqual([
+      ['AAPL', '+0.63%'],
+      ['TSLA', '-5.45%']
+    ]);
+  });
+
+  it('informa el selector de nombres cuando cambia la clase', async () => {
+    serveFixtures(renameClass('ZvmM7', 'Xk3pQa'));
+
+    await expect(scrapeGainers()).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      scraper: 'scrapeGainers',
+      selector: '.Sy70mc .ZvmM7'
+    });
+  });
+
+  it('informa un selector que dejó de coincidir en parte de las filas', async () => {
+    serveFixtures(html => html.replace('<div class="JwB6zf">', '<div class="Q9wEr">'));
+
+    await expect(scrapeActiveStock()).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: '.Sy70mc .JwB6zf',
+      details: { found: 1, expected: 2 }
+    });
+  });
+
+  it('devuelve un array vacío si la lista no tiene filas', async () => {
+    serveFixtures(removeMatches(/<li>[\s\S]*?<\/li>/g));
+
+    expect(await scrapeGainers()).toEqual([]);
+  });
+
+  it('informa el contenedor de la lista cuando desaparece', async () => {
+    serveFixtures(renameClass('sbnBtf', 'Hq2Wmc'));
+
+    await expect(scrapeLosers()).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      scraper: 'scrapeLosers',
+      selector: 'ul.sbnBtf'
+    });
+  });
+
+  it('rechaza precios no numéricos', async () => {
+    serveFixtures(html => html.replace('$42.81', 'Cerrado'));
+
+    await expect(scrapeLosers()).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: '.Sy70mc .YMlKec',
+      details: { field: 'current', index: 1 }
+    });
+  });
+});
+
+describe('scrapeIndices', () => {
+  it('parsea índices con el signo del cambio porcentual', async () => {
+    expect(await scrapeIndices('americas')).toEqual([
+      { name: 'S&P 500', score: '5,117.09', change: '-33.39', percentChange: '-0.65%' },
+      { name: 'Dow Jones Industrial Average', score: '38,714.77', change: '+75.66', percentChange: '+0.20%' }
+    ]);
+  });
+
+  it('informa el selector de cambios cuando desaparece', async () => {
+    serveFixtures(renameClass('P2Luy', 'Lw8Tc'));
+
+    await expect(scrapeIndices('americas')).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: '.xVyTdb .SEGxAb .P2Luy'
+    });
+  });
+});
+
+describe('scrapeNews', () => {
+  it('devuelve solo artículos con imagen', async () => {
+    const news = await scrapeNews('AAPL', 'NASDAQ');
+
+    expect(news).toHaveLength(2);
+    expect(news[0]).toEqual({
+      headline: 'Apple expands Vision Pro sales to new markets',
+      image: 'https://encrypted-tbn0.gstatic.com/images?q=tbn:apple-vision',
+      source: 'Reuters',
+      url: 'https://www.reuters.com/technology/apple-vision-pro-2024-03-15/'
+    });
+  });
+
+  it('devuelve un array vacío si ningún artículo tiene imagen', async () => {
+    serveFixtures(removeMatches(/<img class="tLGtv"[^>]*>/g));
+
+    expect(await scrapeNews('AAPL', 'NASDAQ')).toEqual([]);
+  });
+
+  it('informa el selector de titulares en lugar de devolver un array vacío', async () => {
+    serveFixtures(renameClass('F2KAFc', 'Zp4Yd'));
+
+    await expect(scrapeNews('AAPL', 'NASDAQ')).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: 'a.TxRU9d .F2KAFc'
+    });
+  });
+});
+
+describe('scrapeFullQuote / scrapeSimpleQuote', () => {
+  beforeEach(() => {
+    // Antes de las 16:00 locales: sin valor after-market
+    jest.useFakeTimers({ now: new Date(2024, 2, 15, 10, 0, 0) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('scrapeFullQuote parsea precio, estadísticas y resultados trimestrales', async () => {
+    expect(await scrapeFullQuote('AAPL', 'NASDAQ')).toEqual({
+      name: 'Apple Inc',
+      previousClose: '189.84',
+      change: '1.20',
+      aftermarketValue: 'N/A',
+      percentChange: '+0.63%',
+      current: '191.04',
+      high: '191.05',
+      low: '188.00',
+      avgVolume: '58.41M',
+      marketCap: '2.95T USD',
+      peRatio: '29.53',
+      week52High: '199.62',
+      week52Low: '164.08',
+      dividendYield: '0.51%',
+      about: 'Apple Inc. is an American multinational technology company headquartered in Cupertino, California.',
+      employees: '161,000',
+      quarter: 'Dec 2023',
+      quarterlyRevenue: '119.58B',
+      quarterlyNetIncome: '33.92B',
+      quarterlyEPS: '2.18'
+    });
+  });
+
+  it('scrapeSimpleQuote parsea precio y moneda', async () => {
+    expect(await scrapeSimpleQuote('AAPL', 'NASDAQ')).toEqual({
+      name: 'Apple Inc',
+      current: '191.04',
+      change: '1.20',
+      percentChange: '+0.63%',
+      currencySymbol: '$',
+      currencyCode: 'USD'
+    });
+  });
+
+  it('informa el selector de precio cuando cambia la clase', async () => {
+    serveFixtures(renameClass('fxKbKc', 'Hn2Rv'));
+
+    await expect(scrapeFullQuote('AAPL', 'NASDAQ')).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: '.YMlKec.fxKbKc'
+    });
+  });
+
+  it('informa el campo cuyo formato cambió dentro de las estadísticas', async () => {
+    serveFixtures(html => html.replace('58.41M', '58,410,000'));
+
+    await expect(scrapeFullQuote('AAPL', 'NASDAQ')).rejects.toMatchObject({
+      code: SCRAPER_DRIFT_CODE,
+      selector: '.P6K39c',
+      details: { field: 'avgVolume' }
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Harness de fixtures HTML para los scrapers de Google Finance
+ *
+ * Los fixtures en `fixtures/googleFinance` son páginas de Google Finance
+ * reducidas a la estructura que leen los scrapers (mismas clases
+ * ofuscadas). El stand-in de axios resuelve cada URL con su fixture y
+ * rechaza cualquier otra, así que los tests nunca salen a la red.
+ *
+ * Uso:
+ *   const mockAxiosGet = jest.fn();
+ *   jest.mock('axios', () => ({ get: (...args) => mockAxiosGet(...args) }));
+ *   mockAxiosGet.mockImplementation(createFixtureAxiosGet(GOOGLE_FINANCE_ROUTES));
+ *
+ * @module __tests__/helpers/googleFinanceFixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'googleFinance');
+
+/** Fragmento de URL → fixture */
+const GOOGLE_FINANCE_ROUTES = {
+  '/finance/markets/gainers': 'markets-gainers',
+  '/finance/markets/losers': 'markets-losers',
+  '/finance/markets/most-active': 'markets-most-active',
+  '/finance/markets/indexes/americas': 'markets-indexes-americas',
+  '/finance/quote/AAPL:NASDAQ': 'quote-AAPL-NASDAQ'
+};
+
+/**
+ * Lee un fixture HTML
+ * @param {string} name - Nombre sin extensión
+ * @returns {string}
+ */
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Crea el stand-in de axios.get
+ *
+ * @param {Object.<string, string>} routes - Fragmento de URL → fixture
+ * @param {Object} [options]
+ * @param {function(string, string): string} [options.transform] - (html, fixture) → html; simula cambios de markup
+ * @returns {function(string): Promise<{data: string, status: number}>}
+ */
+function createFixtureAxiosGet(routes, { transform = html => html } = {}) {
+  return async (url) => {
+    const match = Object.keys(routes).find(fragment => url.includes(fragment));
+    if (!match) {
+      throw new Error(`Sin fixture para ${url}`);
+    }
+    return { data: transform(loadFixture(routes[match]), routes[match]), status: 200 };
+  };
+}
+
+module.exports = {
+  GOOGLE_FINANCE_ROUTES,
+  loadFixture,
+  createFixtureAxiosGet
+};
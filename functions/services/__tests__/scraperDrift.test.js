@@ -0,0 +1,129 @@
+/**
+ * Tests para scraperDrift.js
+ *
+ * Verifica la detección de selectores sin coincidencias, las filas
+ * incompletas y la validación de esquema de la salida de los scrapers.
+ *
+ * @module __tests__/services/scraperDrift.test
+ */
+
+const {
+  FIELD_TYPES,
+  parseNumericText,
+  assertSelectorsMatched,
+  extractField,
+  validateScrapedItems,
+  isSelectorDriftError
+} = require('../scraperDrift');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const SCHEMA = {
+  name: { selector: '.ZvmM7', type: FIELD_TYPES.TEXT },
+  price: { selector: '.YMlKec', type: FIELD_TYPES.NUMBER },
+  url: { selector: 'a.TxRU9d', type: FIELD_TYPES.URL }
+};
+
+/**
+ * Captura el error lanzado por fn
+ * @param {function(): *} fn
+ * @returns {Error|null}
+ */
+function catchError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('parseNumericText', () => {
+  it('extrae números de precios y porcentajes formateados', () => {
+    expect(parseNumericText('$1,020.54')).toBe(1020.54);
+    expect(parseNumericText('-$9.43')).toBe(-9.43);
+    expect(parseNumericText('2.95T USD')).toBe(2.95);
+    expect(parseNumericText('Cerrado')).toBeNull();
+    expect(parseNumericText(undefined)).toBeNull();
+  });
+});
+
+describe('assertSelectorsMatched', () => {
+  it('acepta selectores con la misma cantidad de elementos', () => {
+    expect(() => assertSelectorsMatched('test', { '.a': ['x', 'y'], '.b': ['1', '2'], '.c': 'texto' })).not.toThrow();
+  });
+
+  it('informa el primer selector sin coincidencias', () => {
+    const error = catchError(() => assertSelectorsMatched('test', { '.a': ['x'], '.b': [], '.c': '' }));
+
+    expect(isSelectorDriftError(error)).toBe(true);
+    expect(error).toMatchObject({ scraper: 'test', selector: '.b' });
+    expect(error.message).toBe('[test] El selector ".b" no encontró elementos');
+  });
+
+  it('informa selectores con menos filas que el primero', () => {
+    const error = catchError(() => assertSelectorsMatched('test', { '.a': ['x', 'y', 'z'], '.b': ['1'] }));
+
+    expect(error).toMatchObject({ selector: '.b', details: { found: 1, expected: 3 } });
+  });
+
+  it('acepta una página sin filas', () => {
+    expect(() => assertSelectorsMatched('test', { '.a': [], '.b': [] }, { containers: { 'ul.lista': 1 } })).not.toThrow();
+  });
+
+  it('informa el primer selector si otros sí encontraron elementos', () => {
+    const error = catchError(() => assertSelectorsMatched('test', { '.a': [], '.b': ['1', '2'] }));
+
+    expect(error).toMatchObject({ selector: '.a', details: { found: 0, expected: 2 } });
+  });
+
+  it('informa el contenedor que no existe', () => {
+    const error = catchError(() => assertSelectorsMatched('test', { '.a': [] }, { containers: { 'ul.lista': 0 } }));
+
+    expect(isSelectorDriftError(error)).toBe(true);
+    expect(error).toMatchObject({ selector: 'ul.lista' });
+  });
+});
+
+describe('extractField', () => {
+  it('convierte el error de extracción en drift del selector', () => {
+    const error = catchError(() => extractField('test', '.P6K39c', 'avgVolume', () => 'abc'.match(/\d+M/)[0]));
+
+    expect(error).toMatchObject({ selector: '.P6K39c', details: { field: 'avgVolume' } });
+    expect(extractField('test', '.P6K39c', 'avgVolume', () => '58.41M')).toBe('58.41M');
+  });
+});
+
+describe('validateScrapedItems', () => {
+  it('devuelve los items válidos', () => {
+    const items = [{ name: 'Apple Inc', price: '$191.04', url: 'https://example.com/a' }];
+    expect(validateScrapedItems('test', items, SCHEMA)).toBe(items);
+  });
+
+  it('informa campo, fila y selector del primer valor inválido', () => {
+    const error = catchError(() => validateScrapedItems('test', [
+      { name: 'Apple Inc', price: '191.04', url: 'https://example.com/a' },
+      { name: '  ', price: '163.57', url: 'https://example.com/b' }
+    ], SCHEMA));
+
+    expect(error).toMatchObject({
+      code: 'SCRAPER_SELECTOR_DRIFT',
+      selector: '.ZvmM7',
+      details: { field: 'name', index: 1, value: '  ' }
+    });
+  });
+
+  it('rechaza URLs relativas', () => {
+    const error = catchError(() => validateScrapedItems('test', [
+      { name: 'Apple Inc', price: '191.04', url: './quote/AAPL:NASDAQ' }
+    ], SCHEMA));
+
+    expect(error).toMatchObject({ selector: 'a.TxRU9d', details: { field: 'url' } });
+  });
+});
@@ -0,0 +1,369 @@
+/**
+ * Tests para services/alerts
+ *
+ * Verifica la validación de alertas, la evaluación de cada tipo, el
+ * cooldown, el registro de disparos con notificadores reemplazados, el
+ * canal webhook restringido a direcciones públicas y el CRUD por usuario.
+ *
+ * @module __tests__/services/alerts.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  let autoId = 0;
+  const applyUpdate = (current, changes) => {
+    const next = { ...current };
+    Object.entries(changes).forEach(([key, value]) => {
+      next[key] = value && value.__increment !== undefined ? (current[key] || 0) + value.__increment : value;
+    });
+    return next;
+  };
+  const createDocRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: jest.fn(async () => ({ id: path.split('/').pop(), exists: mockStore.has(path), data: () => mockStore.get(path) })),
+    set: jest.fn(async (data) => mockStore.set(path, data)),
+    update: jest.fn(async (changes) => mockStore.set(path, applyUpdate(mockStore.get(path), changes))),
+    delete: jest.fn(async () => mockStore.delete(path)),
+    collection: (name) => createCollection(`${path}/${name}`)
+  });
+  const createCollection = (path, filters = [], order = null, max = null) => ({
+    doc: (id) => createDocRef(`${path}/${id || `auto${++autoId}`}`),
+    add: jest.fn(async (data) => {
+      const ref = createDocRef(`${path}/auto${++autoId}`);
+      mockStore.set(ref.path, data);
+      return ref;
+    }),
+    where: (field, op, value) => createCollection(path, [...filters, data => data[field] === value], order, max),
+    orderBy: (field, direction) => createCollection(path, filters, { field, direction }, max),
+    limit: (count) => createCollection(path, filters, order, count),
+    get: jest.fn(async () => {
+      let docs = [...mockStore.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(filter => filter(data)));
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        docs.sort(([, a], [, b]) => sign * String(a[order.field]).localeCompare(String(b[order.field])));
+      }
+      if (max !== null) docs = docs.slice(0, max);
+      return { docs: docs.map(([key, data]) => ({ id: key.split('/').pop(), data: () => data })) };
+    })
+  });
+  const firestore = jest.fn(() => ({ collection: (name) => createCollection(name) }));
+  firestore.FieldValue = {
+    serverTimestamp: () => 'SERVER_TIMESTAMP',
+    increment: (n) => ({ __increment: n })
+  };
+  return { firestore };
+});
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+/** Resolución de DNS por host */
+const mockHosts = new Map();
+jest.mock('dns', () => ({
+  lookup: jest.fn(),
+  promises: {
+    lookup: jest.fn(async (host) => {
+      if (!mockHosts.has(host)) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return [{ address: mockHosts.get(host), family: 4 }];
+    })
+  }
+}));
+
+const axios = require('axios');
+const { deliveryAgent } = require('../../webhooks/destination');
+const { validateAlert, evaluateAlert, isInCooldown } = require('../evaluators');
+const { setNotifier, resetNotifiers, deliverNotification } = require('../notifiers');
+const {
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  listAlerts,
+  getAlertTriggers,
+  evaluateAlerts
+} = require('../alertService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const TODAY = '2024-06-11';
+const NOW = Date.parse('2024-06-11T15:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Contexto de evaluación de prueba
+ * @param {Object} [overrides]
+ */
+const buildContext = (overrides = {}) => ({
+  prices: new Map([
+    ['AAPL', { symbol: 'AAPL', price: 210, percentChange: 3.2, exDividend: 'Jun 13, 2024' }],
+    ['KO', { symbol: 'KO', price: 60, percentChange: -2.5 }]
+  ]),
+  portfolioValues: new Map([['user1_overall_USD', { date: TODAY, totalValue: 9000 }]]),
+  accounts: new Map([['acc1', { id: 'acc1', userId: 'user1', name: 'Broker', balances: { USD: 80 } }]]),
+  today: TODAY,
+  ...overrides
+});
+
+/**
+ * Carga los datos de un ciclo en Firestore
+ */
+const seedCycle = () => {
+  mockStore.set('currentPrices/AAPL', { symbol: 'AAPL', price: 210, percentChange: 3.2, exDividend: 'Jun 13, 2024' });
+  mockStore.set('currentPrices/KO', { symbol: 'KO', price: 60, percentChange: -0.4 });
+  mockStore.set('portfolioAccounts/acc1', { userId: 'user1', name: 'Broker', isActive: true, balances: { USD: 80 } });
+  mockStore.set('portfolioPerformance/user1/dates/2024-06-10', { date: '2024-06-10', USD: { totalValue: 10000 } });
+  mockStore.set('portfolioPerformance/user1/dates/2024-06-11', { date: TODAY, USD: { totalValue: 8800 } });
+};
+
+/**
+ * Guarda una alerta activa
+ * @param {string} id
+ * @param {Object} data
+ */
+const seedAlert = (id, data) => {
+  mockStore.set(`alerts/${id}`, {
+    userId: 'user1',
+    channels: ['inbox'],
+    cooldownMinutes: 1440,
+    isActive: true,
+    state: {},
+    lastTriggeredAt: null,
+    triggerCount: 0,
+    ...data
+  });
+};
+
+/** Documentos de una colección de primer nivel */
+const docsIn = (collection) => [...mockStore.entries()]
+  .filter(([key]) => key.startsWith(`${collection}/`) && key.split('/').length === 2)
+  .map(([, data]) => data);
+
+beforeEach(() => {
+  mockStore.clear();
+  mockHosts.clear();
+  mockHosts.set('hooks.example.com', '93.184.216.34');
+  axios.post.mockReset();
+  resetNotifiers();
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('validateAlert', () => {
+  it('normaliza ticker, moneda y valores por defecto', () => {
+    expect(validateAlert({ type: 'priceAbove', symbol: ' aapl ', threshold: '200' })).toEqual({
+      type: 'priceAbove',
+      symbol: 'AAPL',
+      threshold: 200,
+      channels: ['inbox'],
+      cooldownMinutes: 1440,
+      isActive: true
+    });
+
+    expect(validateAlert({ type: 'cashBelow', accountId: 'acc1', threshold: 0, currency: 'cop' }))
+      .toMatchObject({ accountId: 'acc1', currency: 'COP', threshold: 0 });
+    expect(validateAlert({ type: 'exDividend', symbol: 'KO' })).toMatchObject({ daysBefore: 3 });
+    expect(validateAlert({ type: 'dailyMove', symbol: 'KO', threshold: 2 })).toMatchObject({ direction: 'both' });
+  });
+
+  it('rechaza datos inválidos', () => {
+    expect(() => validateAlert({ type: 'priceCross', symbol: 'AAPL' })).toThrow('type debe ser uno de');
+    expect(() => validateAlert({ type: 'priceBelow', threshold: 10 })).toThrow('symbol es requerido');
+    expect(() => validateAlert({ type: 'priceBelow', symbol: 'AAPL', threshold: -1 })).toThrow('precio positivo');
+    expect(() => validateAlert({ type: 'portfolioDrawdown', threshold: 150 })).toThrow('porcentaje');
+    expect(() => validateAlert({ type: 'cashBelow', threshold: 10 })).toThrow('accountId es requerido');
+    expect(() => validateAlert({ type: 'priceAbove', symbol: 'AAPL', threshold: 1, channels: ['webhook'], webhookUrl: 'http://x.io' }))
+      .toThrow('webhookUrl');
+    expect(() => validateAlert({ type: 'priceAbove', symbol: 'AAPL', threshold: 1, channels: ['webhook'], webhookUrl: 'https://' }))
+      .toThrow('webhookUrl no es válida');
+    expect(() => validateAlert({ type: 'priceAbove', symbol: 'AAPL', threshold: 1, cooldownMinutes: 1 }))
+      .toThrow('cooldownMinutes');
+  });
+});
+
+describe('evaluateAlert', () => {
+  const context = buildContext();
+
+  it('compara el precio con el umbral', () => {
+    expect(evaluateAlert({ type: 'priceAbove', symbol: 'AAPL', threshold: 200 }, context))
+      .toMatchObject({ triggered: true, value: 210 });
+    expect(evaluateAlert({ type: 'priceBelow', symbol: 'AAPL', threshold: 200 }, context).triggered).toBe(false);
+    expect(evaluateAlert({ type: 'priceBelow', symbol: 'MSFT', threshold: 200 }, context)).toBeNull();
+  });
+
+  it('respeta el sentido del movimiento diario', () => {
+    const move = (symbol, direction) => evaluateAlert({ type: 'dailyMove', symbol, threshold: 2, direction }, context).triggered;
+    expect(move('AAPL', 'both')).toBe(true);
+    expect(move('AAPL', 'down')).toBe(false);
+    expect(move('KO', 'down')).toBe(true);
+    expect(move('KO', 'up')).toBe(false);
+  });
+
+  it('mide el drawdown desde el máximo guardado y lo actualiza', () => {
+    const alert = { type: 'portfolioDrawdown', userId: 'user1', currency: 'USD', threshold: 5, state: { peakValue: 10000 } };
+    expect(evaluateAlert(alert, context)).toMatchObject({ triggered: true, value: 10, state: { peakValue: 10000 } });
+
+    const newPeak = buildContext({ portfolioValues: new Map([['user1_overall_USD', { date: TODAY, totalValue: 12000 }]]) });
+    expect(evaluateAlert(alert, newPeak)).toMatchObject({ triggered: false, value: 0, state: { peakValue: 12000 } });
+  });
+
+  it('evalúa el saldo solo en cuentas del dueño de la alerta', () => {
+    expect(evaluateAlert({ type: 'cashBelow', userId: 'user1', accountId: 'acc1', currency: 'USD', threshold: 100 }, context))
+      .toMatchObject({ triggered: true, value: 80 });
+    expect(evaluateAlert({ type: 'cashBelow', userId: 'user2', accountId: 'acc1', currency: 'USD', threshold: 100 }, context))
+      .toBeNull();
+  });
+
+  it('avisa una sola vez por fecha ex-dividendo', () => {
+    const alert = { type: 'exDividend', symbol: 'AAPL', daysBefore: 3, state: {} };
+    const first = evaluateAlert(alert, context);
+    expect(first).toMatchObject({ triggered: true, value: '2024-06-13', state: { lastExDividendDate: '2024-06-13' } });
+    expect(evaluateAlert({ ...alert, state: first.state }, context).triggered).toBe(false);
+    expect(evaluateAlert({ ...alert, daysBefore: 1 }, context).triggered).toBe(false);
+  });
+
+  it('aplica el cooldown desde el último disparo', () => {
+    const alert = { cooldownMinutes: 60, lastTriggeredAt: new Date(NOW - 30 * MINUTE).toISOString() };
+    expect(isInCooldown(alert, NOW)).toBe(true);
+    expect(isInCooldown(alert, NOW + 31 * MINUTE)).toBe(false);
+    expect(isInCooldown({ lastTriggeredAt: null }, NOW)).toBe(false);
+  });
+});
+
+describe('evaluateAlerts', () => {
+  it('dispara, registra el historial y respeta el cooldown', async () => {
+    seedCycle();
+    seedAlert('a1', { type: 'priceAbove', symbol: 'AAPL', threshold: 200 });
+    seedAlert('a2', { type: 'dailyMove', symbol: 'KO', threshold: 2, direction: 'both' });
+    seedAlert('a3', { type: 'portfolioDrawdown', currency: 'USD', threshold: 10, state: { peakValue: 10000 } });
+    seedAlert('a4', { type: 'cashBelow', accountId: 'acc1', currency: 'USD', threshold: 100, channels: ['inbox', 'webhook'], webhookUrl: 'https://hooks.example.com/a' });
+    seedAlert('a5', { type: 'priceBelow', symbol: 'MSFT', threshold: 100 });
+
+    const inbox = jest.fn(async () => ({ notificationId: 'n1' }));
+    setNotifier('inbox', inbox);
+    setNotifier('webhook', jest.fn(async () => {
+      throw new Error('ECONNREFUSED');
+    }));
+
+    const summary = await evaluateAlerts({ now: NOW });
+    expect(summary).toEqual({ evaluated: 5, triggered: 3, inCooldown: 0, noData: 1, errors: 0 });
+
+    // a2 no dispara (-0.4%); a1, a3 (12%) y a4 sí
+    expect(inbox).toHaveBeenCalledTimes(3);
+    const triggers = docsIn('alertTriggers');
+    expect(triggers.map(t => t.alertId).sort()).toEqual(['a1', 'a3', 'a4']);
+
+    const cashTrigger = triggers.find(t => t.alertId === 'a4');
+    expect(cashTrigger.deliveries).toEqual([
+      { channel: 'inbox', success: true, result: { notificationId: 'n1' } },
+      { channel: 'webhook', success: false, error: 'ECONNREFUSED' }
+    ]);
+    expect(mockStore.get('alerts/a1')).toMatchObject({ triggerCount: 1, lastTriggeredAt: new Date(NOW).toISOString() });
+
+    // El ciclo siguiente (5 minutos después) queda en cooldown
+    const next = await evaluateAlerts({ now: NOW + 5 * MINUTE });
+    expect(next).toMatchObject({ triggered: 0, inCooldown: 3 });
+    expect(docsIn('alertTriggers')).toHaveLength(3);
+  });
+
+  it('guarda el nuevo máximo del portafolio sin disparar', async () => {
+    seedCycle();
+    mockStore.set('portfolioPerformance/user1/dates/2024-06-11', { date: TODAY, USD: { totalValue: 10500 } });
+    seedAlert('a1', { type: 'portfolioDrawdown', currency: 'USD', threshold: 5, state: { peakValue: 10000 } });
+
+    const summary = await evaluateAlerts({ now: NOW });
+
+    expect(summary.triggered).toBe(0);
+    expect(mockStore.get('alerts/a1').state).toEqual({ peakValue: 10500 });
+  });
+});
+
+describe('canal webhook', () => {
+  const notification = { alertId: 'a1', userId: 'user1', message: 'AAPL superó 200' };
+  const webhookAlert = (webhookUrl) => ({ id: 'a1', channels: ['webhook'], webhookUrl });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('envía por el agente de entregas sin seguir redirecciones', async () => {
+    axios.post.mockResolvedValueOnce({ status: 204 });
+
+    const deliveries = await deliverNotification(notification, webhookAlert('https://hooks.example.com/a'));
+
+    expect(deliveries).toEqual([{ channel: 'webhook', success: true, result: { status: 204 } }]);
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.example.com/a', notification, expect.objectContaining({
+      maxRedirects: 0,
+      httpsAgent: deliveryAgent
+    }));
+  });
+
+  it('no envía a direcciones no públicas', async () => {
+    mockHosts.set('hooks.example.com', '10.0.0.5');
+
+    const deliveries = await deliverNotification(notification, webhookAlert('https://hooks.example.com/a'));
+
+    expect(deliveries[0]).toMatchObject({ channel: 'webhook', success: false, error: expect.stringContaining('10.0.0.5') });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('rechaza webhookUrl no públicas al crear o editar la alerta', async () => {
+    const data = { type: 'priceAbove', symbol: 'AAPL', threshold: 200, channels: ['webhook'] };
+
+    await expect(createAlert('user1', { ...data, webhookUrl: 'https://127.0.0.1/hook' })).rejects.toThrow('dirección no pública');
+    expect(docsIn('alerts')).toHaveLength(0);
+
+    const alert = await createAlert('user1', { ...data, webhookUrl: 'https://hooks.example.com/a' });
+    mockHosts.set('internal.example.com', '192.168.0.10');
+    await expect(updateAlert('user1', alert.id, { webhookUrl: 'https://internal.example.com/hook' })).rejects.toThrow('(internal.example.com → 192.168.0.10)');
+    expect(mockStore.get(`alerts/${alert.id}`).webhookUrl).toBe('https://hooks.example.com/a');
+  });
+});
+
+describe('CRUD de alertas', () => {
+  it('crea, edita, lista y elimina solo alertas propias', async () => {
+    const alert = await createAlert('user1', { type: 'priceAbove', symbol: 'aapl', threshold: 200 });
+    expect(alert).toMatchObject({ userId: 'user1', symbol: 'AAPL', state: {}, triggerCount: 0 });
+
+    mockStore.set(`alerts/${alert.id}`, {
+      ...mockStore.get(`alerts/${alert.id}`),
+      state: { peakValue: 1 },
+      lastTriggeredAt: '2024-06-10T15:00:00.000Z'
+    });
+
+    // Cambiar solo el umbral conserva el estado; cambiar el ticker lo reinicia
+    const sameSymbol = await updateAlert('user1', alert.id, { threshold: 220 });
+    expect(sameSymbol).toMatchObject({ threshold: 220, lastTriggeredAt: '2024-06-10T15:00:00.000Z' });
+    const otherSymbol = await updateAlert('user1', alert.id, { symbol: 'MSFT' });
+    expect(otherSymbol).toMatchObject({ symbol: 'MSFT', state: {}, lastTriggeredAt: null });
+
+    expect(await updateAlert('user2', alert.id, { threshold: 1 })).toBeNull();
+    await expect(updateAlert('user1', alert.id, { threshold: 'x' })).rejects.toThrow('threshold');
+
+    expect((await listAlerts('user1')).map(a => a.id)).toEqual([alert.id]);
+    expect(await listAlerts('user2')).toEqual([]);
+
+    expect(await deleteAlert('user2', alert.id)).toBe(false);
+    expect(await deleteAlert('user1', alert.id)).toBe(true);
+    expect(await listAlerts('user1')).toEqual([]);
+  });
+
+  it('devuelve el historial de disparos del más reciente al más antiguo', async () => {
+    mockStore.set('alertTriggers/t1', { userId: 'user1', alertId: 'a1', triggeredAt: '2024-06-10T15:00:00.000Z' });
+    mockStore.set('alertTriggers/t2', { userId: 'user1', alertId: 'a2', triggeredAt: '2024-06-11T15:00:00.000Z' });
+    mockStore.set('alertTriggers/t3', { userId: 'user2', alertId: 'a3', triggeredAt: '2024-06-11T16:00:00.000Z' });
+
+    expect((await getAlertTriggers('user1')).map(t => t.id)).toEqual(['t2', 't1']);
+    expect((await getAlertTriggers('user1', { alertId: 'a1' })).map(t => t.id)).toEqual(['t1']);
+  });
+});
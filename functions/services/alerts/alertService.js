@@ -0,0 +1,330 @@
+/**
+ * Alert Service
+ *
+ * Alertas de precio y portafolio por usuario:
+ * - Alta, edición, baja y consulta de alertas (`alerts`)
+ * - Historial de disparos (`alertTriggers`)
+ * - Evaluación de todas las alertas activas al final de cada ciclo de
+ *   unifiedMarketDataUpdate, con los precios de currentPrices y el último
+ *   rendimiento de portfolioPerformance ya actualizados
+ *
+ * @module services/alerts/alertService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const { validateAlert, evaluateAlert, isInCooldown, getPortfolioValueKey } = require('./evaluators');
+const { deliverNotification } = require('./notifiers');
+const { assertPublicDestination } = require('../webhooks/destination');
+const {
+  ALERTS_COLLECTION,
+  ALERT_TRIGGERS_COLLECTION,
+  ALERT_TYPES,
+  SYMBOL_ALERT_TYPES,
+  MAX_ALERTS_PER_USER,
+  DEFAULT_TRIGGER_HISTORY_LIMIT,
+  DEFAULT_ALERT_CURRENCY
+} = require('./types');
+
+const db = admin.firestore();
+
+/** Campos que definen qué observa la alerta: si cambian, se reinicia el estado */
+const SUBJECT_FIELDS = ['type', 'symbol', 'accountId', 'currency'];
+
+/**
+ * Fecha (NY) de un instante
+ * @param {number} now - Epoch en ms
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateNY(now) {
+  return DateTime.fromMillis(now).setZone('America/New_York').toISODate();
+}
+
+/**
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {import('./types').Alert}
+ */
+function toAlert(doc) {
+  const { createdAt, updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Crea una alerta
+ *
+ * @param {string} userId
+ * @param {Object} data - Ver validateAlert
+ * @returns {Promise<import('./types').Alert>}
+ * @throws {Error} Si los datos no son válidos, el webhookUrl no resuelve a
+ *   una dirección pública o se alcanzó MAX_ALERTS_PER_USER
+ */
+async function createAlert(userId, data) {
+  const normalized = validateAlert(data);
+  if (normalized.webhookUrl) {
+    await assertPublicDestination(normalized.webhookUrl);
+  }
+
+  const existing = await db.collection(ALERTS_COLLECTION).where('userId', '==', userId).get();
+  if (existing.docs.length >= MAX_ALERTS_PER_USER) {
+    throw new Error(`Se alcanzó el máximo de ${MAX_ALERTS_PER_USER} alertas`);
+  }
+
+  const alertRef = db.collection(ALERTS_COLLECTION).doc();
+  const alert = {
+    id: alertRef.id,
+    userId,
+    ...normalized,
+    state: {},
+    lastTriggeredAt: null,
+    triggerCount: 0
+  };
+  await alertRef.set({
+    ...alert,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return alert;
+}
+
+/**
+ * Edita una alerta. Los campos no enviados conservan su valor; si cambia
+ * lo que observa la alerta (tipo, ticker, cuenta o moneda) se reinicia su
+ * estado.
+ *
+ * @param {string} userId
+ * @param {string} alertId
+ * @param {Object} data - Campos a cambiar (ver validateAlert)
+ * @returns {Promise<import('./types').Alert|null>} null si no existe o es de otro usuario
+ * @throws {Error} Si los datos resultantes no son válidos o el webhookUrl no
+ *   resuelve a una dirección pública
+ */
+async function updateAlert(userId, alertId, data) {
+  const alertRef = db.collection(ALERTS_COLLECTION).doc(alertId);
+  const doc = await alertRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return null;
+
+  const current = doc.data();
+  const normalized = validateAlert({ ...current, ...data });
+  if (normalized.webhookUrl) {
+    await assertPublicDestination(normalized.webhookUrl);
+  }
+  const subjectChanged = SUBJECT_FIELDS.some(field => normalized[field] !== current[field]);
+
+  const alert = {
+    id: alertId,
+    userId,
+    ...normalized,
+    state: subjectChanged ? {} : (current.state || {}),
+    lastTriggeredAt: subjectChanged ? null : (current.lastTriggeredAt || null),
+    triggerCount: current.triggerCount || 0
+  };
+  // set sin merge: los campos que dejaron de aplicar (webhookUrl, daysBefore, ...) se eliminan
+  await alertRef.set({
+    ...alert,
+    createdAt: current.createdAt || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return alert;
+}
+
+/**
+ * Elimina una alerta (el historial de disparos se conserva)
+ *
+ * @param {string} userId
+ * @param {string} alertId
+ * @returns {Promise<boolean>} false si no existe o es de otro usuario
+ */
+async function deleteAlert(userId, alertId) {
+  const alertRef = db.collection(ALERTS_COLLECTION).doc(alertId);
+  const doc = await alertRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return false;
+
+  await alertRef.delete();
+  return true;
+}
+
+/**
+ * Alertas de un usuario
+ *
+ * @param {string} userId
+ * @returns {Promise<import('./types').Alert[]>} Ordenadas por tipo y ticker
+ */
+async function listAlerts(userId) {
+  const snapshot = await db.collection(ALERTS_COLLECTION).where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(toAlert)
+    .sort((a, b) => a.type.localeCompare(b.type) || (a.symbol || '').localeCompare(b.symbol || ''));
+}
+
+/**
+ * Historial de disparos de un usuario, del más reciente al más antiguo
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.alertId] - Solo los de una alerta
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>}
+ */
+async function getAlertTriggers(userId, { alertId, limit = DEFAULT_TRIGGER_HISTORY_LIMIT } = {}) {
+  let query = db.collection(ALERT_TRIGGERS_COLLECTION).where('userId', '==', userId);
+  if (alertId) query = query.where('alertId', '==', alertId);
+
+  const snapshot = await query.orderBy('triggeredAt', 'desc').limit(limit).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// ============================================================================
+// EVALUACIÓN
+// ============================================================================
+
+/**
+ * Carga los datos que necesitan las alertas activas
+ *
+ * @param {import('./types').Alert[]} alerts
+ * @param {string} today
+ * @returns {Promise<import('./types').AlertContext>}
+ */
+async function loadAlertContext(alerts, today) {
+  const symbols = [...new Set(alerts.filter(a => SYMBOL_ALERT_TYPES.includes(a.type)).map(a => a.symbol))];
+  const accountIds = [...new Set(alerts.filter(a => a.type === ALERT_TYPES.CASH_BELOW).map(a => a.accountId))];
+
+  const drawdownAlerts = new Map();
+  alerts
+    .filter(a => a.type === ALERT_TYPES.PORTFOLIO_DRAWDOWN)
+    .forEach(a => drawdownAlerts.set(getPortfolioValueKey(a), a));
+
+  const [priceDocs, accountDocs, performanceDocs] = await Promise.all([
+    Promise.all(symbols.map(symbol => db.collection('currentPrices').doc(symbol).get())),
+    Promise.all(accountIds.map(id => db.collection('portfolioAccounts').doc(id).get())),
+    Promise.all([...drawdownAlerts.values()].map(alert => {
+      const userRef = db.collection('portfolioPerformance').doc(alert.userId);
+      const datesRef = alert.accountId
+        ? userRef.collection('accounts').doc(alert.accountId).collection('dates')
+        : userRef.collection('dates');
+      return datesRef.orderBy('date', 'desc').limit(1).get();
+    }))
+  ]);
+
+  const prices = new Map();
+  priceDocs.forEach((doc, i) => {
+    if (doc.exists) prices.set(symbols[i], doc.data());
+  });
+
+  const accounts = new Map();
+  accountDocs.forEach((doc, i) => {
+    if (doc.exists) accounts.set(accountIds[i], { id: doc.id, ...doc.data() });
+  });
+
+  const portfolioValues = new Map();
+  [...drawdownAlerts.entries()].forEach(([key, alert], i) => {
+    const latest = performanceDocs[i].docs[0]?.data();
+    const performance = latest?.[alert.currency || DEFAULT_ALERT_CURRENCY];
+    if (performance) {
+      portfolioValues.set(key, { date: latest.date, totalValue: performance.totalValue });
+    }
+  });
+
+  return { prices, accounts, portfolioValues, today };
+}
+
+/**
+ * Dispara una alerta: entrega la notificación, registra el disparo y
+ * actualiza la alerta
+ *
+ * @param {import('./types').Alert} alert
+ * @param {import('./types').AlertEvaluation} evaluation
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+async function triggerAlert(alert, evaluation, now) {
+  const triggeredAt = new Date(now).toISOString();
+
+  /** @type {import('./types').AlertNotification} */
+  const notification = {
+    alertId: alert.id,
+    userId: alert.userId,
+    type: alert.type,
+    symbol: alert.symbol || null,
+    accountId: alert.accountId || null,
+    value: evaluation.value,
+    threshold: alert.threshold ?? null,
+    message: evaluation.message,
+    triggeredAt
+  };
+
+  const deliveries = await deliverNotification(notification, alert);
+
+  await db.collection(ALERT_TRIGGERS_COLLECTION).add({ ...notification, deliveries });
+  await db.collection(ALERTS_COLLECTION).doc(alert.id).update({
+    state: evaluation.state,
+    lastTriggeredAt: triggeredAt,
+    triggerCount: admin.firestore.FieldValue.increment(1)
+  });
+}
+
+/**
+ * Evalúa todas las alertas activas (invocado por unifiedMarketDataUpdate
+ * al final del ciclo)
+ *
+ * Las alertas en cooldown no disparan ni guardan estado, para no perder
+ * la notificación cuando el cooldown termine. El estado de las que no
+ * disparan (p. ej. el máximo del portafolio) se guarda si cambió.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Epoch en ms
+ * @returns {Promise<{evaluated: number, triggered: number, inCooldown: number, noData: number, errors: number}>}
+ */
+async function evaluateAlerts({ now = Date.now() } = {}) {
+  const summary = { evaluated: 0, triggered: 0, inCooldown: 0, noData: 0, errors: 0 };
+
+  const snapshot = await db.collection(ALERTS_COLLECTION).where('isActive', '==', true).get();
+  const alerts = snapshot.docs.map(toAlert);
+  if (alerts.length === 0) return summary;
+
+  const context = await loadAlertContext(alerts, getDateNY(now));
+
+  for (const alert of alerts) {
+    summary.evaluated++;
+    try {
+      const evaluation = evaluateAlert(alert, context);
+      if (!evaluation) {
+        summary.noData++;
+        continue;
+      }
+
+      if (evaluation.triggered) {
+        if (isInCooldown(alert, now)) {
+          summary.inCooldown++;
+          continue;
+        }
+        await triggerAlert(alert, evaluation, now);
+        summary.triggered++;
+        continue;
+      }
+
+      if (JSON.stringify(evaluation.state) !== JSON.stringify(alert.state || {})) {
+        await db.collection(ALERTS_COLLECTION).doc(alert.id).update({ state: evaluation.state });
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`[alertService] Error evaluando alerta ${alert.id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  listAlerts,
+  getAlertTriggers,
+  evaluateAlerts
+};
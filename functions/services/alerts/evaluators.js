@@ -0,0 +1,313 @@
+/**
+ * Alert Evaluators
+ *
+ * Funciones puras para las alertas:
+ * - Validación y normalización de los datos que envía el usuario
+ * - Evaluación de cada tipo contra los datos del ciclo (AlertContext)
+ * - Cooldown entre disparos
+ *
+ * Una alerta sin datos para evaluarse (ticker sin precio, cuenta sin saldo,
+ * portafolio sin rendimiento) devuelve null y no dispara.
+ *
+ * @module services/alerts/evaluators
+ */
+
+const { DateTime } = require('luxon');
+const { parseDividendDate } = require('../dividendCalendar/calendarBuilder');
+const {
+  ALERT_TYPES,
+  SYMBOL_ALERT_TYPES,
+  ALERT_CHANNELS,
+  MOVE_DIRECTIONS,
+  DEFAULT_CHANNELS,
+  DEFAULT_COOLDOWN_MINUTES,
+  MIN_COOLDOWN_MINUTES,
+  MAX_COOLDOWN_MINUTES,
+  DEFAULT_EX_DIVIDEND_DAYS,
+  MAX_EX_DIVIDEND_DAYS,
+  DEFAULT_ALERT_CURRENCY
+} = require('./types');
+
+const ALERT_TYPE_VALUES = Object.values(ALERT_TYPES);
+const CHANNEL_VALUES = Object.values(ALERT_CHANNELS);
+
+/**
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Redondea a 2 decimales para los mensajes y el historial
+ * @param {number} num
+ * @returns {number}
+ */
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Clave del valor de portafolio de una alerta: el total del usuario o
+ * una cuenta, en una moneda
+ *
+ * @param {{userId: string, accountId?: string, currency?: string}} alert
+ * @returns {string}
+ */
+function getPortfolioValueKey(alert) {
+  return `${alert.userId}_${alert.accountId || 'overall'}_${alert.currency || DEFAULT_ALERT_CURRENCY}`;
+}
+
+// ============================================================================
+// VALIDACIÓN
+// ============================================================================
+
+/**
+ * Valida y normaliza los datos de una alerta
+ *
+ * @param {Object} data - Datos recibidos
+ * @returns {Object} Alerta normalizada (sin id, userId ni estado)
+ * @throws {Error} Si los datos no son válidos
+ */
+function validateAlert(data = {}) {
+  const type = data.type;
+  if (!ALERT_TYPE_VALUES.includes(type)) {
+    throw new Error(`type debe ser uno de: ${ALERT_TYPE_VALUES.join(', ')}`);
+  }
+
+  const alert = { type };
+
+  if (SYMBOL_ALERT_TYPES.includes(type)) {
+    const symbol = typeof data.symbol === 'string' ? data.symbol.trim().toUpperCase() : '';
+    if (!symbol) {
+      throw new Error('symbol es requerido');
+    }
+    alert.symbol = symbol;
+  }
+
+  if (type === ALERT_TYPES.CASH_BELOW || (type === ALERT_TYPES.PORTFOLIO_DRAWDOWN && data.accountId)) {
+    if (typeof data.accountId !== 'string' || !data.accountId.trim()) {
+      throw new Error('accountId es requerido');
+    }
+    alert.accountId = data.accountId.trim();
+  }
+
+  if (type === ALERT_TYPES.CASH_BELOW || type === ALERT_TYPES.PORTFOLIO_DRAWDOWN) {
+    alert.currency = typeof data.currency === 'string' && data.currency.trim()
+      ? data.currency.trim().toUpperCase()
+      : DEFAULT_ALERT_CURRENCY;
+  }
+
+  if (type === ALERT_TYPES.EX_DIVIDEND) {
+    const daysBefore = data.daysBefore === undefined ? DEFAULT_EX_DIVIDEND_DAYS : Number(data.daysBefore);
+    if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > MAX_EX_DIVIDEND_DAYS) {
+      throw new Error(`daysBefore debe ser un entero entre 0 y ${MAX_EX_DIVIDEND_DAYS}`);
+    }
+    alert.daysBefore = daysBefore;
+  } else {
+    const threshold = toNumber(data.threshold);
+    if (threshold === null) {
+      throw new Error('threshold debe ser un número');
+    }
+    const isPercent = type === ALERT_TYPES.DAILY_MOVE || type === ALERT_TYPES.PORTFOLIO_DRAWDOWN;
+    if (isPercent && !(threshold > 0 && threshold <= 100)) {
+      throw new Error('threshold debe ser un porcentaje mayor que 0 y hasta 100');
+    }
+    if (!isPercent && type !== ALERT_TYPES.CASH_BELOW && threshold <= 0) {
+      throw new Error('threshold debe ser un precio positivo');
+    }
+    alert.threshold = threshold;
+  }
+
+  if (type === ALERT_TYPES.DAILY_MOVE) {
+    const direction = data.direction || 'both';
+    if (!MOVE_DIRECTIONS.includes(direction)) {
+      throw new Error(`direction debe ser uno de: ${MOVE_DIRECTIONS.join(', ')}`);
+    }
+    alert.direction = direction;
+  }
+
+  const channels = data.channels === undefined ? DEFAULT_CHANNELS : data.channels;
+  if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !CHANNEL_VALUES.includes(channel))) {
+    throw new Error(`channels debe ser una lista con: ${CHANNEL_VALUES.join(', ')}`);
+  }
+  alert.channels = [...new Set(channels)];
+
+  if (alert.channels.includes(ALERT_CHANNELS.WEBHOOK)) {
+    let webhookUrl;
+    try {
+      webhookUrl = new URL(String(data.webhookUrl || ''));
+    } catch (error) {
+      throw new Error('webhookUrl no es válida');
+    }
+    if (webhookUrl.protocol !== 'https:') {
+      throw new Error('webhookUrl debe ser una URL https');
+    }
+    alert.webhookUrl = webhookUrl.toString();
+  }
+
+  if (alert.channels.includes(ALERT_CHANNELS.EMAIL)) {
+    if (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      throw new Error('email no es válido');
+    }
+    alert.email = data.email.trim();
+  }
+
+  const cooldownMinutes = data.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : Number(data.cooldownMinutes);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < MIN_COOLDOWN_MINUTES || cooldownMinutes > MAX_COOLDOWN_MINUTES) {
+    throw new Error(`cooldownMinutes debe ser un entero entre ${MIN_COOLDOWN_MINUTES} y ${MAX_COOLDOWN_MINUTES}`);
+  }
+  alert.cooldownMinutes = cooldownMinutes;
+
+  alert.isActive = data.isActive === undefined ? true : Boolean(data.isActive);
+  if (data.note) alert.note = String(data.note);
+
+  return alert;
+}
+
+// ============================================================================
+// EVALUACIÓN
+// ============================================================================
+
+/**
+ * Documento de currentPrices del ticker de la alerta
+ * @param {import('./types').Alert} alert
+ * @param {import('./types').AlertContext} context
+ * @returns {Object|null}
+ */
+function getPriceDoc(alert, context) {
+  return context.prices.get(alert.symbol) || null;
+}
+
+/**
+ * Evaluadores por tipo
+ * @type {Object.<string, function(import('./types').Alert, import('./types').AlertContext): import('./types').AlertEvaluation|null>}
+ */
+const EVALUATORS = {
+  [ALERT_TYPES.PRICE_ABOVE]: (alert, context) => {
+    const price = toNumber(getPriceDoc(alert, context)?.price);
+    if (price === null) return null;
+    return {
+      triggered: price >= alert.threshold,
+      value: price,
+      message: `${alert.symbol} cotiza a ${price}, por encima de ${alert.threshold}`
+    };
+  },
+
+  [ALERT_TYPES.PRICE_BELOW]: (alert, context) => {
+    const price = toNumber(getPriceDoc(alert, context)?.price);
+    if (price === null) return null;
+    return {
+      triggered: price <= alert.threshold,
+      value: price,
+      message: `${alert.symbol} cotiza a ${price}, por debajo de ${alert.threshold}`
+    };
+  },
+
+  [ALERT_TYPES.DAILY_MOVE]: (alert, context) => {
+    const percentChange = toNumber(getPriceDoc(alert, context)?.percentChange);
+    if (percentChange === null) return null;
+
+    const direction = alert.direction || 'both';
+    const triggered = (direction !== 'down' && percentChange >= alert.threshold)
+      || (direction !== 'up' && percentChange <= -alert.threshold);
+
+    return {
+      triggered,
+      value: percentChange,
+      message: `${alert.symbol} se mueve ${percentChange > 0 ? '+' : ''}${round2(percentChange)}% hoy (umbral ${alert.threshold}%)`
+    };
+  },
+
+  [ALERT_TYPES.PORTFOLIO_DRAWDOWN]: (alert, context) => {
+    const current = context.portfolioValues.get(getPortfolioValueKey(alert));
+    const value = toNumber(current?.totalValue);
+    if (value === null) return null;
+
+    // El máximo se acumula desde que se creó la alerta
+    const peakValue = Math.max(toNumber(alert.state?.peakValue) || 0, value);
+    const drawdown = peakValue > 0 ? ((peakValue - value) / peakValue) * 100 : 0;
+    const scope = alert.accountId ? `La cuenta ${alert.accountId}` : 'El portafolio';
+
+    return {
+      triggered: drawdown >= alert.threshold,
+      value: round2(drawdown),
+      message: `${scope} cae ${round2(drawdown)}% desde su máximo de ${round2(peakValue)} ${alert.currency}`,
+      state: { peakValue }
+    };
+  },
+
+  [ALERT_TYPES.CASH_BELOW]: (alert, context) => {
+    const account = context.accounts.get(alert.accountId);
+    if (!account || account.userId !== alert.userId || account.isActive === false) return null;
+
+    const balance = toNumber(account.balances?.[alert.currency]) || 0;
+    return {
+      triggered: balance < alert.threshold,
+      value: balance,
+      message: `El saldo de ${account.name || alert.accountId} es ${round2(balance)} ${alert.currency}, por debajo de ${alert.threshold}`
+    };
+  },
+
+  [ALERT_TYPES.EX_DIVIDEND]: (alert, context) => {
+    const exDividendDate = parseDividendDate(getPriceDoc(alert, context)?.exDividend);
+    if (!exDividendDate) return null;
+
+    const daysUntil = DateTime.fromISO(exDividendDate, { zone: 'utc' })
+      .diff(DateTime.fromISO(context.today, { zone: 'utc' }), 'days').days;
+    const daysBefore = alert.daysBefore ?? DEFAULT_EX_DIVIDEND_DAYS;
+
+    // Una sola notificación por fecha ex-dividendo
+    const triggered = daysUntil >= 0 && daysUntil <= daysBefore
+      && alert.state?.lastExDividendDate !== exDividendDate;
+
+    return {
+      triggered,
+      value: exDividendDate,
+      message: daysUntil === 0
+        ? `Hoy es la fecha ex-dividendo de ${alert.symbol}`
+        : `La fecha ex-dividendo de ${alert.symbol} es el ${exDividendDate} (en ${daysUntil} días)`,
+      state: triggered ? { lastExDividendDate: exDividendDate } : {}
+    };
+  }
+};
+
+/**
+ * Evalúa una alerta contra los datos del ciclo
+ *
+ * @param {import('./types').Alert} alert
+ * @param {import('./types').AlertContext} context
+ * @returns {import('./types').AlertEvaluation|null} null si no hay datos para evaluarla
+ */
+function evaluateAlert(alert, context) {
+  const evaluator = EVALUATORS[alert.type];
+  if (!evaluator) return null;
+
+  const result = evaluator(alert, context);
+  if (!result) return null;
+
+  return { ...result, state: { ...(alert.state || {}), ...(result.state || {}) } };
+}
+
+/**
+ * Indica si la alerta disparó hace menos de cooldownMinutes
+ *
+ * @param {import('./types').Alert} alert
+ * @param {number} now - Epoch en ms
+ * @returns {boolean}
+ */
+function isInCooldown(alert, now) {
+  if (!alert.lastTriggeredAt) return false;
+  const lastTriggered = Date.parse(alert.lastTriggeredAt);
+  if (Number.isNaN(lastTriggered)) return false;
+  const cooldownMinutes = alert.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  return now - lastTriggered < cooldownMinutes * 60 * 1000;
+}
+
+module.exports = {
+  getPortfolioValueKey,
+  validateAlert,
+  evaluateAlert,
+  isInCooldown
+};
@@ -0,0 +1,30 @@
+/**
+ * Alerts Module Index
+ *
+ * Exporta las alertas de precio y portafolio (CRUD, historial de disparos,
+ * evaluación en el ciclo de mercado y canales de notificación).
+ *
+ * @module services/alerts
+ */
+
+const types = require('./types');
+const evaluators = require('./evaluators');
+const notifiers = require('./notifiers');
+const alertService = require('./alertService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...alertService,
+  validateAlert: evaluators.validateAlert,
+  setNotifier: notifiers.setNotifier,
+  resetNotifiers: notifiers.resetNotifiers,
+
+  // Servicios individuales
+  evaluators,
+  notifiers,
+  alertService
+};
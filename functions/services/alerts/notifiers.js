@@ -0,0 +1,112 @@
+/**
+ * Alert Notifiers
+ *
+ * Canales de entrega de las alertas disparadas:
+ * - inbox: documento en userData/{userId}/notifications
+ * - webhook: POST JSON a la URL de la alerta, solo a direcciones públicas y
+ *   sin seguir redirecciones (ver services/webhooks/destination)
+ * - email: stub que solo registra el envío (sin proveedor de correo)
+ *
+ * Los canales viven en un registro reemplazable con setNotifier, de modo
+ * que los tests (o un proveedor real de email) no dependen de la red.
+ *
+ * @module services/alerts/notifiers
+ */
+
+const axios = require('axios');
+const admin = require('../firebaseAdmin');
+const { assertPublicDestination, deliveryAgent } = require('../webhooks/destination');
+const {
+  ALERT_CHANNELS,
+  NOTIFICATIONS_SUBCOLLECTION,
+  WEBHOOK_TIMEOUT_MS
+} = require('./types');
+
+/**
+ * Entrega una notificación por un canal
+ * @callback Notifier
+ * @param {import('./types').AlertNotification} notification
+ * @param {import('./types').Alert} alert
+ * @returns {Promise<Object|void>} Detalle de la entrega
+ */
+
+/** @type {Object.<string, Notifier>} */
+const DEFAULT_NOTIFIERS = {
+  [ALERT_CHANNELS.INBOX]: async (notification) => {
+    const ref = await admin.firestore()
+      .collection('userData').doc(notification.userId)
+      .collection(NOTIFICATIONS_SUBCOLLECTION)
+      .add({
+        ...notification,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    return { notificationId: ref.id };
+  },
+
+  [ALERT_CHANNELS.WEBHOOK]: async (notification, alert) => {
+    await assertPublicDestination(alert.webhookUrl);
+    const response = await axios.post(alert.webhookUrl, notification, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpsAgent: deliveryAgent
+    });
+    return { status: response.status };
+  },
+
+  [ALERT_CHANNELS.EMAIL]: async (notification, alert) => {
+    console.log(`[alertNotifiers][email] (stub) Para: ${alert.email} - ${notification.message}`);
+    return { stub: true };
+  }
+};
+
+let notifiers = { ...DEFAULT_NOTIFIERS };
+
+/**
+ * Reemplaza el notificador de un canal
+ * @param {string} channel - Ver ALERT_CHANNELS
+ * @param {Notifier} notifier
+ */
+function setNotifier(channel, notifier) {
+  if (!Object.values(ALERT_CHANNELS).includes(channel)) {
+    throw new Error(`Canal no soportado: ${channel}`);
+  }
+  notifiers[channel] = notifier;
+}
+
+/**
+ * Restaura los notificadores por defecto
+ */
+function resetNotifiers() {
+  notifiers = { ...DEFAULT_NOTIFIERS };
+}
+
+/**
+ * Entrega la notificación por los canales de la alerta. Un canal que falla
+ * no impide los demás.
+ *
+ * @param {import('./types').AlertNotification} notification
+ * @param {import('./types').Alert} alert
+ * @returns {Promise<Array<{channel: string, success: boolean, result?: Object, error?: string}>>}
+ */
+async function deliverNotification(notification, alert) {
+  const deliveries = [];
+
+  for (const channel of alert.channels || []) {
+    try {
+      const result = await notifiers[channel](notification, alert);
+      deliveries.push({ channel, success: true, result: result || null });
+    } catch (error) {
+      console.error(`[alertNotifiers][${channel}] Error entregando alerta ${notification.alertId}:`, error.message);
+      deliveries.push({ channel, success: false, error: error.message });
+    }
+  }
+
+  return deliveries;
+}
+
+module.exports = {
+  setNotifier,
+  resetNotifiers,
+  deliverNotification
+};
@@ -0,0 +1,167 @@
+/**
+ * Alerts Types
+ *
+ * Tipos y constantes para las alertas de precio y portafolio definidas por
+ * el usuario y evaluadas al final de cada ciclo de unifiedMarketDataUpdate.
+ *
+ * @module services/alerts/types
+ */
+
+/**
+ * Tipo de alerta
+ * - priceAbove / priceBelow: precio de `symbol` cruza `threshold`
+ * - dailyMove: variación porcentual del día de `symbol` >= `threshold` (en `direction`)
+ * - portfolioDrawdown: caída porcentual del valor del portafolio (o de `accountId`)
+ *   desde su máximo observado >= `threshold`
+ * - cashBelow: saldo de `accountId` en `currency` < `threshold`
+ * - exDividend: la fecha ex-dividendo de `symbol` está a `daysBefore` días o menos
+ * @typedef {'priceAbove' | 'priceBelow' | 'dailyMove' | 'portfolioDrawdown' | 'cashBelow' | 'exDividend'} AlertType
+ */
+
+/**
+ * Canal de notificación
+ * @typedef {'inbox' | 'webhook' | 'email'} AlertChannel
+ */
+
+/**
+ * Documento de `alerts`
+ * @typedef {Object} Alert
+ * @property {string} id - ID del documento
+ * @property {string} userId - Dueño de la alerta
+ * @property {AlertType} type - Tipo de alerta
+ * @property {string} [symbol] - Ticker (priceAbove, priceBelow, dailyMove, exDividend)
+ * @property {string} [accountId] - Cuenta (cashBelow; opcional en portfolioDrawdown)
+ * @property {string} [currency] - Moneda del valor o saldo (portfolioDrawdown, cashBelow)
+ * @property {number} [threshold] - Precio, porcentaje o saldo según el tipo
+ * @property {'up' | 'down' | 'both'} [direction] - Sentido del movimiento (dailyMove)
+ * @property {number} [daysBefore] - Días de anticipación (exDividend)
+ * @property {AlertChannel[]} channels - Canales de notificación
+ * @property {string} [webhookUrl] - URL del canal webhook
+ * @property {string} [email] - Destinatario del canal email
+ * @property {number} cooldownMinutes - Minutos mínimos entre disparos
+ * @property {boolean} isActive - Si se evalúa en el ciclo
+ * @property {AlertState} state - Estado que se conserva entre ciclos
+ * @property {string|null} lastTriggeredAt - Último disparo (ISO)
+ * @property {number} triggerCount - Disparos acumulados
+ * @property {string} [note] - Nota del usuario
+ */
+
+/**
+ * Estado de una alerta entre ciclos
+ * @typedef {Object} AlertState
+ * @property {number} [peakValue] - Máximo valor observado (portfolioDrawdown)
+ * @property {string} [lastExDividendDate] - Última fecha ex-dividendo notificada (exDividend)
+ */
+
+/**
+ * Datos del ciclo con los que se evalúan las alertas
+ * @typedef {Object} AlertContext
+ * @property {Map<string, Object>} prices - Ticker → documento de currentPrices
+ * @property {Map<string, {date: string, totalValue: number}>} portfolioValues - Clave de getPortfolioValueKey → valor
+ * @property {Map<string, Object>} accounts - ID → documento de portfolioAccounts
+ * @property {string} today - Fecha actual (YYYY-MM-DD, NY)
+ */
+
+/**
+ * Resultado de evaluar una alerta
+ * @typedef {Object} AlertEvaluation
+ * @property {boolean} triggered - Si se cumple la condición
+ * @property {number|string} value - Valor observado (precio, porcentaje, saldo o fecha)
+ * @property {string} message - Texto de la notificación
+ * @property {AlertState} state - Estado actualizado
+ */
+
+/**
+ * Notificación entregada por los canales
+ * @typedef {Object} AlertNotification
+ * @property {string} alertId
+ * @property {string} userId
+ * @property {AlertType} type
+ * @property {string|null} symbol
+ * @property {string|null} accountId
+ * @property {number|string} value
+ * @property {number|null} threshold
+ * @property {string} message
+ * @property {string} triggeredAt - ISO
+ */
+
+/** Colección de alertas */
+const ALERTS_COLLECTION = 'alerts';
+
+/** Colección del historial de disparos */
+const ALERT_TRIGGERS_COLLECTION = 'alertTriggers';
+
+/** Subcolección de userData/{userId} que actúa como bandeja de entrada */
+const NOTIFICATIONS_SUBCOLLECTION = 'notifications';
+
+/** Tipos de alerta */
+const ALERT_TYPES = {
+  PRICE_ABOVE: 'priceAbove',
+  PRICE_BELOW: 'priceBelow',
+  DAILY_MOVE: 'dailyMove',
+  PORTFOLIO_DRAWDOWN: 'portfolioDrawdown',
+  CASH_BELOW: 'cashBelow',
+  EX_DIVIDEND: 'exDividend'
+};
+
+/** Tipos que requieren symbol */
+const SYMBOL_ALERT_TYPES = [
+  ALERT_TYPES.PRICE_ABOVE,
+  ALERT_TYPES.PRICE_BELOW,
+  ALERT_TYPES.DAILY_MOVE,
+  ALERT_TYPES.EX_DIVIDEND
+];
+
+/** Canales de notificación */
+const ALERT_CHANNELS = {
+  INBOX: 'inbox',
+  WEBHOOK: 'webhook',
+  EMAIL: 'email'
+};
+
+/** Sentidos del movimiento diario */
+const MOVE_DIRECTIONS = ['up', 'down', 'both'];
+
+/** Canales por defecto */
+const DEFAULT_CHANNELS = [ALERT_CHANNELS.INBOX];
+
+/** Minutos entre disparos: por defecto un día; el mínimo es un ciclo del scheduler */
+const DEFAULT_COOLDOWN_MINUTES = 1440;
+const MIN_COOLDOWN_MINUTES = 5;
+const MAX_COOLDOWN_MINUTES = 43200;
+
+/** Días de anticipación de la alerta ex-dividendo */
+const DEFAULT_EX_DIVIDEND_DAYS = 3;
+const MAX_EX_DIVIDEND_DAYS = 30;
+
+/** Moneda por defecto de las alertas de portafolio y saldo */
+const DEFAULT_ALERT_CURRENCY = 'USD';
+
+/** Alertas por usuario */
+const MAX_ALERTS_PER_USER = 50;
+
+/** Disparos devueltos por defecto en el historial */
+const DEFAULT_TRIGGER_HISTORY_LIMIT = 50;
+
+/** Timeout del canal webhook */
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+module.exports = {
+  ALERTS_COLLECTION,
+  ALERT_TRIGGERS_COLLECTION,
+  NOTIFICATIONS_SUBCOLLECTION,
+  ALERT_TYPES,
+  SYMBOL_ALERT_TYPES,
+  ALERT_CHANNELS,
+  MOVE_DIRECTIONS,
+  DEFAULT_CHANNELS,
+  DEFAULT_COOLDOWN_MINUTES,
+  MIN_COOLDOWN_MINUTES,
+  MAX_COOLDOWN_MINUTES,
+  DEFAULT_EX_DIVIDEND_DAYS,
+  MAX_EX_DIVIDEND_DAYS,
+  DEFAULT_ALERT_CURRENCY,
+  MAX_ALERTS_PER_USER,
+  DEFAULT_TRIGGER_HISTORY_LIMIT,
+  WEBHOOK_TIMEOUT_MS
+};
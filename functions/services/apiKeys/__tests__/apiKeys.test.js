@@ -0,0 +1,295 @@
+/**
+ * Tests para services/apiKeys
+ *
+ * Verifica hashing, validación de quotas y scopes, la resolución de keys
+ * (formato y cache), los contadores de quota
+ * por ventana fija y el middleware de X-API-Key (key maestra, fallback demo,
+ * revocación, scopes y quotas).
+ *
+ * @module __tests__/services/apiKeys.test
+ */
+
+const mockSetShard = jest.fn().mockResolvedValue(undefined);
+const mockKeyQuery = jest.fn();
+const mockDb = {
+  collection: jest.fn(() => ({
+    doc: jest.fn(id => ({ id, set: mockSetShard })),
+    where: () => ({ limit: () => ({ get: mockKeyQuery }) })
+  })),
+  getAll: jest.fn()
+};
+
+jest.mock('../../firebaseAdmin', () => ({
+  firestore: Object.assign(jest.fn(() => mockDb), {
+    FieldValue: { serverTimestamp: jest.fn(), increment: jest.fn(n => ({ increment: n })) }
+  })
+}));
+
+jest.mock('../apiKeyService', () => ({
+  ...jest.requireActual('../apiKeyService'),
+  findKey: jest.fn(),
+  consumeQuota: jest.fn(),
+  recordUsage: jest.fn()
+}));
+
+const apiKeyService = require('../apiKeyService');
+const { createApiKeyMiddleware } = require('../apiKeyMiddleware');
+const { ALL_SCOPES, DEFAULT_QUOTAS, MAX_QUOTAS, QUOTA_SHARDS } = require('../types');
+const { consumeQuota, findKey, clearCache } = jest.requireActual('../apiKeyService');
+
+const {
+  generateApiKey,
+  hashApiKey,
+  normalizeQuotas,
+  normalizeScopes,
+  isRouteAllowed
+} = apiKeyService;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const CLIENT = {
+  keyId: 'key1',
+  isActive: true,
+  clientName: 'Cliente',
+  scopes: ['/quote', '/news'],
+  quotas: { perMinute: 10, perDay: 100 }
+};
+
+function createRequest(apiKey, path = '/quote') {
+  return { path, get: () => apiKey };
+}
+
+function createResponse() {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((name, value) => { res.headers[name] = value; });
+  res.on = jest.fn();
+  return res;
+}
+
+async function run(apiKey, path) {
+  const fallback = jest.fn();
+  const middleware = createApiKeyMiddleware({ masterKey: 'master', fallback });
+  const req = createRequest(apiKey, path);
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next, fallback };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('apiKeyService', () => {
+  it('genera keys con prefijo y hash estable', () => {
+    const key = generateApiKey();
+
+    expect(key).toMatch(/^gfa_[0-9a-f]{64}$/);
+    expect(generateApiKey()).not.toBe(key);
+    expect(hashApiKey(key)).toBe(hashApiKey(key));
+    expect(hashApiKey(key)).toHaveLength(64);
+    expect(hashApiKey(key)).not.toContain(key);
+  });
+
+  it('aplica quotas por defecto y valida máximos', () => {
+    expect(normalizeQuotas()).toEqual(DEFAULT_QUOTAS);
+    expect(normalizeQuotas({ perMinute: 5 })).toEqual({ ...DEFAULT_QUOTAS, perMinute: 5 });
+    expect(() => normalizeQuotas({ perDay: MAX_QUOTAS.perDay + 1 })).toThrow(/quotas.perDay/);
+    expect(() => normalizeQuotas({ perMinute: 0 })).toThrow(/quotas.perMinute/);
+    expect(() => normalizeQuotas({ perMinute: 50, perDay: 10 })).toThrow(/mayor que/);
+  });
+
+  it('normaliza scopes y verifica rutas', () => {
+    expect(normalizeScopes()).toEqual([ALL_SCOPES]);
+    expect(normalizeScopes(['quote', '/news/', '/quote'])).toEqual(['/quote', '/news']);
+    expect(() => normalizeScopes([])).toThrow(/scopes/);
+
+    expect(isRouteAllowed(['/news'], '/news/batch')).toBe(true);
+    expect(isRouteAllowed(['/quote'], '/quotes')).toBe(false);
+    expect(isRouteAllowed(['/quote'], '/usage')).toBe(true);
+    expect(isRouteAllowed([ALL_SCOPES], '/indices')).toBe(true);
+  });
+});
+
+describe('findKey', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+  });
+
+  it('descarta sin consultar Firestore las keys con otro formato', async () => {
+    expect(await findKey('gfa_unknown')).toBeNull();
+    expect(await findKey('x'.repeat(68))).toBeNull();
+    expect(await findKey(`gfa_${'G'.repeat(64)}`)).toBeNull();
+    expect(mockKeyQuery).not.toHaveBeenCalled();
+  });
+
+  it('cachea las keys encontradas pero no las desconocidas', async () => {
+    const unknown = generateApiKey();
+    mockKeyQuery.mockResolvedValue({ empty: true, docs: [] });
+    expect(await findKey(unknown)).toBeNull();
+    expect(await findKey(unknown)).toBeNull();
+    expect(mockKeyQuery).toHaveBeenCalledTimes(2);
+
+    const known = generateApiKey();
+    mockKeyQuery.mockResolvedValue({
+      empty: false,
+      docs: [{ id: 'key1', data: () => ({ isActive: true, clientName: 'Cliente', scopes: ['/quote'] }) }]
+    });
+    expect(await findKey(known)).toMatchObject({ keyId: 'key1', isActive: true, quotas: DEFAULT_QUOTAS });
+    await findKey(known);
+    expect(mockKeyQuery).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('consumeQuota', () => {
+  /** 2025-01-15 10:30:20 UTC */
+  const NOW = Date.UTC(2025, 0, 15, 10, 30, 20);
+
+  const shards = (...data) => Array.from({ length: QUOTA_SHARDS }, (_, i) =>
+    (data[i] ? { exists: true, data: () => data[i] } : { exists: false })
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('suma los shards del día y cuenta el request en uno de ellos', async () => {
+    mockDb.getAll.mockResolvedValue(shards(
+      { count: 40, minutes: { '1030': 3, '1029': 5 } },
+      { count: 10, minutes: { '1030': 2 } }
+    ));
+
+    const quota = await consumeQuota(CLIENT, NOW);
+
+    expect(mockDb.getAll.mock.calls[0].map(ref => ref.id)).toEqual(
+      Array.from({ length: QUOTA_SHARDS }, (_, i) => `key1_20250115_${i}`)
+    );
+    expect(quota.minute).toEqual({ limit: 10, remaining: 4, reset: '2025-01-15T10:31:00.000Z' });
+    expect(quota.day).toEqual({ limit: 100, remaining: 49, reset: '2025-01-16T00:00:00.000Z' });
+    expect(mockSetShard).toHaveBeenCalledTimes(1);
+    expect(mockSetShard).toHaveBeenCalledWith(expect.objectContaining({
+      keyId: 'key1',
+      count: { increment: 1 },
+      minutes: { '1030': { increment: 1 } }
+    }), { merge: true });
+  });
+
+  it('rechaza sin consumir la quota por minuto si el día está agotado', async () => {
+    mockDb.getAll.mockResolvedValue(shards({ count: 100, minutes: {} }));
+
+    await expect(consumeQuota(CLIENT, NOW)).rejects.toMatchObject({
+      code: 'resource-exhausted',
+      details: { limit: 100, retryAfter: 48580 }
+    });
+    expect(mockSetShard).not.toHaveBeenCalled();
+  });
+
+  it('rechaza hasta el próximo minuto si la quota por minuto está agotada', async () => {
+    mockDb.getAll.mockResolvedValue(shards({ count: 20, minutes: { '1030': 6 } }, { count: 5, minutes: { '1030': 4 } }));
+
+    await expect(consumeQuota(CLIENT, NOW)).rejects.toMatchObject({
+      code: 'resource-exhausted',
+      details: { limit: 10, retryAfter: 40 }
+    });
+    expect(mockSetShard).not.toHaveBeenCalled();
+  });
+});
+
+describe('createApiKeyMiddleware', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('usa el fallback sin key, con demo o con una key desconocida', async () => {
+    apiKeyService.findKey.mockResolvedValue(null);
+
+    expect((await run(undefined)).fallback).toHaveBeenCalled();
+    expect((await run('demo')).fallback).toHaveBeenCalled();
+    expect((await run('gfa_unknown')).fallback).toHaveBeenCalled();
+    expect(apiKeyService.findKey).toHaveBeenCalledTimes(1);
+  });
+
+  it('deja pasar la key maestra sin quotas', async () => {
+    const { next, fallback } = await run('master');
+
+    expect(next).toHaveBeenCalled();
+    expect(fallback).not.toHaveBeenCalled();
+    expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+  });
+
+  it('rechaza keys revocadas con 401', async () => {
+    apiKeyService.findKey.mockResolvedValue({ ...CLIENT, isActive: false });
+
+    const { res, next } = await run('gfa_revoked');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'API_KEY_REVOKED' }));
+  });
+
+  it('rechaza rutas fuera de scope con 403', async () => {
+    apiKeyService.findKey.mockResolvedValue(CLIENT);
+
+    const { res } = await run('gfa_valid', '/indices');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+  });
+
+  it('consume quota, expone headers y registra uso', async () => {
+    apiKeyService.findKey.mockResolvedValue(CLIENT);
+    apiKeyService.consumeQuota.mockResolvedValue({
+      minute: { limit: 10, remaining: 9 },
+      day: { limit: 100, remaining: 99 }
+    });
+
+    const { req, res, next } = await run('gfa_valid', '/news/batch');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.apiClient).toBe(CLIENT);
+    expect(res.headers['X-RateLimit-Remaining']).toBe('9');
+    expect(res.headers['X-RateLimit-Daily-Remaining']).toBe('99');
+
+    const [event, onFinish] = res.on.mock.calls[0];
+    expect(event).toBe('finish');
+    res.statusCode = 200;
+    onFinish();
+    expect(apiKeyService.recordUsage).toHaveBeenCalledWith('key1', '/news/batch', 200);
+  });
+
+  it('responde 429 con Retry-After al exceder la quota', async () => {
+    apiKeyService.findKey.mockResolvedValue(CLIENT);
+    apiKeyService.consumeQuota.mockRejectedValue(
+      Object.assign(new Error('Rate limit exceeded'), {
+        code: 'resource-exhausted',
+        details: { limit: 10, retryAfter: 42 }
+      })
+    );
+
+    const { res, next } = await run('gfa_valid');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['Retry-After']).toBe('42');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'QUOTA_EXCEEDED', retryAfter: 42 }));
+  });
+
+  it('no bloquea el request si el limitador falla', async () => {
+    apiKeyService.findKey.mockResolvedValue(CLIENT);
+    apiKeyService.consumeQuota.mockRejectedValue(new Error('Firestore unavailable'));
+
+    const { next } = await run('gfa_valid');
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * API Key Middleware
+ *
+ * Middleware Express para el header X-API-Key:
+ * - Sin key, con una key mal formada o desconocida: se aplica el limitador
+ *   demo (fallback); las mal formadas no llegan a consultar Firestore
+ * - process.env.API_KEY: acceso sin límites (key maestra)
+ * - Key emitida: valida scopes y quotas, y registra el uso diario
+ * - Key revocada: 401
+ *
+ * @module services/apiKeys/apiKeyMiddleware
+ */
+
+const {
+  findKey,
+  isRouteAllowed,
+  consumeQuota,
+  recordUsage
+} = require('./apiKeyService');
+
+/**
+ * Crea el middleware de API keys
+ *
+ * @param {Object} options
+ * @param {string} [options.masterKey] - Key con acceso sin límites
+ * @param {function(Object, Object, function): void} options.fallback - Middleware para requests sin key válida
+ * @returns {function(Object, Object, function): Promise<void>}
+ *
+ * @example
+ * app.use(createApiKeyMiddleware({ masterKey: process.env.API_KEY, fallback: demoApiLimiter }));
+ */
+function createApiKeyMiddleware({ masterKey, fallback }) {
+  return async function apiKeyMiddleware(req, res, next) {
+    const apiKey = req.get('X-API-Key');
+
+    if (!apiKey || apiKey === 'demo') {
+      return fallback(req, res, next);
+    }
+    if (masterKey && apiKey === masterKey) {
+      return next();
+    }
+
+    let client;
+    try {
+      client = await findKey(apiKey);
+    } catch (error) {
+      console.error('[apiKeyMiddleware] Error resolviendo API key:', error);
+      return fallback(req, res, next);
+    }
+
+    if (!client) {
+      return fallback(req, res, next);
+    }
+
+    if (!client.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'API_KEY_REVOKED',
+        message: 'La API key fue revocada'
+      });
+    }
+
+    if (!isRouteAllowed(client.scopes, req.path)) {
+      return res.status(403).json({
+        success: false,
+        error: 'SCOPE_NOT_ALLOWED',
+        message: `La API key no tiene acceso a ${req.path}`
+      });
+    }
+
+    try {
+      const quota = await consumeQuota(client);
+      res.set('X-RateLimit-Limit', String(quota.minute.limit));
+      res.set('X-RateLimit-Remaining', String(quota.minute.remaining));
+      res.set('X-RateLimit-Daily-Remaining', String(quota.day.remaining));
+    } catch (error) {
+      if (error.code === 'resource-exhausted') {
+        const details = error.details || {};
+        console.warn(`[apiKeyMiddleware] Quota excedida - keyId: ${client.keyId}, limit: ${details.limit}`);
+        res.set('Retry-After', String(details.retryAfter || 60));
+        return res.status(429).json({
+          success: false,
+          error: 'QUOTA_EXCEEDED',
+          message: 'Quota de la API key excedida. Intente más tarde.',
+          limit: details.limit,
+          retryAfter: details.retryAfter
+        });
+      }
+      // Igual que los routers onCall: un fallo del limitador no bloquea el request
+      console.error(`[apiKeyMiddleware] Error de rate limiter - keyId: ${client.keyId}`, error);
+    }
+
+    req.apiClient = client;
+    res.on('finish', () => {
+      recordUsage(client.keyId, req.path, res.statusCode);
+    });
+
+    return next();
+  };
+}
+
+module.exports = {
+  createApiKeyMiddleware
+};
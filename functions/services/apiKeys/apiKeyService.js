@@ -0,0 +1,487 @@
+/**
+ * API Key Service
+ *
+ * Emisión, rotación, revocación y resolución de API keys por cliente.
+ * Las keys se guardan como hash SHA-256 (son aleatorias de 256 bits, no
+ * necesitan salt); el valor en claro solo se devuelve al emitir o rotar.
+ *
+ * Las quotas usan ventanas fijas (minuto y día UTC) con contadores
+ * repartidos en shards de apiKeyQuotas: ambas se verifican antes de registrar
+ * el request, que se cuenta con un increment sin transacción. El uso diario
+ * se acumula por ruta en apiKeyUsage/{keyId}/days/{YYYY-MM-DD}.
+ *
+ * @module services/apiKeys/apiKeyService
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { HttpsError } = require('firebase-functions/v2/https');
+const admin = require('../firebaseAdmin');
+const {
+  API_KEYS_COLLECTION,
+  API_KEY_USAGE_COLLECTION,
+  API_KEY_QUOTA_COLLECTION,
+  QUOTA_SHARDS,
+  API_KEY_PREFIX,
+  API_KEY_BYTES,
+  KEY_PREFIX_LENGTH,
+  ALL_SCOPES,
+  DEFAULT_QUOTAS,
+  MAX_QUOTAS,
+  QUOTA_WINDOWS,
+  KEY_CACHE_TTL,
+  ALWAYS_ALLOWED_ROUTES,
+  MAX_USAGE_DAYS
+} = require('./types');
+
+const db = admin.firestore();
+
+/** Formato de las keys que emite generateApiKey */
+const API_KEY_FORMAT = new RegExp(`^${API_KEY_PREFIX}[0-9a-f]{${API_KEY_BYTES * 2}}$`);
+
+const cache = new NodeCache({
+  stdTTL: KEY_CACHE_TTL,
+  checkperiod: 120,
+  useClones: false
+});
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Genera una key nueva en claro
+ * @returns {string}
+ */
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString('hex')}`;
+}
+
+/**
+ * Indica si un valor tiene el formato de una key emitida
+ * @param {string} apiKey
+ * @returns {boolean}
+ */
+function isWellFormedKey(apiKey) {
+  return typeof apiKey === 'string' && API_KEY_FORMAT.test(apiKey);
+}
+
+/**
+ * Hash de la key tal como se guarda en Firestore
+ * @param {string} apiKey
+ * @returns {string} SHA-256 en hex
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Normaliza y valida quotas contra los máximos
+ * @param {Object} [quotas]
+ * @returns {{perMinute: number, perDay: number}}
+ * @throws {Error} Si una quota no es un entero positivo o excede el máximo
+ */
+function normalizeQuotas(quotas = {}) {
+  const result = { ...DEFAULT_QUOTAS };
+
+  for (const field of ['perMinute', 'perDay']) {
+    if (quotas[field] === undefined) continue;
+    const value = Number(quotas[field]);
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_QUOTAS[field]) {
+      throw new Error(`quotas.${field} debe ser un entero entre 1 y ${MAX_QUOTAS[field]}`);
+    }
+    result[field] = value;
+  }
+
+  if (result.perMinute > result.perDay) {
+    throw new Error('quotas.perMinute no puede ser mayor que quotas.perDay');
+  }
+
+  return result;
+}
+
+/**
+ * Normaliza scopes a rutas con '/' inicial
+ * @param {string[]} [scopes]
+ * @returns {string[]}
+ * @throws {Error} Si scopes no es un array de strings no vacío
+ */
+function normalizeScopes(scopes) {
+  if (scopes === undefined) return [ALL_SCOPES];
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => typeof s !== 'string' || !s.trim())) {
+    throw new Error('scopes debe ser un array de rutas no vacío');
+  }
+
+  const normalized = scopes.map(s => {
+    const scope = s.trim();
+    if (scope === ALL_SCOPES) return scope;
+    return scope.startsWith('/') ? scope.replace(/\/+$/, '') || '/' : `/${scope}`;
+  });
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Indica si una ruta está permitida por los scopes de la key.
+ * Un scope '/news' también cubre sub-rutas como '/news/batch'.
+ *
+ * @param {string[]} scopes
+ * @param {string} path - req.path
+ * @returns {boolean}
+ */
+function isRouteAllowed(scopes, path) {
+  if (ALWAYS_ALLOWED_ROUTES.includes(path)) return true;
+  return scopes.some(scope =>
+    scope === ALL_SCOPES || path === scope || path.startsWith(`${scope}/`)
+  );
+}
+
+/**
+ * Vista pública de una key (sin hash)
+ * @param {string} id
+ * @param {Object} data
+ * @returns {Object}
+ */
+function toPublicKey(id, data) {
+  return {
+    keyId: id,
+    keyPrefix: data.keyPrefix,
+    clientName: data.clientName,
+    scopes: data.scopes,
+    quotas: data.quotas,
+    isActive: data.isActive
+  };
+}
+
+// ============================================================================
+// ADMINISTRACIÓN
+// ============================================================================
+
+/**
+ * Emite una key nueva
+ *
+ * @param {Object} params
+ * @param {string} params.clientName - Nombre del cliente
+ * @param {string[]} [params.scopes] - Rutas permitidas (default: todas)
+ * @param {Object} [params.quotas] - {perMinute, perDay}
+ * @param {string} params.createdBy - UID del admin
+ * @returns {Promise<Object>} Key pública más apiKey en claro (única vez que se devuelve)
+ */
+async function issueKey({ clientName, scopes, quotas, createdBy }) {
+  const apiKey = generateApiKey();
+  const data = {
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, KEY_PREFIX_LENGTH),
+    clientName,
+    scopes: normalizeScopes(scopes),
+    quotas: normalizeQuotas(quotas),
+    isActive: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    createdBy
+  };
+
+  const docRef = await db.collection(API_KEYS_COLLECTION).add(data);
+
+  console.log(`[apiKeyService][issueKey] keyId: ${docRef.id}, cliente: ${clientName}`);
+
+  return { ...toPublicKey(docRef.id, data), apiKey };
+}
+
+/**
+ * Rota una key: reemplaza el hash en el mismo documento, de modo que
+ * quotas, scopes y contadores de uso se conservan. La key anterior deja de
+ * ser válida (como máximo KEY_CACHE_TTL segundos después en otras instancias).
+ *
+ * @param {string} keyId
+ * @param {string} rotatedBy - UID del admin
+ * @returns {Promise<Object|null>} Key pública con la nueva apiKey, o null si no existe o está revocada
+ */
+async function rotateKey(keyId, rotatedBy) {
+  const docRef = db.collection(API_KEYS_COLLECTION).doc(keyId);
+  const doc = await docRef.get();
+
+  if (!doc.exists || !doc.data().isActive) return null;
+
+  const apiKey = generateApiKey();
+  const updates = {
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, KEY_PREFIX_LENGTH),
+    rotatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    rotatedBy
+  };
+
+  await docRef.update(updates);
+  cache.del(doc.data().keyHash);
+
+  console.log(`[apiKeyService][rotateKey] keyId: ${keyId}`);
+
+  return { ...toPublicKey(keyId, { ...doc.data(), ...updates }), apiKey };
+}
+
+/**
+ * Revoca una key
+ *
+ * @param {string} keyId
+ * @param {string} revokedBy - UID del admin
+ * @returns {Promise<boolean>} false si la key no existe
+ */
+async function revokeKey(keyId, revokedBy) {
+  const docRef = db.collection(API_KEYS_COLLECTION).doc(keyId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) return false;
+
+  await docRef.update({
+    isActive: false,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedBy
+  });
+  cache.del(doc.data().keyHash);
+
+  console.log(`[apiKeyService][revokeKey] keyId: ${keyId}`);
+
+  return true;
+}
+
+// ============================================================================
+// RESOLUCIÓN Y QUOTAS
+// ============================================================================
+
+/**
+ * Resuelve una key en claro a su registro (con cache en memoria)
+ *
+ * Las keys con otro formato se descartan sin consultar Firestore, y solo se
+ * cachean las keys encontradas: una key inventada no ocupa el cache.
+ *
+ * @param {string} apiKey
+ * @returns {Promise<{keyId: string, isActive: boolean, clientName: string, scopes: string[], quotas: Object}|null>}
+ */
+async function findKey(apiKey) {
+  if (!isWellFormedKey(apiKey)) return null;
+
+  const keyHash = hashApiKey(apiKey);
+  const cached = cache.get(keyHash);
+  if (cached !== undefined) return cached;
+
+  const snapshot = await db.collection(API_KEYS_COLLECTION)
+    .where('keyHash', '==', keyHash)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+
+  const doc = snapshot.docs[0];
+  const data = doc.data();
+  const record = {
+    keyId: doc.id,
+    isActive: data.isActive === true,
+    clientName: data.clientName,
+    scopes: data.scopes || [ALL_SCOPES],
+    quotas: { ...DEFAULT_QUOTAS, ...data.quotas }
+  };
+
+  cache.set(keyHash, record);
+  return record;
+}
+
+/**
+ * Ventanas fijas que contienen un instante
+ * @param {number} now - Timestamp en ms
+ * @returns {{dayKey: string, minuteKey: string, minuteReset: number, dayReset: number}}
+ */
+function getQuotaWindows(now) {
+  const iso = new Date(now).toISOString();
+  return {
+    dayKey: iso.slice(0, 10).replace(/-/g, ''),
+    minuteKey: iso.slice(11, 16).replace(':', ''),
+    minuteReset: Math.floor(now / QUOTA_WINDOWS.MINUTE) * QUOTA_WINDOWS.MINUTE + QUOTA_WINDOWS.MINUTE,
+    dayReset: Math.floor(now / QUOTA_WINDOWS.DAY) * QUOTA_WINDOWS.DAY + QUOTA_WINDOWS.DAY
+  };
+}
+
+/**
+ * Lee los shards del día y suma el uso del minuto y del día en curso
+ *
+ * @param {string} keyId
+ * @param {number} now - Timestamp en ms
+ * @returns {Promise<{refs: Object[], windows: Object, minute: number, day: number}>}
+ */
+async function readQuotaCounters(keyId, now) {
+  const windows = getQuotaWindows(now);
+  const refs = Array.from({ length: QUOTA_SHARDS }, (_, shard) =>
+    db.collection(API_KEY_QUOTA_COLLECTION).doc(`${keyId}_${windows.dayKey}_${shard}`)
+  );
+  const shards = await db.getAll(...refs);
+
+  let minute = 0;
+  let day = 0;
+  shards.forEach(doc => {
+    if (!doc.exists) return;
+    const data = doc.data();
+    day += data.count || 0;
+    minute += data.minutes?.[windows.minuteKey] || 0;
+  });
+
+  return { refs, windows, minute, day };
+}
+
+/**
+ * Info de una ventana en el formato de RateLimiter
+ * @param {number} limit
+ * @param {number} used - Requests ya contados en la ventana
+ * @param {number} reset - Fin de la ventana (ms)
+ * @returns {{limit: number, remaining: number, reset: string}}
+ */
+function toQuotaInfo(limit, used, reset) {
+  return { limit, remaining: Math.max(limit - used, 0), reset: new Date(reset).toISOString() };
+}
+
+/**
+ * Error de quota excedida con los mismos details que RateLimiter
+ * @param {number} limit
+ * @param {number} reset - Fin de la ventana (ms)
+ * @param {number} now - Timestamp en ms
+ * @returns {HttpsError}
+ */
+function quotaExceededError(limit, reset, now) {
+  return new HttpsError('resource-exhausted', 'Rate limit exceeded. Please try again later.', {
+    limit,
+    remaining: 0,
+    retryAfter: Math.ceil((reset - now) / 1000),
+    windowEnd: new Date(reset).toISOString()
+  });
+}
+
+/**
+ * Consume una unidad de las quotas por minuto y por día.
+ * Verifica ambas antes de contar el request, así que un request rechazado no
+ * consume quota. Los requests simultáneos pueden exceder el límite por pocos
+ * requests (la lectura y el increment no son una transacción).
+ *
+ * @param {import('./types').ApiClient} client
+ * @param {number} [now=Date.now()] - Timestamp en ms
+ * @returns {Promise<{minute: Object, day: Object}>} {limit, remaining, reset} por ventana
+ * @throws {HttpsError} resource-exhausted si alguna quota está agotada
+ */
+async function consumeQuota(client, now = Date.now()) {
+  const { perMinute, perDay } = client.quotas;
+  const { refs, windows, minute, day } = await readQuotaCounters(client.keyId, now);
+
+  if (day >= perDay) {
+    throw quotaExceededError(perDay, windows.dayReset, now);
+  }
+  if (minute >= perMinute) {
+    throw quotaExceededError(perMinute, windows.minuteReset, now);
+  }
+
+  const increment = admin.firestore.FieldValue.increment(1);
+  await refs[crypto.randomInt(QUOTA_SHARDS)].set({
+    keyId: client.keyId,
+    count: increment,
+    minutes: { [windows.minuteKey]: increment },
+    expiresAt: new Date(windows.dayReset + QUOTA_WINDOWS.DAY)
+  }, { merge: true });
+
+  return {
+    minute: toQuotaInfo(perMinute, minute + 1, windows.minuteReset),
+    day: toQuotaInfo(perDay, day + 1, windows.dayReset)
+  };
+}
+
+/**
+ * Acumula el uso diario por ruta (no bloquea la respuesta si falla)
+ *
+ * @param {string} keyId
+ * @param {string} path - Ruta consumida
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @returns {Promise<void>}
+ */
+async function recordUsage(keyId, path, statusCode) {
+  const date = new Date().toISOString().split('T')[0];
+  const increment = admin.firestore.FieldValue.increment(1);
+  const routeField = path.replace(/[./]/g, '_') || '_';
+
+  try {
+    await db.collection(API_KEY_USAGE_COLLECTION).doc(keyId)
+      .collection('days').doc(date)
+      .set({
+        date,
+        total: increment,
+        [statusCode >= 400 ? 'errors' : 'successful']: increment,
+        routes: { [routeField]: increment },
+        lastRequestAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+  } catch (error) {
+    console.error(`[apiKeyService][recordUsage] Error - keyId: ${keyId}`, error);
+  }
+}
+
+/**
+ * Uso de una key: quotas restantes y contadores de los últimos días
+ *
+ * @param {import('./types').ApiClient} client
+ * @param {number} [days=30] - Días de historial (máximo MAX_USAGE_DAYS)
+ * @returns {Promise<Object>}
+ */
+async function getUsage(client, days = 30) {
+  const safeDays = Math.min(Math.max(parseInt(days) || 30, 1), MAX_USAGE_DAYS);
+  const since = new Date(Date.now() - (safeDays - 1) * QUOTA_WINDOWS.DAY).toISOString().split('T')[0];
+
+  const [counters, snapshot] = await Promise.all([
+    readQuotaCounters(client.keyId, Date.now()),
+    db.collection(API_KEY_USAGE_COLLECTION).doc(client.keyId)
+      .collection('days')
+      .where('date', '>=', since)
+      .orderBy('date', 'asc')
+      .get()
+  ]);
+
+  const history = snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      date: data.date,
+      total: data.total || 0,
+      successful: data.successful || 0,
+      errors: data.errors || 0,
+      routes: data.routes || {}
+    };
+  });
+
+  return {
+    client: {
+      keyId: client.keyId,
+      clientName: client.clientName,
+      scopes: client.scopes
+    },
+    quotas: {
+      perMinute: toQuotaInfo(client.quotas.perMinute, counters.minute, counters.windows.minuteReset),
+      perDay: toQuotaInfo(client.quotas.perDay, counters.day, counters.windows.dayReset)
+    },
+    history,
+    totalRequests: history.reduce((sum, d) => sum + d.total, 0)
+  };
+}
+
+/**
+ * Limpia el cache de keys (para testing)
+ */
+function clearCache() {
+  cache.flushAll();
+}
+
+module.exports = {
+  generateApiKey,
+  isWellFormedKey,
+  hashApiKey,
+  normalizeQuotas,
+  normalizeScopes,
+  isRouteAllowed,
+  issueKey,
+  rotateKey,
+  revokeKey,
+  findKey,
+  consumeQuota,
+  recordUsage,
+  getUsage,
+  clearCache
+};
@@ -0,0 +1,28 @@
+/**
+ * API Keys Module Index
+ *
+ * Exporta el servicio y el middleware de API keys por cliente.
+ *
+ * @module services/apiKeys
+ */
+
+const types = require('./types');
+const apiKeyService = require('./apiKeyService');
+const apiKeyMiddleware = require('./apiKeyMiddleware');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Funciones principales
+  issueKey: apiKeyService.issueKey,
+  rotateKey: apiKeyService.rotateKey,
+  revokeKey: apiKeyService.revokeKey,
+  getUsage: apiKeyService.getUsage,
+  createApiKeyMiddleware: apiKeyMiddleware.createApiKeyMiddleware,
+
+  // Servicios individuales
+  apiKeyService,
+  apiKeyMiddleware
+};
@@ -0,0 +1,111 @@
+/**
+ * API Keys Types
+ *
+ * Tipos y constantes para las API keys por cliente de la API pública
+ * (quotas por minuto y por día, scopes de rutas y contabilidad de uso).
+ *
+ * @module services/apiKeys/types
+ */
+
+/**
+ * Documento de una API key en Firestore (la key en claro nunca se guarda)
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - ID del documento (estable entre rotaciones)
+ * @property {string} keyHash - SHA-256 de la key en hex
+ * @property {string} keyPrefix - Primeros caracteres de la key para identificarla
+ * @property {string} clientName - Nombre del cliente
+ * @property {string[]} scopes - Rutas permitidas ('/quote', '/news', ...) o ['*']
+ * @property {{perMinute: number, perDay: number}} quotas - Límites de uso
+ * @property {boolean} isActive - false si fue revocada
+ * @property {string} createdBy - UID del admin que la emitió
+ */
+
+/**
+ * Cliente resuelto a partir de una key válida (se adjunta en req.apiClient)
+ * @typedef {Object} ApiClient
+ * @property {string} keyId - ID del documento de la key
+ * @property {string} clientName - Nombre del cliente
+ * @property {string[]} scopes - Rutas permitidas
+ * @property {{perMinute: number, perDay: number}} quotas - Límites de uso
+ */
+
+/** Colección de API keys */
+const API_KEYS_COLLECTION = 'apiKeys';
+
+/** Colección de uso diario: apiKeyUsage/{keyId}/days/{YYYY-MM-DD} */
+const API_KEY_USAGE_COLLECTION = 'apiKeyUsage';
+
+/**
+ * Colección de contadores de quota: apiKeyQuotas/{keyId}_{YYYYMMDD}_{shard}.
+ * Cada shard lleva el total del día (count) y el de cada minuto (minutes.HHMM);
+ * expiresAt permite borrarlos con una política TTL de Firestore.
+ *
+ * No usa la ventana deslizante de utils/rateLimiter: guarda cada timestamp en
+ * un solo documento y lo reescribe en una transacción, lo que no escala a
+ * MAX_QUOTAS (hasta 20000 timestamps por día y 10 transacciones por segundo
+ * sobre el mismo documento).
+ */
+const API_KEY_QUOTA_COLLECTION = 'apiKeyQuotas';
+
+/**
+ * Shards del contador diario. Cada request incrementa uno al azar, así que una
+ * key reparte su carga entre QUOTA_SHARDS documentos (Firestore sostiene ~1
+ * escritura por segundo y documento); MAX_QUOTAS.perMinute son 10 por segundo
+ */
+const QUOTA_SHARDS = 10;
+
+/** Prefijo de las keys emitidas */
+const API_KEY_PREFIX = 'gfa_';
+
+/** Bytes aleatorios de una key (se codifican en hex tras el prefijo) */
+const API_KEY_BYTES = 32;
+
+/** Caracteres de la key visibles en listados y logs */
+const KEY_PREFIX_LENGTH = 12;
+
+/** Scope que permite todas las rutas */
+const ALL_SCOPES = '*';
+
+/** Quotas por defecto al emitir una key */
+const DEFAULT_QUOTAS = {
+  perMinute: 60,
+  perDay: 5000
+};
+
+/** Máximos permitidos */
+const MAX_QUOTAS = {
+  perMinute: 600,
+  perDay: 20000
+};
+
+/** Ventanas fijas de las quotas (minuto y día UTC) */
+const QUOTA_WINDOWS = {
+  MINUTE: 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000
+};
+
+/** TTL del cache de keys resueltas (segundos). Una revocación tarda como máximo esto en aplicar */
+const KEY_CACHE_TTL = 60;
+
+/** Rutas que cualquier key activa puede usar sin scope explícito */
+const ALWAYS_ALLOWED_ROUTES = ['/usage'];
+
+/** Máximo de días devueltos por /usage */
+const MAX_USAGE_DAYS = 90;
+
+module.exports = {
+  API_KEYS_COLLECTION,
+  API_KEY_USAGE_COLLECTION,
+  API_KEY_QUOTA_COLLECTION,
+  QUOTA_SHARDS,
+  API_KEY_PREFIX,
+  API_KEY_BYTES,
+  KEY_PREFIX_LENGTH,
+  ALL_SCOPES,
+  DEFAULT_QUOTAS,
+  MAX_QUOTAS,
+  QUOTA_WINDOWS,
+  KEY_CACHE_TTL,
+  ALWAYS_ALLOWED_ROUTES,
+  MAX_USAGE_DAYS
+};
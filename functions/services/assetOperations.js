@@ -29,6 +29,9 @@ const { generateLogoUrl } = require('../utils/logoGenerator');
 // Importar rate limiter (SCALE-BE-004)
 const { withRateLimit } = require('../utils/rateLimiter');
 
+// Marca de los documentos de currentPrices creados por watchlists
+const { WATCHLIST_PRICE_SOURCE } = require('./watchlists/types');
+
 /**
  * Configuración común para Cloud Functions Callable
  */
@@ -124,6 +127,16 @@ const ensureCurrentPriceExists = async (symbol, assetType) => {
   const priceDoc = await priceRef.get();
 
   if (priceDoc.exists) {
+    // Un documento creado por una watchlist pasa a ser del activo: ya no se elimina
+    // cuando ninguna lista incluye el ticker
+    if (priceDoc.data().source === WATCHLIST_PRICE_SOURCE) {
+      await priceRef.update({
+        source: admin.firestore.FieldValue.delete(),
+        ...(assetType && { type: assetType })
+      });
+      console.log(`[ensureCurrentPriceExists] ${symbol} ya existía por una watchlist, ahora es de un activo`);
+      return true;
+    }
     console.log(`[ensureCurrentPriceExists] ${symbol} ya existe en currentPrices`);
     return false;
   }
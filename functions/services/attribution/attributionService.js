@@ -15,6 +15,9 @@ const { calculateContributions, enrichWithCurrentPrices, findNearestPerformanceD
 const { generateWaterfallFromContributions } = require('./waterfallGenerator');
 const { generateSummary } = require('./summaryGenerator');
 const { getPeriodLabel, getPeriodStartDate } = require('./types');
+const { resolveBenchmark } = require('../riskMetrics/benchmarkPreferences');
+const { getBenchmarkReturn } = require('../riskMetrics/benchmarkCache');
+const { getBenchmarkId, getBenchmarkName } = require('../riskMetrics/benchmarkBlend');
 
 const admin = require('../firebaseAdmin');
 const db = admin.firestore();
@@ -178,7 +181,9 @@ async function calculateMultiAccountTWR(userId, period, currency, accountIds) {
  * @param {string} params.currency - Moneda para los cálculos (default: 'USD')
  * @param {string[]} params.accountIds - IDs de cuentas o ['overall']
  * @param {Object} params.options - Opciones adicionales
- * @param {number} params.options.benchmarkReturn - Retorno del benchmark
+ * @param {number} [params.options.benchmarkReturn] - Retorno del benchmark (%); si se omite
+ *   se calcula con el benchmark del período
+ * @param {Object} [params.options.benchmark] - Benchmark explícito (default: preferencia del usuario o S&P 500)
  * @param {number} params.options.maxWaterfallBars - Máximo de barras en waterfall
  * @param {boolean} params.options.includeMetadata - Incluir metadata de debug
  * @param {number} params.options.portfolioReturn - TWR pre-calculado del frontend (opcional)
@@ -194,7 +199,8 @@ async function getPortfolioAttribution(params) {
   } = params;
   
   const {
-    benchmarkReturn = 0,
+    benchmarkReturn: requestedBenchmarkReturn,
+    benchmark: requestedBenchmark,
     maxWaterfallBars = 8,
     includeMetadata = true,
     portfolioReturn: frontendTWR // TWR pasado desde el frontend
@@ -297,16 +303,36 @@ async function getPortfolioAttribution(params) {
     );
     
     // =========================================================================
-    // 6. GENERAR RESUMEN
+    // 6. RETORNO DEL BENCHMARK
+    // =========================================================================
+    // Un benchmarkReturn explícito tiene prioridad; si no, se calcula con el
+    // benchmark pedido o la preferencia del usuario en las fechas del período
+    let benchmarkReturn = requestedBenchmarkReturn;
+    let benchmarkInfo = null;
+    
+    if (benchmarkReturn === undefined || isNaN(benchmarkReturn)) {
+      const { benchmark, source } = requestedBenchmark
+        ? { benchmark: requestedBenchmark, source: 'request' }
+        : await resolveBenchmark(userId, accountIds);
+      const periodStart = contributionResult.periodStartDate || getPeriodStartDate(period).toISOString().split('T')[0];
+      const periodEnd = contributionResult.latestDate || new Date().toISOString().split('T')[0];
+      
+      benchmarkReturn = await getBenchmarkReturn(periodStart, periodEnd, benchmark);
+      benchmarkInfo = { id: getBenchmarkId(benchmark), name: getBenchmarkName(benchmark), source };
+      console.log(`[Attribution] Retorno del benchmark ${benchmarkInfo.id}: ${benchmarkReturn.toFixed(2)}%`);
+    }
+    
+    // =========================================================================
+    // 7. GENERAR RESUMEN
     // =========================================================================
     const summary = generateSummary(
       contributionResult,
       period,
-      { benchmarkReturn }
+      { benchmarkReturn, benchmarkName: benchmarkInfo?.name }
     );
     
     // =========================================================================
-    // 7. PREPARAR RESPUESTA
+    // 8. PREPARAR RESPUESTA
     // =========================================================================
     const response = {
       success: true,
@@ -327,6 +353,7 @@ async function getPortfolioAttribution(params) {
         periodLabel: getPeriodLabel(period),
         currency,
         accountIds,
+        benchmark: benchmarkInfo,
         // Info de diagnóstico
         diagnostics: {
           totalAssets: contributionResult.attributions.length,
@@ -379,7 +406,7 @@ async function getTopContributors(params) {
     userId,
     period,
     currency,
-    options: { includeMetadata: false }
+    options: { includeMetadata: false, benchmarkReturn: 0 }
   });
   
   if (!result.success) {
@@ -17,6 +17,7 @@ const { getPeriodLabel, getPeriodStartDate } = require('./types');
  * @param {string} period - Período del análisis
  * @param {Object} options - Opciones adicionales
  * @param {number} options.benchmarkReturn - Retorno del benchmark para comparar
+ * @param {string} [options.benchmarkName] - Nombre del benchmark usado
  * @returns {Object} AttributionSummary
  */
 function generateSummary(contributionResult, period, options = {}) {
@@ -29,7 +30,7 @@ function generateSummary(contributionResult, period, options = {}) {
     periodStartDate: startDateStr
   } = contributionResult;
   
-  const { benchmarkReturn = 0 } = options;
+  const { benchmarkReturn = 0, benchmarkName = null } = options;
   
   // =========================================================================
   // TOP Y WORST CONTRIBUTORS
@@ -137,6 +138,7 @@ function generateSummary(contributionResult, period, options = {}) {
     portfolioReturn,
     portfolioReturnAbsolute,
     benchmarkReturn,
+    benchmarkName,
     alpha,
     beatingBenchmark,
     
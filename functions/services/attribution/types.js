@@ -63,6 +63,7 @@
  * @property {number} portfolioReturn - Retorno del portafolio (%)
  * @property {number} portfolioReturnAbsolute - Retorno absoluto (moneda)
  * @property {number} benchmarkReturn - Retorno del benchmark (%)
+ * @property {string|null} benchmarkName - Benchmark usado (null si el retorno vino en la petición)
  * @property {number} alpha - Alpha vs benchmark (pp)
  * @property {boolean} beatingBenchmark - Si supera al benchmark
  * @property {{ticker: string, contribution: number}} topContributor - Mejor contribuyente
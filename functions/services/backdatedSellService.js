@@ -0,0 +1,462 @@
+/**
+ * Backdated Sell Service
+ *
+ * Recalcula los documentos diarios de portfolioPerformance cuando se registra
+ * una venta con fecha pasada (sellDate). El job diario ya guardó esos días con
+ * las unidades previas a la venta, así que aquí se ajustan a partir de la
+ * fecha de venta:
+ *
+ * - Valor, inversión y unidades del asset se reducen en la proporción vendida
+ * - El primer día ajustado recibe el cashflow de la venta y su P&L realizado
+ * - Se recalculan adjustedDailyChangePercentage, dailyChangePercentage,
+ *   rawDailyChangePercentage, totalROI y unrealizedProfitAndLoss encadenando
+ *   cada día con el anterior ya corregido
+ *
+ * Los dividendos del día no se almacenan por separado, por lo que se
+ * reconstruyen desde el adjustedDailyChangePercentage original para que el
+ * recálculo los preserve (mismo enfoque que scripts/diagnostics).
+ *
+ * Si el recálculo falla, la venta ya está confirmada: se registra en
+ * pendingHistoryRecalculations y retryHistoryRecalculations la reintenta.
+ * El registro guarda las rutas ya escritas para no aplicar la venta dos
+ * veces sobre ellas.
+ *
+ * @module services/backdatedSellService
+ * @see docs/stories/56.story.md
+ */
+
+const admin = require('./firebaseAdmin');
+const { convertCurrency } = require('../utils/portfolioCalculations');
+const { loadRateTable, getCurrenciesAt } = require('./fxHistory');
+
+const db = admin.firestore();
+
+/** Máximo de escrituras por batch (límite Firestore: 500) */
+const BATCH_SIZE = 450;
+
+/** Recálculos de ventas retroactivas que fallaron y se reintentan */
+const PENDING_RECALCULATIONS_COLLECTION = 'pendingHistoryRecalculations';
+
+/** Intentos antes de dejar un recálculo en estado failed */
+const MAX_RECALCULATION_ATTEMPTS = 5;
+
+/** Recálculos pendientes procesados por ejecución programada */
+const RECALCULATION_RETRY_LIMIT = 20;
+
+// ============================================================================
+// CÁLCULOS PUROS
+// ============================================================================
+
+/**
+ * Reconstruye los dividendos implícitos de un día a partir del
+ * adjustedDailyChangePercentage almacenado.
+ *
+ * adj = (value - prevValue + cashFlow + dividends) / prevValue * 100
+ *
+ * @param {Object} data - Datos del día (totalValue, totalCashFlow, adjustedDailyChangePercentage)
+ * @param {number} prevValue - Valor del día anterior
+ * @returns {number} Dividendos implícitos
+ */
+function getImpliedDividends(data, prevValue) {
+  if (!data || !(prevValue > 0)) return 0;
+  const adj = data.adjustedDailyChangePercentage || 0;
+  const implied = (adj / 100) * prevValue - ((data.totalValue || 0) - prevValue + (data.totalCashFlow || 0));
+  return Math.abs(implied) < 1e-9 ? 0 : implied;
+}
+
+/**
+ * Recalcula los porcentajes diarios de un nodo (total o asset) tras el ajuste
+ *
+ * @param {Object} node - Nodo a actualizar (se muta)
+ * @param {number} prevValue - Valor del día anterior (ya corregido)
+ * @param {number} dividends - Dividendos implícitos del día
+ */
+function recomputeDailyFields(node, prevValue, dividends) {
+  const value = node.totalValue || 0;
+  const investment = node.totalInvestment || 0;
+  const cashFlow = node.totalCashFlow || 0;
+
+  node.totalROI = investment > 0 ? ((value - investment) / investment) * 100 : 0;
+
+  if (prevValue > 0) {
+    const change = ((value - prevValue) / prevValue) * 100;
+    node.dailyChangePercentage = change;
+    node.rawDailyChangePercentage = change;
+    node.adjustedDailyChangePercentage = ((value - prevValue + cashFlow + dividends) / prevValue) * 100;
+  }
+
+  if (node.unrealizedProfitAndLoss !== undefined) {
+    node.unrealizedProfitAndLoss = value - investment;
+  }
+}
+
+/**
+ * Aplica una o más ventas retroactivas a una serie de documentos diarios.
+ *
+ * La serie debe estar ordenada por fecha ascendente. Los días anteriores a
+ * sale.date se usan solo como base y no se modifican. El primer día >= sale.date
+ * recibe el cashflow y el P&L (cubre ventas en fin de semana o feriados).
+ *
+ * @param {Array<{date: string, data: Object}>} days - Documentos diarios
+ * @param {Object} sale - Venta a aplicar
+ * @param {string} sale.date - Fecha de venta (YYYY-MM-DD)
+ * @param {string} sale.assetKey - Clave del asset (`${name}_${assetType}`)
+ * @param {number} sale.units - Unidades vendidas
+ * @param {Object.<string, number>} sale.cashFlowByCurrency - Ingreso de la venta por moneda
+ * @param {Object.<string, number>} sale.pnlByCurrency - P&L realizado por moneda
+ * @returns {Array<{date: string, data: Object}>} Solo los días modificados, con datos nuevos
+ */
+function applySellToPerformanceDays(days, sale) {
+  const updated = [];
+  let prevOriginal = null;
+  let prevAdjusted = null;
+  let isFirstAffectedDay = true;
+
+  for (const day of days) {
+    if (day.date < sale.date) {
+      prevOriginal = day.data;
+      prevAdjusted = day.data;
+      continue;
+    }
+
+    const newData = JSON.parse(JSON.stringify(day.data));
+
+    for (const [currencyCode, original] of Object.entries(day.data)) {
+      if (!original || typeof original !== 'object' || original.totalValue === undefined) continue;
+
+      const current = newData[currencyCode];
+      const prevOrigTotal = prevOriginal?.[currencyCode]?.totalValue || 0;
+      const prevAdjTotal = prevAdjusted?.[currencyCode]?.totalValue || 0;
+      const totalDividends = getImpliedDividends(original, prevOrigTotal);
+
+      const originalAsset = original.assetPerformance?.[sale.assetKey];
+      const asset = current.assetPerformance?.[sale.assetKey];
+
+      if (asset) {
+        const prevOrigAsset = prevOriginal?.[currencyCode]?.assetPerformance?.[sale.assetKey]?.totalValue || 0;
+        const prevAdjAsset = prevAdjusted?.[currencyCode]?.assetPerformance?.[sale.assetKey]?.totalValue || 0;
+        const assetDividends = getImpliedDividends(originalAsset, prevOrigAsset);
+
+        const units = Number(asset.units) || 0;
+        const remainingUnits = Math.max(0, units - sale.units);
+        const ratio = units > 0 ? remainingUnits / units : 0;
+
+        const valueDelta = (asset.totalValue || 0) * (ratio - 1);
+        const investmentDelta = (asset.totalInvestment || 0) * (ratio - 1);
+
+        asset.units = remainingUnits;
+        asset.totalValue = (asset.totalValue || 0) + valueDelta;
+        asset.totalInvestment = (asset.totalInvestment || 0) + investmentDelta;
+        current.totalValue = (current.totalValue || 0) + valueDelta;
+        current.totalInvestment = (current.totalInvestment || 0) + investmentDelta;
+
+        if (isFirstAffectedDay) {
+          const cashFlow = sale.cashFlowByCurrency[currencyCode] || 0;
+          const pnl = sale.pnlByCurrency[currencyCode] || 0;
+          asset.totalCashFlow = (asset.totalCashFlow || 0) + cashFlow;
+          asset.doneProfitAndLoss = (asset.doneProfitAndLoss || 0) + pnl;
+          current.totalCashFlow = (current.totalCashFlow || 0) + cashFlow;
+          current.doneProfitAndLoss = (current.doneProfitAndLoss || 0) + pnl;
+        }
+
+        recomputeDailyFields(asset, prevAdjAsset, assetDividends);
+      }
+
+      recomputeDailyFields(current, prevAdjTotal, totalDividends);
+    }
+
+    updated.push({ date: day.date, data: newData });
+    prevOriginal = day.data;
+    prevAdjusted = newData;
+    isFirstAffectedDay = false;
+  }
+
+  return updated;
+}
+
+/**
+ * Convierte el ingreso y P&L de una venta a todas las monedas activas,
+ * usando el tipo de cambio propio de la venta (dollarPriceToDate).
+ *
+ * @param {Object} sellTx - Transacción de venta
+ * @param {Array<{code: string, exchangeRate: number}>} currencies - Monedas activas
+ * @returns {{cashFlowByCurrency: Object.<string, number>, pnlByCurrency: Object.<string, number>}}
+ */
+function convertSaleAmounts(sellTx, currencies) {
+  const cashFlowByCurrency = {};
+  const pnlByCurrency = {};
+  const fxRate = parseFloat((sellTx.dollarPriceToDate || 1).toString());
+
+  for (const currency of currencies) {
+    cashFlowByCurrency[currency.code] = convertCurrency(
+      sellTx.amount * sellTx.price,
+      sellTx.currency,
+      currency.code,
+      currencies,
+      sellTx.defaultCurrencyForAdquisitionDollar,
+      fxRate
+    );
+    pnlByCurrency[currency.code] = convertCurrency(
+      sellTx.valuePnL || 0,
+      sellTx.currency,
+      currency.code,
+      currencies,
+      sellTx.defaultCurrencyForAdquisitionDollar,
+      fxRate
+    );
+  }
+
+  return { cashFlowByCurrency, pnlByCurrency };
+}
+
+/**
+ * Agrupa transacciones de venta del mismo asset y fecha (ej. lotes FIFO) en
+ * una sola venta. Las ventas de un asset en fechas distintas (p. ej. en una
+ * importación) quedan separadas para ajustar cada día desde su fecha.
+ *
+ * @param {Array<Object>} sellTransactions - Transacciones de venta
+ * @param {Array<{code: string, exchangeRate: number}>} currencies - Monedas activas
+ * @param {Object|null} [rateTable] - Tabla de fxHistory: convierte con las tasas de la fecha de venta
+ * @returns {Array<Object>} Ventas listas para applySellToPerformanceDays, por fecha
+ */
+function buildSales(sellTransactions, currencies, rateTable = null) {
+  const byKey = new Map();
+
+  for (const tx of sellTransactions) {
+    const assetKey = `${tx.assetName}_${tx.assetType}`;
+    const saleKey = `${assetKey}_${tx.date}`;
+    const { cashFlowByCurrency, pnlByCurrency } = convertSaleAmounts(
+      tx,
+      getCurrenciesAt(rateTable, currencies, tx.date)
+    );
+    const existing = byKey.get(saleKey) || {
+      date: tx.date,
+      assetKey,
+      units: 0,
+      cashFlowByCurrency: {},
+      pnlByCurrency: {}
+    };
+
+    existing.units += Number(tx.amount) || 0;
+    for (const code of Object.keys(cashFlowByCurrency)) {
+      existing.cashFlowByCurrency[code] = (existing.cashFlowByCurrency[code] || 0) + cashFlowByCurrency[code];
+      existing.pnlByCurrency[code] = (existing.pnlByCurrency[code] || 0) + pnlByCurrency[code];
+    }
+    byKey.set(saleKey, existing);
+  }
+
+  return [...byKey.values()].sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+// ============================================================================
+// FIRESTORE
+// ============================================================================
+
+/**
+ * Lee los documentos diarios desde el día previo a la venta en adelante
+ *
+ * @param {string} path - Ruta de la colección dates
+ * @param {string} sellDate - Fecha de venta
+ * @returns {Promise<Array<{date: string, data: Object, ref: Object}>>}
+ */
+async function fetchDaysFrom(path, sellDate) {
+  const collection = db.collection(path);
+
+  const [previousSnapshot, affectedSnapshot] = await Promise.all([
+    collection.where('date', '<', sellDate).orderBy('date', 'desc').limit(1).get(),
+    collection.where('date', '>=', sellDate).orderBy('date', 'asc').get()
+  ]);
+
+  const toDay = (doc) => ({ date: doc.data().date, data: doc.data(), ref: doc.ref });
+
+  return [
+    ...previousSnapshot.docs.map(toDay),
+    ...affectedSnapshot.docs.map(toDay)
+  ];
+}
+
+/**
+ * Aplica las ventas a los documentos diarios de una ruta
+ *
+ * @param {string} path - Ruta de la colección dates
+ * @param {string} sellDate - Fecha de la primera venta
+ * @param {Array<Object>} sales - Ventas de buildSales
+ * @returns {Promise<number>} Documentos escritos
+ */
+async function recalculatePath(path, sellDate, sales) {
+  const days = await fetchDaysFrom(path, sellDate);
+  if (days.length === 0) return 0;
+
+  const refsByDate = new Map(days.map(d => [d.date, d.ref]));
+  let series = days.map(({ date, data }) => ({ date, data }));
+
+  for (const sale of sales) {
+    const adjusted = new Map(applySellToPerformanceDays(series, sale).map(d => [d.date, d.data]));
+    series = series.map(d => ({ date: d.date, data: adjusted.get(d.date) || d.data }));
+  }
+
+  const affected = series.filter(d => d.date >= sellDate);
+
+  for (let i = 0; i < affected.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    affected.slice(i, i + BATCH_SIZE).forEach(({ date, data }) => {
+      batch.set(refsByDate.get(date), data);
+    });
+    await batch.commit();
+  }
+
+  return affected.length;
+}
+
+/**
+ * Recalcula portfolioPerformance (overall y cuenta) tras ventas retroactivas
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} accountId - ID de la cuenta donde se vendió
+ * @param {Array<Object>} sellTransactions - Transacciones de venta ya guardadas
+ * @param {Object} [options]
+ * @param {string[]} [options.completedPaths=[]] - Rutas ya recalculadas (se omiten)
+ * @returns {Promise<{daysUpdated: number}>}
+ * @throws {Error} Con `completedPaths`: las rutas escritas antes del fallo
+ */
+async function recalculatePerformanceForBackdatedSell(userId, accountId, sellTransactions, { completedPaths = [] } = {}) {
+  if (!sellTransactions || sellTransactions.length === 0) {
+    return { daysUpdated: 0 };
+  }
+
+  const sellDate = sellTransactions[0].date;
+  console.log(`[backdatedSellService] Recalculando desde ${sellDate} - userId: ${userId}, cuenta: ${accountId}`);
+
+  const currenciesSnapshot = await db.collection('currencies').where('isActive', '==', true).get();
+  const currencies = currenciesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const sellDates = sellTransactions.map(tx => tx.date).sort();
+  const rateTable = await loadRateTable({ startDate: sellDates[0], endDate: sellDates[sellDates.length - 1] });
+  const sales = buildSales(sellTransactions, currencies, rateTable);
+
+  const paths = [
+    `portfolioPerformance/${userId}/dates`,
+    `portfolioPerformance/${userId}/accounts/${accountId}/dates`
+  ];
+
+  let daysUpdated = 0;
+  const done = [...completedPaths];
+
+  try {
+    for (const path of paths) {
+      if (done.includes(path)) continue;
+      daysUpdated += await recalculatePath(path, sellDate, sales);
+      done.push(path);
+    }
+  } catch (error) {
+    error.completedPaths = done;
+    throw error;
+  }
+
+  console.log(`[backdatedSellService] Documentos recalculados: ${daysUpdated}`);
+
+  return { daysUpdated };
+}
+
+// ============================================================================
+// RECÁLCULOS PENDIENTES
+// ============================================================================
+
+/**
+ * Registra un recálculo fallido para reintentarlo en retryPendingHistoryRecalculations
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} accountId - ID de la cuenta donde se vendió
+ * @param {Array<Object>} sellTransactions - Transacciones de venta guardadas (con id)
+ * @param {Error} error - Error del recálculo (con completedPaths si alcanzó a escribir)
+ * @returns {Promise<string>} ID del registro
+ */
+async function queueHistoryRecalculation(userId, accountId, sellTransactions, error) {
+  const now = new Date().toISOString();
+  const ref = await db.collection(PENDING_RECALCULATIONS_COLLECTION).add({
+    userId,
+    portfolioAccountId: accountId,
+    transactionIds: sellTransactions.map(tx => tx.id),
+    fromDate: sellTransactions[0].date,
+    completedPaths: error.completedPaths || [],
+    status: 'pending',
+    attempts: 1,
+    lastError: error.message,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  console.warn(`[backdatedSellService] Recálculo pendiente ${ref.id} - userId: ${userId}, desde ${sellTransactions[0].date}`);
+  return ref.id;
+}
+
+/**
+ * Reintenta un recálculo pendiente con las transacciones vigentes
+ *
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} doc - Registro de pendingHistoryRecalculations
+ * @returns {Promise<'recalculated' | 'retrying' | 'failed'>}
+ */
+async function retryHistoryRecalculation(doc) {
+  const record = doc.data();
+  const refs = record.transactionIds.map(id => db.collection('transactions').doc(id));
+  const snapshots = refs.length > 0 ? await db.getAll(...refs) : [];
+  const sellTransactions = snapshots
+    .filter(snapshot => snapshot.exists)
+    .map(snapshot => ({ id: snapshot.id, ...snapshot.data() }))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+
+  try {
+    await recalculatePerformanceForBackdatedSell(record.userId, record.portfolioAccountId, sellTransactions, {
+      completedPaths: record.completedPaths || []
+    });
+    await doc.ref.delete();
+    return 'recalculated';
+  } catch (error) {
+    const attempts = (record.attempts || 0) + 1;
+    const status = attempts >= MAX_RECALCULATION_ATTEMPTS ? 'failed' : 'pending';
+    await doc.ref.update({
+      status,
+      attempts,
+      completedPaths: error.completedPaths || record.completedPaths || [],
+      lastError: error.message,
+      updatedAt: new Date().toISOString()
+    });
+    console.error(`[backdatedSellService] Error reintentando recálculo ${doc.id} (intento ${attempts}):`, error.message);
+    return status === 'failed' ? 'failed' : 'retrying';
+  }
+}
+
+/**
+ * Reintenta los recálculos de ventas retroactivas que fallaron
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=RECALCULATION_RETRY_LIMIT] - Máximo de registros por ejecución
+ * @returns {Promise<{processed: number, recalculated: number, retrying: number, failed: number}>}
+ */
+async function retryPendingHistoryRecalculations({ limit = RECALCULATION_RETRY_LIMIT } = {}) {
+  const snapshot = await db.collection(PENDING_RECALCULATIONS_COLLECTION)
+    .where('status', '==', 'pending')
+    .limit(limit)
+    .get();
+
+  const summary = { processed: 0, recalculated: 0, retrying: 0, failed: 0 };
+
+  // Secuencial: cada recálculo lee y reescribe todo el histórico desde la venta
+  for (const doc of snapshot.docs) {
+    const result = await retryHistoryRecalculation(doc);
+    summary.processed++;
+    summary[result]++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getImpliedDividends,
+  applySellToPerformanceDays,
+  convertSaleAmounts,
+  buildSales,
+  recalculatePerformanceForBackdatedSell,
+  queueHistoryRecalculation,
+  retryPendingHistoryRecalculations,
+  PENDING_RECALCULATIONS_COLLECTION
+};
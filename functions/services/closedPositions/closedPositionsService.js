@@ -17,17 +17,19 @@ const {
 } = require('./summaryCalculator');
 const { DEFAULTS } = require('./types');
 
+const { getAccountCostBasisMethod } = require('../costBasis');
 const admin = require('../firebaseAdmin');
 const db = admin.firestore();
 
 /**
- * Obtiene las cuentas del usuario
+ * Obtiene nombres y métodos de costo base de las cuentas del usuario
  * 
  * @param {string} userId - ID del usuario
- * @returns {Promise<Map>} Mapa de accountId -> nombre
+ * @returns {Promise<{accountNames: Map, costBasisMethods: Map}>} Mapas por accountId
  */
-async function getUserAccounts(userId) {
+async function getUserAccountSettings(userId) {
   const accountNames = new Map();
+  const costBasisMethods = new Map();
   
   try {
     const accountsSnapshot = await db.collection('portfolioAccounts')
@@ -37,11 +39,23 @@ async function getUserAccounts(userId) {
     accountsSnapshot.docs.forEach(doc => {
       const data = doc.data();
       accountNames.set(doc.id, data.name || 'Sin nombre');
+      costBasisMethods.set(doc.id, getAccountCostBasisMethod(data));
     });
   } catch (error) {
     console.error('[closedPositionsService] Error fetching accounts:', error);
   }
   
+  return { accountNames, costBasisMethods };
+}
+
+/**
+ * Obtiene las cuentas del usuario
+ * 
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Map>} Mapa de accountId -> nombre
+ */
+async function getUserAccounts(userId) {
+  const { accountNames } = await getUserAccountSettings(userId);
   return accountNames;
 }
 
@@ -184,7 +198,7 @@ async function getClosedPositions(userId, options = {}) {
   
   try {
     // 1. Obtener cuentas del usuario
-    const accountNames = await getUserAccounts(userId);
+    const { accountNames, costBasisMethods } = await getUserAccountSettings(userId);
     
     if (accountNames.size === 0) {
       return {
@@ -213,7 +227,8 @@ async function getClosedPositions(userId, options = {}) {
     const allPositions = await getClosedPositionsFromTransactions(
       userId, 
       targetAccountIds, 
-      accountNames
+      accountNames,
+      costBasisMethods
     );
     
     if (allPositions.length === 0) {
@@ -325,6 +340,7 @@ async function getClosedPositions(userId, options = {}) {
 module.exports = {
   getClosedPositions,
   getUserAccounts,
+  getUserAccountSettings,
   filterPositions,
   sortPositions,
   paginatePositions
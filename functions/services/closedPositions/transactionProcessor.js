@@ -9,8 +9,18 @@
  */
 
 const admin = require('../firebaseAdmin');
+const { SPIN_OFF_TRANSACTION_TYPE } = require('../corporateActions/types');
 const db = admin.firestore();
 
+/**
+ * Clave de posición por cuenta y ticker (agrupa lotes del mismo activo)
+ * @param {Object} tx - Transacción
+ * @returns {string}
+ */
+function getPositionKey(tx) {
+  return `${tx.portfolioAccountId}_${tx.assetName}`;
+}
+
 /**
  * Obtiene transacciones de un usuario para las cuentas especificadas
  * 
@@ -37,9 +47,9 @@ async function fetchTransactionsByAccounts(userId, accountIds) {
     });
   }
   
-  // Separar compras y ventas
+  // Separar compras y ventas (las acciones recibidas en un spin-off cuentan como compra)
   const sells = allTransactions.filter(tx => tx.type === 'sell' && Number(tx.amount) > 0);
-  const buys = allTransactions.filter(tx => tx.type === 'buy');
+  const buys = allTransactions.filter(tx => tx.type === 'buy' || tx.type === SPIN_OFF_TRANSACTION_TYPE);
   
   console.log(`[transactionProcessor] Loaded ${sells.length} sells, ${buys.length} buys for ${accountIds.length} accounts`);
   
@@ -82,6 +92,51 @@ function buildBuyMaps(buyTransactions) {
   return { buyDates, buyPrices };
 }
 
+/**
+ * Calcula el costo promedio vigente en cada venta (método AVERAGE).
+ * 
+ * Recorre compras y ventas de cada cuenta+ticker en orden cronológico: las
+ * compras recalculan el promedio y las ventas reducen unidades sin cambiarlo.
+ * Se usa para ventas sin costBasisPerUnit registrado (anteriores al método
+ * por cuenta) en cuentas configuradas con AVERAGE.
+ * 
+ * @param {Array} buyTransactions - Transacciones de compra
+ * @param {Array} sellTransactions - Transacciones de venta
+ * @returns {Map<string, number>} Mapa de id de venta -> costo promedio por unidad
+ */
+function buildAverageCostBySell(buyTransactions, sellTransactions) {
+  const events = [
+    ...buyTransactions.map(tx => ({ tx, isBuy: true })),
+    ...sellTransactions.map(tx => ({ tx, isBuy: false }))
+  ].sort((a, b) =>
+    String(a.tx.date).localeCompare(String(b.tx.date)) || (a.isBuy === b.isBuy ? 0 : a.isBuy ? -1 : 1)
+  );
+
+  const pools = new Map();
+  const averageCostBySell = new Map();
+
+  for (const { tx, isBuy } of events) {
+    const key = getPositionKey(tx);
+    const pool = pools.get(key) || { units: 0, cost: 0 };
+    const units = Number(tx.amount) || 0;
+
+    if (isBuy) {
+      pool.units += units;
+      pool.cost += units * (Number(tx.price) || 0);
+    } else {
+      const averageCost = pool.units > 0 ? pool.cost / pool.units : 0;
+      averageCostBySell.set(tx.id, averageCost);
+      const soldUnits = Math.min(units, pool.units);
+      pool.cost -= soldUnits * averageCost;
+      pool.units -= soldUnits;
+    }
+
+    pools.set(key, pool);
+  }
+
+  return averageCostBySell;
+}
+
 /**
  * Procesa transacciones de venta para generar posiciones cerradas
  * 
@@ -89,9 +144,13 @@ function buildBuyMaps(buyTransactions) {
  * @param {Map} buyDates - Mapa de assetId -> fecha de compra más antigua
  * @param {Map} buyPrices - Mapa de assetId -> {totalValue, totalUnits}
  * @param {Map} accountNames - Mapa de accountId -> nombre de cuenta
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.costBasisMethods] - Mapa de accountId -> método de costo base
+ * @param {Map<string, number>} [options.averageCostBySell] - Costo promedio por venta (cuentas AVERAGE)
  * @returns {Array} Posiciones cerradas procesadas
  */
-function processTransactions(sellTransactions, buyDates, buyPrices, accountNames) {
+function processTransactions(sellTransactions, buyDates, buyPrices, accountNames, options = {}) {
+  const { costBasisMethods = new Map(), averageCostBySell = new Map() } = options;
   const positions = [];
   
   for (const tx of sellTransactions) {
@@ -104,12 +163,21 @@ function processTransactions(sellTransactions, buyDates, buyPrices, accountNames
     
     const unitsSold = Number(tx.amount) || 0;
     const sellPrice = Number(tx.price) || 0;
-    const valuePnL = Number(tx.valuePnL) || 0;
+    let valuePnL = Number(tx.valuePnL) || 0;
     const commission = Number(tx.commission) || 0;
+    let costBasisMethod = tx.costBasisMethod || null;
     
     // Calcular precio de compra
     let buyPrice = 0;
-    if (valuePnL !== 0 && unitsSold > 0) {
+    if (tx.costBasisPerUnit !== undefined && tx.costBasisPerUnit !== null) {
+      // Venta registrada con método de costo base: el costo ya está resuelto
+      buyPrice = Number(tx.costBasisPerUnit) || 0;
+    } else if (costBasisMethods.get(tx.portfolioAccountId) === 'AVERAGE' && averageCostBySell.has(tx.id)) {
+      // Venta antigua en cuenta AVERAGE: el P&L guardado es por lote, se recalcula con el promedio
+      buyPrice = averageCostBySell.get(tx.id);
+      valuePnL = (sellPrice - buyPrice) * unitsSold;
+      costBasisMethod = 'AVERAGE';
+    } else if (valuePnL !== 0 && unitsSold > 0) {
       buyPrice = sellPrice - (valuePnL / unitsSold);
     } else {
       const buyData = buyPrices.get(tx.assetId);
@@ -142,6 +210,7 @@ function processTransactions(sellTransactions, buyDates, buyPrices, accountNames
       totalReceived,
       realizedPnL: valuePnL,
       realizedPnLPercent,
+      costBasisMethod,
       commission,
       netPnL: valuePnL - commission,
       portfolioAccountId: tx.portfolioAccountId || '',
@@ -163,9 +232,10 @@ function processTransactions(sellTransactions, buyDates, buyPrices, accountNames
  * @param {string} userId - ID del usuario
  * @param {string[]} accountIds - IDs de cuentas (vacío = todas)
  * @param {Map} accountNames - Mapa de accountId -> nombre
+ * @param {Map<string, string>} [costBasisMethods] - Mapa de accountId -> método de costo base
  * @returns {Promise<Array>} Posiciones cerradas
  */
-async function getClosedPositionsFromTransactions(userId, accountIds, accountNames) {
+async function getClosedPositionsFromTransactions(userId, accountIds, accountNames, costBasisMethods = new Map()) {
   const { sells, buys } = await fetchTransactionsByAccounts(userId, accountIds);
   
   if (sells.length === 0) {
@@ -174,7 +244,12 @@ async function getClosedPositionsFromTransactions(userId, accountIds, accountNam
   }
   
   const { buyDates, buyPrices } = buildBuyMaps(buys);
-  const positions = processTransactions(sells, buyDates, buyPrices, accountNames);
+  const hasAverageAccounts = Array.from(costBasisMethods.values()).includes('AVERAGE');
+  const averageCostBySell = hasAverageAccounts ? buildAverageCostBySell(buys, sells) : new Map();
+  const positions = processTransactions(sells, buyDates, buyPrices, accountNames, {
+    costBasisMethods,
+    averageCostBySell
+  });
   
   console.log(`[transactionProcessor] Processed ${positions.length} closed positions`);
   
@@ -184,6 +259,7 @@ async function getClosedPositionsFromTransactions(userId, accountIds, accountNam
 module.exports = {
   fetchTransactionsByAccounts,
   buildBuyMaps,
+  buildAverageCostBySell,
   processTransactions,
   getClosedPositionsFromTransactions
 };
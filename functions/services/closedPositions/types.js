@@ -26,6 +26,7 @@
  * @property {string} sellDate - Fecha de venta
  * @property {number} holdingPeriodDays - Días de holding
  * @property {string} currency - Moneda de la transacción
+ * @property {string|null} costBasisMethod - Método de costo base de la venta (null en ventas antiguas)
  */
 
 /**
@@ -0,0 +1,170 @@
+/**
+ * Tests para services/corporateActions
+ *
+ * Verifica la validación de eventos, los ajustes de lotes y transacciones,
+ * los documentos de un spin-off y que el rendimiento diario no registre un
+ * split como pérdida ni como flujo de caja implícito.
+ *
+ * @module __tests__/services/corporateActions.test
+ */
+
+const {
+  getUnitsFactor,
+  validateCorporateAction,
+  getLotUpdate,
+  getTransactionUpdate,
+  buildSpinOffDocuments,
+  buildPerformanceAdjustments
+} = require('../adjustmentEngine');
+const { calculateAccountPerformance } = require('../../../utils/portfolioCalculations');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const SPLIT = { id: 'ca1', type: 'split', symbol: 'AAPL', effectiveDate: '2024-06-10', ratioFrom: 1, ratioTo: 4 };
+const RENAME = { id: 'ca2', type: 'rename', symbol: 'FB', newSymbol: 'META', effectiveDate: '2024-06-10' };
+const SPIN_OFF = {
+  id: 'ca3',
+  type: 'spinOff',
+  symbol: 'GE',
+  newSymbol: 'GEHC',
+  effectiveDate: '2024-06-10',
+  ratioFrom: 3,
+  ratioTo: 1,
+  costAllocation: 0.2
+};
+
+const LOT = {
+  id: 'lot1',
+  name: 'GE',
+  assetType: 'stock',
+  currency: 'USD',
+  units: 30,
+  unitValue: 100,
+  acquisitionDate: '2023-01-15',
+  acquisitionDollarValue: 4000,
+  defaultCurrencyForAdquisitionDollar: 'COP',
+  portfolioAccount: 'acc1'
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('validateCorporateAction', () => {
+  it('normaliza tickers y conserva ratios', () => {
+    expect(validateCorporateAction({ ...SPLIT, symbol: ' aapl ' })).toEqual({
+      type: 'split',
+      symbol: 'AAPL',
+      effectiveDate: '2024-06-10',
+      ratioFrom: 1,
+      ratioTo: 4
+    });
+    expect(getUnitsFactor(SPLIT)).toBe(4);
+  });
+
+  it('rechaza datos inconsistentes con el tipo', () => {
+    expect(() => validateCorporateAction({ ...SPLIT, type: 'merger' })).toThrow(/type/);
+    expect(() => validateCorporateAction({ ...SPLIT, effectiveDate: '10/06/2024' })).toThrow(/effectiveDate/);
+    expect(() => validateCorporateAction({ ...SPLIT, ratioTo: 1 })).toThrow(/split/);
+    expect(() => validateCorporateAction({ ...SPLIT, type: 'reverseSplit' })).toThrow(/reverse/);
+    expect(() => validateCorporateAction({ ...RENAME, newSymbol: 'fb' })).toThrow(/newSymbol/);
+    expect(() => validateCorporateAction({ ...SPIN_OFF, costAllocation: 1 })).toThrow(/costAllocation/);
+  });
+});
+
+describe('ajustes de documentos', () => {
+  it('split multiplica unidades y divide precios conservando el monto', () => {
+    expect(getLotUpdate({ units: 10, unitValue: 180 }, SPLIT)).toEqual({ units: 40, unitValue: 45 });
+
+    const update = getTransactionUpdate({ type: 'sell', amount: 5, price: 200, costBasisPerUnit: 180, valuePnL: 100 }, SPLIT);
+    expect(update).toEqual({ amount: 20, price: 50, costBasisPerUnit: 45 });
+  });
+
+  it('reverse split reduce unidades', () => {
+    const reverse = { ...SPLIT, type: 'reverseSplit', ratioFrom: 10, ratioTo: 1 };
+    expect(getLotUpdate({ units: 100, unitValue: 2 }, reverse)).toEqual({ units: 10, unitValue: 20 });
+  });
+
+  it('rename cambia assetName o symbol según el documento', () => {
+    expect(getLotUpdate({ name: 'FB' }, RENAME)).toEqual({ name: 'META' });
+    expect(getTransactionUpdate({ type: 'buy', assetName: 'FB' }, RENAME)).toEqual({ assetName: 'META' });
+    expect(getTransactionUpdate({ type: 'dividendPay', symbol: 'FB' }, RENAME)).toEqual({ symbol: 'META' });
+  });
+
+  it('spin-off traslada costo al lote nuevo y hereda la fecha de compra', () => {
+    expect(getLotUpdate(LOT, SPIN_OFF)).toEqual({ unitValue: 80 });
+    expect(getTransactionUpdate({ type: 'buy', price: 100 }, SPIN_OFF)).toEqual({ price: 80 });
+    expect(getTransactionUpdate({ type: 'sell', price: 100 }, SPIN_OFF)).toBeNull();
+
+    const { asset, transaction } = buildSpinOffDocuments(LOT, SPIN_OFF, 'user1');
+
+    expect(asset).toMatchObject({
+      name: 'GEHC',
+      units: 10,
+      unitValue: 60,
+      acquisitionDate: '2023-01-15',
+      portfolioAccount: 'acc1',
+      spunOffFrom: 'lot1',
+      isActive: true
+    });
+    // 30 × 100 × 0.2 = 600 de costo trasladado
+    expect(asset.units * asset.unitValue).toBe(600);
+    expect(transaction).toMatchObject({ type: 'spinOff', amount: 10, price: 60, date: '2023-01-15', userId: 'user1' });
+  });
+});
+
+describe('rendimiento diario con eventos corporativos', () => {
+  const currencies = [{ code: 'USD', exchangeRate: 1 }];
+  const assets = [{
+    id: 'a1',
+    name: 'AAPL',
+    assetType: 'stock',
+    currency: 'USD',
+    units: 40,
+    unitValue: 25,
+    acquisitionDate: '2024-01-02',
+    acquisitionDollarValue: 1,
+    defaultCurrencyForAdquisitionDollar: 'USD',
+    portfolioAccount: 'acc1'
+  }];
+  const prices = [{ symbol: 'AAPL', price: 30, currency: 'USD' }];
+  const yesterday = { USD: { totalValue: 1000, AAPL_stock: { totalValue: 1000, units: 10 } } };
+
+  it('sin ajuste el cambio de unidades se trata como compra implícita', () => {
+    const result = calculateAccountPerformance(assets, prices, currencies, yesterday, []);
+    expect(result.USD.adjustedDailyChangePercentage).toBeCloseTo(-70, 6);
+  });
+
+  it('un split del día no distorsiona adjustedDailyChangePercentage', () => {
+    const adjustments = buildPerformanceAdjustments([{ ...SPLIT, appliedDate: '2024-06-10' }]);
+    const result = calculateAccountPerformance(assets, prices, currencies, yesterday, [], adjustments);
+
+    expect(result.USD.adjustedDailyChangePercentage).toBeCloseTo(20, 6);
+    expect(result.USD.totalCashFlow).toBe(0);
+    expect(result.USD.assetPerformance.AAPL_stock.adjustedDailyChangePercentage).toBeCloseTo(20, 6);
+  });
+
+  it('un split aplicado tarde re-escala el valor del día anterior', () => {
+    // El día anterior ya tenía el precio post-split con 10 unidades: 10 × 28
+    const lateYesterday = { USD: { totalValue: 280, AAPL_stock: { totalValue: 280, units: 10 } } };
+    const adjustments = buildPerformanceAdjustments([{ ...SPLIT, appliedDate: '2024-06-12' }]);
+    const result = calculateAccountPerformance(assets, prices, currencies, lateYesterday, [], adjustments);
+
+    expect(adjustments.valueFactors).toEqual({ AAPL: 4 });
+    expect(result.USD.adjustedDailyChangePercentage).toBeCloseTo((1200 - 1120) / 1120 * 100, 6);
+  });
+
+  it('un rename continúa la serie del ticker anterior', () => {
+    const renamed = [{ ...assets[0], name: 'META', units: 10 }];
+    const renamedPrices = [{ symbol: 'META', price: 110, currency: 'USD' }];
+    const previous = { USD: { totalValue: 1000, FB_stock: { totalValue: 1000, units: 10 } } };
+    const result = calculateAccountPerformance(
+      renamed, renamedPrices, currencies, previous, [], buildPerformanceAdjustments([RENAME])
+    );
+
+    expect(result.USD.assetPerformance.META_stock.dailyChangePercentage).toBeCloseTo(10, 6);
+    expect(result.USD.adjustedDailyChangePercentage).toBeCloseTo(10, 6);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Adjustment Engine
+ *
+ * Cálculos puros de un evento corporativo: validación, factor de unidades,
+ * campos a actualizar en lotes y transacciones, lotes nuevos de un spin-off
+ * y ajustes del rendimiento diario. El servicio aplica el resultado en
+ * Firestore.
+ *
+ * Los ajustes conservan el dinero: unidades × precio antes y después es igual
+ * (salvo la fracción de costo que un spin-off traslada al nuevo lote).
+ *
+ * @module services/corporateActions/adjustmentEngine
+ */
+
+const {
+  CORPORATE_ACTION_TYPES,
+  SPLIT_TYPES,
+  NEW_SYMBOL_TYPES,
+  SPIN_OFF_TRANSACTION_TYPE
+} = require('./types');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Redondea a 8 decimales (igual que cleanDecimal de assetHandlers)
+ * @param {number} num
+ * @returns {number}
+ */
+const round8 = (num) => Math.round((Number(num) || 0) * 1e8) / 1e8;
+
+/**
+ * Multiplicador de unidades del evento (ratioTo / ratioFrom)
+ * @param {import('./types').CorporateAction} action
+ * @returns {number}
+ */
+function getUnitsFactor(action) {
+  return Number(action.ratioTo) / Number(action.ratioFrom);
+}
+
+// ============================================================================
+// VALIDACIÓN
+// ============================================================================
+
+/**
+ * Valida y normaliza los datos de un evento corporativo
+ *
+ * @param {Object} data - Datos recibidos
+ * @returns {Object} Evento normalizado (sin id ni estado)
+ * @throws {Error} Si los datos no son válidos
+ */
+function validateCorporateAction(data = {}) {
+  const type = data.type;
+  if (!CORPORATE_ACTION_TYPES.includes(type)) {
+    throw new Error(`type debe ser uno de: ${CORPORATE_ACTION_TYPES.join(', ')}`);
+  }
+
+  const symbol = typeof data.symbol === 'string' ? data.symbol.trim().toUpperCase() : '';
+  if (!symbol) {
+    throw new Error('symbol es requerido');
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.effectiveDate || '')) {
+    throw new Error('effectiveDate debe tener formato YYYY-MM-DD');
+  }
+
+  const action = { type, symbol, effectiveDate: data.effectiveDate };
+
+  if (NEW_SYMBOL_TYPES.includes(type)) {
+    const newSymbol = typeof data.newSymbol === 'string' ? data.newSymbol.trim().toUpperCase() : '';
+    if (!newSymbol || newSymbol === symbol) {
+      throw new Error('newSymbol es requerido y debe ser distinto de symbol');
+    }
+    action.newSymbol = newSymbol;
+  }
+
+  if (type !== 'rename') {
+    const ratioFrom = Number(data.ratioFrom);
+    const ratioTo = Number(data.ratioTo);
+    if (!(ratioFrom > 0) || !(ratioTo > 0)) {
+      throw new Error('ratioFrom y ratioTo deben ser números positivos');
+    }
+    if (type === 'split' && ratioTo <= ratioFrom) {
+      throw new Error('En un split ratioTo debe ser mayor que ratioFrom');
+    }
+    if (type === 'reverseSplit' && ratioTo >= ratioFrom) {
+      throw new Error('En un reverse split ratioTo debe ser menor que ratioFrom');
+    }
+    action.ratioFrom = ratioFrom;
+    action.ratioTo = ratioTo;
+  }
+
+  if (type === 'spinOff') {
+    const costAllocation = Number(data.costAllocation);
+    if (!(costAllocation >= 0 && costAllocation < 1)) {
+      throw new Error('costAllocation debe estar entre 0 y 1 (excluyente)');
+    }
+    action.costAllocation = costAllocation;
+    if (data.newAssetType) action.newAssetType = data.newAssetType;
+  }
+
+  if (data.notes) action.notes = String(data.notes);
+
+  return action;
+}
+
+// ============================================================================
+// AJUSTES DE DOCUMENTOS
+// ============================================================================
+
+/**
+ * Campos a actualizar en un lote (`assets`)
+ *
+ * @param {Object} lot - Documento de assets
+ * @param {import('./types').CorporateAction} action
+ * @returns {Object|null} Campos a actualizar, o null si no aplica
+ */
+function getLotUpdate(lot, action) {
+  if (SPLIT_TYPES.includes(action.type)) {
+    const factor = getUnitsFactor(action);
+    return {
+      units: round8(Number(lot.units) * factor),
+      unitValue: round8(Number(lot.unitValue) / factor)
+    };
+  }
+  if (action.type === 'rename') {
+    return { name: action.newSymbol };
+  }
+  if (action.type === 'spinOff') {
+    return { unitValue: round8(Number(lot.unitValue) * (1 - action.costAllocation)) };
+  }
+  return null;
+}
+
+/**
+ * Campos a actualizar en una transacción histórica
+ *
+ * - split/reverseSplit: amount × factor, price y costBasisPerUnit ÷ factor
+ * - rename: assetName y symbol
+ * - spinOff: solo compras del lote, price × (1 - costAllocation)
+ *
+ * @param {Object} tx - Documento de transactions
+ * @param {import('./types').CorporateAction} action
+ * @returns {Object|null} Campos a actualizar, o null si no aplica
+ */
+function getTransactionUpdate(tx, action) {
+  if (SPLIT_TYPES.includes(action.type)) {
+    const factor = getUnitsFactor(action);
+    const update = {
+      amount: round8(Number(tx.amount) * factor),
+      price: round8(Number(tx.price) / factor)
+    };
+    if (tx.costBasisPerUnit !== undefined && tx.costBasisPerUnit !== null) {
+      update.costBasisPerUnit = round8(Number(tx.costBasisPerUnit) / factor);
+    }
+    return update;
+  }
+  if (action.type === 'rename') {
+    const update = {};
+    if (tx.assetName === action.symbol) update.assetName = action.newSymbol;
+    if (tx.symbol === action.symbol) update.symbol = action.newSymbol;
+    return Object.keys(update).length > 0 ? update : null;
+  }
+  if (action.type === 'spinOff' && tx.type === 'buy') {
+    return { price: round8(Number(tx.price) * (1 - action.costAllocation)) };
+  }
+  return null;
+}
+
+/**
+ * Lote y transacción del ticker recibido en un spin-off.
+ * Conservan la fecha de adquisición del lote original para que el período
+ * de tenencia se herede.
+ *
+ * @param {Object} lot - Lote original (con id)
+ * @param {import('./types').CorporateAction} action - Evento (con id)
+ * @param {string} userId - Dueño de la cuenta
+ * @returns {{asset: Object, transaction: Object}} transaction.assetId se asigna al guardar
+ */
+function buildSpinOffDocuments(lot, action, userId) {
+  const units = round8(Number(lot.units) * getUnitsFactor(action));
+  const unitValue = units > 0
+    ? round8((Number(lot.units) * Number(lot.unitValue) * action.costAllocation) / units)
+    : 0;
+  const assetType = action.newAssetType || lot.assetType;
+
+  const asset = {
+    name: action.newSymbol,
+    assetType,
+    market: lot.market || '',
+    company: '',
+    currency: lot.currency,
+    units,
+    unitValue,
+    acquisitionDate: lot.acquisitionDate,
+    acquisitionDollarValue: lot.acquisitionDollarValue || 1,
+    defaultCurrencyForAdquisitionDollar: lot.defaultCurrencyForAdquisitionDollar || 'USD',
+    commission: 0,
+    portfolioAccount: lot.portfolioAccount,
+    isActive: true,
+    spunOffFrom: lot.id,
+    corporateActionIds: [action.id],
+    createdAt: new Date().toISOString()
+  };
+
+  const transaction = {
+    assetName: action.newSymbol,
+    type: SPIN_OFF_TRANSACTION_TYPE,
+    amount: units,
+    price: unitValue,
+    currency: lot.currency,
+    date: lot.acquisitionDate,
+    portfolioAccountId: lot.portfolioAccount,
+    commission: 0,
+    assetType,
+    dollarPriceToDate: lot.acquisitionDollarValue || 1,
+    market: lot.market || '',
+    defaultCurrencyForAdquisitionDollar: lot.defaultCurrencyForAdquisitionDollar || 'USD',
+    description: `Spin-off de ${action.symbol} (${action.ratioTo}:${action.ratioFrom}) efectivo ${action.effectiveDate}`,
+    corporateActionIds: [action.id],
+    userId
+  };
+
+  return { asset, transaction };
+}
+
+// ============================================================================
+// RENDIMIENTO DIARIO
+// ============================================================================
+
+/**
+ * Ajustes del snapshot del día anterior para no registrar un evento
+ * corporativo como ganancia/pérdida ni como flujo de caja implícito.
+ *
+ * - Split aplicado el día efectivo: el snapshot anterior tiene unidades y
+ *   precio previos (valor correcto), solo se escalan las unidades.
+ * - Split aplicado tarde: el snapshot anterior ya usaba el precio ajustado
+ *   con unidades viejas, así que también se escala el valor.
+ * - Rename: el snapshot anterior se busca con el ticker anterior.
+ * - Spin-off: el nuevo lote se trata como posición nueva (sin flujo de caja).
+ *
+ * @param {import('./types').CorporateAction[]} actions - Eventos aplicados o efectivos en la fecha
+ * @returns {import('./types').PerformanceAdjustments}
+ */
+function buildPerformanceAdjustments(actions = []) {
+  const adjustments = { unitFactors: {}, valueFactors: {}, renames: {} };
+
+  for (const action of actions) {
+    if (SPLIT_TYPES.includes(action.type)) {
+      const factor = getUnitsFactor(action);
+      adjustments.unitFactors[action.symbol] = (adjustments.unitFactors[action.symbol] || 1) * factor;
+      if (action.appliedDate && action.appliedDate > action.effectiveDate) {
+        adjustments.valueFactors[action.symbol] = (adjustments.valueFactors[action.symbol] || 1) * factor;
+      }
+    } else if (action.type === 'rename') {
+      adjustments.renames[action.newSymbol] = action.symbol;
+    }
+  }
+
+  return adjustments;
+}
+
+module.exports = {
+  getUnitsFactor,
+  validateCorporateAction,
+  getLotUpdate,
+  getTransactionUpdate,
+  buildSpinOffDocuments,
+  buildPerformanceAdjustments
+};
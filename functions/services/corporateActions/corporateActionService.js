@@ -0,0 +1,311 @@
+/**
+ * Corporate Action Service
+ *
+ * Registra eventos corporativos en `corporateActions` y ajusta los lotes de
+ * `assets` y las `transactions` históricas de todos los usuarios.
+ *
+ * Un evento con fecha efectiva futura queda `pending` y lo aplica
+ * unifiedMarketDataUpdate al llegar la fecha. Cada documento ajustado guarda
+ * el ID del evento en `corporateActionIds`, así que reaplicar es idempotente.
+ *
+ * @module services/corporateActions/corporateActionService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const {
+  CORPORATE_ACTIONS_COLLECTION,
+  CORPORATE_ACTION_STATUS,
+  WRITE_BATCH_SIZE
+} = require('./types');
+const {
+  validateCorporateAction,
+  getLotUpdate,
+  getTransactionUpdate,
+  buildSpinOffDocuments,
+  buildPerformanceAdjustments
+} = require('./adjustmentEngine');
+
+const db = admin.firestore();
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Fecha actual en Nueva York (YYYY-MM-DD), igual que el cálculo de rendimiento
+ * @returns {string}
+ */
+function getTodayNY() {
+  return DateTime.now().setZone('America/New_York').toISODate();
+}
+
+/**
+ * Indica si el documento ya fue ajustado por el evento
+ * @param {Object} data
+ * @param {string} actionId
+ * @returns {boolean}
+ */
+function isAlreadyAdjusted(data, actionId) {
+  return Array.isArray(data.corporateActionIds) && data.corporateActionIds.includes(actionId);
+}
+
+/**
+ * Escritor que hace commit cada WRITE_BATCH_SIZE operaciones
+ * @returns {{set: function, update: function, commit: function(): Promise<void>}}
+ */
+function createBatchWriter() {
+  let batch = db.batch();
+  let count = 0;
+  const pending = [];
+
+  const flushIfFull = () => {
+    if (++count >= WRITE_BATCH_SIZE) {
+      pending.push(batch.commit());
+      batch = db.batch();
+      count = 0;
+    }
+  };
+
+  return {
+    set(ref, data) {
+      batch.set(ref, data);
+      flushIfFull();
+    },
+    update(ref, data) {
+      batch.update(ref, data);
+      flushIfFull();
+    },
+    async commit() {
+      if (count > 0) pending.push(batch.commit());
+      await Promise.all(pending);
+    }
+  };
+}
+
+/**
+ * Dueño de cada cuenta (para las transacciones del spin-off)
+ * @param {string[]} accountIds
+ * @returns {Promise<Map<string, string>>} accountId -> userId
+ */
+async function getAccountOwners(accountIds) {
+  const owners = new Map();
+  for (let i = 0; i < accountIds.length; i += 10) {
+    const snapshot = await db.collection('portfolioAccounts')
+      .where('__name__', 'in', accountIds.slice(i, i + 10))
+      .get();
+    snapshot.docs.forEach(doc => owners.set(doc.id, doc.data().userId));
+  }
+  return owners;
+}
+
+// ============================================================================
+// SELECCIÓN DE DOCUMENTOS
+// ============================================================================
+
+/**
+ * Lotes afectados por el evento
+ * - split/reverseSplit: lotes comprados antes de la fecha efectiva
+ * - rename: todos los lotes del ticker
+ * - spinOff: lotes activos comprados antes de la fecha efectiva
+ *
+ * @param {import('./types').CorporateAction} action
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAffectedLots(action) {
+  const snapshot = await db.collection('assets')
+    .where('name', '==', action.symbol)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+    .filter(lot => !isAlreadyAdjusted(lot, action.id))
+    .filter(lot => {
+      if (action.type === 'rename') return true;
+      const heldBefore = String(lot.acquisitionDate || '') < action.effectiveDate;
+      if (action.type === 'spinOff') return heldBefore && lot.isActive && Number(lot.units) > 0;
+      return heldBefore;
+    });
+}
+
+/**
+ * Transacciones afectadas por el evento (por assetName o symbol)
+ * - split/reverseSplit: anteriores a la fecha efectiva
+ * - rename: todas
+ * - spinOff: compras de los lotes ajustados
+ *
+ * @param {import('./types').CorporateAction} action
+ * @param {Set<string>} lotIds - Lotes ajustados (spinOff)
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAffectedTransactions(action, lotIds) {
+  const [byAssetName, bySymbol] = await Promise.all([
+    db.collection('transactions').where('assetName', '==', action.symbol).get(),
+    db.collection('transactions').where('symbol', '==', action.symbol).get()
+  ]);
+
+  const transactions = new Map();
+  [...byAssetName.docs, ...bySymbol.docs].forEach(doc => {
+    transactions.set(doc.id, { id: doc.id, ref: doc.ref, ...doc.data() });
+  });
+
+  return [...transactions.values()]
+    .filter(tx => !isAlreadyAdjusted(tx, action.id))
+    .filter(tx => {
+      if (action.type === 'rename') return true;
+      if (action.type === 'spinOff') return lotIds.has(tx.assetId);
+      return String(tx.date || '') < action.effectiveDate;
+    });
+}
+
+// ============================================================================
+// APLICACIÓN
+// ============================================================================
+
+/**
+ * Ajusta lotes y transacciones y marca el evento como aplicado
+ *
+ * @param {import('./types').CorporateAction} action - Evento (con id)
+ * @param {string} [today] - Fecha de aplicación (YYYY-MM-DD, NY)
+ * @returns {Promise<{lotsAdjusted: number, transactionsAdjusted: number, lotsCreated: number}>}
+ */
+async function applyCorporateAction(action, today = getTodayNY()) {
+  const markApplied = admin.firestore.FieldValue.arrayUnion(action.id);
+  const writer = createBatchWriter();
+
+  const lots = await getAffectedLots(action);
+  const transactions = await getAffectedTransactions(action, new Set(lots.map(lot => lot.id)));
+
+  lots.forEach(lot => {
+    writer.update(lot.ref, { ...getLotUpdate(lot, action), corporateActionIds: markApplied });
+  });
+
+  let transactionsAdjusted = 0;
+  transactions.forEach(tx => {
+    const update = getTransactionUpdate(tx, action);
+    if (!update) return;
+    writer.update(tx.ref, { ...update, corporateActionIds: markApplied });
+    transactionsAdjusted++;
+  });
+
+  let lotsCreated = 0;
+  if (action.type === 'spinOff' && lots.length > 0) {
+    const owners = await getAccountOwners([...new Set(lots.map(lot => lot.portfolioAccount))]);
+    lots.forEach(lot => {
+      const { asset, transaction } = buildSpinOffDocuments(lot, action, owners.get(lot.portfolioAccount) || null);
+      const assetRef = db.collection('assets').doc();
+      writer.set(assetRef, asset);
+      writer.set(db.collection('transactions').doc(), {
+        ...transaction,
+        assetId: assetRef.id,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      lotsCreated++;
+    });
+  }
+
+  const result = { lotsAdjusted: lots.length, transactionsAdjusted, lotsCreated };
+
+  writer.update(db.collection(CORPORATE_ACTIONS_COLLECTION).doc(action.id), {
+    status: CORPORATE_ACTION_STATUS.APPLIED,
+    appliedDate: today,
+    appliedAt: admin.firestore.FieldValue.serverTimestamp(),
+    result
+  });
+
+  await writer.commit();
+
+  console.log(`[corporateActionService] Aplicado ${action.type} ${action.symbol} (${action.id})`, result);
+
+  return result;
+}
+
+/**
+ * Registra un evento corporativo y lo aplica si la fecha efectiva ya llegó
+ *
+ * @param {Object} data - Datos del evento (ver validateCorporateAction)
+ * @param {Object} options
+ * @param {string} options.recordedBy - UID del admin
+ * @param {string} [options.today] - Fecha actual (YYYY-MM-DD, NY)
+ * @returns {Promise<{action: import('./types').CorporateAction, applied: boolean, result: Object|null}>}
+ * @throws {Error} Si los datos no son válidos
+ */
+async function recordCorporateAction(data, { recordedBy, today = getTodayNY() } = {}) {
+  const normalized = validateCorporateAction(data);
+
+  const actionRef = db.collection(CORPORATE_ACTIONS_COLLECTION).doc();
+  const action = {
+    id: actionRef.id,
+    ...normalized,
+    status: CORPORATE_ACTION_STATUS.PENDING,
+    appliedDate: null,
+    result: null,
+    recordedBy
+  };
+  await actionRef.set({ ...action, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  if (action.effectiveDate > today) {
+    console.log(`[corporateActionService] ${action.type} ${action.symbol} pendiente hasta ${action.effectiveDate}`);
+    return { action, applied: false, result: null };
+  }
+
+  const result = await applyCorporateAction(action, today);
+  return {
+    action: { ...action, status: CORPORATE_ACTION_STATUS.APPLIED, appliedDate: today, result },
+    applied: true,
+    result
+  };
+}
+
+/**
+ * Aplica los eventos pendientes cuya fecha efectiva ya llegó
+ * (invocado por unifiedMarketDataUpdate antes del cálculo de rendimiento)
+ *
+ * @param {string} [today] - Fecha actual (YYYY-MM-DD, NY)
+ * @returns {Promise<number>} Eventos aplicados
+ */
+async function applyDueCorporateActions(today = getTodayNY()) {
+  const snapshot = await db.collection(CORPORATE_ACTIONS_COLLECTION)
+    .where('status', '==', CORPORATE_ACTION_STATUS.PENDING)
+    .get();
+
+  const due = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(action => action.effectiveDate <= today)
+    .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+  for (const action of due) {
+    await applyCorporateAction(action, today);
+  }
+
+  return due.length;
+}
+
+/**
+ * Ajustes de rendimiento para los eventos efectivos o aplicados en la fecha
+ *
+ * @param {string} date - Fecha del cálculo (YYYY-MM-DD, NY)
+ * @returns {Promise<import('./types').PerformanceAdjustments>}
+ */
+async function getPerformanceAdjustments(date) {
+  const [byEffectiveDate, byAppliedDate] = await Promise.all([
+    db.collection(CORPORATE_ACTIONS_COLLECTION).where('effectiveDate', '==', date).get(),
+    db.collection(CORPORATE_ACTIONS_COLLECTION).where('appliedDate', '==', date).get()
+  ]);
+
+  const actions = new Map();
+  [...byEffectiveDate.docs, ...byAppliedDate.docs].forEach(doc => {
+    const action = { id: doc.id, ...doc.data() };
+    if (action.status === CORPORATE_ACTION_STATUS.APPLIED) actions.set(doc.id, action);
+  });
+
+  return buildPerformanceAdjustments([...actions.values()]);
+}
+
+module.exports = {
+  getTodayNY,
+  applyCorporateAction,
+  recordCorporateAction,
+  applyDueCorporateActions,
+  getPerformanceAdjustments
+};
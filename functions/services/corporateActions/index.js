@@ -0,0 +1,27 @@
+/**
+ * Corporate Actions Module Index
+ *
+ * Exporta el registro y la aplicación de eventos corporativos
+ * (split, reverse split, rename, spin-off).
+ *
+ * @module services/corporateActions
+ */
+
+const types = require('./types');
+const adjustmentEngine = require('./adjustmentEngine');
+const corporateActionService = require('./corporateActionService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...corporateActionService,
+  validateCorporateAction: adjustmentEngine.validateCorporateAction,
+  buildPerformanceAdjustments: adjustmentEngine.buildPerformanceAdjustments,
+
+  // Servicios individuales
+  adjustmentEngine,
+  corporateActionService
+};
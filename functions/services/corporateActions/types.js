@@ -0,0 +1,79 @@
+/**
+ * Corporate Actions Types
+ *
+ * Tipos y constantes para eventos corporativos (splits, reverse splits,
+ * cambios de ticker y spin-offs) que ajustan lotes y transacciones.
+ *
+ * @module services/corporateActions/types
+ */
+
+/**
+ * Tipo de evento corporativo
+ * - split: ratioFrom -> ratioTo acciones (ej. 1 -> 4), ratioTo > ratioFrom
+ * - reverseSplit: ratioFrom -> ratioTo acciones (ej. 10 -> 1), ratioTo < ratioFrom
+ * - rename: el ticker `symbol` pasa a ser `newSymbol`
+ * - spinOff: por cada ratioFrom acciones de `symbol` se reciben ratioTo de
+ *   `newSymbol`; `costAllocation` del costo base pasa a la nueva empresa
+ * @typedef {'split' | 'reverseSplit' | 'rename' | 'spinOff'} CorporateActionType
+ */
+
+/**
+ * Documento de `corporateActions`
+ * @typedef {Object} CorporateAction
+ * @property {string} id - ID del documento
+ * @property {CorporateActionType} type - Tipo de evento
+ * @property {string} symbol - Ticker afectado
+ * @property {string} effectiveDate - Fecha efectiva (YYYY-MM-DD)
+ * @property {number} [ratioFrom] - Acciones antes (split, reverseSplit, spinOff)
+ * @property {number} [ratioTo] - Acciones después / recibidas (split, reverseSplit, spinOff)
+ * @property {string} [newSymbol] - Nuevo ticker (rename) o ticker recibido (spinOff)
+ * @property {number} [costAllocation] - Fracción del costo base asignada al spin-off (0-1)
+ * @property {string} [newAssetType] - Tipo de activo del spin-off (default: el del lote)
+ * @property {'pending' | 'applied'} status - pending si la fecha efectiva es futura
+ * @property {string|null} appliedDate - Fecha (NY) en que se ajustaron los lotes
+ * @property {Object|null} result - Conteo de documentos ajustados
+ * @property {string} recordedBy - UID del admin que lo registró
+ */
+
+/**
+ * Ajustes de rendimiento del día para calculateAccountPerformance.
+ * Claves por ticker actual.
+ * @typedef {Object} PerformanceAdjustments
+ * @property {Object.<string, number>} unitFactors - Multiplicador de unidades del día anterior
+ * @property {Object.<string, number>} valueFactors - Multiplicador del valor del día anterior
+ * @property {Object.<string, string>} renames - Ticker nuevo -> ticker anterior
+ */
+
+/** Colección de eventos corporativos */
+const CORPORATE_ACTIONS_COLLECTION = 'corporateActions';
+
+/** Tipos soportados */
+const CORPORATE_ACTION_TYPES = ['split', 'reverseSplit', 'rename', 'spinOff'];
+
+/** Tipos que cambian unidades y precio unitario */
+const SPLIT_TYPES = ['split', 'reverseSplit'];
+
+/** Tipos que requieren newSymbol */
+const NEW_SYMBOL_TYPES = ['rename', 'spinOff'];
+
+/** Estados de un evento */
+const CORPORATE_ACTION_STATUS = {
+  PENDING: 'pending',
+  APPLIED: 'applied'
+};
+
+/** Tipo de transacción creada para las acciones recibidas en un spin-off */
+const SPIN_OFF_TRANSACTION_TYPE = 'spinOff';
+
+/** Escrituras por batch de Firestore (límite 500) */
+const WRITE_BATCH_SIZE = 450;
+
+module.exports = {
+  CORPORATE_ACTIONS_COLLECTION,
+  CORPORATE_ACTION_TYPES,
+  SPLIT_TYPES,
+  NEW_SYMBOL_TYPES,
+  CORPORATE_ACTION_STATUS,
+  SPIN_OFF_TRANSACTION_TYPE,
+  WRITE_BATCH_SIZE
+};
@@ -0,0 +1,167 @@
+/**
+ * Tests para services/costBasis
+ *
+ * Verifica la selección de lotes por método de costo base (FIFO, LIFO,
+ * HIFO, AVERAGE, SPECIFIC) y su uso al reconstruir posiciones cerradas.
+ *
+ * @module __tests__/services/costBasis.test
+ */
+
+jest.mock('../../firebaseAdmin', () => ({
+  firestore: jest.fn(() => ({ collection: jest.fn() }))
+}));
+
+const {
+  selectLots,
+  calculateAverageCost,
+  getAverageCostUpdates,
+  getAccountCostBasisMethod
+} = require('../lotSelector');
+const {
+  buildAverageCostBySell,
+  processTransactions
+} = require('../../closedPositions/transactionProcessor');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const LOTS = [
+  { id: 'b', units: 10, unitValue: 120, acquisitionDate: '2024-03-01' },
+  { id: 'a', units: 5, unitValue: 100, acquisitionDate: '2024-01-15' },
+  { id: 'c', units: 8, unitValue: 90, acquisitionDate: '2024-06-10' }
+];
+
+const summarize = (allocations) => allocations.map(a => [a.lot.id, a.units, a.costPerUnit]);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('selectLots', () => {
+  it('FIFO consume primero los lotes más antiguos', () => {
+    expect(summarize(selectLots(LOTS, 12, 'FIFO'))).toEqual([['a', 5, 100], ['b', 7, 120]]);
+  });
+
+  it('LIFO consume primero los lotes más recientes', () => {
+    expect(summarize(selectLots(LOTS, 12, 'LIFO'))).toEqual([['c', 8, 90], ['b', 4, 120]]);
+  });
+
+  it('HIFO consume primero los lotes de mayor costo', () => {
+    expect(summarize(selectLots(LOTS, 12, 'HIFO'))).toEqual([['b', 10, 120], ['a', 2, 100]]);
+  });
+
+  it('AVERAGE aplica el costo promedio ponderado a todos los lotes', () => {
+    const average = (5 * 100 + 10 * 120 + 8 * 90) / 23;
+    const allocations = selectLots(LOTS, 12, 'AVERAGE');
+
+    expect(allocations.map(a => a.lot.id)).toEqual(['a', 'b']);
+    allocations.forEach(a => expect(a.costPerUnit).toBeCloseTo(average, 10));
+    expect(calculateAverageCost(LOTS)).toBeCloseTo(average, 10);
+  });
+
+  it('AVERAGE deja los lotes restantes al promedio para que el costo total sea lo pagado', () => {
+    let lots = [
+      { id: 'x', units: 10, unitValue: 100, acquisitionDate: '2024-01-01' },
+      { id: 'y', units: 10, unitValue: 200, acquisitionDate: '2024-02-01' }
+    ];
+    let soldCost = 0;
+
+    // Aplica la venta como los handlers: descuenta unidades y reescribe unitValue
+    const sell = (units) => {
+      const allocations = selectLots(lots, units, 'AVERAGE');
+      const updates = new Map(getAverageCostUpdates(lots, allocations).map(u => [u.lot.id, u.unitValue]));
+      soldCost += allocations.reduce((sum, a) => sum + a.units * a.costPerUnit, 0);
+      lots = lots
+        .map(lot => ({
+          ...lot,
+          units: lot.units - (allocations.find(a => a.lot.id === lot.id)?.units || 0),
+          unitValue: updates.get(lot.id) ?? lot.unitValue
+        }))
+        .filter(lot => lot.units > 0);
+    };
+    const remainingCost = () => lots.reduce((sum, lot) => sum + lot.units * lot.unitValue, 0);
+
+    sell(10);
+    expect(soldCost).toBe(1500);
+    expect(lots).toEqual([expect.objectContaining({ id: 'y', units: 10, unitValue: 150 })]);
+    expect(soldCost + remainingCost()).toBe(3000);
+
+    sell(4);
+    expect(soldCost).toBe(2100);
+    expect(soldCost + remainingCost()).toBe(3000);
+
+    const buys = [
+      { id: 'bx', assetName: 'T', portfolioAccountId: 'acc', date: '2024-01-01', amount: 10, price: 100 },
+      { id: 'by', assetName: 'T', portfolioAccountId: 'acc', date: '2024-02-01', amount: 10, price: 200 }
+    ];
+    const sells = [
+      { id: 's1', assetName: 'T', portfolioAccountId: 'acc', date: '2024-03-01', amount: 10 },
+      { id: 's2', assetName: 'T', portfolioAccountId: 'acc', date: '2024-04-01', amount: 4 }
+    ];
+    expect([...buildAverageCostBySell(buys, sells).values()]).toEqual([150, 150]);
+  });
+
+  it('SPECIFIC usa exactamente los lotes indicados', () => {
+    const allocations = selectLots(LOTS, 6, 'SPECIFIC', [
+      { assetId: 'c', units: 4 },
+      { assetId: 'a', units: 2 }
+    ]);
+
+    expect(summarize(allocations)).toEqual([['c', 4, 90], ['a', 2, 100]]);
+  });
+
+  it('SPECIFIC rechaza selecciones inválidas', () => {
+    expect(() => selectLots(LOTS, 6, 'SPECIFIC')).toThrow(/lots/);
+    expect(() => selectLots(LOTS, 6, 'SPECIFIC', [{ assetId: 'x', units: 6 }])).toThrow(/no está disponible/);
+    expect(() => selectLots(LOTS, 6, 'SPECIFIC', [{ assetId: 'a', units: 6 }])).toThrow(/Unidades inválidas/);
+    expect(() => selectLots(LOTS, 6, 'SPECIFIC', [{ assetId: 'a', units: 3 }, { assetId: 'a', units: 3 }])).toThrow(/repetido/);
+    expect(() => selectLots(LOTS, 6, 'SPECIFIC', [{ assetId: 'a', units: 5 }])).toThrow(/no coinciden/);
+  });
+
+  it('rechaza métodos desconocidos y ventas sin unidades suficientes', () => {
+    expect(() => selectLots(LOTS, 1, 'MAGIC')).toThrow(/no válido/);
+    expect(() => selectLots(LOTS, 24, 'FIFO')).toThrow(/suficientes/);
+  });
+
+  it('usa FIFO si la cuenta no tiene un método configurable', () => {
+    expect(getAccountCostBasisMethod({ costBasisMethod: 'HIFO' })).toBe('HIFO');
+    expect(getAccountCostBasisMethod({ costBasisMethod: 'SPECIFIC' })).toBe('FIFO');
+    expect(getAccountCostBasisMethod({})).toBe('FIFO');
+  });
+});
+
+describe('transactionProcessor con costo base', () => {
+  const buys = [
+    { id: 'buy1', assetId: 'lot1', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-01-01', amount: 10, price: 100 },
+    { id: 'buy2', assetId: 'lot2', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-02-01', amount: 10, price: 200 }
+  ];
+
+  it('calcula el promedio vigente en cada venta', () => {
+    const sells = [
+      { id: 'sell1', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-03-01', amount: 10, price: 180 },
+      { id: 'buy3-sell', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-05-01', amount: 5, price: 250 }
+    ];
+    const extraBuy = { id: 'buy3', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-04-01', amount: 10, price: 300 };
+
+    const averages = buildAverageCostBySell([...buys, extraBuy], sells);
+
+    expect(averages.get('sell1')).toBe(150);
+    // 10 unidades restantes a 150 + 10 a 300
+    expect(averages.get('buy3-sell')).toBe(225);
+  });
+
+  it('prioriza costBasisPerUnit y recalcula ventas antiguas en cuentas AVERAGE', () => {
+    const sells = [
+      { id: 's1', assetId: 'lot2', assetName: 'AAPL', portfolioAccountId: 'acc1', date: '2024-03-01', amount: 5, price: 180, valuePnL: -100 },
+      { id: 's2', assetId: 'lot1', assetName: 'AAPL', portfolioAccountId: 'acc2', date: '2024-03-01', amount: 5, price: 180, valuePnL: 80, costBasisMethod: 'HIFO', costBasisPerUnit: 164 }
+    ];
+    const positions = processTransactions(sells, new Map(), new Map(), new Map(), {
+      costBasisMethods: new Map([['acc1', 'AVERAGE'], ['acc2', 'HIFO']]),
+      averageCostBySell: buildAverageCostBySell(buys, sells)
+    });
+
+    expect(positions[0]).toMatchObject({ buyPrice: 150, realizedPnL: 150, costBasisMethod: 'AVERAGE' });
+    expect(positions[1]).toMatchObject({ buyPrice: 164, realizedPnL: 80, costBasisMethod: 'HIFO' });
+  });
+});
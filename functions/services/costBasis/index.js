@@ -0,0 +1,25 @@
+/**
+ * Cost Basis Module Index
+ *
+ * Exporta la selección de lotes por método de costo base.
+ *
+ * @module services/costBasis
+ */
+
+const types = require('./types');
+const lotSelector = require('./lotSelector');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Funciones principales
+  selectLots: lotSelector.selectLots,
+  calculateAverageCost: lotSelector.calculateAverageCost,
+  getAverageCostUpdates: lotSelector.getAverageCostUpdates,
+  getAccountCostBasisMethod: lotSelector.getAccountCostBasisMethod,
+
+  // Servicios individuales
+  lotSelector
+};
@@ -0,0 +1,219 @@
+/**
+ * Lot Selector
+ *
+ * Decide qué lotes consume una venta y con qué costo unitario según el
+ * método de costo base de la cuenta. Funciones puras: los handlers de venta
+ * aplican el resultado a `assets` y `transactions`.
+ *
+ * @module services/costBasis/lotSelector
+ */
+
+const {
+  COST_BASIS_METHODS,
+  ACCOUNT_COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD
+} = require('./types');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Redondea a 8 decimales para evitar residuos de punto flotante en unidades
+ * @param {number} num
+ * @returns {number}
+ */
+const round8 = (num) => Math.round(num * 1e8) / 1e8;
+
+/**
+ * Compara fechas de adquisición (lotes sin fecha van al final)
+ * @param {import('./types').Lot} a
+ * @param {import('./types').Lot} b
+ * @returns {number}
+ */
+const compareByDate = (a, b) =>
+  String(a.acquisitionDate || '9999-12-31').localeCompare(String(b.acquisitionDate || '9999-12-31'));
+
+/**
+ * Costo promedio ponderado por unidades
+ * @param {import('./types').Lot[]} lots
+ * @returns {number}
+ */
+function calculateAverageCost(lots) {
+  let totalUnits = 0;
+  let totalCost = 0;
+  for (const lot of lots) {
+    const units = Number(lot.units) || 0;
+    totalUnits += units;
+    totalCost += units * (Number(lot.unitValue) || 0);
+  }
+  return totalUnits > 0 ? totalCost / totalUnits : 0;
+}
+
+/**
+ * Método de costo base configurado en la cuenta
+ * @param {Object} account - Documento de portfolioAccounts
+ * @returns {import('./types').CostBasisMethod}
+ */
+function getAccountCostBasisMethod(account) {
+  const method = account?.costBasisMethod;
+  return ACCOUNT_COST_BASIS_METHODS.includes(method) ? method : DEFAULT_COST_BASIS_METHOD;
+}
+
+/**
+ * Ordena lotes según el método
+ * @param {import('./types').Lot[]} lots
+ * @param {import('./types').CostBasisMethod} method
+ * @returns {import('./types').Lot[]}
+ */
+function sortLots(lots, method) {
+  const sorted = [...lots];
+  switch (method) {
+    case 'LIFO':
+      return sorted.sort((a, b) => compareByDate(b, a));
+    case 'HIFO':
+      return sorted.sort((a, b) =>
+        (Number(b.unitValue) || 0) - (Number(a.unitValue) || 0) || compareByDate(a, b)
+      );
+    default:
+      return sorted.sort(compareByDate);
+  }
+}
+
+/**
+ * Valida la selección explícita de lotes y la convierte en asignaciones
+ * @param {import('./types').Lot[]} lots
+ * @param {import('./types').SpecificLotSelection[]} selections
+ * @param {number} unitsToSell
+ * @returns {import('./types').LotAllocation[]}
+ * @throws {Error} Si la selección no es válida
+ */
+function allocateSpecificLots(lots, selections, unitsToSell) {
+  if (!Array.isArray(selections) || selections.length === 0) {
+    throw new Error('lots debe ser un array con al menos un lote');
+  }
+
+  const lotsById = new Map(lots.map(lot => [lot.id, lot]));
+  const seen = new Set();
+  let totalUnits = 0;
+
+  const allocations = selections.map(selection => {
+    const lot = lotsById.get(selection?.assetId);
+    const units = round8(Number(selection?.units));
+
+    if (!lot) {
+      throw new Error(`El lote ${selection?.assetId} no está disponible para esta venta`);
+    }
+    if (seen.has(lot.id)) {
+      throw new Error(`El lote ${lot.id} está repetido`);
+    }
+    if (!(units > 0) || units > round8(Number(lot.units))) {
+      throw new Error(`Unidades inválidas para el lote ${lot.id}. Disponibles: ${lot.units}`);
+    }
+
+    seen.add(lot.id);
+    totalUnits = round8(totalUnits + units);
+    return { lot, units, costPerUnit: Number(lot.unitValue) || 0 };
+  });
+
+  if (Math.abs(totalUnits - unitsToSell) > 1e-8) {
+    throw new Error(`Las unidades de los lotes (${totalUnits}) no coinciden con unitsToSell (${unitsToSell})`);
+  }
+
+  return allocations;
+}
+
+// ============================================================================
+// SELECCIÓN DE LOTES
+// ============================================================================
+
+/**
+ * Asigna las unidades vendidas a lotes según el método de costo base
+ *
+ * @param {import('./types').Lot[]} lots - Lotes elegibles (mismo ticker y cuenta)
+ * @param {number} unitsToSell - Unidades a vender
+ * @param {import('./types').CostBasisMethod} [method='FIFO'] - Método
+ * @param {import('./types').SpecificLotSelection[]} [specificLots] - Requerido con SPECIFIC
+ * @returns {import('./types').LotAllocation[]}
+ * @throws {Error} Si el método no existe, faltan unidades o la selección es inválida
+ *
+ * @example
+ * const allocations = selectLots(lots, 15, 'HIFO');
+ * // [{ lot: {id: 'b', unitValue: 120, ...}, units: 10, costPerUnit: 120 }, ...]
+ */
+function selectLots(lots, unitsToSell, method = DEFAULT_COST_BASIS_METHOD, specificLots) {
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new Error(`Método de costo base no válido: ${method}. Métodos: ${COST_BASIS_METHODS.join(', ')}`);
+  }
+
+  const units = round8(Number(unitsToSell));
+  const available = round8(lots.reduce((sum, lot) => sum + (Number(lot.units) || 0), 0));
+
+  if (!(units > 0)) {
+    throw new Error('La cantidad a vender debe ser mayor a 0');
+  }
+  if (units > available) {
+    throw new Error(`No hay suficientes unidades. Disponibles: ${available}, Solicitadas: ${units}`);
+  }
+
+  if (method === 'SPECIFIC') {
+    return allocateSpecificLots(lots, specificLots, units);
+  }
+
+  const averageCost = method === 'AVERAGE' ? calculateAverageCost(lots) : null;
+  const allocations = [];
+  let remaining = units;
+
+  for (const lot of sortLots(lots, method)) {
+    if (remaining <= 0) break;
+    const lotUnits = round8(Number(lot.units) || 0);
+    if (lotUnits <= 0) continue;
+
+    const take = round8(Math.min(lotUnits, remaining));
+    remaining = round8(remaining - take);
+    allocations.push({
+      lot,
+      units: take,
+      costPerUnit: averageCost !== null ? averageCost : Number(lot.unitValue) || 0
+    });
+  }
+
+  return allocations;
+}
+
+/**
+ * Costo de los lotes que quedan tras una venta AVERAGE
+ *
+ * La venta se valora al promedio del pool, así que los lotes restantes pasan
+ * a ese mismo costo unitario: de lo contrario conservan su costo original y
+ * el costo del pool deja de coincidir con lo pagado. Igual que
+ * buildAverageCostBySell (closedPositions), vender reduce unidades sin
+ * cambiar el promedio.
+ *
+ * @param {import('./types').Lot[]} lots - Lotes del pool (los pasados a selectLots)
+ * @param {Array<{lot: {id: string}, units: number}>} allocations - Unidades vendidas por lote
+ * @returns {Array<{lot: import('./types').Lot, unitValue: number}>} Lotes con unidades
+ *   restantes cuyo costo unitario cambia
+ *
+ * @example
+ * // Lotes 10@100 y 10@200, venta de 10 (FIFO sobre el primero)
+ * getAverageCostUpdates(lots, selectLots(lots, 10, 'AVERAGE'));
+ * // [{ lot: {id: 'b', units: 10, unitValue: 200}, unitValue: 150 }]
+ */
+function getAverageCostUpdates(lots, allocations) {
+  const averageCost = calculateAverageCost(lots);
+  const soldUnits = new Map(allocations.map(allocation => [allocation.lot.id, allocation.units]));
+
+  return lots
+    .filter(lot => round8((Number(lot.units) || 0) - (soldUnits.get(lot.id) || 0)) > 0)
+    .filter(lot => Number(lot.unitValue) !== averageCost)
+    .map(lot => ({ lot, unitValue: averageCost }));
+}
+
+module.exports = {
+  calculateAverageCost,
+  getAverageCostUpdates,
+  getAccountCostBasisMethod,
+  sortLots,
+  selectLots
+};
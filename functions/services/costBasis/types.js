@@ -0,0 +1,60 @@
+/**
+ * Cost Basis Types
+ *
+ * Tipos y constantes para los métodos de costo base por cuenta
+ * (qué lotes se consumen en una venta y a qué costo).
+ *
+ * @module services/costBasis/types
+ */
+
+/**
+ * Método de costo base
+ * - FIFO: primero los lotes más antiguos
+ * - LIFO: primero los lotes más recientes
+ * - HIFO: primero los lotes de mayor costo unitario
+ * - AVERAGE: costo promedio ponderado de todos los lotes (consume en orden FIFO)
+ * - SPECIFIC: lotes indicados explícitamente en el payload
+ * @typedef {'FIFO' | 'LIFO' | 'HIFO' | 'AVERAGE' | 'SPECIFIC'} CostBasisMethod
+ */
+
+/**
+ * Lote disponible para vender (documento de `assets`)
+ * @typedef {Object} Lot
+ * @property {string} id - ID del asset
+ * @property {number} units - Unidades disponibles
+ * @property {number} unitValue - Costo unitario de compra
+ * @property {string} acquisitionDate - Fecha de compra (YYYY-MM-DD)
+ */
+
+/**
+ * Selección explícita de un lote
+ * @typedef {Object} SpecificLotSelection
+ * @property {string} assetId - ID del lote
+ * @property {number} units - Unidades a vender de ese lote
+ */
+
+/**
+ * Asignación de unidades vendidas a un lote
+ * @typedef {Object} LotAllocation
+ * @property {Lot} lot - Lote consumido
+ * @property {number} units - Unidades vendidas del lote
+ * @property {number} costPerUnit - Costo unitario aplicado al P&L
+ */
+
+/** Métodos soportados */
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'HIFO', 'AVERAGE', 'SPECIFIC'];
+
+/**
+ * Métodos configurables en la cuenta. SPECIFIC no es un default de cuenta:
+ * se activa por venta enviando `lots` en el payload.
+ */
+const ACCOUNT_COST_BASIS_METHODS = ['FIFO', 'LIFO', 'HIFO', 'AVERAGE'];
+
+/** Método por defecto (comportamiento histórico de sellPartialAssetsFIFO) */
+const DEFAULT_COST_BASIS_METHOD = 'FIFO';
+
+module.exports = {
+  COST_BASIS_METHODS,
+  ACCOUNT_COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD
+};
@@ -0,0 +1,175 @@
+/**
+ * Tests para services/dividendCalendar
+ *
+ * Verifica el parseo de fechas de currentPrices, la proyección trimestral de
+ * pagos, el ingreso proyectado con la retención de cada cuenta y el
+ * agregado mensual de dividendos recibidos.
+ *
+ * @module __tests__/services/dividendCalendar.test
+ */
+
+const mockCollections = {};
+
+jest.mock('../../firebaseAdmin', () => ({
+  firestore: jest.fn(() => ({
+    collection: jest.fn((name) => {
+      const query = {
+        where: jest.fn(() => query),
+        get: jest.fn(async () => ({
+          docs: (mockCollections[name] || []).map(doc => ({ id: doc.id, data: () => doc }))
+        }))
+      };
+      return query;
+    })
+  }))
+}));
+
+const { getDividendCalendar } = require('../dividendCalendarService');
+const {
+  parseDividendDate,
+  getProjectedPayDates,
+  buildHoldings,
+  buildUpcomingEvents,
+  buildProjectedIncome,
+  buildReceivedHistory
+} = require('../calendarBuilder');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const TODAY = '2024-05-15';
+
+const ACCOUNTS = new Map([
+  ['acc1', { id: 'acc1', name: 'Broker', taxDeductionPercentage: 15 }],
+  ['acc2', { id: 'acc2', name: 'Retiro', taxDeductionPercentage: 0 }]
+]);
+
+const ASSETS = [
+  { id: 'a1', name: 'KO', currency: 'USD', units: 10, portfolioAccount: 'acc1' },
+  { id: 'a2', name: 'KO', currency: 'USD', units: 30, portfolioAccount: 'acc1' },
+  { id: 'a3', name: 'KO', currency: 'USD', units: 20, portfolioAccount: 'acc2' },
+  { id: 'a4', name: 'AAPL', currency: 'USD', units: 5, portfolioAccount: 'acc2' },
+  { id: 'a5', name: 'TSLA', currency: 'USD', units: 3, portfolioAccount: 'acc2' }
+];
+
+const PRICES = new Map([
+  ['KO', { symbol: 'KO', name: 'Coca-Cola', dividend: '2.00', yield: 3.1, exDividend: 'Jun 14, 2024', dividendDate: 'Jul 01, 2024' }],
+  ['AAPL', { symbol: 'AAPL', name: 'Apple', dividend: 1, exDividend: 'May 10, 2024', dividendDate: 'May 16, 2024' }],
+  ['TSLA', { symbol: 'TSLA', name: 'Tesla' }]
+]);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('fechas de dividendo', () => {
+  it('parsea el formato de currentPrices', () => {
+    expect(parseDividendDate('Jul 01, 2024')).toBe('2024-07-01');
+    expect(parseDividendDate('Jan 6, 2026')).toBe('2026-01-06');
+    expect(parseDividendDate('2024-07-01')).toBeNull();
+    expect(parseDividendDate(null)).toBeNull();
+  });
+
+  it('proyecta pagos trimestrales dentro del horizonte', () => {
+    expect(getProjectedPayDates('2024-07-01', TODAY)).toEqual([
+      '2024-07-01', '2024-10-01', '2025-01-01', '2025-04-01'
+    ]);
+    // Una fecha de pago ya pasada se adelanta de a trimestres
+    expect(getProjectedPayDates('2023-11-30', TODAY, 6)).toEqual(['2024-05-30', '2024-08-30']);
+    expect(getProjectedPayDates(null, TODAY)).toEqual([]);
+  });
+});
+
+describe('secciones del calendario', () => {
+  const holdings = buildHoldings(ASSETS, ACCOUNTS);
+
+  it('agrupa lotes por cuenta y ticker', () => {
+    expect(holdings).toHaveLength(4);
+    expect(holdings.find(h => h.accountId === 'acc1' && h.symbol === 'KO')).toMatchObject({
+      units: 40,
+      taxDeductionPercentage: 15
+    });
+  });
+
+  it('lista próximos eventos ordenados por la fecha más próxima', () => {
+    const events = buildUpcomingEvents(holdings, PRICES, TODAY);
+
+    expect(events.map(e => e.symbol)).toEqual(['AAPL', 'KO']);
+    expect(events[0]).toMatchObject({ exDividendDate: '2024-05-10', payDate: '2024-05-16', dividendPerPayment: 0.25 });
+
+    const ko = events[1];
+    expect(ko.totalUnits).toBe(60);
+    expect(ko.accounts).toEqual([
+      { accountId: 'acc1', accountName: 'Broker', units: 40, estimatedGross: 20, estimatedNet: 17 },
+      { accountId: 'acc2', accountName: 'Retiro', units: 20, estimatedGross: 10, estimatedNet: 10 }
+    ]);
+  });
+
+  it('proyecta 12 meses por cuenta y moneda con la retención de la cuenta', () => {
+    const { byAccount, byMonth } = buildProjectedIncome(holdings, PRICES, TODAY);
+
+    expect(byAccount).toEqual([
+      {
+        accountId: 'acc1', accountName: 'Broker', currency: 'USD', taxDeductionPercentage: 15,
+        gross: 80, withheld: 12, net: 68, symbols: ['KO']
+      },
+      {
+        accountId: 'acc2', accountName: 'Retiro', currency: 'USD', taxDeductionPercentage: 0,
+        gross: 45, withheld: 0, net: 45, symbols: ['AAPL', 'KO']
+      }
+    ]);
+
+    expect(byMonth.map(m => m.month)).toEqual([
+      '2024-05', '2024-07', '2024-08', '2024-10', '2024-11', '2025-01', '2025-02', '2025-04'
+    ]);
+    expect(byMonth.find(m => m.month === '2024-07')).toEqual({
+      month: '2024-07', currency: 'USD', payments: 2, gross: 30, withheld: 3, net: 27
+    });
+  });
+
+  it('agrega dividendos recibidos por mes incluyendo reinversiones', () => {
+    const received = buildReceivedHistory([
+      { date: '2024-04-01', currency: 'USD', amount: 40, price: 0.425, grossAmount: 20, taxDeductionAmount: 3 },
+      { date: '2024-04-01', currency: 'USD', amount: 20, price: 0.5, reinvested: true },
+      { date: '2024-01-02', currency: 'COP', amount: 100, price: 50 }
+    ]);
+
+    expect(received).toEqual([
+      { month: '2024-01', currency: 'COP', payments: 1, gross: 5000, withheld: 0, net: 5000, reinvested: 0 },
+      { month: '2024-04', currency: 'USD', payments: 2, gross: 30, withheld: 3, net: 27, reinvested: 10 }
+    ]);
+  });
+});
+
+describe('getDividendCalendar', () => {
+  beforeEach(() => {
+    mockCollections.portfolioAccounts = [...ACCOUNTS.values()];
+    mockCollections.assets = ASSETS;
+    mockCollections.currentPrices = [...PRICES.values()];
+    mockCollections.transactions = [
+      { id: 't1', type: 'dividendPay', date: '2024-04-01', currency: 'USD', amount: 40, price: 0.425, portfolioAccountId: 'acc1' },
+      { id: 't2', type: 'dividendPay', date: '2023-01-02', currency: 'USD', amount: 40, price: 0.425, portfolioAccountId: 'acc1' }
+    ];
+  });
+
+  it('arma el calendario y filtra el historial por meses', async () => {
+    const result = await getDividendCalendar('user1', { historyMonths: 12, today: TODAY });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ historyFrom: '2023-06-01', symbols: ['AAPL', 'KO', 'TSLA'] });
+    expect(result.calendar.upcoming).toHaveLength(2);
+    expect(result.calendar.received.map(r => r.month)).toEqual(['2024-04']);
+  });
+
+  it('valida parámetros y cuentas', async () => {
+    expect(await getDividendCalendar('user1', { historyMonths: 0, today: TODAY }))
+      .toMatchObject({ success: false, error: 'INVALID_HISTORY_MONTHS' });
+    expect(await getDividendCalendar('user1', { accountIds: ['other'], today: TODAY }))
+      .toMatchObject({ success: false, error: 'INVALID_ACCOUNTS' });
+
+    mockCollections.portfolioAccounts = [];
+    expect(await getDividendCalendar('user1', { today: TODAY }))
+      .toMatchObject({ success: false, error: 'NO_ACCOUNTS' });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Calendar Builder
+ *
+ * Arma las secciones del calendario de dividendos a partir de lotes,
+ * cuentas, documentos de currentPrices y transacciones `dividendPay` ya
+ * cargados. Los montos quedan en la moneda de cada activo (sin conversión).
+ *
+ * @module services/dividendCalendar/calendarBuilder
+ */
+
+const { DateTime } = require('luxon');
+const {
+  DIVIDEND_DATE_FORMAT,
+  PAYMENTS_PER_YEAR,
+  PROJECTION_MONTHS
+} = require('./types');
+
+/**
+ * Redondea a 2 decimales para totales monetarios
+ * @param {number} num
+ * @returns {number}
+ */
+const round2 = (num) => Math.round((Number(num) || 0) * 100) / 100;
+
+/**
+ * Convierte una fecha de currentPrices ("Jan 06, 2026") a YYYY-MM-DD
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseDividendDate(value) {
+  if (!value) return null;
+  const date = DateTime.fromFormat(String(value), DIVIDEND_DATE_FORMAT, { locale: 'en' });
+  return date.isValid ? date.toISODate() : null;
+}
+
+/**
+ * Fechas de pago dentro del horizonte, asumiendo pagos trimestrales a partir
+ * de la última fecha de pago conocida. Cada fecha se calcula desde la
+ * original para no acumular desfases de fin de mes.
+ *
+ * @param {string|null} payDate - Fecha de pago conocida (YYYY-MM-DD)
+ * @param {string} today - Fecha actual (YYYY-MM-DD)
+ * @param {number} [months=PROJECTION_MONTHS] - Horizonte en meses
+ * @returns {string[]} Fechas YYYY-MM-DD en [today, today + months)
+ */
+function getProjectedPayDates(payDate, today, months = PROJECTION_MONTHS) {
+  if (!payDate) return [];
+
+  const start = DateTime.fromISO(payDate);
+  const end = DateTime.fromISO(today).plus({ months }).toISODate();
+  const step = 12 / PAYMENTS_PER_YEAR;
+  const dates = [];
+
+  for (let i = 0; ; i++) {
+    const date = start.plus({ months: step * i }).toISODate();
+    if (date >= end) break;
+    if (date >= today) dates.push(date);
+  }
+
+  return dates;
+}
+
+/**
+ * Agrupa los lotes activos por cuenta y ticker
+ *
+ * @param {Array<Object>} assets - Lotes activos (assets)
+ * @param {Map<string, Object>} accounts - accountId -> cuenta (name, taxDeductionPercentage)
+ * @returns {Array<{accountId: string, accountName: string, taxDeductionPercentage: number, symbol: string, currency: string, units: number}>}
+ */
+function buildHoldings(assets, accounts) {
+  const holdings = new Map();
+
+  for (const asset of assets) {
+    const account = accounts.get(asset.portfolioAccount);
+    if (!account || !asset.name) continue;
+
+    const key = `${asset.portfolioAccount}_${asset.name}`;
+    if (!holdings.has(key)) {
+      holdings.set(key, {
+        accountId: asset.portfolioAccount,
+        accountName: account.name || 'Sin cuenta',
+        taxDeductionPercentage: Number(account.taxDeductionPercentage) || 0,
+        symbol: asset.name,
+        currency: asset.currency || 'USD',
+        units: 0
+      });
+    }
+    holdings.get(key).units += Number(asset.units) || 0;
+  }
+
+  return [...holdings.values()].filter(holding => holding.units > 0);
+}
+
+/**
+ * Dividendo anual por unidad del documento de currentPrices
+ * @param {Object} priceDoc
+ * @returns {number}
+ */
+function getAnnualDividend(priceDoc) {
+  return parseFloat(priceDoc?.dividend) || 0;
+}
+
+/**
+ * Montos de un pago para una tenencia
+ * @param {Object} holding
+ * @param {number} dividendPerPayment
+ * @returns {{gross: number, withheld: number, net: number}}
+ */
+function calculatePayment(holding, dividendPerPayment) {
+  const gross = dividendPerPayment * holding.units;
+  const withheld = gross * (holding.taxDeductionPercentage / 100);
+  return { gross, withheld, net: gross - withheld };
+}
+
+// ============================================================================
+// SECCIONES
+// ============================================================================
+
+/**
+ * Próximas fechas ex-dividend y de pago de los tickers en tenencia
+ *
+ * @param {Array<Object>} holdings - Resultado de buildHoldings
+ * @param {Map<string, Object>} prices - symbol -> documento de currentPrices
+ * @param {string} today - Fecha actual (YYYY-MM-DD)
+ * @returns {import('./types').DividendEvent[]} Ordenados por la fecha más próxima
+ */
+function buildUpcomingEvents(holdings, prices, today) {
+  const events = new Map();
+
+  for (const holding of holdings) {
+    const priceDoc = prices.get(holding.symbol);
+    const annualDividend = getAnnualDividend(priceDoc);
+    if (annualDividend <= 0) continue;
+
+    const exDividendDate = parseDividendDate(priceDoc.exDividend);
+    const payDate = parseDividendDate(priceDoc.dividendDate);
+    const isUpcoming = (exDividendDate && exDividendDate >= today) || (payDate && payDate >= today);
+    if (!isUpcoming) continue;
+
+    const key = `${holding.symbol}_${holding.currency}`;
+    const dividendPerPayment = annualDividend / PAYMENTS_PER_YEAR;
+    if (!events.has(key)) {
+      events.set(key, {
+        symbol: holding.symbol,
+        name: priceDoc.name || holding.symbol,
+        currency: holding.currency,
+        exDividendDate,
+        payDate,
+        annualDividend,
+        dividendPerPayment,
+        yield: priceDoc.yield !== undefined && priceDoc.yield !== null ? Number(priceDoc.yield) : null,
+        totalUnits: 0,
+        accounts: []
+      });
+    }
+
+    const event = events.get(key);
+    const { gross, net } = calculatePayment(holding, dividendPerPayment);
+    event.totalUnits += holding.units;
+    event.accounts.push({
+      accountId: holding.accountId,
+      accountName: holding.accountName,
+      units: holding.units,
+      estimatedGross: round2(gross),
+      estimatedNet: round2(net)
+    });
+  }
+
+  const nextDate = (event) => [event.exDividendDate, event.payDate]
+    .filter(date => date && date >= today)
+    .sort()[0];
+
+  return [...events.values()].sort((a, b) =>
+    nextDate(a).localeCompare(nextDate(b)) || a.symbol.localeCompare(b.symbol)
+  );
+}
+
+/**
+ * Ingreso proyectado en el horizonte por cuenta y moneda, y por mes.
+ *
+ * Cada tenencia cobra un cuarto del dividendo anual en cada fecha proyectada.
+ * Si el ticker no tiene fecha de pago conocida se cuentan los pagos del
+ * horizonte en el total de la cuenta pero no se ubican en un mes.
+ *
+ * @param {Array<Object>} holdings - Resultado de buildHoldings
+ * @param {Map<string, Object>} prices - symbol -> documento de currentPrices
+ * @param {string} today - Fecha actual (YYYY-MM-DD)
+ * @param {number} [months=PROJECTION_MONTHS] - Horizonte en meses
+ * @returns {{byAccount: import('./types').ProjectedIncomeRow[], byMonth: import('./types').MonthlyDividendRow[]}}
+ */
+function buildProjectedIncome(holdings, prices, today, months = PROJECTION_MONTHS) {
+  const byAccount = new Map();
+  const byMonth = new Map();
+
+  for (const holding of holdings) {
+    const priceDoc = prices.get(holding.symbol);
+    const annualDividend = getAnnualDividend(priceDoc);
+    if (annualDividend <= 0) continue;
+
+    const payment = calculatePayment(holding, annualDividend / PAYMENTS_PER_YEAR);
+    const payDates = getProjectedPayDates(parseDividendDate(priceDoc.dividendDate), today, months);
+    const paymentsCount = payDates.length > 0
+      ? payDates.length
+      : Math.round(PAYMENTS_PER_YEAR * months / 12);
+
+    const accountKey = `${holding.accountId}_${holding.currency}`;
+    if (!byAccount.has(accountKey)) {
+      byAccount.set(accountKey, {
+        accountId: holding.accountId,
+        accountName: holding.accountName,
+        currency: holding.currency,
+        taxDeductionPercentage: holding.taxDeductionPercentage,
+        gross: 0,
+        withheld: 0,
+        net: 0,
+        symbols: []
+      });
+    }
+    const row = byAccount.get(accountKey);
+    row.gross += payment.gross * paymentsCount;
+    row.withheld += payment.withheld * paymentsCount;
+    row.net += payment.net * paymentsCount;
+    row.symbols.push(holding.symbol);
+
+    for (const date of payDates) {
+      const monthKey = `${date.slice(0, 7)}_${holding.currency}`;
+      if (!byMonth.has(monthKey)) {
+        byMonth.set(monthKey, { month: date.slice(0, 7), currency: holding.currency, payments: 0, gross: 0, withheld: 0, net: 0 });
+      }
+      const month = byMonth.get(monthKey);
+      month.payments++;
+      month.gross += payment.gross;
+      month.withheld += payment.withheld;
+      month.net += payment.net;
+    }
+  }
+
+  return {
+    byAccount: [...byAccount.values()]
+      .map(row => ({ ...row, gross: round2(row.gross), withheld: round2(row.withheld), net: round2(row.net), symbols: row.symbols.sort() }))
+      .sort((a, b) => a.accountName.localeCompare(b.accountName) || a.currency.localeCompare(b.currency)),
+    byMonth: roundMonthlyRows(byMonth)
+  };
+}
+
+/**
+ * Dividendos recibidos por mes y moneda desde transacciones `dividendPay`
+ *
+ * @param {Array<Object>} dividends - Transacciones dividendPay
+ * @returns {import('./types').MonthlyDividendRow[]}
+ */
+function buildReceivedHistory(dividends) {
+  const byMonth = new Map();
+
+  for (const tx of dividends) {
+    const month = String(tx.date || '').slice(0, 7);
+    if (!month) continue;
+
+    const currency = tx.currency || 'USD';
+    const net = (Number(tx.amount) || 0) * (Number(tx.price) || 0);
+    const withheld = Number(tx.taxDeductionAmount) || 0;
+    const gross = tx.grossAmount !== undefined ? Number(tx.grossAmount) || 0 : net + withheld;
+
+    const key = `${month}_${currency}`;
+    if (!byMonth.has(key)) {
+      byMonth.set(key, { month, currency, payments: 0, gross: 0, withheld: 0, net: 0, reinvested: 0 });
+    }
+    const row = byMonth.get(key);
+    row.payments++;
+    row.gross += gross;
+    row.withheld += withheld;
+    row.net += net;
+    if (tx.reinvested) row.reinvested += net;
+  }
+
+  return roundMonthlyRows(byMonth);
+}
+
+/**
+ * Redondea y ordena filas mensuales por mes y moneda
+ * @param {Map<string, Object>} rows
+ * @returns {import('./types').MonthlyDividendRow[]}
+ */
+function roundMonthlyRows(rows) {
+  return [...rows.values()]
+    .map(row => {
+      const rounded = { ...row, gross: round2(row.gross), withheld: round2(row.withheld), net: round2(row.net) };
+      if (row.reinvested !== undefined) rounded.reinvested = round2(row.reinvested);
+      return rounded;
+    })
+    .sort((a, b) => a.month.localeCompare(b.month) || a.currency.localeCompare(b.currency));
+}
+
+module.exports = {
+  parseDividendDate,
+  getProjectedPayDates,
+  buildHoldings,
+  buildUpcomingEvents,
+  buildProjectedIncome,
+  buildReceivedHistory
+};
@@ -0,0 +1,189 @@
+/**
+ * Dividend Calendar Service
+ *
+ * Calendario de dividendos de un usuario:
+ * - Próximas fechas ex-dividend y de pago de los tickers en tenencia
+ *   (datos de currentPrices que llena scrapeDividendsInfoFromStock)
+ * - Ingreso proyectado a 12 meses por cuenta y moneda, con las unidades
+ *   actuales y el taxDeductionPercentage de cada cuenta
+ * - Dividendos recibidos por mes desde transacciones `dividendPay`
+ *
+ * @module services/dividendCalendar/dividendCalendarService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const {
+  buildHoldings,
+  buildUpcomingEvents,
+  buildProjectedIncome,
+  buildReceivedHistory
+} = require('./calendarBuilder');
+const {
+  PROJECTION_MONTHS,
+  DEFAULT_HISTORY_MONTHS,
+  MAX_HISTORY_MONTHS
+} = require('./types');
+
+const db = admin.firestore();
+
+// ============================================================================
+// CARGA DE DATOS
+// ============================================================================
+
+/**
+ * Cuentas activas del usuario
+ * @param {string} userId
+ * @returns {Promise<Map<string, Object>>} accountId -> cuenta
+ */
+async function fetchUserAccounts(userId) {
+  const snapshot = await db.collection('portfolioAccounts')
+    .where('userId', '==', userId)
+    .where('isActive', '==', true)
+    .get();
+
+  return new Map(snapshot.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+}
+
+/**
+ * Lotes activos de las cuentas
+ * @param {string[]} accountIds
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchActiveAssets(accountIds) {
+  const assets = [];
+
+  for (let i = 0; i < accountIds.length; i += 10) {
+    const snapshot = await db.collection('assets')
+      .where('portfolioAccount', 'in', accountIds.slice(i, i + 10))
+      .where('isActive', '==', true)
+      .get();
+    snapshot.docs.forEach(doc => assets.push({ id: doc.id, ...doc.data() }));
+  }
+
+  return assets;
+}
+
+/**
+ * Documentos de currentPrices de los tickers
+ * @param {string[]} symbols
+ * @returns {Promise<Map<string, Object>>} symbol -> precio
+ */
+async function fetchPrices(symbols) {
+  const prices = new Map();
+
+  for (let i = 0; i < symbols.length; i += 10) {
+    const snapshot = await db.collection('currentPrices')
+      .where('symbol', 'in', symbols.slice(i, i + 10))
+      .get();
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      prices.set(data.symbol, data);
+    });
+  }
+
+  return prices;
+}
+
+/**
+ * Transacciones dividendPay de las cuentas desde una fecha
+ * @param {string[]} accountIds
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchReceivedDividends(accountIds, fromDate) {
+  const dividends = [];
+
+  for (let i = 0; i < accountIds.length; i += 10) {
+    const snapshot = await db.collection('transactions')
+      .where('portfolioAccountId', 'in', accountIds.slice(i, i + 10))
+      .where('type', '==', 'dividendPay')
+      .get();
+
+    snapshot.docs.forEach(doc => {
+      const tx = doc.data();
+      if (String(tx.date || '') >= fromDate) {
+        dividends.push({ id: doc.id, ...tx });
+      }
+    });
+  }
+
+  return dividends;
+}
+
+// ============================================================================
+// SERVICIO PRINCIPAL
+// ============================================================================
+
+/**
+ * Genera el calendario de dividendos del usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options]
+ * @param {string[]} [options.accountIds] - Cuentas (vacío = todas las activas)
+ * @param {number} [options.historyMonths=24] - Meses de dividendos recibidos (incluye el actual)
+ * @param {string} [options.today] - Fecha actual (YYYY-MM-DD, NY)
+ * @returns {Promise<Object>} Calendario y metadata, o {success: false, error, message}
+ */
+async function getDividendCalendar(userId, options = {}) {
+  const {
+    accountIds = [],
+    historyMonths = DEFAULT_HISTORY_MONTHS,
+    today = DateTime.now().setZone('America/New_York').toISODate()
+  } = options;
+
+  if (!Number.isInteger(historyMonths) || historyMonths < 1 || historyMonths > MAX_HISTORY_MONTHS) {
+    return {
+      success: false,
+      error: 'INVALID_HISTORY_MONTHS',
+      message: `historyMonths debe ser un entero entre 1 y ${MAX_HISTORY_MONTHS}`
+    };
+  }
+
+  // 1. Cuentas del usuario (valida ownership de accountIds)
+  const allAccounts = await fetchUserAccounts(userId);
+  if (allAccounts.size === 0) {
+    return { success: false, error: 'NO_ACCOUNTS', message: 'No accounts found for user' };
+  }
+
+  const targetAccountIds = accountIds.length > 0
+    ? accountIds.filter(id => allAccounts.has(id))
+    : [...allAccounts.keys()];
+
+  if (targetAccountIds.length === 0) {
+    return {
+      success: false,
+      error: 'INVALID_ACCOUNTS',
+      message: 'None of the specified accounts belong to user'
+    };
+  }
+
+  // 2. Tenencias y datos de dividendos
+  const holdings = buildHoldings(await fetchActiveAssets(targetAccountIds), allAccounts);
+  const symbols = [...new Set(holdings.map(holding => holding.symbol))].sort();
+  const prices = await fetchPrices(symbols);
+
+  // 3. Dividendos recibidos desde el primer día del mes inicial
+  const historyFrom = DateTime.fromISO(today).startOf('month').minus({ months: historyMonths - 1 }).toISODate();
+  const received = await fetchReceivedDividends(targetAccountIds, historyFrom);
+
+  return {
+    success: true,
+    calendar: {
+      upcoming: buildUpcomingEvents(holdings, prices, today),
+      projectedIncome: buildProjectedIncome(holdings, prices, today, PROJECTION_MONTHS),
+      received: buildReceivedHistory(received)
+    },
+    metadata: {
+      today,
+      projectionMonths: PROJECTION_MONTHS,
+      historyFrom,
+      accountIds: targetAccountIds,
+      symbols
+    }
+  };
+}
+
+module.exports = {
+  getDividendCalendar
+};
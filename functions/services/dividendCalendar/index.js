@@ -0,0 +1,25 @@
+/**
+ * Dividend Calendar Module Index
+ *
+ * Exporta el calendario de dividendos (próximos pagos, ingreso proyectado
+ * y dividendos recibidos por mes).
+ *
+ * @module services/dividendCalendar
+ */
+
+const types = require('./types');
+const calendarBuilder = require('./calendarBuilder');
+const dividendCalendarService = require('./dividendCalendarService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  getDividendCalendar: dividendCalendarService.getDividendCalendar,
+
+  // Servicios individuales
+  calendarBuilder,
+  dividendCalendarService
+};
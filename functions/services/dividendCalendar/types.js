@@ -0,0 +1,85 @@
+/**
+ * Dividend Calendar Types
+ *
+ * Tipos y constantes para el calendario de dividendos: próximas fechas
+ * ex-dividend y de pago, ingreso proyectado a 12 meses y dividendos
+ * recibidos por mes.
+ *
+ * @module services/dividendCalendar/types
+ */
+
+/**
+ * Participación de una cuenta en un pago próximo
+ * @typedef {Object} DividendEventAccount
+ * @property {string} accountId - ID de la cuenta
+ * @property {string} accountName - Nombre de la cuenta
+ * @property {number} units - Unidades en tenencia
+ * @property {number} estimatedGross - Bruto estimado del pago
+ * @property {number} estimatedNet - Neto estimado (después de taxDeductionPercentage)
+ */
+
+/**
+ * Próximo evento de dividendo de un ticker en tenencia
+ * @typedef {Object} DividendEvent
+ * @property {string} symbol - Ticker
+ * @property {string} name - Nombre del activo
+ * @property {string} currency - Moneda del dividendo (moneda del activo)
+ * @property {string|null} exDividendDate - Fecha ex-dividend (YYYY-MM-DD)
+ * @property {string|null} payDate - Fecha de pago (YYYY-MM-DD)
+ * @property {number} annualDividend - Dividendo anual por unidad
+ * @property {number} dividendPerPayment - Dividendo por pago y unidad
+ * @property {number|null} yield - Rendimiento por dividendo (%)
+ * @property {number} totalUnits - Unidades en todas las cuentas
+ * @property {DividendEventAccount[]} accounts - Detalle por cuenta
+ */
+
+/**
+ * Ingreso proyectado de una cuenta en una moneda
+ * @typedef {Object} ProjectedIncomeRow
+ * @property {string} accountId - ID de la cuenta
+ * @property {string} accountName - Nombre de la cuenta
+ * @property {string} currency - Moneda de los dividendos
+ * @property {number} taxDeductionPercentage - Retención de la cuenta (%)
+ * @property {number} gross - Bruto proyectado en el horizonte
+ * @property {number} withheld - Retención proyectada
+ * @property {number} net - Neto proyectado
+ * @property {string[]} symbols - Tickers que pagan dividendo
+ */
+
+/**
+ * Dividendos agrupados por mes y moneda (proyectados o recibidos)
+ * @typedef {Object} MonthlyDividendRow
+ * @property {string} month - Mes (YYYY-MM)
+ * @property {string} currency - Moneda
+ * @property {number} payments - Número de pagos
+ * @property {number} gross - Bruto
+ * @property {number} withheld - Retenido
+ * @property {number} net - Neto
+ * @property {number} [reinvested] - Neto reinvertido por DRIP (solo recibidos)
+ */
+
+/** Formato de fechas de dividendo en currentPrices (ej: "Jan 06, 2026") */
+const DIVIDEND_DATE_FORMAT = 'MMM d, yyyy';
+
+/**
+ * Pagos por año. `dividend` en currentPrices es anual y
+ * processDividendPayments paga un cuarto en cada fecha de pago.
+ */
+const PAYMENTS_PER_YEAR = 4;
+
+/** Horizonte de la proyección de ingresos */
+const PROJECTION_MONTHS = 12;
+
+/** Meses de historial de dividendos recibidos por defecto */
+const DEFAULT_HISTORY_MONTHS = 24;
+
+/** Máximo de meses de historial aceptado */
+const MAX_HISTORY_MONTHS = 120;
+
+module.exports = {
+  DIVIDEND_DATE_FORMAT,
+  PAYMENTS_PER_YEAR,
+  PROJECTION_MONTHS,
+  DEFAULT_HISTORY_MONTHS,
+  MAX_HISTORY_MONTHS
+};
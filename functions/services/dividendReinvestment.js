@@ -0,0 +1,96 @@
+/**
+ * Dividend Reinvestment (DRIP)
+ *
+ * Cálculos puros para reinvertir un dividendo en lugar de acreditarlo al
+ * balance: si la cuenta o el activo tienen `dividendReinvestment` activo,
+ * processDividendPayments compra unidades fraccionarias del mismo ticker al
+ * precio del día en `currentPrices`, usando el mismo camino que createAsset.
+ *
+ * @module services/dividendReinvestment
+ */
+
+const { convertCurrency } = require('../utils/portfolioCalculations');
+
+/** Origen que se guarda en la transacción de compra generada */
+const DRIP_SOURCE = 'dividendReinvestment';
+
+/**
+ * Redondea a 8 decimales (igual que cleanDecimal de assetHandlers)
+ * @param {number} num
+ * @returns {number}
+ */
+const round8 = (num) => Math.round((Number(num) || 0) * 1e8) / 1e8;
+
+/**
+ * Indica si el dividendo de un ticker en una cuenta se reinvierte.
+ *
+ * El flag del activo tiene prioridad sobre el de la cuenta. Si los lotes del
+ * ticker no coinciden, basta con que uno lo active explícitamente.
+ *
+ * @param {Object} account - Documento de portfolioAccounts
+ * @param {Array<Object>} lots - Lotes del ticker en la cuenta (assets)
+ * @returns {boolean}
+ */
+function shouldReinvestDividends(account, lots = []) {
+  const explicit = lots
+    .map(lot => lot.dividendReinvestment)
+    .filter(flag => typeof flag === 'boolean');
+
+  if (explicit.length > 0) {
+    return explicit.includes(true);
+  }
+  return account?.dividendReinvestment === true;
+}
+
+/**
+ * Construye los datos de compra del lote reinvertido (payload de createAsset).
+ *
+ * El precio de `currentPrices` se convierte a la moneda del dividendo si
+ * cotiza en otra, así el costo del lote es igual al dividendo neto.
+ *
+ * @param {Object} params
+ * @param {Object} params.group - Ticker agrupado por cuenta (portfolioAccountId, symbol, assetType, currency, defaultCurrencyForAdquisitionDollar, market)
+ * @param {Object} params.priceDoc - Documento de currentPrices del ticker
+ * @param {number} params.netAmount - Dividendo neto en la moneda del activo
+ * @param {string} params.date - Fecha de pago (YYYY-MM-DD)
+ * @param {Array<{code: string, exchangeRate: number}>} params.currencies - Monedas activas
+ * @returns {Object|null} Datos de compra, o null si no hay precio válido
+ */
+function buildReinvestmentPurchase({ group, priceDoc, netAmount, date, currencies }) {
+  const currency = group.currency || 'USD';
+  const price = Number(priceDoc?.price);
+  if (!(price > 0) || !(netAmount > 0)) {
+    return null;
+  }
+
+  const priceCurrency = priceDoc.currency || currency;
+  const unitValue = round8(priceCurrency === currency
+    ? price
+    : convertCurrency(price, priceCurrency, currency, currencies));
+  const units = round8(netAmount / unitValue);
+  if (!(units > 0)) {
+    return null;
+  }
+
+  const defaultCurrency = group.defaultCurrencyForAdquisitionDollar || 'USD';
+
+  return {
+    portfolioAccount: group.portfolioAccountId,
+    name: group.symbol,
+    assetType: group.assetType,
+    market: group.market || '',
+    currency,
+    units,
+    unitValue,
+    acquisitionDate: date,
+    acquisitionDollarValue: currencies.find(c => c.code === defaultCurrency)?.exchangeRate || 1,
+    defaultCurrencyForAdquisitionDollar: defaultCurrency,
+    commission: 0
+  };
+}
+
+module.exports = {
+  DRIP_SOURCE,
+  shouldReinvestDividends,
+  buildReinvestmentPurchase
+};
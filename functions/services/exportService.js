@@ -0,0 +1,510 @@
+/**
+ * Export Service
+ *
+ * Exporta los datos del portafolio de un usuario (transacciones, posiciones
+ * abiertas, posiciones cerradas y rendimiento diario) en CSV, XLSX o JSON,
+ * con montos opcionalmente convertidos a una moneda.
+ *
+ * Usado por la acción exportPortfolioData de queryOperations y por el
+ * endpoint HTTP /export.
+ *
+ * @module services/exportService
+ */
+
+const XLSX = require('xlsx');
+const admin = require('./firebaseAdmin');
+const { convertCurrency } = require('../utils/portfolioCalculations');
+const { getClosedPositions } = require('./closedPositions');
+const { loadRateTable, getCurrenciesAt } = require('./fxHistory');
+
+const db = admin.firestore();
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+/** Datasets exportables */
+const EXPORT_DATASETS = ['transactions', 'openPositions', 'closedPositions', 'performance'];
+
+/** Formatos de salida */
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+/** Tipos MIME por formato */
+const MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/** Nombres de hoja en XLSX (máximo 31 caracteres) */
+const SHEET_NAMES = {
+  transactions: 'Transacciones',
+  openPositions: 'Posiciones abiertas',
+  closedPositions: 'Posiciones cerradas',
+  performance: 'Rendimiento diario'
+};
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Divide un array en chunks (límite de 10 para queries 'in')
+ * @param {Array} array
+ * @param {number} [size=10]
+ * @returns {Array<Array>}
+ */
+function chunkArray(array, size = 10) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Crea un conversor de montos hacia la moneda objetivo.
+ * Sin moneda objetivo devuelve los montos originales. Con tabla de fxHistory,
+ * los montos con `fx.date` usan las tasas de esa fecha.
+ *
+ * @param {string|null} targetCurrency - Moneda destino
+ * @param {Array<{code: string, exchangeRate: number}>} currencies - Monedas activas
+ * @param {Object|null} [rateTable] - Tabla de fxHistory (loadRateTable)
+ * @returns {function(number, string, Object=): number}
+ */
+function createConverter(targetCurrency, currencies, rateTable = null) {
+  return (amount, fromCurrency, fx = {}) => {
+    const value = Number(amount) || 0;
+    if (!targetCurrency || fromCurrency === targetCurrency) return value;
+    return convertCurrency(
+      value,
+      fromCurrency,
+      targetCurrency,
+      getCurrenciesAt(rateTable, currencies, fx.date),
+      fx.defaultCurrencyForAdquisitionDollar,
+      fx.dollarPriceToDate ? parseFloat(fx.dollarPriceToDate.toString()) : undefined
+    );
+  };
+}
+
+/**
+ * Indica si una fecha está dentro del rango (extremos opcionales)
+ * @param {string} date
+ * @param {string} [startDate]
+ * @param {string} [endDate]
+ * @returns {boolean}
+ */
+function isInRange(date, startDate, endDate) {
+  if (!date) return !startDate && !endDate;
+  if (startDate && date < startDate) return false;
+  if (endDate && date > endDate) return false;
+  return true;
+}
+
+// ============================================================================
+// RECOLECCIÓN DE DATOS
+// ============================================================================
+
+/**
+ * Exporta transacciones de las cuentas
+ * @param {string[]} accountIds
+ * @param {Map<string, string>} accountNames
+ * @param {Object} options
+ * @param {function} convert
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectTransactions(accountIds, accountNames, options, convert) {
+  const rows = [];
+
+  for (const batch of chunkArray(accountIds)) {
+    const snapshot = await db.collection('transactions')
+      .where('portfolioAccountId', 'in', batch)
+      .get();
+
+    snapshot.docs.forEach(doc => {
+      const tx = doc.data();
+      if (!isInRange(tx.date, options.startDate, options.endDate)) return;
+
+      const fx = {
+        date: tx.date,
+        defaultCurrencyForAdquisitionDollar: tx.defaultCurrencyForAdquisitionDollar,
+        dollarPriceToDate: tx.dollarPriceToDate
+      };
+      const amount = Number(tx.amount) || 0;
+      const price = Number(tx.price) || 0;
+
+      rows.push({
+        id: doc.id,
+        date: tx.date,
+        type: tx.type,
+        accountId: tx.portfolioAccountId,
+        accountName: accountNames.get(tx.portfolioAccountId) || '',
+        assetName: tx.assetName || '',
+        assetType: tx.assetType || '',
+        market: tx.market || '',
+        units: amount,
+        price: convert(price, tx.currency, fx),
+        total: convert(amount * price, tx.currency, fx),
+        commission: convert(tx.commission || 0, tx.currency, fx),
+        realizedPnL: tx.valuePnL !== undefined ? convert(tx.valuePnL, tx.currency, fx) : '',
+        currency: options.currency || tx.currency,
+        originalCurrency: tx.currency,
+        dollarPriceToDate: tx.dollarPriceToDate ?? ''
+      });
+    });
+  }
+
+  return rows.sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+/**
+ * Exporta posiciones abiertas (lotes activos) con valor de mercado actual
+ * @param {string[]} accountIds
+ * @param {Map<string, string>} accountNames
+ * @param {Object} options
+ * @param {function} convert
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectOpenPositions(accountIds, accountNames, options, convert) {
+  const assets = [];
+
+  for (const batch of chunkArray(accountIds)) {
+    const snapshot = await db.collection('assets')
+      .where('portfolioAccount', 'in', batch)
+      .where('isActive', '==', true)
+      .get();
+    snapshot.docs.forEach(doc => assets.push({ id: doc.id, ...doc.data() }));
+  }
+
+  const symbols = [...new Set(assets.map(a => a.name))];
+  const prices = new Map();
+  for (const batch of chunkArray(symbols)) {
+    const snapshot = await db.collection('currentPrices')
+      .where('__name__', 'in', batch)
+      .get();
+    snapshot.docs.forEach(doc => prices.set(doc.id, doc.data()));
+  }
+
+  return assets
+    .filter(asset => isInRange(asset.acquisitionDate, null, options.endDate))
+    .map(asset => {
+      const units = Number(asset.units) || 0;
+      const unitValue = Number(asset.unitValue) || 0;
+      const priceData = prices.get(asset.name);
+      const currentPrice = Number(priceData?.price) || 0;
+      const priceCurrency = priceData?.currency || asset.currency;
+      const fx = {
+        date: asset.acquisitionDate,
+        defaultCurrencyForAdquisitionDollar: asset.defaultCurrencyForAdquisitionDollar,
+        dollarPriceToDate: asset.acquisitionDollarValue
+      };
+      const investment = convert(units * unitValue, asset.currency, fx);
+      const marketValue = convert(units * currentPrice, priceCurrency);
+
+      return {
+        id: asset.id,
+        accountId: asset.portfolioAccount,
+        accountName: accountNames.get(asset.portfolioAccount) || '',
+        name: asset.name,
+        assetType: asset.assetType,
+        market: asset.market || '',
+        acquisitionDate: asset.acquisitionDate,
+        units,
+        unitValue: convert(unitValue, asset.currency, fx),
+        investment,
+        currentPrice: convert(currentPrice, priceCurrency),
+        marketValue,
+        unrealizedPnL: marketValue - investment,
+        currency: options.currency || asset.currency,
+        originalCurrency: asset.currency
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name) || String(a.acquisitionDate).localeCompare(String(b.acquisitionDate)));
+}
+
+/**
+ * Exporta posiciones cerradas usando closedPositionsService (todas las páginas)
+ * @param {string} userId
+ * @param {string[]} accountIds
+ * @param {Object} options
+ * @param {function} convert
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectClosedPositions(userId, accountIds, options, convert) {
+  const rows = [];
+  let page = 1;
+  let hasNext = true;
+
+  while (hasNext) {
+    const result = await getClosedPositions(userId, {
+      accountIds,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      page,
+      pageSize: 200,
+      sortBy: 'sellDate',
+      sortOrder: 'asc',
+      requestId: options.requestId
+    });
+
+    if (!result.success) {
+      if (result.error === 'NO_ACCOUNTS') return rows;
+      throw new Error(result.message || 'Error obteniendo posiciones cerradas');
+    }
+
+    result.positions.forEach(p => {
+      const fx = {
+        date: String(p.sellDate).split('T')[0],
+        defaultCurrencyForAdquisitionDollar: p.originalCurrency,
+        dollarPriceToDate: p.dollarPriceToDate
+      };
+
+      rows.push({
+        id: p.id,
+        ticker: p.ticker,
+        assetType: p.assetType,
+        market: p.market || '',
+        accountId: p.portfolioAccountId,
+        accountName: p.accountName,
+        buyDate: String(p.buyDate).split('T')[0],
+        sellDate: String(p.sellDate).split('T')[0],
+        holdingPeriodDays: p.holdingPeriodDays,
+        units: p.unitsSold,
+        buyPrice: convert(p.buyPrice, p.currency, fx),
+        sellPrice: convert(p.sellPrice, p.currency, fx),
+        totalInvested: convert(p.totalInvested, p.currency, fx),
+        totalReceived: convert(p.totalReceived, p.currency, fx),
+        commission: convert(p.commission, p.currency, fx),
+        realizedPnL: convert(p.realizedPnL, p.currency, fx),
+        realizedPnLPercent: p.realizedPnLPercent,
+        costBasisMethod: p.costBasisMethod || '',
+        isFullSale: p.isFullSale,
+        currency: options.currency || p.currency,
+        originalCurrency: p.currency
+      });
+    });
+
+    hasNext = result.pagination?.hasNext || false;
+    page++;
+  }
+
+  return rows;
+}
+
+/**
+ * Exporta documentos diarios de portfolioPerformance.
+ * Los documentos ya guardan cada moneda, así que no se convierte: se
+ * selecciona la moneda pedida (o USD).
+ * @param {string} userId
+ * @param {string[]|null} accountIds - null = overall
+ * @param {Object} options
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectPerformance(userId, accountIds, options) {
+  const currency = options.currency || 'USD';
+  const targets = accountIds
+    ? accountIds.map(id => ({ id, path: `portfolioPerformance/${userId}/accounts/${id}/dates` }))
+    : [{ id: 'overall', path: `portfolioPerformance/${userId}/dates` }];
+
+  const rows = [];
+
+  for (const target of targets) {
+    let query = db.collection(target.path);
+    if (options.startDate) query = query.where('date', '>=', options.startDate);
+    if (options.endDate) query = query.where('date', '<=', options.endDate);
+
+    const snapshot = await query.orderBy('date', 'asc').get();
+
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      const currencyData = data[currency];
+      if (!currencyData) return;
+
+      rows.push({
+        date: data.date || doc.id,
+        accountId: target.id,
+        currency,
+        totalValue: currencyData.totalValue || 0,
+        totalInvestment: currencyData.totalInvestment || 0,
+        totalCashFlow: currencyData.totalCashFlow || 0,
+        totalROI: currencyData.totalROI || 0,
+        dailyChangePercentage: currencyData.dailyChangePercentage || 0,
+        adjustedDailyChangePercentage: currencyData.adjustedDailyChangePercentage || 0,
+        doneProfitAndLoss: currencyData.doneProfitAndLoss || 0,
+        unrealizedProfitAndLoss: currencyData.unrealizedProfitAndLoss ?? ((currencyData.totalValue || 0) - (currencyData.totalInvestment || 0))
+      });
+    });
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// SERIALIZACIÓN
+// ============================================================================
+
+/**
+ * Serializa los datasets al formato pedido
+ *
+ * - json: un archivo con todos los datasets
+ * - csv: un archivo por dataset
+ * - xlsx: un libro con una hoja por dataset
+ *
+ * @param {Object.<string, Array<Object>>} datasets - Datos por dataset
+ * @param {'json' | 'csv' | 'xlsx'} format - Formato
+ * @param {string} baseName - Nombre base de archivo
+ * @returns {Array<{fileName: string, mimeType: string, buffer: Buffer}>}
+ */
+function serializeDatasets(datasets, format, baseName) {
+  if (format === 'json') {
+    return [{
+      fileName: `${baseName}.json`,
+      mimeType: MIME_TYPES.json,
+      buffer: Buffer.from(JSON.stringify(datasets, null, 2))
+    }];
+  }
+
+  if (format === 'csv') {
+    return Object.entries(datasets).map(([name, rows]) => ({
+      fileName: `${baseName}_${name}.csv`,
+      mimeType: MIME_TYPES.csv,
+      buffer: Buffer.from(XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows)))
+    }));
+  }
+
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(datasets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), SHEET_NAMES[name] || name);
+  }
+
+  return [{
+    fileName: `${baseName}.xlsx`,
+    mimeType: MIME_TYPES.xlsx,
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+  }];
+}
+
+// ============================================================================
+// SERVICIO PRINCIPAL
+// ============================================================================
+
+/**
+ * Recolecta y serializa los datos a exportar
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones de exportación
+ * @param {string[]} [options.datasets] - Datasets a incluir (default: todos)
+ * @param {string[]} [options.accountIds] - Cuentas (vacío = todas)
+ * @param {string} [options.startDate] - Fecha inicio (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Fecha fin (YYYY-MM-DD)
+ * @param {'json' | 'csv' | 'xlsx'} [options.format='json'] - Formato
+ * @param {string} [options.currency] - Moneda de conversión (vacío = moneda original)
+ * @param {string} [options.requestId] - ID de request para logging
+ * @returns {Promise<Object>} Resultado con datasets, archivos y metadata
+ */
+async function exportPortfolioData(userId, options = {}) {
+  const {
+    datasets = EXPORT_DATASETS,
+    accountIds = [],
+    startDate,
+    endDate,
+    format = 'json',
+    currency = null,
+    requestId = 'unknown'
+  } = options;
+
+  const startTime = Date.now();
+  console.log(`[exportService] Starting`, { requestId, userId, datasets, format, currency });
+
+  const invalidDatasets = datasets.filter(d => !EXPORT_DATASETS.includes(d));
+  if (invalidDatasets.length > 0 || datasets.length === 0) {
+    return {
+      success: false,
+      error: 'INVALID_DATASETS',
+      message: `Datasets válidos: ${EXPORT_DATASETS.join(', ')}`
+    };
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return {
+      success: false,
+      error: 'INVALID_FORMAT',
+      message: `Formatos válidos: ${EXPORT_FORMATS.join(', ')}`
+    };
+  }
+
+  // 1. Cuentas del usuario (valida ownership de accountIds)
+  const accountsSnapshot = await db.collection('portfolioAccounts')
+    .where('userId', '==', userId)
+    .get();
+  const accountNames = new Map(accountsSnapshot.docs.map(doc => [doc.id, doc.data().name || 'Sin nombre']));
+
+  if (accountNames.size === 0) {
+    return { success: false, error: 'NO_ACCOUNTS', message: 'No accounts found for user' };
+  }
+
+  const targetAccountIds = accountIds.length > 0
+    ? accountIds.filter(id => accountNames.has(id))
+    : [...accountNames.keys()];
+
+  if (targetAccountIds.length === 0) {
+    return {
+      success: false,
+      error: 'INVALID_ACCOUNTS',
+      message: 'None of the specified accounts belong to user'
+    };
+  }
+
+  // 2. Conversor de moneda
+  const currenciesSnapshot = await db.collection('currencies').where('isActive', '==', true).get();
+  const currencies = currenciesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const rateTable = currency ? await loadRateTable({ startDate, endDate }) : null;
+  const convert = createConverter(currency, currencies, rateTable);
+  const collectOptions = { startDate, endDate, currency, requestId };
+
+  // 3. Recolectar datasets
+  const data = {};
+  if (datasets.includes('transactions')) {
+    data.transactions = await collectTransactions(targetAccountIds, accountNames, collectOptions, convert);
+  }
+  if (datasets.includes('openPositions')) {
+    data.openPositions = await collectOpenPositions(targetAccountIds, accountNames, collectOptions, convert);
+  }
+  if (datasets.includes('closedPositions')) {
+    data.closedPositions = await collectClosedPositions(userId, targetAccountIds, collectOptions, convert);
+  }
+  if (datasets.includes('performance')) {
+    data.performance = await collectPerformance(userId, accountIds.length > 0 ? targetAccountIds : null, collectOptions);
+  }
+
+  // 4. Serializar
+  const baseName = `portfolio_export_${new Date().toISOString().split('T')[0]}`;
+  const files = serializeDatasets(data, format, baseName);
+
+  const rowCounts = Object.fromEntries(Object.entries(data).map(([name, rows]) => [name, rows.length]));
+  console.log(`[exportService] Complete`, { requestId, rowCounts, durationMs: Date.now() - startTime });
+
+  return {
+    success: true,
+    data,
+    files,
+    metadata: {
+      requestId,
+      format,
+      currency: currency || 'original',
+      startDate: startDate || null,
+      endDate: endDate || null,
+      accountsIncluded: targetAccountIds,
+      rowCounts,
+      durationMs: Date.now() - startTime
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  createConverter,
+  serializeDatasets,
+  collectTransactions,
+  exportPortfolioData
+};
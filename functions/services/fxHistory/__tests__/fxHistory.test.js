@@ -0,0 +1,152 @@
+/**
+ * Tests para services/fxHistory
+ *
+ * Verifica el arrastre de la última tasa en fines de semana y feriados,
+ * las tasas cruzadas vía USD, el respaldo en vivo con escritura en
+ * fxHistory y el backfill por rango.
+ *
+ * @module __tests__/services/fxHistory.test
+ */
+
+const mockDocs = [];
+const mockSet = jest.fn();
+const mockBatch = { set: jest.fn(), commit: jest.fn(async () => {}) };
+
+jest.mock('../../firebaseAdmin', () => {
+  const firestore = jest.fn(() => ({
+    collection: jest.fn(() => {
+      const query = {
+        where: jest.fn(() => query),
+        orderBy: jest.fn(() => query),
+        limit: jest.fn(() => query),
+        get: jest.fn(async () => ({ docs: mockDocs.map(doc => ({ id: doc.date, data: () => doc })) })),
+        doc: jest.fn((id) => ({ id, set: mockSet }))
+      };
+      return query;
+    }),
+    batch: jest.fn(() => mockBatch)
+  }));
+  firestore.FieldValue = { serverTimestamp: jest.fn(() => 'SERVER_TIMESTAMP') };
+  return { firestore };
+});
+
+const { createRateTable, getCurrenciesAt } = require('../rateTable');
+const {
+  recordRates,
+  getHistoricalRate,
+  backfillFxHistory
+} = require('../fxHistoryService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** Jueves 14 y viernes 15 de marzo de 2024 (sin datos el fin de semana) */
+const DOCS = [
+  { date: '2024-03-15', rates: { COP: 3950, EUR: 0.92 } },
+  { date: '2024-03-14', rates: { COP: 3900, EUR: 0.9, MXN: 0 } },
+  { date: '2024-03-01', rates: { MXN: 17 } }
+];
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('createRateTable', () => {
+  const table = createRateTable(DOCS);
+
+  it('devuelve la tasa exacta del día', () => {
+    expect(table.lookup('COP', '2024-03-14')).toEqual({ rate: 3900, date: '2024-03-14', carriedForward: false });
+    expect(table.getRate('USD', '2024-03-16')).toBe(1);
+  });
+
+  it('arrastra la última tasa en fines de semana y feriados', () => {
+    expect(table.lookup('COP', '2024-03-17')).toEqual({ rate: 3950, date: '2024-03-15', carriedForward: true });
+  });
+
+  it('descarta tasas más viejas que el máximo de arrastre o anteriores al histórico', () => {
+    expect(table.getRate('MXN', '2024-03-15')).toBeNull();
+    expect(table.getRate('COP', '2024-03-13')).toBeNull();
+    expect(table.getRate('COP', '2024-03-30')).toBeNull();
+  });
+
+  it('cruza pares vía USD', () => {
+    expect(table.getCrossRate('EUR', 'COP', '2024-03-15')).toBeCloseTo(3950 / 0.92, 8);
+    expect(table.convert(100, 'COP', 'EUR', '2024-03-16')).toBeCloseTo(100 * 0.92 / 3950, 10);
+    expect(table.getCrossRate('MXN', 'COP', '2024-03-15')).toBeNull();
+  });
+
+  it('reemplaza las tasas de currencies con las de la fecha', () => {
+    const currencies = [{ code: 'COP', exchangeRate: 4100 }, { code: 'MXN', exchangeRate: 18 }];
+    expect(getCurrenciesAt(table, currencies, '2024-03-16')).toEqual([
+      { code: 'COP', exchangeRate: 3950 },
+      { code: 'MXN', exchangeRate: 18 }
+    ]);
+    expect(getCurrenciesAt(null, currencies, '2024-03-16')).toBe(currencies);
+  });
+});
+
+describe('fxHistoryService', () => {
+  beforeEach(() => {
+    mockDocs.length = 0;
+    mockSet.mockClear();
+    mockBatch.set.mockClear();
+    mockBatch.commit.mockClear();
+  });
+
+  it('recordRates guarda solo tasas válidas con merge', async () => {
+    const count = await recordRates('2024-03-15', { COP: 3950, USD: 1, EUR: 'x' });
+
+    expect(count).toBe(1);
+    expect(mockSet).toHaveBeenCalledWith(
+      expect.objectContaining({ date: '2024-03-15', base: 'USD', rates: { COP: 3950 } }),
+      { merge: true }
+    );
+  });
+
+  it('getHistoricalRate usa fxHistory antes que la fuente en vivo', async () => {
+    mockDocs.push(...DOCS);
+    const fetchLive = jest.fn();
+
+    const result = await getHistoricalRate('COP', '2024-03-16', { fetchLive });
+
+    expect(result).toEqual({ rate: 3950, date: '2024-03-15', carriedForward: true, source: 'fxHistory' });
+    expect(fetchLive).not.toHaveBeenCalled();
+  });
+
+  it('getHistoricalRate consulta en vivo cuando falta la tasa y la guarda', async () => {
+    const fetchLive = jest.fn(async () => 4010);
+
+    const result = await getHistoricalRate('COP', '2024-04-02', { fetchLive });
+
+    expect(result).toEqual({ rate: 4010, date: '2024-04-02', carriedForward: false, source: 'yahoo' });
+    expect(mockSet).toHaveBeenCalledWith(
+      expect.objectContaining({ date: '2024-04-02', rates: { COP: 4010 }, source: 'yahoo' }),
+      { merge: true }
+    );
+  });
+
+  it('backfillFxHistory agrupa las series por fecha', async () => {
+    const fetchSeries = jest.fn(async (code) => (code === 'COP'
+      ? [{ date: '2024-03-14', rate: 3900 }, { date: '2024-03-15', rate: 3950 }]
+      : []));
+
+    const result = await backfillFxHistory({
+      startDate: '2024-03-14',
+      endDate: '2024-03-17',
+      codes: ['COP', 'USD', 'ARS'],
+      fetchSeries
+    });
+
+    expect(result).toMatchObject({ success: true, codes: ['COP', 'ARS'], datesWritten: 2, ratesWritten: 2, missing: ['ARS'] });
+    expect(mockBatch.set).toHaveBeenCalledTimes(2);
+    expect(mockBatch.commit).toHaveBeenCalledTimes(1);
+  });
+
+  it('backfillFxHistory valida el rango', async () => {
+    expect(await backfillFxHistory({ startDate: '2024-03-20', endDate: '2024-03-14' }))
+      .toMatchObject({ success: false, error: 'INVALID_DATES' });
+    expect(await backfillFxHistory({ startDate: '2000-01-01', endDate: '2024-03-14' }))
+      .toMatchObject({ success: false, error: 'RANGE_TOO_LARGE' });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * FX History Service
+ *
+ * Histórico persistido de tipos de cambio en `fxHistory` (un documento por
+ * día con las tasas USD→moneda):
+ * - unifiedMarketDataUpdate guarda las tasas del día al actualizar `currencies`
+ * - backfillFxHistory completa un rango de fechas desde Yahoo Finance
+ * - Las búsquedas devuelven la última tasa en o antes de la fecha y cruzan
+ *   pares vía USD
+ *
+ * Lo usan el reporte fiscal, la exportación, el recálculo de ventas
+ * retroactivas y /api/historicalExchangeRate.
+ *
+ * @module services/fxHistory/fxHistoryService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const fetchHistoricalExchangeRate = require('../fetchHistoricalExchangeRate');
+const { createRateTable } = require('./rateTable');
+const { fetchExchangeRateSeries } = require('./yahooFxSource');
+const {
+  FX_HISTORY_COLLECTION,
+  FX_BASE_CURRENCY,
+  MAX_CARRY_FORWARD_DAYS,
+  MAX_BACKFILL_DAYS,
+  WRITE_BATCH_SIZE
+} = require('./types');
+
+const db = admin.firestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Fecha actual en Nueva York (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getTodayNY() {
+  return DateTime.now().setZone('America/New_York').toISODate();
+}
+
+/**
+ * Suma días a una fecha YYYY-MM-DD
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDate(date, days) {
+  return DateTime.fromISO(date, { zone: 'utc' }).plus({ days }).toISODate();
+}
+
+/**
+ * Filtra tasas válidas (positivas, distintas de la base)
+ * @param {Object.<string, number>} rates
+ * @returns {Object.<string, number>}
+ */
+function normalizeRates(rates = {}) {
+  const valid = {};
+  Object.entries(rates).forEach(([code, value]) => {
+    const rate = Number(value);
+    if (code && code !== FX_BASE_CURRENCY && rate > 0 && !isNaN(rate)) {
+      valid[code] = rate;
+    }
+  });
+  return valid;
+}
+
+// ============================================================================
+// ESCRITURA
+// ============================================================================
+
+/**
+ * Guarda las tasas de un día. Hace merge con las tasas ya guardadas, así que
+ * una moneda que falta en esta actualización conserva su valor previo.
+ *
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @param {Object.<string, number>} rates - Unidades de moneda por 1 USD
+ * @param {Object} [options]
+ * @param {string} [options.source='unifiedMarketDataUpdate'] - Origen de las tasas
+ * @returns {Promise<number>} Tasas guardadas
+ */
+async function recordRates(date, rates, { source = 'unifiedMarketDataUpdate' } = {}) {
+  const valid = normalizeRates(rates);
+  const count = Object.keys(valid).length;
+  if (count === 0) return 0;
+
+  await db.collection(FX_HISTORY_COLLECTION).doc(date).set({
+    date,
+    base: FX_BASE_CURRENCY,
+    rates: valid,
+    source,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return count;
+}
+
+/**
+ * Completa fxHistory para un rango de fechas desde Yahoo Finance
+ *
+ * @param {Object} options
+ * @param {string} options.startDate - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Fecha final (default: hoy NY)
+ * @param {string[]} [options.codes] - Monedas (default: currencies activas)
+ * @param {function(string, string, string): Promise<Array<{date: string, rate: number}>>} [options.fetchSeries] - Fuente (tests)
+ * @returns {Promise<Object>} Resumen, o {success: false, error, message}
+ */
+async function backfillFxHistory(options = {}) {
+  const {
+    startDate,
+    endDate = getTodayNY(),
+    fetchSeries = fetchExchangeRateSeries
+  } = options;
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+    return { success: false, error: 'INVALID_DATES', message: 'startDate y endDate deben tener formato YYYY-MM-DD' };
+  }
+  if (startDate > endDate) {
+    return { success: false, error: 'INVALID_DATES', message: 'startDate debe ser anterior o igual a endDate' };
+  }
+  if (shiftDate(startDate, MAX_BACKFILL_DAYS) < endDate) {
+    return { success: false, error: 'RANGE_TOO_LARGE', message: `El rango máximo es de ${MAX_BACKFILL_DAYS} días` };
+  }
+
+  let codes = options.codes;
+  if (!codes || codes.length === 0) {
+    const snapshot = await db.collection('currencies').where('isActive', '==', true).get();
+    codes = snapshot.docs.map(doc => doc.data().code);
+  }
+  codes = [...new Set(codes)].filter(code => code && code !== FX_BASE_CURRENCY);
+
+  // 1. Series por moneda agrupadas por fecha
+  const byDate = new Map();
+  const missing = [];
+  for (const code of codes) {
+    const series = await fetchSeries(code, startDate, endDate);
+    if (series.length === 0) {
+      missing.push(code);
+      continue;
+    }
+    series.forEach(({ date, rate }) => {
+      if (!byDate.has(date)) byDate.set(date, {});
+      byDate.get(date)[code] = rate;
+    });
+  }
+
+  // 2. Escritura en batches (merge con las tasas existentes)
+  const dates = [...byDate.keys()].sort();
+  let ratesWritten = 0;
+  for (let i = 0; i < dates.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    dates.slice(i, i + WRITE_BATCH_SIZE).forEach(date => {
+      const rates = normalizeRates(byDate.get(date));
+      ratesWritten += Object.keys(rates).length;
+      batch.set(db.collection(FX_HISTORY_COLLECTION).doc(date), {
+        date,
+        base: FX_BASE_CURRENCY,
+        rates,
+        source: 'backfill',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+    await batch.commit();
+  }
+
+  console.log(`[fxHistoryService] Backfill ${startDate}..${endDate}: ${dates.length} días, ${ratesWritten} tasas`, { missing });
+
+  return {
+    success: true,
+    startDate,
+    endDate,
+    codes,
+    datesWritten: dates.length,
+    ratesWritten,
+    missing
+  };
+}
+
+// ============================================================================
+// LECTURA
+// ============================================================================
+
+/**
+ * Carga una tabla de tasas para un rango. Incluye los días previos al inicio
+ * necesarios para arrastrar la tasa del primer día.
+ *
+ * @param {Object} [range]
+ * @param {string|null} [range.startDate] - Fecha inicial (null = sin límite)
+ * @param {string} [range.endDate] - Fecha final (default: hoy NY)
+ * @returns {Promise<ReturnType<typeof createRateTable>>}
+ */
+async function loadRateTable({ startDate = null, endDate = getTodayNY() } = {}) {
+  let query = db.collection(FX_HISTORY_COLLECTION).where('date', '<=', endDate);
+  if (startDate) {
+    query = query.where('date', '>=', shiftDate(startDate, -MAX_CARRY_FORWARD_DAYS));
+  }
+
+  const snapshot = await query.get();
+  return createRateTable(snapshot.docs.map(doc => doc.data()));
+}
+
+/**
+ * Última tasa guardada de la moneda en o antes de la fecha
+ *
+ * @param {string} code - Código de moneda
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @returns {Promise<import('./types').FxRateLookup|null>}
+ */
+async function lookupRate(code, date) {
+  if (code === FX_BASE_CURRENCY) return { rate: 1, date, carriedForward: false };
+
+  const snapshot = await db.collection(FX_HISTORY_COLLECTION)
+    .where('date', '<=', date)
+    .orderBy('date', 'desc')
+    .limit(MAX_CARRY_FORWARD_DAYS + 1)
+    .get();
+
+  return createRateTable(snapshot.docs.map(doc => doc.data())).lookup(code, date);
+}
+
+/**
+ * Tasa de la moneda en la fecha: fxHistory (con arrastre) y, si falta,
+ * Yahoo Finance en vivo. La tasa obtenida en vivo se guarda en fxHistory.
+ *
+ * @param {string} code - Código de moneda
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {function(string, Date): Promise<number|null>} [options.fetchLive] - Fuente en vivo (tests)
+ * @returns {Promise<(import('./types').FxRateLookup & {source: string})|null>}
+ */
+async function getHistoricalRate(code, date, { fetchLive = fetchHistoricalExchangeRate } = {}) {
+  const stored = await lookupRate(code, date);
+  if (stored) return { ...stored, source: FX_HISTORY_COLLECTION };
+
+  const live = await fetchLive(code, new Date(`${date}T12:00:00Z`));
+  if (!(live > 0)) return null;
+
+  try {
+    await recordRates(date, { [code]: live }, { source: 'yahoo' });
+  } catch (error) {
+    console.warn(`[fxHistoryService] No se pudo guardar ${code} en ${date}: ${error.message}`);
+  }
+  return { rate: live, date, carriedForward: false, source: 'yahoo' };
+}
+
+/**
+ * Unidades de `toCurrency` por 1 `fromCurrency` en la fecha, cruzando vía USD
+ *
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @returns {Promise<number|null>} null si falta alguna tasa
+ */
+async function getCrossRate(fromCurrency, toCurrency, date) {
+  if (fromCurrency === toCurrency) return 1;
+
+  const [from, to] = await Promise.all([
+    getHistoricalRate(fromCurrency, date),
+    getHistoricalRate(toCurrency, date)
+  ]);
+  if (!from || !to) return null;
+  return to.rate / from.rate;
+}
+
+module.exports = {
+  getTodayNY,
+  recordRates,
+  backfillFxHistory,
+  loadRateTable,
+  lookupRate,
+  getHistoricalRate,
+  getCrossRate
+};
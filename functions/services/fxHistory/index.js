@@ -0,0 +1,29 @@
+/**
+ * FX History Module Index
+ *
+ * Exporta el histórico persistido de tipos de cambio (`fxHistory`):
+ * escritura diaria, backfill y búsqueda con arrastre y tasas cruzadas.
+ *
+ * @module services/fxHistory
+ */
+
+const types = require('./types');
+const rateTable = require('./rateTable');
+const yahooFxSource = require('./yahooFxSource');
+const fxHistoryService = require('./fxHistoryService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...fxHistoryService,
+  createRateTable: rateTable.createRateTable,
+  getCurrenciesAt: rateTable.getCurrenciesAt,
+
+  // Servicios individuales
+  rateTable,
+  yahooFxSource,
+  fxHistoryService
+};
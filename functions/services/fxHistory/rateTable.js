@@ -0,0 +1,152 @@
+/**
+ * Rate Table
+ *
+ * Búsqueda en memoria sobre documentos de fxHistory ya cargados: última
+ * tasa disponible en o antes de una fecha (arrastre de fines de semana y
+ * feriados) y tasas cruzadas vía USD.
+ *
+ * @module services/fxHistory/rateTable
+ */
+
+const { FX_BASE_CURRENCY, MAX_CARRY_FORWARD_DAYS } = require('./types');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días entre dos fechas YYYY-MM-DD
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Crea una tabla de tasas a partir de documentos diarios
+ *
+ * @param {import('./types').FxHistoryDoc[]} docs - Documentos en cualquier orden
+ * @param {Object} [options]
+ * @param {number} [options.maxCarryForwardDays=MAX_CARRY_FORWARD_DAYS] - Antigüedad máxima de la tasa arrastrada
+ * @returns {{
+ *   lookup: function(string, string): (import('./types').FxRateLookup|null),
+ *   getRate: function(string, string): (number|null),
+ *   getCrossRate: function(string, string, string): (number|null),
+ *   convert: function(number, string, string, string): (number|null)
+ * }}
+ *
+ * @example
+ * const table = createRateTable(docs);
+ * table.getRate('COP', '2024-03-16');        // tasa del viernes 15
+ * table.getCrossRate('EUR', 'COP', '2024-03-15'); // COP por 1 EUR
+ */
+function createRateTable(docs = [], { maxCarryForwardDays = MAX_CARRY_FORWARD_DAYS } = {}) {
+  const series = new Map();
+
+  [...docs]
+    .filter(doc => doc && doc.date && doc.rates)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(doc => {
+      Object.entries(doc.rates).forEach(([code, value]) => {
+        const rate = Number(value);
+        if (!(rate > 0)) return;
+        if (!series.has(code)) series.set(code, []);
+        series.get(code).push({ date: doc.date, rate });
+      });
+    });
+
+  /**
+   * Última tasa de la moneda en o antes de la fecha
+   * @param {string} code - Código de moneda
+   * @param {string} date - Fecha (YYYY-MM-DD)
+   * @returns {import('./types').FxRateLookup|null}
+   */
+  function lookup(code, date) {
+    if (code === FX_BASE_CURRENCY) return { rate: 1, date, carriedForward: false };
+
+    const points = series.get(code);
+    if (!points || points.length === 0) return null;
+
+    let low = 0;
+    let high = points.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].date <= date) {
+        index = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (index < 0) return null;
+    const point = points[index];
+    if (daysBetween(point.date, date) > maxCarryForwardDays) return null;
+
+    return { rate: point.rate, date: point.date, carriedForward: point.date !== date };
+  }
+
+  /**
+   * Unidades de la moneda por 1 USD en la fecha
+   * @param {string} code
+   * @param {string} date
+   * @returns {number|null}
+   */
+  function getRate(code, date) {
+    return lookup(code, date)?.rate ?? null;
+  }
+
+  /**
+   * Unidades de `toCurrency` por 1 `fromCurrency`, cruzando vía USD
+   * @param {string} fromCurrency
+   * @param {string} toCurrency
+   * @param {string} date
+   * @returns {number|null}
+   */
+  function getCrossRate(fromCurrency, toCurrency, date) {
+    if (fromCurrency === toCurrency) return 1;
+    const fromRate = getRate(fromCurrency, date);
+    const toRate = getRate(toCurrency, date);
+    if (fromRate === null || toRate === null) return null;
+    return toRate / fromRate;
+  }
+
+  /**
+   * Convierte un monto con las tasas de la fecha
+   * @param {number} amount
+   * @param {string} fromCurrency
+   * @param {string} toCurrency
+   * @param {string} date
+   * @returns {number|null} null si falta alguna tasa
+   */
+  function convert(amount, fromCurrency, toCurrency, date) {
+    const rate = getCrossRate(fromCurrency, toCurrency, date);
+    return rate === null ? null : (Number(amount) || 0) * rate;
+  }
+
+  return { lookup, getRate, getCrossRate, convert };
+}
+
+/**
+ * Monedas activas con las tasas de una fecha (para convertCurrency).
+ * Las monedas sin tasa histórica conservan la tasa actual.
+ *
+ * @param {ReturnType<typeof createRateTable>|null} table
+ * @param {Array<{code: string, exchangeRate: number}>} currencies - Monedas activas
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @returns {Array<{code: string, exchangeRate: number}>}
+ */
+function getCurrenciesAt(table, currencies, date) {
+  if (!table || !date) return currencies;
+  return currencies.map(currency => {
+    const rate = table.getRate(currency.code, date);
+    return rate === null ? currency : { ...currency, exchangeRate: rate };
+  });
+}
+
+module.exports = {
+  daysBetween,
+  createRateTable,
+  getCurrenciesAt
+};
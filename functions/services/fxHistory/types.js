@@ -0,0 +1,52 @@
+/**
+ * FX History Types
+ *
+ * Tipos y constantes del histórico de tipos de cambio (`fxHistory`).
+ * Cada documento guarda las tasas de un día como unidades de moneda por
+ * 1 USD, igual que `currencies.exchangeRate`.
+ *
+ * @module services/fxHistory/types
+ */
+
+/**
+ * Documento diario de fxHistory (ID = fecha)
+ * @typedef {Object} FxHistoryDoc
+ * @property {string} date - Fecha (YYYY-MM-DD)
+ * @property {string} base - Moneda base (USD)
+ * @property {Object.<string, number>} rates - Unidades de cada moneda por 1 USD
+ * @property {string} source - Origen (unifiedMarketDataUpdate, backfill, yahoo)
+ */
+
+/**
+ * Resultado de buscar una tasa
+ * @typedef {Object} FxRateLookup
+ * @property {number} rate - Unidades de la moneda por 1 USD
+ * @property {string} date - Fecha de la tasa usada (YYYY-MM-DD)
+ * @property {boolean} carriedForward - true si la tasa es de un día anterior (fin de semana/feriado)
+ */
+
+/** Colección del histórico */
+const FX_HISTORY_COLLECTION = 'fxHistory';
+
+/** Moneda base de las tasas */
+const FX_BASE_CURRENCY = 'USD';
+
+/**
+ * Días máximos que se arrastra la última tasa disponible. Cubre fines de
+ * semana largos y feriados; una tasa más vieja se considera faltante.
+ */
+const MAX_CARRY_FORWARD_DAYS = 7;
+
+/** Rango máximo de un backfill (10 años) */
+const MAX_BACKFILL_DAYS = 3660;
+
+/** Máximo de escrituras por batch (límite Firestore: 500) */
+const WRITE_BATCH_SIZE = 450;
+
+module.exports = {
+  FX_HISTORY_COLLECTION,
+  FX_BASE_CURRENCY,
+  MAX_CARRY_FORWARD_DAYS,
+  MAX_BACKFILL_DAYS,
+  WRITE_BATCH_SIZE
+};
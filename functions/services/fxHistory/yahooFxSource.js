@@ -0,0 +1,50 @@
+/**
+ * Yahoo FX Source
+ *
+ * Cierres diarios USD→moneda de un rango de fechas desde el endpoint chart
+ * de Yahoo Finance (mismo origen que fetchHistoricalExchangeRate), para el
+ * backfill de fxHistory.
+ *
+ * @module services/fxHistory/yahooFxSource
+ */
+
+const fetch = require('node-fetch');
+
+/**
+ * Cierres diarios de `{code}=X` (unidades de moneda por 1 USD)
+ *
+ * @param {string} code - Código de moneda
+ * @param {string} startDate - Fecha inicial (YYYY-MM-DD, inclusive)
+ * @param {string} endDate - Fecha final (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array<{date: string, rate: number}>>} Vacío si no hay datos
+ */
+async function fetchExchangeRateSeries(code, startDate, endDate) {
+  const period1 = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / 1000);
+  const period2 = Math.floor(Date.parse(`${endDate}T23:59:59Z`) / 1000);
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${code}%3DX?period1=${period1}&period2=${period2}&interval=1d`;
+
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+    const result = data?.chart?.result?.[0];
+    const timestamps = result?.timestamp || [];
+    const closes = result?.indicators?.quote?.[0]?.close || [];
+
+    const byDate = new Map();
+    timestamps.forEach((timestamp, index) => {
+      const rate = Number(closes[index]);
+      if (!(rate > 0)) return;
+      const date = new Date(timestamp * 1000).toISOString().split('T')[0];
+      if (date >= startDate && date <= endDate) byDate.set(date, rate);
+    });
+
+    return [...byDate.entries()].map(([date, rate]) => ({ date, rate }));
+  } catch (error) {
+    console.error(`[yahooFxSource] Error obteniendo serie de ${code}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  fetchExchangeRateSeries
+};
@@ -55,6 +55,20 @@ jest.mock('../../../utils/logoGenerator', () => ({
   generateLogoUrl: jest.fn().mockReturnValue('https://logo.url'),
 }));
 
+jest.mock('../../webhooks', () => ({
+  ...jest.requireActual('../../webhooks/payloads'),
+  WEBHOOK_EVENTS: jest.requireActual('../../webhooks/types').WEBHOOK_EVENTS,
+  emitWebhookEvent: jest.fn().mockResolvedValue({ delivered: 0, retrying: 0, failed: 0 }),
+}));
+
+jest.mock('../../fxHistory', () => ({
+  getHistoricalRate: jest.fn(),
+  loadRateTable: jest.fn(),
+  getCurrenciesAt: jest.fn(),
+}));
+
+const { getHistoricalRate } = require('../../fxHistory');
+
 // Import handlers after mocks
 const assetHandlers = require('../assetHandlers');
 
@@ -214,4 +228,33 @@ describe('Utility Functions', () => {
       ).rejects.toThrow('No tienes permiso');
     });
   });
+
+  describe('resolveDollarPriceToDate', () => {
+    it('should use the rate sent by the client', async () => {
+      await expect(assetHandlers.resolveDollarPriceToDate('4100.5', 'COP', '2023-03-01')).resolves.toBe(4100.5);
+      expect(getHistoricalRate).not.toHaveBeenCalled();
+    });
+
+    it('should look up fxHistory for a backdated sale without rate', async () => {
+      getHistoricalRate.mockResolvedValueOnce({ rate: 4750.25, date: '2023-02-28', carriedForward: true });
+
+      await expect(assetHandlers.resolveDollarPriceToDate(undefined, 'COP', '2023-03-01')).resolves.toBe(4750.25);
+      expect(getHistoricalRate).toHaveBeenCalledWith('COP', '2023-03-01');
+    });
+
+    it('should reject a backdated sale when no rate exists for the date', async () => {
+      getHistoricalRate.mockResolvedValueOnce(null);
+
+      await expect(
+        assetHandlers.resolveDollarPriceToDate(undefined, 'COP', '2023-03-01')
+      ).rejects.toThrow('No hay tipo de cambio USD/COP para 2023-03-01');
+    });
+
+    it('should leave the default to the caller for a sale dated today', async () => {
+      const today = new Date().toISOString().split('T')[0];
+
+      await expect(assetHandlers.resolveDollarPriceToDate(undefined, 'COP', today)).resolves.toBeNull();
+      expect(getHistoricalRate).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,166 @@
+/**
+ * Tests para Import Handlers
+ *
+ * Verifica que la confirmación sea todo o nada: las filas se ejecutan con el
+ * importId, el histórico se recalcula una vez al final y, si una fila falla,
+ * la importación se revierte completa.
+ *
+ * @see docs/stories/56.story.md
+ */
+
+const mockStore = { transactions: [], assets: [] };
+
+const mockImportRef = {
+  id: 'import-1',
+  set: jest.fn().mockResolvedValue(undefined),
+  update: jest.fn().mockResolvedValue(undefined),
+};
+
+const mockBatch = {
+  set: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  commit: jest.fn().mockResolvedValue(undefined),
+};
+
+/** Consulta sobre mockStore que aplica los filtros == y >= */
+const mockQuery = (name, filters = []) => ({
+  where: (field, op, value) => mockQuery(name, [...filters, [field, op, value]]),
+  get: async () => {
+    const docs = (mockStore[name] || [])
+      .filter(doc => filters.every(([field, op, value]) => (op === '>=' ? doc[field] >= value : doc[field] === value)))
+      .map(doc => ({ id: doc.id, ref: { path: `${name}/${doc.id}` }, data: () => doc }));
+    return { size: docs.length, empty: docs.length === 0, docs };
+  },
+});
+
+const mockDb = {
+  collection: jest.fn(name => ({
+    ...mockQuery(name),
+    doc: id => (name === 'transactionImports' ? mockImportRef : { path: `${name}/${id}` }),
+  })),
+  batch: jest.fn(() => mockBatch),
+};
+
+jest.mock('../../firebaseAdmin', () => ({
+  firestore: Object.assign(jest.fn(() => mockDb), {
+    FieldValue: { serverTimestamp: () => 'timestamp', delete: () => 'deleted' },
+  }),
+}));
+
+jest.mock('../assetHandlers', () => ({
+  createAsset: jest.fn(),
+  sellPartialAssetsFIFO: jest.fn(),
+  addCashTransaction: jest.fn(),
+  validateAccountOwnership: jest.fn(),
+  recalculateHistoryIfBackdated: jest.fn().mockResolvedValue(true),
+  emitWebhookEvents: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../../fxHistory', () => ({
+  loadRateTable: jest.fn(),
+  getHistoricalRate: jest.fn(),
+}));
+
+const { importTransactions } = require('../importHandlers');
+const assetHandlers = require('../assetHandlers');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const CSV = [
+  'date,type,ticker,units,price,amount,currency',
+  '2025-01-02,deposit,,,,1000,USD',
+  '2025-01-03,buy,MSFT,2,100,,USD',
+  '2025-02-10,sell,AAPL,4,120,,USD',
+  '2025-01-20,sell,AAPL,1,110,,USD',
+].join('\n');
+
+const context = { auth: { uid: 'user-1' } };
+
+const payload = {
+  portfolioAccountId: 'account-1',
+  format: 'generic',
+  fileContent: Buffer.from(CSV).toString('base64'),
+  mode: 'commit',
+};
+
+/** Lote previo con unidades para las ventas del extracto */
+const EXISTING_LOT = {
+  id: 'lot-1', name: 'AAPL', units: 10, unitValue: 90, isActive: true,
+  portfolioAccount: 'account-1', acquisitionDate: '2024-06-01', currency: 'USD',
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('importTransactions (commit)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.transactions = [];
+    mockStore.assets = [{ ...EXISTING_LOT }];
+    assetHandlers.validateAccountOwnership.mockResolvedValue({ id: 'account-1', balances: { USD: 50 } });
+    assetHandlers.createAsset.mockResolvedValue({ success: true });
+    assetHandlers.addCashTransaction.mockResolvedValue({ success: true });
+    assetHandlers.sellPartialAssetsFIFO.mockImplementation(async (ctx, data) => {
+      ctx.importRun.backdatedSells.push({ date: data.sellDate, assetName: data.ticker });
+      ctx.importRun.webhookEvents.push(['transaction.created', { date: data.sellDate }]);
+      return { success: true };
+    });
+  });
+
+  it('ejecuta las filas con el importId y recalcula el histórico una sola vez', async () => {
+    const result = await importTransactions(context, payload);
+
+    expect(result).toMatchObject({ success: true, importId: 'import-1', importedRows: 4, historyRecalculated: true });
+    expect(assetHandlers.sellPartialAssetsFIFO.mock.calls[0][0].importRun.importId).toBe('import-1');
+    expect(assetHandlers.createAsset.mock.calls[0][0].importRun.importId).toBe('import-1');
+
+    expect(assetHandlers.recalculateHistoryIfBackdated).toHaveBeenCalledTimes(1);
+    const [, , sells] = assetHandlers.recalculateHistoryIfBackdated.mock.calls[0];
+    expect(sells.map(s => s.date)).toEqual(['2025-01-20', '2025-02-10']);
+    expect(assetHandlers.recalculateHistoryIfBackdated.mock.calls[0][3]).toBeUndefined();
+
+    expect(assetHandlers.emitWebhookEvents).toHaveBeenCalledWith('user-1', [
+      ['transaction.created', { date: '2025-01-20' }],
+      ['transaction.created', { date: '2025-02-10' }],
+    ]);
+    expect(mockImportRef.set).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'running',
+      balancesBefore: { USD: 50 },
+      lotsBefore: [{ id: 'lot-1', name: 'AAPL', units: 10, unitValue: 90 }],
+    }));
+    expect(mockImportRef.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed', importedRows: 4 }));
+  });
+
+  it('revierte toda la importación si una fila falla', async () => {
+    assetHandlers.sellPartialAssetsFIFO.mockImplementationOnce(async () => {
+      // La primera venta ya escribió cuando falla la segunda
+      mockStore.transactions.push(
+        { id: 'tx-buy', type: 'buy', assetId: 'lot-new', assetName: 'MSFT', importId: 'import-1' },
+        { id: 'tx-sell', type: 'sell', assetId: 'lot-1', assetName: 'AAPL', importId: 'import-1' },
+        { id: 'tx-closed', type: 'buy', assetId: 'lot-1', closedByImportId: 'import-1' }
+      );
+      return { success: true };
+    }).mockRejectedValueOnce(new Error('Unidades insuficientes'));
+
+    await expect(importTransactions(context, payload)).rejects.toMatchObject({
+      code: 'aborted',
+      message: expect.stringContaining('Fila 4: Unidades insuficientes'),
+      details: { importId: 'import-1', failedRow: 4 },
+    });
+
+    expect(mockBatch.delete.mock.calls.map(([ref]) => ref.path)).toEqual([
+      'transactions/tx-buy', 'assets/lot-new', 'transactions/tx-sell',
+    ]);
+    expect(mockBatch.update).toHaveBeenCalledWith({ path: 'assets/lot-1' }, { units: 10, unitValue: 90, isActive: true });
+    expect(mockBatch.update).toHaveBeenCalledWith({ path: 'transactions/tx-closed' }, { closedPnL: false, closedByImportId: 'deleted' });
+    expect(mockBatch.update).toHaveBeenCalledWith({ path: 'portfolioAccounts/account-1' }, { balances: { USD: 50 } });
+    expect(mockImportRef.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'rolled_back', failedRow: 4 }));
+
+    expect(assetHandlers.recalculateHistoryIfBackdated).not.toHaveBeenCalled();
+    expect(assetHandlers.emitWebhookEvents).not.toHaveBeenCalled();
+  });
+});
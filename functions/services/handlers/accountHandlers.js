@@ -14,8 +14,36 @@ const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 // Importar invalidación de cache de distribución
 const { invalidateDistributionCache } = require('../portfolioDistributionService');
 
+// Métodos de costo base configurables por cuenta
+const { ACCOUNT_COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } = require('../costBasis');
+
 const db = getFirestore();
 
+/**
+ * Valida el método de costo base de la cuenta
+ * @param {string} costBasisMethod - Método recibido
+ * @throws {HttpsError} Si no es un método configurable
+ */
+function validateCostBasisMethod(costBasisMethod) {
+  if (!ACCOUNT_COST_BASIS_METHODS.includes(costBasisMethod)) {
+    throw new HttpsError(
+      "invalid-argument",
+      `costBasisMethod no válido. Métodos permitidos: ${ACCOUNT_COST_BASIS_METHODS.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Valida el flag de reinversión de dividendos (DRIP) de la cuenta
+ * @param {*} dividendReinvestment - Valor recibido
+ * @throws {HttpsError} Si no es booleano
+ */
+function validateDividendReinvestment(dividendReinvestment) {
+  if (typeof dividendReinvestment !== "boolean") {
+    throw new HttpsError("invalid-argument", "dividendReinvestment debe ser booleano");
+  }
+}
+
 // ============================================================================
 // HANDLERS
 // ============================================================================
@@ -30,7 +58,7 @@ const db = getFirestore();
 async function addPortfolioAccount(context, payload) {
   const { auth } = context;
   const userId = auth.uid;
-  const { name, description, isActive, taxDeductionPercentage, balances } = payload;
+  const { name, description, isActive, taxDeductionPercentage, balances, costBasisMethod, dividendReinvestment } = payload;
 
   console.log(`[accountHandlers][addPortfolioAccount] userId: ${userId}, name: ${name}`);
 
@@ -38,6 +66,12 @@ async function addPortfolioAccount(context, payload) {
   if (!name || typeof name !== "string" || name.trim().length === 0) {
     throw new HttpsError("invalid-argument", "El nombre de la cuenta es requerido");
   }
+  if (costBasisMethod !== undefined) {
+    validateCostBasisMethod(costBasisMethod);
+  }
+  if (dividendReinvestment !== undefined) {
+    validateDividendReinvestment(dividendReinvestment);
+  }
 
   try {
     const newAccount = {
@@ -47,6 +81,8 @@ async function addPortfolioAccount(context, payload) {
       isActive: isActive !== undefined ? isActive : true,
       taxDeductionPercentage: taxDeductionPercentage || 0,
       balances: balances || {},
+      costBasisMethod: costBasisMethod || DEFAULT_COST_BASIS_METHOD,
+      dividendReinvestment: dividendReinvestment || false,
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp(),
     };
@@ -111,7 +147,13 @@ async function updatePortfolioAccount(context, payload) {
     }
 
     // Campos permitidos para actualizar
-    const allowedFields = ["name", "description", "isActive", "taxDeductionPercentage", "balances"];
+    const allowedFields = ["name", "description", "isActive", "taxDeductionPercentage", "balances", "costBasisMethod", "dividendReinvestment"];
+    if (updates.costBasisMethod !== undefined) {
+      validateCostBasisMethod(updates.costBasisMethod);
+    }
+    if (updates.dividendReinvestment !== undefined) {
+      validateDividendReinvestment(updates.dividendReinvestment);
+    }
     const sanitizedUpdates = {};
 
     for (const field of allowedFields) {
@@ -0,0 +1,162 @@
+/**
+ * Alert Handlers - Alertas de precio y portafolio del usuario
+ *
+ * Cada usuario administra solo sus alertas; la evaluación ocurre en
+ * unifiedMarketDataUpdate.
+ *
+ * @module handlers/alertHandlers
+ * @see services/alerts
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const alertService = require('../alerts');
+
+// ============================================================================
+// ALERT HANDLERS
+// ============================================================================
+
+/**
+ * Crea una alerta
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la alerta
+ * @param {'priceAbove' | 'priceBelow' | 'dailyMove' | 'portfolioDrawdown' | 'cashBelow' | 'exDividend'} payload.type - Tipo de alerta
+ * @param {string} [payload.symbol] - Ticker (priceAbove, priceBelow, dailyMove, exDividend)
+ * @param {string} [payload.accountId] - Cuenta (cashBelow; opcional en portfolioDrawdown)
+ * @param {string} [payload.currency] - Moneda (portfolioDrawdown, cashBelow; default USD)
+ * @param {number} [payload.threshold] - Precio, porcentaje o saldo según el tipo
+ * @param {'up' | 'down' | 'both'} [payload.direction] - Sentido (dailyMove; default both)
+ * @param {number} [payload.daysBefore] - Días de anticipación (exDividend; default 3)
+ * @param {string[]} [payload.channels] - inbox, webhook, email (default inbox)
+ * @param {string} [payload.webhookUrl] - URL https con dirección pública (canal webhook)
+ * @param {string} [payload.email] - Destinatario (canal email)
+ * @param {number} [payload.cooldownMinutes] - Minutos entre disparos (default 1440)
+ * @returns {Promise<{success: boolean, alert: Object}>}
+ */
+async function createAlert(context, payload) {
+  const { auth } = context;
+
+  console.log(`[alertHandlers][createAlert] userId: ${auth.uid}, tipo: ${payload?.type}`);
+
+  let alert;
+  try {
+    alert = await alertService.createAlert(auth.uid, payload || {});
+  } catch (error) {
+    if (error.code) {
+      console.error('[alertHandlers][createAlert] Error:', error);
+      throw new HttpsError('internal', 'Error al crear la alerta');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  console.log(`[alertHandlers][createAlert] Éxito - id: ${alert.id}`);
+
+  return { success: true, alert };
+}
+
+/**
+ * Edita una alerta del usuario
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - alertId y campos a cambiar (ver createAlert)
+ * @param {string} payload.alertId - ID de la alerta
+ * @returns {Promise<{success: boolean, alert: Object}>}
+ */
+async function updateAlert(context, payload) {
+  const { auth } = context;
+  const { alertId, ...changes } = payload || {};
+
+  console.log(`[alertHandlers][updateAlert] userId: ${auth.uid}, alertId: ${alertId}`);
+
+  if (!alertId || typeof alertId !== 'string') {
+    throw new HttpsError('invalid-argument', 'alertId es requerido');
+  }
+
+  let alert;
+  try {
+    alert = await alertService.updateAlert(auth.uid, alertId, changes);
+  } catch (error) {
+    if (error.code) {
+      console.error('[alertHandlers][updateAlert] Error:', error);
+      throw new HttpsError('internal', 'Error al actualizar la alerta');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  if (!alert) {
+    throw new HttpsError('not-found', 'La alerta no existe');
+  }
+
+  return { success: true, alert };
+}
+
+/**
+ * Elimina una alerta del usuario
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload
+ * @param {string} payload.alertId - ID de la alerta
+ * @returns {Promise<{success: boolean}>}
+ */
+async function deleteAlert(context, payload) {
+  const { auth } = context;
+  const { alertId } = payload || {};
+
+  console.log(`[alertHandlers][deleteAlert] userId: ${auth.uid}, alertId: ${alertId}`);
+
+  if (!alertId || typeof alertId !== 'string') {
+    throw new HttpsError('invalid-argument', 'alertId es requerido');
+  }
+
+  let deleted;
+  try {
+    deleted = await alertService.deleteAlert(auth.uid, alertId);
+  } catch (error) {
+    console.error('[alertHandlers][deleteAlert] Error:', error);
+    throw new HttpsError('internal', 'Error al eliminar la alerta');
+  }
+
+  if (!deleted) {
+    throw new HttpsError('not-found', 'La alerta no existe');
+  }
+
+  return { success: true };
+}
+
+/**
+ * Alertas del usuario con su historial de disparos
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} [payload]
+ * @param {string} [payload.alertId] - Historial de una sola alerta
+ * @param {number} [payload.limit] - Disparos a devolver (default 50, máx. 200)
+ * @returns {Promise<{success: boolean, alerts: Object[], triggers: Object[]}>}
+ */
+async function getAlerts(context, payload) {
+  const { auth } = context;
+  const { alertId, limit } = payload || {};
+
+  console.log(`[alertHandlers][getAlerts] userId: ${auth.uid}`);
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 200)) {
+    throw new HttpsError('invalid-argument', 'limit debe ser un entero entre 1 y 200');
+  }
+
+  try {
+    const [alerts, triggers] = await Promise.all([
+      alertService.listAlerts(auth.uid),
+      alertService.getAlertTriggers(auth.uid, { alertId, limit })
+    ]);
+    return { success: true, alerts, triggers };
+  } catch (error) {
+    console.error('[alertHandlers][getAlerts] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener las alertas');
+  }
+}
+
+module.exports = {
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getAlerts,
+};
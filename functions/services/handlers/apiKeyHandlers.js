@@ -0,0 +1,154 @@
+/**
+ * API Key Handlers - Administración de API keys de la API pública
+ *
+ * RBAC-001: Todas las operaciones requieren rol de administrador.
+ * La key en claro solo se devuelve al emitir o rotar; en Firestore se guarda
+ * únicamente su hash.
+ *
+ * @module handlers/apiKeyHandlers
+ * @see services/apiKeys
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const { requireAdmin } = require('../../utils/authorization');
+const { issueKey, rotateKey, revokeKey } = require('../apiKeys');
+
+// ============================================================================
+// API KEY HANDLERS - 🔒 SOLO ADMIN
+// ============================================================================
+
+/**
+ * Emite una API key para un cliente
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la key
+ * @param {string} payload.clientName - Nombre del cliente
+ * @param {string[]} [payload.scopes] - Rutas permitidas (default: todas)
+ * @param {{perMinute?: number, perDay?: number}} [payload.quotas] - Quotas
+ * @returns {Promise<{success: boolean, key: Object}>} key incluye apiKey en claro
+ */
+async function issueApiKey(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+  const { clientName, scopes, quotas } = payload || {};
+
+  console.log(`[apiKeyHandlers][issueApiKey] Admin userId: ${auth.uid}, cliente: ${clientName}`);
+
+  if (!clientName || typeof clientName !== 'string' || !clientName.trim()) {
+    throw new HttpsError('invalid-argument', 'El nombre del cliente es requerido');
+  }
+
+  try {
+    const key = await issueKey({
+      clientName: clientName.trim(),
+      scopes,
+      quotas,
+      createdBy: auth.uid,
+    });
+
+    console.log(`[apiKeyHandlers][issueApiKey] Éxito - keyId: ${key.keyId}`);
+
+    return { success: true, key };
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    if (/^(quotas|scopes)/.test(error.message)) {
+      throw new HttpsError('invalid-argument', error.message);
+    }
+    console.error('[apiKeyHandlers][issueApiKey] Error:', error);
+    throw new HttpsError('internal', 'Error al emitir la API key');
+  }
+}
+
+/**
+ * Rota una API key (nuevo valor, mismos scopes, quotas y contadores)
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la operación
+ * @param {string} payload.keyId - ID de la key
+ * @returns {Promise<{success: boolean, key: Object}>} key incluye la nueva apiKey en claro
+ */
+async function rotateApiKey(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+  const { keyId } = payload || {};
+
+  console.log(`[apiKeyHandlers][rotateApiKey] Admin userId: ${auth.uid}, keyId: ${keyId}`);
+
+  if (!keyId || typeof keyId !== 'string') {
+    throw new HttpsError('invalid-argument', 'El ID de la key es requerido');
+  }
+
+  try {
+    const key = await rotateKey(keyId, auth.uid);
+
+    if (!key) {
+      throw new HttpsError('not-found', 'La API key no existe o está revocada');
+    }
+
+    console.log(`[apiKeyHandlers][rotateApiKey] Éxito - keyId: ${keyId}`);
+
+    return { success: true, key };
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    console.error('[apiKeyHandlers][rotateApiKey] Error:', error);
+    throw new HttpsError('internal', 'Error al rotar la API key');
+  }
+}
+
+/**
+ * Revoca una API key
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la operación
+ * @param {string} payload.keyId - ID de la key
+ * @returns {Promise<{success: boolean}>}
+ */
+async function revokeApiKey(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+  const { keyId } = payload || {};
+
+  console.log(`[apiKeyHandlers][revokeApiKey] Admin userId: ${auth.uid}, keyId: ${keyId}`);
+
+  if (!keyId || typeof keyId !== 'string') {
+    throw new HttpsError('invalid-argument', 'El ID de la key es requerido');
+  }
+
+  try {
+    const revoked = await revokeKey(keyId, auth.uid);
+
+    if (!revoked) {
+      throw new HttpsError('not-found', 'La API key no existe');
+    }
+
+    console.log(`[apiKeyHandlers][revokeApiKey] Éxito - keyId: ${keyId}`);
+
+    return { success: true };
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    console.error('[apiKeyHandlers][revokeApiKey] Error:', error);
+    throw new HttpsError('internal', 'Error al revocar la API key');
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  issueApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
@@ -27,6 +27,27 @@ const { getQuotes } = require('../financeQuery');
 // Importar generador de logos
 const { generateLogoUrl } = require('../../utils/logoGenerator');
 
+// Recálculo de portfolioPerformance para ventas retroactivas
+const { recalculatePerformanceForBackdatedSell, queueHistoryRecalculation } = require('../backdatedSellService');
+
+// Tipo de cambio histórico para ventas retroactivas
+const { getHistoricalRate } = require('../fxHistory');
+
+// Webhooks salientes (transaction.created, asset.sold)
+const { emitWebhookEvent, buildTransactionData, WEBHOOK_EVENTS } = require('../webhooks');
+
+// Marca de los documentos de currentPrices creados por watchlists
+const { WATCHLIST_PRICE_SOURCE } = require('../watchlists/types');
+
+// Métodos de costo base por cuenta (FIFO, LIFO, HIFO, AVERAGE, SPECIFIC)
+const {
+  selectLots,
+  calculateAverageCost,
+  getAverageCostUpdates,
+  getAccountCostBasisMethod,
+  COST_BASIS_METHODS,
+} = require('../costBasis');
+
 // ============================================================================
 // UTILIDADES
 // ============================================================================
@@ -86,6 +107,165 @@ const validateSufficientFunds = (account, currency, requiredAmount) => {
   }
 };
 
+/**
+ * Obtiene la fecha actual en formato YYYY-MM-DD
+ * @returns {string}
+ */
+const getTodayISO = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Valida y normaliza la fecha de una venta (permite ventas retroactivas)
+ * @param {string} [sellDate] - Fecha de venta (YYYY-MM-DD). Default: hoy
+ * @throws {HttpsError} Si el formato es inválido o la fecha es futura
+ * @returns {string} Fecha de venta normalizada
+ */
+const resolveSellDate = (sellDate) => {
+  const today = getTodayISO();
+
+  if (sellDate === undefined || sellDate === null || sellDate === '') {
+    return today;
+  }
+
+  if (typeof sellDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(sellDate) || isNaN(Date.parse(sellDate))) {
+    throw new HttpsError('invalid-argument', 'sellDate debe tener formato YYYY-MM-DD');
+  }
+
+  if (sellDate > today) {
+    throw new HttpsError('invalid-argument', 'La fecha de venta no puede ser futura');
+  }
+
+  return sellDate;
+};
+
+/**
+ * Resuelve el tipo de cambio (unidades de la moneda de adquisición por USD)
+ * de una operación. Sin valor explícito, una operación pasada toma la tasa
+ * de fxHistory en su fecha: nunca la actual ni la de compra del lote.
+ *
+ * @param {number|string} [dollarPriceToDate] - Tipo de cambio enviado por el cliente
+ * @param {string} [currency='USD'] - Moneda de adquisición (defaultCurrencyForAdquisitionDollar)
+ * @param {string} date - Fecha de la operación (YYYY-MM-DD)
+ * @throws {HttpsError} Si la operación es pasada y no hay tasa para su fecha
+ * @returns {Promise<number|null>} Tipo de cambio, o null si la operación es de hoy
+ *   y no se envió (el llamador aplica su default)
+ */
+const resolveDollarPriceToDate = async (dollarPriceToDate, currency, date) => {
+  const explicit = Number(dollarPriceToDate);
+  if (explicit > 0) {
+    return cleanDecimal(explicit);
+  }
+
+  if (date >= getTodayISO()) {
+    return null;
+  }
+
+  const historical = await getHistoricalRate(currency || 'USD', date);
+  if (!historical) {
+    throw new HttpsError(
+      'failed-precondition',
+      `No hay tipo de cambio USD/${currency || 'USD'} para ${date}. Envía dollarPriceToDate`
+    );
+  }
+
+  return cleanDecimal(historical.rate);
+};
+
+/**
+ * Valida que la fecha de venta no sea anterior a la adquisición del lote
+ * @param {object} asset - Lote a vender
+ * @param {string} sellDate - Fecha de venta (YYYY-MM-DD)
+ * @throws {HttpsError} Si la venta es anterior a la compra
+ */
+const validateSellDateForLot = (asset, sellDate) => {
+  if (asset.acquisitionDate && sellDate < asset.acquisitionDate) {
+    throw new HttpsError(
+      'invalid-argument',
+      `La fecha de venta (${sellDate}) no puede ser anterior a la fecha de adquisición del lote (${asset.acquisitionDate})`
+    );
+  }
+};
+
+/**
+ * Campos que marcan los documentos escritos por una importación en curso
+ * (ver importHandlers) para poder revertirla
+ * @param {Object} context - Contexto de ejecución
+ * @returns {{importId?: string}}
+ */
+const getImportTag = (context) => (context.importRun ? { importId: context.importRun.importId } : {});
+
+/**
+ * Recalcula el histórico de rendimiento tras una venta retroactiva.
+ * La venta ya está confirmada, por lo que un fallo aquí no la revierte: se
+ * registra como recálculo pendiente y retryHistoryRecalculations lo reintenta.
+ * Durante una importación solo acumula las ventas: el histórico se recalcula
+ * una vez al confirmarla.
+ * @param {string} userId - UID del usuario
+ * @param {string} portfolioAccountId - ID de la cuenta
+ * @param {Array<object>} sellTransactions - Transacciones de venta guardadas (con id)
+ * @param {Object} [importRun] - Importación en curso (context.importRun)
+ * @returns {Promise<boolean>} true si se recalculó el histórico
+ */
+const recalculateHistoryIfBackdated = async (userId, portfolioAccountId, sellTransactions, importRun) => {
+  if (!sellTransactions.length || sellTransactions[0].date >= getTodayISO()) {
+    return false;
+  }
+
+  if (importRun) {
+    importRun.backdatedSells.push(...sellTransactions);
+    return false;
+  }
+
+  try {
+    await recalculatePerformanceForBackdatedSell(userId, portfolioAccountId, sellTransactions);
+    return true;
+  } catch (error) {
+    console.error(`[assetHandlers][recalculateHistoryIfBackdated] Error recalculando histórico - userId: ${userId}`, error);
+    try {
+      await queueHistoryRecalculation(userId, portfolioAccountId, sellTransactions, error);
+    } catch (queueError) {
+      console.error(`[assetHandlers][recalculateHistoryIfBackdated] Error registrando recálculo pendiente - userId: ${userId}`, queueError);
+    }
+    return false;
+  }
+};
+
+/**
+ * Obtiene los lotes activos de un ticker en la cuenta adquiridos hasta sellDate
+ * @param {string} ticker - Símbolo del activo
+ * @param {string} portfolioAccountId - ID de la cuenta
+ * @param {string} sellDate - Fecha de venta (YYYY-MM-DD)
+ * @returns {Promise<{lots: Array<Object>, allLots: Array<Object>}>} Lotes elegibles y todos los activos
+ */
+const getActiveLots = async (ticker, portfolioAccountId, sellDate) => {
+  const assetsSnapshot = await db.collection('assets')
+    .where('name', '==', ticker)
+    .where('isActive', '==', true)
+    .where('portfolioAccount', '==', portfolioAccountId)
+    .orderBy('acquisitionDate')
+    .get();
+
+  const allLots = assetsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const lots = allLots.filter(lot => !lot.acquisitionDate || lot.acquisitionDate <= sellDate);
+
+  return { lots, allLots };
+};
+
+/**
+ * Resuelve el método de costo base de una venta multi-lote
+ * @param {Object} data - Payload de la venta
+ * @param {Object} account - Cuenta de portafolio
+ * @returns {string} Método de costo base
+ * @throws {HttpsError} Si el método del payload no es válido
+ */
+const resolveCostBasisMethod = (data, account) => {
+  if (data.lots) return 'SPECIFIC';
+  if (data.costBasisMethod === undefined) return getAccountCostBasisMethod(account);
+  if (!COST_BASIS_METHODS.includes(data.costBasisMethod) || data.costBasisMethod === 'SPECIFIC') {
+    throw new HttpsError('invalid-argument', `costBasisMethod no válido: ${data.costBasisMethod}. Para SPECIFIC envía lots`);
+  }
+  return data.costBasisMethod;
+};
+
 /**
  * Crea o actualiza el documento currentPrices para un ticker
  * @param {string} symbol - Símbolo del ticker
@@ -97,6 +277,16 @@ const ensureCurrentPriceExists = async (symbol, assetType) => {
   const priceDoc = await priceRef.get();
 
   if (priceDoc.exists) {
+    // Un documento creado por una watchlist pasa a ser del activo: ya no se elimina
+    // cuando ninguna lista incluye el ticker
+    if (priceDoc.data().source === WATCHLIST_PRICE_SOURCE) {
+      await priceRef.update({
+        source: admin.firestore.FieldValue.delete(),
+        ...(assetType && { type: assetType })
+      });
+      console.log(`[ensureCurrentPriceExists] ${symbol} ya existía por una watchlist, ahora es de un activo`);
+      return true;
+    }
     console.log(`[ensureCurrentPriceExists] ${symbol} ya existe en currentPrices`);
     return false;
   }
@@ -168,6 +358,91 @@ const ensureCurrentPriceExists = async (symbol, assetType) => {
   }
 };
 
+/**
+ * Agrega al batch el lote (`assets`) y la transacción de compra de un asset.
+ * Camino compartido por createAsset y la reinversión de dividendos (DRIP);
+ * el ajuste de balance queda a cargo de quien llama.
+ *
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch de escritura
+ * @param {Object} data - Datos de la compra (mismos campos que createAsset)
+ * @param {string} userId - UID del dueño de la cuenta
+ * @param {Object} [transactionExtras] - Campos adicionales de la transacción
+ * @returns {{assetRef: Object, transactionRef: Object, transactionData: Object, units: number, unitValue: number, commission: number, totalCost: number}}
+ */
+function addPurchaseToBatch(batch, data, userId, transactionExtras = {}) {
+  const units = cleanDecimal(Number(data.units));
+  const unitValue = cleanDecimal(Number(data.unitValue));
+  const commission = cleanDecimal(Number(data.commission) || 0);
+  const totalCost = cleanDecimal(units * unitValue + commission);
+
+  const assetRef = db.collection('assets').doc();
+  const assetData = {
+    name: data.name,
+    assetType: data.assetType,
+    market: data.market || '',
+    company: data.company || '',
+    currency: data.currency,
+    units: units,
+    unitValue: unitValue,
+    acquisitionDate: data.acquisitionDate,
+    acquisitionDollarValue: cleanDecimal(Number(data.acquisitionDollarValue) || 1),
+    defaultCurrencyForAdquisitionDollar: data.defaultCurrencyForAdquisitionDollar || 'USD',
+    commission: commission,
+    portfolioAccount: data.portfolioAccount,
+    isActive: true,
+    createdAt: new Date().toISOString(),
+  };
+  if (typeof data.dividendReinvestment === 'boolean') {
+    assetData.dividendReinvestment = data.dividendReinvestment;
+  }
+  batch.set(assetRef, assetData);
+
+  const transactionRef = db.collection('transactions').doc();
+  const transactionData = {
+    assetId: assetRef.id,
+    assetName: data.name,
+    type: 'buy',
+    amount: units,
+    price: unitValue,
+    currency: data.currency,
+    date: data.acquisitionDate,
+    portfolioAccountId: data.portfolioAccount,
+    commission: commission,
+    assetType: data.assetType,
+    dollarPriceToDate: cleanDecimal(Number(data.acquisitionDollarValue) || 1),
+    market: data.market || '',
+    defaultCurrencyForAdquisitionDollar: data.defaultCurrencyForAdquisitionDollar || 'USD',
+    userId,
+    ...transactionExtras,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  batch.set(transactionRef, transactionData);
+
+  return { assetRef, transactionRef, transactionData, units, unitValue, commission, totalCost };
+}
+
+/**
+ * Publica los eventos de webhook de una operación ya confirmada.
+ * emitWebhookEvent solo registra las entregas y no lanza: un endpoint lento
+ * o caído no afecta la operación.
+ * Durante una importación los eventos se guardan hasta confirmarla.
+ *
+ * @param {string} userId - UID del dueño de la cuenta
+ * @param {Array<[string, Object]>} events - Pares [evento, data]
+ * @param {Object} [importRun] - Importación en curso (context.importRun)
+ * @returns {Promise<void>}
+ */
+async function emitWebhookEvents(userId, events, importRun) {
+  if (importRun) {
+    importRun.webhookEvents.push(...events);
+    return;
+  }
+
+  for (const [event, data] of events) {
+    await emitWebhookEvent(userId, event, data);
+  }
+}
+
 // ============================================================================
 // HANDLERS
 // ============================================================================
@@ -210,48 +485,10 @@ async function createAsset(context, payload) {
     // 5. Ejecutar transacción atómica
     const batch = db.batch();
 
-    // 5.1. Crear el asset
-    const assetRef = db.collection('assets').doc();
-    const assetData = {
-      name: data.name,
-      assetType: data.assetType,
-      market: data.market || '',
-      company: data.company || '',
-      currency: data.currency,
-      units: units,
-      unitValue: unitValue,
-      acquisitionDate: data.acquisitionDate,
-      acquisitionDollarValue: cleanDecimal(Number(data.acquisitionDollarValue) || 1),
-      defaultCurrencyForAdquisitionDollar: data.defaultCurrencyForAdquisitionDollar || 'USD',
-      commission: commission,
-      portfolioAccount: data.portfolioAccount,
-      isActive: true,
-      createdAt: new Date().toISOString(),
-    };
-    batch.set(assetRef, assetData);
+    // 5.1. Crear el asset y su transacción de compra
+    const { assetRef, transactionRef, transactionData } = addPurchaseToBatch(batch, data, auth.uid, getImportTag(context));
 
-    // 5.2. Crear transacción de compra
-    const transactionRef = db.collection('transactions').doc();
-    const transactionData = {
-      assetId: assetRef.id,
-      assetName: data.name,
-      type: 'buy',
-      amount: units,
-      price: unitValue,
-      currency: data.currency,
-      date: data.acquisitionDate,
-      portfolioAccountId: data.portfolioAccount,
-      commission: commission,
-      assetType: data.assetType,
-      dollarPriceToDate: cleanDecimal(Number(data.acquisitionDollarValue) || 1),
-      market: data.market || '',
-      defaultCurrencyForAdquisitionDollar: data.defaultCurrencyForAdquisitionDollar || 'USD',
-      userId: auth.uid,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-    batch.set(transactionRef, transactionData);
-
-    // 5.3. Actualizar balance de la cuenta
+    // 5.2. Actualizar balance de la cuenta
     const newBalance = cleanDecimal((account.balances?.[data.currency] || 0) - totalCost);
     const accountRef = db.collection('portfolioAccounts').doc(data.portfolioAccount);
     batch.update(accountRef, {
@@ -268,6 +505,11 @@ async function createAsset(context, payload) {
     await invalidatePerformanceCache(auth.uid);
     invalidateDistributionCache(auth.uid);
 
+    // 9. Webhooks
+    await emitWebhookEvents(auth.uid, [
+      [WEBHOOK_EVENTS.TRANSACTION_CREATED, buildTransactionData(transactionRef.id, transactionData)],
+    ], context.importRun);
+
     console.log(`[assetHandlers][createAsset] Éxito - assetId: ${assetRef.id}`);
 
     return {
@@ -369,6 +611,12 @@ async function updateAsset(context, payload) {
     if (updateData.acquisitionDollarValue !== undefined) {
       updateData.acquisitionDollarValue = cleanDecimal(Number(updateData.acquisitionDollarValue));
     }
+    // DRIP por activo: null vuelve a heredar el flag de la cuenta
+    if (updateData.dividendReinvestment === null) {
+      updateData.dividendReinvestment = admin.firestore.FieldValue.delete();
+    } else if (updateData.dividendReinvestment !== undefined && typeof updateData.dividendReinvestment !== 'boolean') {
+      throw new HttpsError('invalid-argument', 'dividendReinvestment debe ser booleano o null');
+    }
 
     // 8. Ejecutar transacción atómica
     const batch = db.batch();
@@ -411,9 +659,20 @@ async function updateAsset(context, payload) {
 /**
  * Vende un asset existente (total o parcialmente)
  * 
+ * Acepta `sellDate` (YYYY-MM-DD) para registrar ventas pasadas y
+ * `dollarPriceToDate` con el tipo de cambio de la venta. Si la fecha es
+ * anterior a hoy se recalcula portfolioPerformance desde esa fecha.
+ * 
+ * Vender un lote concreto es selección explícita (SPECIFIC), salvo que la
+ * cuenta use AVERAGE: entonces el P&L usa el costo promedio del ticker y los
+ * lotes restantes pasan a ese costo.
+ * 
  * @param {Object} context - Contexto de ejecución
  * @param {Object} payload - Datos de venta
- * @returns {Promise<{success: boolean, transactionId: string, realizedPnL: number, isFullSale: boolean}>}
+ * @param {string} [payload.sellDate] - Fecha de venta (default: hoy)
+ * @param {number} [payload.dollarPriceToDate] - Tipo de cambio de la venta (default: fxHistory
+ *   en sellDate si es retroactiva; el del lote si es de hoy)
+ * @returns {Promise<{success: boolean, transactionId: string, realizedPnL: number, costBasisMethod: string, isFullSale: boolean, historyRecalculated: boolean}>}
  */
 async function sellAsset(context, payload) {
   const { auth } = context;
@@ -445,7 +704,10 @@ async function sellAsset(context, payload) {
       throw new HttpsError('permission-denied', 'El activo no pertenece a esta cuenta');
     }
 
-    // 5. Validar cantidad a vender
+    // 5. Validar fecha y cantidad a vender
+    const sellDate = resolveSellDate(data.sellDate);
+    validateSellDateForLot(asset, sellDate);
+
     const sellAmount = cleanDecimal(Number(data.sellAmount));
     const currentUnits = cleanDecimal(Number(asset.units));
 
@@ -466,11 +728,26 @@ async function sellAsset(context, payload) {
     const sellValue = cleanDecimal(sellAmount * sellPrice);
     const totalRevenue = cleanDecimal(sellValue - sellCommission);
     
-    const buyPrice = cleanDecimal(Number(asset.unitValue));
+    // Con AVERAGE el costo es el promedio de los lotes del ticker; si no, el del lote vendido
+    const costBasisMethod = getAccountCostBasisMethod(account) === 'AVERAGE' ? 'AVERAGE' : 'SPECIFIC';
+    let buyPrice = cleanDecimal(Number(asset.unitValue));
+    let averageCostUpdates = [];
+    if (costBasisMethod === 'AVERAGE') {
+      const { lots } = await getActiveLots(asset.name, data.portfolioAccountId, sellDate);
+      const pool = lots.length > 0 ? lots : [asset];
+      buyPrice = cleanDecimal(calculateAverageCost(pool));
+      averageCostUpdates = getAverageCostUpdates(pool, [{ lot: asset, units: sellAmount }]);
+    }
     const realizedPnL = cleanDecimal((sellPrice - buyPrice) * sellAmount);
 
     const remainingUnits = cleanDecimal(currentUnits - sellAmount);
     const isFullSale = Math.abs(remainingUnits) < Number.EPSILON || remainingUnits <= 0;
+    const saleDollarPriceToDate = await resolveDollarPriceToDate(
+      data.dollarPriceToDate,
+      asset.defaultCurrencyForAdquisitionDollar,
+      sellDate
+    );
+    const dollarPriceToDate = saleDollarPriceToDate || cleanDecimal(Number(asset.acquisitionDollarValue) || 1);
 
     // 7. Ejecutar transacción atómica
     const batch = db.batch();
@@ -481,6 +758,11 @@ async function sellAsset(context, payload) {
       batch.update(assetRef, { units: remainingUnits });
     }
 
+    // Con AVERAGE los lotes restantes del ticker quedan al costo promedio
+    averageCostUpdates.forEach(({ lot, unitValue }) => {
+      batch.update(db.collection('assets').doc(lot.id), { unitValue: cleanDecimal(unitValue) });
+    });
+
     const transactionRef = db.collection('transactions').doc();
     const transactionData = {
       assetId: data.assetId,
@@ -489,14 +771,16 @@ async function sellAsset(context, payload) {
       amount: sellAmount,
       price: sellPrice,
       currency: asset.currency,
-      date: new Date().toISOString().split('T')[0],
+      date: sellDate,
       portfolioAccountId: data.portfolioAccountId,
       commission: sellCommission,
       assetType: asset.assetType,
-      dollarPriceToDate: cleanDecimal(Number(asset.acquisitionDollarValue) || 1),
+      dollarPriceToDate: dollarPriceToDate,
       market: asset.market || '',
       defaultCurrencyForAdquisitionDollar: asset.defaultCurrencyForAdquisitionDollar || 'USD',
       valuePnL: realizedPnL,
+      costBasisMethod: costBasisMethod,
+      costBasisPerUnit: buyPrice,
       closedPnL: isFullSale,
       userId: auth.uid,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -523,17 +807,42 @@ async function sellAsset(context, payload) {
 
     await batch.commit();
 
-    // 8. Invalidar caches
+    // 8. Recalcular histórico si la venta es retroactiva
+    const historyRecalculated = await recalculateHistoryIfBackdated(
+      auth.uid,
+      data.portfolioAccountId,
+      [{ id: transactionRef.id, ...transactionData }]
+    );
+
+    // 9. Invalidar caches
     await invalidatePerformanceCache(auth.uid);
     invalidateDistributionCache(auth.uid);
 
-    console.log(`[assetHandlers][sellAsset] Éxito - transactionId: ${transactionRef.id}`);
+    // 10. Webhooks
+    await emitWebhookEvents(auth.uid, [
+      [WEBHOOK_EVENTS.TRANSACTION_CREATED, buildTransactionData(transactionRef.id, transactionData)],
+      [WEBHOOK_EVENTS.ASSET_SOLD, {
+        symbol: asset.name,
+        portfolioAccountId: data.portfolioAccountId,
+        currency: asset.currency,
+        date: sellDate,
+        unitsSold: sellAmount,
+        price: sellPrice,
+        realizedPnL: realizedPnL,
+        costBasisMethod: costBasisMethod,
+        lots: [{ assetId: data.assetId, transactionId: transactionRef.id, unitsSold: sellAmount, isFullSale: isFullSale }],
+      }],
+    ]);
+
+    console.log(`[assetHandlers][sellAsset] Éxito - transactionId: ${transactionRef.id}, fecha: ${sellDate}`);
 
     return {
       success: true,
       transactionId: transactionRef.id,
       realizedPnL: realizedPnL,
+      costBasisMethod: costBasisMethod,
       isFullSale: isFullSale,
+      historyRecalculated: historyRecalculated,
     };
 
   } catch (error) {
@@ -548,11 +857,23 @@ async function sellAsset(context, payload) {
 }
 
 /**
- * Vende unidades de múltiples lotes del mismo ticker usando FIFO
+ * Vende unidades de múltiples lotes del mismo ticker
+ * 
+ * Los lotes se eligen con el método de costo base de la cuenta
+ * (`costBasisMethod`, default FIFO). El payload puede forzar otro método o
+ * indicar los lotes explícitamente con `lots` (SPECIFIC).
+ * 
+ * Con `sellDate` solo se consideran los lotes adquiridos hasta esa fecha.
  * 
  * @param {Object} context - Contexto de ejecución
- * @param {Object} payload - Datos de venta FIFO
- * @returns {Promise<{success: boolean, soldAssets: Array, totalPnL: number, totalRevenue: number}>}
+ * @param {Object} payload - Datos de venta
+ * @param {number} [payload.unitsToSell] - Unidades a vender (opcional con lots)
+ * @param {'FIFO' | 'LIFO' | 'HIFO' | 'AVERAGE'} [payload.costBasisMethod] - Método para esta venta (default: el de la cuenta)
+ * @param {Array<{assetId: string, units: number}>} [payload.lots] - Selección explícita de lotes
+ * @param {string} [payload.sellDate] - Fecha de venta (default: hoy)
+ * @param {number} [payload.dollarPriceToDate] - Tipo de cambio de la venta (default: fxHistory
+ *   en sellDate si es retroactiva; el de cada lote si es de hoy)
+ * @returns {Promise<{success: boolean, soldAssets: Array, totalPnL: number, totalRevenue: number, costBasisMethod: string, historyRecalculated: boolean}>}
  */
 async function sellPartialAssetsFIFO(context, payload) {
   const { auth } = context;
@@ -562,67 +883,78 @@ async function sellPartialAssetsFIFO(context, payload) {
 
   try {
     // 1. Validar datos requeridos
-    if (!data.ticker || !data.portfolioAccountId || !data.unitsToSell) {
-      throw new HttpsError('invalid-argument', 'ticker, portfolioAccountId y unitsToSell son requeridos');
+    const hasSpecificLots = Array.isArray(data.lots);
+    if (!data.ticker || !data.portfolioAccountId || (!data.unitsToSell && !hasSpecificLots)) {
+      throw new HttpsError('invalid-argument', 'ticker, portfolioAccountId y unitsToSell (o lots) son requeridos');
     }
 
-    // 2. Validar ownership de la cuenta
+    const sellDate = resolveSellDate(data.sellDate);
+
+    // 2. Validar ownership de la cuenta y resolver método de costo base
     const account = await validateAccountOwnership(data.portfolioAccountId, auth.uid);
+    const costBasisMethod = resolveCostBasisMethod(data, account);
 
-    // 3. Obtener assets del ticker ordenados por fecha (FIFO)
-    const assetsQuery = db.collection('assets')
-      .where('name', '==', data.ticker)
-      .where('isActive', '==', true)
-      .where('portfolioAccount', '==', data.portfolioAccountId)
-      .orderBy('acquisitionDate');
-    
-    const assetsSnapshot = await assetsQuery.get();
+    // 3. Obtener lotes activos del ticker (solo adquiridos hasta sellDate)
+    const { lots: assetsList, allLots } = await getActiveLots(data.ticker, data.portfolioAccountId, sellDate);
 
-    if (assetsSnapshot.empty) {
+    if (allLots.length === 0) {
       throw new HttpsError('not-found', `No hay activos activos del ticker ${data.ticker}`);
     }
 
+    if (assetsList.length === 0) {
+      validateSellDateForLot(allLots[0], sellDate);
+    }
+
     // 4. Calcular unidades disponibles
-    let totalAvailableUnits = 0;
-    const assetsList = [];
-    assetsSnapshot.forEach(doc => {
-      const assetData = { id: doc.id, ...doc.data() };
-      assetsList.push(assetData);
-      totalAvailableUnits = cleanDecimal(totalAvailableUnits + Number(assetData.units));
-    });
+    const totalAvailableUnits = assetsList.reduce((sum, lot) => cleanDecimal(sum + Number(lot.units)), 0);
+    const unitsToSell = hasSpecificLots && !data.unitsToSell
+      ? data.lots.reduce((sum, lot) => cleanDecimal(sum + (Number(lot?.units) || 0)), 0)
+      : cleanDecimal(Number(data.unitsToSell));
 
-    const unitsToSell = cleanDecimal(Number(data.unitsToSell));
     if (unitsToSell > totalAvailableUnits) {
       throw new HttpsError(
         'failed-precondition',
-        `No hay suficientes unidades. Disponibles: ${totalAvailableUnits}, Solicitadas: ${unitsToSell}`
+        `No hay suficientes unidades al ${sellDate}. Disponibles: ${totalAvailableUnits}, Solicitadas: ${unitsToSell}`
       );
     }
 
-    // 5. Procesar venta FIFO
+    // 5. Asignar unidades a lotes según el método
+    let allocations;
+    try {
+      allocations = selectLots(assetsList, unitsToSell, costBasisMethod, data.lots);
+    } catch (selectionError) {
+      throw new HttpsError('invalid-argument', selectionError.message);
+    }
+
+    // 6. Procesar venta por lote
     const batch = db.batch();
-    let remainingUnitsToSell = unitsToSell;
     let totalSellValue = 0;
     let totalPnL = 0;
     const soldAssets = [];
     const pricePerUnit = cleanDecimal(Number(data.pricePerUnit) || 0);
     const totalCommission = cleanDecimal(Number(data.totalCommission) || 0);
-    const today = new Date().toISOString().split('T')[0];
+    const saleDollarPriceToDate = await resolveDollarPriceToDate(
+      data.dollarPriceToDate,
+      assetsList[0]?.defaultCurrencyForAdquisitionDollar,
+      sellDate
+    );
     const currency = assetsList[0]?.currency || 'USD';
+    const sellTransactions = [];
+    const sellTransactionIds = [];
+    // Marca el cierre de lotes previos para poder revertirlo si la importación falla
+    const closedByImportTag = context.importRun ? { closedByImportId: context.importRun.importId } : {};
 
-    for (const asset of assetsList) {
-      if (remainingUnitsToSell <= 0) break;
-
+    for (const allocation of allocations) {
+      const asset = allocation.lot;
       const assetUnits = cleanDecimal(Number(asset.units));
-      const unitsToSellFromAsset = cleanDecimal(Math.min(assetUnits, remainingUnitsToSell));
-      
-      remainingUnitsToSell = cleanDecimal(remainingUnitsToSell - unitsToSellFromAsset);
+      const unitsToSellFromAsset = cleanDecimal(allocation.units);
       
       const sellValueFromAsset = cleanDecimal(unitsToSellFromAsset * pricePerUnit);
       totalSellValue = cleanDecimal(totalSellValue + sellValueFromAsset);
 
       const buyPrice = cleanDecimal(Number(asset.unitValue));
-      const lotPnL = cleanDecimal((pricePerUnit - buyPrice) * unitsToSellFromAsset);
+      const costBasisPerUnit = cleanDecimal(allocation.costPerUnit);
+      const lotPnL = cleanDecimal((pricePerUnit - costBasisPerUnit) * unitsToSellFromAsset);
       totalPnL = cleanDecimal(totalPnL + lotPnL);
 
       const assetRef = db.collection('assets').doc(asset.id);
@@ -638,25 +970,31 @@ async function sellPartialAssetsFIFO(context, payload) {
       const proportionalCommission = cleanDecimal((totalCommission * unitsToSellFromAsset) / unitsToSell);
 
       const transactionRef = db.collection('transactions').doc();
-      batch.set(transactionRef, {
+      const transactionData = {
         assetId: asset.id,
         assetName: asset.name,
         type: 'sell',
         amount: unitsToSellFromAsset,
         price: pricePerUnit,
         currency: asset.currency,
-        date: today,
+        date: sellDate,
         portfolioAccountId: data.portfolioAccountId,
         commission: proportionalCommission,
         assetType: asset.assetType,
-        dollarPriceToDate: cleanDecimal(Number(asset.acquisitionDollarValue) || 1),
+        dollarPriceToDate: cleanDecimal(saleDollarPriceToDate || Number(asset.acquisitionDollarValue) || 1),
         market: asset.market || '',
         defaultCurrencyForAdquisitionDollar: asset.defaultCurrencyForAdquisitionDollar || 'USD',
         valuePnL: lotPnL,
+        costBasisMethod: costBasisMethod,
+        costBasisPerUnit: costBasisPerUnit,
         closedPnL: isFullSale,
         userId: auth.uid,
+        ...getImportTag(context),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+      };
+      batch.set(transactionRef, transactionData);
+      sellTransactions.push(transactionData);
+      sellTransactionIds.push(transactionRef.id);
 
       if (isFullSale) {
         const buyTransactionQuery = db.collection('transactions')
@@ -666,7 +1004,7 @@ async function sellPartialAssetsFIFO(context, payload) {
         
         const buyTransactionSnapshot = await buyTransactionQuery.get();
         if (!buyTransactionSnapshot.empty) {
-          batch.update(buyTransactionSnapshot.docs[0].ref, { closedPnL: true });
+          batch.update(buyTransactionSnapshot.docs[0].ref, { closedPnL: true, ...closedByImportTag });
         }
       }
 
@@ -674,13 +1012,21 @@ async function sellPartialAssetsFIFO(context, payload) {
         assetId: asset.id,
         unitsSold: unitsToSellFromAsset,
         buyPrice: buyPrice,
+        costBasisPerUnit: costBasisPerUnit,
         sellPrice: pricePerUnit,
         pnl: lotPnL,
         isFullSale: isFullSale,
       });
     }
 
-    // 6. Actualizar balance de la cuenta
+    // 6.1. Con AVERAGE los lotes restantes del ticker quedan al costo promedio
+    if (costBasisMethod === 'AVERAGE') {
+      getAverageCostUpdates(assetsList, allocations).forEach(({ lot, unitValue }) => {
+        batch.update(db.collection('assets').doc(lot.id), { unitValue: cleanDecimal(unitValue) });
+      });
+    }
+
+    // 7. Actualizar balance de la cuenta
     const totalRevenue = cleanDecimal(totalSellValue - totalCommission);
     const newBalance = cleanDecimal((account.balances?.[currency] || 0) + totalRevenue);
     const accountRef = db.collection('portfolioAccounts').doc(data.portfolioAccountId);
@@ -690,17 +1036,51 @@ async function sellPartialAssetsFIFO(context, payload) {
 
     await batch.commit();
 
-    // 7. Invalidar caches
+    // 8. Recalcular histórico si la venta es retroactiva
+    const historyRecalculated = await recalculateHistoryIfBackdated(
+      auth.uid,
+      data.portfolioAccountId,
+      sellTransactions.map((transaction, i) => ({ id: sellTransactionIds[i], ...transaction })),
+      context.importRun
+    );
+
+    // 9. Invalidar caches
     await invalidatePerformanceCache(auth.uid);
     invalidateDistributionCache(auth.uid);
 
-    console.log(`[assetHandlers][sellPartialAssetsFIFO] Éxito - lotes: ${soldAssets.length}`);
+    // 10. Webhooks
+    await emitWebhookEvents(auth.uid, [
+      ...sellTransactions.map((transaction, i) => [
+        WEBHOOK_EVENTS.TRANSACTION_CREATED,
+        buildTransactionData(sellTransactionIds[i], transaction),
+      ]),
+      [WEBHOOK_EVENTS.ASSET_SOLD, {
+        symbol: data.ticker,
+        portfolioAccountId: data.portfolioAccountId,
+        currency: currency,
+        date: sellDate,
+        unitsSold: unitsToSell,
+        price: pricePerUnit,
+        realizedPnL: totalPnL,
+        costBasisMethod: costBasisMethod,
+        lots: soldAssets.map((sold, i) => ({
+          assetId: sold.assetId,
+          transactionId: sellTransactionIds[i],
+          unitsSold: sold.unitsSold,
+          isFullSale: sold.isFullSale,
+        })),
+      }],
+    ], context.importRun);
+
+    console.log(`[assetHandlers][sellPartialAssetsFIFO] Éxito - lotes: ${soldAssets.length}, método: ${costBasisMethod}, fecha: ${sellDate}`);
 
     return {
       success: true,
       soldAssets: soldAssets,
       totalPnL: totalPnL,
       totalRevenue: totalRevenue,
+      costBasisMethod: costBasisMethod,
+      historyRecalculated: historyRecalculated,
     };
 
   } catch (error) {
@@ -710,7 +1090,7 @@ async function sellPartialAssetsFIFO(context, payload) {
       throw error;
     }
     
-    throw new HttpsError('internal', `Error al vender activos FIFO: ${error.message}`);
+    throw new HttpsError('internal', `Error al vender activos: ${error.message}`);
   }
 }
 
@@ -780,6 +1160,7 @@ async function addCashTransaction(context, payload) {
       defaultCurrencyForAdquisitionDollar: data.defaultCurrencyForAdquisitionDollar || 'USD',
       description: data.description || '',
       userId: auth.uid,
+      ...getImportTag(context),
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     };
     batch.set(transactionRef, transactionData);
@@ -791,6 +1172,10 @@ async function addCashTransaction(context, payload) {
 
     await batch.commit();
 
+    await emitWebhookEvents(auth.uid, [
+      [WEBHOOK_EVENTS.TRANSACTION_CREATED, buildTransactionData(transactionRef.id, transactionData)],
+    ], context.importRun);
+
     console.log(`[assetHandlers][addCashTransaction] Éxito - transactionId: ${transactionRef.id}`);
 
     return {
@@ -1026,5 +1411,9 @@ module.exports = {
   cleanDecimal,
   validateAccountOwnership,
   validateSufficientFunds,
+  resolveDollarPriceToDate,
   ensureCurrentPriceExists,
+  addPurchaseToBatch,
+  recalculateHistoryIfBackdated,
+  emitWebhookEvents,
 };
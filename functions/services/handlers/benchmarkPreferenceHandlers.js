@@ -0,0 +1,101 @@
+/**
+ * Benchmark Preference Handlers - Benchmark elegido por el usuario
+ *
+ * Un índice de indexHistories o una combinación ponderada, por cuenta o para
+ * el portafolio completo. Lo usan /risk-metrics (beta, correlación, retorno
+ * del benchmark) y /attribution (exceso de retorno).
+ *
+ * @module handlers/benchmarkPreferenceHandlers
+ * @see services/riskMetrics/benchmarkPreferences
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const riskMetrics = require('../riskMetrics');
+
+// ============================================================================
+// BENCHMARK PREFERENCE HANDLERS
+// ============================================================================
+
+/**
+ * Crea o reemplaza el benchmark de una cuenta o del portafolio
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos del benchmark
+ * @param {string} [payload.accountId] - Cuenta (vacío = portafolio completo)
+ * @param {Array<{code: string, weight?: number}>} payload.components - Índices y pesos en % (suman 100)
+ * @param {'daily' | 'monthly' | 'none'} [payload.rebalance] - Rebalanceo del combinado (default monthly)
+ * @returns {Promise<{success: boolean, preference: Object}>}
+ */
+async function setBenchmarkPreference(context, payload) {
+  const { auth } = context;
+
+  console.log(`[benchmarkPreferenceHandlers][setBenchmarkPreference] userId: ${auth.uid}, accountId: ${payload?.accountId || 'overall'}`);
+
+  let preference;
+  try {
+    preference = await riskMetrics.setBenchmarkPreference(auth.uid, payload || {});
+  } catch (error) {
+    if (error.code) {
+      console.error('[benchmarkPreferenceHandlers][setBenchmarkPreference] Error:', error);
+      throw new HttpsError('internal', 'Error al guardar el benchmark');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  return { success: true, preference };
+}
+
+/**
+ * Benchmarks configurados por el usuario
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @returns {Promise<{success: boolean, preferences: Object[], defaultBenchmark: Object}>}
+ */
+async function getBenchmarkPreferences(context) {
+  const { auth } = context;
+
+  console.log(`[benchmarkPreferenceHandlers][getBenchmarkPreferences] userId: ${auth.uid}`);
+
+  try {
+    const preferences = await riskMetrics.listBenchmarkPreferences(auth.uid);
+    return { success: true, preferences, defaultBenchmark: riskMetrics.DEFAULT_BENCHMARK };
+  } catch (error) {
+    console.error('[benchmarkPreferenceHandlers][getBenchmarkPreferences] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener los benchmarks');
+  }
+}
+
+/**
+ * Elimina el benchmark de una cuenta o del portafolio (vuelve al default)
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} [payload]
+ * @param {string} [payload.accountId] - Cuenta (vacío = portafolio completo)
+ * @returns {Promise<{success: boolean}>}
+ */
+async function deleteBenchmarkPreference(context, payload) {
+  const { auth } = context;
+  const { accountId = null } = payload || {};
+
+  console.log(`[benchmarkPreferenceHandlers][deleteBenchmarkPreference] userId: ${auth.uid}, accountId: ${accountId || 'overall'}`);
+
+  let deleted;
+  try {
+    deleted = await riskMetrics.deleteBenchmarkPreference(auth.uid, accountId);
+  } catch (error) {
+    console.error('[benchmarkPreferenceHandlers][deleteBenchmarkPreference] Error:', error);
+    throw new HttpsError('internal', 'Error al eliminar el benchmark');
+  }
+
+  if (!deleted) {
+    throw new HttpsError('not-found', 'El benchmark no existe');
+  }
+
+  return { success: true };
+}
+
+module.exports = {
+  setBenchmarkPreference,
+  getBenchmarkPreferences,
+  deleteBenchmarkPreference,
+};
@@ -0,0 +1,85 @@
+/**
+ * Corporate Action Handlers - Registro de eventos corporativos
+ *
+ * RBAC-001: Requiere rol de administrador. Un evento ajusta lotes y
+ * transacciones de todos los usuarios que tienen el ticker.
+ *
+ * @module handlers/corporateActionHandlers
+ * @see services/corporateActions
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const admin = require('../firebaseAdmin');
+const { requireAdmin } = require('../../utils/authorization');
+const {
+  recordCorporateAction: recordAction,
+  validateCorporateAction
+} = require('../corporateActions');
+const { ensureCurrentPriceExists } = require('./assetHandlers');
+
+const db = admin.firestore();
+
+// ============================================================================
+// CORPORATE ACTION HANDLERS - 🔒 SOLO ADMIN
+// ============================================================================
+
+/**
+ * Registra un split, reverse split, cambio de ticker o spin-off
+ *
+ * Si la fecha efectiva ya llegó, ajusta en el momento los lotes de `assets`
+ * y las `transactions` históricas; si es futura, queda pendiente y la
+ * aplica unifiedMarketDataUpdate ese día.
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos del evento
+ * @param {'split' | 'reverseSplit' | 'rename' | 'spinOff'} payload.type - Tipo de evento
+ * @param {string} payload.symbol - Ticker afectado
+ * @param {string} payload.effectiveDate - Fecha efectiva (YYYY-MM-DD)
+ * @param {number} [payload.ratioFrom] - Acciones antes (split, reverseSplit, spinOff)
+ * @param {number} [payload.ratioTo] - Acciones después o recibidas (split, reverseSplit, spinOff)
+ * @param {string} [payload.newSymbol] - Nuevo ticker (rename) o ticker recibido (spinOff)
+ * @param {number} [payload.costAllocation] - Fracción del costo base asignada al spin-off (0-1)
+ * @param {string} [payload.notes] - Notas
+ * @returns {Promise<{success: boolean, action: Object, applied: boolean, result: Object|null}>}
+ */
+async function recordCorporateAction(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+
+  console.log(`[corporateActionHandlers][recordCorporateAction] Admin userId: ${auth.uid}, tipo: ${payload?.type}, ticker: ${payload?.symbol}`);
+
+  try {
+    validateCorporateAction(payload || {});
+  } catch (error) {
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  let recorded;
+  try {
+    recorded = await recordAction(payload, { recordedBy: auth.uid });
+  } catch (error) {
+    console.error('[corporateActionHandlers][recordCorporateAction] Error:', error);
+    throw new HttpsError('internal', 'Error al registrar el evento corporativo');
+  }
+
+  const { action, applied, result } = recorded;
+
+  // El ticker nuevo necesita precio para valorar los lotes renombrados o recibidos
+  if (action.newSymbol) {
+    const previousPrice = await db.collection('currentPrices').doc(action.symbol).get();
+    const assetType = action.newAssetType || (previousPrice.exists && previousPrice.data().type) || 'stock';
+    await ensureCurrentPriceExists(action.newSymbol, assetType);
+  }
+
+  console.log(`[corporateActionHandlers][recordCorporateAction] Éxito - id: ${action.id}, aplicado: ${applied}`);
+
+  return { success: true, action, applied, result };
+}
+
+module.exports = {
+  recordCorporateAction,
+};
@@ -0,0 +1,63 @@
+/**
+ * FX History Handlers - Backfill del histórico de tipos de cambio
+ *
+ * RBAC-001: Requiere rol de administrador. El histórico es compartido por
+ * todos los usuarios.
+ *
+ * @module handlers/fxHistoryHandlers
+ * @see services/fxHistory
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const { requireAdmin } = require('../../utils/authorization');
+const { backfillFxHistory: runBackfill } = require('../fxHistory');
+
+// ============================================================================
+// FX HISTORY HANDLERS - 🔒 SOLO ADMIN
+// ============================================================================
+
+/**
+ * Completa fxHistory para un rango de fechas desde Yahoo Finance
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Rango a completar
+ * @param {string} payload.startDate - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [payload.endDate] - Fecha final (default: hoy)
+ * @param {string[]} [payload.currencies] - Monedas (default: todas las activas)
+ * @returns {Promise<{success: boolean, datesWritten: number, ratesWritten: number, missing: string[]}>}
+ */
+async function backfillFxHistory(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+  const { startDate, endDate, currencies } = payload || {};
+
+  console.log(`[fxHistoryHandlers][backfillFxHistory] Admin userId: ${auth.uid}, rango: ${startDate}..${endDate || 'hoy'}`);
+
+  if (currencies !== undefined && !Array.isArray(currencies)) {
+    throw new HttpsError('invalid-argument', 'currencies debe ser un array');
+  }
+
+  let result;
+  try {
+    result = await runBackfill({ startDate, endDate, codes: currencies });
+  } catch (error) {
+    console.error('[fxHistoryHandlers][backfillFxHistory] Error:', error);
+    throw new HttpsError('internal', 'Error al completar el histórico de tipos de cambio');
+  }
+
+  if (!result.success) {
+    throw new HttpsError('invalid-argument', result.message);
+  }
+
+  console.log(`[fxHistoryHandlers][backfillFxHistory] Éxito - días: ${result.datesWritten}, tasas: ${result.ratesWritten}`);
+
+  return result;
+}
+
+module.exports = {
+  backfillFxHistory,
+};
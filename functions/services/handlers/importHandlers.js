@@ -0,0 +1,506 @@
+/**
+ * Import Handlers - Importación de extractos de brokers
+ *
+ * Procesa extractos IBKR Flex CSV, XTB XLSX o CSV genérico con mapeo de
+ * columnas. Funciona en dos pasos:
+ *
+ * 1. mode 'preview' (default): dry-run con duplicados, filas inválidas y
+ *    efecto en balances, sin escribir nada.
+ * 2. mode 'commit': vuelve a parsear y validar el archivo y ejecuta las filas
+ *    aceptadas a través de createAsset, sellPartialAssetsFIFO y
+ *    addCashTransaction, de modo que balances, transactions y caches se
+ *    actualizan igual que en una operación manual.
+ *
+ * La confirmación es todo o nada: antes de escribir se registra en
+ * transactionImports el estado previo de la cuenta y cada escritura queda
+ * marcada con el importId. Si una fila falla, la importación se revierte
+ * completa. Las ventas retroactivas recalculan el histórico una sola vez al
+ * final y los webhooks se emiten solo si la importación se confirma.
+ *
+ * Cada fila registra el tipo de cambio de su propia fecha: la columna fxRate
+ * del extracto o, si no la trae, la tasa de fxHistory en esa fecha. Las filas
+ * sin tipo de cambio quedan inválidas.
+ *
+ * @module handlers/importHandlers
+ * @see docs/stories/56.story.md
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const admin = require('../firebaseAdmin');
+const db = admin.firestore();
+
+const {
+  createAsset,
+  sellPartialAssetsFIFO,
+  addCashTransaction,
+  validateAccountOwnership,
+  recalculateHistoryIfBackdated,
+  emitWebhookEvents,
+} = require('./assetHandlers');
+const {
+  parseStatement,
+  buildImportPreview,
+  IMPORT_FORMATS,
+  IMPORT_LIMITS,
+  IMPORT_STATUS,
+  ROW_STATUS,
+} = require('../transactionImport');
+const { loadRateTable, getHistoricalRate } = require('../fxHistory');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Decodifica y parsea el archivo recibido en el payload
+ * @param {Object} data - Payload de la importación
+ * @param {Object} account - Cuenta destino
+ * @returns {{rows: Array<Object>, errors: Array<Object>}}
+ */
+const parsePayloadFile = (data, account) => {
+  if (!data.fileContent || typeof data.fileContent !== 'string') {
+    throw new HttpsError('invalid-argument', 'fileContent (base64) es requerido');
+  }
+
+  if (!IMPORT_FORMATS.includes(data.format)) {
+    throw new HttpsError('invalid-argument', `Formato no válido. Formatos permitidos: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const buffer = Buffer.from(data.fileContent, 'base64');
+  if (buffer.length === 0) {
+    throw new HttpsError('invalid-argument', 'El archivo está vacío');
+  }
+  if (buffer.length > IMPORT_LIMITS.MAX_FILE_BYTES) {
+    throw new HttpsError('invalid-argument', `El archivo excede el tamaño máximo (${IMPORT_LIMITS.MAX_FILE_BYTES / (1024 * 1024)}MB)`);
+  }
+
+  const defaultCurrency = data.currency || Object.keys(account.balances || {})[0] || 'USD';
+
+  let parsed;
+  try {
+    parsed = parseStatement(buffer, data.format, {
+      columnMapping: data.columnMapping || {},
+      dateFormat: data.dateFormat === 'MDY' ? 'MDY' : 'DMY',
+      currency: defaultCurrency,
+      defaultAssetType: data.defaultAssetType || 'stock',
+    });
+  } catch (parseError) {
+    throw new HttpsError('invalid-argument', `No se pudo leer el archivo: ${parseError.message}`);
+  }
+
+  if (parsed.rows.length > IMPORT_LIMITS.MAX_ROWS) {
+    throw new HttpsError('invalid-argument', `El archivo excede el máximo de ${IMPORT_LIMITS.MAX_ROWS} filas`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Resuelve el tipo de cambio de cada fila en su fecha: columna fxRate del
+ * extracto, fxHistory (con arrastre) o, si falta, la tasa histórica en vivo
+ *
+ * @param {Array<Object>} rows - Filas parseadas
+ * @param {string} currency - Moneda de adquisición (defaultCurrencyForAdquisitionDollar)
+ * @returns {Promise<Map<number, number|null>>} Tipo de cambio por rowNumber (null sin tasa)
+ */
+const resolveRowDollarPrices = async (rows, currency) => {
+  const prices = new Map();
+  if (rows.length === 0) return prices;
+
+  if (currency === 'USD') {
+    rows.forEach(row => prices.set(row.rowNumber, row.fxRate > 0 ? row.fxRate : 1));
+    return prices;
+  }
+
+  const dates = rows.map(r => r.date).sort();
+  const table = await loadRateTable({ startDate: dates[0], endDate: dates[dates.length - 1] });
+  const liveRates = new Map();
+
+  for (const row of rows) {
+    if (row.fxRate > 0) {
+      prices.set(row.rowNumber, row.fxRate);
+      continue;
+    }
+
+    let rate = table.lookup(currency, row.date)?.rate || null;
+    if (!rate) {
+      if (!liveRates.has(row.date)) {
+        const live = await getHistoricalRate(currency, row.date).catch(error => {
+          console.warn(`[importHandlers][resolveRowDollarPrices] ${currency} ${row.date}: ${error.message}`);
+          return null;
+        });
+        liveRates.set(row.date, live?.rate || null);
+      }
+      rate = liveRates.get(row.date);
+    }
+    prices.set(row.rowNumber, rate);
+  }
+
+  return prices;
+};
+
+/**
+ * Moneda de adquisición con la que se registra el tipo de cambio
+ * @param {Object} data - Payload de la importación
+ * @returns {string}
+ */
+const getFxCurrency = (data) => data.defaultCurrencyForAdquisitionDollar || 'USD';
+
+/**
+ * Construye el preview contra el estado actual de la cuenta
+ * @param {Object} account - Cuenta destino (con id y balances)
+ * @param {Array<Object>} rows - Filas parseadas
+ * @param {string} fxCurrency - Moneda de adquisición para el tipo de cambio de cada fila
+ * @returns {Promise<{rows: Array<Object>, summary: Object}>}
+ */
+const buildPreviewForAccount = async (account, rows, fxCurrency) => {
+  if (rows.length === 0) {
+    return buildImportPreview([], { balances: account.balances || {} });
+  }
+
+  const minDate = rows.reduce((min, r) => (r.date < min ? r.date : min), rows[0].date);
+
+  const [transactionsSnapshot, assetsSnapshot, dollarPrices] = await Promise.all([
+    db.collection('transactions')
+      .where('portfolioAccountId', '==', account.id)
+      .where('date', '>=', minDate)
+      .get(),
+    db.collection('assets')
+      .where('portfolioAccount', '==', account.id)
+      .where('isActive', '==', true)
+      .get(),
+    resolveRowDollarPrices(rows, fxCurrency),
+  ]);
+
+  return buildImportPreview(rows, {
+    existingTransactions: transactionsSnapshot.docs.map(doc => doc.data()),
+    activeAssets: assetsSnapshot.docs.map(doc => doc.data()),
+    balances: account.balances || {},
+    dollarPrices,
+  });
+};
+
+/**
+ * Ejecuta una fila aceptada con el handler correspondiente
+ * @param {Object} context - Contexto de ejecución
+ * @param {string} portfolioAccountId - ID de la cuenta
+ * @param {Object} previewRow - Fila del preview (row normalizada y dollarPriceToDate)
+ * @param {Object} data - Payload de la importación
+ * @returns {Promise<Object>} Resultado del handler
+ */
+const executeRow = (context, portfolioAccountId, { row, dollarPriceToDate }, data) => {
+  const defaultCurrencyForAdquisitionDollar = getFxCurrency(data);
+
+  switch (row.type) {
+    case 'buy':
+      return createAsset(context, {
+        portfolioAccount: portfolioAccountId,
+        name: row.ticker,
+        assetType: row.assetType,
+        market: row.market,
+        currency: row.currency,
+        units: row.units,
+        unitValue: row.price,
+        commission: row.commission,
+        acquisitionDate: row.date,
+        acquisitionDollarValue: dollarPriceToDate,
+        defaultCurrencyForAdquisitionDollar,
+      });
+    case 'sell':
+      return sellPartialAssetsFIFO(context, {
+        ticker: row.ticker,
+        portfolioAccountId,
+        unitsToSell: row.units,
+        pricePerUnit: row.price,
+        totalCommission: row.commission,
+        sellDate: row.date,
+        dollarPriceToDate,
+      });
+    case 'cash_income':
+    case 'cash_expense':
+      return addCashTransaction(context, {
+        portfolioAccountId,
+        type: row.type,
+        amount: row.units,
+        currency: row.currency,
+        date: row.date,
+        dollarPriceToDate,
+        defaultCurrencyForAdquisitionDollar,
+        description: `Importado desde ${data.format}`,
+      });
+    default:
+      throw new HttpsError('invalid-argument', `Tipo de fila no soportado: ${row.type}`);
+  }
+};
+
+// ============================================================================
+// CONFIRMACIÓN Y REVERSIÓN
+// ============================================================================
+
+/**
+ * Registra la confirmación con el estado previo de la cuenta (balances y
+ * lotes activos) para poder revertirla
+ * @param {string} userId - UID del dueño de la cuenta
+ * @param {Object} account - Cuenta destino (con id y balances)
+ * @param {Object} data - Payload de la importación
+ * @param {number} rowCount - Filas a confirmar
+ * @returns {Promise<{importRef: Object, record: import('../transactionImport/types').ImportRecord}>}
+ */
+const startImportRecord = async (userId, account, data, rowCount) => {
+  const assetsSnapshot = await db.collection('assets')
+    .where('portfolioAccount', '==', account.id)
+    .where('isActive', '==', true)
+    .get();
+
+  const record = {
+    userId,
+    portfolioAccountId: account.id,
+    format: data.format,
+    status: IMPORT_STATUS.RUNNING,
+    rowCount,
+    balancesBefore: account.balances || {},
+    lotsBefore: assetsSnapshot.docs.map(doc => {
+      const asset = doc.data();
+      return { id: doc.id, name: asset.name, units: asset.units, unitValue: asset.unitValue };
+    }),
+  };
+
+  const importRef = db.collection('transactionImports').doc();
+  await importRef.set({ ...record, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  return { importRef, record };
+};
+
+/**
+ * Revierte las escrituras de una importación: borra sus transacciones y los
+ * lotes que creó, restaura los lotes de los tickers vendidos, reabre las
+ * compras que cerró y repone los balances previos. Se puede reintentar.
+ * @param {string} importId - ID de la importación
+ * @param {import('../transactionImport/types').ImportRecord} record - Registro de la importación
+ * @returns {Promise<number>} Transacciones borradas
+ */
+const rollbackImport = async (importId, record) => {
+  const [importedSnapshot, closedSnapshot] = await Promise.all([
+    db.collection('transactions').where('importId', '==', importId).get(),
+    db.collection('transactions').where('closedByImportId', '==', importId).get(),
+  ]);
+
+  const writes = [];
+  const soldTickers = new Set();
+
+  importedSnapshot.docs.forEach(doc => {
+    const transaction = doc.data();
+    writes.push(batch => batch.delete(doc.ref));
+    if (transaction.type === 'buy') {
+      writes.push(batch => batch.delete(db.collection('assets').doc(transaction.assetId)));
+    }
+    if (transaction.type === 'sell') {
+      soldTickers.add(transaction.assetName);
+    }
+  });
+
+  record.lotsBefore
+    .filter(lot => soldTickers.has(lot.name))
+    .forEach(({ id, units, unitValue }) => {
+      writes.push(batch => batch.update(db.collection('assets').doc(id), { units, unitValue, isActive: true }));
+    });
+
+  closedSnapshot.docs
+    .filter(doc => doc.data().importId !== importId)
+    .forEach(doc => {
+      writes.push(batch => batch.update(doc.ref, {
+        closedPnL: false,
+        closedByImportId: admin.firestore.FieldValue.delete(),
+      }));
+    });
+
+  writes.push(batch => batch.update(
+    db.collection('portfolioAccounts').doc(record.portfolioAccountId),
+    { balances: record.balancesBefore }
+  ));
+
+  for (let i = 0; i < writes.length; i += IMPORT_LIMITS.ROLLBACK_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + IMPORT_LIMITS.ROLLBACK_BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  return importedSnapshot.size;
+};
+
+/**
+ * Revierte la importación tras el fallo de una fila y lanza el error para el cliente
+ * @param {Object} importRef - Ref del registro en transactionImports
+ * @param {import('../transactionImport/types').ImportRecord} record - Registro de la importación
+ * @param {number} rowNumber - Fila que falló
+ * @param {Error} rowError - Error de la fila
+ * @returns {Promise<never>}
+ * @throws {HttpsError} aborted si se revirtió, internal si la reversión falló
+ */
+const abortImport = async (importRef, record, rowNumber, rowError) => {
+  const failure = {
+    failedRow: rowNumber,
+    error: rowError.message,
+    finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const details = { importId: importRef.id, failedRow: rowNumber };
+
+  try {
+    const reverted = await rollbackImport(importRef.id, record);
+    await importRef.update({ status: IMPORT_STATUS.ROLLED_BACK, ...failure });
+    console.log(`[importHandlers][abortImport] Importación ${importRef.id} revertida - transacciones borradas: ${reverted}`);
+  } catch (rollbackError) {
+    console.error(`[importHandlers][abortImport] No se pudo revertir la importación ${importRef.id}`, rollbackError);
+    await importRef.update({ status: IMPORT_STATUS.ROLLBACK_FAILED, ...failure, rollbackError: rollbackError.message })
+      .catch(() => {});
+    throw new HttpsError(
+      'internal',
+      `Fila ${rowNumber}: ${rowError.message}. No se pudo revertir la importación ${importRef.id}`,
+      details
+    );
+  }
+
+  throw new HttpsError(
+    'aborted',
+    `Fila ${rowNumber}: ${rowError.message}. La importación se revirtió y no se importó ninguna fila`,
+    details
+  );
+};
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Importa transacciones desde un extracto de broker (preview o commit)
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la importación
+ * @param {string} payload.portfolioAccountId - Cuenta destino
+ * @param {'ibkr' | 'xtb' | 'generic'} payload.format - Formato del archivo
+ * @param {string} payload.fileContent - Archivo en base64
+ * @param {'preview' | 'commit'} [payload.mode='preview'] - Modo de ejecución
+ * @param {number[]} [payload.acceptedRows] - rowNumber a confirmar (default: todas las válidas)
+ * @param {Object.<string, string>} [payload.columnMapping] - Mapeo para formato generic
+ * @param {'DMY' | 'MDY'} [payload.dateFormat='DMY'] - Orden de fechas con barras
+ * @param {string} [payload.currency] - Moneda por defecto (XTB y CSV sin columna de moneda)
+ * @param {string} [payload.defaultAssetType='stock'] - assetType cuando el extracto no lo indica
+ * @param {string} [payload.defaultCurrencyForAdquisitionDollar='USD'] - Moneda del tipo de cambio;
+ *   la tasa de cada fila sale de su columna fxRate o de fxHistory en su fecha
+ * @returns {Promise<Object>} Preview o resultado de la confirmación (con importId)
+ * @throws {HttpsError} aborted si una fila falla: la importación se revierte completa
+ */
+async function importTransactions(context, payload) {
+  const { auth } = context;
+  const data = payload || {};
+  const mode = data.mode || 'preview';
+
+  console.log(`[importHandlers][importTransactions] userId: ${auth.uid}, format: ${data.format}, mode: ${mode}`);
+
+  try {
+    // 1. Validar datos requeridos
+    if (!data.portfolioAccountId) {
+      throw new HttpsError('invalid-argument', 'portfolioAccountId es requerido');
+    }
+    if (!['preview', 'commit'].includes(mode)) {
+      throw new HttpsError('invalid-argument', 'mode debe ser preview o commit');
+    }
+
+    // 2. Validar ownership de la cuenta
+    const account = await validateAccountOwnership(data.portfolioAccountId, auth.uid);
+
+    // 3. Parsear archivo y construir preview
+    const parsed = parsePayloadFile(data, account);
+    const preview = await buildPreviewForAccount(account, parsed.rows, getFxCurrency(data));
+
+    if (mode === 'preview') {
+      console.log(`[importHandlers][importTransactions] Preview - válidas: ${preview.summary.validRows}, duplicadas: ${preview.summary.duplicateRows}, inválidas: ${preview.summary.invalidRows}`);
+
+      return {
+        success: true,
+        mode,
+        rows: preview.rows,
+        parseErrors: parsed.errors,
+        summary: preview.summary,
+      };
+    }
+
+    // 4. Seleccionar filas a confirmar (solo válidas)
+    const accepted = Array.isArray(data.acceptedRows) ? new Set(data.acceptedRows.map(Number)) : null;
+    const rowsToCommit = preview.rows
+      .filter(r => r.status === ROW_STATUS.VALID)
+      .filter(r => !accepted || accepted.has(r.row.rowNumber));
+
+    if (rowsToCommit.length > IMPORT_LIMITS.MAX_COMMIT_ROWS) {
+      throw new HttpsError(
+        'invalid-argument',
+        `Máximo ${IMPORT_LIMITS.MAX_COMMIT_ROWS} filas por confirmación. Usa acceptedRows para importar por partes`
+      );
+    }
+
+    const skippedRows = preview.rows.length - rowsToCommit.length;
+    if (rowsToCommit.length === 0) {
+      return { success: true, mode, importedRows: 0, skippedRows, results: [] };
+    }
+
+    // 5. Registrar la importación con el estado previo de la cuenta
+    const { importRef, record } = await startImportRecord(auth.uid, account, data, rowsToCommit.length);
+    const importRun = { importId: importRef.id, backdatedSells: [], webhookEvents: [] };
+    const importContext = { ...context, importRun };
+
+    // 6. Ejecutar en orden cronológico; la primera fila que falla revierte todo
+    const results = [];
+    for (const previewRow of rowsToCommit) {
+      const { row } = previewRow;
+      try {
+        const result = await executeRow(importContext, data.portfolioAccountId, previewRow, data);
+        results.push({ rowNumber: row.rowNumber, success: true, result });
+      } catch (rowError) {
+        console.warn(`[importHandlers][importTransactions] Fila ${row.rowNumber} falló: ${rowError.message}. Revirtiendo ${importRef.id}`);
+        await abortImport(importRef, record, row.rowNumber, rowError);
+      }
+    }
+
+    // 7. Recalcular el histórico una vez con todas las ventas retroactivas
+    const backdatedSells = [...importRun.backdatedSells].sort((a, b) => a.date.localeCompare(b.date));
+    const historyRecalculated = await recalculateHistoryIfBackdated(auth.uid, data.portfolioAccountId, backdatedSells);
+
+    await importRef.update({
+      status: IMPORT_STATUS.COMPLETED,
+      importedRows: results.length,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // 8. Webhooks de todas las filas, ya confirmadas
+    await emitWebhookEvents(auth.uid, importRun.webhookEvents);
+
+    console.log(`[importHandlers][importTransactions] Éxito - importId: ${importRef.id}, importadas: ${results.length}`);
+
+    return {
+      success: true,
+      mode,
+      importId: importRef.id,
+      importedRows: results.length,
+      skippedRows,
+      historyRecalculated,
+      results,
+    };
+
+  } catch (error) {
+    console.error(`[importHandlers][importTransactions] Error - userId: ${auth.uid}`, error);
+
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+
+    throw new HttpsError('internal', `Error al importar transacciones: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  importTransactions,
+};
@@ -42,6 +42,18 @@ const {
   calculateModifiedDietzReturn
 } = require('../../utils/mwrCalculations');
 
+// Exportación de datos del portafolio
+const exportService = require('../exportService');
+
+// Reporte fiscal anual
+const { generateTaxReport: buildTaxReport } = require('../taxReport');
+
+// Calendario de dividendos e ingreso proyectado
+const { getDividendCalendar: buildDividendCalendar } = require('../dividendCalendar');
+
+// Plan de rebalanceo contra la asignación objetivo
+const { getRebalancePlan: buildRebalancePlan } = require('../rebalancing');
+
 // ============================================================================
 // CONSTANTES
 // ============================================================================
@@ -820,6 +832,266 @@ async function getConsolidatedDataStatus(context, payload) {
   }
 }
 
+/**
+ * Exporta transacciones, posiciones abiertas, posiciones cerradas y
+ * rendimiento diario del usuario en CSV, XLSX o JSON
+ * 
+ * Los archivos se devuelven en base64 (CSV: un archivo por dataset,
+ * XLSX: un libro con una hoja por dataset).
+ * 
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Opciones de exportación
+ * @param {string[]} [payload.datasets] - transactions, openPositions, closedPositions, performance
+ * @param {string[]} [payload.accountIds] - Cuentas a incluir (default: todas)
+ * @param {string} [payload.startDate] - Fecha inicio (YYYY-MM-DD)
+ * @param {string} [payload.endDate] - Fecha fin (YYYY-MM-DD)
+ * @param {'json' | 'csv' | 'xlsx'} [payload.format='json'] - Formato de salida
+ * @param {string} [payload.currency] - Moneda a la que convertir los montos
+ * @returns {Promise<Object>} Archivos generados y metadata
+ */
+async function exportPortfolioData(context, payload) {
+  const { auth } = context;
+  const userId = auth.uid;
+  const {
+    datasets,
+    accountIds = [],
+    startDate,
+    endDate,
+    format = 'json',
+    currency = null
+  } = payload || {};
+
+  console.log(`[queryHandlers][exportPortfolioData] userId: ${userId}, format: ${format}, currency: ${currency || 'original'}`);
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+    throw new HttpsError('invalid-argument', 'Las fechas deben tener formato YYYY-MM-DD');
+  }
+  if (startDate && endDate && startDate > endDate) {
+    throw new HttpsError('invalid-argument', 'startDate no puede ser posterior a endDate');
+  }
+  if (!Array.isArray(accountIds) || (datasets !== undefined && !Array.isArray(datasets))) {
+    throw new HttpsError('invalid-argument', 'accountIds y datasets deben ser arrays');
+  }
+
+  try {
+    const result = await exportService.exportPortfolioData(userId, {
+      datasets,
+      accountIds,
+      startDate,
+      endDate,
+      format,
+      currency,
+      requestId: `callable-${Date.now()}`
+    });
+
+    if (!result.success) {
+      throw new HttpsError(
+        result.error === 'NO_ACCOUNTS' ? 'not-found' : 'invalid-argument',
+        result.message
+      );
+    }
+
+    console.log(`[queryHandlers][exportPortfolioData] Éxito - archivos: ${result.files.length}`);
+
+    return {
+      success: true,
+      files: result.files.map(file => ({
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        content: file.buffer.toString('base64')
+      })),
+      data: format === 'json' ? result.data : undefined,
+      metadata: result.metadata
+    };
+  } catch (error) {
+    console.error(`[queryHandlers][exportPortfolioData] Error:`, error);
+    if (error instanceof HttpsError) throw error;
+    throw new HttpsError('internal', `Error al exportar datos: ${error.message}`);
+  }
+}
+
+/**
+ * Genera el reporte fiscal anual del usuario
+ *
+ * Ganancias realizadas por lote (corto/largo plazo), dividendos
+ * bruto/retenido/neto por cuenta y moneda, y totales en la moneda por
+ * defecto del usuario al tipo de cambio de cada transacción.
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Opciones del reporte
+ * @param {number} payload.year - Año fiscal
+ * @param {string[]} [payload.accountIds] - Cuentas (vacío = todas)
+ * @param {number} [payload.longTermThresholdDays=365] - Umbral de largo plazo en días
+ * @param {string} [payload.currency] - Moneda del reporte (default: moneda del usuario)
+ * @param {'json' | 'csv' | 'xlsx'} [payload.format='json'] - Formato de archivos
+ * @returns {Promise<{success: boolean, report: Object, files: Array, metadata: Object}>}
+ */
+async function getTaxReport(context, payload) {
+  const { auth } = context;
+  const userId = auth.uid;
+  const {
+    year,
+    accountIds = [],
+    longTermThresholdDays,
+    currency,
+    format = 'json'
+  } = payload || {};
+
+  console.log(`[queryHandlers][getTaxReport] userId: ${userId}, year: ${year}, format: ${format}`);
+
+  if (!Array.isArray(accountIds)) {
+    throw new HttpsError('invalid-argument', 'accountIds debe ser un array');
+  }
+  if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) {
+    throw new HttpsError('invalid-argument', 'currency debe ser un código ISO de 3 letras');
+  }
+
+  try {
+    const result = await buildTaxReport(userId, {
+      year: Number(year),
+      accountIds,
+      longTermThresholdDays: longTermThresholdDays !== undefined ? Number(longTermThresholdDays) : undefined,
+      currency,
+      format,
+      requestId: `callable-${Date.now()}`
+    });
+
+    if (!result.success) {
+      throw new HttpsError(
+        result.error === 'NO_ACCOUNTS' ? 'not-found' : 'invalid-argument',
+        result.message
+      );
+    }
+
+    console.log(`[queryHandlers][getTaxReport] Éxito - lotes: ${result.report.realizedGains.length}`);
+
+    return {
+      success: true,
+      report: result.report,
+      files: format === 'json' ? [] : result.files.map(file => ({
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        content: file.buffer.toString('base64')
+      })),
+      metadata: result.metadata
+    };
+  } catch (error) {
+    console.error(`[queryHandlers][getTaxReport] Error:`, error);
+    if (error instanceof HttpsError) throw error;
+    throw new HttpsError('internal', `Error al generar el reporte fiscal: ${error.message}`);
+  }
+}
+
+/**
+ * Obtiene el calendario de dividendos del usuario
+ *
+ * Próximas fechas ex-dividend y de pago de los tickers en tenencia, ingreso
+ * proyectado a 12 meses por cuenta y moneda (unidades actuales y
+ * taxDeductionPercentage de la cuenta) y dividendos recibidos por mes.
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Opciones del calendario
+ * @param {string[]} [payload.accountIds] - Cuentas (vacío = todas las activas)
+ * @param {number} [payload.historyMonths=24] - Meses de dividendos recibidos
+ * @returns {Promise<{success: boolean, calendar: Object, metadata: Object}>}
+ */
+async function getDividendCalendar(context, payload) {
+  const { auth } = context;
+  const userId = auth.uid;
+  const { accountIds = [], historyMonths } = payload || {};
+
+  console.log(`[queryHandlers][getDividendCalendar] userId: ${userId}`);
+
+  if (!Array.isArray(accountIds)) {
+    throw new HttpsError('invalid-argument', 'accountIds debe ser un array');
+  }
+
+  try {
+    const result = await buildDividendCalendar(userId, {
+      accountIds,
+      historyMonths: historyMonths !== undefined ? Number(historyMonths) : undefined
+    });
+
+    if (!result.success) {
+      throw new HttpsError(
+        result.error === 'NO_ACCOUNTS' ? 'not-found' : 'invalid-argument',
+        result.message
+      );
+    }
+
+    console.log(`[queryHandlers][getDividendCalendar] Éxito - próximos: ${result.calendar.upcoming.length}`);
+
+    return {
+      success: true,
+      calendar: result.calendar,
+      metadata: result.metadata
+    };
+  } catch (error) {
+    console.error(`[queryHandlers][getDividendCalendar] Error:`, error);
+    if (error instanceof HttpsError) throw error;
+    throw new HttpsError('internal', `Error al obtener el calendario de dividendos: ${error.message}`);
+  }
+}
+
+/**
+ * Calcula el plan de rebalanceo contra la asignación objetivo guardada
+ *
+ * Desvío de cada grupo (activo, tipo, sector o país) y órdenes de compra y
+ * venta con los precios de currentPrices, limitadas por el efectivo de
+ * `balances` de cada cuenta. Las ventas incluyen los lotes a vender.
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Opciones del plan
+ * @param {string} [payload.accountId] - Cuenta (vacío = portafolio completo)
+ * @param {string} [payload.currency='USD'] - Moneda del plan
+ * @param {boolean} [payload.fractional=false] - Permite unidades fraccionarias
+ * @param {boolean} [payload.minimizeGains=false] - Vende primero los lotes con pérdida
+ * @returns {Promise<{success: boolean, plan: Object, metadata: Object}>}
+ */
+async function getRebalancePlan(context, payload) {
+  const { auth } = context;
+  const userId = auth.uid;
+  const { accountId, currency, fractional = false, minimizeGains = false } = payload || {};
+
+  console.log(`[queryHandlers][getRebalancePlan] userId: ${userId}, accountId: ${accountId || 'overall'}`);
+
+  if (accountId !== undefined && accountId !== null && typeof accountId !== 'string') {
+    throw new HttpsError('invalid-argument', 'accountId debe ser un texto');
+  }
+  if (typeof fractional !== 'boolean' || typeof minimizeGains !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'fractional y minimizeGains deben ser booleanos');
+  }
+
+  try {
+    const result = await buildRebalancePlan(userId, {
+      accountId: accountId || null,
+      currency: currency ? String(currency).toUpperCase() : undefined,
+      fractional,
+      minimizeGains
+    });
+
+    if (!result.success) {
+      throw new HttpsError(
+        ['NO_ACCOUNTS', 'INVALID_ACCOUNT', 'NO_TARGETS'].includes(result.error) ? 'not-found' : 'invalid-argument',
+        result.message
+      );
+    }
+
+    console.log(`[queryHandlers][getRebalancePlan] Éxito - órdenes: ${result.plan.orders.length}`);
+
+    return {
+      success: true,
+      plan: result.plan,
+      metadata: result.metadata
+    };
+  } catch (error) {
+    console.error(`[queryHandlers][getRebalancePlan] Error:`, error);
+    if (error instanceof HttpsError) throw error;
+    throw new HttpsError('internal', `Error al calcular el plan de rebalanceo: ${error.message}`);
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -834,4 +1106,8 @@ module.exports = {
   // COST-OPT-001: Nuevos handlers para rendimientos optimizados
   getHistoricalReturnsOptimized,
   getConsolidatedDataStatus,
+  exportPortfolioData,
+  getTaxReport,
+  getDividendCalendar,
+  getRebalancePlan,
 };
@@ -0,0 +1,70 @@
+/**
+ * Risk-Free Rate Handlers - Carga de series de tasas libres de riesgo
+ *
+ * RBAC-001: Requiere rol de administrador. Las series son compartidas por
+ * todos los usuarios.
+ *
+ * @module handlers/riskFreeRateHandlers
+ * @see services/riskFreeRates
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const { requireAdmin } = require('../../utils/authorization');
+const { importRiskFreeRates: runImport } = require('../riskFreeRates');
+
+// ============================================================================
+// RISK-FREE RATE HANDLERS - 🔒 SOLO ADMIN
+// ============================================================================
+
+/**
+ * Importa la serie diaria de tasas libres de riesgo de una moneda
+ *
+ * 🔒 RBAC: Requiere rol de administrador
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Serie a importar
+ * @param {string} payload.currency - Moneda (USD, COP, EUR, ...)
+ * @param {string} [payload.csv] - Contenido de un CSV `fecha,tasa%` (5.25 = 5.25%)
+ * @param {Array<{date: string, rate: number}>} [payload.rates] - Tasas como decimal (0.0525 = 5.25%)
+ * @param {string} [payload.name] - Descripción de la serie (IBR, €STR, ...)
+ * @returns {Promise<{success: boolean, currency: string, written: number, firstDate: string, lastDate: string}>}
+ */
+async function importRiskFreeRates(context, payload) {
+  // 🔒 RBAC-001: Verificar rol de admin
+  requireAdmin(context);
+
+  const { auth } = context;
+  const { currency, csv, rates, name } = payload || {};
+
+  console.log(`[riskFreeRateHandlers][importRiskFreeRates] Admin userId: ${auth.uid}, currency: ${currency}`);
+
+  if (csv !== undefined && typeof csv !== 'string') {
+    throw new HttpsError('invalid-argument', 'csv debe ser un string');
+  }
+  if (rates !== undefined && !Array.isArray(rates)) {
+    throw new HttpsError('invalid-argument', 'rates debe ser un array');
+  }
+  if (csv === undefined && rates === undefined) {
+    throw new HttpsError('invalid-argument', 'Se requiere csv o rates');
+  }
+
+  let result;
+  try {
+    result = await runImport({ currency, csv, rates, name });
+  } catch (error) {
+    console.error('[riskFreeRateHandlers][importRiskFreeRates] Error:', error);
+    throw new HttpsError('internal', 'Error al importar las tasas libres de riesgo');
+  }
+
+  if (!result.success) {
+    throw new HttpsError('invalid-argument', result.message);
+  }
+
+  console.log(`[riskFreeRateHandlers][importRiskFreeRates] Éxito - ${result.currency}: ${result.written} tasas`);
+
+  return result;
+}
+
+module.exports = {
+  importRiskFreeRates,
+};
@@ -0,0 +1,102 @@
+/**
+ * Target Allocation Handlers - Asignaciones objetivo del usuario
+ *
+ * Pesos objetivo por activo, tipo de activo, sector o país, de una cuenta o
+ * del portafolio completo. El plan de rebalanceo se consulta con
+ * queryOperations({ action: 'getRebalancePlan' }).
+ *
+ * @module handlers/targetAllocationHandlers
+ * @see services/rebalancing
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const rebalancing = require('../rebalancing');
+
+// ============================================================================
+// TARGET ALLOCATION HANDLERS
+// ============================================================================
+
+/**
+ * Crea o reemplaza la asignación objetivo de una cuenta o del portafolio
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la asignación
+ * @param {string} [payload.accountId] - Cuenta (vacío = portafolio completo)
+ * @param {'asset' | 'assetType' | 'sector' | 'country'} payload.dimension - Dimensión de los pesos
+ * @param {Array<{key: string, weight: number}>} payload.targets - Pesos en % (el resto hasta 100 es efectivo)
+ * @param {number} [payload.driftThreshold] - Desvío en puntos porcentuales que dispara órdenes (default 1)
+ * @returns {Promise<{success: boolean, allocation: Object}>}
+ */
+async function setTargetAllocation(context, payload) {
+  const { auth } = context;
+
+  console.log(`[targetAllocationHandlers][setTargetAllocation] userId: ${auth.uid}, accountId: ${payload?.accountId || 'overall'}`);
+
+  let allocation;
+  try {
+    allocation = await rebalancing.setTargetAllocation(auth.uid, payload || {});
+  } catch (error) {
+    if (error.code) {
+      console.error('[targetAllocationHandlers][setTargetAllocation] Error:', error);
+      throw new HttpsError('internal', 'Error al guardar la asignación objetivo');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  return { success: true, allocation };
+}
+
+/**
+ * Asignaciones objetivo del usuario
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @returns {Promise<{success: boolean, allocations: Object[]}>}
+ */
+async function getTargetAllocations(context) {
+  const { auth } = context;
+
+  console.log(`[targetAllocationHandlers][getTargetAllocations] userId: ${auth.uid}`);
+
+  try {
+    const allocations = await rebalancing.listTargetAllocations(auth.uid);
+    return { success: true, allocations };
+  } catch (error) {
+    console.error('[targetAllocationHandlers][getTargetAllocations] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener las asignaciones objetivo');
+  }
+}
+
+/**
+ * Elimina la asignación objetivo de una cuenta o del portafolio
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} [payload]
+ * @param {string} [payload.accountId] - Cuenta (vacío = portafolio completo)
+ * @returns {Promise<{success: boolean}>}
+ */
+async function deleteTargetAllocation(context, payload) {
+  const { auth } = context;
+  const { accountId = null } = payload || {};
+
+  console.log(`[targetAllocationHandlers][deleteTargetAllocation] userId: ${auth.uid}, accountId: ${accountId || 'overall'}`);
+
+  let deleted;
+  try {
+    deleted = await rebalancing.deleteTargetAllocation(auth.uid, accountId);
+  } catch (error) {
+    console.error('[targetAllocationHandlers][deleteTargetAllocation] Error:', error);
+    throw new HttpsError('internal', 'Error al eliminar la asignación objetivo');
+  }
+
+  if (!deleted) {
+    throw new HttpsError('not-found', 'La asignación objetivo no existe');
+  }
+
+  return { success: true };
+}
+
+module.exports = {
+  setTargetAllocation,
+  getTargetAllocations,
+  deleteTargetAllocation,
+};
@@ -0,0 +1,193 @@
+/**
+ * Watchlist Handlers - Listas de seguimiento del usuario
+ *
+ * Cada usuario administra solo sus listas; los precios de sus tickers se
+ * refrescan en unifiedMarketDataUpdate junto con los de `assets`.
+ *
+ * @module handlers/watchlistHandlers
+ * @see services/watchlists
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const watchlistService = require('../watchlists');
+const { MAX_NEWS_PER_SYMBOL } = require('../watchlists/types');
+
+/**
+ * Valida el watchlistId del payload
+ * @param {Object} payload
+ * @returns {string}
+ */
+function requireWatchlistId(payload) {
+  const { watchlistId } = payload || {};
+  if (!watchlistId || typeof watchlistId !== 'string') {
+    throw new HttpsError('invalid-argument', 'watchlistId es requerido');
+  }
+  return watchlistId;
+}
+
+// ============================================================================
+// WATCHLIST HANDLERS
+// ============================================================================
+
+/**
+ * Crea una lista
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos de la lista
+ * @param {string} payload.name - Nombre (único por usuario)
+ * @param {string[]} [payload.symbols] - Tickers (máx. 50)
+ * @param {string} [payload.note] - Nota
+ * @returns {Promise<{success: boolean, watchlist: Object}>}
+ */
+async function createWatchlist(context, payload) {
+  const { auth } = context;
+
+  console.log(`[watchlistHandlers][createWatchlist] userId: ${auth.uid}`);
+
+  let watchlist;
+  try {
+    watchlist = await watchlistService.createWatchlist(auth.uid, payload || {});
+  } catch (error) {
+    if (error.code) {
+      console.error('[watchlistHandlers][createWatchlist] Error:', error);
+      throw new HttpsError('internal', 'Error al crear la lista');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  console.log(`[watchlistHandlers][createWatchlist] Éxito - id: ${watchlist.id}`);
+
+  return { success: true, watchlist };
+}
+
+/**
+ * Edita nombre, nota o tickers de una lista
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - watchlistId y campos a cambiar
+ * @param {string} payload.watchlistId - ID de la lista
+ * @param {string} [payload.name] - Nombre
+ * @param {string[]} [payload.symbols] - Reemplaza todos los tickers
+ * @param {string[]} [payload.addSymbols] - Tickers a agregar al final
+ * @param {string[]} [payload.removeSymbols] - Tickers a quitar
+ * @param {string} [payload.note] - Nota ('' la elimina)
+ * @returns {Promise<{success: boolean, watchlist: Object}>}
+ */
+async function updateWatchlist(context, payload) {
+  const { auth } = context;
+  const watchlistId = requireWatchlistId(payload);
+  const { name, symbols, addSymbols, removeSymbols, note } = payload;
+  const changes = { name, symbols, addSymbols, removeSymbols, note };
+
+  console.log(`[watchlistHandlers][updateWatchlist] userId: ${auth.uid}, watchlistId: ${watchlistId}`);
+
+  let watchlist;
+  try {
+    watchlist = await watchlistService.updateWatchlist(auth.uid, watchlistId, changes);
+  } catch (error) {
+    if (error.code) {
+      console.error('[watchlistHandlers][updateWatchlist] Error:', error);
+      throw new HttpsError('internal', 'Error al actualizar la lista');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  if (!watchlist) {
+    throw new HttpsError('not-found', 'La lista no existe');
+  }
+
+  return { success: true, watchlist };
+}
+
+/**
+ * Elimina una lista
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload
+ * @param {string} payload.watchlistId - ID de la lista
+ * @returns {Promise<{success: boolean}>}
+ */
+async function deleteWatchlist(context, payload) {
+  const { auth } = context;
+  const watchlistId = requireWatchlistId(payload);
+
+  console.log(`[watchlistHandlers][deleteWatchlist] userId: ${auth.uid}, watchlistId: ${watchlistId}`);
+
+  let deleted;
+  try {
+    deleted = await watchlistService.deleteWatchlist(auth.uid, watchlistId);
+  } catch (error) {
+    console.error('[watchlistHandlers][deleteWatchlist] Error:', error);
+    throw new HttpsError('internal', 'Error al eliminar la lista');
+  }
+
+  if (!deleted) {
+    throw new HttpsError('not-found', 'La lista no existe');
+  }
+
+  return { success: true };
+}
+
+/**
+ * Listas del usuario
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @returns {Promise<{success: boolean, watchlists: Object[]}>}
+ */
+async function getWatchlists(context) {
+  const { auth } = context;
+
+  console.log(`[watchlistHandlers][getWatchlists] userId: ${auth.uid}`);
+
+  try {
+    const watchlists = await watchlistService.listWatchlists(auth.uid);
+    return { success: true, watchlists };
+  } catch (error) {
+    console.error('[watchlistHandlers][getWatchlists] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener las listas');
+  }
+}
+
+/**
+ * Cotizaciones de una lista: precio, variación del día, distancia al rango
+ * de 52 semanas y últimos titulares
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload
+ * @param {string} payload.watchlistId - ID de la lista
+ * @param {number} [payload.newsLimit] - Noticias por ticker (0-10, default 3)
+ * @returns {Promise<{success: boolean, watchlist: Object, quotes: Object[], newsBySymbol: Object, headlines: Object[]}>}
+ */
+async function getWatchlistQuotes(context, payload) {
+  const { auth } = context;
+  const watchlistId = requireWatchlistId(payload);
+  const { newsLimit } = payload;
+
+  console.log(`[watchlistHandlers][getWatchlistQuotes] userId: ${auth.uid}, watchlistId: ${watchlistId}`);
+
+  if (newsLimit !== undefined && (!Number.isInteger(newsLimit) || newsLimit < 0 || newsLimit > MAX_NEWS_PER_SYMBOL)) {
+    throw new HttpsError('invalid-argument', `newsLimit debe ser un entero entre 0 y ${MAX_NEWS_PER_SYMBOL}`);
+  }
+
+  let result;
+  try {
+    result = await watchlistService.getWatchlistQuotes(auth.uid, watchlistId, { newsLimit });
+  } catch (error) {
+    console.error('[watchlistHandlers][getWatchlistQuotes] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener las cotizaciones de la lista');
+  }
+
+  if (!result) {
+    throw new HttpsError('not-found', 'La lista no existe');
+  }
+
+  return { success: true, ...result };
+}
+
+module.exports = {
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getWatchlists,
+  getWatchlistQuotes,
+};
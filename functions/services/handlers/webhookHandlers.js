@@ -0,0 +1,192 @@
+/**
+ * Webhook Handlers - Endpoints de webhooks salientes del usuario
+ *
+ * Cada usuario administra solo sus endpoints. El secreto HMAC se devuelve
+ * únicamente al crear el endpoint o al rotarlo.
+ *
+ * @module handlers/webhookHandlers
+ * @see services/webhooks
+ */
+
+const { HttpsError } = require("firebase-functions/v2/https");
+const webhookService = require('../webhooks');
+
+/**
+ * Valida el webhookId del payload
+ * @param {Object} payload
+ * @returns {string}
+ */
+function requireWebhookId(payload) {
+  const { webhookId } = payload || {};
+  if (!webhookId || typeof webhookId !== 'string') {
+    throw new HttpsError('invalid-argument', 'webhookId es requerido');
+  }
+  return webhookId;
+}
+
+// ============================================================================
+// WEBHOOK HANDLERS
+// ============================================================================
+
+/**
+ * Registra un endpoint
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - Datos del endpoint
+ * @param {string} payload.url - URL https
+ * @param {string[]} payload.events - transaction.created, asset.sold, dividend.paid,
+ *   performance.computed, consolidation.completed
+ * @param {string} [payload.description] - Descripción
+ * @returns {Promise<{success: boolean, webhook: Object}>} Incluye `secret` (única vez)
+ */
+async function createWebhook(context, payload) {
+  const { auth } = context;
+
+  console.log(`[webhookHandlers][createWebhook] userId: ${auth.uid}`);
+
+  let webhook;
+  try {
+    webhook = await webhookService.createWebhook(auth.uid, payload || {});
+  } catch (error) {
+    if (error.code) {
+      console.error('[webhookHandlers][createWebhook] Error:', error);
+      throw new HttpsError('internal', 'Error al registrar el webhook');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  console.log(`[webhookHandlers][createWebhook] Éxito - id: ${webhook.id}`);
+
+  return { success: true, webhook };
+}
+
+/**
+ * Edita url, eventos, descripción o estado (isActive) de un endpoint
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload - webhookId y campos a cambiar
+ * @param {string} payload.webhookId - ID del endpoint
+ * @returns {Promise<{success: boolean, webhook: Object}>}
+ */
+async function updateWebhook(context, payload) {
+  const { auth } = context;
+  const webhookId = requireWebhookId(payload);
+  const { url, events, description, isActive } = payload;
+  const changes = { url, events, description, isActive };
+
+  console.log(`[webhookHandlers][updateWebhook] userId: ${auth.uid}, webhookId: ${webhookId}`);
+
+  let webhook;
+  try {
+    webhook = await webhookService.updateWebhook(auth.uid, webhookId, changes);
+  } catch (error) {
+    if (error.code) {
+      console.error('[webhookHandlers][updateWebhook] Error:', error);
+      throw new HttpsError('internal', 'Error al actualizar el webhook');
+    }
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  if (!webhook) {
+    throw new HttpsError('not-found', 'El webhook no existe');
+  }
+
+  return { success: true, webhook };
+}
+
+/**
+ * Genera un secreto nuevo; el anterior deja de ser válido de inmediato
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload
+ * @param {string} payload.webhookId - ID del endpoint
+ * @returns {Promise<{success: boolean, secret: string}>}
+ */
+async function rotateWebhookSecret(context, payload) {
+  const { auth } = context;
+  const webhookId = requireWebhookId(payload);
+
+  console.log(`[webhookHandlers][rotateWebhookSecret] userId: ${auth.uid}, webhookId: ${webhookId}`);
+
+  let secret;
+  try {
+    secret = await webhookService.rotateWebhookSecret(auth.uid, webhookId);
+  } catch (error) {
+    console.error('[webhookHandlers][rotateWebhookSecret] Error:', error);
+    throw new HttpsError('internal', 'Error al rotar el secreto del webhook');
+  }
+
+  if (!secret) {
+    throw new HttpsError('not-found', 'El webhook no existe');
+  }
+
+  return { success: true, secret };
+}
+
+/**
+ * Elimina un endpoint
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} payload
+ * @param {string} payload.webhookId - ID del endpoint
+ * @returns {Promise<{success: boolean}>}
+ */
+async function deleteWebhook(context, payload) {
+  const { auth } = context;
+  const webhookId = requireWebhookId(payload);
+
+  console.log(`[webhookHandlers][deleteWebhook] userId: ${auth.uid}, webhookId: ${webhookId}`);
+
+  let deleted;
+  try {
+    deleted = await webhookService.deleteWebhook(auth.uid, webhookId);
+  } catch (error) {
+    console.error('[webhookHandlers][deleteWebhook] Error:', error);
+    throw new HttpsError('internal', 'Error al eliminar el webhook');
+  }
+
+  if (!deleted) {
+    throw new HttpsError('not-found', 'El webhook no existe');
+  }
+
+  return { success: true };
+}
+
+/**
+ * Endpoints del usuario (sin secreto) con el registro de entregas
+ *
+ * @param {Object} context - Contexto de ejecución
+ * @param {Object} [payload]
+ * @param {string} [payload.webhookId] - Entregas de un solo endpoint
+ * @param {number} [payload.limit] - Entregas a devolver (default 50, máx. 200)
+ * @returns {Promise<{success: boolean, webhooks: Object[], deliveries: Object[]}>}
+ */
+async function getWebhooks(context, payload) {
+  const { auth } = context;
+  const { webhookId, limit } = payload || {};
+
+  console.log(`[webhookHandlers][getWebhooks] userId: ${auth.uid}`);
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 200)) {
+    throw new HttpsError('invalid-argument', 'limit debe ser un entero entre 1 y 200');
+  }
+
+  try {
+    const [webhooks, deliveries] = await Promise.all([
+      webhookService.listWebhooks(auth.uid),
+      webhookService.getWebhookDeliveries(auth.uid, { webhookId, limit })
+    ]);
+    return { success: true, webhooks, deliveries };
+  } catch (error) {
+    console.error('[webhookHandlers][getWebhooks] Error:', error);
+    throw new HttpsError('internal', 'Error al obtener los webhooks');
+  }
+}
+
+module.exports = {
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhooks,
+};
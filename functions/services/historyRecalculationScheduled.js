@@ -0,0 +1,47 @@
+/**
+ * Scheduled Function para recálculos de histórico pendientes
+ *
+ * Reintenta los recálculos de portfolioPerformance de ventas retroactivas
+ * que fallaron al registrarse (ver backdatedSellService). Cada registro se
+ * intenta hasta MAX_RECALCULATION_ATTEMPTS veces; después queda en failed
+ * para revisión manual.
+ *
+ * @module historyRecalculationScheduled
+ * @see services/backdatedSellService
+ */
+
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { retryPendingHistoryRecalculations } = require('./backdatedSellService');
+
+/**
+ * Reintenta recálculos de histórico pendientes
+ *
+ * Se ejecuta cada 30 minutos
+ */
+const retryHistoryRecalculations = onSchedule(
+  {
+    schedule: 'every 30 minutes',
+    timeZone: 'America/New_York',
+    memory: '512MiB',
+    timeoutSeconds: 540,
+    retryCount: 0
+  },
+  async (event) => {
+    const startTime = Date.now();
+
+    try {
+      const summary = await retryPendingHistoryRecalculations();
+      if (summary.processed > 0) {
+        console.log(`[retryHistoryRecalculations] Completado`, { ...summary, durationMs: Date.now() - startTime });
+      }
+    } catch (error) {
+      console.error(`[retryHistoryRecalculations] Error:`, error);
+    }
+
+    return null;
+  }
+);
+
+module.exports = {
+  retryHistoryRecalculations
+};
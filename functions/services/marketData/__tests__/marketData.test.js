@@ -0,0 +1,194 @@
+/**
+ * Tests para services/marketData
+ *
+ * Verifica la normalización de respuestas, la prioridad configurable, el
+ * failover entre proveedores (incluidos símbolos faltantes), el salto de
+ * proveedores con el circuito abierto y las estadísticas de salud.
+ *
+ * @module __tests__/services/marketData.test
+ */
+
+const { resetAllCircuits } = require('../../../utils/circuitBreaker');
+const { toNumber, createQuote, normalizeHistory } = require('../normalize');
+const { resolvePriority, createMarketDataService } = require('../marketDataService');
+const { getGoogleCandidates } = require('../providers/googleFinanceProvider');
+const { DATA_TYPES, PROVIDER_CIRCUIT_OPTIONS } = require('../types');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/**
+ * Proveedor falso con cotizaciones fijas
+ * @param {string} id
+ * @param {Object.<string, number>} prices - Precio por símbolo
+ * @param {Object} [overrides]
+ */
+function createFakeProvider(id, prices, overrides = {}) {
+  return {
+    id,
+    supports: [DATA_TYPES.QUOTE, DATA_TYPES.FX, DATA_TYPES.HISTORY],
+    getQuotes: jest.fn(async (symbols) => symbols
+      .filter(symbol => prices[symbol])
+      .map(symbol => createQuote(symbol, id, { price: prices[symbol] }))),
+    getExchangeRates: jest.fn(async (codes) => Object.fromEntries(
+      codes.filter(code => prices[code]).map(code => [code, prices[code]])
+    )),
+    getHistory: jest.fn(async () => []),
+    ...overrides
+  };
+}
+
+const failing = () => jest.fn(async () => {
+  throw new Error('HTTP 503');
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('normalize', () => {
+  it('convierte textos de los scrapers en números', () => {
+    expect(toNumber('1,234.50')).toBe(1234.5);
+    expect(toNumber('+1.23%')).toBe(1.23);
+    expect(toNumber('-0.5%')).toBe(-0.5);
+    expect(toNumber('NaN')).toBeNull();
+    expect(toNumber(undefined)).toBeNull();
+  });
+
+  it('createQuote deriva el cierre anterior y usa null para campos faltantes', () => {
+    expect(createQuote('AAPL', 'yahoo', { price: '190.5', change: '-2.5', name: 'N/A' })).toEqual({
+      symbol: 'AAPL',
+      price: 190.5,
+      change: -2.5,
+      percentChange: null,
+      previousClose: 193,
+      currency: null,
+      name: null,
+      marketState: null,
+      quoteType: null,
+      exchange: null,
+      fullExchangeName: null,
+      provider: 'yahoo'
+    });
+    expect(createQuote('AAPL', 'yahoo', { price: 0 })).toBeNull();
+  });
+
+  it('normalizeHistory acepta objetos indexados por fecha y ordena', () => {
+    const history = normalizeHistory({
+      '2024-03-15': { open: 1, close: '2.5', volume: 100 },
+      '2024-03-14': { close: 2 },
+      '2024-03-13': { close: null }
+    });
+
+    expect(history.map(point => point.date)).toEqual(['2024-03-14', '2024-03-15']);
+    expect(history[1]).toMatchObject({ open: 1, close: 2.5, high: null, volume: 100 });
+  });
+});
+
+describe('resolvePriority', () => {
+  it('usa la prioridad configurada y la sobrescribe por entorno', () => {
+    const priority = { quote: ['a', 'b'] };
+
+    expect(resolvePriority('quote', priority, {})).toEqual(['a', 'b']);
+    expect(resolvePriority('quote', priority, { MARKET_DATA_QUOTE_PROVIDERS: 'b, a' })).toEqual(['b', 'a']);
+    expect(resolvePriority('fx', priority, {})).toEqual(['financeQuery', 'yahoo']);
+  });
+});
+
+describe('getGoogleCandidates', () => {
+  it('traduce sufijos y códigos de bolsa de Yahoo', () => {
+    expect(getGoogleCandidates('VUAA.L')).toEqual([{ ticker: 'VUAA', exchange: 'LON' }]);
+    expect(getGoogleCandidates('AAPL', 'NMS')).toEqual([{ ticker: 'AAPL', exchange: 'NASDAQ' }]);
+    expect(getGoogleCandidates('KO')).toHaveLength(3);
+    expect(getGoogleCandidates('XYZ.ZZ')).toEqual([]);
+  });
+});
+
+describe('createMarketDataService', () => {
+  beforeEach(() => {
+    resetAllCircuits();
+  });
+
+  it('pide al siguiente proveedor solo los símbolos faltantes', async () => {
+    const primary = createFakeProvider('primary', { AAPL: 190 });
+    const secondary = createFakeProvider('secondary', { AAPL: 191, 'VUAA.L': 95 });
+    const service = createMarketDataService({
+      providers: [primary, secondary],
+      priority: { quote: ['primary', 'secondary'] },
+      env: {}
+    });
+
+    const result = await service.getQuotes(['AAPL', 'VUAA.L', 'ZZZ']);
+
+    expect(result.quotes.get('AAPL')).toMatchObject({ price: 190, provider: 'primary' });
+    expect(result.quotes.get('VUAA.L')).toMatchObject({ price: 95, provider: 'secondary' });
+    expect(secondary.getQuotes).toHaveBeenCalledWith(['VUAA.L', 'ZZZ'], {});
+    expect(result.missing).toEqual(['ZZZ']);
+    expect(result.servedBy).toEqual({ primary: 1, secondary: 1 });
+  });
+
+  it('hace failover cuando el proveedor principal falla', async () => {
+    const primary = createFakeProvider('primary', {}, { getExchangeRates: failing() });
+    const secondary = createFakeProvider('secondary', { COP: 3950, EUR: 0.92 });
+    const service = createMarketDataService({
+      providers: [primary, secondary],
+      priority: { fx: ['primary', 'secondary'] },
+      env: {}
+    });
+
+    const result = await service.getExchangeRates(['COP', 'EUR']);
+
+    expect(result).toEqual({ rates: { COP: 3950, EUR: 0.92 }, missing: [], servedBy: { secondary: 2 } });
+    const [primaryHealth] = service.getProviderHealth();
+    expect(primaryHealth).toMatchObject({ provider: 'primary', requests: 1, failures: 1, lastError: 'HTTP 503' });
+  });
+
+  it('omite el proveedor con el circuito abierto y registra la salud', async () => {
+    const primary = createFakeProvider('primary', {}, { getQuotes: failing() });
+    const secondary = createFakeProvider('secondary', { AAPL: 191 });
+    const service = createMarketDataService({
+      providers: [primary, secondary],
+      priority: { quote: ['primary', 'secondary'] },
+      env: {}
+    });
+
+    for (let i = 0; i < PROVIDER_CIRCUIT_OPTIONS.failureThreshold + 2; i++) {
+      await service.getQuotes(['AAPL']);
+    }
+
+    expect(primary.getQuotes).toHaveBeenCalledTimes(PROVIDER_CIRCUIT_OPTIONS.failureThreshold);
+    const [primaryHealth, secondaryHealth] = service.getProviderHealth();
+    expect(primaryHealth).toMatchObject({
+      circuitState: 'OPEN',
+      failures: PROVIDER_CIRCUIT_OPTIONS.failureThreshold,
+      skipped: 2
+    });
+    expect(secondaryHealth).toMatchObject({
+      circuitState: 'CLOSED',
+      successes: PROVIDER_CIRCUIT_OPTIONS.failureThreshold + 2,
+      itemsServed: PROVIDER_CIRCUIT_OPTIONS.failureThreshold + 2,
+      lastError: null
+    });
+    expect(secondaryHealth.avgLatencyMs).not.toBeNull();
+  });
+
+  it('getHistory usa el primer proveedor con datos y respeta supports', async () => {
+    const quotesOnly = createFakeProvider('quotesOnly', {}, { supports: [DATA_TYPES.QUOTE], getHistory: jest.fn() });
+    const empty = createFakeProvider('empty', {});
+    const history = createFakeProvider('history', {}, {
+      getHistory: jest.fn(async () => [{ date: '2024-03-15', close: 10 }])
+    });
+    const service = createMarketDataService({
+      providers: [quotesOnly, empty, history],
+      priority: { history: ['quotesOnly', 'empty', 'history'] },
+      env: {}
+    });
+
+    const result = await service.getHistory('AAPL', { range: '1mo' });
+
+    expect(result).toEqual({ history: [{ date: '2024-03-15', close: 10 }], provider: 'history' });
+    expect(quotesOnly.getHistory).not.toHaveBeenCalled();
+    expect(empty.getHistory).toHaveBeenCalledWith('AAPL', { range: '1mo' });
+  });
+});
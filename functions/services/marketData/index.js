@@ -0,0 +1,31 @@
+/**
+ * Market Data Module Index
+ *
+ * Exporta la capa de proveedores de datos de mercado: cotizaciones, tipos de
+ * cambio e histórico normalizados con failover entre finance-query, Yahoo
+ * Finance y Google Finance.
+ *
+ * @module services/marketData
+ */
+
+const types = require('./types');
+const normalize = require('./normalize');
+const marketDataService = require('./marketDataService');
+const financeQueryProvider = require('./providers/financeQueryProvider');
+const yahooProvider = require('./providers/yahooProvider');
+const googleFinanceProvider = require('./providers/googleFinanceProvider');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...marketDataService,
+
+  // Proveedores y utilidades individuales
+  normalize,
+  financeQueryProvider,
+  yahooProvider,
+  googleFinanceProvider
+};
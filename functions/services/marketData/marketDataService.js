@@ -0,0 +1,276 @@
+/**
+ * Market Data Service
+ *
+ * Punto único para obtener cotizaciones, tipos de cambio e histórico. Recorre
+ * los proveedores en el orden de prioridad del tipo de dato:
+ * - Cada proveedor tiene su CircuitBreaker (utils/circuitBreaker); con el
+ *   circuito abierto el proveedor se omite sin llamarlo
+ * - Si un proveedor falla o no devuelve todos los símbolos, los faltantes se
+ *   piden al siguiente
+ * - Cada llamada actualiza las estadísticas de salud del proveedor
+ *
+ * @module services/marketData/marketDataService
+ * @see SCALE-BE-003 - Circuit Breaker para APIs Externas
+ */
+
+const { getCircuit } = require('../../utils/circuitBreaker');
+const { StructuredLogger } = require('../../utils/logger');
+const financeQueryProvider = require('./providers/financeQueryProvider');
+const yahooProvider = require('./providers/yahooProvider');
+const googleFinanceProvider = require('./providers/googleFinanceProvider');
+const {
+  DATA_TYPES,
+  DEFAULT_PROVIDER_PRIORITY,
+  PRIORITY_ENV_VARS,
+  CIRCUIT_PREFIX,
+  PROVIDER_CIRCUIT_OPTIONS
+} = require('./types');
+
+const logger = new StructuredLogger('marketData');
+
+/** Proveedores registrados por defecto */
+const DEFAULT_PROVIDERS = [financeQueryProvider, yahooProvider, googleFinanceProvider];
+
+/**
+ * Orden de proveedores de un tipo de dato. La variable de entorno (si existe)
+ * reemplaza la prioridad configurada; IDs desconocidos se ignoran.
+ *
+ * @param {string} dataType - Ver DATA_TYPES
+ * @param {Object.<string, string[]>} [priority] - Prioridad configurada
+ * @param {Object} [env=process.env]
+ * @returns {string[]} IDs de proveedor
+ */
+function resolvePriority(dataType, priority = DEFAULT_PROVIDER_PRIORITY, env = process.env) {
+  const fromEnv = env[PRIORITY_ENV_VARS[dataType]];
+  if (fromEnv) {
+    return fromEnv.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  return priority[dataType] || DEFAULT_PROVIDER_PRIORITY[dataType] || [];
+}
+
+/**
+ * Crea un servicio de datos de mercado
+ *
+ * @param {Object} [options]
+ * @param {import('./types').MarketDataProvider[]} [options.providers] - Proveedores disponibles
+ * @param {Object.<string, string[]>} [options.priority] - Prioridad por tipo de dato
+ * @param {Object} [options.env=process.env] - Entorno (sobrescritura de prioridad)
+ * @returns {Object} { getQuotes, getExchangeRates, getHistory, getProviderHealth, resetProviderHealth }
+ */
+function createMarketDataService(options = {}) {
+  const {
+    providers = DEFAULT_PROVIDERS,
+    priority = DEFAULT_PROVIDER_PRIORITY,
+    env = process.env
+  } = options;
+
+  const providersById = new Map(providers.map(provider => [provider.id, provider]));
+  const health = new Map();
+
+  function getStats(providerId) {
+    if (!health.has(providerId)) {
+      health.set(providerId, {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        skipped: 0,
+        itemsServed: 0,
+        totalLatencyMs: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null
+      });
+    }
+    return health.get(providerId);
+  }
+
+  function getProviderCircuit(providerId) {
+    return getCircuit(`${CIRCUIT_PREFIX}${providerId}`, PROVIDER_CIRCUIT_OPTIONS);
+  }
+
+  /**
+   * Proveedores del tipo de dato en orden de prioridad
+   * @param {string} dataType
+   * @returns {import('./types').MarketDataProvider[]}
+   */
+  function getProvidersFor(dataType) {
+    return resolvePriority(dataType, priority, env)
+      .map(id => providersById.get(id))
+      .filter(provider => provider && provider.supports.includes(dataType));
+  }
+
+  /**
+   * Ejecuta una llamada al proveedor dentro de su circuit breaker
+   *
+   * @param {import('./types').MarketDataProvider} provider
+   * @param {function(): Promise<*>} fn - Llamada al proveedor
+   * @returns {Promise<*>} Resultado, o null si el proveedor falló o se omitió
+   */
+  async function callProvider(provider, fn) {
+    const stats = getStats(provider.id);
+    const startedAt = Date.now();
+    let providerError = null;
+
+    try {
+      const result = await getProviderCircuit(provider.id).execute(
+        async () => {
+          try {
+            return await fn();
+          } catch (error) {
+            providerError = error;
+            throw error;
+          }
+        },
+        // Sin respaldo propio: el respaldo es el siguiente proveedor
+        async () => {
+          throw providerError || new Error(`Circuito de ${provider.id} abierto`);
+        }
+      );
+
+      stats.requests++;
+      stats.successes++;
+      stats.totalLatencyMs += Date.now() - startedAt;
+      stats.lastSuccessAt = new Date().toISOString();
+      return result;
+    } catch (error) {
+      if (!providerError) {
+        stats.skipped++;
+        return null;
+      }
+
+      stats.requests++;
+      stats.failures++;
+      stats.lastFailureAt = new Date().toISOString();
+      stats.lastError = error.message;
+      logger.warn('Market data provider failed', { provider: provider.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Cotizaciones de los símbolos con failover entre proveedores
+   *
+   * @param {string[]} symbols
+   * @param {Object} [queryOptions]
+   * @param {Object.<string, string>} [queryOptions.exchanges] - Código de bolsa por símbolo (Google Finance)
+   * @returns {Promise<{quotes: Map<string, import('./types').NormalizedQuote>, missing: string[], servedBy: Object.<string, number>}>}
+   */
+  async function getQuotes(symbols, queryOptions = {}) {
+    const pending = new Set(symbols.filter(Boolean));
+    const quotes = new Map();
+    const servedBy = {};
+
+    for (const provider of getProvidersFor(DATA_TYPES.QUOTE)) {
+      if (pending.size === 0) break;
+
+      const requested = [...pending];
+      const result = await callProvider(provider, () => provider.getQuotes(requested, queryOptions));
+      if (!result) continue;
+
+      result.forEach(quote => {
+        if (!pending.has(quote.symbol)) return;
+        quotes.set(quote.symbol, quote);
+        pending.delete(quote.symbol);
+        servedBy[provider.id] = (servedBy[provider.id] || 0) + 1;
+      });
+      getStats(provider.id).itemsServed += servedBy[provider.id] || 0;
+    }
+
+    if (pending.size > 0) {
+      logger.warn('Quotes missing after all providers', { missing: pending.size, requested: symbols.length });
+    }
+
+    return { quotes, missing: [...pending], servedBy };
+  }
+
+  /**
+   * Tipos de cambio USD→moneda con failover entre proveedores
+   *
+   * @param {string[]} codes - Códigos de moneda
+   * @returns {Promise<{rates: Object.<string, number>, missing: string[], servedBy: Object.<string, number>}>}
+   */
+  async function getExchangeRates(codes) {
+    const pending = new Set(codes.filter(Boolean));
+    const rates = {};
+    const servedBy = {};
+
+    for (const provider of getProvidersFor(DATA_TYPES.FX)) {
+      if (pending.size === 0) break;
+
+      const requested = [...pending];
+      const result = await callProvider(provider, () => provider.getExchangeRates(requested));
+      if (!result) continue;
+
+      Object.entries(result).forEach(([code, rate]) => {
+        if (!pending.has(code) || !(rate > 0)) return;
+        rates[code] = rate;
+        pending.delete(code);
+        servedBy[provider.id] = (servedBy[provider.id] || 0) + 1;
+      });
+      getStats(provider.id).itemsServed += servedBy[provider.id] || 0;
+    }
+
+    return { rates, missing: [...pending], servedBy };
+  }
+
+  /**
+   * Histórico de un símbolo del primer proveedor que devuelva datos
+   *
+   * @param {string} symbol
+   * @param {Object} [queryOptions] - { range, interval }
+   * @returns {Promise<{history: import('./types').HistoryPoint[], provider: string|null}>}
+   */
+  async function getHistory(symbol, queryOptions = {}) {
+    for (const provider of getProvidersFor(DATA_TYPES.HISTORY)) {
+      const result = await callProvider(provider, () => provider.getHistory(symbol, queryOptions));
+      if (result && result.length > 0) {
+        getStats(provider.id).itemsServed += result.length;
+        return { history: result, provider: provider.id };
+      }
+    }
+    return { history: [], provider: null };
+  }
+
+  /**
+   * Estadísticas de salud de los proveedores registrados
+   * @returns {import('./types').ProviderHealth[]}
+   */
+  function getProviderHealth() {
+    return providers.map(provider => {
+      const { totalLatencyMs, ...stats } = getStats(provider.id);
+      return {
+        provider: provider.id,
+        circuitState: getProviderCircuit(provider.id).getState().state,
+        ...stats,
+        avgLatencyMs: stats.successes > 0 ? Math.round(totalLatencyMs / stats.successes) : null
+      };
+    });
+  }
+
+  /** Reinicia las estadísticas (no los circuitos) */
+  function resetProviderHealth() {
+    health.clear();
+  }
+
+  return {
+    getQuotes,
+    getExchangeRates,
+    getHistory,
+    getProviderHealth,
+    resetProviderHealth
+  };
+}
+
+/** Instancia por defecto con los proveedores registrados */
+const defaultService = createMarketDataService();
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  resolvePriority,
+  createMarketDataService,
+  getQuotes: defaultService.getQuotes,
+  getExchangeRates: defaultService.getExchangeRates,
+  getHistory: defaultService.getHistory,
+  getProviderHealth: defaultService.getProviderHealth,
+  resetProviderHealth: defaultService.resetProviderHealth
+};
@@ -0,0 +1,100 @@
+/**
+ * Market Data Normalize
+ *
+ * Conversión de las respuestas de cada proveedor a las formas comunes
+ * (NormalizedQuote, HistoryPoint). Los scrapers devuelven textos como
+ * "1,234.50" o "+1.23%", la API devuelve números.
+ *
+ * @module services/marketData/normalize
+ */
+
+/**
+ * Convierte un valor numérico o texto ("1,234.50", "+1.23%") en número
+ * @param {*} value
+ * @returns {number|null} null si no es un número finito
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number'
+    ? value
+    : parseFloat(String(value).replace(/[,%+\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null} null si está vacío
+ */
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text && text !== 'N/A' ? text : null;
+}
+
+/**
+ * Arma una cotización normalizada
+ *
+ * @param {string} symbol - Ticker solicitado
+ * @param {string} provider - ID del proveedor
+ * @param {Object} fields - Campos crudos (price, change, percentChange, ...)
+ * @returns {import('./types').NormalizedQuote|null} null si no hay precio válido
+ */
+function createQuote(symbol, provider, fields) {
+  const price = toNumber(fields.price);
+  if (!(price > 0)) return null;
+
+  const change = toNumber(fields.change);
+  let previousClose = toNumber(fields.previousClose);
+  if (previousClose === null && change !== null) {
+    previousClose = price - change;
+  }
+
+  return {
+    symbol,
+    price,
+    change,
+    percentChange: toNumber(fields.percentChange),
+    previousClose,
+    currency: toText(fields.currency),
+    name: toText(fields.name),
+    marketState: toText(fields.marketState),
+    quoteType: toText(fields.quoteType),
+    exchange: toText(fields.exchange),
+    fullExchangeName: toText(fields.fullExchangeName),
+    provider
+  };
+}
+
+/**
+ * Normaliza filas de histórico. Acepta un array de filas con `date` o un
+ * objeto indexado por fecha ({ '2024-03-15': { open, close, ... } }).
+ * Descarta filas sin cierre y ordena por fecha ascendente.
+ *
+ * @param {Array<Object>|Object.<string, Object>} rows
+ * @returns {import('./types').HistoryPoint[]}
+ */
+function normalizeHistory(rows) {
+  const entries = Array.isArray(rows)
+    ? rows.map(row => [row.date, row])
+    : Object.entries(rows || {});
+
+  return entries
+    .map(([date, row]) => ({
+      date: String(date),
+      open: toNumber(row.open),
+      high: toNumber(row.high),
+      low: toNumber(row.low),
+      close: toNumber(row.close),
+      adjClose: toNumber(row.adjClose),
+      volume: toNumber(row.volume)
+    }))
+    .filter(point => point.date && point.close !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  toNumber,
+  toText,
+  createQuote,
+  normalizeHistory
+};
@@ -0,0 +1,109 @@
+/**
+ * finance-query Provider
+ *
+ * Cotizaciones y tipos de cambio desde el endpoint `/market-quotes` de la
+ * API finance-query (AWS Lambda), e histórico desde `/historical`.
+ *
+ * @module services/marketData/providers/financeQueryProvider
+ */
+
+const axios = require('axios');
+const { createQuote, normalizeHistory } = require('../normalize');
+const { DATA_TYPES, PROVIDER_IDS } = require('../types');
+
+const API_BASE_URL = 'https://dmn46d7xas3rvio6tugd2vzs2q0hxbmb.lambda-url.us-east-1.on.aws/v1';
+
+/** Símbolos por llamada a /market-quotes */
+const BATCH_SIZE = 100;
+
+/** Timeout por llamada (ms) */
+const REQUEST_TIMEOUT = 20000;
+
+/** Periodos de models/time_series que /historical nombra distinto */
+const RANGE_ALIASES = { '7d': '1mo' };
+
+/**
+ * Consulta /market-quotes por lotes
+ * @param {string[]} symbols - Símbolos ya codificados para la URL
+ * @returns {Promise<Object[]>} Items crudos de la API
+ */
+async function fetchMarketQuotes(symbols) {
+  const items = [];
+  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
+    const symbolsParam = symbols.slice(i, i + BATCH_SIZE).join(',');
+    const { data } = await axios.get(`${API_BASE_URL}/market-quotes?symbols=${symbolsParam}`, {
+      timeout: REQUEST_TIMEOUT
+    });
+    if (!Array.isArray(data)) {
+      throw new Error('Respuesta inesperada de /market-quotes');
+    }
+    items.push(...data);
+  }
+  return items;
+}
+
+/**
+ * @param {string[]} symbols
+ * @returns {Promise<import('../types').NormalizedQuote[]>}
+ */
+async function getQuotes(symbols) {
+  const items = await fetchMarketQuotes(symbols);
+  return items
+    .map(item => createQuote(item.symbol, PROVIDER_IDS.FINANCE_QUERY, {
+      price: item.regularMarketPrice,
+      change: item.regularMarketChange,
+      percentChange: item.regularMarketChangePercent,
+      previousClose: item.regularMarketPreviousClose,
+      currency: item.currency,
+      name: item.shortName || item.longName,
+      marketState: item.marketState,
+      quoteType: item.quoteType,
+      exchange: item.exchange,
+      fullExchangeName: item.fullExchangeName
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * @param {string[]} codes - Códigos de moneda
+ * @returns {Promise<Object.<string, number>>} Unidades de moneda por 1 USD
+ */
+async function getExchangeRates(codes) {
+  // %3DX es "=X" codificado (par USD→moneda en la API)
+  const items = await fetchMarketQuotes(codes.map(code => `${code}%3DX`));
+  const rates = {};
+  items.forEach(item => {
+    const code = String(item.symbol || '').replace('=X', '');
+    if (codes.includes(code) && item.regularMarketPrice > 0) {
+      rates[code] = item.regularMarketPrice;
+    }
+  });
+  return rates;
+}
+
+/**
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {string} [options.range='1Y'] - Periodo (TimePeriod de models/time_series)
+ * @param {string} [options.interval='1d'] - Intervalo (Interval de models/time_series)
+ * @returns {Promise<import('../types').HistoryPoint[]>}
+ */
+async function getHistory(symbol, { range = '1Y', interval = '1d' } = {}) {
+  const apiRange = RANGE_ALIASES[range] || String(range).toLowerCase();
+  const { data } = await axios.get(
+    `${API_BASE_URL}/historical?symbol=${encodeURIComponent(symbol)}&range=${apiRange}&interval=${interval}`,
+    { timeout: REQUEST_TIMEOUT }
+  );
+  if (!data || typeof data !== 'object') {
+    throw new Error('Respuesta inesperada de /historical');
+  }
+  return normalizeHistory(data);
+}
+
+module.exports = {
+  id: PROVIDER_IDS.FINANCE_QUERY,
+  supports: [DATA_TYPES.QUOTE, DATA_TYPES.FX, DATA_TYPES.HISTORY],
+  getQuotes,
+  getExchangeRates,
+  getHistory
+};
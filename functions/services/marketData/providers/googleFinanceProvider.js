@@ -0,0 +1,118 @@
+/**
+ * Google Finance Provider
+ *
+ * Cotizaciones por scraping de la página de Google Finance
+ * (scrapeQuote.scrapeSimpleQuote). Es el último respaldo: consulta un
+ * símbolo por request y necesita la bolsa en formato Google
+ * (`AAPL:NASDAQ`, `VUAA:LON`).
+ *
+ * @module services/marketData/providers/googleFinanceProvider
+ */
+
+const { createQuote } = require('../normalize');
+const { DATA_TYPES, PROVIDER_IDS } = require('../types');
+
+/** Sufijo de Yahoo → bolsa en Google Finance */
+const SUFFIX_EXCHANGES = {
+  L: 'LON',
+  DE: 'ETR',
+  F: 'FRA',
+  PA: 'EPA',
+  AS: 'AMS',
+  MI: 'BIT',
+  MC: 'BME',
+  SW: 'SWX',
+  TO: 'TSE',
+  HK: 'HKG',
+  T: 'TYO',
+  AX: 'ASX',
+  SA: 'BVMF'
+};
+
+/** Código de bolsa de Yahoo (campo `exchange` de currentPrices) → Google Finance */
+const EXCHANGE_CODES = {
+  NMS: 'NASDAQ',
+  NGM: 'NASDAQ',
+  NCM: 'NASDAQ',
+  NYQ: 'NYSE',
+  PCX: 'NYSEARCA',
+  ASE: 'NYSEAMERICAN',
+  BTS: 'BATS'
+};
+
+/** Bolsas a probar para un ticker de EE.UU. sin pista de bolsa */
+const US_EXCHANGES = ['NASDAQ', 'NYSE', 'NYSEARCA'];
+
+/**
+ * Carga el scraper bajo demanda: solo se necesita cuando los demás
+ * proveedores no devolvieron el símbolo.
+ * @returns {{scrapeSimpleQuote: function(string, string): Promise<Object>}}
+ */
+function loadScraper() {
+  return require('../../scrapeQuote');
+}
+
+/**
+ * Candidatos `{ticker, exchange}` de Google Finance para un símbolo de Yahoo
+ *
+ * @param {string} symbol - Símbolo (ej: AAPL, VUAA.L)
+ * @param {string} [exchangeHint] - Código de bolsa de Yahoo (ej: NMS)
+ * @returns {Array<{ticker: string, exchange: string}>}
+ */
+function getGoogleCandidates(symbol, exchangeHint) {
+  const [ticker, suffix] = symbol.split('.');
+  if (suffix) {
+    return SUFFIX_EXCHANGES[suffix] ? [{ ticker, exchange: SUFFIX_EXCHANGES[suffix] }] : [];
+  }
+  if (exchangeHint && EXCHANGE_CODES[exchangeHint]) {
+    return [{ ticker, exchange: EXCHANGE_CODES[exchangeHint] }];
+  }
+  return US_EXCHANGES.map(exchange => ({ ticker, exchange }));
+}
+
+/**
+ * @param {string[]} symbols
+ * @param {Object} [options]
+ * @param {Object.<string, string>} [options.exchanges] - Código de bolsa de Yahoo por símbolo
+ * @returns {Promise<import('../types').NormalizedQuote[]>}
+ * @throws {Error} Si no se pudo obtener ninguna cotización
+ */
+async function getQuotes(symbols, { exchanges = {} } = {}) {
+  const { scrapeSimpleQuote } = loadScraper();
+  const quotes = [];
+  let lastError = null;
+
+  for (const symbol of symbols) {
+    for (const { ticker, exchange } of getGoogleCandidates(symbol, exchanges[symbol])) {
+      try {
+        const scraped = await scrapeSimpleQuote(ticker, exchange);
+        const quote = createQuote(symbol, PROVIDER_IDS.GOOGLE_FINANCE, {
+          price: scraped.current,
+          change: scraped.change,
+          percentChange: scraped.percentChange,
+          currency: scraped.currencyCode,
+          name: scraped.name,
+          fullExchangeName: exchange
+        });
+        if (quote) {
+          quotes.push(quote);
+          break;
+        }
+      } catch (error) {
+        lastError = error;
+      }
+    }
+  }
+
+  if (quotes.length === 0 && lastError) {
+    throw lastError;
+  }
+  return quotes;
+}
+
+module.exports = {
+  id: PROVIDER_IDS.GOOGLE_FINANCE,
+  supports: [DATA_TYPES.QUOTE],
+  getQuotes,
+  getGoogleCandidates
+};
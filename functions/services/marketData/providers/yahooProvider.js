@@ -0,0 +1,130 @@
+/**
+ * Yahoo Finance Provider
+ *
+ * Cotizaciones y tipos de cambio desde el endpoint v7/quote (cookies y crumb
+ * vía Puppeteer, ver services/yahoo/scrapeQuote), e histórico desde el
+ * endpoint v8/chart.
+ *
+ * @module services/marketData/providers/yahooProvider
+ */
+
+const fetch = require('node-fetch');
+const { createQuote, normalizeHistory } = require('../normalize');
+const { DATA_TYPES, PROVIDER_IDS } = require('../types');
+
+/** Símbolos por llamada a v7/quote */
+const BATCH_SIZE = 50;
+
+/** Periodos de models/time_series que Yahoo nombra distinto */
+const RANGE_ALIASES = {
+  '7d': '1mo'
+};
+
+/**
+ * Carga el scraper bajo demanda: Puppeteer solo se inicializa si Yahoo
+ * llega a usarse como respaldo.
+ * @returns {{fetchPriceFromYahooFinance: function(string[]): Promise<Object[]|null>}}
+ */
+function loadScraper() {
+  return require('../../yahoo/scrapeQuote');
+}
+
+/**
+ * Consulta v7/quote por lotes
+ * @param {string[]} symbols
+ * @returns {Promise<Object[]>} Items de fetchPriceFromYahooFinance
+ */
+async function fetchQuotes(symbols) {
+  const { fetchPriceFromYahooFinance } = loadScraper();
+  const items = [];
+  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
+    const result = await fetchPriceFromYahooFinance(symbols.slice(i, i + BATCH_SIZE));
+    if (!Array.isArray(result)) {
+      throw new Error('Yahoo Finance no devolvió cotizaciones');
+    }
+    items.push(...result);
+  }
+  return items;
+}
+
+/**
+ * @param {string[]} symbols
+ * @returns {Promise<import('../types').NormalizedQuote[]>}
+ */
+async function getQuotes(symbols) {
+  const items = await fetchQuotes(symbols);
+  return items
+    .map(item => createQuote(item.symbol, PROVIDER_IDS.YAHOO, {
+      price: item.price,
+      change: item.change,
+      percentChange: item.percentChange,
+      currency: item.currencyCode,
+      name: item.name,
+      fullExchangeName: item.market
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * @param {string[]} codes - Códigos de moneda
+ * @returns {Promise<Object.<string, number>>} Unidades de moneda por 1 USD
+ */
+async function getExchangeRates(codes) {
+  const items = await fetchQuotes(codes.map(code => `${code}=X`));
+  const rates = {};
+  items.forEach(item => {
+    const code = String(item.symbol || '').replace('=X', '');
+    if (codes.includes(code) && item.price > 0) {
+      rates[code] = item.price;
+    }
+  });
+  return rates;
+}
+
+/**
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {string} [options.range='1Y'] - Periodo (TimePeriod de models/time_series)
+ * @param {string} [options.interval='1d'] - Intervalo (Interval de models/time_series)
+ * @returns {Promise<import('../types').HistoryPoint[]>}
+ */
+async function getHistory(symbol, { range = '1Y', interval = '1d' } = {}) {
+  const yahooRange = RANGE_ALIASES[range] || String(range).toLowerCase();
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${yahooRange}&interval=${interval}`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Yahoo chart respondió ${response.status}`);
+  }
+  const data = await response.json();
+  const result = data?.chart?.result?.[0];
+  if (!result) {
+    throw new Error(`Yahoo chart sin datos para ${symbol}`);
+  }
+
+  const timestamps = result.timestamp || [];
+  const quote = result.indicators?.quote?.[0] || {};
+  const adjClose = result.indicators?.adjclose?.[0]?.adjclose || [];
+  const intraday = /^\d+[mh]$/.test(interval);
+
+  return normalizeHistory(timestamps.map((timestamp, index) => {
+    const iso = new Date(timestamp * 1000).toISOString();
+    return {
+      date: intraday ? iso : iso.split('T')[0],
+      open: quote.open?.[index],
+      high: quote.high?.[index],
+      low: quote.low?.[index],
+      close: quote.close?.[index],
+      adjClose: adjClose[index],
+      volume: quote.volume?.[index]
+    };
+  }));
+}
+
+module.exports = {
+  id: PROVIDER_IDS.YAHOO,
+  supports: [DATA_TYPES.QUOTE, DATA_TYPES.FX, DATA_TYPES.HISTORY],
+  getQuotes,
+  getExchangeRates,
+  getHistory
+};
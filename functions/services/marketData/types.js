@@ -0,0 +1,117 @@
+/**
+ * Market Data Types
+ *
+ * Tipos y constantes de la capa de proveedores de datos de mercado. Cada
+ * proveedor (finance-query, Yahoo Finance, Google Finance) devuelve
+ * cotizaciones, tipos de cambio e histórico con la misma forma, y el
+ * servicio los recorre en orden de prioridad hasta completar la consulta.
+ *
+ * @module services/marketData/types
+ */
+
+/**
+ * Cotización normalizada. Los campos que el proveedor no informa quedan en
+ * null (nunca undefined, para poder escribirlos en Firestore).
+ * @typedef {Object} NormalizedQuote
+ * @property {string} symbol - Ticker solicitado
+ * @property {number} price - Precio actual
+ * @property {number|null} change - Variación del día
+ * @property {number|null} percentChange - Variación porcentual del día (1.5 = +1.5%)
+ * @property {number|null} previousClose - Cierre anterior
+ * @property {string|null} currency - Código de moneda de cotización
+ * @property {string|null} name - Nombre del instrumento
+ * @property {string|null} marketState - Estado del mercado (REGULAR, CLOSED, ...)
+ * @property {string|null} quoteType - Tipo (EQUITY, ETF, ...)
+ * @property {string|null} exchange - Código de la bolsa
+ * @property {string|null} fullExchangeName - Nombre de la bolsa
+ * @property {string} provider - ID del proveedor que respondió
+ */
+
+/**
+ * Punto de histórico normalizado
+ * @typedef {Object} HistoryPoint
+ * @property {string} date - Fecha (YYYY-MM-DD) o fecha-hora ISO para intervalos intradía
+ * @property {number|null} open
+ * @property {number|null} high
+ * @property {number|null} low
+ * @property {number} close
+ * @property {number|null} adjClose
+ * @property {number|null} volume
+ */
+
+/**
+ * Proveedor de datos de mercado. Solo implementa los métodos de los tipos
+ * declarados en `supports`; un error (o un payload inválido) se lanza como
+ * excepción para que el servicio pase al siguiente proveedor.
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id - Identificador (ver PROVIDER_IDS)
+ * @property {string[]} supports - Tipos de datos soportados (ver DATA_TYPES)
+ * @property {function(string[], Object=): Promise<NormalizedQuote[]>} [getQuotes]
+ * @property {function(string[]): Promise<Object.<string, number>>} [getExchangeRates] - Unidades de moneda por 1 USD
+ * @property {function(string, Object=): Promise<HistoryPoint[]>} [getHistory]
+ */
+
+/**
+ * Estadísticas de salud de un proveedor (por instancia)
+ * @typedef {Object} ProviderHealth
+ * @property {string} provider - ID del proveedor
+ * @property {string} circuitState - CLOSED, OPEN o HALF_OPEN
+ * @property {number} requests - Llamadas ejecutadas
+ * @property {number} successes - Llamadas exitosas
+ * @property {number} failures - Llamadas fallidas
+ * @property {number} skipped - Llamadas omitidas con el circuito abierto
+ * @property {number} itemsServed - Cotizaciones/tasas/puntos entregados
+ * @property {number|null} avgLatencyMs - Latencia promedio de las llamadas exitosas
+ * @property {string|null} lastSuccessAt - ISO de la última llamada exitosa
+ * @property {string|null} lastFailureAt - ISO de la última falla
+ * @property {string|null} lastError - Mensaje de la última falla
+ */
+
+/** Tipos de datos de mercado */
+const DATA_TYPES = {
+  QUOTE: 'quote',
+  FX: 'fx',
+  HISTORY: 'history'
+};
+
+/** Identificadores de proveedor */
+const PROVIDER_IDS = {
+  FINANCE_QUERY: 'financeQuery',
+  YAHOO: 'yahoo',
+  GOOGLE_FINANCE: 'googleFinance'
+};
+
+/**
+ * Prioridad por defecto de cada tipo de dato. Se puede cambiar por entorno
+ * con una lista separada por comas en PRIORITY_ENV_VARS.
+ */
+const DEFAULT_PROVIDER_PRIORITY = {
+  [DATA_TYPES.QUOTE]: [PROVIDER_IDS.FINANCE_QUERY, PROVIDER_IDS.YAHOO, PROVIDER_IDS.GOOGLE_FINANCE],
+  [DATA_TYPES.FX]: [PROVIDER_IDS.FINANCE_QUERY, PROVIDER_IDS.YAHOO],
+  [DATA_TYPES.HISTORY]: [PROVIDER_IDS.FINANCE_QUERY, PROVIDER_IDS.YAHOO]
+};
+
+/** Variables de entorno que sobrescriben la prioridad (ej: "yahoo,financeQuery") */
+const PRIORITY_ENV_VARS = {
+  [DATA_TYPES.QUOTE]: 'MARKET_DATA_QUOTE_PROVIDERS',
+  [DATA_TYPES.FX]: 'MARKET_DATA_FX_PROVIDERS',
+  [DATA_TYPES.HISTORY]: 'MARKET_DATA_HISTORY_PROVIDERS'
+};
+
+/** Prefijo de los circuit breakers (uno por proveedor) */
+const CIRCUIT_PREFIX = 'market-data-';
+
+/** Configuración de los circuit breakers de proveedores */
+const PROVIDER_CIRCUIT_OPTIONS = {
+  failureThreshold: 3,
+  resetTimeout: 120000
+};
+
+module.exports = {
+  DATA_TYPES,
+  PROVIDER_IDS,
+  DEFAULT_PROVIDER_PRIORITY,
+  PRIORITY_ENV_VARS,
+  CIRCUIT_PREFIX,
+  PROVIDER_CIRCUIT_OPTIONS
+};
@@ -39,6 +39,27 @@ const normalizeNumber = (value) => {
   return parseFloat(value.replace(/[%,+]/g, ''));
 };
 
+const SECTORS_API_URL = 'https://dmn46d7xas3rvio6tugd2vzs2q0hxbmb.lambda-url.us-east-1.on.aws/v1/sectors';
+
+/**
+ * Obtiene el detalle de un sector (capitalización y peso en el mercado).
+ * Un fallo no detiene el snapshot: el sector se guarda sin estos campos.
+ *
+ * @param {string} sectorName - Nombre del sector (ej: "Technology")
+ * @returns {Promise<Object|null>} MarketSectorDetails de la API o null
+ */
+const fetchSectorDetails = async (sectorName) => {
+  try {
+    const response = await axios.get(`${SECTORS_API_URL}/details/${encodeURIComponent(sectorName)}`, {
+      timeout: 15000
+    });
+    return response.data || null;
+  } catch (error) {
+    console.warn(`[saveSectorsSnapshot] Sin detalle para ${sectorName}: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Mapeo de nombres de sectores a nombres ETF estándar
  */
@@ -154,8 +175,9 @@ const saveIndicesHistoryData = onSchedule({
  * Esta función solo mantiene histórico para análisis futuro.
  * 
  * Datos guardados:
- * - sectors/{sectorName}: Datos actuales de rendimiento
- * - sectorsHistory/{date}: Snapshot del día (opcional, para análisis histórico)
+ * - sectors/{sectorName}: Datos actuales de rendimiento, peso en el mercado
+ *   y principales industrias/empresas (leídos por /sectors)
+ * - sectorsHistory/{date}: Snapshot del día con retornos y peso en el mercado
  * 
  * @see docs/architecture/firebase-cost-analysis-detailed.md
  */
@@ -171,9 +193,7 @@ const saveSectorsSnapshot = onSchedule({
   console.log(`[saveSectorsSnapshot] Iniciando captura de sectores - ${formattedDate}`);
 
   try {
-    const response = await axios.get(
-      'https://dmn46d7xas3rvio6tugd2vzs2q0hxbmb.lambda-url.us-east-1.on.aws/v1/sectors'
-    );
+    const response = await axios.get(SECTORS_API_URL);
     const sectors = response.data;
 
     if (!sectors || sectors.length === 0) {
@@ -191,8 +211,11 @@ const saveSectorsSnapshot = onSchedule({
       sectors: {}
     };
 
-    sectors.forEach(sector => {
+    const details = await Promise.all(sectors.map(sector => fetchSectorDetails(sector.sector)));
+
+    sectors.forEach((sector, index) => {
       const etfSectorName = SECTOR_MAPPING[sector.sector] || sector.sector;
+      const detail = details[index] || {};
 
       const sectorData = {
         sector: sector.sector,
@@ -202,6 +225,10 @@ const saveSectorsSnapshot = onSchedule({
         yearReturn: normalizeNumber(sector.yearReturn),
         threeYearReturn: normalizeNumber(sector.threeYearReturn),
         fiveYearReturn: normalizeNumber(sector.fiveYearReturn),
+        marketCap: detail.marketCap || null,
+        marketWeight: detail.marketWeight ? normalizeNumber(String(detail.marketWeight)) : null,
+        industries: detail.industries ?? null,
+        companies: detail.companies ?? null,
         lastUpdated: Date.now()
       };
 
@@ -209,7 +236,11 @@ const saveSectorsSnapshot = onSchedule({
       const sectorDocRef = admin.firestore()
         .collection('sectors')
         .doc(sector.sector);
-      batch.set(sectorDocRef, sectorData, { merge: true });
+      batch.set(sectorDocRef, {
+        ...sectorData,
+        topIndustries: detail.topIndustries || [],
+        topCompanies: detail.topCompanies || []
+      }, { merge: true });
 
       // Agregar al snapshot del día
       dailySnapshot.sectors[sector.sector] = sectorData;
@@ -21,6 +21,7 @@ const { onSchedule } = require("firebase-functions/v2/scheduler");
 const admin = require('./firebaseAdmin');
 const { DateTime } = require('luxon');
 const { consolidatePeriod, CONSOLIDATED_SCHEMA_VERSION } = require('../utils/periodConsolidation');
+const { emitWebhookEvent, summarizeByCurrency, WEBHOOK_EVENTS, CONSOLIDATION_FIELDS } = require('./webhooks');
 
 const db = admin.firestore();
 
@@ -104,6 +105,7 @@ const consolidateMonthlyPerformance = onSchedule(
           const accountsSnapshot = await db.collection(`portfolioPerformance/${userId}/accounts`).get();
           
           // 2c. Consolidar cada cuenta
+          const consolidatedAccounts = {};
           for (const accountDoc of accountsSnapshot.docs) {
             const accountId = accountDoc.id;
             
@@ -111,6 +113,7 @@ const consolidateMonthlyPerformance = onSchedule(
               const accountResult = await consolidateUserMonth(userId, accountId, periodKey, periodStart, periodEnd);
               if (accountResult) {
                 metrics.consolidationsWritten++;
+                consolidatedAccounts[accountId] = summarizeByCurrency(accountResult, CONSOLIDATION_FIELDS);
               }
               metrics.accountsProcessed++;
             } catch (accountError) {
@@ -120,6 +123,18 @@ const consolidateMonthlyPerformance = onSchedule(
             }
           }
           
+          // 2d. Webhook consolidation.completed (solo si hubo datos del mes)
+          if (overallResult) {
+            await emitWebhookEvent(userId, WEBHOOK_EVENTS.CONSOLIDATION_COMPLETED, {
+              periodType: 'month',
+              periodKey,
+              startDate: periodStart,
+              endDate: periodEnd,
+              currencies: summarizeByCurrency(overallResult, CONSOLIDATION_FIELDS),
+              accounts: consolidatedAccounts
+            });
+          }
+          
           metrics.usersProcessed++;
         } catch (userError) {
           console.error(`[consolidateMonthlyPerformance] Error usuario ${userId}:`, userError.message);
@@ -0,0 +1,261 @@
+/**
+ * Tests para services/priceHistory
+ *
+ * Verifica las fechas de cada rango, el merge de velas, la descarga
+ * inicial, el refresh incremental desde la última vela, el cache vigente
+ * y el respaldo con cache cuando el proveedor falla.
+ *
+ * @module __tests__/services/priceHistory.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  const createDocRef = (path) => ({
+    path,
+    get: jest.fn(async () => ({ exists: mockStore.has(path), data: () => mockStore.get(path) })),
+    collection: (name) => createCollection(`${path}/${name}`)
+  });
+  const createCollection = (path) => {
+    const filters = [];
+    const query = {
+      doc: (id) => createDocRef(`${path}/${id}`),
+      where: jest.fn((field, op, value) => {
+        filters.push(data => (op === '>=' ? data[field] >= value : data[field] === value));
+        return query;
+      }),
+      get: jest.fn(async () => ({
+        docs: [...mockStore.entries()]
+          .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .filter(([, data]) => filters.every(filter => filter(data)))
+          .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }))
+      }))
+    };
+    return query;
+  };
+  const firestore = jest.fn(() => ({
+    collection: createCollection,
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push([ref.path, data, options]),
+        commit: async () => writes.forEach(([path, data, options]) => {
+          mockStore.set(path, options?.merge ? { ...mockStore.get(path), ...data } : data);
+        })
+      };
+    }
+  }));
+  return { firestore };
+});
+
+jest.mock('../../marketData', () => ({ getHistory: jest.fn() }));
+
+const {
+  normalizeHistorySymbol,
+  getRangeStartDate,
+  selectRangeSince,
+  mergeCandles,
+  filterCandlesByRange,
+  toTimeSeries
+} = require('../candles');
+const { getPriceHistory, getClosePriceMap } = require('../priceHistoryService');
+const { HistoricalData } = require('../../../models/time_series');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const TODAY = '2024-03-15';
+const NOW = Date.parse('2024-03-15T15:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Vela de prueba
+ * @param {string} date
+ * @param {number} close
+ */
+const candle = (date, close) => ({ date, open: close - 1, high: close + 1, low: close - 2, close, adjClose: close, volume: 1000 });
+
+/** Serie diaria de fin de 2023 a la semana del 11 de marzo de 2024 */
+const INITIAL = [
+  candle('2023-12-28', 100),
+  candle('2023-12-29', 101),
+  candle('2024-01-02', 102),
+  candle('2024-03-11', 110),
+  candle('2024-03-12', 111)
+];
+
+/**
+ * Fuente de histórico de prueba
+ * @param {Array} history
+ * @param {string|null} [provider='financeQuery']
+ */
+const source = (history, provider = 'financeQuery') => jest.fn(async () => ({ history, provider }));
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('candles', () => {
+  it('normaliza pares de divisas al formato de Yahoo', () => {
+    expect(normalizeHistorySymbol('usd/cop')).toBe('COP=X');
+    expect(normalizeHistorySymbol('EUR/COP')).toBe('EURCOP=X');
+    expect(normalizeHistorySymbol(' aapl ')).toBe('AAPL');
+    expect(normalizeHistorySymbol('COP=X')).toBe('COP=X');
+  });
+
+  it('calcula el inicio de cada rango', () => {
+    expect(getRangeStartDate('1Y', TODAY)).toBe('2023-03-15');
+    expect(getRangeStartDate('YTD', TODAY)).toBe('2024-01-01');
+    expect(getRangeStartDate('3mo', '2024-05-31')).toBe('2024-02-29');
+    expect(getRangeStartDate('max', TODAY)).toBe('1900-01-01');
+  });
+
+  it('elige el rango más corto que cubre el hueco', () => {
+    expect(selectRangeSince('2024-03-12', TODAY)).toBe('5d');
+    expect(selectRangeSince('2024-02-01', TODAY)).toBe('3mo');
+    expect(selectRangeSince('2020-01-01', TODAY)).toBe('5Y');
+    expect(selectRangeSince('1990-01-01', TODAY)).toBe('max');
+  });
+
+  it('reemplaza la vela de la misma fecha y ordena', () => {
+    const merged = mergeCandles([candle('2024-03-12', 111), candle('2024-03-11', 110)], [candle('2024-03-12', 112)]);
+    expect(merged.map(c => [c.date, c.close])).toEqual([['2024-03-11', 110], ['2024-03-12', 112]]);
+  });
+
+  it('limita los rangos de sesiones a las últimas velas', () => {
+    const candles = [candle('2024-03-08', 1), candle('2024-03-11', 2), candle('2024-03-14', 3)];
+    expect(filterCandlesByRange(candles, '1d', TODAY)).toEqual([candles[2]]);
+    expect(filterCandlesByRange(candles, '1mo', TODAY)).toHaveLength(3);
+  });
+
+  it('convierte a TimeSeries indexado por fecha', () => {
+    const series = toTimeSeries([candle('2024-03-12', 111)]);
+    expect(series.history['2024-03-12']).toBeInstanceOf(HistoricalData);
+    expect(series.history['2024-03-12']).toEqual({ open: 110, high: 112, low: 109, close: 111, adjClose: 111, volume: 1000 });
+  });
+});
+
+describe('getPriceHistory', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('valida símbolo, rango e intervalo', async () => {
+    expect(await getPriceHistory('', {})).toMatchObject({ success: false, error: 'INVALID_SYMBOL' });
+    expect(await getPriceHistory('AAPL', { range: '2Y' })).toMatchObject({ success: false, error: 'INVALID_RANGE' });
+    expect(await getPriceHistory('AAPL', { interval: '4h' })).toMatchObject({ success: false, error: 'INVALID_INTERVAL' });
+  });
+
+  it('descarga la serie completa y la guarda por año', async () => {
+    const fetchHistory = source(INITIAL);
+
+    const result = await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory });
+
+    expect(fetchHistory).toHaveBeenCalledWith('AAPL', { range: '1Y', interval: '1d' });
+    expect(result).toMatchObject({ success: true, symbol: 'AAPL', source: 'fetch', provider: 'financeQuery', stale: false });
+    expect(result.candles).toHaveLength(5);
+    expect(mockStore.get('priceHistory/AAPL_1d')).toEqual({
+      symbol: 'AAPL',
+      interval: '1d',
+      coverageFrom: '2023-03-15',
+      firstDate: '2023-12-28',
+      lastDate: '2024-03-12',
+      candleCount: 5,
+      refreshedAt: NOW,
+      provider: 'financeQuery'
+    });
+    expect(mockStore.get('priceHistory/AAPL_1d/years/2023').candles).toHaveLength(2);
+    expect(mockStore.get('priceHistory/AAPL_1d/years/2024').candles).toHaveLength(3);
+  });
+
+  it('sirve desde el cache vigente sin consultar al proveedor', async () => {
+    await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory: source(INITIAL) });
+    const fetchHistory = source([]);
+
+    const result = await getPriceHistory('AAPL', { range: 'YTD', today: TODAY, now: NOW + HOUR / 2, fetchHistory });
+
+    expect(fetchHistory).not.toHaveBeenCalled();
+    expect(result.source).toBe('cache');
+    expect(result.candles.map(c => c.date)).toEqual(['2024-01-02', '2024-03-11', '2024-03-12']);
+  });
+
+  it('refresca de forma incremental desde la última vela', async () => {
+    await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory: source(INITIAL) });
+    const fetchHistory = source([candle('2024-03-12', 111.5), candle('2024-03-13', 113), candle('2024-03-14', 114)], 'yahoo');
+
+    const result = await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW + 2 * HOUR, fetchHistory });
+
+    expect(fetchHistory).toHaveBeenCalledWith('AAPL', { range: '5d', interval: '1d' });
+    expect(result).toMatchObject({ source: 'refresh', provider: 'yahoo' });
+    expect(result.candles.map(c => c.close)).toEqual([100, 101, 102, 110, 111.5, 113, 114]);
+    expect(mockStore.get('priceHistory/AAPL_1d')).toMatchObject({ coverageFrom: '2023-03-15', lastDate: '2024-03-14', candleCount: 7, refreshedAt: NOW + 2 * HOUR });
+    expect(mockStore.get('priceHistory/AAPL_1d/years/2023').candles).toHaveLength(2);
+  });
+
+  it('suma las velas nuevas al conteo sin cargar los años anteriores', async () => {
+    await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory: source(INITIAL) });
+    await getPriceHistory('AAPL', { range: 'YTD', today: '2025-01-03', now: NOW + 2 * HOUR, fetchHistory: source([candle('2025-01-02', 120), candle('2025-01-03', 121)]) });
+
+    expect(mockStore.get('priceHistory/AAPL_1d').candleCount).toBe(7);
+  });
+
+  it('descarga de nuevo si el rango empieza antes de lo cubierto', async () => {
+    await getPriceHistory('AAPL', { range: 'YTD', today: TODAY, now: NOW, fetchHistory: source(INITIAL.slice(2)) });
+    const fetchHistory = source(INITIAL);
+
+    const result = await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory });
+
+    expect(fetchHistory).toHaveBeenCalledWith('AAPL', { range: '1Y', interval: '1d' });
+    expect(result.source).toBe('fetch');
+    expect(mockStore.get('priceHistory/AAPL_1d').coverageFrom).toBe('2023-03-15');
+  });
+
+  it('devuelve el cache marcado como stale si el proveedor falla', async () => {
+    await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW, fetchHistory: source(INITIAL) });
+
+    const result = await getPriceHistory('AAPL', { range: '1Y', today: TODAY, now: NOW + 2 * HOUR, fetchHistory: source([], null) });
+
+    expect(result).toMatchObject({ success: true, source: 'cache', stale: true, provider: 'financeQuery' });
+    expect(result.candles).toHaveLength(5);
+    expect(mockStore.get('priceHistory/AAPL_1d').refreshedAt).toBe(NOW);
+  });
+
+  it('informa NO_DATA sin cache ni datos del proveedor', async () => {
+    const result = await getPriceHistory('XXXX', { today: TODAY, now: NOW, fetchHistory: source([], null) });
+    expect(result).toMatchObject({ success: false, error: 'NO_DATA' });
+  });
+
+  it('consulta los intervalos intradía en vivo sin cache', async () => {
+    const fetchHistory = source([{ ...candle('2024-03-15T14:30:00.000Z', 112) }]);
+
+    const result = await getPriceHistory('usd/cop', { range: '1d', interval: '5m', fetchHistory });
+
+    expect(fetchHistory).toHaveBeenCalledWith('COP=X', { range: '1d', interval: '5m' });
+    expect(result).toMatchObject({ symbol: 'COP=X', source: 'live' });
+    expect(mockStore.size).toBe(0);
+  });
+});
+
+describe('getClosePriceMap', () => {
+  beforeEach(() => mockStore.clear());
+
+  it('devuelve los cierres del rango de fechas', async () => {
+    const fetchHistory = source(INITIAL);
+
+    const prices = await getClosePriceMap('AAPL', { startDate: '2023-12-29', endDate: '2024-03-11', today: TODAY, fetchHistory });
+
+    expect(fetchHistory).toHaveBeenCalledWith('AAPL', { range: '3mo', interval: '1d' });
+    expect(prices).toEqual({ '2023-12-29': 101, '2024-01-02': 102, '2024-03-11': 110 });
+  });
+
+  it('rechaza fechas inválidas', async () => {
+    await expect(getClosePriceMap('AAPL', { startDate: '29/12/2023' })).rejects.toThrow('YYYY-MM-DD');
+  });
+});
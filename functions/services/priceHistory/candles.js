@@ -0,0 +1,147 @@
+/**
+ * Candle Utilities
+ *
+ * Funciones puras sobre series de velas: fechas de inicio por rango,
+ * rango del refresh incremental, merge por fecha, partición por año y
+ * conversión al modelo `TimeSeries` de models/time_series.
+ *
+ * @module services/priceHistory/candles
+ */
+
+const { DateTime } = require('luxon');
+const { TimePeriod, HistoricalData, TimeSeries } = require('../../models/time_series');
+const { REFRESH_RANGES, MAX_RANGE_START } = require('./types');
+
+/** Duración de cada rango de calendario (luxon) */
+const RANGE_DURATIONS = {
+  [TimePeriod.SEVEN_DAYS]: { days: 7 },
+  [TimePeriod.ONE_MONTH]: { months: 1 },
+  [TimePeriod.THREE_MONTHS]: { months: 3 },
+  [TimePeriod.SIX_MONTHS]: { months: 6 },
+  [TimePeriod.YEAR]: { years: 1 },
+  [TimePeriod.FIVE_YEARS]: { years: 5 },
+  [TimePeriod.TEN_YEARS]: { years: 10 }
+};
+
+/**
+ * Rangos expresados en sesiones: se devuelven las últimas N velas. El
+ * inicio de calendario se amplía para cubrir fines de semana y feriados.
+ */
+const RANGE_SESSIONS = {
+  [TimePeriod.DAY]: { sessions: 1, days: 5 },
+  [TimePeriod.FIVE_DAYS]: { sessions: 5, days: 9 }
+};
+
+/**
+ * Normaliza un símbolo de la API. Los pares de divisas se aceptan como
+ * `USD/COP` o `EUR/COP` y se convierten al formato de Yahoo (`COP=X`,
+ * `EURCOP=X`); el resto solo pasa a mayúsculas.
+ *
+ * @param {string} symbol
+ * @returns {string}
+ */
+function normalizeHistorySymbol(symbol) {
+  const value = String(symbol || '').trim().toUpperCase();
+  const pair = value.match(/^([A-Z]{3})\/([A-Z]{3})$/);
+  if (!pair) return value;
+  const [, base, quote] = pair;
+  return base === 'USD' ? `${quote}=X` : `${base}${quote}=X`;
+}
+
+/**
+ * Primera fecha de calendario cubierta por un rango
+ *
+ * @param {string} range - TimePeriod
+ * @param {string} today - Fecha de referencia (YYYY-MM-DD)
+ * @returns {string} YYYY-MM-DD
+ */
+function getRangeStartDate(range, today) {
+  const reference = DateTime.fromISO(today, { zone: 'utc' });
+  if (range === TimePeriod.MAX) return MAX_RANGE_START;
+  if (range === TimePeriod.YTD) return reference.startOf('year').toISODate();
+  if (RANGE_SESSIONS[range]) return reference.minus({ days: RANGE_SESSIONS[range].days }).toISODate();
+  return reference.minus(RANGE_DURATIONS[range]).toISODate();
+}
+
+/**
+ * Rango más corto que cubre desde una fecha hasta hoy. Se usa para el
+ * refresh incremental (desde la última vela guardada) y para descargar
+ * un rango de fechas arbitrario.
+ *
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string} TimePeriod
+ */
+function selectRangeSince(fromDate, today) {
+  const days = DateTime.fromISO(today, { zone: 'utc' })
+    .diff(DateTime.fromISO(fromDate, { zone: 'utc' }), 'days').days;
+  const match = REFRESH_RANGES.find(option => option.days >= days);
+  return match ? match.range : TimePeriod.MAX;
+}
+
+/**
+ * Combina dos series por fecha. Una vela nueva reemplaza a la guardada de
+ * la misma fecha (la vela del día en curso cambia hasta el cierre).
+ *
+ * @param {import('./types').Candle[]} existing
+ * @param {import('./types').Candle[]} incoming
+ * @returns {import('./types').Candle[]} Orden ascendente
+ */
+function mergeCandles(existing, incoming) {
+  const byDate = new Map();
+  existing.forEach(candle => byDate.set(candle.date, candle));
+  incoming.forEach(candle => byDate.set(candle.date, candle));
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Velas de un rango
+ *
+ * @param {import('./types').Candle[]} candles - Orden ascendente
+ * @param {string} range - TimePeriod
+ * @param {string} today - YYYY-MM-DD
+ * @returns {import('./types').Candle[]}
+ */
+function filterCandlesByRange(candles, range, today) {
+  const startDate = getRangeStartDate(range, today);
+  const inRange = candles.filter(candle => candle.date >= startDate);
+  return RANGE_SESSIONS[range] ? inRange.slice(-RANGE_SESSIONS[range].sessions) : inRange;
+}
+
+/**
+ * Agrupa velas por año
+ * @param {import('./types').Candle[]} candles
+ * @returns {Map<string, import('./types').Candle[]>} Año (YYYY) → velas
+ */
+function groupCandlesByYear(candles) {
+  const byYear = new Map();
+  candles.forEach(candle => {
+    const year = candle.date.slice(0, 4);
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(candle);
+  });
+  return byYear;
+}
+
+/**
+ * Convierte velas al modelo de models/time_series
+ * @param {import('./types').Candle[]} candles
+ * @returns {TimeSeries} history: fecha → HistoricalData
+ */
+function toTimeSeries(candles) {
+  const history = {};
+  candles.forEach(candle => {
+    history[candle.date] = new HistoricalData(candle);
+  });
+  return new TimeSeries({ history });
+}
+
+module.exports = {
+  normalizeHistorySymbol,
+  getRangeStartDate,
+  selectRangeSince,
+  mergeCandles,
+  filterCandlesByRange,
+  groupCandlesByYear,
+  toTimeSeries
+};
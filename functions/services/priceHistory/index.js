@@ -0,0 +1,27 @@
+/**
+ * Price History Module Index
+ *
+ * Exporta el histórico OHLCV cacheado (`priceHistory`): consulta por rango
+ * e intervalo con refresh incremental y mapa de cierres para backfills.
+ *
+ * @module services/priceHistory
+ */
+
+const types = require('./types');
+const candles = require('./candles');
+const priceHistoryService = require('./priceHistoryService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...priceHistoryService,
+  normalizeHistorySymbol: candles.normalizeHistorySymbol,
+  toTimeSeries: candles.toTimeSeries,
+
+  // Utilidades individuales
+  candles,
+  priceHistoryService
+};
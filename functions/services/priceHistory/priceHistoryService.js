@@ -0,0 +1,272 @@
+/**
+ * Price History Service
+ *
+ * Histórico OHLCV de cualquier ticker o par de divisas con cache en
+ * Firestore (`priceHistory`) por símbolo e intervalo:
+ * - Primera consulta (o un rango anterior a lo ya cubierto): descarga el
+ *   rango completo desde la capa marketData
+ * - Cache vencido: refresh incremental desde la última vela guardada
+ * - Si el proveedor falla se devuelve el cache con `stale: true`
+ *
+ * Lo usan /history y el backfill de rendimiento del portafolio
+ * (getClosePriceMap).
+ *
+ * @module services/priceHistory/priceHistoryService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const marketData = require('../marketData');
+const {
+  normalizeHistorySymbol,
+  getRangeStartDate,
+  selectRangeSince,
+  mergeCandles,
+  filterCandlesByRange,
+  groupCandlesByYear
+} = require('./candles');
+const {
+  PRICE_HISTORY_COLLECTION,
+  PRICE_HISTORY_YEARS_SUBCOLLECTION,
+  VALID_RANGES,
+  VALID_INTERVALS,
+  CACHEABLE_INTERVALS,
+  STALE_AFTER_MS,
+  DEFAULT_RANGE,
+  DEFAULT_INTERVAL
+} = require('./types');
+
+const db = admin.firestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Fecha actual en Nueva York (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getTodayNY() {
+  return DateTime.now().setZone('America/New_York').toISODate();
+}
+
+/**
+ * ID del documento de una serie
+ * @param {string} symbol - Símbolo normalizado
+ * @param {string} interval
+ * @returns {string}
+ */
+function getSeriesId(symbol, interval) {
+  return `${symbol.replace(/\//g, '-')}_${interval}`;
+}
+
+/**
+ * Carga las velas guardadas desde un año
+ * @param {FirebaseFirestore.DocumentReference} seriesRef
+ * @param {number} fromYear
+ * @returns {Promise<import('./types').Candle[]>} Orden ascendente
+ */
+async function loadCandles(seriesRef, fromYear) {
+  const snapshot = await seriesRef
+    .collection(PRICE_HISTORY_YEARS_SUBCOLLECTION)
+    .where('year', '>=', fromYear)
+    .get();
+
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.year - b.year)
+    .flatMap(chunk => chunk.candles || []);
+}
+
+/**
+ * Velas de la serie después del merge. Si se cargaron todos los años,
+ * `merged` es la serie completa; si no, se suman las fechas nuevas al
+ * conteo guardado (los años no cargados no cambian).
+ *
+ * @param {import('./types').PriceHistoryDoc|null} series
+ * @param {string} fromDate - Desde dónde se cargaron las velas guardadas
+ * @param {import('./types').Candle[]} stored - Velas cargadas
+ * @param {import('./types').Candle[]} merged - Velas cargadas + descargadas
+ * @returns {number|null} null si la serie no tiene conteo y no se cargó completa
+ */
+function countCandles(series, fromDate, stored, merged) {
+  if (!series || fromDate.slice(0, 4) <= series.firstDate.slice(0, 4)) {
+    return merged.length;
+  }
+  if (typeof series.candleCount !== 'number') {
+    return null;
+  }
+  return series.candleCount + merged.length - stored.length;
+}
+
+/**
+ * Guarda los años afectados por una descarga y actualiza la serie
+ *
+ * @param {FirebaseFirestore.DocumentReference} seriesRef
+ * @param {import('./types').Candle[]} merged - Velas cargadas + descargadas
+ * @param {import('./types').Candle[]} incoming - Velas descargadas
+ * @param {Object} metadata - Campos de PriceHistoryDoc
+ */
+async function saveCandles(seriesRef, merged, incoming, metadata) {
+  const touchedYears = new Set(incoming.map(candle => candle.date.slice(0, 4)));
+  const batch = db.batch();
+
+  groupCandlesByYear(merged).forEach((candles, year) => {
+    if (!touchedYears.has(year)) return;
+    batch.set(seriesRef.collection(PRICE_HISTORY_YEARS_SUBCOLLECTION).doc(year), {
+      year: Number(year),
+      candles
+    });
+  });
+  batch.set(seriesRef, metadata, { merge: true });
+
+  await batch.commit();
+}
+
+// ============================================================================
+// CONSULTA
+// ============================================================================
+
+/**
+ * Histórico OHLCV de un símbolo
+ *
+ * @param {string} symbol - Ticker (AAPL, VUAA.L, ^GSPC) o par (USD/COP, EUR/COP, COP=X)
+ * @param {Object} [options]
+ * @param {string} [options.range='1Y'] - TimePeriod de models/time_series
+ * @param {string} [options.interval='1d'] - Interval de models/time_series
+ * @param {boolean} [options.forceRefresh=false] - Ignora la antigüedad del cache
+ * @param {string} [options.today] - Fecha de referencia (default: hoy NY)
+ * @param {number} [options.now] - Hora actual en ms (tests)
+ * @param {function(string, Object): Promise<{history: Array, provider: string|null}>} [options.fetchHistory] - Fuente (tests)
+ * @returns {Promise<import('./types').PriceHistoryResult|{success: false, error: string, message: string}>}
+ */
+async function getPriceHistory(symbol, options = {}) {
+  const {
+    range = DEFAULT_RANGE,
+    interval = DEFAULT_INTERVAL,
+    forceRefresh = false,
+    today = getTodayNY(),
+    now = Date.now(),
+    fetchHistory = marketData.getHistory
+  } = options;
+
+  const normalizedSymbol = normalizeHistorySymbol(symbol);
+  if (!normalizedSymbol) {
+    return { success: false, error: 'INVALID_SYMBOL', message: 'symbol es requerido' };
+  }
+  if (!VALID_RANGES.includes(range)) {
+    return { success: false, error: 'INVALID_RANGE', message: `range debe ser uno de: ${VALID_RANGES.join(', ')}` };
+  }
+  if (!VALID_INTERVALS.includes(interval)) {
+    return { success: false, error: 'INVALID_INTERVAL', message: `interval debe ser uno de: ${VALID_INTERVALS.join(', ')}` };
+  }
+
+  const result = { success: true, symbol: normalizedSymbol, range, interval };
+  const noData = {
+    success: false,
+    error: 'NO_DATA',
+    message: `No se encontró histórico para ${normalizedSymbol} (${range}, ${interval})`
+  };
+
+  // Intradía: sin cache
+  if (!CACHEABLE_INTERVALS.includes(interval)) {
+    const { history, provider } = await fetchHistory(normalizedSymbol, { range, interval });
+    if (history.length === 0) return noData;
+    return { ...result, candles: history, source: 'live', provider, stale: false };
+  }
+
+  const seriesRef = db.collection(PRICE_HISTORY_COLLECTION).doc(getSeriesId(normalizedSymbol, interval));
+  const seriesDoc = await seriesRef.get();
+  const series = seriesDoc.exists ? seriesDoc.data() : null;
+  const startDate = getRangeStartDate(range, today);
+
+  // 1. Qué descargar: rango completo, incremental o nada
+  let source = 'cache';
+  let fetchRange = null;
+  if (!series || series.coverageFrom > startDate) {
+    source = 'fetch';
+    fetchRange = range;
+  } else if (forceRefresh || now - (series.refreshedAt || 0) > STALE_AFTER_MS[interval]) {
+    source = 'refresh';
+    fetchRange = selectRangeSince(series.lastDate, today);
+  }
+
+  // 2. Velas guardadas (desde el año del rango o de la última vela)
+  const fromDate = series && series.lastDate < startDate ? series.lastDate : startDate;
+  const stored = series ? await loadCandles(seriesRef, Number(fromDate.slice(0, 4))) : [];
+
+  if (!fetchRange) {
+    return { ...result, candles: filterCandlesByRange(stored, range, today), source, provider: series.provider, stale: false };
+  }
+
+  // 3. Descarga y merge
+  const { history: incoming, provider } = await fetchHistory(normalizedSymbol, { range: fetchRange, interval });
+
+  if (incoming.length === 0) {
+    if (!series) return noData;
+    console.warn(`[priceHistoryService] Sin datos del proveedor para ${normalizedSymbol} (${fetchRange}), usando cache`);
+    return { ...result, candles: filterCandlesByRange(stored, range, today), source: 'cache', provider: series.provider, stale: true };
+  }
+
+  const merged = mergeCandles(stored, incoming);
+  const firstDate = merged[0].date;
+  const lastDate = merged[merged.length - 1].date;
+  const candleCount = countCandles(series, fromDate, stored, merged);
+
+  await saveCandles(seriesRef, merged, incoming, {
+    symbol: normalizedSymbol,
+    interval,
+    coverageFrom: series && series.coverageFrom < startDate ? series.coverageFrom : startDate,
+    firstDate: series && series.firstDate < firstDate ? series.firstDate : firstDate,
+    lastDate: series && series.lastDate > lastDate ? series.lastDate : lastDate,
+    ...(candleCount !== null && { candleCount }),
+    refreshedAt: now,
+    provider
+  });
+
+  return { ...result, candles: filterCandlesByRange(merged, range, today), source, provider, stale: false };
+}
+
+/**
+ * Precios de cierre diarios de un símbolo entre dos fechas. Elige el rango
+ * más corto que cubre `startDate` y reutiliza el cache de priceHistory.
+ *
+ * @param {string} symbol
+ * @param {Object} options
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} [options.endDate] - YYYY-MM-DD (default: hoy NY)
+ * @param {string} [options.today] - Fecha de referencia (default: hoy NY)
+ * @param {function(string, Object): Promise<{history: Array, provider: string|null}>} [options.fetchHistory] - Fuente (tests)
+ * @returns {Promise<Object.<string, number>>} Fecha → cierre (vacío si no hay datos)
+ */
+async function getClosePriceMap(symbol, options = {}) {
+  const { startDate, today = getTodayNY(), endDate = today, fetchHistory } = options;
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+    throw new Error('startDate y endDate deben tener formato YYYY-MM-DD');
+  }
+
+  const result = await getPriceHistory(symbol, {
+    range: selectRangeSince(startDate, today),
+    interval: DEFAULT_INTERVAL,
+    today,
+    fetchHistory
+  });
+  if (!result.success) return {};
+
+  const prices = {};
+  result.candles.forEach(candle => {
+    if (candle.date >= startDate && candle.date <= endDate) {
+      prices[candle.date] = candle.close;
+    }
+  });
+  return prices;
+}
+
+module.exports = {
+  getPriceHistory,
+  getClosePriceMap,
+  getSeriesId
+};
@@ -0,0 +1,105 @@
+/**
+ * Price History Types
+ *
+ * Tipos y constantes del histórico OHLCV cacheado (`priceHistory`).
+ * Cada serie (símbolo + intervalo) tiene un documento con su cobertura y
+ * una subcolección `years` con las velas de cada año, para no acercarse al
+ * límite de 1 MiB por documento en series diarias largas.
+ *
+ * @module services/priceHistory/types
+ */
+
+const { TimePeriod, Interval } = require('../../models/time_series');
+
+/**
+ * Vela OHLCV (ver HistoryPoint en services/marketData/types)
+ * @typedef {import('../marketData/types').HistoryPoint} Candle
+ */
+
+/**
+ * Documento de una serie en priceHistory (ID = `${symbol}_${interval}`)
+ * @typedef {Object} PriceHistoryDoc
+ * @property {string} symbol - Símbolo normalizado (ej: AAPL, COP=X)
+ * @property {string} interval - Intervalo (Interval de models/time_series)
+ * @property {string} coverageFrom - Inicio del rango ya descargado (YYYY-MM-DD)
+ * @property {string} firstDate - Fecha de la primera vela guardada
+ * @property {string} lastDate - Fecha de la última vela guardada
+ * @property {number} [candleCount] - Velas guardadas en todos los años (ausente en series previas hasta que se carguen completas)
+ * @property {number} refreshedAt - Última consulta al proveedor (ms epoch)
+ * @property {string} provider - Proveedor de la última descarga
+ */
+
+/**
+ * Resultado de getPriceHistory
+ * @typedef {Object} PriceHistoryResult
+ * @property {boolean} success
+ * @property {string} symbol - Símbolo normalizado
+ * @property {string} range
+ * @property {string} interval
+ * @property {Candle[]} candles - Velas del rango, orden ascendente
+ * @property {string} source - cache | refresh | fetch | live
+ * @property {string|null} provider - Proveedor de la última descarga
+ * @property {boolean} stale - true si el proveedor falló y se devolvió el cache
+ */
+
+/** Colección de series */
+const PRICE_HISTORY_COLLECTION = 'priceHistory';
+
+/** Subcolección con las velas de cada año (ID = año) */
+const PRICE_HISTORY_YEARS_SUBCOLLECTION = 'years';
+
+/** Rangos válidos */
+const VALID_RANGES = Object.values(TimePeriod);
+
+/** Intervalos válidos */
+const VALID_INTERVALS = Object.values(Interval);
+
+/**
+ * Intervalos que se cachean. Las velas intradía cambian durante la sesión
+ * y los proveedores solo las sirven para pocos días: se consultan en vivo.
+ */
+const CACHEABLE_INTERVALS = [Interval.DAILY, Interval.WEEKLY, Interval.MONTHLY, Interval.QUARTERLY];
+
+/**
+ * Antigüedad máxima del cache por intervalo antes de un refresh
+ * incremental (ms). La vela del periodo en curso cambia hasta el cierre.
+ */
+const STALE_AFTER_MS = {
+  [Interval.DAILY]: 60 * 60 * 1000,
+  [Interval.WEEKLY]: 6 * 60 * 60 * 1000,
+  [Interval.MONTHLY]: 12 * 60 * 60 * 1000,
+  [Interval.QUARTERLY]: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Rangos usados para el refresh incremental con los días de calendario
+ * que cubren, de menor a mayor
+ */
+const REFRESH_RANGES = [
+  { range: TimePeriod.FIVE_DAYS, days: 7 },
+  { range: TimePeriod.ONE_MONTH, days: 28 },
+  { range: TimePeriod.THREE_MONTHS, days: 89 },
+  { range: TimePeriod.SIX_MONTHS, days: 181 },
+  { range: TimePeriod.YEAR, days: 365 },
+  { range: TimePeriod.FIVE_YEARS, days: 1826 },
+  { range: TimePeriod.TEN_YEARS, days: 3652 }
+];
+
+/** Inicio de cobertura de TimePeriod.MAX */
+const MAX_RANGE_START = '1900-01-01';
+
+const DEFAULT_RANGE = TimePeriod.YEAR;
+const DEFAULT_INTERVAL = Interval.DAILY;
+
+module.exports = {
+  PRICE_HISTORY_COLLECTION,
+  PRICE_HISTORY_YEARS_SUBCOLLECTION,
+  VALID_RANGES,
+  VALID_INTERVALS,
+  CACHEABLE_INTERVALS,
+  STALE_AFTER_MS,
+  REFRESH_RANGES,
+  MAX_RANGE_START,
+  DEFAULT_RANGE,
+  DEFAULT_INTERVAL
+};
@@ -2,6 +2,13 @@ const { onSchedule } = require("firebase-functions/v2/scheduler");
 const admin = require('firebase-admin');
 const { DateTime } = require('luxon');
 const { scrapeDividendsInfoFromStockEvents } = require('./scrapeDividendsInfoFromStock');
+const { addPurchaseToBatch } = require('./handlers/assetHandlers');
+const {
+  DRIP_SOURCE,
+  shouldReinvestDividends,
+  buildReinvestmentPurchase
+} = require('./dividendReinvestment');
+const { emitWebhookEvent, buildTransactionData, WEBHOOK_EVENTS } = require('./webhooks');
 
 exports.processDividendPayments = onSchedule({
   schedule: '0 7,18 * * *',  // Ejecutar a las 7:00 AM y 6:00 PM todos los días
@@ -111,19 +118,23 @@ exports.processDividendPayments = onSchedule({
           symbol: asset.name,
           assetType: asset.assetType,
           currency: asset.currency,
+          market: asset.market,
           defaultCurrencyForAdquisitionDollar: asset.defaultCurrencyForAdquisitionDollar,
           dividend: matchingDividend,
           units: 0,
-          relatedAssets: []
+          relatedAssets: [],
+          lots: []
         };
       }
 
       portfolioSymbolAssets[key].units += parseFloat(asset.units || 0);
       portfolioSymbolAssets[key].relatedAssets.push(asset.id);
+      portfolioSymbolAssets[key].lots.push(asset);
     }
 
     const batch = db.batch();
     let transactionsCreated = 0;
+    const paidDividends = [];
     
     // Mapa para acumular los dividendos por cuenta y moneda
     const portfolioAccountUpdates = {};
@@ -189,10 +200,40 @@ exports.processDividendPayments = onSchedule({
         grossAmount: grossAmount
       };
 
+      // DRIP: comprar unidades fraccionarias al precio del día en lugar de acreditar el efectivo
+      if (shouldReinvestDividends(portfolioAccountData, portfolioSymbolData.lots)) {
+        const purchaseData = buildReinvestmentPurchase({
+          group: portfolioSymbolData,
+          priceDoc: portfolioSymbolData.dividend,
+          netAmount,
+          date: formattedDate,
+          currencies
+        });
+
+        if (purchaseData) {
+          const purchase = addPurchaseToBatch(batch, purchaseData, portfolioSymbolData.userId, {
+            source: DRIP_SOURCE,
+            dividendTransactionId: transactionRef.id
+          });
+          transaction.reinvested = true;
+          transaction.reinvestmentAssetId = purchase.assetRef.id;
+          transaction.reinvestmentTransactionId = purchase.transactionRef.id;
+        } else {
+          console.log(`Sin precio válido para reinvertir ${portfolioSymbolData.symbol} en cuenta ${portfolioSymbolData.portfolioAccountId}, se acredita en efectivo`);
+        }
+      }
+
       batch.set(transactionRef, transaction);
       transactionsCreated++;
+      paidDividends.push(transaction);
 
       console.log(`Creada transacción de dividendo para ${portfolioSymbolData.symbol} en cuenta ${portfolioSymbolData.portfolioAccountId}, unidades totales: ${totalUnits}, monto bruto: ${grossAmount.toFixed(4)}, impuestos deducidos: ${taxDeductionAmount.toFixed(4)} (${taxDeductionPercentage}%), monto neto: ${netAmount.toFixed(4)} ${transaction.currency}`);
+
+      // El dividendo reinvertido se gasta completo en la compra: el balance no cambia
+      if (transaction.reinvested) {
+        console.log(`Dividendo reinvertido en ${transaction.reinvestmentAssetId} (transacción ${transaction.reinvestmentTransactionId})`);
+        continue;
+      }
       
       // Acumular los montos de dividendos por cuenta y moneda (usar monto neto)
       const accountKey = portfolioSymbolData.portfolioAccountId;
@@ -237,6 +278,14 @@ exports.processDividendPayments = onSchedule({
     if (transactionsCreated > 0) {
       await batch.commit();
       console.log(`${transactionsCreated} transacciones de dividendos procesadas exitosamente y balances actualizados`);
+
+      // Webhooks dividend.paid (después del commit; un endpoint caído no afecta el pago)
+      for (const transaction of paidDividends) {
+        await emitWebhookEvent(transaction.userId, WEBHOOK_EVENTS.DIVIDEND_PAID, {
+          ...buildTransactionData(transaction.id, transaction),
+          reinvestmentTransactionId: transaction.reinvestmentTransactionId || null
+        });
+      }
     } else {
       console.log('No se crearon transacciones de dividendos');
     }
@@ -0,0 +1,242 @@
+/**
+ * Tests para services/rebalancing
+ *
+ * Verifica la validación de la asignación objetivo, el desvío por grupo,
+ * las órdenes de venta (con selección de lotes para minimizar ganancias),
+ * las compras limitadas por el efectivo de cada cuenta y el servicio con
+ * Firestore.
+ *
+ * @module __tests__/services/rebalancing.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  const createDocRef = (path) => ({
+    get: jest.fn(async () => ({ id: path.split('/').pop(), exists: mockStore.has(path), data: () => mockStore.get(path) })),
+    set: jest.fn(async (data) => mockStore.set(path, data)),
+    delete: jest.fn(async () => mockStore.delete(path))
+  });
+  const OPERATORS = {
+    '==': (a, b) => a === b,
+    'in': (a, b) => b.includes(a)
+  };
+  const createCollection = (path, filters = []) => ({
+    doc: (id) => createDocRef(`${path}/${id}`),
+    where: (field, op, value) => createCollection(path, [...filters, data => OPERATORS[op](data[field], value)]),
+    get: jest.fn(async () => ({
+      docs: [...mockStore.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`))
+        .filter(([, data]) => filters.every(filter => filter(data)))
+        .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }))
+    }))
+  });
+  const firestore = jest.fn(() => ({ collection: (name) => createCollection(name) }));
+  firestore.FieldValue = { serverTimestamp: () => 'SERVER_TIMESTAMP' };
+  return { firestore };
+});
+
+const {
+  validateTargetAllocation,
+  calculateDrift,
+  buildHoldings,
+  buildRebalancePlan
+} = require('../planner');
+const {
+  setTargetAllocation,
+  listTargetAllocations,
+  deleteTargetAllocation,
+  getRebalancePlan
+} = require('../rebalanceService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const RATES = new Map([['USD', 1], ['COP', 4000]]);
+
+const PRICES = new Map([
+  ['AAPL', { symbol: 'AAPL', price: 100, currency: 'USD', sector: 'Technology', country: 'United States' }],
+  ['MSFT', { symbol: 'MSFT', price: 200, currency: 'USD', sector: 'Technology', country: 'United States' }],
+  ['KO', { symbol: 'KO', price: 50, currency: 'USD', sector: 'Consumer Defensive', country: 'United States' }],
+  ['ECOPETROL', { symbol: 'ECOPETROL', price: 2000, currency: 'COP', sector: 'Energy', country: 'Colombia' }]
+]);
+
+/** AAPL: 10 unidades en dos lotes (uno con ganancia y otro con pérdida); MSFT: 5 unidades */
+const ASSETS = [
+  { id: 'a1', name: 'AAPL', units: 5, unitValue: 80, acquisitionDate: '2023-01-10', portfolioAccount: 'acc1', assetType: 'stock' },
+  { id: 'a2', name: 'AAPL', units: 5, unitValue: 120, acquisitionDate: '2023-06-10', portfolioAccount: 'acc1', assetType: 'stock' },
+  { id: 'm1', name: 'MSFT', units: 5, unitValue: 150, acquisitionDate: '2023-02-10', portfolioAccount: 'acc1', assetType: 'stock' }
+];
+
+/**
+ * @param {Object} balances - Saldos de acc1
+ * @returns {Map<string, Object>}
+ */
+const singleAccount = (balances) => new Map([['acc1', { id: 'acc1', balances }]]);
+
+/**
+ * @param {string} dimension
+ * @param {Array<[string, number]>} targets
+ * @param {number} [driftThreshold]
+ */
+const allocation = (dimension, targets, driftThreshold = 1) => validateTargetAllocation({
+  dimension,
+  targets: targets.map(([key, weight]) => ({ key, weight })),
+  driftThreshold
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('validateTargetAllocation', () => {
+  it('normaliza los tickers y deja el resto de 100 para el efectivo', () => {
+    expect(validateTargetAllocation({ dimension: 'asset', targets: [{ key: ' aapl ', weight: 60 }, { key: 'msft', weight: 30 }] }))
+      .toEqual({ accountId: null, dimension: 'asset', targets: [{ key: 'AAPL', weight: 60 }, { key: 'MSFT', weight: 30 }], driftThreshold: 1 });
+  });
+
+  it('rechaza pesos que superan 100, grupos repetidos y el grupo CASH', () => {
+    expect(() => allocation('sector', [['Technology', 70], ['Energy', 40]])).toThrow('suman 110%');
+    expect(() => allocation('sector', [['Technology', 50], ['technology', 10]])).toThrow('repetido');
+    expect(() => allocation('assetType', [['cash', 10]])).toThrow('CASH');
+    expect(() => allocation('industry', [['Banks', 10]])).toThrow('dimension');
+    expect(() => allocation('asset', [['AAPL', 0]])).toThrow('peso');
+  });
+});
+
+describe('calculateDrift', () => {
+  it('compara el peso actual de cada grupo con el objetivo', () => {
+    const { holdings } = buildHoldings(ASSETS, PRICES, RATES, 'asset', 'USD');
+    const buckets = calculateDrift(holdings, 1000, allocation('asset', [['AAPL', 50], ['MSFT', 50]]));
+
+    expect(buckets.find(b => b.key === 'AAPL')).toMatchObject({
+      targetWeight: 50, currentWeight: 33.33, drift: -16.67, currentValue: 1000, targetValue: 1500, difference: 500, needsRebalance: true
+    });
+    expect(buckets.find(b => b.key === 'CASH')).toMatchObject({ targetWeight: 0, currentWeight: 33.33, difference: -1000 });
+  });
+
+  it('convierte las tenencias a la moneda del plan', () => {
+    const { holdings } = buildHoldings(
+      [{ id: 'e1', name: 'ECOPETROL', units: 1000, unitValue: 1800, portfolioAccount: 'acc1' }], PRICES, RATES, 'country', 'USD'
+    );
+    expect(holdings[0]).toMatchObject({ bucket: 'Colombia', currency: 'COP', priceBase: 0.5, valueBase: 500 });
+  });
+});
+
+describe('buildRebalancePlan', () => {
+  it('compra lo que falta con el efectivo disponible, en unidades enteras o fraccionarias', () => {
+    const input = { assets: ASSETS, prices: PRICES, accounts: singleAccount({ USD: 1000 }), rates: RATES, allocation: allocation('asset', [['AAPL', 50], ['MSFT', 50]]) };
+
+    const whole = buildRebalancePlan(input);
+    expect(whole.orders).toEqual([
+      expect.objectContaining({ action: 'buy', symbol: 'AAPL', accountId: 'acc1', units: 5, estimatedValue: 500, limitedByCash: false }),
+      expect.objectContaining({ action: 'buy', symbol: 'MSFT', accountId: 'acc1', units: 2, estimatedValue: 400 })
+    ]);
+    expect(whole.summary).toMatchObject({ totalValue: 3000, cashValue: 1000, buyValue: 900, sellValue: 0, cashAfter: { acc1: { USD: 100 } } });
+
+    const fractional = buildRebalancePlan(input, { fractional: true });
+    expect(fractional.orders[1]).toMatchObject({ symbol: 'MSFT', units: 2.5 });
+    expect(fractional.summary.cashAfter.acc1.USD).toBe(0);
+    expect(fractional.summary.projectedMaxDrift).toBe(0);
+  });
+
+  it('vende primero los lotes con pérdida cuando se pide minimizar ganancias', () => {
+    const input = { assets: ASSETS, prices: PRICES, accounts: singleAccount({ USD: 1000 }), rates: RATES, allocation: allocation('asset', [['AAPL', 20], ['MSFT', 80]]) };
+
+    const fifo = buildRebalancePlan(input);
+    expect(fifo.orders[0]).toMatchObject({
+      action: 'sell', symbol: 'AAPL', units: 4, costBasisMethod: 'FIFO', lots: [{ assetId: 'a1', units: 4 }], estimatedRealizedPnL: 80
+    });
+
+    const taxAware = buildRebalancePlan(input, { minimizeGains: true });
+    expect(taxAware.orders[0]).toMatchObject({
+      action: 'sell', symbol: 'AAPL', units: 4, costBasisMethod: 'HIFO', lots: [{ assetId: 'a2', units: 4 }], estimatedRealizedPnL: -80
+    });
+    // El producto de la venta financia la compra
+    expect(taxAware.orders[1]).toMatchObject({ action: 'buy', symbol: 'MSFT', units: 7, limitedByCash: false });
+    expect(taxAware.summary).toMatchObject({ sellValue: 400, buyValue: 1400, estimatedRealizedPnL: -80, cashAfter: { acc1: { USD: 0 } } });
+  });
+
+  it('dentro de un grupo prefiere vender la tenencia con pérdida de otra cuenta', () => {
+    const assets = [
+      { id: 'a1', name: 'AAPL', units: 10, unitValue: 50, acquisitionDate: '2023-01-10', portfolioAccount: 'acc1' },
+      { id: 'm1', name: 'MSFT', units: 5, unitValue: 250, acquisitionDate: '2023-01-10', portfolioAccount: 'acc2' },
+      { id: 'k1', name: 'KO', units: 20, unitValue: 50, acquisitionDate: '2023-01-10', portfolioAccount: 'acc2' }
+    ];
+    const accounts = new Map([['acc1', { id: 'acc1', balances: {} }], ['acc2', { id: 'acc2', balances: {} }]]);
+    const input = { assets, prices: PRICES, accounts, rates: RATES, allocation: allocation('sector', [['Technology', 50], ['Consumer Defensive', 50]]) };
+
+    const proRata = buildRebalancePlan(input).orders.filter(order => order.action === 'sell');
+    expect(proRata.map(order => [order.symbol, order.units])).toEqual([['AAPL', 3], ['MSFT', 1]]);
+
+    const taxAware = buildRebalancePlan(input, { minimizeGains: true }).orders;
+    expect(taxAware[0]).toMatchObject({ action: 'sell', symbol: 'MSFT', accountId: 'acc2', units: 3, estimatedRealizedPnL: -150 });
+    // KO se compra en acc2 con el producto de la venta
+    expect(taxAware[1]).toMatchObject({ action: 'buy', symbol: 'KO', accountId: 'acc2', units: 10 });
+  });
+
+  it('informa grupos sin tenencias, falta de efectivo y desvíos dentro del umbral', () => {
+    const input = {
+      assets: ASSETS,
+      prices: PRICES,
+      accounts: singleAccount({}),
+      rates: RATES,
+      allocation: allocation('sector', [['Technology', 66], ['Energy', 34]], 2)
+    };
+    const plan = buildRebalancePlan(input);
+
+    expect(plan.buckets.find(b => b.key === 'Technology')).toMatchObject({ drift: 34, needsRebalance: true });
+    expect(plan.summary.warnings).toEqual([expect.objectContaining({ code: 'EMPTY_BUCKET', bucket: 'Energy' })]);
+
+    // La venta deja dólares, pero ECOPETROL se compra en pesos
+    const noCash = buildRebalancePlan({ ...input, allocation: allocation('asset', [['AAPL', 40], ['MSFT', 40], ['ECOPETROL', 20]]) });
+    expect(noCash.orders.map(order => [order.action, order.symbol])).toEqual([['sell', 'AAPL'], ['sell', 'MSFT']]);
+    expect(noCash.summary.warnings).toEqual([expect.objectContaining({ code: 'INSUFFICIENT_CASH', bucket: 'ECOPETROL' })]);
+
+    const withinBand = buildRebalancePlan({ ...input, allocation: allocation('asset', [['AAPL', 49], ['MSFT', 51]], 2) });
+    expect(withinBand.orders).toEqual([]);
+  });
+});
+
+describe('rebalanceService', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockStore.set('portfolioAccounts/acc1', { userId: 'user1', isActive: true, balances: { USD: 1000 } });
+    mockStore.set('portfolioAccounts/acc9', { userId: 'user2', isActive: true, balances: {} });
+    ASSETS.forEach(asset => mockStore.set(`assets/${asset.id}`, { ...asset, isActive: true }));
+    PRICES.forEach((price, symbol) => mockStore.set(`currentPrices/${symbol}`, price));
+    mockStore.set('currencies/usd', { code: 'USD', exchangeRate: 1, isActive: true });
+  });
+
+  it('guarda una asignación por cuenta y otra del portafolio', async () => {
+    await setTargetAllocation('user1', { dimension: 'asset', targets: [{ key: 'AAPL', weight: 100 }] });
+    const byAccount = await setTargetAllocation('user1', { accountId: 'acc1', dimension: 'sector', targets: [{ key: 'Technology', weight: 90 }] });
+
+    expect(byAccount.id).toBe('user1_acc1');
+    await expect(setTargetAllocation('user1', { accountId: 'acc9', dimension: 'sector', targets: [{ key: 'Energy', weight: 10 }] }))
+      .rejects.toThrow('no existe');
+    expect((await listTargetAllocations('user1')).map(a => a.id)).toEqual(['user1_overall', 'user1_acc1']);
+
+    expect(await deleteTargetAllocation('user1', null)).toBe(true);
+    expect(await deleteTargetAllocation('user1', null)).toBe(false);
+  });
+
+  it('calcula el plan con tenencias, precios y efectivo de Firestore', async () => {
+    expect(await getRebalancePlan('user1')).toMatchObject({ success: false, error: 'NO_TARGETS' });
+    expect(await getRebalancePlan('user1', { accountId: 'acc9' })).toMatchObject({ success: false, error: 'INVALID_ACCOUNT' });
+
+    await setTargetAllocation('user1', { dimension: 'asset', targets: [{ key: 'AAPL', weight: 40 }, { key: 'KO', weight: 30 }, { key: 'MSFT', weight: 30 }] });
+    const result = await getRebalancePlan('user1', { fractional: true });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ scope: 'overall', accountIds: ['acc1'], dimension: 'asset' });
+    expect(result.plan.orders).toEqual([
+      expect.objectContaining({ action: 'sell', symbol: 'MSFT', units: 0.5, lots: [{ assetId: 'm1', units: 0.5 }] }),
+      expect.objectContaining({ action: 'buy', symbol: 'KO', accountId: 'acc1', units: 18 }),
+      expect.objectContaining({ action: 'buy', symbol: 'AAPL', units: 2 })
+    ]);
+    expect(result.plan.summary.cashAfter).toEqual({ acc1: { USD: 0 } });
+  });
+});
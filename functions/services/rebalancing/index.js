@@ -0,0 +1,27 @@
+/**
+ * Rebalancing Module Index
+ *
+ * Exporta las asignaciones objetivo (por activo, tipo de activo, sector o
+ * país) y el planificador de rebalanceo con órdenes de compra y venta.
+ *
+ * @module services/rebalancing
+ */
+
+const types = require('./types');
+const planner = require('./planner');
+const rebalanceService = require('./rebalanceService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...rebalanceService,
+  validateTargetAllocation: planner.validateTargetAllocation,
+  buildRebalancePlan: planner.buildRebalancePlan,
+
+  // Utilidades individuales
+  planner,
+  rebalanceService
+};
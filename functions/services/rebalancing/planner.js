@@ -0,0 +1,645 @@
+/**
+ * Rebalance Planner
+ *
+ * Funciones puras del rebalanceo: validación de la asignación objetivo,
+ * tenencias valorizadas en la moneda del plan, desvío por grupo y órdenes
+ * de venta y compra que respetan el efectivo de cada cuenta.
+ *
+ * Las ventas se resuelven primero (su producto queda disponible en la
+ * cuenta y moneda del lote) y las compras después, de mayor a menor monto.
+ *
+ * @module services/rebalancing/planner
+ */
+
+const { selectLots, getAccountCostBasisMethod } = require('../costBasis');
+const {
+  ALLOCATION_DIMENSIONS,
+  CASH_BUCKET,
+  UNCLASSIFIED_BUCKET,
+  MAX_TARGETS,
+  DEFAULT_DRIFT_THRESHOLD,
+  WEIGHT_TOLERANCE,
+  DEFAULT_PLAN_CURRENCY
+} = require('./types');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/** Redondeo a 2 decimales */
+const round2 = (num) => Math.round((Number(num) || 0) * 100) / 100;
+
+/** Redondeo a 8 decimales (unidades) */
+const round8 = (num) => Math.round(num * 1e8) / 1e8;
+
+/** Truncado a 8 decimales: una compra fraccionaria nunca supera el efectivo */
+const floor8 = (num) => Math.floor(round8(num * 1e8)) / 1e8;
+
+/**
+ * Clave de comparación de un grupo (sin distinguir mayúsculas)
+ * @param {string} key
+ * @returns {string}
+ */
+const matchKey = (key) => String(key).trim().toLowerCase();
+
+/**
+ * Convierte un monto entre monedas con tasas en unidades por 1 USD
+ *
+ * @param {number} value
+ * @param {string} from
+ * @param {string} to
+ * @param {Map<string, number>} rates - Código → unidades por 1 USD (USD = 1)
+ * @returns {number|null} null si falta alguna tasa
+ */
+function convertCurrency(value, from, to, rates) {
+  if (from === to) return value;
+  const fromRate = from === 'USD' ? 1 : rates.get(from);
+  const toRate = to === 'USD' ? 1 : rates.get(to);
+  if (!fromRate || !toRate) return null;
+  return value / fromRate * toRate;
+}
+
+// ============================================================================
+// VALIDACIÓN
+// ============================================================================
+
+/**
+ * Valida y normaliza una asignación objetivo. Los pesos pueden sumar menos
+ * de 100: el resto es el objetivo de efectivo.
+ *
+ * @param {Object} data
+ * @param {string} [data.accountId] - Cuenta (vacío = portafolio completo)
+ * @param {import('./types').AllocationDimension} data.dimension
+ * @param {Array<{key: string, weight: number}>} data.targets
+ * @param {number} [data.driftThreshold=1] - Puntos porcentuales (0-50)
+ * @returns {{accountId: string|null, dimension: string, targets: import('./types').AllocationTarget[], driftThreshold: number}}
+ * @throws {Error} Si algún campo no es válido
+ */
+function validateTargetAllocation(data) {
+  const { accountId, dimension, targets, driftThreshold = DEFAULT_DRIFT_THRESHOLD } = data;
+
+  if (!ALLOCATION_DIMENSIONS.includes(dimension)) {
+    throw new Error(`dimension debe ser una de: ${ALLOCATION_DIMENSIONS.join(', ')}`);
+  }
+  if (accountId !== undefined && accountId !== null && (typeof accountId !== 'string' || !accountId)) {
+    throw new Error('accountId debe ser un texto');
+  }
+  if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_TARGETS) {
+    throw new Error(`targets debe tener entre 1 y ${MAX_TARGETS} grupos`);
+  }
+  if (typeof driftThreshold !== 'number' || !(driftThreshold >= 0 && driftThreshold <= 50)) {
+    throw new Error('driftThreshold debe ser un número entre 0 y 50');
+  }
+
+  const seen = new Set();
+  const normalized = targets.map(target => {
+    const rawKey = typeof target?.key === 'string' ? target.key.trim() : '';
+    const key = dimension === 'asset' ? rawKey.toUpperCase() : rawKey;
+    if (!key) {
+      throw new Error('Cada grupo requiere key');
+    }
+    if (matchKey(key) === matchKey(CASH_BUCKET)) {
+      throw new Error(`${CASH_BUCKET} es el resto de los pesos, no se define como grupo`);
+    }
+    if (seen.has(matchKey(key))) {
+      throw new Error(`El grupo ${key} está repetido`);
+    }
+    if (typeof target.weight !== 'number' || !(target.weight > 0 && target.weight <= 100)) {
+      throw new Error(`El peso de ${key} debe ser un número mayor a 0 y hasta 100`);
+    }
+    seen.add(matchKey(key));
+    return { key, weight: target.weight };
+  });
+
+  const totalWeight = normalized.reduce((sum, target) => sum + target.weight, 0);
+  if (totalWeight > 100 + WEIGHT_TOLERANCE) {
+    throw new Error(`Los pesos suman ${round2(totalWeight)}%, el máximo es 100%`);
+  }
+
+  return { accountId: accountId || null, dimension, targets: normalized, driftThreshold };
+}
+
+// ============================================================================
+// TENENCIAS Y DESVÍO
+// ============================================================================
+
+/**
+ * Grupo de un lote según la dimensión
+ *
+ * @param {Object} asset - Documento de assets
+ * @param {Object} price - Documento de currentPrices
+ * @param {import('./types').AllocationDimension} dimension
+ * @returns {string}
+ */
+function classifyAsset(asset, price, dimension) {
+  switch (dimension) {
+    case 'asset':
+      return asset.name;
+    case 'assetType':
+      return asset.assetType || price.type || 'stock';
+    case 'sector':
+      return price.sector || asset.sector || UNCLASSIFIED_BUCKET;
+    case 'country':
+      return price.country || asset.country || UNCLASSIFIED_BUCKET;
+    default:
+      return UNCLASSIFIED_BUCKET;
+  }
+}
+
+/**
+ * Agrupa los lotes por ticker y cuenta y los valoriza con currentPrices
+ *
+ * @param {Object[]} assets - Lotes activos (documentos de assets con id)
+ * @param {Map<string, Object>} prices - Ticker → currentPrices
+ * @param {Map<string, number>} rates - Tasas por 1 USD
+ * @param {import('./types').AllocationDimension} dimension
+ * @param {string} currency - Moneda del plan
+ * @returns {{holdings: import('./types').Holding[], missingPrices: string[], missingRates: string[]}}
+ */
+function buildHoldings(assets, prices, rates, dimension, currency) {
+  const holdingsByKey = new Map();
+  const missingPrices = new Set();
+  const missingRates = new Set();
+
+  assets.forEach(asset => {
+    const units = Number(asset.units) || 0;
+    if (units <= 0) return;
+
+    const price = prices.get(asset.name);
+    if (!price || !(price.price > 0)) {
+      missingPrices.add(asset.name);
+      return;
+    }
+
+    const holdingCurrency = price.currency || asset.currency || DEFAULT_PLAN_CURRENCY;
+    const priceBase = convertCurrency(price.price, holdingCurrency, currency, rates);
+    if (priceBase === null) {
+      missingRates.add(holdingCurrency);
+      return;
+    }
+
+    const key = `${asset.name}|${asset.portfolioAccount}`;
+    if (!holdingsByKey.has(key)) {
+      holdingsByKey.set(key, {
+        symbol: asset.name,
+        accountId: asset.portfolioAccount,
+        currency: holdingCurrency,
+        price: price.price,
+        priceBase,
+        units: 0,
+        valueBase: 0,
+        bucket: classifyAsset(asset, price, dimension),
+        lots: []
+      });
+    }
+
+    const holding = holdingsByKey.get(key);
+    holding.units = round8(holding.units + units);
+    holding.valueBase += units * priceBase;
+    holding.lots.push({
+      id: asset.id,
+      units,
+      unitValue: Number(asset.unitValue) || 0,
+      acquisitionDate: asset.acquisitionDate
+    });
+  });
+
+  return {
+    holdings: [...holdingsByKey.values()],
+    missingPrices: [...missingPrices].sort(),
+    missingRates: [...missingRates].sort()
+  };
+}
+
+/**
+ * Efectivo por cuenta y moneda (solo saldos positivos)
+ *
+ * @param {Map<string, Object>} accounts - Cuentas del alcance
+ * @returns {Map<string, Map<string, number>>} accountId → (moneda → saldo)
+ */
+function buildCashBalances(accounts) {
+  const cash = new Map();
+  accounts.forEach((account, accountId) => {
+    const balances = new Map();
+    Object.entries(account.balances || {}).forEach(([code, amount]) => {
+      if (Number(amount) > 0) balances.set(code, Number(amount));
+    });
+    cash.set(accountId, balances);
+  });
+  return cash;
+}
+
+/**
+ * Valor del efectivo en la moneda del plan
+ *
+ * @param {Map<string, Map<string, number>>} cash
+ * @param {Map<string, number>} rates
+ * @param {string} currency
+ * @param {Set<string>} missingRates - Se agregan las monedas sin tasa
+ * @returns {number}
+ */
+function sumCash(cash, rates, currency, missingRates) {
+  let total = 0;
+  cash.forEach(balances => balances.forEach((amount, code) => {
+    const value = convertCurrency(amount, code, currency, rates);
+    if (value === null) {
+      missingRates.add(code);
+      return;
+    }
+    total += value;
+  }));
+  return total;
+}
+
+/**
+ * Desvío de cada grupo respecto del objetivo. Los grupos en tenencia que no
+ * están en la asignación tienen objetivo 0; el efectivo, el resto de 100.
+ *
+ * @param {import('./types').Holding[]} holdings
+ * @param {number} cashValue - Efectivo en la moneda del plan
+ * @param {Object} allocation - Ver validateTargetAllocation
+ * @returns {import('./types').AllocationBucket[]} Del mayor al menor desvío absoluto
+ */
+function calculateDrift(holdings, cashValue, allocation) {
+  const totalValue = holdings.reduce((sum, holding) => sum + holding.valueBase, 0) + cashValue;
+  const buckets = new Map();
+
+  const getBucket = (key) => {
+    if (!buckets.has(matchKey(key))) {
+      buckets.set(matchKey(key), { key, targetWeight: 0, currentValue: 0 });
+    }
+    return buckets.get(matchKey(key));
+  };
+
+  allocation.targets.forEach(target => {
+    getBucket(target.key).targetWeight = target.weight;
+  });
+  holdings.forEach(holding => {
+    getBucket(holding.bucket).currentValue += holding.valueBase;
+  });
+
+  const investedWeight = allocation.targets.reduce((sum, target) => sum + target.weight, 0);
+  const cashBucket = getBucket(CASH_BUCKET);
+  cashBucket.targetWeight = Math.max(0, 100 - investedWeight);
+  cashBucket.currentValue = cashValue;
+
+  return [...buckets.values()]
+    .map(bucket => {
+      const currentWeight = totalValue > 0 ? bucket.currentValue / totalValue * 100 : 0;
+      const targetValue = totalValue * bucket.targetWeight / 100;
+      const drift = currentWeight - bucket.targetWeight;
+      return {
+        key: bucket.key,
+        targetWeight: round2(bucket.targetWeight),
+        currentWeight: round2(currentWeight),
+        drift: round2(drift),
+        currentValue: round2(bucket.currentValue),
+        targetValue: round2(targetValue),
+        difference: round2(targetValue - bucket.currentValue),
+        needsRebalance: totalValue > 0 && Math.abs(drift) > allocation.driftThreshold
+      };
+    })
+    .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift) || a.key.localeCompare(b.key));
+}
+
+// ============================================================================
+// ÓRDENES
+// ============================================================================
+
+/**
+ * Unidades a vender de cada tenencia de un grupo sobreponderado
+ *
+ * Sin minimizeGains el monto se reparte en proporción al valor de cada
+ * tenencia. Con minimizeGains se consumen primero los lotes con pérdida
+ * (o menor ganancia porcentual) de todo el grupo.
+ *
+ * @param {import('./types').Holding[]} holdings - Tenencias del grupo
+ * @param {number} amountBase - Monto a vender (moneda del plan)
+ * @param {boolean} minimizeGains
+ * @returns {Map<import('./types').Holding, number>} Unidades sin redondear
+ */
+function allocateSellUnits(holdings, amountBase, minimizeGains) {
+  const unitsByHolding = new Map();
+  const bucketValue = holdings.reduce((sum, holding) => sum + holding.valueBase, 0);
+  if (bucketValue <= 0) return unitsByHolding;
+
+  if (!minimizeGains) {
+    holdings.forEach(holding => {
+      unitsByHolding.set(holding, amountBase * holding.valueBase / bucketValue / holding.priceBase);
+    });
+    return unitsByHolding;
+  }
+
+  const candidates = holdings
+    .flatMap(holding => holding.lots.map(lot => ({
+      holding,
+      lot,
+      gain: lot.unitValue > 0 ? (holding.price - lot.unitValue) / lot.unitValue : Infinity
+    })))
+    .sort((a, b) => a.gain - b.gain);
+
+  let remaining = amountBase;
+  for (const { holding, lot } of candidates) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, lot.units * holding.priceBase);
+    unitsByHolding.set(holding, (unitsByHolding.get(holding) || 0) + take / holding.priceBase);
+    remaining -= take;
+  }
+  return unitsByHolding;
+}
+
+/**
+ * Órdenes de venta de los grupos sobreponderados. El producto de cada
+ * venta se suma al efectivo de su cuenta y moneda.
+ *
+ * @param {import('./types').AllocationBucket[]} buckets
+ * @param {import('./types').Holding[]} holdings
+ * @param {Map<string, Map<string, number>>} cash - Se actualiza con el producto
+ * @param {Map<string, Object>} accounts - Para el método de costo base
+ * @param {Object} options
+ * @param {boolean} options.fractional
+ * @param {boolean} options.minimizeGains
+ * @returns {import('./types').RebalanceOrder[]}
+ */
+function planSellOrders(buckets, holdings, cash, accounts, options) {
+  const { fractional, minimizeGains } = options;
+  const orders = [];
+
+  buckets
+    .filter(bucket => bucket.key !== CASH_BUCKET && bucket.needsRebalance && bucket.difference < 0)
+    .forEach(bucket => {
+      const bucketHoldings = holdings.filter(holding => matchKey(holding.bucket) === matchKey(bucket.key));
+      const rawUnits = allocateSellUnits(bucketHoldings, -bucket.difference, minimizeGains);
+
+      rawUnits.forEach((raw, holding) => {
+        const units = Math.min(fractional ? round8(raw) : Math.round(raw), holding.units);
+        if (!(units > 0)) return;
+
+        const costBasisMethod = minimizeGains ? 'HIFO' : getAccountCostBasisMethod(accounts.get(holding.accountId));
+        const allocations = selectLots(holding.lots, units, costBasisMethod);
+        const estimatedValue = units * holding.price;
+        const estimatedRealizedPnL = allocations.reduce(
+          (sum, allocation) => sum + allocation.units * (holding.price - allocation.costPerUnit), 0
+        );
+
+        orders.push({
+          action: 'sell',
+          symbol: holding.symbol,
+          accountId: holding.accountId,
+          bucket: bucket.key,
+          currency: holding.currency,
+          units,
+          price: holding.price,
+          estimatedValue: round2(estimatedValue),
+          estimatedValueBase: round2(units * holding.priceBase),
+          lots: allocations.map(allocation => ({ assetId: allocation.lot.id, units: allocation.units })),
+          costBasisMethod,
+          estimatedRealizedPnL: round2(estimatedRealizedPnL)
+        });
+
+        const balances = cash.get(holding.accountId) || new Map();
+        balances.set(holding.currency, (balances.get(holding.currency) || 0) + estimatedValue);
+        cash.set(holding.accountId, balances);
+      });
+    });
+
+  return orders;
+}
+
+/**
+ * Compras candidatas de los grupos subponderados: las tenencias del grupo
+ * en proporción a su valor o, en la dimensión asset, el ticker objetivo
+ * aunque aún no esté en tenencia
+ *
+ * @param {import('./types').AllocationBucket[]} buckets
+ * @param {import('./types').Holding[]} holdings
+ * @param {Map<string, Object>} prices
+ * @param {Object} options
+ * @param {string} options.dimension
+ * @param {string} options.currency
+ * @param {Map<string, number>} options.rates
+ * @param {Object[]} warnings - Se agregan los grupos sin instrumento para comprar
+ * @returns {Array<{symbol: string, accountId: string|null, bucket: string, currency: string, price: number, priceBase: number, amountBase: number}>}
+ */
+function buildBuyCandidates(buckets, holdings, prices, options, warnings) {
+  const { dimension, currency, rates } = options;
+  const candidates = [];
+
+  buckets
+    .filter(bucket => bucket.key !== CASH_BUCKET && bucket.needsRebalance && bucket.difference > 0)
+    .forEach(bucket => {
+      const bucketHoldings = holdings.filter(holding => matchKey(holding.bucket) === matchKey(bucket.key));
+      const bucketValue = bucketHoldings.reduce((sum, holding) => sum + holding.valueBase, 0);
+
+      if (bucketHoldings.length > 0 && bucketValue > 0) {
+        bucketHoldings.forEach(holding => candidates.push({
+          symbol: holding.symbol,
+          accountId: holding.accountId,
+          bucket: bucket.key,
+          currency: holding.currency,
+          price: holding.price,
+          priceBase: holding.priceBase,
+          amountBase: bucket.difference * holding.valueBase / bucketValue
+        }));
+        return;
+      }
+
+      const price = dimension === 'asset' ? prices.get(bucket.key) : null;
+      const priceCurrency = price?.currency || DEFAULT_PLAN_CURRENCY;
+      const priceBase = price?.price > 0 ? convertCurrency(price.price, priceCurrency, currency, rates) : null;
+      if (priceBase === null) {
+        warnings.push({
+          code: dimension === 'asset' ? 'NO_PRICE' : 'EMPTY_BUCKET',
+          bucket: bucket.key,
+          message: dimension === 'asset'
+            ? `Sin precio en currentPrices para ${bucket.key}`
+            : `No hay tenencias en ${bucket.key} para comprar; agrega un ticker de ese grupo`
+        });
+        return;
+      }
+
+      candidates.push({
+        symbol: bucket.key,
+        accountId: null,
+        bucket: bucket.key,
+        currency: priceCurrency,
+        price: price.price,
+        priceBase,
+        amountBase: bucket.difference
+      });
+    });
+
+  return candidates.sort((a, b) => b.amountBase - a.amountBase);
+}
+
+/**
+ * Órdenes de compra limitadas por el efectivo de cada cuenta en la moneda
+ * del instrumento (incluido el producto de las ventas)
+ *
+ * Se prefiere la cuenta que ya tiene el ticker; si no alcanza, la cuenta
+ * del alcance con más efectivo en esa moneda.
+ *
+ * @param {Array<Object>} candidates - Ver buildBuyCandidates
+ * @param {Map<string, Map<string, number>>} cash - Se descuenta lo comprado
+ * @param {Object} options
+ * @param {boolean} options.fractional
+ * @param {Object[]} warnings - Se agregan las compras sin efectivo suficiente
+ * @returns {import('./types').RebalanceOrder[]}
+ */
+function planBuyOrders(candidates, cash, options, warnings) {
+  const { fractional } = options;
+  const toUnits = (value) => (fractional ? floor8(value) : Math.floor(round8(value)));
+  const orders = [];
+
+  candidates.forEach(candidate => {
+    const desiredUnits = toUnits(candidate.amountBase / candidate.priceBase);
+    if (!(desiredUnits > 0)) return;
+
+    const available = (accountId) => cash.get(accountId)?.get(candidate.currency) || 0;
+    const cost = desiredUnits * candidate.price;
+    const byCash = [...cash.keys()].sort((a, b) => available(b) - available(a));
+    const preferred = candidate.accountId && cash.has(candidate.accountId) ? [candidate.accountId] : [];
+    const accountId = [...preferred, ...byCash].find(id => available(id) >= cost) || byCash[0];
+
+    const units = accountId ? Math.min(desiredUnits, toUnits(available(accountId) / candidate.price)) : 0;
+    if (!(units > 0)) {
+      warnings.push({
+        code: 'INSUFFICIENT_CASH',
+        bucket: candidate.bucket,
+        message: `Sin efectivo en ${candidate.currency} para comprar ${candidate.symbol}`
+      });
+      return;
+    }
+
+    const estimatedValue = units * candidate.price;
+    cash.get(accountId).set(candidate.currency, available(accountId) - estimatedValue);
+
+    orders.push({
+      action: 'buy',
+      symbol: candidate.symbol,
+      accountId,
+      bucket: candidate.bucket,
+      currency: candidate.currency,
+      units,
+      price: candidate.price,
+      estimatedValue: round2(estimatedValue),
+      estimatedValueBase: round2(units * candidate.priceBase),
+      limitedByCash: units < desiredUnits
+    });
+  });
+
+  return orders;
+}
+
+/**
+ * Peso de cada grupo después de ejecutar las órdenes
+ *
+ * @param {import('./types').AllocationBucket[]} buckets
+ * @param {import('./types').RebalanceOrder[]} orders
+ * @returns {import('./types').AllocationBucket[]}
+ */
+function applyProjectedWeights(buckets, orders) {
+  const totalValue = buckets.reduce((sum, bucket) => sum + bucket.currentValue, 0);
+  const deltas = new Map();
+  orders.forEach(order => {
+    const delta = order.action === 'buy' ? order.estimatedValueBase : -order.estimatedValueBase;
+    deltas.set(matchKey(order.bucket), (deltas.get(matchKey(order.bucket)) || 0) + delta);
+  });
+  const cashDelta = -[...deltas.values()].reduce((sum, delta) => sum + delta, 0);
+
+  return buckets.map(bucket => {
+    const delta = bucket.key === CASH_BUCKET ? cashDelta : (deltas.get(matchKey(bucket.key)) || 0);
+    return {
+      ...bucket,
+      projectedWeight: totalValue > 0 ? round2((bucket.currentValue + delta) / totalValue * 100) : 0
+    };
+  });
+}
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+/**
+ * Plan de rebalanceo
+ *
+ * @param {Object} input
+ * @param {Object[]} input.assets - Lotes activos del alcance
+ * @param {Map<string, Object>} input.prices - Ticker → currentPrices (tenencias y tickers objetivo)
+ * @param {Map<string, Object>} input.accounts - Cuentas del alcance (balances, costBasisMethod)
+ * @param {Map<string, number>} input.rates - Tasas por 1 USD
+ * @param {Object} input.allocation - Ver validateTargetAllocation
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Moneda del plan
+ * @param {boolean} [options.fractional=false] - Permite unidades fraccionarias
+ * @param {boolean} [options.minimizeGains=false] - Vende primero los lotes con pérdida
+ * @returns {{buckets: import('./types').AllocationBucket[], orders: import('./types').RebalanceOrder[], summary: Object}}
+ */
+function buildRebalancePlan(input, options = {}) {
+  const { assets, prices, accounts, rates, allocation } = input;
+  const { currency = DEFAULT_PLAN_CURRENCY, fractional = false, minimizeGains = false } = options;
+  const warnings = [];
+
+  const { holdings, missingPrices, missingRates } = buildHoldings(assets, prices, rates, allocation.dimension, currency);
+  const cash = buildCashBalances(accounts);
+  const missingRateSet = new Set(missingRates);
+  const cashValue = sumCash(cash, rates, currency, missingRateSet);
+
+  missingPrices.forEach(symbol => warnings.push({
+    code: 'NO_PRICE', bucket: null, message: `Sin precio en currentPrices para ${symbol}; no se incluye en el plan`
+  }));
+  [...missingRateSet].sort().forEach(code => warnings.push({
+    code: 'NO_EXCHANGE_RATE', bucket: null, message: `Sin tasa de cambio para ${code}; no se incluye en el plan`
+  }));
+
+  const buckets = calculateDrift(holdings, cashValue, allocation);
+  const sells = planSellOrders(buckets, holdings, cash, accounts, { fractional, minimizeGains });
+  const candidates = buildBuyCandidates(buckets, holdings, prices, { dimension: allocation.dimension, currency, rates }, warnings);
+  const buys = planBuyOrders(candidates, cash, { fractional }, warnings);
+  const orders = [...sells, ...buys];
+
+  const cashAfter = {};
+  cash.forEach((balances, accountId) => {
+    cashAfter[accountId] = {};
+    balances.forEach((amount, code) => {
+      cashAfter[accountId][code] = round2(amount);
+    });
+  });
+
+  const projected = applyProjectedWeights(buckets, orders);
+  const holdingsValue = holdings.reduce((sum, holding) => sum + holding.valueBase, 0);
+
+  return {
+    buckets: projected,
+    orders,
+    summary: {
+      currency,
+      totalValue: round2(holdingsValue + cashValue),
+      holdingsValue: round2(holdingsValue),
+      cashValue: round2(cashValue),
+      sellValue: round2(sells.reduce((sum, order) => sum + order.estimatedValueBase, 0)),
+      buyValue: round2(buys.reduce((sum, order) => sum + order.estimatedValueBase, 0)),
+      estimatedRealizedPnL: round2(sells.reduce((sum, order) => {
+        const value = convertCurrency(order.estimatedRealizedPnL, order.currency, currency, rates);
+        return sum + (value || 0);
+      }, 0)),
+      maxDrift: round2(Math.max(0, ...buckets.map(bucket => Math.abs(bucket.drift)))),
+      projectedMaxDrift: round2(Math.max(0, ...projected.map(bucket => Math.abs(bucket.projectedWeight - bucket.targetWeight)))),
+      cashAfter,
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  convertCurrency,
+  validateTargetAllocation,
+  classifyAsset,
+  buildHoldings,
+  calculateDrift,
+  allocateSellUnits,
+  planSellOrders,
+  buildBuyCandidates,
+  planBuyOrders,
+  buildRebalancePlan
+};
@@ -0,0 +1,251 @@
+/**
+ * Rebalance Service
+ *
+ * Asignaciones objetivo por usuario (`targetAllocations`, una por cuenta y
+ * una para el portafolio completo) y plan de rebalanceo con las tenencias
+ * de `assets`, los precios de currentPrices y el efectivo de `balances`.
+ *
+ * @module services/rebalancing/rebalanceService
+ */
+
+const admin = require('../firebaseAdmin');
+const { validateTargetAllocation, buildRebalancePlan } = require('./planner');
+const {
+  TARGET_ALLOCATIONS_COLLECTION,
+  OVERALL_SCOPE,
+  DEFAULT_PLAN_CURRENCY
+} = require('./types');
+
+const db = admin.firestore();
+
+/**
+ * ID del documento de una asignación
+ * @param {string} userId
+ * @param {string|null} accountId
+ * @returns {string}
+ */
+function getAllocationId(userId, accountId) {
+  return `${userId}_${accountId || OVERALL_SCOPE}`;
+}
+
+/**
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {import('./types').TargetAllocation}
+ */
+function toAllocation(doc) {
+  const { updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+// ============================================================================
+// CARGA DE DATOS
+// ============================================================================
+
+/**
+ * Cuentas activas del usuario
+ * @param {string} userId
+ * @returns {Promise<Map<string, Object>>} accountId -> cuenta
+ */
+async function fetchUserAccounts(userId) {
+  const snapshot = await db.collection('portfolioAccounts')
+    .where('userId', '==', userId)
+    .where('isActive', '==', true)
+    .get();
+
+  return new Map(snapshot.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+}
+
+/**
+ * Lotes activos de las cuentas
+ * @param {string[]} accountIds
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchActiveAssets(accountIds) {
+  const assets = [];
+
+  for (let i = 0; i < accountIds.length; i += 10) {
+    const snapshot = await db.collection('assets')
+      .where('portfolioAccount', 'in', accountIds.slice(i, i + 10))
+      .where('isActive', '==', true)
+      .get();
+    snapshot.docs.forEach(doc => assets.push({ id: doc.id, ...doc.data() }));
+  }
+
+  return assets;
+}
+
+/**
+ * Documentos de currentPrices de los tickers
+ * @param {string[]} symbols
+ * @returns {Promise<Map<string, Object>>} symbol -> precio
+ */
+async function fetchPrices(symbols) {
+  const prices = new Map();
+
+  for (let i = 0; i < symbols.length; i += 10) {
+    const snapshot = await db.collection('currentPrices')
+      .where('symbol', 'in', symbols.slice(i, i + 10))
+      .get();
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      prices.set(data.symbol, data);
+    });
+  }
+
+  return prices;
+}
+
+/**
+ * Tasas de cambio de las monedas activas
+ * @returns {Promise<Map<string, number>>} Código → unidades por 1 USD
+ */
+async function fetchExchangeRates() {
+  const snapshot = await db.collection('currencies').where('isActive', '==', true).get();
+  const rates = new Map([['USD', 1]]);
+  snapshot.docs.forEach(doc => {
+    const { code, exchangeRate } = doc.data();
+    if (code && exchangeRate > 0) rates.set(code, exchangeRate);
+  });
+  return rates;
+}
+
+// ============================================================================
+// ASIGNACIONES OBJETIVO
+// ============================================================================
+
+/**
+ * Crea o reemplaza la asignación objetivo de una cuenta o del portafolio
+ *
+ * @param {string} userId
+ * @param {Object} data - Ver validateTargetAllocation
+ * @returns {Promise<import('./types').TargetAllocation>}
+ * @throws {Error} Si los datos no son válidos o la cuenta no es del usuario
+ */
+async function setTargetAllocation(userId, data) {
+  const normalized = validateTargetAllocation(data);
+
+  if (normalized.accountId) {
+    const accountDoc = await db.collection('portfolioAccounts').doc(normalized.accountId).get();
+    if (!accountDoc.exists || accountDoc.data().userId !== userId) {
+      throw new Error(`La cuenta ${normalized.accountId} no existe`);
+    }
+  }
+
+  const id = getAllocationId(userId, normalized.accountId);
+  const allocation = { id, userId, ...normalized };
+  await db.collection(TARGET_ALLOCATIONS_COLLECTION).doc(id).set({
+    ...allocation,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return allocation;
+}
+
+/**
+ * Asignaciones objetivo del usuario
+ *
+ * @param {string} userId
+ * @returns {Promise<import('./types').TargetAllocation[]>} Primero la del portafolio completo
+ */
+async function listTargetAllocations(userId) {
+  const snapshot = await db.collection(TARGET_ALLOCATIONS_COLLECTION).where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(toAllocation)
+    .sort((a, b) => (a.accountId || '').localeCompare(b.accountId || ''));
+}
+
+/**
+ * Elimina la asignación objetivo de una cuenta o del portafolio
+ *
+ * @param {string} userId
+ * @param {string|null} accountId - null = portafolio completo
+ * @returns {Promise<boolean>} false si no existe
+ */
+async function deleteTargetAllocation(userId, accountId) {
+  const allocationRef = db.collection(TARGET_ALLOCATIONS_COLLECTION).doc(getAllocationId(userId, accountId));
+  const doc = await allocationRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return false;
+
+  await allocationRef.delete();
+  return true;
+}
+
+// ============================================================================
+// PLAN DE REBALANCEO
+// ============================================================================
+
+/**
+ * Calcula el plan de rebalanceo contra la asignación objetivo guardada
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Cuenta (vacío = portafolio completo, todas las cuentas activas)
+ * @param {string} [options.currency='USD'] - Moneda del plan
+ * @param {boolean} [options.fractional=false] - Permite unidades fraccionarias
+ * @param {boolean} [options.minimizeGains=false] - Vende primero los lotes con pérdida
+ * @returns {Promise<Object>} Plan y metadata, o {success: false, error, message}
+ */
+async function getRebalancePlan(userId, options = {}) {
+  const {
+    accountId = null,
+    currency = DEFAULT_PLAN_CURRENCY,
+    fractional = false,
+    minimizeGains = false
+  } = options;
+
+  // 1. Cuentas del alcance
+  const allAccounts = await fetchUserAccounts(userId);
+  if (allAccounts.size === 0) {
+    return { success: false, error: 'NO_ACCOUNTS', message: 'No accounts found for user' };
+  }
+  if (accountId && !allAccounts.has(accountId)) {
+    return { success: false, error: 'INVALID_ACCOUNT', message: `La cuenta ${accountId} no existe` };
+  }
+  const accounts = accountId ? new Map([[accountId, allAccounts.get(accountId)]]) : allAccounts;
+
+  // 2. Asignación objetivo
+  const allocationDoc = await db.collection(TARGET_ALLOCATIONS_COLLECTION).doc(getAllocationId(userId, accountId)).get();
+  if (!allocationDoc.exists) {
+    return {
+      success: false,
+      error: 'NO_TARGETS',
+      message: `No hay asignación objetivo para ${accountId || OVERALL_SCOPE}`
+    };
+  }
+  const allocation = toAllocation(allocationDoc);
+
+  // 3. Tenencias, precios (incluye tickers objetivo sin tenencia) y tasas
+  const assets = await fetchActiveAssets([...accounts.keys()]);
+  const symbols = new Set(assets.map(asset => asset.name));
+  if (allocation.dimension === 'asset') {
+    allocation.targets.forEach(target => symbols.add(target.key));
+  }
+  const [prices, rates] = await Promise.all([fetchPrices([...symbols].sort()), fetchExchangeRates()]);
+
+  if (currency !== 'USD' && !rates.has(currency)) {
+    return { success: false, error: 'INVALID_CURRENCY', message: `Moneda no soportada: ${currency}` };
+  }
+
+  const plan = buildRebalancePlan({ assets, prices, accounts, rates, allocation }, { currency, fractional, minimizeGains });
+
+  return {
+    success: true,
+    plan,
+    metadata: {
+      scope: accountId || OVERALL_SCOPE,
+      accountIds: [...accounts.keys()],
+      dimension: allocation.dimension,
+      driftThreshold: allocation.driftThreshold,
+      fractional,
+      minimizeGains,
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  setTargetAllocation,
+  listTargetAllocations,
+  deleteTargetAllocation,
+  getRebalancePlan
+};
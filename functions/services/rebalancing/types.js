@@ -0,0 +1,121 @@
+/**
+ * Rebalancing Types
+ *
+ * Tipos y constantes de las asignaciones objetivo del usuario (pesos por
+ * activo, tipo de activo, sector o país, de una cuenta o del portafolio
+ * completo) y del plan de rebalanceo que las compara con las tenencias.
+ *
+ * @module services/rebalancing/types
+ */
+
+/**
+ * Dimensión de la asignación objetivo
+ * - asset: ticker (`assets.name`)
+ * - assetType: tipo de activo (`assets.assetType`: stock, etf, crypto, ...)
+ * - sector: sector de currentPrices (o el del asset)
+ * - country: país de currentPrices (o el del asset)
+ * @typedef {'asset' | 'assetType' | 'sector' | 'country'} AllocationDimension
+ */
+
+/**
+ * Peso objetivo de un grupo
+ * @typedef {Object} AllocationTarget
+ * @property {string} key - Ticker, tipo, sector o país
+ * @property {number} weight - Porcentaje del valor total (0-100)
+ */
+
+/**
+ * Documento de `targetAllocations` (ID = `${userId}_${accountId || 'overall'}`).
+ * La diferencia entre 100 y la suma de los pesos es el objetivo de efectivo.
+ * @typedef {Object} TargetAllocation
+ * @property {string} userId - Dueño
+ * @property {string|null} accountId - Cuenta (null = portafolio completo)
+ * @property {AllocationDimension} dimension - Dimensión de los pesos
+ * @property {AllocationTarget[]} targets - Pesos objetivo
+ * @property {number} driftThreshold - Desvío (puntos porcentuales) a partir del cual se rebalancea un grupo
+ */
+
+/**
+ * Tenencia de un ticker en una cuenta (agrupa sus lotes de `assets`)
+ * @typedef {Object} Holding
+ * @property {string} symbol - Ticker
+ * @property {string} accountId - Cuenta
+ * @property {string} currency - Moneda de cotización
+ * @property {number} price - Precio en `currency`
+ * @property {number} priceBase - Precio en la moneda del plan
+ * @property {number} units - Unidades
+ * @property {number} valueBase - Valor en la moneda del plan
+ * @property {string} bucket - Grupo según la dimensión
+ * @property {import('../costBasis/types').Lot[]} lots - Lotes
+ */
+
+/**
+ * Grupo del plan con su desvío
+ * @typedef {Object} AllocationBucket
+ * @property {string} key - Grupo (CASH para el efectivo)
+ * @property {number} targetWeight - Peso objetivo (%)
+ * @property {number} currentWeight - Peso actual (%)
+ * @property {number} drift - currentWeight - targetWeight (puntos porcentuales)
+ * @property {number} currentValue - Valor actual (moneda del plan)
+ * @property {number} targetValue - Valor objetivo (moneda del plan)
+ * @property {number} difference - targetValue - currentValue
+ * @property {boolean} needsRebalance - |drift| supera driftThreshold
+ * @property {number} projectedWeight - Peso tras ejecutar las órdenes (%)
+ */
+
+/**
+ * Orden sugerida
+ * @typedef {Object} RebalanceOrder
+ * @property {'buy' | 'sell'} action
+ * @property {string} symbol - Ticker
+ * @property {string} accountId - Cuenta donde ejecutarla
+ * @property {string} bucket - Grupo que corrige
+ * @property {string} currency - Moneda de cotización
+ * @property {number} units - Unidades (enteras salvo con fractional)
+ * @property {number} price - Precio de currentPrices
+ * @property {number} estimatedValue - units × price (en `currency`)
+ * @property {number} estimatedValueBase - Valor en la moneda del plan
+ * @property {Array<{assetId: string, units: number}>} [lots] - Lotes a vender (payload `lots` de sellPartialAssetsFIFO)
+ * @property {string} [costBasisMethod] - Método con el que se eligieron los lotes
+ * @property {number} [estimatedRealizedPnL] - P&L realizado estimado (en `currency`)
+ * @property {boolean} [limitedByCash] - La compra se redujo por falta de efectivo
+ */
+
+/** Colección de asignaciones objetivo */
+const TARGET_ALLOCATIONS_COLLECTION = 'targetAllocations';
+
+/** Dimensiones soportadas */
+const ALLOCATION_DIMENSIONS = ['asset', 'assetType', 'sector', 'country'];
+
+/** Alcance del portafolio completo (sin accountId) */
+const OVERALL_SCOPE = 'overall';
+
+/** Grupo del efectivo en el plan */
+const CASH_BUCKET = 'CASH';
+
+/** Grupo de tenencias sin sector o país conocido */
+const UNCLASSIFIED_BUCKET = 'Unclassified';
+
+/** Grupos máximos por asignación */
+const MAX_TARGETS = 100;
+
+/** Desvío por defecto (puntos porcentuales) que dispara órdenes */
+const DEFAULT_DRIFT_THRESHOLD = 1;
+
+/** Tolerancia al validar que los pesos no superen 100 */
+const WEIGHT_TOLERANCE = 0.01;
+
+/** Moneda por defecto del plan */
+const DEFAULT_PLAN_CURRENCY = 'USD';
+
+module.exports = {
+  TARGET_ALLOCATIONS_COLLECTION,
+  ALLOCATION_DIMENSIONS,
+  OVERALL_SCOPE,
+  CASH_BUCKET,
+  UNCLASSIFIED_BUCKET,
+  MAX_TARGETS,
+  DEFAULT_DRIFT_THRESHOLD,
+  WEIGHT_TOLERANCE,
+  DEFAULT_PLAN_CURRENCY
+};
@@ -0,0 +1,142 @@
+/**
+ * Tests para services/riskFreeRates
+ *
+ * Verifica la lectura de CSV, la validación de tasas, el arrastre de la
+ * última tasa publicada, la importación y la actualización programada, y
+ * la tasa del período que usan Sharpe y Sortino.
+ *
+ * @module __tests__/services/riskFreeRates.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  const OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b
+  };
+  const createDocRef = (path) => ({
+    path,
+    set: jest.fn(async (data, options) => mockStore.set(path, options?.merge ? { ...mockStore.get(path), ...data } : data)),
+    collection: (name) => createCollection(`${path}/${name}`)
+  });
+  const createCollection = (path, filters = [], order = 'asc', max = Infinity) => ({
+    doc: (id) => createDocRef(`${path}/${id}`),
+    where: (field, op, value) => createCollection(path, [...filters, data => OPERATORS[op](data[field], value)], order, max),
+    orderBy: (field, direction = 'asc') => createCollection(path, filters, direction, max),
+    limit: (n) => createCollection(path, filters, order, n),
+    get: jest.fn(async () => {
+      const docs = [...mockStore.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(filter => filter(data)))
+        .sort(([a], [b]) => (order === 'desc' ? b.localeCompare(a) : a.localeCompare(b)))
+        .slice(0, max)
+        .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }));
+      return { docs };
+    })
+  });
+  const firestore = jest.fn(() => ({
+    collection: (name) => createCollection(name),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push([ref.path, data]),
+        commit: jest.fn(async () => writes.forEach(([path, data]) => mockStore.set(path, data)))
+      };
+    }
+  }));
+  firestore.FieldValue = { serverTimestamp: () => 'SERVER_TIMESTAMP' };
+  return { firestore };
+});
+
+const { parseRateCsv, normalizeRatePoints, alignDailyRates } = require('../rateSeries');
+const {
+  importRiskFreeRates,
+  updateRiskFreeRates,
+  getDailyRiskFreeRates
+} = require('../riskFreeRateService');
+const { calculatePeriodRiskFreeRate, calculateAllMetrics } = require('../../riskMetrics/mathCalculations');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('rateSeries', () => {
+  it('lee un CSV con encabezado, separador ; y tasas en porcentaje', () => {
+    expect(parseRateCsv('fecha;tasa\n2024-03-01;12.5\n\n2024-03-04; 12.25\r\n'))
+      .toEqual([{ date: '2024-03-01', rate: 0.125 }, { date: '2024-03-04', rate: 0.1225 }]);
+    expect(() => parseRateCsv('date,rate\n2024-03-01,abc')).toThrow('Línea 2');
+    expect(() => parseRateCsv('  ')).toThrow('vacío');
+  });
+
+  it('ordena, deduplica y rechaza tasas fuera de rango', () => {
+    expect(normalizeRatePoints([{ date: '2024-03-04', rate: 0.05 }, { date: '2024-03-01', rate: 0.04 }, { date: '2024-03-04', rate: 0.051 }]))
+      .toEqual([{ date: '2024-03-01', rate: 0.04 }, { date: '2024-03-04', rate: 0.051 }]);
+    expect(() => normalizeRatePoints([{ date: '2024-03-01', rate: 5.25 }])).toThrow('fuera de rango');
+    expect(() => normalizeRatePoints([{ date: '2024-13-01', rate: 0.05 }])).toThrow('Fecha inválida');
+  });
+
+  it('arrastra la última tasa publicada hasta el máximo de días', () => {
+    const points = [{ date: '2024-01-01', rate: 0.05 }, { date: '2024-02-01', rate: 0.06 }];
+
+    expect(alignDailyRates(points, ['2023-12-29', '2024-01-15', '2024-02-01', '2024-03-15', '2024-03-20']))
+      .toEqual([null, 0.05, 0.06, 0.06, null]);
+  });
+});
+
+describe('calculatePeriodRiskFreeRate', () => {
+  it('promedia o capitaliza las tasas diarias', () => {
+    const rates = [...Array(126).fill(0.02), ...Array(126).fill(0.06)];
+
+    expect(calculatePeriodRiskFreeRate(rates, 'average')).toBeCloseTo(0.04, 10);
+    const expected = Math.pow(1 + 0.02 / 252, 126) * Math.pow(1 + 0.06 / 252, 126) - 1;
+    expect(calculatePeriodRiskFreeRate(rates, 'compounded')).toBeCloseTo(expected, 10);
+  });
+
+  it('Sharpe usa la serie y completa los días sin dato con la tasa por defecto', () => {
+    const returns = Array.from({ length: 60 }, (_, i) => (i % 2 === 0 ? 0.01 : -0.005));
+    const constant = calculateAllMetrics(returns, [], [], { riskFreeRate: 0.055 });
+    const fromSeries = calculateAllMetrics(returns, [], [], {
+      riskFreeRate: 0.055,
+      dailyRiskFreeRates: [...Array(30).fill(0.001), ...Array(30).fill(null)],
+      riskFreeRateMethod: 'average'
+    });
+
+    expect(constant.riskFreeRate).toBe(0.055);
+    expect(fromSeries.riskFreeRate).toBeCloseTo(0.028, 10);
+    expect(fromSeries.sharpeRatio).toBeCloseTo(constant.sharpeRatio + (5.5 - 2.8) / constant.volatility, 8);
+  });
+});
+
+describe('riskFreeRateService', () => {
+  beforeEach(() => mockStore.clear());
+
+  it('importa un CSV y devuelve la tasa vigente por fecha', async () => {
+    const result = await importRiskFreeRates({ currency: 'cop', csv: 'date,rate\n2024-03-01,12.5\n2024-03-05,12.0', name: 'IBR' });
+
+    expect(result).toEqual({ success: true, currency: 'COP', written: 2, firstDate: '2024-03-01', lastDate: '2024-03-05' });
+    expect(mockStore.get('riskFreeRates/COP')).toMatchObject({ currency: 'COP', name: 'IBR', lastSource: 'import' });
+    expect(await getDailyRiskFreeRates('COP', ['2024-03-04', '2024-03-05', '2024-03-06'])).toEqual([0.125, 0.12, 0.12]);
+    expect(await getDailyRiskFreeRates('EUR', ['2024-03-04'])).toEqual([null]);
+  });
+
+  it('rechaza importaciones inválidas sin escribir', async () => {
+    expect(await importRiskFreeRates({ currency: 'COP', rates: [{ date: '2024-03-01', rate: 12.5 }] }))
+      .toMatchObject({ success: false, error: 'INVALID_RATES' });
+    expect(await importRiskFreeRates({ currency: 'PESOS', rates: [{ date: '2024-03-01', rate: 0.1 }] }))
+      .toMatchObject({ success: false, message: 'Moneda inválida: PESOS' });
+    expect(mockStore.size).toBe(0);
+  });
+
+  it('la actualización programada continúa desde la última fecha guardada', async () => {
+    mockStore.set('riskFreeRates/USD/dates/2024-03-01', { date: '2024-03-01', rate: 0.052, source: 'yahoo' });
+    const fetchSeries = jest.fn(async () => [{ date: '2024-03-04', rate: 0.0525 }]);
+
+    const summary = await updateRiskFreeRates({ endDate: '2024-03-04', fetchSeries });
+
+    expect(fetchSeries).toHaveBeenCalledWith('^IRX', '2024-03-02', '2024-03-04');
+    expect(summary).toEqual({ USD: { written: 1, startDate: '2024-03-02' } });
+    expect(mockStore.get('riskFreeRates/USD/dates/2024-03-04')).toEqual({ date: '2024-03-04', rate: 0.0525, source: 'yahoo' });
+  });
+});
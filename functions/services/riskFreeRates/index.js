@@ -0,0 +1,29 @@
+/**
+ * Risk-Free Rates Module Index
+ *
+ * Exporta la serie histórica de tasas libres de riesgo por moneda:
+ * actualización desde Yahoo Finance, importación desde archivo y tasa
+ * vigente por fecha.
+ *
+ * @module services/riskFreeRates
+ */
+
+const types = require('./types');
+const rateSeries = require('./rateSeries');
+const yahooRateSource = require('./yahooRateSource');
+const riskFreeRateService = require('./riskFreeRateService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...riskFreeRateService,
+  parseRateCsv: rateSeries.parseRateCsv,
+
+  // Servicios individuales
+  rateSeries,
+  yahooRateSource,
+  riskFreeRateService
+};
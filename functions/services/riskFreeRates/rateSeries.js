@@ -0,0 +1,125 @@
+/**
+ * Rate Series
+ *
+ * Funciones puras sobre series de tasas libres de riesgo: lectura de
+ * archivos CSV, validación y alineación con las fechas de los retornos
+ * (arrastrando la última tasa publicada).
+ *
+ * @module services/riskFreeRates/rateSeries
+ */
+
+const {
+  MAX_CARRY_FORWARD_DAYS,
+  MAX_IMPORT_ROWS,
+  MAX_ANNUAL_RATE,
+  MIN_ANNUAL_RATE
+} = require('./types');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Días entre dos fechas YYYY-MM-DD
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Lee un CSV `fecha,tasa` con la tasa anual en porcentaje (5.25 = 5.25%)
+ *
+ * Acepta `,` o `;` como separador, una fila de encabezado opcional y
+ * líneas vacías.
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<{date: string, rate: number}>} Tasas como decimal
+ * @throws {Error} Si una fila no tiene fecha o tasa válidas
+ */
+function parseRateCsv(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('El archivo está vacío');
+  }
+
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const points = [];
+
+  lines.forEach((line, index) => {
+    if (line === '') return;
+    const [date, value] = line.split(/[;,]/).map(cell => cell.trim());
+    if (index === 0 && !DATE_PATTERN.test(date)) return; // Encabezado
+
+    const percent = Number(value);
+    if (!DATE_PATTERN.test(date) || value === undefined || value === '' || isNaN(percent)) {
+      throw new Error(`Línea ${index + 1}: se esperaba "YYYY-MM-DD,tasa%"`);
+    }
+    points.push({ date, rate: percent / 100 });
+  });
+
+  return points;
+}
+
+/**
+ * Valida, ordena y deduplica observaciones (la última de una fecha gana)
+ *
+ * @param {Array<{date: string, rate: number}>} points - Tasas como decimal
+ * @returns {Array<{date: string, rate: number}>}
+ * @throws {Error} Si alguna observación no es válida
+ */
+function normalizeRatePoints(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('No hay tasas para guardar');
+  }
+  if (points.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Máximo ${MAX_IMPORT_ROWS} tasas por importación`);
+  }
+
+  const byDate = new Map();
+  points.forEach(point => {
+    const { date, rate } = point || {};
+    if (!DATE_PATTERN.test(date || '') || isNaN(Date.parse(date))) {
+      throw new Error(`Fecha inválida: ${date}`);
+    }
+    if (typeof rate !== 'number' || !isFinite(rate) || rate < MIN_ANNUAL_RATE || rate > MAX_ANNUAL_RATE) {
+      throw new Error(`Tasa fuera de rango en ${date}: ${rate} (se espera decimal, 0.05 = 5%)`);
+    }
+    byDate.set(date, rate);
+  });
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, rate]) => ({ date, rate }));
+}
+
+/**
+ * Tasa vigente en cada fecha: la última observación en o antes de la fecha,
+ * si no tiene más de MAX_CARRY_FORWARD_DAYS días
+ *
+ * @param {Array<{date: string, rate: number}>} points - Observaciones ordenadas por fecha
+ * @param {string[]} dates - Fechas de los retornos (ordenadas)
+ * @returns {Array<number|null>} null si no hay tasa vigente
+ */
+function alignDailyRates(points, dates) {
+  const rates = [];
+  let cursor = -1;
+
+  dates.forEach(date => {
+    while (cursor + 1 < points.length && points[cursor + 1].date <= date) {
+      cursor++;
+    }
+    const point = points[cursor];
+    rates.push(point && daysBetween(point.date, date) <= MAX_CARRY_FORWARD_DAYS ? point.rate : null);
+  });
+
+  return rates;
+}
+
+module.exports = {
+  daysBetween,
+  parseRateCsv,
+  normalizeRatePoints,
+  alignDailyRates
+};
@@ -0,0 +1,194 @@
+/**
+ * Risk-Free Rate Service
+ *
+ * Serie diaria de tasas libres de riesgo por moneda en
+ * `riskFreeRates/{CURRENCY}/dates/{YYYY-MM-DD}`:
+ * - updateRiskFreeRates (programada) completa las monedas con fuente en
+ *   Yahoo Finance (USD: T-bills a 13 semanas)
+ * - importRiskFreeRates carga una serie desde un archivo CSV o un array
+ *   (COP: IBR, EUR: €STR, etc.)
+ * - getDailyRiskFreeRates devuelve la tasa vigente en cada fecha de los
+ *   retornos para Sharpe y Sortino
+ *
+ * @module services/riskFreeRates/riskFreeRateService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const { fetchYieldSeries } = require('./yahooRateSource');
+const { parseRateCsv, normalizeRatePoints, alignDailyRates } = require('./rateSeries');
+const {
+  RISK_FREE_RATES_COLLECTION,
+  RATE_SOURCES,
+  MAX_CARRY_FORWARD_DAYS,
+  INITIAL_UPDATE_DAYS,
+  WRITE_BATCH_SIZE
+} = require('./types');
+
+const db = admin.firestore();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Fecha actual en Nueva York (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getTodayNY() {
+  return DateTime.now().setZone('America/New_York').toISODate();
+}
+
+/**
+ * Suma días a una fecha YYYY-MM-DD
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDate(date, days) {
+  return DateTime.fromISO(date, { zone: 'utc' }).plus({ days }).toISODate();
+}
+
+/**
+ * @param {string} currency
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+function datesCollection(currency) {
+  return db.collection(RISK_FREE_RATES_COLLECTION).doc(currency).collection('dates');
+}
+
+// ============================================================================
+// ESCRITURA
+// ============================================================================
+
+/**
+ * Guarda observaciones de una moneda (reemplaza las fechas existentes)
+ *
+ * @param {string} currency - Código de moneda
+ * @param {Array<{date: string, rate: number}>} points - Tasas como decimal
+ * @param {Object} [options]
+ * @param {string} [options.source='import'] - Origen de las tasas
+ * @param {string} [options.name] - Descripción de la serie (T-bills, IBR, ...)
+ * @returns {Promise<{written: number, firstDate: string, lastDate: string}>}
+ * @throws {Error} Si la moneda o las tasas no son válidas
+ */
+async function saveRiskFreeRates(currency, points, { source = 'import', name } = {}) {
+  if (!CURRENCY_PATTERN.test(currency || '')) {
+    throw new Error(`Moneda inválida: ${currency}`);
+  }
+  const normalized = normalizeRatePoints(points);
+
+  for (let i = 0; i < normalized.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    normalized.slice(i, i + WRITE_BATCH_SIZE).forEach(({ date, rate }) => {
+      batch.set(datesCollection(currency).doc(date), { date, rate, source });
+    });
+    await batch.commit();
+  }
+
+  const lastDate = normalized[normalized.length - 1].date;
+  await db.collection(RISK_FREE_RATES_COLLECTION).doc(currency).set({
+    currency,
+    ...(name ? { name } : {}),
+    lastSource: source,
+    lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return { written: normalized.length, firstDate: normalized[0].date, lastDate };
+}
+
+/**
+ * Importa la serie de una moneda desde un CSV (`fecha,tasa%`) o un array
+ *
+ * @param {Object} params
+ * @param {string} params.currency - Código de moneda
+ * @param {string} [params.csv] - Contenido del archivo (tasa en %)
+ * @param {Array<{date: string, rate: number}>} [params.rates] - Tasas como decimal
+ * @param {string} [params.name] - Descripción de la serie
+ * @returns {Promise<Object>} Resumen, o {success: false, error, message}
+ */
+async function importRiskFreeRates({ currency, csv, rates, name } = {}) {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+
+  let points;
+  try {
+    if (csv !== undefined && rates !== undefined) {
+      throw new Error('Envía csv o rates, no ambos');
+    }
+    points = csv !== undefined ? parseRateCsv(csv) : rates;
+    const result = await saveRiskFreeRates(code, points, { source: 'import', name });
+
+    console.log(`[riskFreeRateService] Importadas ${result.written} tasas de ${code} (${result.firstDate}..${result.lastDate})`);
+    return { success: true, currency: code, ...result };
+  } catch (error) {
+    if (error.code) throw error;
+    return { success: false, error: 'INVALID_RATES', message: error.message };
+  }
+}
+
+/**
+ * Completa la serie de las monedas con fuente automática desde la última
+ * fecha guardada hasta hoy
+ *
+ * @param {Object} [options]
+ * @param {string} [options.endDate] - Fecha final (default: hoy NY)
+ * @param {function(string, string, string): Promise<Array<{date: string, rate: number}>>} [options.fetchSeries] - Fuente (tests)
+ * @returns {Promise<Object.<string, {written: number, startDate: string}|{error: string}>>} Resumen por moneda
+ */
+async function updateRiskFreeRates({ endDate = getTodayNY(), fetchSeries = fetchYieldSeries } = {}) {
+  const summary = {};
+
+  for (const [currency, { symbol, name }] of Object.entries(RATE_SOURCES)) {
+    try {
+      const latest = await datesCollection(currency).orderBy('date', 'desc').limit(1).get();
+      const startDate = latest.docs.length > 0
+        ? shiftDate(latest.docs[0].data().date, 1)
+        : shiftDate(endDate, -INITIAL_UPDATE_DAYS);
+
+      if (startDate > endDate) {
+        summary[currency] = { written: 0, startDate };
+        continue;
+      }
+
+      const series = await fetchSeries(symbol, startDate, endDate);
+      const written = series.length > 0
+        ? (await saveRiskFreeRates(currency, series, { source: 'yahoo', name })).written
+        : 0;
+      summary[currency] = { written, startDate };
+    } catch (error) {
+      console.error(`[riskFreeRateService] Error actualizando ${currency}:`, error.message);
+      summary[currency] = { error: error.message };
+    }
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// LECTURA
+// ============================================================================
+
+/**
+ * Tasa vigente en cada fecha de los retornos
+ *
+ * @param {string} currency - Moneda de reporte del portafolio
+ * @param {string[]} dates - Fechas de los retornos (ordenadas)
+ * @returns {Promise<Array<number|null>>} Tasa anual decimal por fecha; null sin dato
+ */
+async function getDailyRiskFreeRates(currency, dates) {
+  if (dates.length === 0) return [];
+
+  const snapshot = await datesCollection(currency)
+    .where('date', '>=', shiftDate(dates[0], -MAX_CARRY_FORWARD_DAYS))
+    .where('date', '<=', dates[dates.length - 1])
+    .orderBy('date', 'asc')
+    .get();
+
+  const points = snapshot.docs.map(doc => ({ date: doc.data().date, rate: doc.data().rate }));
+  return alignDailyRates(points, dates);
+}
+
+module.exports = {
+  saveRiskFreeRates,
+  importRiskFreeRates,
+  updateRiskFreeRates,
+  getDailyRiskFreeRates
+};
@@ -0,0 +1,82 @@
+/**
+ * Risk-Free Rates Types
+ *
+ * Tipos y constantes de la serie histórica de tasas libres de riesgo por
+ * moneda (`riskFreeRates/{CURRENCY}/dates/{YYYY-MM-DD}`). Las tasas se
+ * guardan anualizadas como decimal (0.0525 = 5.25%).
+ *
+ * @module services/riskFreeRates/types
+ */
+
+/**
+ * Observación diaria de la tasa (ID del documento = fecha)
+ * @typedef {Object} RiskFreeRatePoint
+ * @property {string} date - Fecha (YYYY-MM-DD)
+ * @property {number} rate - Tasa anualizada como decimal
+ * @property {string} [source] - Origen (yahoo, import)
+ */
+
+/**
+ * Tasa libre de riesgo de un período
+ * @typedef {Object} PeriodRiskFreeRate
+ * @property {number} rate - Tasa anualizada como decimal
+ * @property {string} currency - Moneda de la serie
+ * @property {'compounded' | 'average'} method - Cómo se agregaron las tasas diarias
+ * @property {'series' | 'partial' | 'default'} source - series = todos los días con dato,
+ *   partial = días sin dato completados con la tasa por defecto, default = sin serie
+ * @property {number} coveredDays - Días con tasa de la serie
+ * @property {number} totalDays - Días del período
+ */
+
+/** Colección de la serie */
+const RISK_FREE_RATES_COLLECTION = 'riskFreeRates';
+
+/**
+ * Fuentes automáticas por moneda (Yahoo Finance, rendimiento en %).
+ * Las monedas sin fuente (COP: IBR, EUR: €STR, etc.) se cargan desde un
+ * archivo con importRiskFreeRates o scripts/importRiskFreeRates.js.
+ */
+const RATE_SOURCES = {
+  USD: { symbol: '^IRX', name: 'US Treasury Bill 13 semanas' }
+};
+
+/** Formas de agregar las tasas diarias del período */
+const RISK_FREE_RATE_METHODS = ['compounded', 'average'];
+
+/** Método por defecto (consistente con el retorno anualizado compuesto) */
+const DEFAULT_RISK_FREE_RATE_METHOD = 'compounded';
+
+/**
+ * Días máximos que se arrastra la última tasa publicada. Cubre series
+ * mensuales (tasas de referencia de bancos centrales); una tasa más vieja se
+ * considera faltante.
+ */
+const MAX_CARRY_FORWARD_DAYS = 45;
+
+/** Días hacia atrás que revisa la actualización programada si no hay datos */
+const INITIAL_UPDATE_DAYS = 30;
+
+/** Máximo de filas por importación */
+const MAX_IMPORT_ROWS = 5000;
+
+/** Tasa anual máxima aceptada (decimal) */
+const MAX_ANNUAL_RATE = 1;
+
+/** Tasa anual mínima aceptada (decimal; admite tasas negativas) */
+const MIN_ANNUAL_RATE = -0.1;
+
+/** Máximo de escrituras por batch (límite Firestore: 500) */
+const WRITE_BATCH_SIZE = 450;
+
+module.exports = {
+  RISK_FREE_RATES_COLLECTION,
+  RATE_SOURCES,
+  RISK_FREE_RATE_METHODS,
+  DEFAULT_RISK_FREE_RATE_METHOD,
+  MAX_CARRY_FORWARD_DAYS,
+  INITIAL_UPDATE_DAYS,
+  MAX_IMPORT_ROWS,
+  MAX_ANNUAL_RATE,
+  MIN_ANNUAL_RATE,
+  WRITE_BATCH_SIZE
+};
@@ -0,0 +1,49 @@
+/**
+ * Yahoo Rate Source
+ *
+ * Cierres diarios de un rendimiento de Yahoo Finance (^IRX: T-bill a 13
+ * semanas, cotizado en %) para la actualización programada de riskFreeRates.
+ *
+ * @module services/riskFreeRates/yahooRateSource
+ */
+
+const fetch = require('node-fetch');
+
+/**
+ * Cierres diarios del rendimiento como tasa anual decimal
+ *
+ * @param {string} symbol - Ticker de Yahoo (^IRX)
+ * @param {string} startDate - Fecha inicial (YYYY-MM-DD, inclusive)
+ * @param {string} endDate - Fecha final (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array<{date: string, rate: number}>>} Vacío si no hay datos
+ */
+async function fetchYieldSeries(symbol, startDate, endDate) {
+  const period1 = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / 1000);
+  const period2 = Math.floor(Date.parse(`${endDate}T23:59:59Z`) / 1000);
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d`;
+
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+    const result = data?.chart?.result?.[0];
+    const timestamps = result?.timestamp || [];
+    const closes = result?.indicators?.quote?.[0]?.close || [];
+
+    const byDate = new Map();
+    timestamps.forEach((timestamp, index) => {
+      const percent = closes[index];
+      if (typeof percent !== 'number' || !isFinite(percent)) return;
+      const date = new Date(timestamp * 1000).toISOString().split('T')[0];
+      if (date >= startDate && date <= endDate) byDate.set(date, percent / 100);
+    });
+
+    return [...byDate.entries()].map(([date, rate]) => ({ date, rate }));
+  } catch (error) {
+    console.error(`[yahooRateSource] Error obteniendo serie de ${symbol}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  fetchYieldSeries
+};
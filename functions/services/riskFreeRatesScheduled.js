@@ -0,0 +1,46 @@
+/**
+ * Scheduled Function para la serie de tasas libres de riesgo
+ *
+ * Completa `riskFreeRates` para las monedas con fuente automática (USD:
+ * T-bills a 13 semanas desde Yahoo Finance) desde la última fecha guardada.
+ * Las demás monedas se cargan con la acción importRiskFreeRates o
+ * scripts/importRiskFreeRates.js.
+ *
+ * @module riskFreeRatesScheduled
+ * @see services/riskFreeRates
+ */
+
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { updateRiskFreeRates } = require('./riskFreeRates');
+
+/**
+ * Actualiza las tasas libres de riesgo del día
+ *
+ * Se ejecuta de lunes a viernes a las 18:00 ET (después del cierre)
+ */
+const updateRiskFreeRatesDaily = onSchedule(
+  {
+    schedule: '0 18 * * 1-5',
+    timeZone: 'America/New_York',
+    memory: '256MiB',
+    timeoutSeconds: 120,
+    retryCount: 2
+  },
+  async (event) => {
+    const startTime = Date.now();
+
+    try {
+      const summary = await updateRiskFreeRates();
+      console.log(`[updateRiskFreeRatesDaily] Completado`, { summary, durationMs: Date.now() - startTime });
+    } catch (error) {
+      console.error(`[updateRiskFreeRatesDaily] Error:`, error);
+      throw error; // Re-throw para activar retry
+    }
+
+    return null;
+  }
+);
+
+module.exports = {
+  updateRiskFreeRatesDaily
+};
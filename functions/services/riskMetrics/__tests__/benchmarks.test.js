@@ -0,0 +1,219 @@
+/**
+ * Tests para benchmarks configurables de services/riskMetrics
+ *
+ * Verifica la validación de benchmarks simples y combinados, la serie del
+ * combinado con rebalanceo diario, mensual o sin rebalanceo, la lectura de
+ * indexHistories y las preferencias por cuenta o portafolio.
+ *
+ * @module __tests__/services/riskMetrics/benchmarks.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  const OPERATORS = {
+    '==': (a, b) => a === b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b
+  };
+  const createDocRef = (path) => ({
+    get: jest.fn(async () => ({ id: path.split('/').pop(), exists: mockStore.has(path), data: () => mockStore.get(path) })),
+    set: jest.fn(async (data) => mockStore.set(path, data)),
+    delete: jest.fn(async () => mockStore.delete(path)),
+    collection: (name) => createCollection(`${path}/${name}`)
+  });
+  const createCollection = (path, filters = []) => ({
+    doc: (id) => createDocRef(`${path}/${id}`),
+    where: (field, op, value) => createCollection(path, [...filters, data => OPERATORS[op](data[field], value)]),
+    orderBy: () => createCollection(path, filters),
+    get: jest.fn(async () => ({
+      docs: [...mockStore.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(filter => filter(data)))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }))
+    }))
+  });
+  const firestore = jest.fn(() => ({ collection: (name) => createCollection(name) }));
+  firestore.FieldValue = { serverTimestamp: () => 'SERVER_TIMESTAMP' };
+  return { firestore };
+});
+
+const {
+  validateBenchmark,
+  parseBenchmarkParam,
+  getBenchmarkId,
+  getBenchmarkName,
+  blendReturns
+} = require('../benchmarkBlend');
+const { getMarketReturns, getBenchmarkReturn, clearAllCache } = require('../benchmarkCache');
+const {
+  setBenchmarkPreference,
+  listBenchmarkPreferences,
+  deleteBenchmarkPreference,
+  resolveBenchmark
+} = require('../benchmarkPreferences');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** A sube 10% el 31 de enero y el 2 de febrero; B sube 10% el 1 de febrero */
+const SERIES = new Map([
+  ['A', [
+    { date: '2024-01-31', dailyReturn: 0.10, indexValue: 110 },
+    { date: '2024-02-01', dailyReturn: 0, indexValue: 110 },
+    { date: '2024-02-02', dailyReturn: 0.10, indexValue: 121 },
+    { date: '2024-02-05', dailyReturn: 0.50, indexValue: 181.5 }
+  ]],
+  ['B', [
+    { date: '2024-01-31', dailyReturn: 0, indexValue: 50 },
+    { date: '2024-02-01', dailyReturn: 0.10, indexValue: 55 },
+    { date: '2024-02-02', dailyReturn: 0, indexValue: 55 }
+  ]]
+]);
+
+/**
+ * @param {string} rebalance
+ * @returns {number[]} Retornos diarios redondeados
+ */
+const blended = (rebalance) => blendReturns(SERIES, {
+  components: [{ code: 'A', weight: 50 }, { code: 'B', weight: 50 }],
+  rebalance
+}).map(point => parseFloat(point.dailyReturn.toFixed(6)));
+
+/**
+ * Guarda la serie de un índice en indexHistories
+ * @param {string} code
+ * @param {string} name
+ * @param {Array<[string, number]>} days - [fecha, percentChange]
+ */
+const seedIndex = (code, name, days) => {
+  mockStore.set(`indexHistories/${code}`, { code, name });
+  days.forEach(([date, percentChange]) => {
+    mockStore.set(`indexHistories/${code}/dates/${date}`, { date, percentChange, score: 100 });
+  });
+};
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('validateBenchmark', () => {
+  it('asume peso 100 para un índice simple y rebalanceo mensual', () => {
+    expect(validateBenchmark({ components: [{ code: ' GSPC ' }] }))
+      .toEqual({ components: [{ code: 'GSPC', weight: 100 }], rebalance: 'monthly' });
+  });
+
+  it('rechaza pesos que no suman 100, índices repetidos y frecuencias desconocidas', () => {
+    expect(() => validateBenchmark({ components: [{ code: 'GSPC', weight: 60 }, { code: 'AGG', weight: 30 }] }))
+      .toThrow('suman 90%');
+    expect(() => validateBenchmark({ components: [{ code: 'GSPC', weight: 50 }, { code: 'GSPC', weight: 50 }] }))
+      .toThrow('repetido');
+    expect(() => validateBenchmark({ components: [{ code: 'GSPC' }], rebalance: 'weekly' })).toThrow('rebalance');
+    expect(() => validateBenchmark({ components: [{ code: 'GSPC', weight: 60 }, { code: 'AGG' }] })).toThrow('peso de AGG');
+    expect(() => validateBenchmark({ components: [] })).toThrow('al menos un índice');
+  });
+
+  it('interpreta el parámetro HTTP y genera id y nombre', () => {
+    const benchmark = parseBenchmarkParam('GSPC:60,AGG:40', 'daily');
+
+    expect(benchmark).toEqual({ components: [{ code: 'GSPC', weight: 60 }, { code: 'AGG', weight: 40 }], rebalance: 'daily' });
+    expect(getBenchmarkId(benchmark)).toBe('GSPC:60,AGG:40@daily');
+    expect(getBenchmarkName({ ...benchmark, components: [{ ...benchmark.components[0], name: 'S&P 500' }, benchmark.components[1]] }))
+      .toBe('60% S&P 500 / 40% AGG');
+    expect(getBenchmarkId(parseBenchmarkParam('DJI'))).toBe('DJI');
+  });
+});
+
+describe('blendReturns', () => {
+  it('usa solo las fechas con dato en todos los índices', () => {
+    expect(blended('daily')).toHaveLength(3);
+  });
+
+  it('con rebalanceo diario pondera los retornos de cada día', () => {
+    expect(blended('daily')).toEqual([0.05, 0.05, 0.05]);
+    const [, , last] = blendReturns(SERIES, { components: [{ code: 'A', weight: 50 }, { code: 'B', weight: 50 }], rebalance: 'daily' });
+    expect(last.indexValue).toBeCloseTo(100 * 1.05 ** 3, 8);
+  });
+
+  it('con rebalanceo mensual vuelve a los pesos objetivo al cambiar de mes', () => {
+    // El 1 de febrero se rebalancea a 50/50; el 2 de febrero B ya pesa más
+    expect(blended('monthly')).toEqual([0.05, 0.05, 0.047619]);
+  });
+
+  it('sin rebalanceo los pesos derivan con cada índice', () => {
+    expect(blended('none')).toEqual([0.05, 0.047619, 0.05]);
+  });
+
+  it('devuelve la serie del índice cuando hay un solo componente', () => {
+    expect(blendReturns(SERIES, { components: [{ code: 'A', weight: 100 }], rebalance: 'monthly' })).toBe(SERIES.get('A'));
+  });
+});
+
+describe('benchmarkCache', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    clearAllCache();
+    seedIndex('GSPC', 'S&P 500', [['2024-03-01', 1], ['2024-03-04', -2], ['2024-03-05', 3]]);
+    seedIndex('AGG', 'US Aggregate Bond', [['2024-03-01', 0.5], ['2024-03-04', 0.5], ['2024-03-05', 0]]);
+  });
+
+  it('lee el S&P 500 por defecto', async () => {
+    const returns = await getMarketReturns('2024-03-01', '2024-03-04');
+    expect(returns.map(point => [point.date, point.dailyReturn])).toEqual([['2024-03-01', 0.01], ['2024-03-04', -0.02]]);
+  });
+
+  it('calcula el retorno acumulado de un combinado', async () => {
+    const benchmark = parseBenchmarkParam('GSPC:60,AGG:40', 'daily');
+    const returns = await getMarketReturns('2024-03-01', '2024-03-05', benchmark);
+
+    expect(returns.map(point => parseFloat(point.dailyReturn.toFixed(4)))).toEqual([0.008, -0.01, 0.018]);
+    expect(await getBenchmarkReturn('2024-03-01', '2024-03-05', benchmark))
+      .toBeCloseTo((1.008 * 0.99 * 1.018 - 1) * 100, 8);
+  });
+});
+
+describe('benchmarkPreferences', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockStore.set('portfolioAccounts/acc1', { userId: 'user1', isActive: true });
+    mockStore.set('portfolioAccounts/acc9', { userId: 'user2', isActive: true });
+    seedIndex('GSPC', 'S&P 500', []);
+    seedIndex('AGG', 'US Aggregate Bond', []);
+  });
+
+  it('guarda el nombre de cada índice y rechaza índices o cuentas desconocidos', async () => {
+    const preference = await setBenchmarkPreference('user1', {
+      accountId: 'acc1',
+      components: [{ code: 'GSPC', weight: 60 }, { code: 'AGG', weight: 40 }]
+    });
+
+    expect(preference).toEqual({
+      id: 'user1_acc1',
+      userId: 'user1',
+      accountId: 'acc1',
+      components: [{ code: 'GSPC', weight: 60, name: 'S&P 500' }, { code: 'AGG', weight: 40, name: 'US Aggregate Bond' }],
+      rebalance: 'monthly'
+    });
+    await expect(setBenchmarkPreference('user1', { components: [{ code: 'NOPE' }] })).rejects.toThrow('no encontrado');
+    await expect(setBenchmarkPreference('user1', { accountId: 'acc9', components: [{ code: 'GSPC' }] })).rejects.toThrow('no existe');
+  });
+
+  it('resuelve la preferencia de la cuenta, luego la del portafolio y luego el S&P 500', async () => {
+    expect(await resolveBenchmark('user1', ['acc1'])).toMatchObject({ source: 'default', benchmark: { components: [{ code: 'GSPC' }] } });
+
+    await setBenchmarkPreference('user1', { components: [{ code: 'AGG' }] });
+    expect(await resolveBenchmark('user1', ['acc1'])).toMatchObject({ source: 'overall', benchmark: { components: [{ code: 'AGG' }] } });
+
+    await setBenchmarkPreference('user1', { accountId: 'acc1', components: [{ code: 'GSPC', weight: 70 }, { code: 'AGG', weight: 30 }], rebalance: 'none' });
+    expect(await resolveBenchmark('user1', ['acc1'])).toMatchObject({ source: 'account', benchmark: { rebalance: 'none' } });
+    // Varias cuentas usan la del portafolio completo
+    expect(await resolveBenchmark('user1', ['acc1', 'acc2'])).toMatchObject({ source: 'overall' });
+
+    expect((await listBenchmarkPreferences('user1')).map(p => p.id)).toEqual(['user1_overall', 'user1_acc1']);
+    expect(await deleteBenchmarkPreference('user1', 'acc1')).toBe(true);
+    expect(await deleteBenchmarkPreference('user2', null)).toBe(false);
+  });
+});
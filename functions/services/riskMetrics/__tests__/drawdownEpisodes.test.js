@@ -0,0 +1,148 @@
+/**
+ * Tests para los episodios de drawdown de services/riskMetrics
+ *
+ * Verifica la detección de episodios sobre la curva de
+ * calculateDrawdownHistory (pico, valle, recuperación o abierto), el umbral
+ * de profundidad y la medición del benchmark en la misma ventana.
+ *
+ * @module __tests__/services/riskMetrics/drawdownEpisodes.test
+ */
+
+jest.mock('../multiAccountAggregator', () => ({
+  aggregateMultiAccountData: jest.fn(),
+  determineStrategy: jest.fn(() => 'overall')
+}));
+jest.mock('../benchmarkCache', () => ({
+  getMarketReturns: jest.fn(),
+  getRiskFreeRate: jest.fn(async () => 0.05),
+  getRiskFreeRateSeries: jest.fn(async (currency, dates) => dates.map(() => null))
+}));
+jest.mock('../benchmarkPreferences', () => ({
+  resolveBenchmark: jest.fn(async () => ({
+    benchmark: { components: [{ code: 'GSPC', weight: 100, name: 'S&P 500' }], rebalance: 'monthly' },
+    source: 'default'
+  }))
+}));
+
+const { findDrawdownEpisodes, analyzeDrawdownEpisodes } = require('../drawdownEpisodes');
+const { calculateDrawdownHistory } = require('../mathCalculations');
+const { calculateDrawdownEpisodes } = require('../riskMetricsService');
+const { aggregateMultiAccountData } = require('../multiAccountAggregator');
+const { getMarketReturns } = require('../benchmarkCache');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const DATES = ['2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07',
+  '2024-03-08', '2024-03-11', '2024-03-12', '2024-03-13'];
+
+/**
+ * Convierte una serie de valores (base 100) en retornos diarios
+ * @param {number[]} values
+ * @returns {Array<{date: string, dailyReturn: number}>}
+ */
+function toReturns(values) {
+  return values.map((value, i) => ({ date: DATES[i], dailyReturn: value / (i === 0 ? 100 : values[i - 1]) - 1 }));
+}
+
+/** Cae 10% y recupera con un nuevo máximo; luego cae 5.2% y sigue abierto */
+const PORTFOLIO = toReturns([100, 110, 99, 104.5, 111, 115, 112, 109, 113]);
+
+/** Cae 10% del 1 al 6 de marzo y recupera el 8 */
+const MARKET = toReturns([100, 100, 95, 90, 99, 102, 102, 100, 101]);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('findDrawdownEpisodes', () => {
+  it('lista pico, valle, profundidad, recuperación y días de cada episodio', () => {
+    const episodes = findDrawdownEpisodes(calculateDrawdownHistory(PORTFOLIO), 5);
+
+    expect(episodes).toHaveLength(2);
+    expect(episodes[0]).toMatchObject({
+      peakDate: '2024-03-04',
+      troughDate: '2024-03-05',
+      daysToTrough: 1,
+      recoveryDate: '2024-03-07',
+      daysToRecover: 2,
+      durationDays: 3,
+      isOpen: false
+    });
+    expect(episodes[0].depth).toBeCloseTo(-10, 8);
+    expect(episodes[1]).toMatchObject({
+      peakDate: '2024-03-08',
+      troughDate: '2024-03-12',
+      daysToTrough: 2,
+      recoveryDate: null,
+      daysToRecover: null,
+      durationDays: 3,
+      isOpen: true
+    });
+    expect(episodes[1].depth).toBeCloseTo(-5.217391, 5);
+  });
+
+  it('omite los episodios menos profundos que el umbral', () => {
+    const history = calculateDrawdownHistory(PORTFOLIO);
+
+    expect(findDrawdownEpisodes(history, 6).map(e => e.peakDate)).toEqual(['2024-03-04']);
+    expect(findDrawdownEpisodes(history, 1)).toHaveLength(2);
+    expect(findDrawdownEpisodes([], 5)).toEqual([]);
+  });
+});
+
+describe('analyzeDrawdownEpisodes', () => {
+  it('mide el benchmark en la ventana de cada episodio y analiza sus propios episodios', () => {
+    const { portfolio, benchmark } = analyzeDrawdownEpisodes(PORTFOLIO, MARKET, 5);
+
+    expect(portfolio.maxDrawdown).toBeCloseTo(-10, 8);
+    expect(portfolio.episodes[0].benchmark.returnToTrough).toBeCloseTo(-5, 8);
+    expect(portfolio.episodes[0].benchmark.maxDrawdown).toBeCloseTo(-10, 8);
+    expect(portfolio.episodes[1].benchmark.returnToTrough).toBeCloseTo(-1.960784, 5);
+
+    expect(benchmark.episodes).toHaveLength(1);
+    expect(benchmark.episodes[0]).toMatchObject({
+      peakDate: '2024-03-01',
+      troughDate: '2024-03-06',
+      daysToTrough: 3,
+      recoveryDate: '2024-03-08',
+      daysToRecover: 2
+    });
+  });
+
+  it('no mide el benchmark si no tiene dato en el pico del episodio', () => {
+    const { portfolio } = analyzeDrawdownEpisodes(PORTFOLIO, MARKET.slice(5), 5);
+
+    expect(portfolio.episodes[0].benchmark).toBeNull();
+    expect(portfolio.episodes[1].benchmark).not.toBeNull();
+  });
+});
+
+describe('calculateDrawdownEpisodes', () => {
+  it('devuelve los episodios redondeados con el benchmark usado', async () => {
+    aggregateMultiAccountData.mockResolvedValue({
+      strategy: 'overall',
+      dailyReturns: PORTFOLIO.map(d => d.dailyReturn),
+      dailyData: PORTFOLIO.map(d => ({ date: d.date, return: d.dailyReturn, value: 1000 })),
+      metadata: { accountsIncluded: ['overall'], aggregationMethod: 'direct' }
+    });
+    getMarketReturns.mockResolvedValue(MARKET);
+
+    const result = await calculateDrawdownEpisodes('user-1', { period: 'ALL', threshold: 5 });
+
+    expect(result.success).toBe(true);
+    expect(result.portfolio.episodes[1]).toMatchObject({ depth: -5.22, isOpen: true, benchmark: { returnToTrough: -1.96 } });
+    expect(result.benchmark.maxDrawdown).toBe(-10);
+    expect(result.benchmark.episodes[0]).not.toHaveProperty('benchmark');
+    expect(result.metadata).toMatchObject({ threshold: 5, benchmark: { id: 'GSPC' } });
+  });
+
+  it('devuelve INSUFFICIENT_DATA si el agregador no encuentra datos', async () => {
+    aggregateMultiAccountData.mockRejectedValue(new Error('INSUFFICIENT_DATA: no hay datos'));
+    getMarketReturns.mockResolvedValue(MARKET);
+
+    expect(await calculateDrawdownEpisodes('user-1', { period: 'ALL' }))
+      .toMatchObject({ success: false, error: 'INSUFFICIENT_DATA' });
+  });
+});
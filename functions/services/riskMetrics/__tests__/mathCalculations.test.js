@@ -0,0 +1,125 @@
+/**
+ * Tests para las métricas extendidas de services/riskMetrics/mathCalculations
+ *
+ * Los valores de referencia se calcularon aparte para la misma serie
+ * (asimetría y curtosis con las fórmulas muestrales de SKEW y KURT de Excel).
+ *
+ * @module __tests__/services/riskMetrics/mathCalculations.test
+ */
+
+const {
+  calculateCVaR,
+  calculateVaR95,
+  calculateSkewness,
+  calculateKurtosis,
+  calculateParametricVaR,
+  calculateCornishFisherVaR,
+  calculateMaxDrawdownFromReturns,
+  calculateCalmarRatio,
+  calculateTreynorRatio,
+  calculateOmegaRatio,
+  calculateTrackingError,
+  calculateInformationRatio,
+  calculateCaptureRatios,
+  calculateAllMetrics
+} = require('../mathCalculations');
+const { MIN_DAYS_FOR_METRICS } = require('../types');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** Mercado: onda de ±1% diario */
+const MARKET = Array.from({ length: 40 }, (_, i) => 0.01 * Math.sin(i * 0.7));
+
+/** Portafolio: 1.2x el mercado, ruido y una caída de 3% el día 7 */
+const PORTFOLIO = MARKET.map((m, i) => 1.2 * m + 0.002 * Math.cos(i * 1.3) + (i === 7 ? -0.03 : 0));
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('métricas de cola', () => {
+  it('calcula CVaR como el promedio de los días en o bajo el VaR', () => {
+    expect(calculateCVaR(PORTFOLIO, 0.95)).toBeCloseTo(-2.231608, 5);
+    expect(calculateCVaR(PORTFOLIO, 0.99)).toBeCloseTo(-4.368487, 5);
+    expect(calculateCVaR(PORTFOLIO, 0.95)).toBeLessThanOrEqual(calculateVaR95(PORTFOLIO));
+    expect(calculateCVaR([], 0.95)).toBe(0);
+  });
+
+  it('calcula asimetría y curtosis en exceso muestrales', () => {
+    expect(calculateSkewness(PORTFOLIO)).toBeCloseTo(-1.567989, 5);
+    expect(calculateKurtosis(PORTFOLIO)).toBeCloseTo(4.988850, 5);
+    expect(calculateSkewness([0.01, 0.01, 0.01])).toBe(0);
+  });
+
+  it('ajusta el VaR paramétrico con Cornish-Fisher ante colas pesadas', () => {
+    expect(calculateParametricVaR(PORTFOLIO, 0.95)).toBeCloseTo(-1.795456, 5);
+    expect(calculateCornishFisherVaR(PORTFOLIO, 0.95)).toBeCloseTo(-2.123079, 5);
+    expect(calculateParametricVaR(PORTFOLIO, 0.99)).toBeLessThan(calculateParametricVaR(PORTFOLIO, 0.95));
+  });
+});
+
+describe('ratios de rendimiento ajustado', () => {
+  it('calcula Calmar con el máximo drawdown de la serie', () => {
+    expect(calculateMaxDrawdownFromReturns(PORTFOLIO)).toBeCloseTo(-6.403022, 5);
+    expect(calculateCalmarRatio(12, -6)).toBe(2);
+    expect(calculateCalmarRatio(12, 0)).toBe(0);
+  });
+
+  it('calcula Treynor con el exceso sobre la tasa libre de riesgo', () => {
+    expect(calculateTreynorRatio(12, 1.5, 4)).toBeCloseTo(5.333333, 5);
+    expect(calculateTreynorRatio(12, 0, 4)).toBe(0);
+  });
+
+  it('calcula Omega y devuelve null sin pérdidas', () => {
+    expect(calculateOmegaRatio(PORTFOLIO)).toBeCloseTo(1.018618, 5);
+    expect(calculateOmegaRatio([0.01, 0.02])).toBeNull();
+  });
+});
+
+describe('métricas relativas al benchmark', () => {
+  it('calcula tracking error e information ratio del retorno activo', () => {
+    expect(calculateTrackingError(PORTFOLIO, MARKET)).toBeCloseTo(9.091709, 5);
+    expect(calculateInformationRatio(PORTFOLIO, MARKET)).toBeCloseTo(-1.554504, 5);
+    expect(calculateInformationRatio(MARKET, MARKET)).toBe(0);
+  });
+
+  it('calcula up y down capture', () => {
+    const { upCapture, downCapture } = calculateCaptureRatios(PORTFOLIO, MARKET);
+    expect(upCapture).toBeCloseTo(118.471610, 5);
+    expect(downCapture).toBeCloseTo(144.073319, 5);
+    expect(calculateCaptureRatios([0.01], [0.02])).toEqual({ upCapture: 50, downCapture: null });
+  });
+});
+
+describe('calculateAllMetrics', () => {
+  it('incluye las métricas extendidas con suficientes días', () => {
+    const metrics = calculateAllMetrics(PORTFOLIO, PORTFOLIO, MARKET, { riskFreeRate: 0.055 });
+
+    expect(metrics.cvar95).toBeCloseTo(-2.231608, 5);
+    expect(metrics.calmarRatio).toBeCloseTo(0.071507, 5);
+    expect(metrics.treynorRatio).toBeCloseTo(calculateTreynorRatio(metrics.annualizedReturn, metrics.beta, 5.5), 10);
+    expect(metrics.upCaptureRatio).toBeCloseTo(118.471610, 5);
+    expect(metrics.kurtosis).toBeCloseTo(4.988850, 5);
+  });
+
+  it('devuelve null por debajo de MIN_DAYS_FOR_METRICS', () => {
+    const short = PORTFOLIO.slice(0, MIN_DAYS_FOR_METRICS - 1);
+    const metrics = calculateAllMetrics(short, short, MARKET.slice(0, MIN_DAYS_FOR_METRICS - 1));
+
+    expect(metrics.cvar95).toBeNull();
+    expect(metrics.cornishFisherVaR99).toBeNull();
+    expect(metrics.informationRatio).toBeNull();
+    expect(metrics.downCaptureRatio).toBeNull();
+    expect(metrics.valueAtRisk95).not.toBeNull();
+  });
+
+  it('calcula las métricas propias aunque falten datos del benchmark', () => {
+    const metrics = calculateAllMetrics(PORTFOLIO, PORTFOLIO.slice(0, 10), MARKET.slice(0, 10));
+
+    expect(metrics.omegaRatio).toBeCloseTo(1.018618, 5);
+    expect(metrics.trackingError).toBeNull();
+    expect(metrics.treynorRatio).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests para las series móviles de services/riskMetrics
+ *
+ * Verifica que cada punto reproduzca las métricas de su ventana, que beta y
+ * correlación se omitan sin suficientes días del benchmark, la validación de
+ * ventanas y el cache por usuario y ventana.
+ *
+ * @module __tests__/services/riskMetrics/rollingMetrics.test
+ */
+
+jest.mock('../multiAccountAggregator', () => ({
+  aggregateMultiAccountData: jest.fn(),
+  determineStrategy: jest.fn(() => 'overall')
+}));
+jest.mock('../benchmarkCache', () => ({
+  getMarketReturns: jest.fn(),
+  getRiskFreeRate: jest.fn(async () => 0.05),
+  getRiskFreeRateSeries: jest.fn(async (currency, dates) => dates.map(() => null))
+}));
+jest.mock('../benchmarkPreferences', () => ({
+  resolveBenchmark: jest.fn(async () => ({
+    benchmark: { components: [{ code: 'GSPC', weight: 100, name: 'S&P 500' }], rebalance: 'monthly' },
+    source: 'default'
+  }))
+}));
+
+const { calculateRollingSeries, parseRollingWindows } = require('../rollingMetrics');
+const { calculateAllMetrics } = require('../mathCalculations');
+const { calculateRollingRiskMetrics } = require('../riskMetricsService');
+const { aggregateMultiAccountData } = require('../multiAccountAggregator');
+const { getMarketReturns } = require('../benchmarkCache');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** 40 días hábiles desde el 1 de enero de 2024 */
+const DATES = Array.from({ length: 40 }, (_, i) => {
+  const date = new Date(Date.UTC(2024, 0, 1 + i + 2 * Math.floor(i / 5)));
+  return date.toISOString().split('T')[0];
+});
+
+const MARKET = DATES.map((date, i) => ({ date, dailyReturn: 0.01 * Math.sin(i * 0.7) }));
+
+const DAILY_DATA = MARKET.map((m, i) => ({
+  date: m.date,
+  return: 1.5 * m.dailyReturn + 0.002 * Math.cos(i * 1.3),
+  value: 1000
+}));
+
+const MARKET_BY_DATE = new Map(MARKET.map(d => [d.date, d.dailyReturn]));
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('calculateRollingSeries', () => {
+  it('devuelve un punto por día con las métricas de su ventana', () => {
+    const points = calculateRollingSeries(DAILY_DATA, MARKET_BY_DATE, 10, { riskFreeRate: 0.05 });
+
+    expect(points).toHaveLength(31);
+    expect(points[0].date).toBe(DATES[9]);
+
+    const window = DAILY_DATA.slice(5, 15).map(d => d.return);
+    const expected = calculateAllMetrics(window, window, MARKET.slice(5, 15).map(d => d.dailyReturn), { riskFreeRate: 0.05 });
+    expect(points[5]).toEqual({
+      date: DATES[14],
+      return: expected.totalReturn,
+      volatility: expected.volatility,
+      sharpeRatio: expected.sharpeRatio,
+      beta: expected.beta,
+      correlation: expected.correlation
+    });
+    expect(points[5].correlation).toBeGreaterThan(0.9);
+  });
+
+  it('omite beta y correlación si faltan días del benchmark en la ventana', () => {
+    const sparseMarket = new Map([...MARKET_BY_DATE].filter((_, i) => i % 3 !== 0));
+    const points = calculateRollingSeries(DAILY_DATA, sparseMarket, 10);
+
+    expect(points.every(p => p.beta === null && p.correlation === null)).toBe(true);
+    expect(points[0].volatility).toBeGreaterThan(0);
+  });
+
+  it('usa la tasa libre de riesgo de los días de cada ventana', () => {
+    const rates = [...Array(20).fill(0.10), ...Array(20).fill(0)];
+    const [withRates] = calculateRollingSeries(DAILY_DATA, MARKET_BY_DATE, 10, {
+      riskFreeRate: 0.05,
+      dailyRiskFreeRates: rates,
+      riskFreeRateMethod: 'average'
+    });
+    const [withDefault] = calculateRollingSeries(DAILY_DATA, MARKET_BY_DATE, 10, { riskFreeRate: 0.05 });
+
+    expect(withRates.sharpeRatio).toBeCloseTo(withDefault.sharpeRatio - 5 / withDefault.volatility, 10);
+  });
+
+  it('filtra los puntos anteriores a fromDate y no devuelve nada sin una ventana completa', () => {
+    expect(calculateRollingSeries(DAILY_DATA, MARKET_BY_DATE, 10, { fromDate: DATES[30] })[0].date).toBe(DATES[30]);
+    expect(calculateRollingSeries(DAILY_DATA.slice(0, 9), MARKET_BY_DATE, 10)).toEqual([]);
+  });
+});
+
+describe('parseRollingWindows', () => {
+  it('usa 30, 90 y 252 por defecto y ordena sin duplicados', () => {
+    expect(parseRollingWindows()).toEqual([30, 90, 252]);
+    expect(parseRollingWindows('90, 30,90')).toEqual([30, 90]);
+  });
+
+  it('rechaza ventanas fuera de rango o demasiadas', () => {
+    expect(() => parseRollingWindows('5')).toThrow('Ventana inválida: 5');
+    expect(() => parseRollingWindows('30.5')).toThrow('Ventana inválida');
+    expect(() => parseRollingWindows('10,20,30,40,50,60')).toThrow('Máximo 5');
+  });
+});
+
+describe('calculateRollingRiskMetrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aggregateMultiAccountData.mockResolvedValue({
+      strategy: 'overall',
+      dailyReturns: DAILY_DATA.map(d => d.return),
+      dailyData: DAILY_DATA,
+      metadata: { accountsIncluded: ['overall'], aggregationMethod: 'direct' }
+    });
+    getMarketReturns.mockResolvedValue(MARKET);
+  });
+
+  it('pide historial previo para completar la ventana y cachea por usuario y ventana', async () => {
+    const first = await calculateRollingRiskMetrics('user-1', { period: 'ALL', windows: [10, 20] });
+
+    expect(first.success).toBe(true);
+    expect(first.series.map(s => [s.window, s.points.length])).toEqual([[10, 31], [20, 21]]);
+    expect(first.series[0].points[0]).toMatchObject({ date: DATES[9], beta: expect.any(Number) });
+    expect(aggregateMultiAccountData.mock.calls[0][2] < '2000-01-01').toBe(true);
+    expect(first.metadata.benchmark).toMatchObject({ id: 'GSPC', source: 'default' });
+
+    const second = await calculateRollingRiskMetrics('user-1', { period: 'ALL', windows: [10, 20] });
+    expect(aggregateMultiAccountData).toHaveBeenCalledTimes(1);
+    expect(second.series).toEqual(first.series);
+    expect(second.metadata.cachedWindows).toEqual([10, 20]);
+
+    await calculateRollingRiskMetrics('user-2', { period: 'ALL', windows: [10] });
+    expect(aggregateMultiAccountData).toHaveBeenCalledTimes(2);
+  });
+
+  it('devuelve INSUFFICIENT_DATA si ninguna ventana tiene puntos', async () => {
+    const result = await calculateRollingRiskMetrics('user-3', { period: 'ALL', windows: [60] });
+
+    expect(result).toMatchObject({ success: false, error: 'INSUFFICIENT_DATA' });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Benchmark Blend
+ *
+ * Funciones puras para benchmarks configurables: validación de la
+ * definición (un índice o una combinación ponderada de índices de
+ * indexHistories) y construcción de la serie de retornos diarios del
+ * combinado con rebalanceo diario, mensual o sin rebalanceo.
+ *
+ * @module services/riskMetrics/benchmarkBlend
+ */
+
+const {
+  DEFAULT_BENCHMARK,
+  BENCHMARK_REBALANCE_FREQUENCIES,
+  MAX_BENCHMARK_COMPONENTS
+} = require('./types');
+
+/** Formato de código de índice en indexHistories (GSPC, .INX, ^IXIC, IBEX_35) */
+const INDEX_CODE_PATTERN = /^[A-Za-z0-9.^_-]{1,20}$/;
+
+/** Tolerancia para la suma de pesos (puntos porcentuales) */
+const WEIGHT_TOLERANCE = 0.01;
+
+/**
+ * Valida y normaliza la definición de un benchmark
+ *
+ * Un solo índice puede omitir el peso (se asume 100). En un combinado los
+ * pesos deben sumar 100.
+ *
+ * @param {Object} data
+ * @param {Array<{code: string, weight?: number, name?: string}>} data.components
+ * @param {string} [data.rebalance='monthly']
+ * @returns {import('./types').BenchmarkDefinition}
+ * @throws {Error} Si la definición no es válida
+ */
+function validateBenchmark(data) {
+  const { components, rebalance = DEFAULT_BENCHMARK.rebalance } = data || {};
+
+  if (!Array.isArray(components) || components.length === 0) {
+    throw new Error('components debe tener al menos un índice');
+  }
+  if (components.length > MAX_BENCHMARK_COMPONENTS) {
+    throw new Error(`Máximo ${MAX_BENCHMARK_COMPONENTS} índices por benchmark`);
+  }
+  if (!BENCHMARK_REBALANCE_FREQUENCIES.includes(rebalance)) {
+    throw new Error(`rebalance debe ser uno de: ${BENCHMARK_REBALANCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const seen = new Set();
+  const normalized = components.map(component => {
+    const code = typeof component?.code === 'string' ? component.code.trim() : '';
+    if (!INDEX_CODE_PATTERN.test(code)) {
+      throw new Error(`Código de índice inválido: ${component?.code}`);
+    }
+    if (seen.has(code)) {
+      throw new Error(`Índice repetido: ${code}`);
+    }
+    seen.add(code);
+
+    const weight = component.weight === undefined && components.length === 1 ? 100 : component.weight;
+    if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0 || weight > 100) {
+      throw new Error(`El peso de ${code} debe estar entre 0 y 100`);
+    }
+
+    return component.name ? { code, weight, name: String(component.name) } : { code, weight };
+  });
+
+  const totalWeight = normalized.reduce((sum, component) => sum + component.weight, 0);
+  if (Math.abs(totalWeight - 100) > WEIGHT_TOLERANCE) {
+    throw new Error(`Los pesos suman ${parseFloat(totalWeight.toFixed(2))}%, deben sumar 100%`);
+  }
+
+  return { components: normalized, rebalance };
+}
+
+/**
+ * Interpreta el parámetro `benchmark` de las rutas HTTP
+ *
+ * Formatos: "GSPC" (índice simple) o "GSPC:60,AGG:40" (combinado).
+ *
+ * @param {string} value
+ * @param {string} [rebalance] - Frecuencia de rebalanceo del combinado
+ * @returns {import('./types').BenchmarkDefinition}
+ * @throws {Error} Si el formato o la definición no son válidos
+ */
+function parseBenchmarkParam(value, rebalance) {
+  const components = String(value).split(',').map(part => {
+    const [code, weight] = part.split(':');
+    return {
+      code,
+      weight: weight === undefined ? undefined : Number(weight)
+    };
+  });
+
+  return validateBenchmark({ components, rebalance: rebalance || undefined });
+}
+
+/**
+ * Identificador estable del benchmark (para claves de cache)
+ * @param {import('./types').BenchmarkDefinition} benchmark
+ * @returns {string} "GSPC" o "GSPC:60,AGG:40@monthly"
+ */
+function getBenchmarkId(benchmark) {
+  const { components, rebalance } = benchmark;
+  if (components.length === 1) return components[0].code;
+
+  const parts = components.map(component => `${component.code}:${component.weight}`);
+  return `${parts.join(',')}@${rebalance}`;
+}
+
+/**
+ * Nombre legible del benchmark
+ * @param {import('./types').BenchmarkDefinition} benchmark
+ * @returns {string} "S&P 500" o "60% S&P 500 / 40% AGG"
+ */
+function getBenchmarkName(benchmark) {
+  const { components } = benchmark;
+  if (components.length === 1) return components[0].name || components[0].code;
+
+  return components
+    .map(component => `${parseFloat(component.weight.toFixed(2))}% ${component.name || component.code}`)
+    .join(' / ');
+}
+
+/**
+ * Combina las series diarias de los índices en la serie del benchmark
+ *
+ * Solo usa las fechas con dato en todos los índices. Con rebalanceo
+ * mensual los pesos vuelven al objetivo el primer día de cada mes; sin
+ * rebalanceo derivan con el rendimiento de cada índice (buy & hold).
+ * `indexValue` es un índice sintético con base 100 cuando hay más de un
+ * componente.
+ *
+ * @param {Map<string, Array<{date: string, dailyReturn: number, indexValue: number}>>} seriesByCode
+ * @param {import('./types').BenchmarkDefinition} benchmark
+ * @returns {Array<{date: string, dailyReturn: number, indexValue: number}>}
+ */
+function blendReturns(seriesByCode, benchmark) {
+  const { components, rebalance } = benchmark;
+
+  if (components.length === 1) {
+    return seriesByCode.get(components[0].code) || [];
+  }
+
+  const returnsByCode = components.map(component => new Map(
+    (seriesByCode.get(component.code) || []).map(point => [point.date, point.dailyReturn])
+  ));
+  const dates = [...returnsByCode[0].keys()]
+    .filter(date => returnsByCode.every(returns => returns.has(date)))
+    .sort();
+
+  const targetWeights = components.map(component => component.weight / 100);
+  let holdings = [...targetWeights];
+  let indexValue = 100;
+  let previousMonth = null;
+
+  return dates.map(date => {
+    const month = date.substring(0, 7);
+    if (rebalance === 'daily' || (rebalance === 'monthly' && previousMonth !== null && month !== previousMonth)) {
+      const total = holdings.reduce((sum, value) => sum + value, 0);
+      holdings = targetWeights.map(weight => weight * total);
+    }
+    previousMonth = month;
+
+    const before = holdings.reduce((sum, value) => sum + value, 0);
+    holdings = holdings.map((value, i) => value * (1 + returnsByCode[i].get(date)));
+    const after = holdings.reduce((sum, value) => sum + value, 0);
+
+    const dailyReturn = before > 0 ? after / before - 1 : 0;
+    indexValue *= 1 + dailyReturn;
+
+    return { date, dailyReturn, indexValue };
+  });
+}
+
+/**
+ * Retorno acumulado de una serie de retornos diarios
+ * @param {Array<{dailyReturn: number}>} returns
+ * @returns {number} Retorno en % (5.2 = 5.2%)
+ */
+function calculateCumulativeReturn(returns) {
+  const growth = returns.reduce((acc, point) => acc * (1 + point.dailyReturn), 1);
+  return (growth - 1) * 100;
+}
+
+module.exports = {
+  validateBenchmark,
+  parseBenchmarkParam,
+  getBenchmarkId,
+  getBenchmarkName,
+  blendReturns,
+  calculateCumulativeReturn
+};
@@ -1,8 +1,8 @@
 /**
  * Benchmark Cache Manager
  * 
- * Maneja el cache de datos de benchmark (S&P 500, sector weights) para
- * evitar queries repetidas a Firestore.
+ * Maneja el cache de datos de benchmark (índices de indexHistories, sector
+ * weights) para evitar queries repetidas a Firestore.
  * 
  * @module services/riskMetrics/benchmarkCache
  * @see docs/stories/36.story.md
@@ -10,7 +10,9 @@
 
 const NodeCache = require('node-cache');
 const admin = require('../firebaseAdmin');
-const { CACHE_KEYS, CACHE_TTL, DEFAULT_BENCHMARKS } = require('./types');
+const { CACHE_KEYS, CACHE_TTL, DEFAULT_BENCHMARKS, DEFAULT_BENCHMARK } = require('./types');
+const { blendReturns, calculateCumulativeReturn } = require('./benchmarkBlend');
+const { getDailyRiskFreeRates } = require('../riskFreeRates');
 
 const db = admin.firestore();
 
@@ -21,25 +23,26 @@ const cache = new NodeCache({
 });
 
 /**
- * Obtiene datos de retornos del S&P 500 para un período
+ * Obtiene los retornos diarios de un índice de indexHistories
+ * @param {string} code - Código del índice
  * @param {string} startDate - Fecha inicio (YYYY-MM-DD)
  * @param {string} endDate - Fecha fin (YYYY-MM-DD)
  * @returns {Promise<Array<{date: string, dailyReturn: number, indexValue: number}>>}
  */
-async function getMarketReturns(startDate, endDate) {
-  const cacheKey = `${CACHE_KEYS.SP500_YTD}_${startDate}_${endDate}`;
+async function getIndexReturns(code, startDate, endDate) {
+  const cacheKey = `${CACHE_KEYS.INDEX_RETURNS}_${code}_${startDate}_${endDate}`;
   
   const cached = cache.get(cacheKey);
   if (cached) {
-    console.log(`[benchmarkCache] Cache HIT for market returns: ${cacheKey}`);
+    console.log(`[benchmarkCache] Cache HIT for index returns: ${cacheKey}`);
     return cached;
   }
   
-  console.log(`[benchmarkCache] Cache MISS for market returns: ${cacheKey}`);
+  console.log(`[benchmarkCache] Cache MISS for index returns: ${cacheKey}`);
   
   try {
     const indexRef = db.collection('indexHistories')
-      .doc(DEFAULT_BENCHMARKS.BENCHMARK_INDEX)
+      .doc(code)
       .collection('dates');
     
     const snapshot = await indexRef
@@ -48,22 +51,50 @@ async function getMarketReturns(startDate, endDate) {
       .orderBy('date', 'asc')
       .get();
     
-    const marketReturns = snapshot.docs.map(doc => ({
+    const indexReturns = snapshot.docs.map(doc => ({
       date: doc.id,
       dailyReturn: (doc.data().percentChange || 0) / 100,
-      indexValue: doc.data().close || 0
+      indexValue: doc.data().close || doc.data().score || 0
     }));
     
-    cache.set(cacheKey, marketReturns);
-    console.log(`[benchmarkCache] Cached ${marketReturns.length} market data points`);
+    cache.set(cacheKey, indexReturns);
+    console.log(`[benchmarkCache] Cached ${indexReturns.length} data points for ${code}`);
     
-    return marketReturns;
+    return indexReturns;
   } catch (error) {
-    console.error('[benchmarkCache] Error fetching market returns:', error);
+    console.error(`[benchmarkCache] Error fetching index returns for ${code}:`, error);
     return [];
   }
 }
 
+/**
+ * Obtiene los retornos diarios del benchmark (índice simple o combinado)
+ * @param {string} startDate - Fecha inicio (YYYY-MM-DD)
+ * @param {string} endDate - Fecha fin (YYYY-MM-DD)
+ * @param {import('./types').BenchmarkDefinition} [benchmark] - Default: S&P 500
+ * @returns {Promise<Array<{date: string, dailyReturn: number, indexValue: number}>>}
+ */
+async function getMarketReturns(startDate, endDate, benchmark = DEFAULT_BENCHMARK) {
+  const series = await Promise.all(
+    benchmark.components.map(component => getIndexReturns(component.code, startDate, endDate))
+  );
+  const seriesByCode = new Map(benchmark.components.map((component, i) => [component.code, series[i]]));
+  
+  return blendReturns(seriesByCode, benchmark);
+}
+
+/**
+ * Retorno acumulado del benchmark en el período
+ * @param {string} startDate - Fecha inicio (YYYY-MM-DD)
+ * @param {string} endDate - Fecha fin (YYYY-MM-DD)
+ * @param {import('./types').BenchmarkDefinition} [benchmark] - Default: S&P 500
+ * @returns {Promise<number>} Retorno en % (5.2 = 5.2%)
+ */
+async function getBenchmarkReturn(startDate, endDate, benchmark = DEFAULT_BENCHMARK) {
+  const marketReturns = await getMarketReturns(startDate, endDate, benchmark);
+  return calculateCumulativeReturn(marketReturns);
+}
+
 /**
  * Obtiene los pesos sectoriales del S&P 500
  * @returns {Promise<Object>} Mapa de sector -> peso (0-1)
@@ -112,7 +143,9 @@ async function getSectorWeights() {
 }
 
 /**
- * Obtiene la tasa libre de riesgo actual
+ * Obtiene la tasa libre de riesgo por defecto (benchmarks/risk_free_rate o
+ * 5.5%). Se usa cuando la moneda no tiene serie en riskFreeRates y para los
+ * días sin dato.
  * @returns {Promise<number>} Tasa anualizada (0.055 = 5.5%)
  */
 async function getRiskFreeRate() {
@@ -140,6 +173,33 @@ async function getRiskFreeRate() {
   return DEFAULT_BENCHMARKS.RISK_FREE_RATE;
 }
 
+/**
+ * Obtiene la tasa libre de riesgo vigente en cada fecha (serie de riskFreeRates)
+ * @param {string} currency - Moneda de reporte
+ * @param {string[]} dates - Fechas de los retornos (ordenadas)
+ * @returns {Promise<Array<number|null>>} Tasa anual decimal por fecha; null sin dato
+ */
+async function getRiskFreeRateSeries(currency, dates) {
+  if (dates.length === 0) return [];
+  
+  const cacheKey = `${CACHE_KEYS.RISK_FREE_RATES}_${currency}_${dates[0]}_${dates[dates.length - 1]}_${dates.length}`;
+  
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    console.log(`[benchmarkCache] Cache HIT for risk-free rates: ${cacheKey}`);
+    return cached;
+  }
+  
+  try {
+    const rates = await getDailyRiskFreeRates(currency, dates);
+    cache.set(cacheKey, rates);
+    return rates;
+  } catch (error) {
+    console.error(`[benchmarkCache] Error fetching risk-free rates for ${currency}:`, error);
+    return dates.map(() => null);
+  }
+}
+
 /**
  * Invalida una entrada específica del cache
  * @param {string} key - Clave a invalidar
@@ -169,9 +229,12 @@ function getCacheStats() {
 }
 
 module.exports = {
+  getIndexReturns,
   getMarketReturns,
+  getBenchmarkReturn,
   getSectorWeights,
   getRiskFreeRate,
+  getRiskFreeRateSeries,
   invalidateCache,
   clearAllCache,
   getCacheStats
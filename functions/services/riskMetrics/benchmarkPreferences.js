@@ -0,0 +1,155 @@
+/**
+ * Benchmark Preferences
+ *
+ * Benchmark elegido por el usuario (`benchmarkPreferences`, uno por cuenta y
+ * uno para el portafolio completo). Lo usan beta, correlación, el retorno
+ * del benchmark de /risk-metrics y el exceso de retorno de /attribution.
+ *
+ * @module services/riskMetrics/benchmarkPreferences
+ */
+
+const admin = require('../firebaseAdmin');
+const { validateBenchmark } = require('./benchmarkBlend');
+const { DEFAULT_BENCHMARK, BENCHMARK_PREFERENCES_COLLECTION } = require('./types');
+
+const db = admin.firestore();
+
+/**
+ * ID del documento de una preferencia
+ * @param {string} userId
+ * @param {string|null} accountId
+ * @returns {string}
+ */
+function getPreferenceId(userId, accountId) {
+  return `${userId}_${accountId || 'overall'}`;
+}
+
+/**
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {import('./types').BenchmarkPreference}
+ */
+function toPreference(doc) {
+  const { updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+/**
+ * Agrega el nombre de cada índice y verifica que exista en indexHistories
+ * @param {import('./types').BenchmarkDefinition} benchmark
+ * @returns {Promise<import('./types').BenchmarkDefinition>}
+ * @throws {Error} Si algún índice no existe
+ */
+async function withIndexNames(benchmark) {
+  const components = await Promise.all(benchmark.components.map(async (component) => {
+    const indexDoc = await db.collection('indexHistories').doc(component.code).get();
+    if (!indexDoc.exists) {
+      throw new Error(`Índice '${component.code}' no encontrado en indexHistories`);
+    }
+    return { code: component.code, weight: component.weight, name: indexDoc.data().name || component.code };
+  }));
+
+  return { ...benchmark, components };
+}
+
+/**
+ * Crea o reemplaza el benchmark de una cuenta o del portafolio
+ *
+ * @param {string} userId
+ * @param {Object} data
+ * @param {string} [data.accountId] - Cuenta (vacío = portafolio completo)
+ * @param {Array<{code: string, weight?: number}>} data.components - Índices y pesos en %
+ * @param {'daily' | 'monthly' | 'none'} [data.rebalance='monthly'] - Rebalanceo del combinado
+ * @returns {Promise<import('./types').BenchmarkPreference>}
+ * @throws {Error} Si los datos no son válidos, la cuenta no es del usuario o un índice no existe
+ */
+async function setBenchmarkPreference(userId, data) {
+  const accountId = data?.accountId || null;
+  if (accountId !== null && typeof accountId !== 'string') {
+    throw new Error('accountId debe ser un string');
+  }
+  const benchmark = validateBenchmark(data);
+
+  if (accountId) {
+    const accountDoc = await db.collection('portfolioAccounts').doc(accountId).get();
+    if (!accountDoc.exists || accountDoc.data().userId !== userId) {
+      throw new Error(`La cuenta ${accountId} no existe`);
+    }
+  }
+
+  const id = getPreferenceId(userId, accountId);
+  const preference = { id, userId, accountId, ...(await withIndexNames(benchmark)) };
+  await db.collection(BENCHMARK_PREFERENCES_COLLECTION).doc(id).set({
+    ...preference,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return preference;
+}
+
+/**
+ * Preferencias de benchmark del usuario
+ *
+ * @param {string} userId
+ * @returns {Promise<import('./types').BenchmarkPreference[]>} Primero la del portafolio completo
+ */
+async function listBenchmarkPreferences(userId) {
+  const snapshot = await db.collection(BENCHMARK_PREFERENCES_COLLECTION).where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(toPreference)
+    .sort((a, b) => (a.accountId || '').localeCompare(b.accountId || ''));
+}
+
+/**
+ * Elimina el benchmark de una cuenta o del portafolio (vuelve al default)
+ *
+ * @param {string} userId
+ * @param {string|null} accountId - null = portafolio completo
+ * @returns {Promise<boolean>} false si no existe
+ */
+async function deleteBenchmarkPreference(userId, accountId) {
+  const preferenceRef = db.collection(BENCHMARK_PREFERENCES_COLLECTION).doc(getPreferenceId(userId, accountId));
+  const doc = await preferenceRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return false;
+
+  await preferenceRef.delete();
+  return true;
+}
+
+/**
+ * Benchmark a usar para un conjunto de cuentas
+ *
+ * Con una sola cuenta usa su preferencia; si no tiene (o son varias
+ * cuentas / overall) usa la del portafolio completo y, en último caso,
+ * el S&P 500.
+ *
+ * @param {string} userId
+ * @param {string[]} [accountIds=[]] - Vacío u ['overall'] = portafolio completo
+ * @returns {Promise<{benchmark: import('./types').BenchmarkDefinition, source: 'account' | 'overall' | 'default'}>}
+ */
+async function resolveBenchmark(userId, accountIds = []) {
+  const scopedIds = accountIds.filter(id => id && id !== 'overall');
+  const candidates = scopedIds.length === 1
+    ? [[scopedIds[0], 'account'], [null, 'overall']]
+    : [[null, 'overall']];
+
+  try {
+    for (const [accountId, source] of candidates) {
+      const doc = await db.collection(BENCHMARK_PREFERENCES_COLLECTION).doc(getPreferenceId(userId, accountId)).get();
+      if (doc.exists) {
+        const { components, rebalance } = doc.data();
+        return { benchmark: { components, rebalance }, source };
+      }
+    }
+  } catch (error) {
+    console.warn('[benchmarkPreferences] Error fetching benchmark preference:', error);
+  }
+
+  return { benchmark: DEFAULT_BENCHMARK, source: 'default' };
+}
+
+module.exports = {
+  setBenchmarkPreference,
+  listBenchmarkPreferences,
+  deleteBenchmarkPreference,
+  resolveBenchmark
+};
@@ -0,0 +1,154 @@
+/**
+ * Drawdown Episodes
+ *
+ * Detecta episodios de drawdown (pico → valle → recuperación) sobre la curva
+ * de calculateDrawdownHistory y compara cada episodio del portafolio con el
+ * benchmark en la misma ventana de fechas.
+ *
+ * Los días son días de trading (puntos de la serie), igual que daysFromPeak.
+ *
+ * @module services/riskMetrics/drawdownEpisodes
+ * @see docs/stories/36.story.md
+ */
+
+const { calculateDrawdownHistory, findMaxDrawdown } = require('./mathCalculations');
+const { DEFAULT_DRAWDOWN_THRESHOLD } = require('./types');
+
+/**
+ * Lista los episodios de drawdown cuya profundidad supera el umbral
+ *
+ * Un episodio empieza el primer día bajo el último máximo y termina el
+ * primer día que el índice vuelve a ese máximo; si no vuelve, queda abierto.
+ *
+ * @param {Array<{date: string, drawdownPercent: number, daysFromPeak: number}>} history -
+ *   Resultado de calculateDrawdownHistory
+ * @param {number} [threshold=DEFAULT_DRAWDOWN_THRESHOLD] - Profundidad mínima en % (5 = -5%)
+ * @returns {import('./types').DrawdownEpisode[]} Episodios en orden cronológico
+ */
+function findDrawdownEpisodes(history, threshold = DEFAULT_DRAWDOWN_THRESHOLD) {
+  if (!history || history.length === 0) return [];
+
+  const episodes = [];
+  let current = null;
+
+  const closeEpisode = (recoveryIndex) => {
+    const { peakIndex, troughIndex } = current;
+    const endIndex = recoveryIndex === null ? history.length - 1 : recoveryIndex;
+    const depth = history[troughIndex].drawdownPercent;
+
+    if (depth <= -threshold) {
+      episodes.push({
+        peakDate: history[peakIndex].date,
+        troughDate: history[troughIndex].date,
+        depth,
+        daysToTrough: troughIndex - peakIndex,
+        recoveryDate: recoveryIndex === null ? null : history[recoveryIndex].date,
+        daysToRecover: recoveryIndex === null ? null : recoveryIndex - troughIndex,
+        durationDays: endIndex - peakIndex,
+        isOpen: recoveryIndex === null
+      });
+    }
+    current = null;
+  };
+
+  history.forEach((point, i) => {
+    if (point.drawdownPercent < 0) {
+      if (!current) {
+        current = { peakIndex: i - point.daysFromPeak, troughIndex: i };
+      } else if (point.drawdownPercent < history[current.troughIndex].drawdownPercent) {
+        current.troughIndex = i;
+      }
+    } else if (current) {
+      closeEpisode(i);
+    }
+  });
+
+  if (current) closeEpisode(null);
+
+  return episodes;
+}
+
+/**
+ * Último punto de la curva en o antes de una fecha
+ * @param {Array<{date: string}>} history - Curva ordenada por fecha
+ * @param {string} date
+ * @returns {Object|null}
+ */
+function findPointOnOrBefore(history, date) {
+  let found = null;
+  for (const point of history) {
+    if (point.date > date) break;
+    found = point;
+  }
+  return found;
+}
+
+/**
+ * Mide el benchmark en la ventana de un episodio del portafolio
+ *
+ * @param {Array<{date: string, portfolioValue: number}>} benchmarkHistory - Curva del
+ *   benchmark (calculateDrawdownHistory)
+ * @param {import('./types').DrawdownEpisode} episode - Episodio del portafolio
+ * @param {string} endDate - Fin de la ventana (recuperación o último dato)
+ * @returns {import('./types').BenchmarkEpisodeWindow|null} null si el benchmark no
+ *   tiene dato en el pico
+ */
+function measureBenchmarkWindow(benchmarkHistory, episode, endDate) {
+  const start = findPointOnOrBefore(benchmarkHistory, episode.peakDate);
+  if (!start) return null;
+
+  const trough = findPointOnOrBefore(benchmarkHistory, episode.troughDate);
+  let peak = start.portfolioValue;
+  let maxDrawdown = 0;
+
+  benchmarkHistory
+    .filter(point => point.date > episode.peakDate && point.date <= endDate)
+    .forEach(point => {
+      peak = Math.max(peak, point.portfolioValue);
+      maxDrawdown = Math.min(maxDrawdown, ((point.portfolioValue - peak) / peak) * 100);
+    });
+
+  return {
+    returnToTrough: ((trough.portfolioValue - start.portfolioValue) / start.portfolioValue) * 100,
+    maxDrawdown
+  };
+}
+
+/**
+ * Analiza los episodios de drawdown del portafolio y del benchmark
+ *
+ * @param {Array<{date: string, dailyReturn: number}>} portfolioData - Retornos del portafolio
+ * @param {Array<{date: string, dailyReturn: number}>} marketData - Retornos del benchmark
+ * @param {number} [threshold=DEFAULT_DRAWDOWN_THRESHOLD] - Profundidad mínima en %
+ * @returns {{
+ *   portfolio: {maxDrawdown: number, episodes: import('./types').DrawdownEpisode[]},
+ *   benchmark: {maxDrawdown: number, episodes: import('./types').DrawdownEpisode[]}
+ * }} Los episodios del portafolio incluyen el benchmark en la misma ventana
+ */
+function analyzeDrawdownEpisodes(portfolioData, marketData, threshold = DEFAULT_DRAWDOWN_THRESHOLD) {
+  const portfolioHistory = calculateDrawdownHistory(portfolioData);
+  const benchmarkHistory = calculateDrawdownHistory(marketData);
+  const lastDate = portfolioHistory.length > 0 ? portfolioHistory[portfolioHistory.length - 1].date : null;
+
+  const episodes = findDrawdownEpisodes(portfolioHistory, threshold).map(episode => ({
+    ...episode,
+    benchmark: measureBenchmarkWindow(benchmarkHistory, episode, episode.recoveryDate || lastDate)
+  }));
+
+  return {
+    portfolio: {
+      maxDrawdown: findMaxDrawdown(portfolioHistory),
+      episodes
+    },
+    benchmark: {
+      maxDrawdown: findMaxDrawdown(benchmarkHistory),
+      episodes: findDrawdownEpisodes(benchmarkHistory, threshold)
+    }
+  };
+}
+
+module.exports = {
+  findDrawdownEpisodes,
+  measureBenchmarkWindow,
+  analyzeDrawdownEpisodes
+};
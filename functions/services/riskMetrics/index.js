@@ -12,6 +12,10 @@ const mathCalculations = require('./mathCalculations');
 const benchmarkCache = require('./benchmarkCache');
 const multiAccountAggregator = require('./multiAccountAggregator');
 const riskMetricsService = require('./riskMetricsService');
+const benchmarkBlend = require('./benchmarkBlend');
+const benchmarkPreferences = require('./benchmarkPreferences');
+const rollingMetrics = require('./rollingMetrics');
+const drawdownEpisodes = require('./drawdownEpisodes');
 
 module.exports = {
   // Tipos y constantes
@@ -20,9 +24,17 @@ module.exports = {
   
   // Servicio principal
   ...riskMetricsService,
+  ...benchmarkPreferences,
+  validateBenchmark: benchmarkBlend.validateBenchmark,
+  parseBenchmarkParam: benchmarkBlend.parseBenchmarkParam,
+  parseRollingWindows: rollingMetrics.parseRollingWindows,
   
   // Servicios individuales (para uso avanzado)
   mathCalculations,
   benchmarkCache,
+  benchmarkBlend,
+  benchmarkPreferences,
+  rollingMetrics,
+  drawdownEpisodes,
   multiAccountAggregator
 };
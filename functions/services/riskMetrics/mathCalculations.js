@@ -8,7 +8,13 @@
  * @see docs/stories/36.story.md
  */
 
-const { TRADING_DAYS_PER_YEAR, DEFAULT_BENCHMARKS } = require('./types');
+const { TRADING_DAYS_PER_YEAR, DEFAULT_BENCHMARKS, MIN_DAYS_FOR_METRICS } = require('./types');
+
+/** Cuantiles de la normal estándar (cola izquierda) por nivel de confianza */
+const NORMAL_QUANTILES = {
+  0.95: -1.6448536269514722,
+  0.99: -2.3263478740408408
+};
 
 /**
  * Calcula el retorno promedio diario
@@ -77,6 +83,29 @@ function annualizeVolatility(dailyStdDev) {
   return dailyStdDev * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100;
 }
 
+/**
+ * Tasa libre de riesgo anual equivalente de un período a partir de las
+ * tasas anuales vigentes cada día
+ *
+ * - compounded: capitaliza la tasa diaria (r / 252) de cada día y anualiza
+ *   el resultado, igual que el retorno anualizado del portafolio
+ * - average: promedio simple de las tasas anuales
+ *
+ * @param {number[]} dailyRates - Tasa anual (decimal) vigente en cada día
+ * @param {'compounded' | 'average'} [method='compounded']
+ * @returns {number} Tasa anual como decimal
+ */
+function calculatePeriodRiskFreeRate(dailyRates, method = 'compounded') {
+  if (!dailyRates || dailyRates.length === 0) return DEFAULT_BENCHMARKS.RISK_FREE_RATE;
+  
+  if (method === 'average') {
+    return calculateMeanReturn(dailyRates);
+  }
+  
+  const growth = dailyRates.reduce((acc, rate) => acc * (1 + rate / TRADING_DAYS_PER_YEAR), 1);
+  return Math.pow(growth, TRADING_DAYS_PER_YEAR / dailyRates.length) - 1;
+}
+
 /**
  * Calcula el Sharpe Ratio anualizado
  * @param {number} annualizedReturn - Retorno anualizado (%)
@@ -173,6 +202,212 @@ function calculateVaR95(returns) {
   return sorted[index] * 100;
 }
 
+/**
+ * Calcula el Expected Shortfall (CVaR): pérdida promedio de los días en o
+ * por debajo del VaR histórico
+ * @param {number[]} returns - Array de retornos diarios
+ * @param {number} [confidence=0.95] - Nivel de confianza
+ * @returns {number} CVaR como porcentaje (negativo)
+ */
+function calculateCVaR(returns, confidence = 0.95) {
+  if (!returns || returns.length === 0) return 0;
+  
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = Math.floor(returns.length * (1 - confidence));
+  return calculateMeanReturn(sorted.slice(0, index + 1)) * 100;
+}
+
+/**
+ * Calcula el coeficiente de asimetría muestral (ajustado, como SKEW de Excel)
+ * @param {number[]} returns - Array de retornos
+ * @returns {number} Asimetría (0 = simétrica)
+ */
+function calculateSkewness(returns) {
+  if (!returns || returns.length < 3) return 0;
+  
+  const n = returns.length;
+  const mean = calculateMeanReturn(returns);
+  const stdDev = calculateStdDev(returns, mean);
+  if (stdDev === 0) return 0;
+  
+  const sumCubed = returns.reduce((sum, r) => sum + Math.pow((r - mean) / stdDev, 3), 0);
+  return (n / ((n - 1) * (n - 2))) * sumCubed;
+}
+
+/**
+ * Calcula la curtosis en exceso muestral (como KURT de Excel)
+ * @param {number[]} returns - Array de retornos
+ * @returns {number} Curtosis en exceso (0 = normal)
+ */
+function calculateKurtosis(returns) {
+  if (!returns || returns.length < 4) return 0;
+  
+  const n = returns.length;
+  const mean = calculateMeanReturn(returns);
+  const stdDev = calculateStdDev(returns, mean);
+  if (stdDev === 0) return 0;
+  
+  const sumFourth = returns.reduce((sum, r) => sum + Math.pow((r - mean) / stdDev, 4), 0);
+  return (n * (n + 1) / ((n - 1) * (n - 2) * (n - 3))) * sumFourth
+    - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+}
+
+/**
+ * Calcula el VaR paramétrico (normal) diario
+ * @param {number[]} returns - Array de retornos diarios
+ * @param {number} [confidence=0.95] - Nivel de confianza (0.95 o 0.99)
+ * @returns {number} VaR como porcentaje (negativo)
+ */
+function calculateParametricVaR(returns, confidence = 0.95) {
+  if (!returns || returns.length < 2) return 0;
+  
+  const mean = calculateMeanReturn(returns);
+  return (mean + NORMAL_QUANTILES[confidence] * calculateStdDev(returns, mean)) * 100;
+}
+
+/**
+ * Calcula el VaR de Cornish-Fisher: VaR paramétrico con el cuantil ajustado
+ * por la asimetría y la curtosis de la serie
+ * @param {number[]} returns - Array de retornos diarios
+ * @param {number} [confidence=0.95] - Nivel de confianza (0.95 o 0.99)
+ * @returns {number} VaR como porcentaje (negativo)
+ */
+function calculateCornishFisherVaR(returns, confidence = 0.95) {
+  if (!returns || returns.length < 4) return 0;
+  
+  const z = NORMAL_QUANTILES[confidence];
+  const skew = calculateSkewness(returns);
+  const kurt = calculateKurtosis(returns);
+  const zCF = z
+    + ((z * z - 1) * skew) / 6
+    + ((Math.pow(z, 3) - 3 * z) * kurt) / 24
+    - ((2 * Math.pow(z, 3) - 5 * z) * skew * skew) / 36;
+  
+  const mean = calculateMeanReturn(returns);
+  return (mean + zCF * calculateStdDev(returns, mean)) * 100;
+}
+
+/**
+ * Calcula el máximo drawdown de una serie de retornos
+ * @param {number[]} returns - Array de retornos diarios
+ * @returns {number} Máximo drawdown como porcentaje (negativo o 0)
+ */
+function calculateMaxDrawdownFromReturns(returns) {
+  let index = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  
+  for (const r of returns || []) {
+    index *= 1 + r;
+    peak = Math.max(peak, index);
+    maxDrawdown = Math.min(maxDrawdown, (index - peak) / peak);
+  }
+  
+  return maxDrawdown * 100;
+}
+
+/**
+ * Calcula el Calmar Ratio
+ * @param {number} annualizedReturn - Retorno anualizado (%)
+ * @param {number} maxDrawdown - Máximo drawdown (%, negativo)
+ * @returns {number} Calmar Ratio (0 si no hubo drawdown)
+ */
+function calculateCalmarRatio(annualizedReturn, maxDrawdown) {
+  if (!maxDrawdown || Math.abs(maxDrawdown) < 0.01) return 0;
+  return annualizedReturn / Math.abs(maxDrawdown);
+}
+
+/**
+ * Calcula el Treynor Ratio (exceso de retorno por unidad de beta)
+ * @param {number} annualizedReturn - Retorno anualizado (%)
+ * @param {number} beta - Beta vs benchmark
+ * @param {number} [riskFreeRate] - Tasa libre de riesgo anualizada (%)
+ * @returns {number} Treynor Ratio en puntos porcentuales
+ */
+function calculateTreynorRatio(annualizedReturn, beta, riskFreeRate) {
+  const rfr = riskFreeRate !== undefined ? riskFreeRate : DEFAULT_BENCHMARKS.RISK_FREE_RATE * 100;
+  if (!beta || Math.abs(beta) < 0.01) return 0;
+  return (annualizedReturn - rfr) / beta;
+}
+
+/**
+ * Calcula el Omega Ratio: ganancias sobre el umbral / pérdidas bajo el umbral
+ * @param {number[]} returns - Array de retornos diarios
+ * @param {number} [threshold=0] - Retorno mínimo aceptable diario
+ * @returns {number|null} Omega Ratio (null si no hay pérdidas)
+ */
+function calculateOmegaRatio(returns, threshold = 0) {
+  if (!returns || returns.length === 0) return null;
+  
+  const gains = returns.reduce((sum, r) => sum + Math.max(r - threshold, 0), 0);
+  const losses = returns.reduce((sum, r) => sum + Math.max(threshold - r, 0), 0);
+  
+  if (losses === 0) return null;
+  return gains / losses;
+}
+
+/**
+ * Retornos activos (portafolio - benchmark) de series alineadas
+ * @param {number[]} portfolioReturns
+ * @param {number[]} marketReturns
+ * @returns {number[]}
+ */
+function calculateActiveReturns(portfolioReturns, marketReturns) {
+  const n = Math.min(portfolioReturns.length, marketReturns.length);
+  return portfolioReturns.slice(0, n).map((r, i) => r - marketReturns[i]);
+}
+
+/**
+ * Calcula el Tracking Error anualizado
+ * @param {number[]} portfolioReturns - Retornos del portafolio (alineados)
+ * @param {number[]} marketReturns - Retornos del benchmark (alineados)
+ * @returns {number} Tracking error como porcentaje
+ */
+function calculateTrackingError(portfolioReturns, marketReturns) {
+  return annualizeVolatility(calculateStdDev(calculateActiveReturns(portfolioReturns, marketReturns)));
+}
+
+/**
+ * Calcula el Information Ratio: retorno activo anualizado / tracking error
+ * @param {number[]} portfolioReturns - Retornos del portafolio (alineados)
+ * @param {number[]} marketReturns - Retornos del benchmark (alineados)
+ * @returns {number} Information Ratio
+ */
+function calculateInformationRatio(portfolioReturns, marketReturns) {
+  const activeReturns = calculateActiveReturns(portfolioReturns, marketReturns);
+  const trackingError = annualizeVolatility(calculateStdDev(activeReturns));
+  if (trackingError < 0.01) return 0;
+  
+  const annualizedActiveReturn = calculateMeanReturn(activeReturns) * TRADING_DAYS_PER_YEAR * 100;
+  return annualizedActiveReturn / trackingError;
+}
+
+/**
+ * Calcula los capture ratios: retorno promedio del portafolio en los días
+ * en que el benchmark sube (o baja) dividido por el del benchmark
+ * @param {number[]} portfolioReturns - Retornos del portafolio (alineados)
+ * @param {number[]} marketReturns - Retornos del benchmark (alineados)
+ * @returns {{upCapture: number|null, downCapture: number|null}} En porcentaje (100 = igual al benchmark)
+ */
+function calculateCaptureRatios(portfolioReturns, marketReturns) {
+  const n = Math.min(portfolioReturns.length, marketReturns.length);
+  const ratio = (predicate) => {
+    const days = [];
+    for (let i = 0; i < n; i++) {
+      if (predicate(marketReturns[i])) days.push(i);
+    }
+    if (days.length === 0) return null;
+    
+    const marketMean = calculateMeanReturn(days.map(i => marketReturns[i]));
+    return (calculateMeanReturn(days.map(i => portfolioReturns[i])) / marketMean) * 100;
+  };
+  
+  return {
+    upCapture: ratio(r => r > 0),
+    downCapture: ratio(r => r < 0)
+  };
+}
+
 /**
  * Calcula el historial de drawdowns basado en rendimientos acumulados
  * 
@@ -252,11 +487,27 @@ function findMaxDrawdown(drawdowns) {
  * @param {number[]} allPortfolioReturns - Todos los retornos diarios del portafolio (para Sharpe, Vol, etc.)
  * @param {number[]} alignedPortfolioReturns - Retornos alineados con el mercado (para Beta, Correlación)
  * @param {number[]} marketReturns - Retornos del mercado (alineados)
- * @param {Object} options - Opciones (riskFreeRate)
+ * @param {Object} options - Opciones
+ * @param {number} [options.riskFreeRate] - Tasa anual (decimal) constante; también completa
+ *   los días sin dato de dailyRiskFreeRates
+ * @param {Array<number|null>} [options.dailyRiskFreeRates] - Tasa anual vigente en cada día
+ *   de allPortfolioReturns (serie de la moneda de reporte)
+ * @param {'compounded' | 'average'} [options.riskFreeRateMethod='compounded'] - Agregación de la serie
  * @returns {Object} Todas las métricas calculadas
  */
 function calculateAllMetrics(allPortfolioReturns, alignedPortfolioReturns, marketReturns, options = {}) {
-  const { riskFreeRate = DEFAULT_BENCHMARKS.RISK_FREE_RATE } = options;
+  const {
+    riskFreeRate: fallbackRiskFreeRate = DEFAULT_BENCHMARKS.RISK_FREE_RATE,
+    dailyRiskFreeRates,
+    riskFreeRateMethod = 'compounded'
+  } = options;
+  
+  const riskFreeRate = dailyRiskFreeRates && dailyRiskFreeRates.length > 0
+    ? calculatePeriodRiskFreeRate(
+      dailyRiskFreeRates.map(rate => (rate === null || rate === undefined ? fallbackRiskFreeRate : rate)),
+      riskFreeRateMethod
+    )
+    : fallbackRiskFreeRate;
   
   if (!allPortfolioReturns || allPortfolioReturns.length === 0) {
     return {
@@ -286,6 +537,15 @@ function calculateAllMetrics(allPortfolioReturns, alignedPortfolioReturns, marke
   const beta = calculateBeta(alignedPortfolioReturns, marketReturns);
   const correlation = calculateCorrelation(alignedPortfolioReturns, marketReturns);
   
+  // Métricas extendidas: null si no hay MIN_DAYS_FOR_METRICS días
+  const hasPortfolioHistory = tradingDays >= MIN_DAYS_FOR_METRICS;
+  const hasMarketHistory = Math.min(alignedPortfolioReturns.length, marketReturns.length) >= MIN_DAYS_FOR_METRICS;
+  const whenPortfolio = (fn) => (hasPortfolioHistory ? fn() : null);
+  const whenMarket = (fn) => (hasMarketHistory ? fn() : null);
+  const captureRatios = hasMarketHistory
+    ? calculateCaptureRatios(alignedPortfolioReturns, marketReturns)
+    : { upCapture: null, downCapture: null };
+  
   return {
     meanDailyReturn: meanReturn,
     totalReturn: totalReturn * 100,
@@ -295,7 +555,24 @@ function calculateAllMetrics(allPortfolioReturns, alignedPortfolioReturns, marke
     sortinoRatio: calculateSortinoRatio(annualizedRet, annualizedDownside, riskFreeRate * 100),
     beta,
     valueAtRisk95: calculateVaR95(allPortfolioReturns),
-    correlation
+    correlation,
+    riskFreeRate,
+    
+    cvar95: whenPortfolio(() => calculateCVaR(allPortfolioReturns, 0.95)),
+    cvar99: whenPortfolio(() => calculateCVaR(allPortfolioReturns, 0.99)),
+    parametricVaR95: whenPortfolio(() => calculateParametricVaR(allPortfolioReturns, 0.95)),
+    parametricVaR99: whenPortfolio(() => calculateParametricVaR(allPortfolioReturns, 0.99)),
+    cornishFisherVaR95: whenPortfolio(() => calculateCornishFisherVaR(allPortfolioReturns, 0.95)),
+    cornishFisherVaR99: whenPortfolio(() => calculateCornishFisherVaR(allPortfolioReturns, 0.99)),
+    calmarRatio: whenPortfolio(() => calculateCalmarRatio(annualizedRet, calculateMaxDrawdownFromReturns(allPortfolioReturns))),
+    omegaRatio: whenPortfolio(() => calculateOmegaRatio(allPortfolioReturns)),
+    skewness: whenPortfolio(() => calculateSkewness(allPortfolioReturns)),
+    kurtosis: whenPortfolio(() => calculateKurtosis(allPortfolioReturns)),
+    treynorRatio: whenMarket(() => calculateTreynorRatio(annualizedRet, beta, riskFreeRate * 100)),
+    trackingError: whenMarket(() => calculateTrackingError(alignedPortfolioReturns, marketReturns)),
+    informationRatio: whenMarket(() => calculateInformationRatio(alignedPortfolioReturns, marketReturns)),
+    upCaptureRatio: captureRatios.upCapture,
+    downCaptureRatio: captureRatios.downCapture
   };
 }
 
@@ -306,12 +583,25 @@ module.exports = {
   calculateDownsideDeviation,
   annualizeReturn,
   annualizeVolatility,
+  calculatePeriodRiskFreeRate,
   calculateSharpeRatio,
   calculateSortinoRatio,
   calculateCovariance,
   calculateBeta,
   calculateCorrelation,
   calculateVaR95,
+  calculateCVaR,
+  calculateSkewness,
+  calculateKurtosis,
+  calculateParametricVaR,
+  calculateCornishFisherVaR,
+  calculateMaxDrawdownFromReturns,
+  calculateCalmarRatio,
+  calculateTreynorRatio,
+  calculateOmegaRatio,
+  calculateTrackingError,
+  calculateInformationRatio,
+  calculateCaptureRatios,
   calculateDrawdownHistory,
   findMaxDrawdown,
   calculateAllMetrics
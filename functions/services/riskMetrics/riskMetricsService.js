@@ -14,9 +14,24 @@ const {
   calculateDrawdownHistory, 
   findMaxDrawdown 
 } = require('./mathCalculations');
-const { getMarketReturns, getRiskFreeRate } = require('./benchmarkCache');
+const { getMarketReturns, getRiskFreeRate, getRiskFreeRateSeries } = require('./benchmarkCache');
+const { resolveBenchmark } = require('./benchmarkPreferences');
+const { getBenchmarkId, getBenchmarkName, calculateCumulativeReturn } = require('./benchmarkBlend');
 const { aggregateMultiAccountData, determineStrategy } = require('./multiAccountAggregator');
-const { MIN_DAYS_FOR_METRICS, TRADING_DAYS_PER_YEAR } = require('./types');
+const {
+  getLookbackDays,
+  calculateRollingSeries,
+  getRollingCacheKey,
+  getCachedRollingSeries,
+  setCachedRollingSeries
+} = require('./rollingMetrics');
+const { analyzeDrawdownEpisodes } = require('./drawdownEpisodes');
+const {
+  MIN_DAYS_FOR_METRICS,
+  TRADING_DAYS_PER_YEAR,
+  ROLLING_WINDOWS,
+  DEFAULT_DRAWDOWN_THRESHOLD
+} = require('./types');
 
 /**
  * Calcula la fecha de inicio según el período
@@ -77,6 +92,16 @@ function getDataQuality(dataPoints) {
   return 'insufficient';
 }
 
+/**
+ * Redondea una métrica opcional (null si no se calculó)
+ * @param {number|null} value
+ * @param {number} decimals
+ * @returns {number|null}
+ */
+function roundMetric(value, decimals) {
+  return value === null || value === undefined ? null : parseFloat(value.toFixed(decimals));
+}
+
 /**
  * Obtiene las semanas rentables desde portfolioMetrics
  * @param {Object} db - Instancia de Firestore
@@ -114,6 +139,10 @@ async function fetchProfitableWeeks(db, userId, accountId, currency) {
  * @param {string} [options.period='YTD'] - Período de análisis
  * @param {string} [options.currency='USD'] - Moneda
  * @param {string[]} [options.accountIds=[]] - IDs de cuentas (vacío = overall)
+ * @param {import('./types').BenchmarkDefinition} [options.benchmark] - Benchmark explícito
+ *   (default: preferencia de la cuenta o del portafolio, o S&P 500)
+ * @param {'compounded' | 'average'} [options.riskFreeRateMethod='compounded'] - Agregación de la
+ *   tasa libre de riesgo diaria de la moneda
  * @param {string} [options.requestId] - ID de request para logging
  * @returns {Promise<Object>} Resultado con métricas y metadata
  */
@@ -122,6 +151,8 @@ async function calculateRiskMetrics(userId, options = {}) {
     period = 'YTD',
     currency = 'USD',
     accountIds = [],
+    benchmark: requestedBenchmark,
+    riskFreeRateMethod = 'compounded',
     requestId = 'unknown'
   } = options;
   
@@ -141,9 +172,13 @@ async function calculateRiskMetrics(userId, options = {}) {
     const startDate = getPeriodStartDate(period);
     const endDate = formatDateToISO(new Date());
     
-    const [portfolioData, marketData, riskFreeRate] = await Promise.all([
+    const { benchmark, source: benchmarkSource } = requestedBenchmark
+      ? { benchmark: requestedBenchmark, source: 'request' }
+      : await resolveBenchmark(userId, accountIds);
+    
+    const [portfolioData, marketData, fallbackRiskFreeRate] = await Promise.all([
       aggregateMultiAccountData(userId, accountIds, startDate, endDate, currency),
-      getMarketReturns(startDate, endDate),
+      getMarketReturns(startDate, endDate, benchmark),
       getRiskFreeRate()
     ]);
     
@@ -174,6 +209,10 @@ async function calculateRiskMetrics(userId, options = {}) {
     
     const allPortfolioReturns = portfolioData.dailyData.map(d => d.return);
     
+    // Tasa libre de riesgo vigente cada día en la moneda de reporte
+    const dailyRiskFreeRates = await getRiskFreeRateSeries(currency, portfolioData.dailyData.map(d => d.date));
+    const coveredDays = dailyRiskFreeRates.filter(rate => rate !== null).length;
+    
     // Alinear para métricas comparativas (Beta, Correlación)
     const portfolioByDate = new Map(portfolioData.dailyData.map(d => [d.date, d.return]));
     const marketByDate = new Map(marketData.map(d => [d.date, d.dailyReturn]));
@@ -181,13 +220,21 @@ async function calculateRiskMetrics(userId, options = {}) {
     const alignedPortfolioReturns = commonDates.map(date => portfolioByDate.get(date));
     const alignedMarketReturns = commonDates.map(date => marketByDate.get(date));
     
+    // Retornos acumulados en las mismas fechas para comparar con el benchmark
+    const portfolioPeriodReturn = calculateCumulativeReturn(alignedPortfolioReturns.map(r => ({ dailyReturn: r || 0 })));
+    const benchmarkPeriodReturn = calculateCumulativeReturn(alignedMarketReturns.map(r => ({ dailyReturn: r })));
+    
     console.log(`[riskMetricsService] Data: Portfolio ${allPortfolioReturns.length} days, Aligned with market: ${commonDates.length} days`);
     
     const metrics = calculateAllMetrics(
       allPortfolioReturns,         // Usar todos los retornos para métricas del portafolio
       alignedPortfolioReturns,     // Retornos alineados para Beta/Correlación
       alignedMarketReturns,        // Retornos del mercado alineados
-      { riskFreeRate }
+      {
+        riskFreeRate: fallbackRiskFreeRate,
+        dailyRiskFreeRates: coveredDays > 0 ? dailyRiskFreeRates : undefined,
+        riskFreeRateMethod
+      }
     );
     
     // Mapear dailyData al formato esperado por calculateDrawdownHistory
@@ -216,6 +263,26 @@ async function calculateRiskMetrics(userId, options = {}) {
       maxDrawdown: parseFloat(maxDrawdown.toFixed(1)),
       valueAtRisk95: parseFloat(metrics.valueAtRisk95.toFixed(2)),
       correlation: parseFloat(metrics.correlation.toFixed(2)),
+      portfolioReturn: parseFloat(portfolioPeriodReturn.toFixed(2)),
+      benchmarkReturn: parseFloat(benchmarkPeriodReturn.toFixed(2)),
+      excessReturn: parseFloat((portfolioPeriodReturn - benchmarkPeriodReturn).toFixed(2)),
+      
+      // Métricas extendidas (null con menos de MIN_DAYS_FOR_METRICS días)
+      cvar95: roundMetric(metrics.cvar95, 2),
+      cvar99: roundMetric(metrics.cvar99, 2),
+      parametricVaR95: roundMetric(metrics.parametricVaR95, 2),
+      parametricVaR99: roundMetric(metrics.parametricVaR99, 2),
+      cornishFisherVaR95: roundMetric(metrics.cornishFisherVaR95, 2),
+      cornishFisherVaR99: roundMetric(metrics.cornishFisherVaR99, 2),
+      calmarRatio: roundMetric(metrics.calmarRatio, 2),
+      treynorRatio: roundMetric(metrics.treynorRatio, 2),
+      omegaRatio: roundMetric(metrics.omegaRatio, 2),
+      informationRatio: roundMetric(metrics.informationRatio, 2),
+      trackingError: roundMetric(metrics.trackingError, 1),
+      upCaptureRatio: roundMetric(metrics.upCaptureRatio, 1),
+      downCaptureRatio: roundMetric(metrics.downCaptureRatio, 1),
+      skewness: roundMetric(metrics.skewness, 2),
+      kurtosis: roundMetric(metrics.kurtosis, 2),
       profitableWeeks: parseFloat(profitableWeeks.toFixed(0)),
       
       drawdownHistory: drawdownHistory.map(d => ({
@@ -234,6 +301,21 @@ async function calculateRiskMetrics(userId, options = {}) {
         endDate,
         dataPointsCount: dataPoints,
         marketDataPoints: alignedMarketReturns.length,
+        benchmark: {
+          id: getBenchmarkId(benchmark),
+          name: getBenchmarkName(benchmark),
+          components: benchmark.components,
+          rebalance: benchmark.rebalance,
+          source: benchmarkSource
+        },
+        riskFreeRate: {
+          rate: parseFloat(metrics.riskFreeRate.toFixed(6)),
+          currency,
+          method: riskFreeRateMethod,
+          source: coveredDays === 0 ? 'default' : (coveredDays < dailyRiskFreeRates.length ? 'partial' : 'series'),
+          coveredDays,
+          totalDays: dailyRiskFreeRates.length
+        },
         dataQuality,
         aggregationStrategy: portfolioData.strategy,
         aggregationMethod: portfolioData.metadata.aggregationMethod,
@@ -276,8 +358,323 @@ async function calculateRiskMetrics(userId, options = {}) {
   }
 }
 
+/**
+ * Calcula las series móviles de métricas de riesgo de un usuario
+ *
+ * Usa los mismos retornos diarios agregados que calculateRiskMetrics, más
+ * el historial previo necesario para que cada ventana esté completa desde
+ * el inicio del período. Cada serie se cachea por usuario, cuentas,
+ * período, moneda, ventana y benchmark.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones de cálculo
+ * @param {string} [options.period='1Y'] - Período a cubrir con puntos
+ * @param {string} [options.currency='USD'] - Moneda
+ * @param {string[]} [options.accountIds=[]] - IDs de cuentas (vacío = overall)
+ * @param {number[]} [options.windows=ROLLING_WINDOWS] - Ventanas en días de trading
+ * @param {import('./types').BenchmarkDefinition} [options.benchmark] - Benchmark explícito
+ * @param {'compounded' | 'average'} [options.riskFreeRateMethod='compounded']
+ * @param {string} [options.requestId] - ID de request para logging
+ * @returns {Promise<Object>} Series por ventana y metadata
+ */
+async function calculateRollingRiskMetrics(userId, options = {}) {
+  const {
+    period = '1Y',
+    currency = 'USD',
+    accountIds = [],
+    windows = ROLLING_WINDOWS,
+    benchmark: requestedBenchmark,
+    riskFreeRateMethod = 'compounded',
+    requestId = 'unknown'
+  } = options;
+  
+  const startTime = Date.now();
+  console.log(`[riskMetricsService] Starting rolling calculation`, {
+    requestId,
+    userId,
+    period,
+    currency,
+    windows,
+    accountIds: accountIds.length || 'overall'
+  });
+  
+  try {
+    const startDate = getPeriodStartDate(period);
+    const endDate = formatDateToISO(new Date());
+    
+    const { benchmark, source: benchmarkSource } = requestedBenchmark
+      ? { benchmark: requestedBenchmark, source: 'request' }
+      : await resolveBenchmark(userId, accountIds);
+    const benchmarkId = getBenchmarkId(benchmark);
+    
+    const keyFor = (window) => getRollingCacheKey({
+      userId, accountIds, period, currency, window, benchmarkId, riskFreeRateMethod, endDate
+    });
+    const series = {};
+    const missingWindows = [];
+    windows.forEach(window => {
+      const cached = getCachedRollingSeries(keyFor(window));
+      if (cached) {
+        series[window] = cached;
+      } else {
+        missingWindows.push(window);
+      }
+    });
+    
+    let dataPointsCount = null;
+    if (missingWindows.length > 0) {
+      const lookbackStart = new Date(`${startDate}T00:00:00Z`);
+      lookbackStart.setUTCDate(lookbackStart.getUTCDate() - getLookbackDays(Math.max(...missingWindows)));
+      const dataStartDate = formatDateToISO(lookbackStart);
+      
+      const [portfolioData, marketData, fallbackRiskFreeRate] = await Promise.all([
+        aggregateMultiAccountData(userId, accountIds, dataStartDate, endDate, currency),
+        getMarketReturns(dataStartDate, endDate, benchmark),
+        getRiskFreeRate()
+      ]);
+      
+      const dailyRiskFreeRates = await getRiskFreeRateSeries(currency, portfolioData.dailyData.map(d => d.date));
+      const hasRateSeries = dailyRiskFreeRates.some(rate => rate !== null);
+      const marketByDate = new Map(marketData.map(d => [d.date, d.dailyReturn]));
+      dataPointsCount = portfolioData.dailyData.length;
+      
+      missingWindows.forEach(window => {
+        const points = calculateRollingSeries(portfolioData.dailyData, marketByDate, window, {
+          riskFreeRate: fallbackRiskFreeRate,
+          dailyRiskFreeRates: hasRateSeries ? dailyRiskFreeRates : undefined,
+          riskFreeRateMethod,
+          fromDate: startDate
+        });
+        
+        series[window] = {
+          window,
+          points: points.map(p => ({
+            date: p.date,
+            return: parseFloat(p.return.toFixed(2)),
+            volatility: parseFloat(p.volatility.toFixed(1)),
+            sharpeRatio: parseFloat(p.sharpeRatio.toFixed(2)),
+            beta: roundMetric(p.beta, 2),
+            correlation: roundMetric(p.correlation, 2)
+          }))
+        };
+        setCachedRollingSeries(keyFor(window), series[window]);
+      });
+    }
+    
+    if (windows.every(window => series[window].points.length === 0)) {
+      return {
+        success: false,
+        error: 'INSUFFICIENT_DATA',
+        message: `Need at least ${Math.min(...windows)} data points for a rolling window`,
+        metadata: {
+          calculatedAt: new Date().toISOString(),
+          period,
+          currency,
+          windows,
+          dataPointsCount,
+          requestId,
+          durationMs: Date.now() - startTime
+        }
+      };
+    }
+    
+    const result = {
+      success: true,
+      series: windows.map(window => series[window]),
+      metadata: {
+        calculatedAt: new Date().toISOString(),
+        period,
+        currency,
+        startDate,
+        endDate,
+        windows,
+        cachedWindows: windows.filter(window => !missingWindows.includes(window)),
+        dataPointsCount,
+        benchmark: {
+          id: benchmarkId,
+          name: getBenchmarkName(benchmark),
+          components: benchmark.components,
+          rebalance: benchmark.rebalance,
+          source: benchmarkSource
+        },
+        riskFreeRateMethod,
+        requestId,
+        durationMs: Date.now() - startTime
+      }
+    };
+    
+    console.log(`[riskMetricsService] Rolling calculation complete`, {
+      requestId,
+      durationMs: result.metadata.durationMs,
+      windows,
+      cachedWindows: result.metadata.cachedWindows
+    });
+    
+    return result;
+    
+  } catch (error) {
+    console.error(`[riskMetricsService] Rolling error:`, {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return {
+      success: false,
+      error: error.message.includes('INSUFFICIENT_DATA') ? 'INSUFFICIENT_DATA' : 'CALCULATION_ERROR',
+      message: error.message,
+      metadata: {
+        calculatedAt: new Date().toISOString(),
+        period,
+        currency,
+        windows,
+        requestId,
+        durationMs: Date.now() - startTime
+      }
+    };
+  }
+}
+
+/**
+ * Redondea un episodio de drawdown para la respuesta
+ * @param {import('./types').DrawdownEpisode} episode
+ * @returns {import('./types').DrawdownEpisode}
+ */
+function formatDrawdownEpisode(episode) {
+  const formatted = { ...episode, depth: parseFloat(episode.depth.toFixed(2)) };
+  if (episode.benchmark !== undefined) {
+    formatted.benchmark = episode.benchmark && {
+      returnToTrough: parseFloat(episode.benchmark.returnToTrough.toFixed(2)),
+      maxDrawdown: parseFloat(episode.benchmark.maxDrawdown.toFixed(2))
+    };
+  }
+  return formatted;
+}
+
+/**
+ * Lista los episodios de drawdown del portafolio y del benchmark
+ *
+ * Cada episodio va del último máximo a la recuperación de ese máximo (o
+ * queda abierto). Los episodios del portafolio incluyen cómo se comportó el
+ * benchmark en la misma ventana.
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones de cálculo
+ * @param {string} [options.period='YTD'] - Período de análisis
+ * @param {string} [options.currency='USD'] - Moneda
+ * @param {string[]} [options.accountIds=[]] - IDs de cuentas (vacío = overall)
+ * @param {number} [options.threshold=DEFAULT_DRAWDOWN_THRESHOLD] - Profundidad mínima en %
+ * @param {import('./types').BenchmarkDefinition} [options.benchmark] - Benchmark explícito
+ * @param {string} [options.requestId] - ID de request para logging
+ * @returns {Promise<Object>} Episodios del portafolio y del benchmark con metadata
+ */
+async function calculateDrawdownEpisodes(userId, options = {}) {
+  const {
+    period = 'YTD',
+    currency = 'USD',
+    accountIds = [],
+    threshold = DEFAULT_DRAWDOWN_THRESHOLD,
+    benchmark: requestedBenchmark,
+    requestId = 'unknown'
+  } = options;
+  
+  const startTime = Date.now();
+  console.log(`[riskMetricsService] Starting drawdown episodes`, {
+    requestId,
+    userId,
+    period,
+    currency,
+    threshold,
+    accountIds: accountIds.length || 'overall'
+  });
+  
+  try {
+    const startDate = getPeriodStartDate(period);
+    const endDate = formatDateToISO(new Date());
+    
+    const { benchmark, source: benchmarkSource } = requestedBenchmark
+      ? { benchmark: requestedBenchmark, source: 'request' }
+      : await resolveBenchmark(userId, accountIds);
+    
+    const [portfolioData, marketData] = await Promise.all([
+      aggregateMultiAccountData(userId, accountIds, startDate, endDate, currency),
+      getMarketReturns(startDate, endDate, benchmark)
+    ]);
+    
+    const analysis = analyzeDrawdownEpisodes(
+      portfolioData.dailyData.map(d => ({ date: d.date, dailyReturn: d.return || 0 })),
+      marketData,
+      threshold
+    );
+    
+    const result = {
+      success: true,
+      portfolio: {
+        maxDrawdown: parseFloat(analysis.portfolio.maxDrawdown.toFixed(2)),
+        episodes: analysis.portfolio.episodes.map(formatDrawdownEpisode)
+      },
+      benchmark: {
+        maxDrawdown: parseFloat(analysis.benchmark.maxDrawdown.toFixed(2)),
+        episodes: analysis.benchmark.episodes.map(formatDrawdownEpisode)
+      },
+      metadata: {
+        calculatedAt: new Date().toISOString(),
+        period,
+        currency,
+        startDate,
+        endDate,
+        threshold,
+        dataPointsCount: portfolioData.dailyData.length,
+        marketDataPoints: marketData.length,
+        benchmark: {
+          id: getBenchmarkId(benchmark),
+          name: getBenchmarkName(benchmark),
+          components: benchmark.components,
+          rebalance: benchmark.rebalance,
+          source: benchmarkSource
+        },
+        aggregationStrategy: portfolioData.strategy,
+        requestId,
+        durationMs: Date.now() - startTime
+      }
+    };
+    
+    console.log(`[riskMetricsService] Drawdown episodes complete`, {
+      requestId,
+      durationMs: result.metadata.durationMs,
+      portfolioEpisodes: result.portfolio.episodes.length,
+      benchmarkEpisodes: result.benchmark.episodes.length
+    });
+    
+    return result;
+    
+  } catch (error) {
+    console.error(`[riskMetricsService] Drawdown episodes error:`, {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    return {
+      success: false,
+      error: error.message.includes('INSUFFICIENT_DATA') ? 'INSUFFICIENT_DATA' : 'CALCULATION_ERROR',
+      message: error.message,
+      metadata: {
+        calculatedAt: new Date().toISOString(),
+        period,
+        currency,
+        threshold,
+        requestId,
+        durationMs: Date.now() - startTime
+      }
+    };
+  }
+}
+
 module.exports = {
   calculateRiskMetrics,
+  calculateRollingRiskMetrics,
+  calculateDrawdownEpisodes,
   getPeriodStartDate,
   formatDateToISO,
   getDataQuality
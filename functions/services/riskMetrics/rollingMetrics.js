@@ -0,0 +1,174 @@
+/**
+ * Rolling Metrics
+ *
+ * Series móviles de retorno, volatilidad, Sharpe, beta y correlación: cada
+ * punto son las métricas de la ventana de N días de trading que termina en
+ * esa fecha, calculadas igual que las métricas del período completo
+ * (calculateAllMetrics). Incluye el cache de series por usuario y ventana.
+ *
+ * @module services/riskMetrics/rollingMetrics
+ * @see docs/stories/36.story.md
+ */
+
+const NodeCache = require('node-cache');
+const { calculateAllMetrics } = require('./mathCalculations');
+const {
+  CACHE_KEYS,
+  ROLLING_WINDOWS,
+  MIN_ROLLING_WINDOW,
+  MAX_ROLLING_WINDOW,
+  MAX_ROLLING_WINDOWS,
+  ROLLING_CACHE_TTL,
+  ROLLING_MIN_MARKET_COVERAGE,
+  TRADING_DAYS_PER_YEAR
+} = require('./types');
+
+const cache = new NodeCache({
+  stdTTL: ROLLING_CACHE_TTL,
+  checkperiod: 120,
+  useClones: false
+});
+
+/**
+ * Parsea las ventanas de un parámetro de query ("30,90,252")
+ * @param {string} [param] - Ventanas separadas por coma (vacío = ROLLING_WINDOWS)
+ * @returns {number[]} Ventanas únicas en orden ascendente
+ * @throws {Error} Si alguna ventana es inválida o hay demasiadas
+ */
+function parseRollingWindows(param) {
+  if (!param) return [...ROLLING_WINDOWS];
+
+  const windows = String(param).split(',').map(value => value.trim()).filter(Boolean).map(value => {
+    const window = Number(value);
+    if (!Number.isInteger(window) || window < MIN_ROLLING_WINDOW || window > MAX_ROLLING_WINDOW) {
+      throw new Error(`Ventana inválida: ${value} (entero entre ${MIN_ROLLING_WINDOW} y ${MAX_ROLLING_WINDOW})`);
+    }
+    return window;
+  });
+
+  const unique = [...new Set(windows)].sort((a, b) => a - b);
+  if (unique.length === 0) {
+    throw new Error('Se requiere al menos una ventana');
+  }
+  if (unique.length > MAX_ROLLING_WINDOWS) {
+    throw new Error(`Máximo ${MAX_ROLLING_WINDOWS} ventanas por consulta`);
+  }
+  return unique;
+}
+
+/**
+ * Días calendario a pedir antes del inicio del período para que la primera
+ * ventana ya esté completa en esa fecha (con margen para feriados)
+ * @param {number} window - Tamaño de la ventana en días de trading
+ * @returns {number}
+ */
+function getLookbackDays(window) {
+  return Math.ceil(window * 365 / TRADING_DAYS_PER_YEAR) + 7;
+}
+
+/**
+ * Calcula la serie móvil de una ventana
+ *
+ * @param {Array<{date: string, return: number}>} dailyData - Retornos diarios del
+ *   portafolio ordenados por fecha (formato de multiAccountAggregator)
+ * @param {Map<string, number>} marketByDate - Retorno diario del benchmark por fecha
+ * @param {number} window - Tamaño de la ventana en días de trading
+ * @param {Object} [options]
+ * @param {Array<number|null>} [options.dailyRiskFreeRates] - Tasa vigente por cada día de dailyData
+ * @param {number} [options.riskFreeRate] - Tasa por defecto para días sin dato
+ * @param {'compounded' | 'average'} [options.riskFreeRateMethod='compounded']
+ * @param {string} [options.fromDate] - Solo devolver puntos desde esta fecha
+ * @returns {import('./types').RollingMetricsPoint[]}
+ */
+function calculateRollingSeries(dailyData, marketByDate, window, options = {}) {
+  const { dailyRiskFreeRates, riskFreeRate, riskFreeRateMethod = 'compounded', fromDate } = options;
+  const minMarketDays = Math.ceil(window * ROLLING_MIN_MARKET_COVERAGE);
+  const points = [];
+
+  for (let end = window; end <= dailyData.length; end++) {
+    const windowData = dailyData.slice(end - window, end);
+    const date = windowData[windowData.length - 1].date;
+    if (fromDate && date < fromDate) continue;
+
+    const returns = windowData.map(d => d.return || 0);
+    const aligned = windowData.filter(d => marketByDate.has(d.date));
+    const hasMarket = aligned.length >= minMarketDays;
+
+    const metrics = calculateAllMetrics(
+      returns,
+      hasMarket ? aligned.map(d => d.return || 0) : [],
+      hasMarket ? aligned.map(d => marketByDate.get(d.date)) : [],
+      {
+        riskFreeRate,
+        dailyRiskFreeRates: dailyRiskFreeRates ? dailyRiskFreeRates.slice(end - window, end) : undefined,
+        riskFreeRateMethod
+      }
+    );
+
+    points.push({
+      date,
+      return: metrics.totalReturn,
+      volatility: metrics.volatility,
+      sharpeRatio: metrics.sharpeRatio,
+      beta: hasMarket ? metrics.beta : null,
+      correlation: hasMarket ? metrics.correlation : null
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Clave de cache de una serie móvil
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string[]} params.accountIds - Vacío = overall
+ * @param {string} params.period
+ * @param {string} params.currency
+ * @param {number} params.window
+ * @param {string} params.benchmarkId
+ * @param {string} params.riskFreeRateMethod
+ * @param {string} params.endDate
+ * @returns {string}
+ */
+function getRollingCacheKey({ userId, accountIds, period, currency, window, benchmarkId, riskFreeRateMethod, endDate }) {
+  const accounts = accountIds.length > 0 ? [...accountIds].sort().join(',') : 'overall';
+  return [CACHE_KEYS.ROLLING_SERIES, userId, accounts, period, currency, window, benchmarkId, riskFreeRateMethod, endDate].join('_');
+}
+
+/**
+ * Obtiene una serie móvil del cache
+ * @param {string} key - Clave de getRollingCacheKey
+ * @returns {Object|undefined}
+ */
+function getCachedRollingSeries(key) {
+  return cache.get(key);
+}
+
+/**
+ * Guarda una serie móvil en el cache
+ * @param {string} key - Clave de getRollingCacheKey
+ * @param {Object} series
+ */
+function setCachedRollingSeries(key, series) {
+  cache.set(key, series);
+}
+
+/**
+ * Invalida las series móviles en cache de un usuario
+ * @param {string} userId
+ */
+function invalidateRollingCache(userId) {
+  const prefix = `${CACHE_KEYS.ROLLING_SERIES}_${userId}_`;
+  cache.del(cache.keys().filter(key => key.startsWith(prefix)));
+}
+
+module.exports = {
+  parseRollingWindows,
+  getLookbackDays,
+  calculateRollingSeries,
+  getRollingCacheKey,
+  getCachedRollingSeries,
+  setCachedRollingSeries,
+  invalidateRollingCache
+};
@@ -55,6 +55,24 @@
  * @property {number} maxDrawdown - Máximo drawdown como decimal
  * @property {number} valueAtRisk95 - VaR al 95% de confianza
  * @property {number} profitableWeeks - Porcentaje de semanas rentables
+ * @property {number} portfolioReturn - Retorno acumulado (%) en las fechas con dato del benchmark
+ * @property {number} benchmarkReturn - Retorno acumulado del benchmark (%) en las mismas fechas
+ * @property {number} excessReturn - portfolioReturn - benchmarkReturn (pp)
+ * @property {number|null} cvar95 - Expected shortfall al 95% (% diario, negativo)
+ * @property {number|null} cvar99 - Expected shortfall al 99% (% diario, negativo)
+ * @property {number|null} parametricVaR95 - VaR normal al 95% (% diario)
+ * @property {number|null} parametricVaR99 - VaR normal al 99% (% diario)
+ * @property {number|null} cornishFisherVaR95 - VaR Cornish-Fisher al 95% (% diario)
+ * @property {number|null} cornishFisherVaR99 - VaR Cornish-Fisher al 99% (% diario)
+ * @property {number|null} calmarRatio - Retorno anualizado / |máximo drawdown|
+ * @property {number|null} treynorRatio - Exceso sobre la tasa libre de riesgo por unidad de beta (pp)
+ * @property {number|null} omegaRatio - Ganancias / pérdidas diarias (umbral 0); null sin pérdidas
+ * @property {number|null} informationRatio - Retorno activo anualizado / tracking error
+ * @property {number|null} trackingError - Volatilidad anualizada del retorno activo (%)
+ * @property {number|null} upCaptureRatio - % del retorno del benchmark capturado en días alcistas
+ * @property {number|null} downCaptureRatio - % del retorno del benchmark capturado en días bajistas
+ * @property {number|null} skewness - Asimetría de los retornos diarios
+ * @property {number|null} kurtosis - Curtosis en exceso de los retornos diarios
  * @property {DrawdownDataPoint[]} drawdownHistory - Historial de drawdowns
  * @property {RiskMetricsMetadata} metadata - Metadata del cálculo
  */
@@ -69,11 +87,70 @@
  * @property {AggregationStrategy} aggregationMethod - Método de agregación usado
  * @property {number} dataPointsCount - Número de puntos de datos
  * @property {string} dataQuality - Calidad de datos (excellent/good/limited/insufficient)
+ * @property {{id: string, name: string, components: BenchmarkComponent[], rebalance: string, source: string}} benchmark - Benchmark usado
+ * @property {import('../riskFreeRates/types').PeriodRiskFreeRate} riskFreeRate - Tasa libre de riesgo usada en Sharpe y Sortino
+ */
+
+/**
+ * Punto de una serie móvil (métricas de la ventana que termina en `date`)
+ * @typedef {Object} RollingMetricsPoint
+ * @property {string} date - Último día de la ventana
+ * @property {number} return - Retorno acumulado de la ventana (%)
+ * @property {number} volatility - Volatilidad anualizada (%)
+ * @property {number} sharpeRatio - Sharpe de la ventana
+ * @property {number|null} beta - Beta vs benchmark (null sin suficientes días del benchmark)
+ * @property {number|null} correlation - Correlación con el benchmark
+ */
+
+/**
+ * Comportamiento del benchmark en la ventana de un episodio del portafolio
+ * @typedef {Object} BenchmarkEpisodeWindow
+ * @property {number} returnToTrough - Retorno del benchmark del pico al valle del portafolio (%)
+ * @property {number} maxDrawdown - Peor drawdown del benchmark dentro de la ventana (%)
+ */
+
+/**
+ * Episodio de drawdown: del pico previo a la recuperación de ese pico
+ * @typedef {Object} DrawdownEpisode
+ * @property {string} peakDate - Último máximo antes de la caída
+ * @property {string} troughDate - Fecha del punto más bajo
+ * @property {number} depth - Profundidad del episodio (%, negativo)
+ * @property {number} daysToTrough - Días de trading del pico al valle
+ * @property {string|null} recoveryDate - Primera fecha que vuelve al pico (null si sigue abierto)
+ * @property {number|null} daysToRecover - Días de trading del valle a la recuperación
+ * @property {number} durationDays - Días de trading del pico a la recuperación o al último dato
+ * @property {boolean} isOpen - Si el episodio no se ha recuperado
+ * @property {BenchmarkEpisodeWindow|null} [benchmark] - Benchmark en la misma ventana
+ */
+
+/**
+ * Componente de un benchmark (un índice de indexHistories con su peso)
+ * @typedef {Object} BenchmarkComponent
+ * @property {string} code - Código del índice en indexHistories (GSPC, DJI, ...)
+ * @property {number} weight - Peso en % (los pesos suman 100)
+ * @property {string} [name] - Nombre legible del índice
+ */
+
+/**
+ * Benchmark simple o combinado
+ * @typedef {Object} BenchmarkDefinition
+ * @property {BenchmarkComponent[]} components - Uno (índice simple) o varios (combinado)
+ * @property {'daily' | 'monthly' | 'none'} rebalance - Rebalanceo de los pesos del combinado
+ */
+
+/**
+ * Preferencia de benchmark de una cuenta o del portafolio completo
+ * @typedef {Object} BenchmarkPreference
+ * @property {string} id - `${userId}_${accountId || 'overall'}`
+ * @property {string} userId
+ * @property {string|null} accountId - null = portafolio completo
+ * @property {BenchmarkComponent[]} components
+ * @property {'daily' | 'monthly' | 'none'} rebalance
  */
 
 /** Constantes de benchmark */
 const DEFAULT_BENCHMARKS = {
-  /** Tasa libre de riesgo anualizada (T-Bills ~5.5% en 2024) */
+  /** Tasa libre de riesgo anualizada por defecto, sin serie en riskFreeRates (T-Bills ~5.5% en 2024) */
   RISK_FREE_RATE: 0.055,
   /** Índice de referencia para beta */
   BENCHMARK_INDEX: 'GSPC',
@@ -81,6 +158,47 @@ const DEFAULT_BENCHMARKS = {
   BENCHMARK_NAME: 'S&P 500'
 };
 
+/** Benchmark por defecto (sin preferencia del usuario) */
+const DEFAULT_BENCHMARK = {
+  components: [{ code: DEFAULT_BENCHMARKS.BENCHMARK_INDEX, weight: 100, name: DEFAULT_BENCHMARKS.BENCHMARK_NAME }],
+  rebalance: 'monthly'
+};
+
+/** Frecuencias de rebalanceo de un benchmark combinado */
+const BENCHMARK_REBALANCE_FREQUENCIES = ['daily', 'monthly', 'none'];
+
+/** Máximo de índices en un benchmark combinado */
+const MAX_BENCHMARK_COMPONENTS = 5;
+
+/** Colección de preferencias de benchmark */
+const BENCHMARK_PREFERENCES_COLLECTION = 'benchmarkPreferences';
+
+/** Ventanas móviles por defecto (días de trading) */
+const ROLLING_WINDOWS = [30, 90, 252];
+
+/** Rango permitido para una ventana móvil (días de trading) */
+const MIN_ROLLING_WINDOW = 10;
+const MAX_ROLLING_WINDOW = 756;
+
+/** Máximo de ventanas por request */
+const MAX_ROLLING_WINDOWS = 5;
+
+/**
+ * Fracción mínima de días de la ventana con dato del benchmark para
+ * calcular beta y correlación
+ */
+const ROLLING_MIN_MARKET_COVERAGE = 0.8;
+
+/** TTL del cache de series móviles en segundos (15 minutos) */
+const ROLLING_CACHE_TTL = 900;
+
+/** Umbral por defecto para reportar un episodio de drawdown (%) */
+const DEFAULT_DRAWDOWN_THRESHOLD = 5;
+
+/** Rango permitido del umbral de episodios de drawdown (%) */
+const MIN_DRAWDOWN_THRESHOLD = 0.5;
+const MAX_DRAWDOWN_THRESHOLD = 90;
+
 /** Días de trading por año (para anualización) */
 const TRADING_DAYS_PER_YEAR = 252;
 
@@ -93,7 +211,10 @@ const CACHE_KEYS = {
   SP500_1Y: 'sp500_1y',
   SP500_2Y: 'sp500_2y',
   SP500_ALL: 'sp500_all',
-  SECTOR_WEIGHTS: 'sector_weights'
+  SECTOR_WEIGHTS: 'sector_weights',
+  INDEX_RETURNS: 'index_returns',
+  RISK_FREE_RATES: 'risk_free_rates',
+  ROLLING_SERIES: 'rolling_series'
 };
 
 /** TTL de cache en segundos (1 hora) */
@@ -101,6 +222,19 @@ const CACHE_TTL = 3600;
 
 module.exports = {
   DEFAULT_BENCHMARKS,
+  DEFAULT_BENCHMARK,
+  BENCHMARK_REBALANCE_FREQUENCIES,
+  MAX_BENCHMARK_COMPONENTS,
+  BENCHMARK_PREFERENCES_COLLECTION,
+  ROLLING_WINDOWS,
+  MIN_ROLLING_WINDOW,
+  MAX_ROLLING_WINDOW,
+  MAX_ROLLING_WINDOWS,
+  ROLLING_MIN_MARKET_COVERAGE,
+  ROLLING_CACHE_TTL,
+  DEFAULT_DRAWDOWN_THRESHOLD,
+  MIN_DRAWDOWN_THRESHOLD,
+  MAX_DRAWDOWN_THRESHOLD,
   TRADING_DAYS_PER_YEAR,
   MIN_DAYS_FOR_METRICS,
   CACHE_KEYS,
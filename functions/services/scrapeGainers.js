@@ -4,6 +4,27 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
 const {createStockModel} = require("../models/stockModel")
+const { FIELD_TYPES, assertSelectorsMatched, validateScrapedItems } = require("./scraperDrift");
+
+const SCRAPER = "scrapeGainers";
+
+// Google Finance selectors (obfuscated class names, see services/scraperDrift)
+const SELECTORS = {
+    list: "ul.sbnBtf",
+    symbol: ".Sy70mc .COaKTb",
+    name: ".Sy70mc .ZvmM7",
+    current: ".Sy70mc .YMlKec",
+    change: ".Sy70mc .BAftM",
+    percentChange: ".Sy70mc .JwB6zf"
+};
+
+const SCHEMA = {
+    symbol: { selector: SELECTORS.symbol, type: FIELD_TYPES.TEXT },
+    name: { selector: SELECTORS.name, type: FIELD_TYPES.TEXT },
+    current: { selector: SELECTORS.current, type: FIELD_TYPES.NUMBER },
+    change: { selector: SELECTORS.change, type: FIELD_TYPES.NUMBER },
+    percentChange: { selector: SELECTORS.percentChange, type: FIELD_TYPES.NUMBER }
+};
 
 /**
  * Scrapes the top gaining stocks from the Google Finance website.
@@ -23,30 +44,40 @@ async function scrapeGainers(){
     const percentChanges = [];
 
     //scrapes symbols
-    $(".Sy70mc .COaKTb").each(function(i, element){
+    $(SELECTORS.symbol).each(function(i, element){
         const symbol = $(element).text();
         symbols.push(symbol);
     });
     //scrapes names
-    $(".Sy70mc .ZvmM7").each(function(i, element){
+    $(SELECTORS.name).each(function(i, element){
         const name = $(element).text();
         names.push(name);
     });
     //scrapes values
-    $(".Sy70mc .YMlKec").each(function(i, element){
+    $(SELECTORS.current).each(function(i, element){
         const value = $(element).text();
         values.push(value);
     });
     //scrapes changes in value
-    $(".Sy70mc .BAftM").each(function(i, element){
+    $(SELECTORS.change).each(function(i, element){
         const change = $(element).text();
         changes.push(change);
     });
     //scrapes percent changes
-    $(".Sy70mc .JwB6zf").each(function(i, element){
+    $(SELECTORS.percentChange).each(function(i, element){
         const percentChange = "+" + $(element).text();
         percentChanges.push(percentChange);
     });
+    //reports the selector that stopped matching; a list without rows returns an empty array
+    assertSelectorsMatched(SCRAPER, {
+        [SELECTORS.symbol]: symbols,
+        [SELECTORS.name]: names,
+        [SELECTORS.current]: values,
+        [SELECTORS.change]: changes,
+        [SELECTORS.percentChange]: percentChanges
+    }, {
+        containers: { [SELECTORS.list]: $(SELECTORS.list).length }
+    });
     //creates active stock model for each
     for (let i = 0; i < symbols.length; i++) {
         gainers.push(createStockModel(
@@ -57,7 +88,7 @@ async function scrapeGainers(){
             percentChanges[i]
         ));
     }
-    return gainers;
+    return validateScrapedItems(SCRAPER, gainers, SCHEMA);
 
 }
 
@@ -4,6 +4,25 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
 const { createStockIndex } = require("../models/indexModel");
+const { FIELD_TYPES, assertSelectorsMatched, validateScrapedItems } = require("./scraperDrift");
+
+const SCRAPER = "scrapeIndices";
+
+// Google Finance selectors (obfuscated class names, see services/scraperDrift)
+const SELECTORS = {
+  list: "ul.sbnBtf",
+  name: ".ZvmM7",
+  score: ".xVyTdb .YMlKec ",
+  change: ".xVyTdb .SEGxAb .P2Luy",
+  percentChange: ".xVyTdb .JwB6zf",
+};
+
+const SCHEMA = {
+  name: { selector: SELECTORS.name, type: FIELD_TYPES.TEXT },
+  score: { selector: SELECTORS.score, type: FIELD_TYPES.NUMBER },
+  change: { selector: SELECTORS.change, type: FIELD_TYPES.NUMBER },
+  percentChange: { selector: SELECTORS.percentChange, type: FIELD_TYPES.NUMBER },
+};
 /**
  *
  * @param {string} region Either "americas", "europe-middle-east-africa", or "asia-pacific"
@@ -24,25 +43,35 @@ async function scrapeIndices(region) {
   const percentageChanges = [];
 
   //scrape names
-  $(".ZvmM7").each(function (i, element) {
+  $(SELECTORS.name).each(function (i, element) {
     indexNames.push($(element).text());
   });
 
   //scrape scores (current index value)
-  $(".xVyTdb .YMlKec ").each(function (i, element) {
+  $(SELECTORS.score).each(function (i, element) {
     scores.push($(element).text());
   });
 
   //scrape changes
-  $(".xVyTdb .SEGxAb .P2Luy").each(function (i, element) {
+  $(SELECTORS.change).each(function (i, element) {
     changes.push($(element).text());
   });
 
   //scrape percentage changes
-  $(".xVyTdb .JwB6zf").each(function (i, element) {
+  $(SELECTORS.percentChange).each(function (i, element) {
     percentageChanges.push($(element).text());
   });
 
+  //reports the selector that stopped matching; a list without rows returns an empty array
+  assertSelectorsMatched(SCRAPER, {
+    [SELECTORS.name]: indexNames,
+    [SELECTORS.score]: scores,
+    [SELECTORS.change]: changes,
+    [SELECTORS.percentChange]: percentageChanges,
+  }, {
+    containers: { [SELECTORS.list]: $(SELECTORS.list).length }
+  });
+
   for (let i = 0; i < indexNames.length; i++) {
     percentageChanges[i] = changes[i].includes("-") ? "-" + percentageChanges[i] : "+" + percentageChanges[i];
     stockIndex.push(
@@ -55,7 +84,7 @@ async function scrapeIndices(region) {
     );
   }
 
-  return stockIndex;
+  return validateScrapedItems(SCRAPER, stockIndex, SCHEMA);
 }
 
 module.exports = scrapeIndices;
@@ -4,6 +4,24 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
 const { createNewsModel } = require("../models/newsModel");
+const { FIELD_TYPES, assertSelectorsMatched, validateScrapedItems } = require("./scraperDrift");
+
+const SCRAPER = "scrapeNews";
+
+// Google Finance selectors (obfuscated class names, see services/scraperDrift)
+const SELECTORS = {
+  image: "img.tLGtv",
+  headline: "a.TxRU9d .F2KAFc",
+  source: "a.TxRU9d .AYBNIb",
+  url: "a.TxRU9d",
+};
+
+const SCHEMA = {
+  headline: { selector: SELECTORS.headline, type: FIELD_TYPES.TEXT },
+  image: { selector: SELECTORS.image, type: FIELD_TYPES.URL },
+  source: { selector: SELECTORS.source, type: FIELD_TYPES.TEXT },
+  url: { selector: SELECTORS.url, type: FIELD_TYPES.URL },
+};
 
 /**
  * Scrapes the most active stocks from the Google Finance website.
@@ -21,45 +39,53 @@ async function scrapeNews(symbol, exchange) {
   const news = [];
 
   //scrapes images
-  $("img.tLGtv").each(function (i, element) {
+  $(SELECTORS.image).each(function (i, element) {
     const image = $(element).attr("src");
     images.push(image);
   });
 
   //scrapes headlines
-  $("a.TxRU9d .F2KAFc").each(function (i, element) {
-    const headline = $(element).text();
-    headlines.push(headline);
-    //breaks loop if same length as images array to stop scraping articles with no images
+  $(SELECTORS.headline).each(function (i, element) {
+    //breaks loop at the images count to stop scraping articles with no images
     if (headlines.length === images.length) {
         return false;
     }
+    const headline = $(element).text();
+    headlines.push(headline);
   });
 
   //scrapes sources
-  $("a.TxRU9d .AYBNIb").each(function (i, element) {
-    const source = $(element).text();
-    sources.push(source);
-    //breaks loop if same length as images array to stop scraping articles with no images
+  $(SELECTORS.source).each(function (i, element) {
+    //breaks loop at the images count to stop scraping articles with no images
     if (sources.length === images.length) {
         return false;
     }
+    const source = $(element).text();
+    sources.push(source);
   });
 
   //scrapes urls
-  $("a.TxRU9d").each(function (i, element) {
-    const url = $(element).attr("href");
-    urls.push(url);
-    //breaks loop if same length as images array to stop scraping articles with no images
+  $(SELECTORS.url).each(function (i, element) {
+    //breaks loop at the images count to stop scraping articles with no images
     if (urls.length === images.length) {
         return false;
     }
+    const url = $(element).attr("href");
+    urls.push(url);
+  });
+
+  //reports the selector that stopped matching; no articles with images returns an empty array
+  assertSelectorsMatched(SCRAPER, {
+    [SELECTORS.image]: images,
+    [SELECTORS.headline]: headlines,
+    [SELECTORS.source]: sources,
+    [SELECTORS.url]: urls,
   });
 
   for (let i = 0; i < images.length; i++) {
     news.push(createNewsModel(headlines[i], images[i], sources[i], urls[i]));
   }
-  return news;
+  return validateScrapedItems(SCRAPER, news, SCHEMA);
 }
 
 module.exports = { scrapeNews };
@@ -3,6 +3,27 @@ const axios = require("axios");
 const cheerio = require("cheerio");
 const moment = require("moment");
 const { createFullStockQuote, createSimpleQuote } = require("../models/quoteModel");
+const { FIELD_TYPES, assertSelectorsMatched, extractField, validateScrapedItems } = require("./scraperDrift");
+
+const FULL_QUOTE_SCRAPER = "scrapeFullQuote";
+
+// Google Finance selectors (obfuscated class names, see services/scraperDrift)
+const FULL_QUOTE_SELECTORS = {
+  price: ".YMlKec.fxKbKc",
+  stats: ".P6K39c",
+  name: ".zzDege",
+  about: ".bLLb2d",
+  quarter: ".yNnsfe",
+};
+
+const FULL_QUOTE_SCHEMA = {
+  name: { selector: FULL_QUOTE_SELECTORS.name, type: FIELD_TYPES.TEXT },
+  current: { selector: FULL_QUOTE_SELECTORS.price, type: FIELD_TYPES.NUMBER },
+  previousClose: { selector: FULL_QUOTE_SELECTORS.stats, type: FIELD_TYPES.NUMBER },
+  change: { selector: FULL_QUOTE_SELECTORS.stats, type: FIELD_TYPES.NUMBER },
+  high: { selector: FULL_QUOTE_SELECTORS.stats, type: FIELD_TYPES.NUMBER },
+  low: { selector: FULL_QUOTE_SELECTORS.stats, type: FIELD_TYPES.NUMBER },
+};
 
 /**
  * Scrapes complex data for a quote from Google Finance.
@@ -17,10 +38,21 @@ async function scrapeFullQuote(symbol, exchange) {
   const { data } = await axios.get(url);
   const $ = cheerio.load(data);
 
-  const values = $(".YMlKec.fxKbKc").text().replace("$", "").split("$");
-  const dataArray = $(".P6K39c").text().split("$");
+  const priceText = $(FULL_QUOTE_SELECTORS.price).text();
+  const statsText = $(FULL_QUOTE_SELECTORS.stats).text();
+  const name = $(FULL_QUOTE_SELECTORS.name).text();
+
+  // reports the selector that stopped matching instead of failing on a regex
+  assertSelectorsMatched(FULL_QUOTE_SCRAPER, {
+    [FULL_QUOTE_SELECTORS.price]: priceText,
+    [FULL_QUOTE_SELECTORS.stats]: statsText,
+    [FULL_QUOTE_SELECTORS.name]: name,
+  });
+
+  const values = priceText.replace("$", "").split("$");
+  const dataArray = statsText.split("$");
+  const stats = (field, extractor) => extractField(FULL_QUOTE_SCRAPER, FULL_QUOTE_SELECTORS.stats, field, extractor);
 
-  const name = $(".zzDege").text();
   const current = values[0];
   let aftermarketValue = "N/A";
   if (moment().isAfter(moment().hour(16).minute(0).second(0))) {
@@ -29,21 +61,23 @@ async function scrapeFullQuote(symbol, exchange) {
   const previousClose = dataArray[1];
   const change = (current - previousClose).toFixed(2);
   const percentChange = `${change >= 0 ? "+" : "-"}${((Math.abs(change) / previousClose) * 100).toFixed(2)}%`;
-  const low = dataArray[2].split("-")[0].trim();
+  const low = stats("low", () => dataArray[2].split("-")[0].trim());
   const high = dataArray[3];
-  const week52Low = dataArray[4].split("-")[0].trim();
-  const week52High = dataArray[5].match(/\d+\.\d{2}/)[0];
-  const marketCap = dataArray[5].split(week52High)[1].match(/\d+\.\d{2}(T|B|M) USD/)[0];
-  const avgVolume = dataArray[5].match(/\d+\.\d{2}M/)[0];
-  const peRatio = dataArray[5].split(avgVolume)[1].match(/\d+\.\d{2}/)[0];
+  const week52Low = stats("week52Low", () => dataArray[4].split("-")[0].trim());
+  const week52High = stats("week52High", () => dataArray[5].match(/\d+\.\d{2}/)[0]);
+  const marketCap = stats("marketCap", () => dataArray[5].split(week52High)[1].match(/\d+\.\d{2}(T|B|M) USD/)[0]);
+  const avgVolume = stats("avgVolume", () => dataArray[5].match(/\d+\.\d{2}M/)[0]);
+  const peRatio = stats("peRatio", () => dataArray[5].split(avgVolume)[1].match(/\d+\.\d{2}/)[0]);
   const dividendYield = dataArray[5].match(/(\b\d+\.\d{2}%\b)/)?.[0]?.substring(2) ?? "N/A";
-  const employees = dataArray[5].match(/(\d+,?\d*)$/)[1];
-  const about = $(".bLLb2d").text().replace(/\n/g, ' ').replace(/Wikipedia/g, '').trim();
-  const quarter = $(".yNnsfe").text().match(/\(USD\)(\w+\s\d{4})/)[1];
+  const employees = stats("employees", () => dataArray[5].match(/(\d+,?\d*)$/)[1]);
+  const about = $(FULL_QUOTE_SELECTORS.about).text().replace(/\n/g, ' ').replace(/Wikipedia/g, '').trim();
+  const quarter = extractField(FULL_QUOTE_SCRAPER, FULL_QUOTE_SELECTORS.quarter, "quarter",
+    () => $(FULL_QUOTE_SELECTORS.quarter).text().match(/\(USD\)(\w+\s\d{4})/)[1]);
   const quarterlyRevenue = $('tr:contains("Revenue") .QXDnM').text();
-  const quarterlyNetIncome = $('tr:contains("Net income") .QXDnM').text().match(/(\d+\.\d+)([BM]?)?/g)[0];
+  const quarterlyNetIncome = extractField(FULL_QUOTE_SCRAPER, 'tr:contains("Net income") .QXDnM', "quarterlyNetIncome",
+    () => $('tr:contains("Net income") .QXDnM').text().match(/(\d+\.\d+)([BM]?)?/g)[0]);
   const eps = $('tr:contains("Earnings per share") .QXDnM').text();
-  return createFullStockQuote(
+  const [fullQuote] = validateScrapedItems(FULL_QUOTE_SCRAPER, [createFullStockQuote(
     name,
     previousClose,
     change,
@@ -66,7 +100,8 @@ async function scrapeFullQuote(symbol, exchange) {
     quarterlyRevenue,
     quarterlyNetIncome,
     eps
-  );
+  )], FULL_QUOTE_SCHEMA);
+  return fullQuote;
 }
 
 /**
@@ -0,0 +1,208 @@
+/**
+ * Scraper Drift Detector
+ *
+ * Los scrapers de Google Finance dependen de clases ofuscadas (`.ZvmM7`,
+ * `.YMlKec`, ...) que Google cambia sin aviso. Sin validación, un selector
+ * roto devuelve un array vacío o campos vacíos y el error pasa
+ * desapercibido. Este módulo:
+ * - Verifica que los selectores de una lista coincidan en las mismas filas
+ *   y que los contenedores de la página existan (una página sin filas, p. ej.
+ *   un ticker sin noticias, es válida y devuelve un array vacío)
+ * - Valida la salida contra un esquema (textos no vacíos, precios numéricos)
+ * - Lanza un error con código SCRAPER_SELECTOR_DRIFT que indica el scraper,
+ *   el campo y el selector que falló
+ *
+ * @module services/scraperDrift
+ */
+
+/** Código de los errores de selector */
+const SCRAPER_DRIFT_CODE = 'SCRAPER_SELECTOR_DRIFT';
+
+/**
+ * Tipos de campo del esquema
+ * - text: string no vacío
+ * - number: contiene un número ("$1,234.56", "-0.45", "2.95T USD")
+ * - url: URL absoluta http(s)
+ */
+const FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  URL: 'url'
+};
+
+/**
+ * Esquema de validación: campo → selector del que sale y tipo esperado
+ * @typedef {Object.<string, {selector: string, type: string}>} ScraperSchema
+ */
+
+/**
+ * Crea el error de drift de un selector
+ *
+ * @param {string} scraper - Nombre del scraper
+ * @param {string} selector - Selector CSS que falló
+ * @param {string} reason - Descripción del fallo
+ * @param {Object} [details] - { field, index, value }
+ * @returns {Error} Error con code, scraper, selector y details
+ */
+function createDriftError(scraper, selector, reason, details = {}) {
+  const error = new Error(`[${scraper}] El selector "${selector}" ${reason}`);
+  error.code = SCRAPER_DRIFT_CODE;
+  error.scraper = scraper;
+  error.selector = selector;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Extrae el primer número de un texto ("$1,234.56" → 1234.56,
+ * "-$9.43" → -9.43)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseNumericText(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').replace(/[,\s$€£¥₹]/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type - Ver FIELD_TYPES
+ * @returns {boolean}
+ */
+function isValidField(value, type) {
+  switch (type) {
+    case FIELD_TYPES.NUMBER:
+      return parseNumericText(value) !== null;
+    case FIELD_TYPES.URL:
+      return typeof value === 'string' && /^https?:\/\//.test(value);
+    default:
+      return typeof value === 'string' && value.trim().length > 0;
+  }
+}
+
+/**
+ * Verifica que los selectores hayan encontrado elementos.
+ *
+ * El primer selector de lista define cuántas filas hay. Sin filas, la página
+ * es válida (lista vacía) si ningún otro selector de lista encontró nada y
+ * los contenedores existen; un selector con menos elementos que filas dejó
+ * de coincidir en parte de la página. Los valores de texto (páginas de un
+ * solo elemento) siempre deben existir.
+ *
+ * @param {string} scraper - Nombre del scraper
+ * @param {Object.<string, Array|string>} matches - Selector → valores extraídos (array o texto)
+ * @param {Object} [options]
+ * @param {Object.<string, number>} [options.containers] - Selector → elementos encontrados
+ *   de la estructura que la página siempre tiene, aunque no haya filas
+ * @throws {Error} SCRAPER_SELECTOR_DRIFT con el primer selector sin coincidencias
+ */
+function assertSelectorsMatched(scraper, matches, { containers = {} } = {}) {
+  Object.entries(containers).forEach(([selector, found]) => {
+    if (!found) {
+      throw createDriftError(scraper, selector, 'no encontró el contenedor');
+    }
+  });
+
+  const entries = Object.entries(matches);
+  const expected = Array.isArray(entries[0]?.[1]) ? entries[0][1].length : null;
+
+  if (expected === 0) {
+    const [rowSelector] = entries[0];
+    const other = entries.find(([, values]) => Array.isArray(values) && values.length > 0);
+    if (other) {
+      throw createDriftError(
+        scraper,
+        rowSelector,
+        `no encontró elementos y "${other[0]}" encontró ${other[1].length}`,
+        { found: 0, expected: other[1].length }
+      );
+    }
+  }
+
+  entries.forEach(([selector, values]) => {
+    if (expected === 0 && Array.isArray(values)) return;
+    if (!values || values.length === 0) {
+      throw createDriftError(scraper, selector, 'no encontró elementos');
+    }
+    if (Array.isArray(values) && expected !== null && values.length < expected) {
+      throw createDriftError(
+        scraper,
+        selector,
+        `encontró ${values.length} elementos de ${expected} esperados`,
+        { found: values.length, expected }
+      );
+    }
+  });
+}
+
+/**
+ * Ejecuta la extracción de un campo derivado del texto de un selector
+ * (regex, split). Si el texto cambió de formato, el TypeError de la
+ * extracción se convierte en un error de drift del selector.
+ *
+ * @param {string} scraper - Nombre del scraper
+ * @param {string} selector - Selector del que sale el texto
+ * @param {string} field - Campo extraído
+ * @param {function(): *} extractor
+ * @returns {*} Valor extraído
+ * @throws {Error} SCRAPER_SELECTOR_DRIFT
+ */
+function extractField(scraper, selector, field, extractor) {
+  try {
+    return extractor();
+  } catch (error) {
+    throw createDriftError(
+      scraper,
+      selector,
+      `no tiene el formato esperado para "${field}": ${error.message}`,
+      { field }
+    );
+  }
+}
+
+/**
+ * Valida la salida de un scraper contra su esquema
+ *
+ * @param {string} scraper - Nombre del scraper
+ * @param {Object[]} items - Objetos producidos por el scraper
+ * @param {ScraperSchema} schema
+ * @returns {Object[]} Los mismos items si son válidos
+ * @throws {Error} SCRAPER_SELECTOR_DRIFT con el campo y selector del primer valor inválido
+ */
+function validateScrapedItems(scraper, items, schema) {
+  items.forEach((item, index) => {
+    Object.entries(schema).forEach(([field, { selector, type }]) => {
+      const value = item[field];
+      if (!isValidField(value, type)) {
+        throw createDriftError(
+          scraper,
+          selector,
+          `devolvió un valor inválido para "${field}" (${type}) en el elemento ${index}: ${JSON.stringify(value)}`,
+          { field, index, value }
+        );
+      }
+    });
+  });
+  return items;
+}
+
+/**
+ * Indica si un error proviene del detector de drift
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isSelectorDriftError(error) {
+  return Boolean(error) && error.code === SCRAPER_DRIFT_CODE;
+}
+
+module.exports = {
+  SCRAPER_DRIFT_CODE,
+  FIELD_TYPES,
+  createDriftError,
+  parseNumericText,
+  assertSelectorsMatched,
+  extractField,
+  validateScrapedItems,
+  isSelectorDriftError
+};
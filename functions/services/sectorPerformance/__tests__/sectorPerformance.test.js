@@ -0,0 +1,174 @@
+/**
+ * Tests para services/sectorPerformance
+ *
+ * Verifica la resolución de nombres de sector, la lectura del último
+ * snapshot y de una fecha, el histórico de un sector y la comparación de
+ * pesos del portafolio frente al mercado.
+ *
+ * @module __tests__/services/sectorPerformance.test
+ */
+
+/** Documentos por colección */
+const mockCollections = { sectors: [], sectorsHistory: [] };
+
+jest.mock('../../firebaseAdmin', () => {
+  const createQuery = (name, filters = [], order = null, max = null) => ({
+    where: (field, op, value) => createQuery(name, [...filters, data => (
+      op === '<=' ? data[field] <= value : op === '>=' ? data[field] >= value : data[field] === value
+    )], order, max),
+    orderBy: (field, direction = 'asc') => createQuery(name, filters, { field, direction }, max),
+    limit: (count) => createQuery(name, filters, order, count),
+    get: async () => {
+      let docs = mockCollections[name].filter(data => filters.every(filter => filter(data)));
+      if (order) {
+        docs = [...docs].sort((a, b) => a[order.field].localeCompare(b[order.field]) * (order.direction === 'desc' ? -1 : 1));
+      }
+      if (max !== null) docs = docs.slice(0, max);
+      return { empty: docs.length === 0, docs: docs.map(data => ({ data: () => data })) };
+    },
+    doc: (id) => ({
+      get: async () => {
+        const data = mockCollections[name].find(item => item.sector === id);
+        return { exists: Boolean(data), data: () => data };
+      }
+    })
+  });
+  return { firestore: jest.fn(() => ({ collection: name => createQuery(name) })) };
+});
+
+const mockGetPortfolioDistribution = jest.fn();
+jest.mock('../../portfolioDistributionService', () => ({
+  getPortfolioDistribution: (...args) => mockGetPortfolioDistribution(...args)
+}));
+
+const { MarketSector, MarketSectorDetails } = require('../../../models/sector');
+const {
+  resolveSector,
+  getSectorsPerformance,
+  getSectorPerformance,
+  compareSectorWeights
+} = require('../sectorPerformanceService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const UPDATED_AT = Date.parse('2024-03-15T20:35:00Z');
+
+const TECHNOLOGY = {
+  sector: 'Technology',
+  dayReturn: 1.2,
+  ytdReturn: 8.5,
+  yearReturn: 40.1,
+  threeYearReturn: 35.2,
+  fiveYearReturn: 150.3,
+  marketCap: '19.2T',
+  marketWeight: 30,
+  industries: 12,
+  companies: 800,
+  topIndustries: ['Semiconductors'],
+  topCompanies: ['AAPL', 'MSFT'],
+  lastUpdated: UPDATED_AT
+};
+
+const ENERGY = { sector: 'Energy', dayReturn: -0.4, ytdReturn: 3.1, yearReturn: 5, threeYearReturn: 90, fiveYearReturn: 60, marketWeight: 4, lastUpdated: UPDATED_AT - 1000 };
+
+/**
+ * Snapshot diario de prueba
+ * @param {string} date
+ * @param {number} techDayReturn
+ */
+const historyDoc = (date, techDayReturn) => ({
+  date,
+  sectors: {
+    Technology: { sector: 'Technology', dayReturn: techDayReturn, ytdReturn: 8, marketWeight: 29.5 },
+    Energy: { sector: 'Energy', dayReturn: 0.1 }
+  }
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+beforeEach(() => {
+  mockCollections.sectors = [TECHNOLOGY, ENERGY, { sector: 'Legacy Sector', etfSectorName: 'X' }];
+  mockCollections.sectorsHistory = [historyDoc('2024-03-13', 0.5), historyDoc('2024-03-14', -0.8), historyDoc('2024-03-15', 1.2)];
+  mockGetPortfolioDistribution.mockReset();
+});
+
+describe('resolveSector', () => {
+  it('acepta valor, clave y slug', () => {
+    expect(resolveSector('Basic Materials')).toBe('Basic Materials');
+    expect(resolveSector('basic-materials')).toBe('Basic Materials');
+    expect(resolveSector('FINANCIAL_SERVICES')).toBe('Financial Services');
+    expect(resolveSector('crypto')).toBeNull();
+  });
+});
+
+describe('getSectorsPerformance', () => {
+  it('devuelve el último snapshot como MarketSector en orden de models/sector', async () => {
+    const result = await getSectorsPerformance();
+
+    expect(result).toMatchObject({ success: true, source: 'current', asOf: new Date(UPDATED_AT).toISOString() });
+    expect(result.sectors.map(s => s.sector)).toEqual(['Energy', 'Technology']);
+    expect(result.sectors[1]).toBeInstanceOf(MarketSector);
+    expect(result.sectors[1]).toEqual({ sector: 'Technology', dayReturn: 1.2, ytdReturn: 8.5, yearReturn: 40.1, threeYearReturn: 35.2, fiveYearReturn: 150.3 });
+  });
+
+  it('usa el último snapshot en o antes de la fecha pedida', async () => {
+    const result = await getSectorsPerformance({ date: '2024-03-14' });
+
+    expect(result).toMatchObject({ success: true, source: 'history', asOf: '2024-03-14' });
+    expect(result.sectors.find(s => s.sector === 'Technology').dayReturn).toBe(-0.8);
+  });
+
+  it('informa fechas inválidas o sin snapshots', async () => {
+    expect(await getSectorsPerformance({ date: '14/03/2024' })).toMatchObject({ success: false, error: 'INVALID_DATE' });
+    expect(await getSectorsPerformance({ date: '2020-01-01' })).toMatchObject({ success: false, error: 'NOT_FOUND' });
+  });
+});
+
+describe('getSectorPerformance', () => {
+  it('devuelve el detalle actual y el histórico del rango', async () => {
+    const result = await getSectorPerformance('technology', { startDate: '2024-03-14', endDate: '2024-03-15' });
+
+    expect(result.sector).toBeInstanceOf(MarketSectorDetails);
+    expect(result.sector).toMatchObject({ sector: 'Technology', marketWeight: 30, topCompanies: ['AAPL', 'MSFT'] });
+    expect(result.history).toEqual([
+      { date: '2024-03-14', dayReturn: -0.8, ytdReturn: 8, yearReturn: null, threeYearReturn: null, fiveYearReturn: null, marketWeight: 29.5 },
+      { date: '2024-03-15', dayReturn: 1.2, ytdReturn: 8, yearReturn: null, threeYearReturn: null, fiveYearReturn: null, marketWeight: 29.5 }
+    ]);
+  });
+
+  it('valida el sector y las fechas', async () => {
+    expect(await getSectorPerformance('crypto')).toMatchObject({ success: false, error: 'INVALID_SECTOR' });
+    expect(await getSectorPerformance('Energy', { startDate: '2024-03-15', endDate: '2024-03-01' })).toMatchObject({ success: false, error: 'INVALID_DATES' });
+  });
+});
+
+describe('compareSectorWeights', () => {
+  it('compara los pesos del portafolio con los del mercado', async () => {
+    mockGetPortfolioDistribution.mockResolvedValue({
+      sectors: [
+        { sector: 'Technology', weight: 0.5, percentage: 50 },
+        { sector: 'Energy', weight: 0.045, percentage: 4.5 },
+        { sector: 'Cryptocurrency', weight: 0.1, percentage: 10 }
+      ],
+      totals: { portfolioValue: 10000, currency: 'USD' }
+    });
+
+    const result = await compareSectorWeights('user-1', { accountIds: ['acc-1'], currency: 'USD' });
+
+    expect(mockGetPortfolioDistribution).toHaveBeenCalledWith('user-1', { accountIds: ['acc-1'], currency: 'USD' });
+    expect(result.sectors).toHaveLength(11);
+    expect(result.sectors.find(s => s.sector === 'Technology')).toEqual({
+      sector: 'Technology', portfolioWeight: 50, marketWeight: 30, activeWeight: 20, position: 'overweight'
+    });
+    expect(result.sectors.find(s => s.sector === 'Energy')).toMatchObject({ activeWeight: 0.5, position: 'neutral' });
+    expect(result.sectors.find(s => s.sector === 'Utilities')).toEqual({
+      sector: 'Utilities', portfolioWeight: 0, marketWeight: null, activeWeight: null, position: null
+    });
+    expect(result.otherSectors).toEqual([{ sector: 'Cryptocurrency', portfolioWeight: 10 }]);
+    expect(result.totals).toEqual({ portfolioValue: 10000, currency: 'USD', classifiedWeight: 54.5, activeShare: 10.25 });
+  });
+});
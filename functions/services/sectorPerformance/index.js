@@ -0,0 +1,23 @@
+/**
+ * Sector Performance Module Index
+ *
+ * Exporta la consulta de rendimiento sectorial (actual, por fecha e
+ * histórico) y la comparación de pesos del portafolio frente al mercado.
+ *
+ * @module services/sectorPerformance
+ */
+
+const types = require('./types');
+const sectorPerformanceService = require('./sectorPerformanceService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...sectorPerformanceService,
+
+  // Servicios individuales
+  sectorPerformanceService
+};
@@ -0,0 +1,271 @@
+/**
+ * Sector Performance Service
+ *
+ * Consulta el rendimiento de los once sectores de `Sector` (models/sector)
+ * desde los snapshots de saveSectorsSnapshot:
+ * - Rendimiento actual o de una fecha (MarketSector)
+ * - Detalle e histórico de un sector (MarketSectorDetails + snapshots)
+ * - Pesos sectoriales del portafolio (portfolioDistributionService)
+ *   frente a los pesos del mercado
+ *
+ * Lo usan /sectors, /sectors/comparison y /sectors/:sector.
+ *
+ * @module services/sectorPerformance/sectorPerformanceService
+ */
+
+const { DateTime } = require('luxon');
+const admin = require('../firebaseAdmin');
+const { Sector, MarketSector, MarketSectorDetails } = require('../../models/sector');
+const { getPortfolioDistribution } = require('../portfolioDistributionService');
+const {
+  SECTORS_COLLECTION,
+  SECTORS_HISTORY_COLLECTION,
+  RETURN_FIELDS,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  NEUTRAL_WEIGHT_BAND
+} = require('./types');
+
+const db = admin.firestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Sectores en el orden de models/sector */
+const SECTOR_VALUES = Object.values(Sector);
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Fecha actual en Nueva York (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getTodayNY() {
+  return DateTime.now().setZone('America/New_York').toISODate();
+}
+
+/**
+ * Resuelve un sector desde la API. Acepta el valor ("Basic Materials"),
+ * la clave de Sector ("BASIC_MATERIALS") o un slug ("basic-materials"),
+ * sin distinguir mayúsculas.
+ *
+ * @param {string} value
+ * @returns {string|null} Valor de Sector o null si no existe
+ */
+function resolveSector(value) {
+  const normalized = String(value || '').trim().toLowerCase().replace(/[-_\s]+/g, ' ');
+  if (!normalized) return null;
+
+  const match = Object.entries(Sector).find(([key, name]) => (
+    name.toLowerCase() === normalized || key.toLowerCase().replace(/_/g, ' ') === normalized
+  ));
+  return match ? match[1] : null;
+}
+
+/**
+ * Ordena sectores según models/sector
+ * @param {Array<{sector: string}>} items
+ * @returns {Array<{sector: string}>}
+ */
+function sortBySector(items) {
+  return [...items].sort((a, b) => SECTOR_VALUES.indexOf(a.sector) - SECTOR_VALUES.indexOf(b.sector));
+}
+
+/**
+ * Punto de histórico de un sector dentro de un snapshot diario
+ * @param {string} date
+ * @param {Object} data - sectorsHistory/{date}.sectors[sector]
+ * @returns {import('./types').SectorHistoryPoint}
+ */
+function toHistoryPoint(date, data) {
+  const point = { date };
+  RETURN_FIELDS.forEach(field => {
+    point[field] = data[field] ?? null;
+  });
+  point.marketWeight = data.marketWeight ?? null;
+  return point;
+}
+
+// ============================================================================
+// CONSULTAS
+// ============================================================================
+
+/**
+ * Rendimiento de todos los sectores
+ *
+ * @param {Object} [options]
+ * @param {string} [options.date] - Fecha (YYYY-MM-DD): usa el último snapshot en o antes de ella
+ * @returns {Promise<Object>} { success, asOf, source, sectors: MarketSector[] } o {success: false, error, message}
+ */
+async function getSectorsPerformance({ date } = {}) {
+  if (date) {
+    if (!DATE_PATTERN.test(date)) {
+      return { success: false, error: 'INVALID_DATE', message: 'date debe tener formato YYYY-MM-DD' };
+    }
+
+    const snapshot = await db.collection(SECTORS_HISTORY_COLLECTION)
+      .where('date', '<=', date)
+      .orderBy('date', 'desc')
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return { success: false, error: 'NOT_FOUND', message: `No hay snapshots de sectores en o antes de ${date}` };
+    }
+
+    const data = snapshot.docs[0].data();
+    const sectors = Object.values(data.sectors || {})
+      .filter(sector => SECTOR_VALUES.includes(sector.sector))
+      .map(sector => new MarketSector(sector));
+
+    return { success: true, asOf: data.date, source: 'history', sectors: sortBySector(sectors) };
+  }
+
+  const snapshot = await db.collection(SECTORS_COLLECTION).get();
+  const docs = snapshot.docs.map(doc => doc.data()).filter(data => SECTOR_VALUES.includes(data.sector));
+  if (docs.length === 0) {
+    return { success: false, error: 'NOT_FOUND', message: 'No hay snapshots de sectores' };
+  }
+
+  const lastUpdated = Math.max(...docs.map(data => data.lastUpdated || 0));
+
+  return {
+    success: true,
+    asOf: lastUpdated ? new Date(lastUpdated).toISOString() : null,
+    source: 'current',
+    sectors: sortBySector(docs.map(data => new MarketSector(data)))
+  };
+}
+
+/**
+ * Detalle actual e histórico de un sector
+ *
+ * @param {string} sectorParam - Sector (ver resolveSector)
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - YYYY-MM-DD (default: un año antes de endDate)
+ * @param {string} [options.endDate] - YYYY-MM-DD (default: hoy NY)
+ * @returns {Promise<Object>} { success, sector: MarketSectorDetails, history: SectorHistoryPoint[] }
+ *   o {success: false, error, message}
+ */
+async function getSectorPerformance(sectorParam, options = {}) {
+  const sector = resolveSector(sectorParam);
+  if (!sector) {
+    return { success: false, error: 'INVALID_SECTOR', message: `Sector no soportado. Válidos: ${SECTOR_VALUES.join(', ')}` };
+  }
+
+  const endDate = options.endDate || getTodayNY();
+  const startDate = options.startDate
+    || DateTime.fromISO(endDate, { zone: 'utc' }).minus({ days: DEFAULT_HISTORY_DAYS }).toISODate();
+
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate) || startDate > endDate) {
+    return { success: false, error: 'INVALID_DATES', message: 'startDate y endDate deben ser YYYY-MM-DD con startDate <= endDate' };
+  }
+  if (DateTime.fromISO(startDate).plus({ days: MAX_HISTORY_DAYS }).toISODate() < endDate) {
+    return { success: false, error: 'INVALID_DATES', message: `El rango máximo es de ${MAX_HISTORY_DAYS} días` };
+  }
+
+  const [currentDoc, historySnapshot] = await Promise.all([
+    db.collection(SECTORS_COLLECTION).doc(sector).get(),
+    db.collection(SECTORS_HISTORY_COLLECTION)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .orderBy('date', 'asc')
+      .get()
+  ]);
+
+  const history = historySnapshot.docs
+    .map(doc => doc.data())
+    .filter(data => data.sectors && data.sectors[sector])
+    .map(data => toHistoryPoint(data.date, data.sectors[sector]));
+
+  if (!currentDoc.exists && history.length === 0) {
+    return { success: false, error: 'NOT_FOUND', message: `No hay snapshots para ${sector}` };
+  }
+
+  const current = currentDoc.exists ? currentDoc.data() : { sector, ...history[history.length - 1] };
+
+  return {
+    success: true,
+    sector: new MarketSectorDetails({ ...current, sector }),
+    lastUpdated: current.lastUpdated ? new Date(current.lastUpdated).toISOString() : null,
+    startDate,
+    endDate,
+    history
+  };
+}
+
+/**
+ * Pesos sectoriales del portafolio frente al mercado
+ *
+ * @param {string} userId
+ * @param {Object} [options] - accountIds, currency (ver getPortfolioDistribution)
+ * @returns {Promise<Object>} { success, asOf, sectors: SectorWeightComparison[], otherSectors, totals }
+ */
+async function compareSectorWeights(userId, options = {}) {
+  const [distribution, marketSnapshot] = await Promise.all([
+    getPortfolioDistribution(userId, { accountIds: options.accountIds, currency: options.currency }),
+    db.collection(SECTORS_COLLECTION).get()
+  ]);
+
+  const marketWeights = {};
+  let lastUpdated = 0;
+  marketSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (SECTOR_VALUES.includes(data.sector) && typeof data.marketWeight === 'number') {
+      marketWeights[data.sector] = data.marketWeight;
+      lastUpdated = Math.max(lastUpdated, data.lastUpdated || 0);
+    }
+  });
+
+  const portfolioWeights = {};
+  const otherSectors = [];
+  (distribution.sectors || []).forEach(({ sector, percentage }) => {
+    const resolved = resolveSector(sector);
+    if (resolved) {
+      portfolioWeights[resolved] = (portfolioWeights[resolved] || 0) + percentage;
+    } else {
+      otherSectors.push({ sector, portfolioWeight: percentage });
+    }
+  });
+
+  const sectors = SECTOR_VALUES.map(sector => {
+    const portfolioWeight = portfolioWeights[sector] || 0;
+    const marketWeight = marketWeights[sector] ?? null;
+    const activeWeight = marketWeight === null ? null : portfolioWeight - marketWeight;
+
+    let position = null;
+    if (activeWeight !== null) {
+      position = Math.abs(activeWeight) < NEUTRAL_WEIGHT_BAND
+        ? 'neutral'
+        : activeWeight > 0 ? 'overweight' : 'underweight';
+    }
+
+    return { sector, portfolioWeight, marketWeight, activeWeight, position };
+  });
+
+  const classifiedWeight = Object.values(portfolioWeights).reduce((sum, weight) => sum + weight, 0);
+
+  return {
+    success: true,
+    asOf: lastUpdated ? new Date(lastUpdated).toISOString() : null,
+    sectors,
+    otherSectors,
+    totals: {
+      portfolioValue: distribution.totals?.portfolioValue ?? 0,
+      currency: distribution.totals?.currency || options.currency || 'USD',
+      classifiedWeight,
+      // Suma de |activeWeight| / 2: porcentaje del portafolio que habría que mover para igualar al mercado
+      activeShare: sectors.some(s => s.activeWeight !== null)
+        ? sectors.reduce((sum, s) => sum + Math.abs(s.activeWeight ?? 0), 0) / 2
+        : null
+    }
+  };
+}
+
+module.exports = {
+  resolveSector,
+  getSectorsPerformance,
+  getSectorPerformance,
+  compareSectorWeights
+};
@@ -0,0 +1,62 @@
+/**
+ * Sector Performance Types
+ *
+ * Tipos y constantes de la consulta de rendimiento sectorial. Los datos
+ * salen de los snapshots de saveSectorsSnapshot:
+ * - sectors/{sector}: último snapshot (MarketSectorDetails)
+ * - sectorsHistory/{date}: snapshot diario con todos los sectores
+ *
+ * @module services/sectorPerformance/types
+ */
+
+/**
+ * Punto del histórico de un sector
+ * @typedef {Object} SectorHistoryPoint
+ * @property {string} date - Fecha del snapshot (YYYY-MM-DD)
+ * @property {number|null} dayReturn - Retorno del día (%)
+ * @property {number|null} ytdReturn - Retorno del año (%)
+ * @property {number|null} yearReturn - Retorno a 1 año (%)
+ * @property {number|null} threeYearReturn - Retorno a 3 años (%)
+ * @property {number|null} fiveYearReturn - Retorno a 5 años (%)
+ * @property {number|null} marketWeight - Peso en el mercado (%)
+ */
+
+/**
+ * Peso del portafolio frente al mercado en un sector
+ * @typedef {Object} SectorWeightComparison
+ * @property {string} sector - Valor de Sector (models/sector)
+ * @property {number} portfolioWeight - Peso en el portafolio (%)
+ * @property {number|null} marketWeight - Peso en el mercado (%) o null sin snapshot
+ * @property {number|null} activeWeight - portfolioWeight - marketWeight (pp)
+ * @property {'overweight' | 'underweight' | 'neutral' | null} position
+ */
+
+/** Colección con el último snapshot de cada sector */
+const SECTORS_COLLECTION = 'sectors';
+
+/** Colección con los snapshots diarios */
+const SECTORS_HISTORY_COLLECTION = 'sectorsHistory';
+
+/** Campos de retorno de MarketSector */
+const RETURN_FIELDS = ['dayReturn', 'ytdReturn', 'yearReturn', 'threeYearReturn', 'fiveYearReturn'];
+
+/** Días de histórico por defecto en /sectors/:sector */
+const DEFAULT_HISTORY_DAYS = 365;
+
+/** Rango máximo de histórico (10 años) */
+const MAX_HISTORY_DAYS = 3660;
+
+/**
+ * Diferencia de peso (pp) por debajo de la cual el portafolio se
+ * considera neutral frente al mercado
+ */
+const NEUTRAL_WEIGHT_BAND = 1;
+
+module.exports = {
+  SECTORS_COLLECTION,
+  SECTORS_HISTORY_COLLECTION,
+  RETURN_FIELDS,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  NEUTRAL_WEIGHT_BAND
+};
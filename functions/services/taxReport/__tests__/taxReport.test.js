@@ -0,0 +1,233 @@
+/**
+ * Tests para services/taxReport
+ *
+ * Verifica la conversión al tipo de cambio de cada fecha, la separación
+ * corto/largo plazo, el agregado de dividendos con retención y la
+ * generación del reporte con exportación a CSV.
+ *
+ * @module __tests__/services/taxReport.test
+ */
+
+const mockQuery = { where: jest.fn(() => mockQuery), get: jest.fn() };
+
+jest.mock('../../firebaseAdmin', () => ({
+  firestore: jest.fn(() => ({ collection: jest.fn(() => mockQuery) }))
+}));
+
+jest.mock('../../closedPositions', () => ({
+  getUserAccountSettings: jest.fn(),
+  transactionProcessor: { getClosedPositionsFromTransactions: jest.fn() }
+}));
+
+jest.mock('../../exportService', () => ({
+  EXPORT_FORMATS: ['json', 'csv', 'xlsx'],
+  serializeDatasets: jest.fn((datasets, format, baseName) =>
+    Object.keys(datasets).map(name => ({ fileName: `${baseName}_${name}.${format}`, buffer: Buffer.from('') }))
+  )
+}));
+
+const closedPositions = require('../../closedPositions');
+const { serializeDatasets } = require('../../exportService');
+const taxReportService = require('../taxReportService');
+const { createFxResolver } = require('../fxResolver');
+const {
+  classifyTerm,
+  buildRealizedGains,
+  buildDividendSummary,
+  calculateTotals
+} = require('../reportBuilder');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** Tasas USD -> COP por fecha */
+const COP_RATES = {
+  '2023-01-10': 4000,
+  '2024-03-01': 4200,
+  '2024-06-01': 4100
+};
+
+const fetchRate = jest.fn(async (code, date) => COP_RATES[date.toISOString().split('T')[0]] || null);
+
+const POSITIONS = [
+  {
+    id: 'sell-short',
+    ticker: 'AAPL',
+    assetType: 'stock',
+    portfolioAccountId: 'acc1',
+    accountName: 'Broker',
+    buyDate: '2024-01-05T12:00:00.000Z',
+    sellDate: '2024-03-01T12:00:00.000Z',
+    holdingPeriodDays: 56,
+    unitsSold: 10,
+    sellPrice: 200,
+    totalInvested: 1500,
+    commission: 10,
+    currency: 'USD',
+    costBasisMethod: 'FIFO'
+  },
+  {
+    id: 'sell-long',
+    ticker: 'MSFT',
+    assetType: 'stock',
+    portfolioAccountId: 'acc1',
+    accountName: 'Broker',
+    buyDate: '2023-01-10T12:00:00.000Z',
+    sellDate: '2024-06-01T12:00:00.000Z',
+    holdingPeriodDays: 508,
+    unitsSold: 2,
+    sellPrice: 400,
+    totalInvested: 500,
+    commission: 0,
+    currency: 'USD'
+  },
+  {
+    id: 'sell-other-year',
+    ticker: 'AAPL',
+    portfolioAccountId: 'acc1',
+    accountName: 'Broker',
+    buyDate: '2022-01-05T12:00:00.000Z',
+    sellDate: '2023-03-01T12:00:00.000Z',
+    holdingPeriodDays: 420,
+    unitsSold: 1,
+    sellPrice: 100,
+    totalInvested: 50,
+    commission: 0,
+    currency: 'USD'
+  }
+];
+
+const DIVIDENDS = [
+  { portfolioAccountId: 'acc1', currency: 'USD', date: '2024-03-01', amount: 10, price: 0.8, grossAmount: 10, taxDeductionAmount: 2 },
+  { portfolioAccountId: 'acc1', currency: 'USD', date: '2024-06-01', amount: 10, price: 1 }
+];
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('createFxResolver', () => {
+  beforeEach(() => fetchRate.mockClear());
+
+  it('convierte vía USD con la tasa de la fecha y memoriza', async () => {
+    const fx = createFxResolver({ currencies: [], fetchRate });
+
+    expect(await fx.convert(10, 'USD', 'COP', '2024-03-01')).toBe(42000);
+    expect(await fx.convert(42000, 'COP', 'USD', '2024-03-01')).toBe(10);
+    expect(fetchRate).toHaveBeenCalledTimes(1);
+  });
+
+  it('prioriza la tasa guardada en la transacción e ignora el default 1', async () => {
+    const fx = createFxResolver({ currencies: [], fetchRate });
+    fx.addTransactionHint({ date: '2024-03-01', dollarPriceToDate: 3900, defaultCurrencyForAdquisitionDollar: 'COP' });
+    fx.addTransactionHint({ date: '2024-06-01', dollarPriceToDate: 1, defaultCurrencyForAdquisitionDollar: 'COP' });
+
+    expect(await fx.getUsdRate('COP', '2024-03-01')).toBe(3900);
+    expect(await fx.getUsdRate('COP', '2024-06-01')).toBe(4100);
+  });
+
+  it('usa la tasa actual sin histórico y lo reporta', async () => {
+    const fx = createFxResolver({ currencies: [{ code: 'COP', exchangeRate: 4300 }], fetchRate });
+
+    expect(await fx.getUsdRate('COP', '2024-12-25')).toBe(4300);
+    expect([...fx.fallbacks]).toEqual(['COP@2024-12-25']);
+  });
+});
+
+describe('reportBuilder', () => {
+  const fx = createFxResolver({ currencies: [], fetchRate });
+
+  it('clasifica largo plazo solo por encima del umbral', () => {
+    expect(classifyTerm(365, 365)).toBe('short');
+    expect(classifyTerm(366, 365)).toBe('long');
+    expect(classifyTerm(31, 30)).toBe('long');
+  });
+
+  it('convierte costo a fecha de compra e ingreso a fecha de venta', async () => {
+    const lots = await buildRealizedGains(POSITIONS, { year: 2024, thresholdDays: 365, currency: 'COP', fx });
+
+    expect(lots.map(l => [l.id, l.term])).toEqual([['sell-short', 'short'], ['sell-long', 'long']]);
+    expect(lots[1]).toMatchObject({
+      originalGain: 300,
+      proceeds: 800 * 4100,
+      costBasis: 500 * 4000,
+      gain: 800 * 4100 - 500 * 4000
+    });
+  });
+
+  it('agrega dividendos por cuenta y moneda con retención', async () => {
+    const rows = await buildDividendSummary(DIVIDENDS, new Map([['acc1', 'Broker']]), { currency: 'USD', fx });
+
+    expect(rows).toEqual([expect.objectContaining({
+      accountName: 'Broker',
+      payments: 2,
+      gross: 20,
+      withheld: 2,
+      net: 18
+    })]);
+
+    const totals = calculateTotals([], rows);
+    expect(totals.dividends).toEqual({ payments: 2, gross: 20, withheld: 2, net: 18 });
+    expect(totals.totalIncome).toBe(20);
+  });
+});
+
+describe('generateTaxReport', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    closedPositions.getUserAccountSettings.mockResolvedValue({
+      accountNames: new Map([['acc1', 'Broker']]),
+      costBasisMethods: new Map([['acc1', 'FIFO']])
+    });
+    closedPositions.transactionProcessor.getClosedPositionsFromTransactions.mockResolvedValue(POSITIONS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('valida año, umbral, formato y cuentas', async () => {
+    const fx = createFxResolver({ fetchRate });
+
+    expect((await taxReportService.generateTaxReport('u1', { year: 1999, fx })).error).toBe('INVALID_YEAR');
+    expect((await taxReportService.generateTaxReport('u1', { year: 2024, longTermThresholdDays: 0, fx })).error).toBe('INVALID_THRESHOLD');
+    expect((await taxReportService.generateTaxReport('u1', { year: 2024, format: 'pdf', fx })).error).toBe('INVALID_FORMAT');
+    expect((await taxReportService.generateTaxReport('u1', { year: 2024, accountIds: ['other'], fx })).error).toBe('INVALID_ACCOUNTS');
+  });
+
+  it('genera totales por plazo y archivos por sección', async () => {
+    mockQuery.get.mockResolvedValue({
+      docs: DIVIDENDS.map((tx, i) => ({ id: `div${i}`, data: () => ({ ...tx, type: 'dividendPay' }) }))
+    });
+    const fx = createFxResolver({ fetchRate });
+
+    const result = await taxReportService.generateTaxReport('u1', {
+      year: 2024,
+      currency: 'USD',
+      longTermThresholdDays: 30,
+      format: 'csv',
+      fx
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.report.totals).toMatchObject({
+      shortTerm: { lots: 0, gain: 0 },
+      longTerm: { lots: 2, proceeds: 2800, costBasis: 2000, commission: 10, gain: 790 },
+      totalRealizedGain: 790,
+      totalIncome: 810
+    });
+    expect(mockQuery.where).toHaveBeenCalledWith('type', '==', 'dividendPay');
+    expect(serializeDatasets).toHaveBeenCalledWith(
+      expect.objectContaining({ summary: expect.any(Array), realizedGains: expect.any(Array), dividends: expect.any(Array) }),
+      'csv',
+      'tax_report_2024'
+    );
+    expect(result.files.map(f => f.fileName)).toEqual([
+      'tax_report_2024_summary.csv',
+      'tax_report_2024_realizedGains.csv',
+      'tax_report_2024_dividends.csv'
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * FX Resolver
+ *
+ * Convierte montos con el tipo de cambio de la fecha de cada transacción.
+ * Las tasas se expresan como unidades de moneda por 1 USD (igual que la
+ * colección `currencies`), así que cualquier par se cruza vía USD.
+ *
+ * Orden de resolución de una tasa (moneda, fecha):
+ * 1. Tasa guardada en una transacción de esa fecha (`dollarPriceToDate`)
+ * 2. Histórico `fxHistory` (última tasa en o antes de la fecha) o, si falta,
+ *    cierre de Yahoo Finance
+ * 3. Tasa actual de `currencies` (se reporta en `fallbacks`)
+ *
+ * @module services/taxReport/fxResolver
+ */
+
+const { getHistoricalRate } = require('../fxHistory');
+
+/**
+ * Fuente histórica por defecto: fxHistory con respaldo en Yahoo Finance
+ * @param {string} code - Código de moneda
+ * @param {Date} date - Fecha
+ * @returns {Promise<number|null>}
+ */
+async function fetchStoredRate(code, date) {
+  const result = await getHistoricalRate(code, date.toISOString().split('T')[0]);
+  return result ? result.rate : null;
+}
+
+/**
+ * Crea un resolver de tipos de cambio con memoria por (moneda, fecha)
+ *
+ * @param {Object} options
+ * @param {Array<{code: string, exchangeRate: number}>} options.currencies - Monedas activas (fallback)
+ * @param {function(string, Date): Promise<number|null>} [options.fetchRate] - Fuente histórica
+ * @returns {{
+ *   addTransactionHint: function(Object): void,
+ *   getUsdRate: function(string, string): Promise<number>,
+ *   convert: function(number, string, string, string): Promise<number>,
+ *   fallbacks: Set<string>
+ * }}
+ *
+ * @example
+ * const fx = createFxResolver({ currencies });
+ * const cop = await fx.convert(100, 'USD', 'COP', '2024-03-15');
+ */
+function createFxResolver({ currencies = [], fetchRate = fetchStoredRate } = {}) {
+  const cache = new Map();
+  const fallbacks = new Set();
+
+  const currentRate = (code) => currencies.find(c => c.code === code)?.exchangeRate || 1;
+
+  /**
+   * Registra la tasa USD → defaultCurrencyForAdquisitionDollar guardada en la
+   * transacción. Una tasa de 1 en moneda distinta a USD es el default de
+   * transacciones sin tipo de cambio, así que se ignora.
+   * @param {Object} tx - Transacción con date, dollarPriceToDate y defaultCurrencyForAdquisitionDollar
+   */
+  function addTransactionHint(tx) {
+    const code = tx?.defaultCurrencyForAdquisitionDollar;
+    const rate = Number(tx?.dollarPriceToDate);
+    if (!code || code === 'USD' || !tx.date || !(rate > 0) || rate === 1) return;
+
+    const key = `${code}@${String(tx.date).split('T')[0]}`;
+    if (!cache.has(key)) cache.set(key, Promise.resolve(rate));
+  }
+
+  /**
+   * Unidades de `code` por 1 USD en la fecha
+   * @param {string} code - Código de moneda
+   * @param {string} date - Fecha (YYYY-MM-DD)
+   * @returns {Promise<number>}
+   */
+  function getUsdRate(code, date) {
+    if (!code || code === 'USD') return Promise.resolve(1);
+
+    const key = `${code}@${date}`;
+    if (!cache.has(key)) {
+      cache.set(key, (async () => {
+        try {
+          const rate = await fetchRate(code, new Date(`${date}T12:00:00Z`));
+          if (rate > 0) return rate;
+        } catch (error) {
+          console.warn(`[fxResolver] Error obteniendo ${code} en ${date}: ${error.message}`);
+        }
+        fallbacks.add(key);
+        return currentRate(code);
+      })());
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Convierte un monto con las tasas de la fecha
+   * @param {number} amount - Monto
+   * @param {string} fromCurrency - Moneda origen
+   * @param {string} toCurrency - Moneda destino
+   * @param {string} date - Fecha (YYYY-MM-DD)
+   * @returns {Promise<number>}
+   */
+  async function convert(amount, fromCurrency, toCurrency, date) {
+    const value = Number(amount) || 0;
+    if (value === 0 || fromCurrency === toCurrency) return value;
+
+    const [fromRate, toRate] = await Promise.all([
+      getUsdRate(fromCurrency, date),
+      getUsdRate(toCurrency, date)
+    ]);
+    return (value * toRate) / fromRate;
+  }
+
+  return { addTransactionHint, getUsdRate, convert, fallbacks };
+}
+
+module.exports = {
+  createFxResolver
+};
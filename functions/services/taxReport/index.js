@@ -0,0 +1,27 @@
+/**
+ * Tax Report Module Index
+ *
+ * Exporta el reporte fiscal anual (ganancias realizadas y dividendos).
+ *
+ * @module services/taxReport
+ */
+
+const types = require('./types');
+const fxResolver = require('./fxResolver');
+const reportBuilder = require('./reportBuilder');
+const taxReportService = require('./taxReportService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  generateTaxReport: taxReportService.generateTaxReport,
+  createFxResolver: fxResolver.createFxResolver,
+
+  // Servicios individuales
+  fxResolver,
+  reportBuilder,
+  taxReportService
+};
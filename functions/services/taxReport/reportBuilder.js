@@ -0,0 +1,216 @@
+/**
+ * Report Builder
+ *
+ * Arma las secciones del reporte fiscal a partir de posiciones cerradas y
+ * transacciones `dividendPay` ya cargadas. Los montos se convierten con el
+ * resolver de tipo de cambio: costo base a la fecha de compra, ingreso y
+ * comisión a la fecha de venta, dividendos a la fecha de pago.
+ *
+ * @module services/taxReport/reportBuilder
+ */
+
+/**
+ * Redondea a 2 decimales para totales monetarios
+ * @param {number} num
+ * @returns {number}
+ */
+const round2 = (num) => Math.round((Number(num) || 0) * 100) / 100;
+
+/**
+ * Parte de fecha de un ISO string o YYYY-MM-DD
+ * @param {string} value
+ * @returns {string}
+ */
+const toDateOnly = (value) => String(value || '').split('T')[0];
+
+/**
+ * Clasifica la tenencia: largo plazo si supera el umbral
+ * @param {number} holdingPeriodDays
+ * @param {number} thresholdDays
+ * @returns {import('./types').TaxTerm}
+ */
+function classifyTerm(holdingPeriodDays, thresholdDays) {
+  return holdingPeriodDays > thresholdDays ? 'long' : 'short';
+}
+
+/**
+ * Convierte posiciones cerradas del año en ganancias por lote
+ *
+ * @param {Array<Object>} positions - Posiciones de closedPositions/transactionProcessor
+ * @param {Object} options
+ * @param {number} options.year - Año fiscal (por fecha de venta)
+ * @param {number} options.thresholdDays - Umbral de largo plazo
+ * @param {string} options.currency - Moneda del reporte
+ * @param {Object} options.fx - Resolver de fxResolver.createFxResolver
+ * @returns {Promise<import('./types').RealizedGainLot[]>}
+ */
+async function buildRealizedGains(positions, { year, thresholdDays, currency, fx }) {
+  const lots = [];
+
+  for (const p of positions) {
+    const sellDate = toDateOnly(p.sellDate);
+    if (!sellDate.startsWith(`${year}-`)) continue;
+    const buyDate = toDateOnly(p.buyDate) || sellDate;
+
+    const originalProceeds = (Number(p.sellPrice) || 0) * (Number(p.unitsSold) || 0);
+    const originalCostBasis = Number(p.totalInvested) || 0;
+    const originalCommission = Number(p.commission) || 0;
+
+    const proceeds = await fx.convert(originalProceeds, p.currency, currency, sellDate);
+    const costBasis = await fx.convert(originalCostBasis, p.currency, currency, buyDate);
+    const commission = await fx.convert(originalCommission, p.currency, currency, sellDate);
+
+    lots.push({
+      id: p.id,
+      ticker: p.ticker,
+      assetType: p.assetType,
+      accountId: p.portfolioAccountId,
+      accountName: p.accountName,
+      buyDate,
+      sellDate,
+      holdingPeriodDays: p.holdingPeriodDays,
+      term: classifyTerm(p.holdingPeriodDays, thresholdDays),
+      units: p.unitsSold,
+      costBasisMethod: p.costBasisMethod || null,
+      originalCurrency: p.currency,
+      originalProceeds,
+      originalCostBasis,
+      originalCommission,
+      originalGain: originalProceeds - originalCommission - originalCostBasis,
+      proceeds,
+      costBasis,
+      commission,
+      gain: proceeds - commission - costBasis,
+      currency
+    });
+  }
+
+  return lots.sort((a, b) => a.sellDate.localeCompare(b.sellDate) || a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * Agrega dividendos por cuenta y moneda.
+ * Transacciones sin grossAmount (anteriores a la retención) se toman como
+ * brutas sin retención.
+ *
+ * @param {Array<Object>} dividends - Transacciones dividendPay del año
+ * @param {Map<string, string>} accountNames - accountId -> nombre
+ * @param {Object} options
+ * @param {string} options.currency - Moneda del reporte
+ * @param {Object} options.fx - Resolver de fxResolver.createFxResolver
+ * @returns {Promise<import('./types').DividendSummaryRow[]>}
+ */
+async function buildDividendSummary(dividends, accountNames, { currency, fx }) {
+  const groups = new Map();
+
+  for (const tx of dividends) {
+    const originalCurrency = tx.currency || 'USD';
+    const date = toDateOnly(tx.date);
+    const net = (Number(tx.amount) || 0) * (Number(tx.price) || 0);
+    const withheld = Number(tx.taxDeductionAmount) || 0;
+    const gross = tx.grossAmount !== undefined ? Number(tx.grossAmount) || 0 : net + withheld;
+
+    const key = `${tx.portfolioAccountId}_${originalCurrency}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        accountId: tx.portfolioAccountId,
+        accountName: accountNames.get(tx.portfolioAccountId) || 'Sin cuenta',
+        originalCurrency,
+        payments: 0,
+        originalGross: 0,
+        originalWithheld: 0,
+        originalNet: 0,
+        gross: 0,
+        withheld: 0,
+        net: 0,
+        currency
+      });
+    }
+
+    const group = groups.get(key);
+    group.payments++;
+    group.originalGross += gross;
+    group.originalWithheld += withheld;
+    group.originalNet += net;
+    group.gross += await fx.convert(gross, originalCurrency, currency, date);
+    group.withheld += await fx.convert(withheld, originalCurrency, currency, date);
+    group.net += await fx.convert(net, originalCurrency, currency, date);
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    a.accountName.localeCompare(b.accountName) || a.originalCurrency.localeCompare(b.originalCurrency)
+  );
+}
+
+/**
+ * Suma lotes de un plazo
+ * @param {import('./types').RealizedGainLot[]} lots
+ * @returns {import('./types').TermTotals}
+ */
+function sumLots(lots) {
+  return {
+    lots: lots.length,
+    proceeds: round2(lots.reduce((sum, l) => sum + l.proceeds, 0)),
+    costBasis: round2(lots.reduce((sum, l) => sum + l.costBasis, 0)),
+    commission: round2(lots.reduce((sum, l) => sum + l.commission, 0)),
+    gain: round2(lots.reduce((sum, l) => sum + l.gain, 0))
+  };
+}
+
+/**
+ * Totales del reporte en la moneda del reporte
+ * @param {import('./types').RealizedGainLot[]} lots
+ * @param {import('./types').DividendSummaryRow[]} dividends
+ * @returns {{shortTerm: Object, longTerm: Object, totalRealizedGain: number, dividends: Object, totalIncome: number}}
+ */
+function calculateTotals(lots, dividends) {
+  const shortTerm = sumLots(lots.filter(l => l.term === 'short'));
+  const longTerm = sumLots(lots.filter(l => l.term === 'long'));
+  const dividendTotals = {
+    payments: dividends.reduce((sum, d) => sum + d.payments, 0),
+    gross: round2(dividends.reduce((sum, d) => sum + d.gross, 0)),
+    withheld: round2(dividends.reduce((sum, d) => sum + d.withheld, 0)),
+    net: round2(dividends.reduce((sum, d) => sum + d.net, 0))
+  };
+  const totalRealizedGain = round2(shortTerm.gain + longTerm.gain);
+
+  return {
+    shortTerm,
+    longTerm,
+    totalRealizedGain,
+    dividends: dividendTotals,
+    totalIncome: round2(totalRealizedGain + dividendTotals.gross)
+  };
+}
+
+/**
+ * Filas del resumen para exportar (una por concepto)
+ * @param {Object} totals - Resultado de calculateTotals
+ * @param {string} currency - Moneda del reporte
+ * @returns {Array<{concept: string, amount: number, currency: string}>}
+ */
+function buildSummaryRows(totals, currency) {
+  return [
+    ['shortTermProceeds', totals.shortTerm.proceeds],
+    ['shortTermCostBasis', totals.shortTerm.costBasis],
+    ['shortTermCommission', totals.shortTerm.commission],
+    ['shortTermGain', totals.shortTerm.gain],
+    ['longTermProceeds', totals.longTerm.proceeds],
+    ['longTermCostBasis', totals.longTerm.costBasis],
+    ['longTermCommission', totals.longTerm.commission],
+    ['longTermGain', totals.longTerm.gain],
+    ['totalRealizedGain', totals.totalRealizedGain],
+    ['dividendGross', totals.dividends.gross],
+    ['dividendWithheld', totals.dividends.withheld],
+    ['dividendNet', totals.dividends.net],
+    ['totalIncome', totals.totalIncome]
+  ].map(([concept, amount]) => ({ concept, amount, currency }));
+}
+
+module.exports = {
+  classifyTerm,
+  buildRealizedGains,
+  buildDividendSummary,
+  calculateTotals,
+  buildSummaryRows
+};
@@ -0,0 +1,225 @@
+/**
+ * Tax Report Service
+ *
+ * Genera el reporte fiscal anual de un usuario:
+ * - Ganancias realizadas por lote, separadas en corto y largo plazo según
+ *   un umbral de tenencia configurable
+ * - Dividendos bruto/retenido/neto por cuenta y moneda
+ * - Totales en la moneda por defecto del usuario al tipo de cambio de la
+ *   fecha de cada transacción
+ *
+ * Reutiliza closedPositions para emparejar compras y ventas y
+ * exportService.serializeDatasets para CSV/XLSX.
+ *
+ * @module services/taxReport/taxReportService
+ */
+
+const admin = require('../firebaseAdmin');
+const { getUserAccountSettings, transactionProcessor } = require('../closedPositions');
+const { EXPORT_FORMATS, serializeDatasets } = require('../exportService');
+const { createFxResolver } = require('./fxResolver');
+const {
+  buildRealizedGains,
+  buildDividendSummary,
+  calculateTotals,
+  buildSummaryRows
+} = require('./reportBuilder');
+const {
+  DEFAULT_LONG_TERM_THRESHOLD_DAYS,
+  MAX_LONG_TERM_THRESHOLD_DAYS,
+  DEFAULT_REPORT_CURRENCY,
+  MIN_REPORT_YEAR
+} = require('./types');
+
+const db = admin.firestore();
+
+// ============================================================================
+// CARGA DE DATOS
+// ============================================================================
+
+/**
+ * Moneda por defecto del usuario (userData.defaultCurrency)
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+async function getUserDefaultCurrency(userId) {
+  const doc = await db.collection('userData').doc(userId).get();
+  return (doc.exists && doc.data().defaultCurrency) || DEFAULT_REPORT_CURRENCY;
+}
+
+/**
+ * Transacciones dividendPay de las cuentas en el año
+ * @param {string[]} accountIds
+ * @param {number} year
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchDividendTransactions(accountIds, year) {
+  const dividends = [];
+
+  for (let i = 0; i < accountIds.length; i += 10) {
+    const snapshot = await db.collection('transactions')
+      .where('portfolioAccountId', 'in', accountIds.slice(i, i + 10))
+      .where('type', '==', 'dividendPay')
+      .get();
+
+    snapshot.docs.forEach(doc => {
+      const tx = doc.data();
+      if (String(tx.date || '').startsWith(`${year}-`)) {
+        dividends.push({ id: doc.id, ...tx });
+      }
+    });
+  }
+
+  return dividends;
+}
+
+// ============================================================================
+// SERVICIO PRINCIPAL
+// ============================================================================
+
+/**
+ * Genera el reporte fiscal de un año
+ *
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - Opciones del reporte
+ * @param {number} options.year - Año fiscal
+ * @param {string[]} [options.accountIds] - Cuentas (vacío = todas)
+ * @param {number} [options.longTermThresholdDays=365] - Días de tenencia a partir de los cuales es largo plazo (exclusivo)
+ * @param {string} [options.currency] - Moneda del reporte (default: moneda por defecto del usuario)
+ * @param {'json' | 'csv' | 'xlsx'} [options.format='json'] - Formato de archivos
+ * @param {string} [options.requestId] - ID de request para logging
+ * @param {Object} [options.fx] - Resolver de tipo de cambio (tests)
+ * @returns {Promise<Object>} Reporte, archivos y metadata
+ */
+async function generateTaxReport(userId, options = {}) {
+  const {
+    year,
+    accountIds = [],
+    longTermThresholdDays = DEFAULT_LONG_TERM_THRESHOLD_DAYS,
+    format = 'json',
+    requestId = 'unknown'
+  } = options;
+
+  const startTime = Date.now();
+  console.log(`[taxReportService] Starting`, { requestId, userId, year, format });
+
+  const currentYear = new Date().getFullYear();
+  if (!Number.isInteger(year) || year < MIN_REPORT_YEAR || year > currentYear) {
+    return {
+      success: false,
+      error: 'INVALID_YEAR',
+      message: `year debe ser un entero entre ${MIN_REPORT_YEAR} y ${currentYear}`
+    };
+  }
+  if (!Number.isInteger(longTermThresholdDays) ||
+      longTermThresholdDays < 1 ||
+      longTermThresholdDays > MAX_LONG_TERM_THRESHOLD_DAYS) {
+    return {
+      success: false,
+      error: 'INVALID_THRESHOLD',
+      message: `longTermThresholdDays debe ser un entero entre 1 y ${MAX_LONG_TERM_THRESHOLD_DAYS}`
+    };
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return {
+      success: false,
+      error: 'INVALID_FORMAT',
+      message: `Formatos válidos: ${EXPORT_FORMATS.join(', ')}`
+    };
+  }
+
+  // 1. Cuentas del usuario (valida ownership de accountIds)
+  const { accountNames, costBasisMethods } = await getUserAccountSettings(userId);
+
+  if (accountNames.size === 0) {
+    return { success: false, error: 'NO_ACCOUNTS', message: 'No accounts found for user' };
+  }
+
+  const targetAccountIds = accountIds.length > 0
+    ? accountIds.filter(id => accountNames.has(id))
+    : [...accountNames.keys()];
+
+  if (targetAccountIds.length === 0) {
+    return {
+      success: false,
+      error: 'INVALID_ACCOUNTS',
+      message: 'None of the specified accounts belong to user'
+    };
+  }
+
+  // 2. Moneda del reporte y resolver de tipo de cambio
+  const currency = options.currency || await getUserDefaultCurrency(userId);
+  let fx = options.fx;
+  if (!fx) {
+    const currenciesSnapshot = await db.collection('currencies').where('isActive', '==', true).get();
+    fx = createFxResolver({ currencies: currenciesSnapshot.docs.map(doc => doc.data()) });
+  }
+
+  // 3. Ventas emparejadas con compras y dividendos del año
+  const positions = await transactionProcessor.getClosedPositionsFromTransactions(
+    userId, targetAccountIds, accountNames, costBasisMethods
+  );
+  const dividendTransactions = await fetchDividendTransactions(targetAccountIds, year);
+
+  positions.forEach(p => fx.addTransactionHint({
+    date: p.sellDate,
+    dollarPriceToDate: p.dollarPriceToDate,
+    defaultCurrencyForAdquisitionDollar: p.originalCurrency
+  }));
+  dividendTransactions.forEach(tx => fx.addTransactionHint(tx));
+
+  // 4. Secciones y totales
+  const realizedGains = await buildRealizedGains(positions, {
+    year,
+    thresholdDays: longTermThresholdDays,
+    currency,
+    fx
+  });
+  const dividends = await buildDividendSummary(dividendTransactions, accountNames, { currency, fx });
+  const totals = calculateTotals(realizedGains, dividends);
+
+  // 5. Archivos
+  const files = serializeDatasets({
+    summary: buildSummaryRows(totals, currency),
+    realizedGains,
+    dividends
+  }, format, `tax_report_${year}`);
+
+  const fxFallbacks = [...fx.fallbacks].sort();
+  if (fxFallbacks.length > 0) {
+    console.warn(`[taxReportService] ${fxFallbacks.length} tasas sin histórico, se usó la tasa actual`, { requestId });
+  }
+
+  console.log(`[taxReportService] Complete`, {
+    requestId,
+    lots: realizedGains.length,
+    dividendGroups: dividends.length,
+    durationMs: Date.now() - startTime
+  });
+
+  return {
+    success: true,
+    report: {
+      year,
+      currency,
+      longTermThresholdDays,
+      realizedGains,
+      dividends,
+      totals
+    },
+    files,
+    metadata: {
+      requestId,
+      format,
+      accountsIncluded: targetAccountIds,
+      fxFallbacks,
+      durationMs: Date.now() - startTime
+    }
+  };
+}
+
+module.exports = {
+  getUserDefaultCurrency,
+  fetchDividendTransactions,
+  generateTaxReport
+};
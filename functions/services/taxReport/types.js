@@ -0,0 +1,88 @@
+/**
+ * Tax Report Types
+ *
+ * Tipos y constantes para el reporte fiscal anual: ganancias realizadas por
+ * lote (corto/largo plazo) y dividendos con retención.
+ *
+ * @module services/taxReport/types
+ */
+
+/**
+ * Plazo fiscal de una ganancia realizada
+ * @typedef {'short' | 'long'} TaxTerm
+ */
+
+/**
+ * Ganancia realizada de un lote vendido
+ * @typedef {Object} RealizedGainLot
+ * @property {string} id - ID de la transacción de venta
+ * @property {string} ticker - Símbolo del activo
+ * @property {string} assetType - Tipo de activo
+ * @property {string} accountId - ID de la cuenta
+ * @property {string} accountName - Nombre de la cuenta
+ * @property {string} buyDate - Fecha de compra (YYYY-MM-DD)
+ * @property {string} sellDate - Fecha de venta (YYYY-MM-DD)
+ * @property {number} holdingPeriodDays - Días de tenencia
+ * @property {TaxTerm} term - Corto o largo plazo
+ * @property {number} units - Unidades vendidas
+ * @property {string|null} costBasisMethod - Método de costo base de la venta
+ * @property {string} originalCurrency - Moneda de la transacción
+ * @property {number} originalProceeds - Ingreso bruto en moneda original
+ * @property {number} originalCostBasis - Costo base en moneda original
+ * @property {number} originalCommission - Comisión en moneda original
+ * @property {number} originalGain - Ganancia neta en moneda original
+ * @property {number} proceeds - Ingreso bruto (tipo de cambio de la venta)
+ * @property {number} costBasis - Costo base (tipo de cambio de la compra)
+ * @property {number} commission - Comisión (tipo de cambio de la venta)
+ * @property {number} gain - proceeds - commission - costBasis
+ * @property {string} currency - Moneda del reporte
+ */
+
+/**
+ * Dividendos agregados por cuenta y moneda
+ * @typedef {Object} DividendSummaryRow
+ * @property {string} accountId - ID de la cuenta
+ * @property {string} accountName - Nombre de la cuenta
+ * @property {string} originalCurrency - Moneda de los pagos
+ * @property {number} payments - Número de pagos
+ * @property {number} originalGross - Bruto en moneda original
+ * @property {number} originalWithheld - Retenido en moneda original
+ * @property {number} originalNet - Neto en moneda original
+ * @property {number} gross - Bruto (tipo de cambio de cada pago)
+ * @property {number} withheld - Retenido (tipo de cambio de cada pago)
+ * @property {number} net - Neto (tipo de cambio de cada pago)
+ * @property {string} currency - Moneda del reporte
+ */
+
+/**
+ * Totales de un plazo
+ * @typedef {Object} TermTotals
+ * @property {number} lots - Lotes vendidos
+ * @property {number} proceeds - Ingreso bruto
+ * @property {number} costBasis - Costo base
+ * @property {number} commission - Comisiones
+ * @property {number} gain - Ganancia neta
+ */
+
+/** Umbral de tenencia por defecto: más de un año es largo plazo */
+const DEFAULT_LONG_TERM_THRESHOLD_DAYS = 365;
+
+/** Umbral máximo aceptado (10 años) */
+const MAX_LONG_TERM_THRESHOLD_DAYS = 3650;
+
+/** Moneda del reporte cuando el usuario no tiene una por defecto */
+const DEFAULT_REPORT_CURRENCY = 'USD';
+
+/** Primer año aceptado para el reporte */
+const MIN_REPORT_YEAR = 2000;
+
+/** Nombres de dataset al exportar */
+const TAX_REPORT_DATASETS = ['summary', 'realizedGains', 'dividends'];
+
+module.exports = {
+  DEFAULT_LONG_TERM_THRESHOLD_DAYS,
+  MAX_LONG_TERM_THRESHOLD_DAYS,
+  DEFAULT_REPORT_CURRENCY,
+  MIN_REPORT_YEAR,
+  TAX_REPORT_DATASETS
+};
@@ -0,0 +1,238 @@
+/**
+ * Tests para services/technicalAnalysis
+ *
+ * Los valores de referencia de EMA y RSI son los de las planillas de
+ * StockCharts (cs-ema y cs-rsi); el resto se verifica contra cálculos a
+ * mano sobre series pequeñas y series lineales con resultado exacto.
+ *
+ * @module __tests__/services/technicalAnalysis.test
+ */
+
+const mockGetPriceHistory = jest.fn();
+jest.mock('../../priceHistory', () => ({ getPriceHistory: (...args) => mockGetPriceHistory(...args) }));
+
+const indicators = require('../indicators');
+const { getSummarySignal } = require('../signals');
+const { getTechnicalAnalysis } = require('../technicalAnalysisService');
+const { Analysis, SummaryAnalysis } = require('../../../models/analysis');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/** StockCharts cs-ema: cierres y EMA de 10 días */
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+const EMA_10 = [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28];
+
+/** StockCharts cs-rsi: cierres y RSI de 14 días */
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+  45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+  46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57
+];
+const RSI_14 = [70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90, 45.50];
+
+/** Serie lineal 1..n */
+const linear = length => Array.from({ length }, (_, i) => i + 1);
+
+/**
+ * Velas de prueba con tendencia lineal
+ * @param {number} length
+ * @param {number} step - Cambio diario del cierre
+ */
+function trendCandles(length, step) {
+  return Array.from({ length }, (_, i) => {
+    const close = 100 + step * i;
+    const date = new Date(Date.UTC(2023, 0, 2) + i * 86400000).toISOString().split('T')[0];
+    return { date, open: close - step / 2, high: close + 1, low: close - 1, close, adjClose: close, volume: 1000 + i };
+  });
+}
+
+/**
+ * Compara un tramo de la serie con valores de referencia
+ * @param {Array<number|null>} actual
+ * @param {number} offset - Índice del primer valor de referencia
+ * @param {number[]} expected
+ * @param {number} [digits=2]
+ */
+function expectSeries(actual, offset, expected, digits = 2) {
+  expected.forEach((value, i) => expect(actual[offset + i]).toBeCloseTo(value, digits));
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('medias móviles', () => {
+  it('sma, wma y vwma sobre series pequeñas', () => {
+    expect(indicators.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    expectSeries(indicators.wma([1, 2, 3, 4], 3), 2, [14 / 6, 20 / 6], 10);
+    expect(indicators.vwma([10, 20, 30], [1, 1, 2], 3)[2]).toBe(22.5);
+    expect(indicators.vwma([10, 20, 30], [0, 0, 0], 3)[2]).toBe(20);
+  });
+
+  it('ema coincide con la referencia de StockCharts', () => {
+    const result = indicators.ema(EMA_CLOSES, 10);
+    expect(result.slice(0, 9)).toEqual(new Array(9).fill(null));
+    expectSeries(result, 9, EMA_10);
+  });
+});
+
+describe('osciladores', () => {
+  it('rsi coincide con la referencia de StockCharts', () => {
+    const result = indicators.rsi(RSI_CLOSES, 14);
+    expect(result[13]).toBeNull();
+    expectSeries(result, 14, RSI_14);
+  });
+
+  it('rsi es 100 sin pérdidas', () => {
+    expect(indicators.rsi(linear(20), 14)[19]).toBe(100);
+  });
+
+  it('stochastic calcula %K y %D', () => {
+    const { k, d } = indicators.stochastic([10, 11, 12, 13], [8, 9, 10, 11], [9, 10, 11, 12], { period: 3, smoothK: 1, smoothD: 2 });
+    expect(k).toEqual([null, null, 75, 75]);
+    expect(d).toEqual([null, null, null, 75]);
+  });
+
+  it('stochRsi queda en 50 sin rango de RSI', () => {
+    const { k, d } = indicators.stochRsi(linear(40));
+    expect(k[39]).toBe(50);
+    expect(d[39]).toBe(50);
+  });
+
+  it('cci y obv', () => {
+    expect(indicators.cci([1, 2, 3], [1, 2, 3], [1, 2, 3], 3)[2]).toBeCloseTo(100, 10);
+    expect(indicators.obv([10, 11, 10, 10, 12], [100, 200, 300, 400, 500])).toEqual([0, 200, -100, -100, 400]);
+  });
+});
+
+describe('volatilidad y tendencia', () => {
+  it('bollingerBands usa desviación estándar poblacional', () => {
+    const { upper, middle, lower } = indicators.bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], { period: 8, stdDev: 2 });
+    expect([upper[7], middle[7], lower[7]]).toEqual([9, 5, 1]);
+  });
+
+  it('aroon cuenta las sesiones desde el máximo y el mínimo', () => {
+    const { up, down } = indicators.aroon([1, 3, 2, 2], [5, 4, 6, 7], 3);
+    expect(up[3]).toBeCloseTo(100 / 3, 10);
+    expect(down[3]).toBeCloseTo(100 / 3, 10);
+  });
+
+  it('adx es 100 en una tendencia alcista sin retrocesos', () => {
+    const close = linear(30);
+    const { adx, plusDI, minusDI } = indicators.adx(close.map(c => c + 1), close.map(c => c - 1), close, 14);
+    expect(adx[26]).toBeNull();
+    expect(adx[27]).toBeCloseTo(100, 10);
+    expect(plusDI[29]).toBeCloseTo(50, 10);
+    expect(minusDI[29]).toBe(0);
+  });
+
+  it('macd de una serie lineal es la diferencia de rezagos', () => {
+    const { macd, signal, histogram } = indicators.macd(linear(60));
+    expect(macd[24]).toBeNull();
+    expect(macd[59]).toBeCloseTo(7, 10);
+    expect(signal[59]).toBeCloseTo(7, 10);
+    expect(histogram[59]).toBeCloseTo(0, 10);
+  });
+
+  it('superTrend cambia de lado cuando el cierre cruza la banda', () => {
+    const up = trendCandles(30, 1);
+    const down = trendCandles(15, -4).map(c => ({ ...c, close: c.close + 20, high: c.high + 20, low: c.low + 20 }));
+    const candles = [...up, ...down];
+    const { trend, value } = indicators.superTrend(
+      candles.map(c => c.high), candles.map(c => c.low), candles.map(c => c.close), { period: 10, multiplier: 3 }
+    );
+
+    expect(trend[29]).toBe('up');
+    expect(value[29]).toBeLessThan(candles[29].close);
+    expect(trend[44]).toBe('down');
+    expect(value[44]).toBeGreaterThan(candles[44].close);
+  });
+
+  it('ichimoku desplaza las nubes y la línea rezagada', () => {
+    const series = linear(10);
+    const result = indicators.ichimoku(series, series, series, { conversionPeriod: 2, basePeriod: 3, spanPeriod: 4, displacement: 2 });
+
+    expect(result.conversion[9]).toBe(9.5);
+    expect(result.base[9]).toBe(9);
+    expect(result.leadingSpanA[9]).toBe(7.25);
+    expect(result.leadingSpanB[9]).toBe(6.5);
+    expect(result.lagging[7]).toBe(10);
+    expect(result.lagging[8]).toBeNull();
+  });
+});
+
+describe('getSummarySignal', () => {
+  it('cuenta los votos y omite indicadores sin datos', () => {
+    const summary = new SummaryAnalysis({
+      sma_10: 90,
+      sma_200: null,
+      ema_10: 110,
+      rsi: 25,
+      macd: { macd: 1, signal: 0.5 },
+      adx: { adx: 15, plusDI: 30, minusDI: 10 },
+      bbands: { upper: 120, middle: 100, lower: 80 },
+      supertrend: { value: 95, trend: 'up' }
+    });
+
+    const result = getSummarySignal(summary, 100);
+
+    expect(result.votes).toEqual({
+      sma_10: 'BUY',
+      ema_10: 'SELL',
+      rsi: 'BUY',
+      adx: 'NEUTRAL',
+      macd: 'BUY',
+      bbands: 'NEUTRAL',
+      supertrend: 'BUY'
+    });
+    expect(result).toMatchObject({ signal: 'BUY', buy: 4, sell: 1, neutral: 2 });
+    expect(result.score).toBeCloseTo(3 / 7, 10);
+  });
+
+  it('es neutral sin votos', () => {
+    expect(getSummarySignal(new SummaryAnalysis({}), 100)).toMatchObject({ signal: 'NEUTRAL', score: 0 });
+  });
+});
+
+describe('getTechnicalAnalysis', () => {
+  beforeEach(() => {
+    mockGetPriceHistory.mockReset();
+  });
+
+  it('devuelve las series pedidas como Analysis y el resumen', async () => {
+    mockGetPriceHistory.mockResolvedValue({ success: true, symbol: 'AAPL', range: '1Y', interval: '1d', candles: trendCandles(260, 0.5) });
+
+    const result = await getTechnicalAnalysis('aapl', { indicators: 'rsi,MACD', period: '10' });
+
+    expect(mockGetPriceHistory).toHaveBeenCalledWith('aapl', { range: '1Y', interval: '1d' });
+    expect(result).toMatchObject({ success: true, symbol: 'AAPL', lastDate: '2023-09-18', close: 229.5 });
+    expect(result.analysis.RSI).toBeInstanceOf(Analysis);
+    expect(Object.keys(result.analysis.RSI.indicators)[0]).toBe('2023-01-12');
+    expect(result.analysis.MACD.indicators['2023-09-18']).toEqual({
+      macd: expect.any(Number),
+      signal: expect.any(Number),
+      histogram: expect.any(Number)
+    });
+    expect(result.summary).toBeInstanceOf(SummaryAnalysis);
+    expect(result.summary.sma_200).toBeCloseTo(229.5 - 0.5 * 199 / 2, 10);
+    expect(result.signal.signal).toBe('BUY');
+    expect(result.signal.votes.sma_200).toBe('BUY');
+  });
+
+  it('rechaza indicadores y periodos inválidos sin consultar el histórico', async () => {
+    expect(await getTechnicalAnalysis('AAPL', { indicators: 'RSI,FOO' })).toMatchObject({ success: false, error: 'INVALID_INDICATOR' });
+    expect(await getTechnicalAnalysis('AAPL', { period: '1' })).toMatchObject({ success: false, error: 'INVALID_PERIOD' });
+    expect(mockGetPriceHistory).not.toHaveBeenCalled();
+  });
+
+  it('propaga el error del histórico', async () => {
+    mockGetPriceHistory.mockResolvedValue({ success: false, error: 'NO_DATA', message: 'sin datos' });
+    expect(await getTechnicalAnalysis('XXXX')).toEqual({ success: false, error: 'NO_DATA', message: 'sin datos' });
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Technical Analysis Module Index
+ *
+ * Exporta el motor de indicadores técnicos: librería de indicadores,
+ * señales del resumen y análisis por símbolo sobre priceHistory.
+ *
+ * @module services/technicalAnalysis
+ */
+
+const types = require('./types');
+const indicators = require('./indicators');
+const signals = require('./signals');
+const technicalAnalysisService = require('./technicalAnalysisService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...technicalAnalysisService,
+  getSummarySignal: signals.getSummarySignal,
+
+  // Utilidades individuales
+  indicators,
+  signals,
+  technicalAnalysisService
+};
@@ -0,0 +1,515 @@
+/**
+ * Technical Indicators
+ *
+ * Funciones puras de indicadores técnicos sobre series numéricas en orden
+ * ascendente. Cada función devuelve arrays del mismo largo que la entrada,
+ * con `null` en las posiciones sin datos suficientes (calentamiento).
+ *
+ * Convenciones (las de TA-Lib / StockCharts):
+ * - EMA sembrada con la SMA de las primeras `period` observaciones
+ * - RSI, ATR y ADX con el suavizado de Wilder
+ * - Bandas de Bollinger con desviación estándar poblacional
+ *
+ * @module services/technicalAnalysis/indicators
+ */
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * @param {number} length
+ * @returns {Array<null>}
+ */
+function emptySeries(length) {
+  return new Array(length).fill(null);
+}
+
+/**
+ * Aplica un cálculo desde el primer valor definido. Permite encadenar
+ * indicadores (EMA de la línea MACD, SMA del %K) sin propagar los null
+ * del calentamiento.
+ *
+ * @param {Array<number|null>} values
+ * @param {function(number[]): Array<number|null>} calculate
+ * @returns {Array<number|null>}
+ */
+function applyFromFirstValue(values, calculate) {
+  const start = values.findIndex(value => value !== null && value !== undefined);
+  if (start === -1) return emptySeries(values.length);
+  return [...emptySeries(start), ...calculate(values.slice(start))];
+}
+
+/**
+ * Máximo o mínimo móvil
+ * @param {number[]} values
+ * @param {number} period
+ * @param {function(...number): number} pick - Math.max o Math.min
+ * @returns {Array<number|null>}
+ */
+function rolling(values, period, pick) {
+  return values.map((_, index) => (
+    index < period - 1 ? null : pick(...values.slice(index - period + 1, index + 1))
+  ));
+}
+
+/**
+ * Suavizado de Wilder (RMA): semilla con la media de las primeras
+ * `period` observaciones
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function wilderSmoothing(values, period) {
+  const result = emptySeries(values.length);
+  if (values.length < period) return result;
+
+  let average = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = average;
+  for (let i = period; i < values.length; i++) {
+    average = (average * (period - 1) + values[i]) / period;
+    result[i] = average;
+  }
+  return result;
+}
+
+/**
+ * Rango verdadero (el primer valor es high - low)
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @returns {number[]}
+ */
+function trueRange(high, low, close) {
+  return high.map((h, i) => (
+    i === 0
+      ? h - low[i]
+      : Math.max(h - low[i], Math.abs(h - close[i - 1]), Math.abs(low[i] - close[i - 1]))
+  ));
+}
+
+/**
+ * Posición del cierre dentro del rango [min, max] en porcentaje. Un rango
+ * nulo (precio plano) devuelve 50.
+ * @returns {number}
+ */
+function percentOfRange(value, min, max) {
+  return max === min ? 50 : ((value - min) / (max - min)) * 100;
+}
+
+// ============================================================================
+// MEDIAS MÓVILES
+// ============================================================================
+
+/**
+ * Media móvil simple
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function sma(values, period) {
+  const result = emptySeries(values.length);
+  let sum = 0;
+  values.forEach((value, index) => {
+    sum += value;
+    if (index >= period) sum -= values[index - period];
+    if (index >= period - 1) result[index] = sum / period;
+  });
+  return result;
+}
+
+/**
+ * Media móvil exponencial (k = 2 / (period + 1))
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function ema(values, period) {
+  const result = emptySeries(values.length);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  let average = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = average;
+  for (let i = period; i < values.length; i++) {
+    average = values[i] * k + average * (1 - k);
+    result[i] = average;
+  }
+  return result;
+}
+
+/**
+ * Media móvil ponderada linealmente (peso 1 al más antiguo, `period` al
+ * más reciente)
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function wma(values, period) {
+  const divisor = (period * (period + 1)) / 2;
+  return values.map((_, index) => {
+    if (index < period - 1) return null;
+    let weighted = 0;
+    for (let w = 1; w <= period; w++) {
+      weighted += values[index - period + w] * w;
+    }
+    return weighted / divisor;
+  });
+}
+
+/**
+ * Media móvil ponderada por volumen. Sin volumen en la ventana (índices,
+ * divisas) equivale a la SMA.
+ * @param {number[]} close
+ * @param {number[]} volume
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function vwma(close, volume, period) {
+  const simple = sma(close, period);
+  return close.map((_, index) => {
+    if (index < period - 1) return null;
+    let priceVolume = 0;
+    let totalVolume = 0;
+    for (let i = index - period + 1; i <= index; i++) {
+      priceVolume += close[i] * volume[i];
+      totalVolume += volume[i];
+    }
+    return totalVolume > 0 ? priceVolume / totalVolume : simple[index];
+  });
+}
+
+// ============================================================================
+// OSCILADORES
+// ============================================================================
+
+/**
+ * Relative Strength Index (Wilder)
+ * @param {number[]} close
+ * @param {number} [period=14]
+ * @returns {Array<number|null>}
+ */
+function rsi(close, period = 14) {
+  const result = emptySeries(close.length);
+  if (close.length <= period) return result;
+
+  const changes = close.slice(1).map((value, i) => value - close[i]);
+  const avgGain = wilderSmoothing(changes.map(change => Math.max(change, 0)), period);
+  const avgLoss = wilderSmoothing(changes.map(change => Math.max(-change, 0)), period);
+
+  changes.forEach((_, i) => {
+    if (avgGain[i] === null) return;
+    result[i + 1] = avgLoss[i] === 0 ? 100 : 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+  return result;
+}
+
+/**
+ * Stochastic RSI: estocástico aplicado al RSI
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.period=14] - Periodo del RSI
+ * @param {number} [options.stochPeriod=14] - Ventana del estocástico
+ * @param {number} [options.smoothK=3]
+ * @param {number} [options.smoothD=3]
+ * @returns {{k: Array<number|null>, d: Array<number|null>}}
+ */
+function stochRsi(close, { period = 14, stochPeriod = 14, smoothK = 3, smoothD = 3 } = {}) {
+  const raw = applyFromFirstValue(rsi(close, period), values => {
+    const highest = rolling(values, stochPeriod, Math.max);
+    const lowest = rolling(values, stochPeriod, Math.min);
+    return values.map((value, i) => (highest[i] === null ? null : percentOfRange(value, lowest[i], highest[i])));
+  });
+  const k = applyFromFirstValue(raw, values => sma(values, smoothK));
+  const d = applyFromFirstValue(k, values => sma(values, smoothD));
+  return { k, d };
+}
+
+/**
+ * Oscilador estocástico lento (%K suavizado y %D)
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.period=14]
+ * @param {number} [options.smoothK=3]
+ * @param {number} [options.smoothD=3]
+ * @returns {{k: Array<number|null>, d: Array<number|null>}}
+ */
+function stochastic(high, low, close, { period = 14, smoothK = 3, smoothD = 3 } = {}) {
+  const highest = rolling(high, period, Math.max);
+  const lowest = rolling(low, period, Math.min);
+  const fastK = close.map((value, i) => (highest[i] === null ? null : percentOfRange(value, lowest[i], highest[i])));
+  const k = applyFromFirstValue(fastK, values => sma(values, smoothK));
+  const d = applyFromFirstValue(k, values => sma(values, smoothD));
+  return { k, d };
+}
+
+/**
+ * Commodity Channel Index
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {number} [period=20]
+ * @returns {Array<number|null>}
+ */
+function cci(high, low, close, period = 20) {
+  const typical = close.map((value, i) => (high[i] + low[i] + value) / 3);
+  const average = sma(typical, period);
+  return typical.map((value, index) => {
+    if (average[index] === null) return null;
+    let deviation = 0;
+    for (let i = index - period + 1; i <= index; i++) {
+      deviation += Math.abs(typical[i] - average[index]);
+    }
+    deviation /= period;
+    return deviation === 0 ? 0 : (value - average[index]) / (0.015 * deviation);
+  });
+}
+
+/**
+ * On-Balance Volume (arranca en 0)
+ * @param {number[]} close
+ * @param {number[]} volume
+ * @returns {number[]}
+ */
+function obv(close, volume) {
+  let total = 0;
+  return close.map((value, i) => {
+    if (i > 0 && value > close[i - 1]) total += volume[i];
+    if (i > 0 && value < close[i - 1]) total -= volume[i];
+    return total;
+  });
+}
+
+// ============================================================================
+// VOLATILIDAD Y TENDENCIA
+// ============================================================================
+
+/**
+ * Bandas de Bollinger
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.period=20]
+ * @param {number} [options.stdDev=2] - Desviaciones estándar de las bandas
+ * @returns {{upper: Array<number|null>, middle: Array<number|null>, lower: Array<number|null>}}
+ */
+function bollingerBands(close, { period = 20, stdDev = 2 } = {}) {
+  const middle = sma(close, period);
+  const upper = emptySeries(close.length);
+  const lower = emptySeries(close.length);
+
+  middle.forEach((mean, index) => {
+    if (mean === null) return;
+    let variance = 0;
+    for (let i = index - period + 1; i <= index; i++) {
+      variance += (close[i] - mean) ** 2;
+    }
+    const deviation = Math.sqrt(variance / period);
+    upper[index] = mean + stdDev * deviation;
+    lower[index] = mean - stdDev * deviation;
+  });
+  return { upper, middle, lower };
+}
+
+/**
+ * Aroon: sesiones desde el máximo y el mínimo de las últimas `period + 1`.
+ * Con empates cuenta el extremo más reciente.
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number} [period=25]
+ * @returns {{up: Array<number|null>, down: Array<number|null>}}
+ */
+function aroon(high, low, period = 25) {
+  const up = emptySeries(high.length);
+  const down = emptySeries(high.length);
+
+  for (let index = period; index < high.length; index++) {
+    let highIndex = index - period;
+    let lowIndex = index - period;
+    for (let i = index - period; i <= index; i++) {
+      if (high[i] >= high[highIndex]) highIndex = i;
+      if (low[i] <= low[lowIndex]) lowIndex = i;
+    }
+    up[index] = ((period - (index - highIndex)) / period) * 100;
+    down[index] = ((period - (index - lowIndex)) / period) * 100;
+  }
+  return { up, down };
+}
+
+/**
+ * Average Directional Index con +DI y -DI (Wilder)
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {number} [period=14]
+ * @returns {{adx: Array<number|null>, plusDI: Array<number|null>, minusDI: Array<number|null>}}
+ */
+function adx(high, low, close, period = 14) {
+  const length = close.length;
+  const plusDI = emptySeries(length);
+  const minusDI = emptySeries(length);
+  if (length <= period) return { adx: emptySeries(length), plusDI, minusDI };
+
+  const tr = trueRange(high, low, close).slice(1);
+  const plusDM = [];
+  const minusDM = [];
+  for (let i = 1; i < length; i++) {
+    const upMove = high[i] - high[i - 1];
+    const downMove = low[i - 1] - low[i];
+    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+  }
+
+  const smoothedTR = wilderSmoothing(tr, period);
+  const smoothedPlus = wilderSmoothing(plusDM, period);
+  const smoothedMinus = wilderSmoothing(minusDM, period);
+
+  const dx = emptySeries(length);
+  tr.forEach((_, i) => {
+    if (smoothedTR[i] === null) return;
+    const plus = smoothedTR[i] === 0 ? 0 : (smoothedPlus[i] / smoothedTR[i]) * 100;
+    const minus = smoothedTR[i] === 0 ? 0 : (smoothedMinus[i] / smoothedTR[i]) * 100;
+    plusDI[i + 1] = plus;
+    minusDI[i + 1] = minus;
+    dx[i + 1] = plus + minus === 0 ? 0 : (Math.abs(plus - minus) / (plus + minus)) * 100;
+  });
+
+  return {
+    adx: applyFromFirstValue(dx, values => wilderSmoothing(values, period)),
+    plusDI,
+    minusDI
+  };
+}
+
+/**
+ * MACD: EMA rápida - EMA lenta, señal (EMA de la línea) e histograma
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.fastPeriod=12]
+ * @param {number} [options.slowPeriod=26]
+ * @param {number} [options.signalPeriod=9]
+ * @returns {{macd: Array<number|null>, signal: Array<number|null>, histogram: Array<number|null>}}
+ */
+function macd(close, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 } = {}) {
+  const fast = ema(close, fastPeriod);
+  const slow = ema(close, slowPeriod);
+  const line = close.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = applyFromFirstValue(line, values => ema(values, signalPeriod));
+  const histogram = line.map((value, i) => (signal[i] === null ? null : value - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Average True Range (Wilder)
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {number} [period=14]
+ * @returns {Array<number|null>}
+ */
+function atr(high, low, close, period = 14) {
+  return wilderSmoothing(trueRange(high, low, close), period);
+}
+
+/**
+ * SuperTrend: banda de ATR que sigue al precio y cambia de lado cuando el
+ * cierre la cruza
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.period=10] - Periodo del ATR
+ * @param {number} [options.multiplier=3]
+ * @returns {{value: Array<number|null>, trend: Array<'up'|'down'|null>}}
+ */
+function superTrend(high, low, close, { period = 10, multiplier = 3 } = {}) {
+  const range = atr(high, low, close, period);
+  const value = emptySeries(close.length);
+  const trend = emptySeries(close.length);
+  let finalUpper = null;
+  let finalLower = null;
+  let direction = 'up';
+
+  range.forEach((currentAtr, i) => {
+    if (currentAtr === null) return;
+    const median = (high[i] + low[i]) / 2;
+    const basicUpper = median + multiplier * currentAtr;
+    const basicLower = median - multiplier * currentAtr;
+
+    if (finalUpper === null) {
+      finalUpper = basicUpper;
+      finalLower = basicLower;
+      direction = close[i] >= median ? 'up' : 'down';
+    } else {
+      finalUpper = basicUpper < finalUpper || close[i - 1] > finalUpper ? basicUpper : finalUpper;
+      finalLower = basicLower > finalLower || close[i - 1] < finalLower ? basicLower : finalLower;
+      if (direction === 'down' && close[i] > finalUpper) direction = 'up';
+      else if (direction === 'up' && close[i] < finalLower) direction = 'down';
+    }
+
+    value[i] = direction === 'up' ? finalLower : finalUpper;
+    trend[i] = direction;
+  });
+  return { value, trend };
+}
+
+/**
+ * Ichimoku Kinko Hyo. Las nubes (leadingSpanA/B) se devuelven en la fecha
+ * en la que se grafican (calculadas `displacement` sesiones antes) y la
+ * laggingSpan es el cierre `displacement` sesiones después (null al final
+ * de la serie).
+ * @param {number[]} high
+ * @param {number[]} low
+ * @param {number[]} close
+ * @param {Object} [options]
+ * @param {number} [options.conversionPeriod=9] - Tenkan-sen
+ * @param {number} [options.basePeriod=26] - Kijun-sen
+ * @param {number} [options.spanPeriod=52] - Senkou span B
+ * @param {number} [options.displacement=26]
+ * @returns {{conversion: Array, base: Array, leadingSpanA: Array, leadingSpanB: Array, lagging: Array}}
+ */
+function ichimoku(high, low, close, {
+  conversionPeriod = 9,
+  basePeriod = 26,
+  spanPeriod = 52,
+  displacement = 26
+} = {}) {
+  const midpoint = period => {
+    const highest = rolling(high, period, Math.max);
+    const lowest = rolling(low, period, Math.min);
+    return highest.map((value, i) => (value === null ? null : (value + lowest[i]) / 2));
+  };
+  const conversion = midpoint(conversionPeriod);
+  const base = midpoint(basePeriod);
+  const spanB = midpoint(spanPeriod);
+  const spanA = conversion.map((value, i) => (value === null || base[i] === null ? null : (value + base[i]) / 2));
+  const shift = (series, offset) => close.map((_, i) => series[i - offset] ?? null);
+
+  return {
+    conversion,
+    base,
+    leadingSpanA: shift(spanA, displacement),
+    leadingSpanB: shift(spanB, displacement),
+    lagging: shift(close, -displacement)
+  };
+}
+
+module.exports = {
+  sma,
+  ema,
+  wma,
+  vwma,
+  rsi,
+  stochRsi,
+  stochastic,
+  cci,
+  obv,
+  bollingerBands,
+  aroon,
+  adx,
+  macd,
+  atr,
+  superTrend,
+  ichimoku
+};
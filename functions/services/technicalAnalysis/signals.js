@@ -0,0 +1,150 @@
+/**
+ * Summary Signals
+ *
+ * Convierte los últimos valores de `SummaryAnalysis` en votos de compra,
+ * venta o neutral por indicador y en una señal global:
+ * - Medias móviles: cierre por encima (compra) o por debajo (venta)
+ * - Osciladores (RSI, SRSI, STOCH, CCI): sobreventa compra, sobrecompra venta
+ * - Tendencia (ADX, MACD, AROON, SUPERTREND, ICHIMOKU): dirección de la tendencia
+ * - Bollinger: cierre fuera de las bandas
+ *
+ * Los indicadores sin datos suficientes no votan.
+ *
+ * @module services/technicalAnalysis/signals
+ */
+
+const { SIGNALS, SUMMARY_MA_PERIODS, SIGNAL_THRESHOLDS } = require('./types');
+
+const {
+  RSI_OVERSOLD,
+  RSI_OVERBOUGHT,
+  STOCH_OVERSOLD,
+  STOCH_OVERBOUGHT,
+  CCI_OVERSOLD,
+  CCI_OVERBOUGHT,
+  ADX_TRENDING,
+  AROON_STRONG,
+  AROON_WEAK,
+  SUMMARY_SCORE
+} = SIGNAL_THRESHOLDS;
+
+/** Campos de medias móviles del resumen (sma_10 ... wma_200 y vwma) */
+const MOVING_AVERAGE_FIELDS = [
+  ...['sma', 'ema', 'wma'].flatMap(type => SUMMARY_MA_PERIODS.map(period => `${type}_${period}`)),
+  'vwma'
+];
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Voto de un oscilador: compra bajo `low`, venta sobre `high`
+ * @returns {import('./types').Signal|null}
+ */
+function oscillatorVote(value, low, high) {
+  if (!isNumber(value)) return null;
+  if (value < low) return SIGNALS.BUY;
+  if (value > high) return SIGNALS.SELL;
+  return SIGNALS.NEUTRAL;
+}
+
+/**
+ * Voto de cada indicador del resumen
+ *
+ * @param {import('../../models/analysis').SummaryAnalysis} summary
+ * @param {number} close - Último cierre
+ * @returns {Object.<string, import('./types').Signal>} Campo → voto (sin los que no tienen datos)
+ */
+function getIndicatorVotes(summary, close) {
+  const votes = {};
+
+  MOVING_AVERAGE_FIELDS.forEach(field => {
+    const average = summary[field];
+    if (!isNumber(average)) return;
+    votes[field] = close > average ? SIGNALS.BUY : close < average ? SIGNALS.SELL : SIGNALS.NEUTRAL;
+  });
+
+  votes.rsi = oscillatorVote(summary.rsi, RSI_OVERSOLD, RSI_OVERBOUGHT);
+  votes.srsi = oscillatorVote(summary.srsi?.k, STOCH_OVERSOLD, STOCH_OVERBOUGHT);
+  votes.stoch = oscillatorVote(summary.stoch?.k, STOCH_OVERSOLD, STOCH_OVERBOUGHT);
+  votes.cci = oscillatorVote(summary.cci, CCI_OVERSOLD, CCI_OVERBOUGHT);
+
+  const { adx, plusDI, minusDI } = summary.adx || {};
+  if (isNumber(adx)) {
+    votes.adx = adx < ADX_TRENDING ? SIGNALS.NEUTRAL : plusDI > minusDI ? SIGNALS.BUY : SIGNALS.SELL;
+  }
+
+  const { macd, signal } = summary.macd || {};
+  if (isNumber(macd) && isNumber(signal)) {
+    votes.macd = macd > signal ? SIGNALS.BUY : macd < signal ? SIGNALS.SELL : SIGNALS.NEUTRAL;
+  }
+
+  const { up, down } = summary.aroon || {};
+  if (isNumber(up) && isNumber(down)) {
+    votes.aroon = up >= AROON_STRONG && down <= AROON_WEAK
+      ? SIGNALS.BUY
+      : down >= AROON_STRONG && up <= AROON_WEAK ? SIGNALS.SELL : SIGNALS.NEUTRAL;
+  }
+
+  const { upper, lower } = summary.bbands || {};
+  if (isNumber(upper) && isNumber(lower)) {
+    votes.bbands = close < lower ? SIGNALS.BUY : close > upper ? SIGNALS.SELL : SIGNALS.NEUTRAL;
+  }
+
+  if (summary.supertrend?.trend) {
+    votes.supertrend = summary.supertrend.trend === 'up' ? SIGNALS.BUY : SIGNALS.SELL;
+  }
+
+  const { conversion, base, leadingSpanA, leadingSpanB } = summary.ichimoku || {};
+  if ([conversion, base, leadingSpanA, leadingSpanB].every(isNumber)) {
+    const cloudTop = Math.max(leadingSpanA, leadingSpanB);
+    const cloudBottom = Math.min(leadingSpanA, leadingSpanB);
+    votes.ichimoku = close > cloudTop && conversion > base
+      ? SIGNALS.BUY
+      : close < cloudBottom && conversion < base ? SIGNALS.SELL : SIGNALS.NEUTRAL;
+  }
+
+  Object.keys(votes).forEach(field => {
+    if (votes[field] === null) delete votes[field];
+  });
+  return votes;
+}
+
+/**
+ * Señal global del resumen
+ *
+ * @param {import('../../models/analysis').SummaryAnalysis} summary
+ * @param {number} close - Último cierre
+ * @returns {import('./types').SummarySignal}
+ */
+function getSummarySignal(summary, close) {
+  const votes = getIndicatorVotes(summary, close);
+  const values = Object.values(votes);
+  const count = signal => values.filter(vote => vote === signal).length;
+
+  const buy = count(SIGNALS.BUY);
+  const sell = count(SIGNALS.SELL);
+  const score = values.length > 0 ? (buy - sell) / values.length : 0;
+
+  let signal = SIGNALS.NEUTRAL;
+  if (score >= SUMMARY_SCORE) signal = SIGNALS.BUY;
+  else if (score <= -SUMMARY_SCORE) signal = SIGNALS.SELL;
+
+  return {
+    signal,
+    score,
+    buy,
+    sell,
+    neutral: count(SIGNALS.NEUTRAL),
+    votes
+  };
+}
+
+module.exports = {
+  MOVING_AVERAGE_FIELDS,
+  getIndicatorVotes,
+  getSummarySignal
+};
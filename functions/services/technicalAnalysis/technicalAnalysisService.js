@@ -0,0 +1,242 @@
+/**
+ * Technical Analysis Service
+ *
+ * Calcula los indicadores del catálogo `Indicator` (models/analysis) sobre
+ * el histórico OHLCV de services/priceHistory:
+ * - Series por indicador como `Analysis` (fecha → valores)
+ * - Últimos valores como `SummaryAnalysis` con la señal de compra/venta
+ *
+ * Lo usa /analysis.
+ *
+ * @module services/technicalAnalysis/technicalAnalysisService
+ */
+
+const { Indicator, Analysis, SummaryAnalysis } = require('../../models/analysis');
+const { getPriceHistory } = require('../priceHistory');
+const indicators = require('./indicators');
+const { getSummarySignal } = require('./signals');
+const {
+  INDICATOR_DEFAULTS,
+  PERIOD_INDICATORS,
+  SUMMARY_MA_PERIODS,
+  DEFAULT_ANALYSIS_RANGE,
+  DEFAULT_ANALYSIS_INTERVAL,
+  VALID_INDICATORS
+} = require('./types');
+
+/**
+ * Cálculo de cada indicador: series → arrays por campo. El primer campo
+ * define desde qué fecha hay datos.
+ * @type {Object.<string, function(import('./types').OhlcvSeries, Object): Object.<string, Array>>}
+ */
+const CALCULATORS = {
+  [Indicator.SMA]: (s, p) => ({ sma: indicators.sma(s.close, p.period) }),
+  [Indicator.EMA]: (s, p) => ({ ema: indicators.ema(s.close, p.period) }),
+  [Indicator.WMA]: (s, p) => ({ wma: indicators.wma(s.close, p.period) }),
+  [Indicator.VWMA]: (s, p) => ({ vwma: indicators.vwma(s.close, s.volume, p.period) }),
+  [Indicator.RSI]: (s, p) => ({ rsi: indicators.rsi(s.close, p.period) }),
+  [Indicator.SRSI]: (s, p) => indicators.stochRsi(s.close, p),
+  [Indicator.STOCH]: (s, p) => indicators.stochastic(s.high, s.low, s.close, p),
+  [Indicator.CCI]: (s, p) => ({ cci: indicators.cci(s.high, s.low, s.close, p.period) }),
+  [Indicator.OBV]: (s) => ({ obv: indicators.obv(s.close, s.volume) }),
+  [Indicator.BBANDS]: (s, p) => indicators.bollingerBands(s.close, p),
+  [Indicator.AROON]: (s, p) => indicators.aroon(s.high, s.low, p.period),
+  [Indicator.ADX]: (s, p) => indicators.adx(s.high, s.low, s.close, p.period),
+  [Indicator.MACD]: (s, p) => indicators.macd(s.close, p),
+  [Indicator.SUPER_TREND]: (s, p) => indicators.superTrend(s.high, s.low, s.close, p),
+  [Indicator.ICHIMOKU]: (s, p) => indicators.ichimoku(s.high, s.low, s.close, p)
+};
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Extrae las series de las velas. Sin máximo/mínimo se usa el cierre y
+ * sin volumen, 0.
+ * @param {import('../priceHistory/types').Candle[]} candles
+ * @returns {import('./types').OhlcvSeries}
+ */
+function toOhlcvSeries(candles) {
+  return {
+    dates: candles.map(c => c.date),
+    open: candles.map(c => c.open ?? c.close),
+    high: candles.map(c => c.high ?? c.close),
+    low: candles.map(c => c.low ?? c.close),
+    close: candles.map(c => c.close),
+    volume: candles.map(c => c.volume ?? 0)
+  };
+}
+
+/**
+ * Último valor de una serie
+ * @param {Array} values
+ * @returns {*}
+ */
+function last(values) {
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Últimos valores de un indicador de varios campos
+ * @param {Object.<string, Array>} fields
+ * @returns {Object.<string, *>}
+ */
+function lastOfEach(fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, values]) => {
+    result[key] = last(values);
+  });
+  return result;
+}
+
+/**
+ * Parsea la lista de indicadores de la API ("SMA,rsi,MACD")
+ * @param {string|string[]} value
+ * @returns {{indicators: string[], invalid: string[]}}
+ */
+function parseIndicators(value) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+  const unique = [...new Set(list)];
+  return {
+    indicators: unique.filter(item => VALID_INDICATORS.includes(item)),
+    invalid: unique.filter(item => !VALID_INDICATORS.includes(item))
+  };
+}
+
+// ============================================================================
+// CÁLCULO
+// ============================================================================
+
+/**
+ * Serie de un indicador como Analysis
+ *
+ * @param {string} indicator - Indicator de models/analysis
+ * @param {import('./types').OhlcvSeries} series
+ * @param {Object} [params] - Reemplaza INDICATOR_DEFAULTS[indicator]
+ * @returns {Analysis} type = indicador, indicators = fecha → valores
+ */
+function buildAnalysis(indicator, series, params = {}) {
+  const fields = CALCULATORS[indicator](series, { ...INDICATOR_DEFAULTS[indicator], ...params });
+  const keys = Object.keys(fields);
+  const byDate = {};
+
+  series.dates.forEach((date, i) => {
+    if (fields[keys[0]][i] === null) return;
+    byDate[date] = {};
+    keys.forEach(key => {
+      byDate[date][key] = fields[key][i];
+    });
+  });
+
+  return new Analysis(indicator, byDate);
+}
+
+/**
+ * Últimos valores de todos los indicadores
+ *
+ * @param {string} symbol
+ * @param {import('./types').OhlcvSeries} series
+ * @returns {SummaryAnalysis}
+ */
+function buildSummary(symbol, series) {
+  const data = { symbol };
+  const latest = (indicator, params = {}) => lastOfEach(
+    CALCULATORS[indicator](series, { ...INDICATOR_DEFAULTS[indicator], ...params })
+  );
+
+  SUMMARY_MA_PERIODS.forEach(period => {
+    data[`sma_${period}`] = last(indicators.sma(series.close, period));
+    data[`ema_${period}`] = last(indicators.ema(series.close, period));
+    data[`wma_${period}`] = last(indicators.wma(series.close, period));
+  });
+
+  data.vwma = latest(Indicator.VWMA).vwma;
+  data.rsi = latest(Indicator.RSI).rsi;
+  data.srsi = latest(Indicator.SRSI);
+  data.cci = latest(Indicator.CCI).cci;
+  data.adx = latest(Indicator.ADX);
+  data.macd = latest(Indicator.MACD);
+  data.stoch = latest(Indicator.STOCH);
+  data.aroon = latest(Indicator.AROON);
+  data.bbands = latest(Indicator.BBANDS);
+  data.supertrend = latest(Indicator.SUPER_TREND);
+  data.ichimoku = latest(Indicator.ICHIMOKU);
+
+  return new SummaryAnalysis(data);
+}
+
+/**
+ * Análisis técnico de un símbolo
+ *
+ * @param {string} symbol - Ticker o par de divisas (ver priceHistory)
+ * @param {Object} [options]
+ * @param {string|string[]} [options.indicators] - Indicadores con serie completa (vacío = solo resumen)
+ * @param {string} [options.range='1Y'] - TimePeriod del histórico
+ * @param {string} [options.interval='1d'] - Interval del histórico
+ * @param {number} [options.period] - Periodo para los indicadores de PERIOD_INDICATORS
+ * @returns {Promise<Object>} { success, symbol, range, interval, lastDate, close, analysis, summary, signal }
+ *   o {success: false, error, message}
+ */
+async function getTechnicalAnalysis(symbol, options = {}) {
+  const {
+    range = DEFAULT_ANALYSIS_RANGE,
+    interval = DEFAULT_ANALYSIS_INTERVAL,
+    period
+  } = options;
+
+  const { indicators: requested, invalid } = parseIndicators(options.indicators);
+  if (invalid.length > 0) {
+    return {
+      success: false,
+      error: 'INVALID_INDICATOR',
+      message: `Indicadores no soportados: ${invalid.join(', ')}. Válidos: ${VALID_INDICATORS.join(', ')}`
+    };
+  }
+
+  let params = {};
+  if (period !== undefined && period !== null && period !== '') {
+    const parsedPeriod = Number(period);
+    if (!Number.isInteger(parsedPeriod) || parsedPeriod < 2) {
+      return { success: false, error: 'INVALID_PERIOD', message: 'period debe ser un entero mayor o igual a 2' };
+    }
+    params = { period: parsedPeriod };
+  }
+
+  const history = await getPriceHistory(symbol, { range, interval });
+  if (!history.success) return history;
+  if (history.candles.length === 0) {
+    return { success: false, error: 'NO_DATA', message: `No hay velas para ${history.symbol} en ${range}` };
+  }
+
+  const series = toOhlcvSeries(history.candles);
+  const analysis = {};
+  requested.forEach(indicator => {
+    analysis[indicator] = buildAnalysis(indicator, series, PERIOD_INDICATORS.includes(indicator) ? params : {});
+  });
+
+  const summary = buildSummary(history.symbol, series);
+  const close = last(series.close);
+
+  return {
+    success: true,
+    symbol: history.symbol,
+    range: history.range,
+    interval: history.interval,
+    lastDate: last(series.dates),
+    close,
+    analysis,
+    summary,
+    signal: getSummarySignal(summary, close)
+  };
+}
+
+module.exports = {
+  toOhlcvSeries,
+  parseIndicators,
+  buildAnalysis,
+  buildSummary,
+  getTechnicalAnalysis
+};
@@ -0,0 +1,108 @@
+/**
+ * Technical Analysis Types
+ *
+ * Tipos y constantes del motor de indicadores técnicos. Los indicadores
+ * son los del catálogo `Indicator` de models/analysis; las series se
+ * devuelven como `Analysis` (fecha → valores) y el resumen como
+ * `SummaryAnalysis`.
+ *
+ * @module services/technicalAnalysis/types
+ */
+
+const { Indicator } = require('../../models/analysis');
+const { TimePeriod, Interval } = require('../../models/time_series');
+
+/**
+ * Series de entrada extraídas de las velas (mismo largo, orden ascendente)
+ * @typedef {Object} OhlcvSeries
+ * @property {string[]} dates
+ * @property {number[]} open
+ * @property {number[]} high
+ * @property {number[]} low
+ * @property {number[]} close
+ * @property {number[]} volume
+ */
+
+/**
+ * Voto de un indicador en el resumen
+ * @typedef {'BUY' | 'SELL' | 'NEUTRAL'} Signal
+ */
+
+/**
+ * Señal agregada del resumen
+ * @typedef {Object} SummarySignal
+ * @property {Signal} signal - Señal global
+ * @property {number} score - (compras - ventas) / votos, entre -1 y 1
+ * @property {number} buy - Indicadores en compra
+ * @property {number} sell - Indicadores en venta
+ * @property {number} neutral - Indicadores neutrales
+ * @property {Object.<string, Signal>} votes - Voto por campo de SummaryAnalysis
+ */
+
+/** Señales posibles */
+const SIGNALS = {
+  BUY: 'BUY',
+  SELL: 'SELL',
+  NEUTRAL: 'NEUTRAL'
+};
+
+/** Parámetros por defecto de cada indicador */
+const INDICATOR_DEFAULTS = {
+  [Indicator.SMA]: { period: 10 },
+  [Indicator.EMA]: { period: 10 },
+  [Indicator.WMA]: { period: 10 },
+  [Indicator.VWMA]: { period: 20 },
+  [Indicator.RSI]: { period: 14 },
+  [Indicator.SRSI]: { period: 14, stochPeriod: 14, smoothK: 3, smoothD: 3 },
+  [Indicator.STOCH]: { period: 14, smoothK: 3, smoothD: 3 },
+  [Indicator.CCI]: { period: 20 },
+  [Indicator.OBV]: {},
+  [Indicator.BBANDS]: { period: 20, stdDev: 2 },
+  [Indicator.AROON]: { period: 25 },
+  [Indicator.ADX]: { period: 14 },
+  [Indicator.MACD]: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  [Indicator.SUPER_TREND]: { period: 10, multiplier: 3 },
+  [Indicator.ICHIMOKU]: { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52, displacement: 26 }
+};
+
+/** Indicadores cuyo parámetro `period` se puede cambiar desde la API */
+const PERIOD_INDICATORS = [
+  Indicator.SMA, Indicator.EMA, Indicator.WMA, Indicator.VWMA, Indicator.RSI, Indicator.SRSI,
+  Indicator.STOCH, Indicator.CCI, Indicator.BBANDS, Indicator.AROON, Indicator.ADX, Indicator.SUPER_TREND
+];
+
+/** Periodos de las medias móviles del resumen (sma_10 ... sma_200) */
+const SUMMARY_MA_PERIODS = [10, 20, 50, 100, 200];
+
+/** Umbrales de los osciladores para el voto del resumen */
+const SIGNAL_THRESHOLDS = {
+  RSI_OVERSOLD: 30,
+  RSI_OVERBOUGHT: 70,
+  STOCH_OVERSOLD: 20,
+  STOCH_OVERBOUGHT: 80,
+  CCI_OVERSOLD: -100,
+  CCI_OVERBOUGHT: 100,
+  ADX_TRENDING: 25,
+  AROON_STRONG: 70,
+  AROON_WEAK: 30,
+  /** |score| mínimo para una señal global de compra o venta */
+  SUMMARY_SCORE: 0.2
+};
+
+/** Histórico por defecto: un año diario cubre la SMA de 200 sesiones */
+const DEFAULT_ANALYSIS_RANGE = TimePeriod.YEAR;
+const DEFAULT_ANALYSIS_INTERVAL = Interval.DAILY;
+
+/** Valores válidos de `indicators` */
+const VALID_INDICATORS = Object.values(Indicator);
+
+module.exports = {
+  SIGNALS,
+  INDICATOR_DEFAULTS,
+  PERIOD_INDICATORS,
+  SUMMARY_MA_PERIODS,
+  SIGNAL_THRESHOLDS,
+  DEFAULT_ANALYSIS_RANGE,
+  DEFAULT_ANALYSIS_INTERVAL,
+  VALID_INDICATORS
+};
@@ -0,0 +1,181 @@
+/**
+ * Tests para services/transactionImport
+ *
+ * Verifica los parsers de extractos (IBKR, XTB, genérico) y el preview
+ * de importación (duplicados, validaciones y efecto en balances).
+ *
+ * @module __tests__/services/transactionImport.test
+ */
+
+const XLSX = require('xlsx');
+const {
+  parseNumber,
+  normalizeDate,
+  parseStatement
+} = require('../parsers');
+const { buildImportPreview, buildDuplicateKey } = require('../previewBuilder');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const IBKR_CSV = [
+  '"ClientAccountID","AssetClass","Symbol","CurrencyPrimary","TradeDate","Quantity","TradePrice","IBCommission","Buy/Sell","TradeID","ListingExchange"',
+  '"U123","STK","AAPL","USD","20250103","10","180.5","-1","BUY","T1","NASDAQ"',
+  '"U123","STK","AAPL","USD","20250210","-4","190","-1","SELL","T2","NASDAQ"',
+  '"ClientAccountID","CurrencyPrimary","Date/Time","Amount","Type","TransactionID"',
+  '"U123","USD","20250102","5000","Deposits/Withdrawals","C1"',
+  '"U123","USD","20250115","2.5","Dividends","C2"'
+].join('\n');
+
+function buildXtbBuffer() {
+  const rows = [
+    ['Cash Operations'],
+    [],
+    ['ID', 'Type', 'Time', 'Symbol', 'Comment', 'Amount'],
+    [101, 'Deposit', '02.01.2025 10:00:00', '', 'Deposit', 1000],
+    [102, 'Stocks/ETF purchase', '03.01.2025 15:30:00', 'MSFT.US', 'OPEN BUY 2 @ 410.25', -820.5],
+    [103, 'Stocks/ETF sale', '05.02.2025 16:00:00', 'MSFT.US', 'CLOSE BUY 1/2 @ 420.00', 420],
+    [104, 'Free-funds Interest', '06.02.2025 00:00:00', '', '', 0.3]
+  ];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Cash Operations');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('transactionImport parsers', () => {
+  describe('parseNumber', () => {
+    it('acepta separadores de miles y decimales de ambos estilos', () => {
+      expect(parseNumber('1,234.56')).toBe(1234.56);
+      expect(parseNumber('1.234,56')).toBe(1234.56);
+      expect(parseNumber('12,5')).toBe(12.5);
+      expect(parseNumber('')).toBeNaN();
+    });
+  });
+
+  describe('normalizeDate', () => {
+    it('normaliza los formatos habituales de brokers', () => {
+      expect(normalizeDate('2025-01-03')).toBe('2025-01-03');
+      expect(normalizeDate('20250103')).toBe('2025-01-03');
+      expect(normalizeDate('03.01.2025 15:30:00')).toBe('2025-01-03');
+      expect(normalizeDate('01/03/2025', 'MDY')).toBe('2025-01-03');
+      expect(normalizeDate('2025-02-30')).toBeNull();
+    });
+  });
+
+  it('parsea trades y depósitos de un Flex CSV de IBKR', () => {
+    const { rows, errors } = parseStatement(Buffer.from(IBKR_CSV), 'ibkr');
+
+    expect(errors).toEqual([]);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      date: '2025-01-03', type: 'buy', ticker: 'AAPL', assetType: 'stock',
+      units: 10, price: 180.5, commission: 1, currency: 'USD', externalId: 'T1'
+    });
+    expect(rows[1]).toMatchObject({ type: 'sell', units: 4, price: 190 });
+    expect(rows[2]).toMatchObject({ type: 'cash_income', units: 5000, date: '2025-01-02' });
+  });
+
+  it('parsea compras, ventas y depósitos del XLSX de XTB', () => {
+    const { rows, errors } = parseStatement(buildXtbBuffer(), 'xtb', { currency: 'EUR' });
+
+    expect(errors).toEqual([]);
+    expect(rows.map(r => r.type)).toEqual(['cash_income', 'buy', 'sell']);
+    expect(rows[1]).toMatchObject({ ticker: 'MSFT', units: 2, price: 410.25, currency: 'EUR', date: '2025-01-03' });
+    expect(rows[2]).toMatchObject({ units: 1, price: 420 });
+  });
+
+  it('parsea un CSV genérico con mapeo de columnas', () => {
+    const csv = 'Fecha;Operacion;Simbolo;Cantidad;Precio;Moneda\n15/01/2025;COMPRA;VOO;1,5;480,10;USD\n16/01/2025;TRASPASO;VOO;1;1;USD';
+    const { rows, errors } = parseStatement(Buffer.from(csv), 'generic', {
+      columnMapping: {
+        date: 'Fecha', type: 'Operacion', ticker: 'Simbolo',
+        units: 'Cantidad', price: 'Precio', currency: 'Moneda'
+      }
+    });
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ date: '2025-01-15', type: 'buy', ticker: 'VOO', units: 1.5, price: 480.1 });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].rowNumber).toBe(3);
+  });
+
+  it('lee el tipo de cambio de cada fila del CSV genérico', () => {
+    const csv = 'date,type,ticker,units,price,currency,fxRate\n2023-05-02,buy,VOO,1,380,USD,4550.5\n2025-01-15,buy,VOO,1,480,USD,';
+    const { rows } = parseStatement(Buffer.from(csv), 'generic');
+
+    expect(rows.map(r => r.fxRate)).toEqual([4550.5, undefined]);
+  });
+});
+
+describe('buildImportPreview', () => {
+  const baseRows = [
+    { rowNumber: 2, date: '2025-01-03', type: 'buy', ticker: 'AAPL', assetType: 'stock', units: 10, price: 100, commission: 1, currency: 'USD' },
+    { rowNumber: 3, date: '2025-02-10', type: 'sell', ticker: 'AAPL', assetType: 'stock', units: 4, price: 120, commission: 1, currency: 'USD' },
+    { rowNumber: 4, date: '2025-01-02', type: 'cash_income', units: 500, price: 1, commission: 0, currency: 'USD' }
+  ];
+
+  it('simula balances en orden cronológico', () => {
+    const preview = buildImportPreview(baseRows, { balances: { USD: 600 }, today: '2025-06-01' });
+
+    expect(preview.rows.map(r => r.row.rowNumber)).toEqual([4, 2, 3]);
+    expect(preview.summary.validRows).toBe(3);
+    expect(preview.summary.balanceEffects.USD).toBeCloseTo(500 - 1001 + 479, 8);
+    expect(preview.summary.projectedBalances.USD).toBeCloseTo(578, 8);
+  });
+
+  it('marca duplicados contra transacciones existentes y dentro del archivo', () => {
+    const existing = [{ date: '2025-01-03', type: 'buy', assetName: 'AAPL', amount: 10, price: 100 }];
+    const rows = [...baseRows, { ...baseRows[2], rowNumber: 5 }];
+    const preview = buildImportPreview(rows, {
+      existingTransactions: existing,
+      balances: { USD: 5000 },
+      activeAssets: [{ name: 'AAPL', units: 10, acquisitionDate: '2025-01-03' }],
+      today: '2025-06-01'
+    });
+
+    const byRow = Object.fromEntries(preview.rows.map(r => [r.row.rowNumber, r.status]));
+    expect(byRow[2]).toBe('duplicate');
+    expect(byRow[5]).toBe('duplicate');
+    expect(byRow[3]).toBe('valid');
+    expect(preview.summary.duplicateRows).toBe(2);
+  });
+
+  it('rechaza ventas sin unidades suficientes a la fecha y compras sin saldo', () => {
+    const rows = [
+      { rowNumber: 2, date: '2025-01-03', type: 'sell', ticker: 'MSFT', assetType: 'stock', units: 1, price: 400, commission: 0, currency: 'USD' },
+      { rowNumber: 3, date: '2025-01-04', type: 'buy', ticker: 'MSFT', assetType: 'stock', units: 5, price: 400, commission: 0, currency: 'USD' }
+    ];
+    const preview = buildImportPreview(rows, {
+      balances: { USD: 100 },
+      activeAssets: [{ name: 'MSFT', units: 3, acquisitionDate: '2025-03-01' }],
+      today: '2025-06-01'
+    });
+
+    expect(preview.rows[0].status).toBe('invalid');
+    expect(preview.rows[0].issues[0]).toMatch(/Unidades insuficientes/);
+    expect(preview.rows[1].status).toBe('invalid');
+    expect(preview.rows[1].issues[0]).toMatch(/Saldo insuficiente/);
+    expect(preview.summary.projectedBalances.USD).toBe(100);
+  });
+
+  it('invalida las filas sin tipo de cambio y devuelve el de cada fila', () => {
+    const dollarPrices = new Map([[2, 4120.5], [3, null], [4, 3980]]);
+    const preview = buildImportPreview(baseRows, { balances: { USD: 600 }, today: '2025-06-01', dollarPrices });
+
+    const byRow = Object.fromEntries(preview.rows.map(r => [r.row.rowNumber, r]));
+    expect(byRow[2]).toMatchObject({ status: 'valid', dollarPriceToDate: 4120.5 });
+    expect(byRow[3].status).toBe('invalid');
+    expect(byRow[3].issues).toContain('No hay tipo de cambio para 2025-02-10');
+    expect(byRow[4].dollarPriceToDate).toBe(3980);
+  });
+
+  it('genera la misma clave para una fila y su transacción guardada', () => {
+    expect(buildDuplicateKey({ date: '2025-01-03', type: 'buy', ticker: 'aapl', units: 10, price: 100 }))
+      .toBe(buildDuplicateKey({ date: '2025-01-03', type: 'buy', assetName: 'AAPL', amount: 10, price: 100 }));
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Transaction Import Module Index
+ *
+ * Exporta parsers y preview para la importación de extractos de brokers.
+ *
+ * @module services/transactionImport
+ * @see docs/stories/56.story.md
+ */
+
+const types = require('./types');
+const parsers = require('./parsers');
+const previewBuilder = require('./previewBuilder');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Funciones principales
+  parseStatement: parsers.parseStatement,
+  buildImportPreview: previewBuilder.buildImportPreview,
+
+  // Servicios individuales
+  parsers,
+  previewBuilder
+};
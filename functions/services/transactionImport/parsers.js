@@ -0,0 +1,499 @@
+/**
+ * Transaction Import Parsers
+ *
+ * Convierte extractos de brokers en filas normalizadas (ImportRow).
+ * Usa la librería xlsx tanto para XLSX como para CSV, igual que
+ * /process-etf-excel en httpApi.js.
+ *
+ * @module services/transactionImport/parsers
+ * @see docs/stories/56.story.md
+ */
+
+const XLSX = require('xlsx');
+const {
+  DEFAULT_GENERIC_MAPPING,
+  GENERIC_TYPE_ALIASES,
+  IBKR_ASSET_CLASSES
+} = require('./types');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Lee un archivo (CSV o XLSX) y devuelve las hojas como matrices de celdas
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object.<string, Array<Array<*>>>} Hojas por nombre
+ */
+function readWorkbookRows(buffer) {
+  // Los XLSX son archivos zip (firma "PK"); el resto se trata como texto plano
+  const isZip = buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+  const workbook = XLSX.read(buffer, {
+    type: 'buffer',
+    cellDates: true,
+    cellFormula: false,
+    cellStyles: false,
+    raw: !isZip
+  });
+
+  const sheets = {};
+  for (const sheetName of workbook.SheetNames) {
+    sheets[sheetName] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+      header: 1,
+      raw: true,
+      defval: ''
+    });
+  }
+  return sheets;
+}
+
+/**
+ * Convierte un valor numérico del extracto (admite "1,234.56" y "1.234,56")
+ *
+ * @param {*} value - Valor de la celda
+ * @returns {number} Número o NaN si no es válido
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return NaN;
+
+  let text = String(value).trim().replace(/\s/g, '');
+  if (text === '') return NaN;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // El separador que aparece último es el decimal
+    text = lastComma > lastDot
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    text = text.replace(',', '.');
+  }
+
+  return Number(text);
+}
+
+/**
+ * Convierte el tipo de cambio de una celda (vacío o no positivo = sin dato)
+ *
+ * @param {*} value - Valor de la celda
+ * @returns {number|undefined}
+ */
+function parseFxRate(value) {
+  const rate = parseNumber(value);
+  return rate > 0 ? rate : undefined;
+}
+
+/**
+ * Normaliza una fecha del extracto a YYYY-MM-DD
+ *
+ * @param {*} value - Date, serial de Excel o texto
+ * @param {'DMY' | 'MDY'} [dayFirst='DMY'] - Orden para fechas con barras
+ * @returns {string|null} Fecha normalizada o null si no es válida
+ */
+function normalizeDate(value, dayFirst = 'DMY') {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value.toISOString().split('T')[0];
+  }
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (!parsed) return null;
+    return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+  }
+
+  const text = String(value || '').trim().split(/[ ,;T]/)[0];
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/))) {
+    if (dayFirst === 'MDY') {
+      [, month, day, year] = match;
+    } else {
+      [, day, month, year] = match;
+    }
+  } else {
+    return null;
+  }
+
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const check = new Date(`${iso}T00:00:00Z`);
+  if (isNaN(check.getTime()) || check.toISOString().split('T')[0] !== iso) return null;
+
+  return iso;
+}
+
+/**
+ * Busca la fila de encabezados que contiene todas las columnas requeridas
+ *
+ * @param {Array<Array<*>>} rows - Filas de la hoja
+ * @param {string[]} requiredColumns - Columnas que deben estar presentes
+ * @param {number} [fromIndex=0] - Índice desde el cual buscar
+ * @returns {number} Índice de la fila o -1
+ */
+function findHeaderRow(rows, requiredColumns, fromIndex = 0) {
+  for (let i = fromIndex; i < rows.length; i++) {
+    const cells = rows[i].map(c => String(c).trim());
+    if (requiredColumns.every(col => cells.includes(col))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Convierte una fila en objeto usando los encabezados
+ *
+ * @param {string[]} headers - Encabezados
+ * @param {Array<*>} cells - Celdas
+ * @returns {Object.<string, *>}
+ */
+function toRecord(headers, cells) {
+  const record = {};
+  headers.forEach((header, idx) => {
+    record[header] = cells[idx];
+  });
+  return record;
+}
+
+/**
+ * Indica si una fila está vacía
+ * @param {Array<*>} cells
+ * @returns {boolean}
+ */
+function isEmptyRow(cells) {
+  return cells.every(c => String(c).trim() === '');
+}
+
+// ============================================================================
+// PARSERS POR FORMATO
+// ============================================================================
+
+/**
+ * Parsea un Flex Query CSV de Interactive Brokers (secciones Trades y
+ * Cash Transactions). Las secciones pueden venir concatenadas con sus
+ * propios encabezados.
+ *
+ * @param {Object.<string, Array<Array<*>>>} sheets - Hojas leídas
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.defaultAssetType='stock'] - assetType si AssetClass no se reconoce
+ * @returns {{rows: Array<Object>, errors: Array<{rowNumber: number, message: string}>}}
+ */
+function parseIbkrFlex(sheets, options = {}) {
+  const { defaultAssetType = 'stock' } = options;
+  const rawRows = Object.values(sheets)[0] || [];
+  const rows = [];
+  const errors = [];
+
+  let headers = null;
+  let section = null;
+
+  rawRows.forEach((cells, index) => {
+    const rowNumber = index + 1;
+    if (isEmptyRow(cells)) return;
+
+    const trimmed = cells.map(c => String(c).trim());
+
+    // Detectar encabezados de sección
+    if (trimmed.includes('Symbol') && trimmed.includes('TradePrice')) {
+      headers = trimmed;
+      section = 'trades';
+      return;
+    }
+    if (trimmed.includes('Type') && trimmed.includes('Amount') && !trimmed.includes('TradePrice')) {
+      headers = trimmed;
+      section = 'cash';
+      return;
+    }
+    if (!headers) return;
+
+    const record = toRecord(headers, cells);
+
+    if (section === 'trades') {
+      const quantity = parseNumber(record.Quantity);
+      const side = String(record['Buy/Sell'] || '').toUpperCase();
+      const type = side === 'SELL' || quantity < 0 ? 'sell' : 'buy';
+      const date = normalizeDate(record.TradeDate || record['Date/Time']);
+
+      if (!date || isNaN(quantity) || isNaN(parseNumber(record.TradePrice))) {
+        errors.push({ rowNumber, message: 'Fila de trade con fecha, cantidad o precio inválido' });
+        return;
+      }
+
+      rows.push({
+        rowNumber,
+        date,
+        type,
+        ticker: String(record.Symbol).trim(),
+        assetType: IBKR_ASSET_CLASSES[String(record.AssetClass || '').toUpperCase()] || defaultAssetType,
+        market: String(record.ListingExchange || record.Exchange || '').trim(),
+        units: Math.abs(quantity),
+        price: parseNumber(record.TradePrice),
+        commission: Math.abs(parseNumber(record.IBCommission) || 0),
+        currency: String(record.CurrencyPrimary || record.Currency || 'USD').trim(),
+        externalId: String(record.TradeID || record.TransactionID || '').trim() || undefined
+      });
+      return;
+    }
+
+    // Cash Transactions: solo depósitos y retiros
+    if (!/deposit|withdraw/i.test(String(record.Type || ''))) return;
+
+    const amount = parseNumber(record.Amount);
+    const date = normalizeDate(record['Date/Time'] || record.SettleDate || record.Date);
+
+    if (!date || isNaN(amount) || amount === 0) {
+      errors.push({ rowNumber, message: 'Movimiento de efectivo con fecha o monto inválido' });
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      date,
+      type: amount > 0 ? 'cash_income' : 'cash_expense',
+      units: Math.abs(amount),
+      price: 1,
+      commission: 0,
+      currency: String(record.CurrencyPrimary || record.Currency || 'USD').trim(),
+      externalId: String(record.TransactionID || '').trim() || undefined
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Parsea la hoja "Cash Operations" del extracto XLSX de XTB.
+ * Las unidades y el precio se leen del comentario ("OPEN BUY 5 @ 172.50").
+ *
+ * @param {Object.<string, Array<Array<*>>>} sheets - Hojas leídas
+ * @param {Object} options - Opciones
+ * @param {string} options.currency - Moneda de la cuenta XTB
+ * @param {string} [options.defaultAssetType='stock'] - assetType para las compras
+ * @returns {{rows: Array<Object>, errors: Array<{rowNumber: number, message: string}>}}
+ */
+function parseXtbStatement(sheets, options = {}) {
+  const { currency = 'USD', defaultAssetType = 'stock' } = options;
+  const sheetName = Object.keys(sheets).find(name => /cash operations/i.test(name)) || Object.keys(sheets)[0];
+  const rawRows = sheets[sheetName] || [];
+  const rows = [];
+  const errors = [];
+
+  const headerIndex = findHeaderRow(rawRows, ['Type', 'Time', 'Comment', 'Amount']);
+  if (headerIndex === -1) {
+    errors.push({ rowNumber: 0, message: 'No se encontró la tabla de Cash Operations de XTB' });
+    return { rows, errors };
+  }
+
+  const headers = rawRows[headerIndex].map(c => String(c).trim());
+
+  for (let i = headerIndex + 1; i < rawRows.length; i++) {
+    const cells = rawRows[i];
+    const rowNumber = i + 1;
+    if (isEmptyRow(cells)) continue;
+
+    const record = toRecord(headers, cells);
+    const operation = String(record.Type || '').toLowerCase();
+    const date = normalizeDate(record.Time);
+    const amount = parseNumber(record.Amount);
+
+    if (!operation || operation === 'total') continue;
+
+    if (!date || isNaN(amount)) {
+      errors.push({ rowNumber, message: 'Operación con fecha o monto inválido' });
+      continue;
+    }
+
+    const externalId = String(record.ID || '').trim() || undefined;
+
+    if (operation.includes('purchase') || operation.includes('sale')) {
+      const match = String(record.Comment || '').match(/(\d+(?:[.,]\d+)?)(?:\/\d+(?:[.,]\d+)?)?\s*@\s*(\d+(?:[.,]\d+)?)/);
+      if (!match) {
+        errors.push({ rowNumber, message: 'No se pudieron leer unidades y precio del comentario' });
+        continue;
+      }
+
+      rows.push({
+        rowNumber,
+        date,
+        type: operation.includes('purchase') ? 'buy' : 'sell',
+        ticker: String(record.Symbol || '').trim().replace(/\.US$/i, ''),
+        assetType: defaultAssetType,
+        market: '',
+        units: parseNumber(match[1]),
+        price: parseNumber(match[2]),
+        commission: 0,
+        currency,
+        externalId
+      });
+    } else if (operation.includes('deposit') || operation.includes('withdrawal')) {
+      rows.push({
+        rowNumber,
+        date,
+        type: amount >= 0 ? 'cash_income' : 'cash_expense',
+        units: Math.abs(amount),
+        price: 1,
+        commission: 0,
+        currency,
+        externalId
+      });
+    }
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Resuelve el tipo de transacción de un CSV genérico
+ *
+ * @param {*} value - Valor de la columna tipo
+ * @returns {string|null}
+ */
+function resolveGenericType(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  for (const [type, aliases] of Object.entries(GENERIC_TYPE_ALIASES)) {
+    if (aliases.includes(normalized)) return type;
+  }
+  return null;
+}
+
+/**
+ * Parsea un CSV/XLSX genérico usando un mapeo de columnas
+ *
+ * @param {Object.<string, Array<Array<*>>>} sheets - Hojas leídas
+ * @param {Object} [options] - Opciones
+ * @param {Object.<string, string>} [options.columnMapping] - Campo normalizado -> encabezado
+ * @param {'DMY' | 'MDY'} [options.dateFormat='DMY'] - Orden de fechas con barras
+ * @param {string} [options.currency='USD'] - Moneda si no hay columna de moneda
+ * @param {string} [options.defaultAssetType='stock'] - assetType si no hay columna
+ * @returns {{rows: Array<Object>, errors: Array<{rowNumber: number, message: string}>}}
+ */
+function parseGeneric(sheets, options = {}) {
+  const {
+    columnMapping = {},
+    dateFormat = 'DMY',
+    currency = 'USD',
+    defaultAssetType = 'stock'
+  } = options;
+  const mapping = { ...DEFAULT_GENERIC_MAPPING, ...columnMapping };
+  const rawRows = Object.values(sheets)[0] || [];
+  const rows = [];
+  const errors = [];
+
+  const headerIndex = findHeaderRow(rawRows, [mapping.date, mapping.type]);
+  if (headerIndex === -1) {
+    errors.push({ rowNumber: 0, message: `No se encontraron las columnas "${mapping.date}" y "${mapping.type}"` });
+    return { rows, errors };
+  }
+
+  const headers = rawRows[headerIndex].map(c => String(c).trim());
+  const get = (record, field) => (mapping[field] ? record[mapping[field]] : undefined);
+
+  for (let i = headerIndex + 1; i < rawRows.length; i++) {
+    const cells = rawRows[i];
+    const rowNumber = i + 1;
+    if (isEmptyRow(cells)) continue;
+
+    const record = toRecord(headers, cells);
+    const type = resolveGenericType(get(record, 'type'));
+    const date = normalizeDate(get(record, 'date'), dateFormat);
+    const rowCurrency = String(get(record, 'currency') || currency).trim().toUpperCase();
+
+    if (!type) {
+      errors.push({ rowNumber, message: `Tipo de transacción no reconocido: ${get(record, 'type')}` });
+      continue;
+    }
+    if (!date) {
+      errors.push({ rowNumber, message: `Fecha inválida: ${get(record, 'date')}` });
+      continue;
+    }
+
+    if (type === 'cash_income' || type === 'cash_expense') {
+      const amount = parseNumber(get(record, 'amount') ?? get(record, 'units'));
+      if (isNaN(amount) || amount === 0) {
+        errors.push({ rowNumber, message: 'Monto de efectivo inválido' });
+        continue;
+      }
+      rows.push({
+        rowNumber,
+        date,
+        type,
+        units: Math.abs(amount),
+        price: 1,
+        commission: 0,
+        currency: rowCurrency,
+        externalId: String(get(record, 'externalId') || '').trim() || undefined,
+        fxRate: parseFxRate(get(record, 'fxRate'))
+      });
+      continue;
+    }
+
+    const units = parseNumber(get(record, 'units'));
+    const price = parseNumber(get(record, 'price'));
+    if (isNaN(units) || isNaN(price)) {
+      errors.push({ rowNumber, message: 'Unidades o precio inválidos' });
+      continue;
+    }
+
+    rows.push({
+      rowNumber,
+      date,
+      type,
+      ticker: String(get(record, 'ticker') || '').trim(),
+      assetType: String(get(record, 'assetType') || defaultAssetType).trim().toLowerCase(),
+      market: String(get(record, 'market') || '').trim(),
+      units: Math.abs(units),
+      price,
+      commission: Math.abs(parseNumber(get(record, 'commission')) || 0),
+      currency: rowCurrency,
+      externalId: String(get(record, 'externalId') || '').trim() || undefined,
+      fxRate: parseFxRate(get(record, 'fxRate'))
+    });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Parsea un archivo según su formato
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {import('./types').ImportFormat} format - Formato del archivo
+ * @param {Object} [options] - Opciones del parser
+ * @returns {{rows: Array<Object>, errors: Array<{rowNumber: number, message: string}>}}
+ */
+function parseStatement(buffer, format, options = {}) {
+  const sheets = readWorkbookRows(buffer);
+
+  switch (format) {
+    case 'ibkr':
+      return parseIbkrFlex(sheets, options);
+    case 'xtb':
+      return parseXtbStatement(sheets, options);
+    case 'generic':
+      return parseGeneric(sheets, options);
+    default:
+      throw new Error(`Formato no soportado: ${format}`);
+  }
+}
+
+module.exports = {
+  readWorkbookRows,
+  parseNumber,
+  parseFxRate,
+  normalizeDate,
+  parseIbkrFlex,
+  parseXtbStatement,
+  parseGeneric,
+  parseStatement
+};
@@ -0,0 +1,223 @@
+/**
+ * Transaction Import Preview Builder
+ *
+ * Construye el dry-run de una importación: detecta duplicados (contra las
+ * transacciones existentes y dentro del mismo archivo), valida cada fila y
+ * simula el efecto en balances y unidades disponibles en orden cronológico.
+ *
+ * @module services/transactionImport/previewBuilder
+ * @see docs/stories/56.story.md
+ */
+
+const { ROW_STATUS } = require('./types');
+
+/** Orden de ejecución dentro del mismo día */
+const TYPE_ORDER = {
+  cash_income: 0,
+  buy: 1,
+  sell: 2,
+  cash_expense: 3
+};
+
+/**
+ * Redondea para comparar montos sin ruido de punto flotante
+ * @param {number} value
+ * @param {number} [decimals=6]
+ * @returns {number}
+ */
+const round = (value, decimals = 6) => Number(Math.round(Number(value + 'e' + decimals)) + 'e-' + decimals);
+
+/**
+ * Genera la clave de duplicado de una fila importada o una transacción existente
+ *
+ * @param {Object} tx - Fila o transacción
+ * @param {string} tx.date - Fecha
+ * @param {string} tx.type - Tipo
+ * @param {string} [tx.ticker] - Ticker (filas importadas)
+ * @param {string} [tx.assetName] - Nombre del asset (transacciones existentes)
+ * @param {number} [tx.units] - Unidades (filas importadas)
+ * @param {number} [tx.amount] - Cantidad (transacciones existentes)
+ * @param {number} tx.price - Precio
+ * @returns {string}
+ */
+function buildDuplicateKey(tx) {
+  const isCash = tx.type === 'cash_income' || tx.type === 'cash_expense';
+  const symbol = isCash ? '' : String(tx.ticker ?? tx.assetName ?? '').toUpperCase();
+  const units = tx.units ?? tx.amount ?? 0;
+  const price = isCash ? 1 : tx.price || 0;
+  return `${tx.date}|${tx.type}|${symbol}|${round(units)}|${round(price, 4)}`;
+}
+
+/**
+ * Calcula el efecto de una fila en el balance de su moneda
+ *
+ * @param {import('./types').ImportRow} row
+ * @returns {number}
+ */
+function getBalanceEffect(row) {
+  switch (row.type) {
+    case 'buy':
+      return -round(row.units * row.price + row.commission);
+    case 'sell':
+      return round(row.units * row.price - row.commission);
+    case 'cash_income':
+      return round(row.units);
+    case 'cash_expense':
+      return -round(row.units);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Valida los campos de una fila
+ *
+ * @param {import('./types').ImportRow} row
+ * @param {string} today - Fecha actual (YYYY-MM-DD)
+ * @returns {string[]} Problemas encontrados
+ */
+function validateRow(row, today) {
+  const issues = [];
+
+  if (row.date > today) {
+    issues.push('La fecha es futura');
+  }
+  if (!(row.units > 0)) {
+    issues.push('La cantidad debe ser mayor a 0');
+  }
+  if (row.type === 'buy' || row.type === 'sell') {
+    if (!row.ticker) issues.push('Falta el ticker');
+    if (!(row.price > 0)) issues.push('El precio debe ser mayor a 0');
+  }
+  if (!row.currency) {
+    issues.push('Falta la moneda');
+  }
+
+  return issues;
+}
+
+/**
+ * Construye el preview de importación
+ *
+ * @param {Array<import('./types').ImportRow>} rows - Filas parseadas
+ * @param {Object} context - Estado actual de la cuenta
+ * @param {Array<Object>} context.existingTransactions - Transacciones de la cuenta
+ * @param {Object.<string, number>} context.balances - Balances actuales por moneda
+ * @param {Array<{name: string, units: number, acquisitionDate: string}>} context.activeAssets - Lotes activos
+ * @param {string} [context.today] - Fecha actual (YYYY-MM-DD)
+ * @param {Map<number, number|null>} [context.dollarPrices] - Tipo de cambio por rowNumber;
+ *   las filas sin tasa quedan inválidas
+ * @returns {{rows: Array<import('./types').PreviewRow>, summary: Object}}
+ */
+function buildImportPreview(rows, context) {
+  const {
+    existingTransactions = [],
+    balances = {},
+    activeAssets = [],
+    dollarPrices,
+    today = new Date().toISOString().split('T')[0]
+  } = context;
+
+  const existingKeys = new Set(existingTransactions.map(buildDuplicateKey));
+  const seenKeys = new Set();
+  const seenExternalIds = new Set();
+
+  const projectedBalances = { ...balances };
+  const balanceEffects = {};
+
+  // Lotes existentes: unidades disponibles por ticker con su fecha de adquisición
+  const lots = activeAssets.map(a => ({
+    ticker: String(a.name).toUpperCase(),
+    units: Number(a.units) || 0,
+    date: a.acquisitionDate || ''
+  }));
+  const soldByTicker = {};
+
+  const sorted = [...rows].sort((a, b) =>
+    a.date.localeCompare(b.date) ||
+    (TYPE_ORDER[a.type] - TYPE_ORDER[b.type]) ||
+    (a.rowNumber - b.rowNumber)
+  );
+
+  const previewRows = sorted.map(row => {
+    const issues = validateRow(row, today);
+    const dollarPriceToDate = dollarPrices ? dollarPrices.get(row.rowNumber) || null : undefined;
+    if (dollarPrices && !dollarPriceToDate) {
+      issues.push(`No hay tipo de cambio para ${row.date}`);
+    }
+    const key = buildDuplicateKey(row);
+    let status = issues.length > 0 ? ROW_STATUS.INVALID : ROW_STATUS.VALID;
+
+    if (status === ROW_STATUS.VALID) {
+      if (existingKeys.has(key)) {
+        status = ROW_STATUS.DUPLICATE;
+        issues.push('Ya existe una transacción igual en la cuenta');
+      } else if (seenKeys.has(key) || (row.externalId && seenExternalIds.has(row.externalId))) {
+        status = ROW_STATUS.DUPLICATE;
+        issues.push('Fila repetida dentro del archivo');
+      }
+    }
+
+    const balanceEffect = getBalanceEffect(row);
+
+    if (status === ROW_STATUS.VALID) {
+      const ticker = String(row.ticker || '').toUpperCase();
+      const currentBalance = projectedBalances[row.currency] || 0;
+
+      if (row.type === 'sell') {
+        const heldUnits = lots
+          .filter(l => l.ticker === ticker && l.date <= row.date)
+          .reduce((sum, l) => sum + l.units, 0);
+        const available = round(heldUnits - (soldByTicker[ticker] || 0));
+        if (row.units > available) {
+          status = ROW_STATUS.INVALID;
+          issues.push(`Unidades insuficientes al ${row.date}. Disponibles: ${available}`);
+        }
+      } else if (balanceEffect < 0 && currentBalance + balanceEffect < -1e-8) {
+        status = ROW_STATUS.INVALID;
+        issues.push(`Saldo insuficiente. Disponible: ${round(currentBalance, 2)} ${row.currency}`);
+      }
+    }
+
+    if (status === ROW_STATUS.VALID) {
+      const ticker = String(row.ticker || '').toUpperCase();
+      seenKeys.add(key);
+      if (row.externalId) seenExternalIds.add(row.externalId);
+
+      projectedBalances[row.currency] = round((projectedBalances[row.currency] || 0) + balanceEffect, 8);
+      balanceEffects[row.currency] = round((balanceEffects[row.currency] || 0) + balanceEffect, 8);
+
+      if (row.type === 'buy') {
+        lots.push({ ticker, units: row.units, date: row.date });
+      } else if (row.type === 'sell') {
+        soldByTicker[ticker] = round((soldByTicker[ticker] || 0) + row.units);
+      }
+    }
+
+    return dollarPrices
+      ? { row, status, issues, balanceEffect, dollarPriceToDate }
+      : { row, status, issues, balanceEffect };
+  });
+
+  const count = (status) => previewRows.filter(r => r.status === status).length;
+
+  return {
+    rows: previewRows,
+    summary: {
+      totalRows: previewRows.length,
+      validRows: count(ROW_STATUS.VALID),
+      duplicateRows: count(ROW_STATUS.DUPLICATE),
+      invalidRows: count(ROW_STATUS.INVALID),
+      balanceEffects,
+      currentBalances: { ...balances },
+      projectedBalances
+    }
+  };
+}
+
+module.exports = {
+  buildDuplicateKey,
+  getBalanceEffect,
+  validateRow,
+  buildImportPreview
+};
@@ -0,0 +1,137 @@
+/**
+ * Transaction Import Types
+ *
+ * Tipos y constantes para la importación de extractos de brokers
+ * (IBKR Flex CSV, XTB XLSX y CSV genérico con mapeo de columnas).
+ *
+ * @module services/transactionImport/types
+ * @see docs/stories/56.story.md
+ */
+
+/**
+ * Formato de archivo soportado
+ * @typedef {'ibkr' | 'xtb' | 'generic'} ImportFormat
+ */
+
+/**
+ * Fila normalizada lista para previsualizar o confirmar
+ * @typedef {Object} ImportRow
+ * @property {number} rowNumber - Número de fila en el archivo (1-indexed, para referencia del usuario)
+ * @property {string} date - Fecha de la operación (YYYY-MM-DD)
+ * @property {'buy' | 'sell' | 'cash_income' | 'cash_expense'} type - Tipo de transacción
+ * @property {string} [ticker] - Símbolo del activo (solo buy/sell)
+ * @property {string} [assetType] - Tipo de activo (stock, etf, crypto)
+ * @property {string} [market] - Mercado/exchange
+ * @property {number} units - Unidades (buy/sell) o monto (cash)
+ * @property {number} price - Precio por unidad (1 para cash)
+ * @property {number} commission - Comisión (positiva)
+ * @property {string} currency - Moneda de la operación
+ * @property {string} [externalId] - ID de la operación en el broker
+ * @property {number} [fxRate] - Tipo de cambio de la fila (unidades de la moneda de
+ *   adquisición por USD, como dollarPriceToDate); sin columna se toma de fxHistory
+ */
+
+/**
+ * Fila del preview con su estado
+ * @typedef {Object} PreviewRow
+ * @property {ImportRow} row - Fila normalizada
+ * @property {'valid' | 'duplicate' | 'invalid'} status - Estado de la fila
+ * @property {string[]} issues - Motivos de duplicado o invalidez
+ * @property {number} balanceEffect - Efecto en el balance de la moneda
+ * @property {number|null} [dollarPriceToDate] - Tipo de cambio resuelto para la fecha de la fila
+ */
+
+/**
+ * Registro de una confirmación (colección transactionImports). Guarda el
+ * estado previo de la cuenta para revertir la importación si una fila falla
+ * @typedef {Object} ImportRecord
+ * @property {string} userId - Dueño de la cuenta
+ * @property {string} portfolioAccountId - Cuenta destino
+ * @property {ImportFormat} format - Formato del archivo
+ * @property {'running' | 'completed' | 'rolled_back' | 'rollback_failed'} status - Estado
+ * @property {number} rowCount - Filas a confirmar
+ * @property {Object.<string, number>} balancesBefore - Balances antes de importar
+ * @property {Array<{id: string, name: string, units: number, unitValue: number}>} lotsBefore -
+ *   Lotes activos de la cuenta antes de importar
+ * @property {number} [failedRow] - rowNumber de la fila que falló
+ * @property {string} [error] - Motivo del fallo
+ */
+
+/** Formatos soportados */
+const IMPORT_FORMATS = ['ibkr', 'xtb', 'generic'];
+
+/** Estados de fila */
+const ROW_STATUS = {
+  VALID: 'valid',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid'
+};
+
+/** Estados de una confirmación (ImportRecord.status) */
+const IMPORT_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  ROLLED_BACK: 'rolled_back',
+  ROLLBACK_FAILED: 'rollback_failed'
+};
+
+/** Límites de importación */
+const IMPORT_LIMITS = {
+  /** Máximo de filas por archivo */
+  MAX_ROWS: 500,
+  /**
+   * Máximo de filas confirmadas por llamada. Cada fila ejecuta un handler,
+   * así que archivos grandes se confirman en varias llamadas; las filas ya
+   * importadas aparecen como duplicadas en la siguiente.
+   */
+  MAX_COMMIT_ROWS: 50,
+  /** Operaciones por batch al revertir una importación (Firestore admite 500) */
+  ROLLBACK_BATCH_SIZE: 450,
+  /** Tamaño máximo del archivo en base64 (el payload de onCall admite 10MB) */
+  MAX_FILE_BYTES: 5 * 1024 * 1024
+};
+
+/**
+ * Mapeo por defecto para CSV genérico (campo normalizado -> encabezado)
+ */
+const DEFAULT_GENERIC_MAPPING = {
+  date: 'date',
+  type: 'type',
+  ticker: 'ticker',
+  assetType: 'assetType',
+  units: 'units',
+  price: 'price',
+  commission: 'commission',
+  currency: 'currency',
+  amount: 'amount',
+  market: 'market',
+  externalId: 'id',
+  fxRate: 'fxRate'
+};
+
+/**
+ * Valores aceptados para la columna de tipo en CSV genérico
+ */
+const GENERIC_TYPE_ALIASES = {
+  buy: ['buy', 'compra', 'bot'],
+  sell: ['sell', 'venta', 'sld'],
+  cash_income: ['deposit', 'deposito', 'depósito', 'cash_income', 'ingreso'],
+  cash_expense: ['withdrawal', 'retiro', 'cash_expense', 'egreso']
+};
+
+/** Mapeo de AssetClass de IBKR a assetType interno */
+const IBKR_ASSET_CLASSES = {
+  STK: 'stock',
+  ETF: 'etf',
+  CRYPTO: 'crypto'
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  ROW_STATUS,
+  IMPORT_STATUS,
+  IMPORT_LIMITS,
+  DEFAULT_GENERIC_MAPPING,
+  GENERIC_TYPE_ALIASES,
+  IBKR_ASSET_CLASSES
+};
@@ -13,6 +13,7 @@
  * - sellPartialAssetsFIFO
  * - addCashTransaction
  * - updateStockSector
+ * - importTransactions
  * 
  * @module unified/portfolioOperations
  * @see docs/stories/56.story.md
@@ -24,6 +25,7 @@ const { getRateLimitConfig } = require('../../config/rateLimits');
 
 // Importar handlers individuales
 const assetHandlers = require('../handlers/assetHandlers');
+const importHandlers = require('../handlers/importHandlers');
 
 // ============================================================================
 // CONFIGURACIÓN
@@ -52,6 +54,7 @@ const ACTION_HANDLERS = {
   sellPartialAssetsFIFO: assetHandlers.sellPartialAssetsFIFO,
   addCashTransaction: assetHandlers.addCashTransaction,
   updateStockSector: assetHandlers.updateStockSector,
+  importTransactions: importHandlers.importTransactions,
 };
 
 /**
@@ -20,6 +20,10 @@
  * - getPortfolioDistribution
  * - getAvailableSectors
  * - getConsolidatedDataStatus (COST-OPT-001: Diagnóstico de datos)
+ * - exportPortfolioData (CSV, XLSX o JSON)
+ * - getTaxReport (reporte fiscal anual, exportable a CSV)
+ * - getDividendCalendar (próximos dividendos, ingreso proyectado y recibidos por mes)
+ * - getRebalancePlan (desvío contra la asignación objetivo y órdenes sugeridas)
  * 
  * @module unified/queryOperations
  * @see docs/stories/56.story.md
@@ -64,6 +68,10 @@ const ACTION_HANDLERS = {
   // COST-OPT-001: Nuevas acciones para rendimientos optimizados (V2)
   getHistoricalReturnsOptimized: queryHandlers.getHistoricalReturnsOptimized,
   getConsolidatedDataStatus: queryHandlers.getConsolidatedDataStatus,
+  exportPortfolioData: queryHandlers.exportPortfolioData,
+  getTaxReport: queryHandlers.getTaxReport,
+  getDividendCalendar: queryHandlers.getDividendCalendar,
+  getRebalancePlan: queryHandlers.getRebalancePlan,
 };
 
 /**
@@ -11,6 +11,16 @@
  * - updateDefaultCurrency
  * - updateUserCountry
  * - updateUserDisplayName
+ * - issueApiKey (solo admin)
+ * - rotateApiKey (solo admin)
+ * - revokeApiKey (solo admin)
+ * - recordCorporateAction (solo admin: split, reverse split, rename, spin-off)
+ * - backfillFxHistory (solo admin: histórico de tipos de cambio)
+ * - importRiskFreeRates (solo admin: serie de tasas libres de riesgo por moneda)
+ * - createAlert, updateAlert, deleteAlert, getAlerts (alertas de precio y portafolio)
+ * - createWebhook, updateWebhook, rotateWebhookSecret, deleteWebhook, getWebhooks (webhooks salientes)
+ * - setTargetAllocation, getTargetAllocations, deleteTargetAllocation (pesos objetivo para rebalanceo)
+ * - setBenchmarkPreference, getBenchmarkPreferences, deleteBenchmarkPreference (benchmark de métricas de riesgo y atribución)
  * 
  * @module unified/settingsOperations
  * @see docs/stories/56.story.md
@@ -22,6 +32,14 @@ const { getRateLimitConfig } = require('../../config/rateLimits');
 
 // Importar handlers individuales
 const settingsHandlers = require('../handlers/settingsHandlers');
+const apiKeyHandlers = require('../handlers/apiKeyHandlers');
+const corporateActionHandlers = require('../handlers/corporateActionHandlers');
+const fxHistoryHandlers = require('../handlers/fxHistoryHandlers');
+const riskFreeRateHandlers = require('../handlers/riskFreeRateHandlers');
+const alertHandlers = require('../handlers/alertHandlers');
+const webhookHandlers = require('../handlers/webhookHandlers');
+const targetAllocationHandlers = require('../handlers/targetAllocationHandlers');
+const benchmarkPreferenceHandlers = require('../handlers/benchmarkPreferenceHandlers');
 
 // ============================================================================
 // CONFIGURACIÓN
@@ -48,6 +66,27 @@ const ACTION_HANDLERS = {
   updateDefaultCurrency: settingsHandlers.updateDefaultCurrency,
   updateUserCountry: settingsHandlers.updateUserCountry,
   updateUserDisplayName: settingsHandlers.updateUserDisplayName,
+  issueApiKey: apiKeyHandlers.issueApiKey,
+  rotateApiKey: apiKeyHandlers.rotateApiKey,
+  revokeApiKey: apiKeyHandlers.revokeApiKey,
+  recordCorporateAction: corporateActionHandlers.recordCorporateAction,
+  backfillFxHistory: fxHistoryHandlers.backfillFxHistory,
+  importRiskFreeRates: riskFreeRateHandlers.importRiskFreeRates,
+  createAlert: alertHandlers.createAlert,
+  updateAlert: alertHandlers.updateAlert,
+  deleteAlert: alertHandlers.deleteAlert,
+  getAlerts: alertHandlers.getAlerts,
+  createWebhook: webhookHandlers.createWebhook,
+  updateWebhook: webhookHandlers.updateWebhook,
+  rotateWebhookSecret: webhookHandlers.rotateWebhookSecret,
+  deleteWebhook: webhookHandlers.deleteWebhook,
+  getWebhooks: webhookHandlers.getWebhooks,
+  setTargetAllocation: targetAllocationHandlers.setTargetAllocation,
+  getTargetAllocations: targetAllocationHandlers.getTargetAllocations,
+  deleteTargetAllocation: targetAllocationHandlers.deleteTargetAllocation,
+  setBenchmarkPreference: benchmarkPreferenceHandlers.setBenchmarkPreference,
+  getBenchmarkPreferences: benchmarkPreferenceHandlers.getBenchmarkPreferences,
+  deleteBenchmarkPreference: benchmarkPreferenceHandlers.deleteBenchmarkPreference,
 };
 
 /**
@@ -0,0 +1,170 @@
+/**
+ * Watchlist Operations - Router unificado para listas de seguimiento
+ * 
+ * Listas con nombre por usuario con tickers que no necesitan estar en
+ * `assets`. Sus precios se refrescan en unifiedMarketDataUpdate junto con
+ * los del portafolio.
+ * 
+ * Acciones disponibles:
+ * - createWatchlist
+ * - updateWatchlist
+ * - deleteWatchlist
+ * - getWatchlists
+ * - getWatchlistQuotes (precio, variación del día, rango de 52 semanas y titulares)
+ * 
+ * @module unified/watchlistOperations
+ * @see services/watchlists
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { rateLimiter } = require('../../utils/rateLimiter');
+const { getRateLimitConfig } = require('../../config/rateLimits');
+
+// Importar handlers individuales
+const watchlistHandlers = require('../handlers/watchlistHandlers');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+/**
+ * Configuración de Cloud Function
+ * 
+ * Timeout: 60s (getWatchlistQuotes consulta histórico y noticias de hasta 50 tickers)
+ */
+const FUNCTION_CONFIG = {
+  cors: true,
+  memory: "256MiB",
+  timeoutSeconds: 60,
+  maxInstances: 10,
+  minInstances: 0,
+};
+
+/**
+ * Mapeo de acciones a handlers
+ */
+const ACTION_HANDLERS = {
+  createWatchlist: watchlistHandlers.createWatchlist,
+  updateWatchlist: watchlistHandlers.updateWatchlist,
+  deleteWatchlist: watchlistHandlers.deleteWatchlist,
+  getWatchlists: watchlistHandlers.getWatchlists,
+  getWatchlistQuotes: watchlistHandlers.getWatchlistQuotes,
+};
+
+/**
+ * Lista de acciones válidas para mensajes de error
+ */
+const VALID_ACTIONS = Object.keys(ACTION_HANDLERS);
+
+// ============================================================================
+// ROUTER PRINCIPAL
+// ============================================================================
+
+/**
+ * Router de operaciones de listas de seguimiento
+ * 
+ * @example
+ * // Llamada desde frontend
+ * const watchlistOperations = httpsCallable(functions, 'watchlistOperations');
+ * const result = await watchlistOperations({
+ *   action: 'createWatchlist',
+ *   payload: { name: 'Semiconductores', symbols: ['NVDA', 'AMD', 'TSM'] }
+ * });
+ */
+const watchlistOperations = onCall(
+  FUNCTION_CONFIG,
+  async (request) => {
+    const { auth, data } = request;
+    const startTime = Date.now();
+    
+    // 1. Validar autenticación
+    if (!auth) {
+      throw new HttpsError('unauthenticated', 'Autenticación requerida');
+    }
+
+    const { action, payload } = data || {};
+
+    // 2. Validar que se especificó una acción
+    if (!action || typeof action !== 'string') {
+      throw new HttpsError(
+        'invalid-argument', 
+        'Se requiere especificar una acción'
+      );
+    }
+
+    // 3. Validar que la acción existe
+    const handler = ACTION_HANDLERS[action];
+    if (!handler) {
+      throw new HttpsError(
+        'invalid-argument', 
+        `Acción no válida: ${action}. Acciones permitidas: ${VALID_ACTIONS.join(', ')}`
+      );
+    }
+
+    // 4. Aplicar rate limiting POR ACCIÓN
+    const rateLimitConfig = getRateLimitConfig(action);
+    const rateLimitKey = `watchlistOperations:${action}`;
+    
+    let rateLimitInfo;
+    try {
+      rateLimitInfo = await rateLimiter.checkLimit(
+        auth.uid, 
+        rateLimitKey, 
+        rateLimitConfig
+      );
+    } catch (rateLimitError) {
+      if (rateLimitError.code === 'resource-exhausted') {
+        console.warn(`[watchlistOperations][${action}] Rate limit exceeded for user: ${auth.uid}`);
+        throw rateLimitError;
+      }
+      console.error(`[watchlistOperations][${action}] Rate limiter error:`, rateLimitError);
+    }
+
+    // 5. Log de inicio
+    console.log(`[watchlistOperations][${action}] Start - userId: ${auth.uid}`);
+
+    // 6. Ejecutar handler
+    try {
+      const context = {
+        auth,
+        rawRequest: request.rawRequest,
+      };
+      
+      const result = await handler(context, payload);
+      
+      const duration = Date.now() - startTime;
+      console.log(`[watchlistOperations][${action}] Success - userId: ${auth.uid}, duration: ${duration}ms`);
+      
+      if (result && typeof result === 'object' && !Array.isArray(result) && rateLimitInfo) {
+        return {
+          ...result,
+          _rateLimitInfo: rateLimitInfo,
+        };
+      }
+      
+      return result;
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      console.error(`[watchlistOperations][${action}] Error - userId: ${auth.uid}, duration: ${duration}ms`, {
+        errorCode: error.code,
+        errorMessage: error.message,
+      });
+      
+      if (error.code?.startsWith('functions/') || error.httpErrorCode) {
+        throw error;
+      }
+      
+      throw new HttpsError('internal', 'Error procesando la operación');
+    }
+  }
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = { 
+  watchlistOperations,
+  VALID_ACTIONS,
+};
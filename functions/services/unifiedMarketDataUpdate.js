@@ -1,10 +1,20 @@
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const admin = require('firebase-admin');
-const axios = require('axios');
 const { calculateAccountPerformance, convertCurrency } = require('../utils/portfolioCalculations');
 const { calculatePortfolioRisk } = require('./calculatePortfolioRisk');
 const { invalidatePerformanceCacheBatch } = require('./historicalReturnsService');
 const { DateTime } = require('luxon');
+const { applyDueCorporateActions, getPerformanceAdjustments } = require('./corporateActions');
+const { recordRates } = require('./fxHistory');
+const { evaluateAlerts } = require('./alerts');
+const { emitWebhookEvent, summarizeByCurrency, WEBHOOK_EVENTS, PERFORMANCE_FIELDS } = require('./webhooks');
+const {
+  getWatchlistSymbols,
+  getWatchlistAssetType,
+  planWatchlistPrices,
+  WATCHLIST_PRICE_SOURCE
+} = require('./watchlists');
+const marketDataService = require('./marketData');
 
 // Importar generador de logos
 const { generateLogoUrl } = require('../utils/logoGenerator');
@@ -12,8 +22,6 @@ const { generateLogoUrl } = require('../utils/logoGenerator');
 // Importar logger estructurado (SCALE-CORE-002)
 const { StructuredLogger } = require('../utils/logger');
 
-const API_BASE_URL = 'https://dmn46d7xas3rvio6tugd2vzs2q0hxbmb.lambda-url.us-east-1.on.aws/v1';
-
 // Flag para habilitar logs detallados (puede causar mucho ruido en producción)
 const ENABLE_DETAILED_LOGS = process.env.ENABLE_DETAILED_LOGS === 'true';
 
@@ -119,56 +127,30 @@ function isInClosingWindow(closeHour = NYSE_CLOSE_HOUR) {
 }
 
 /**
- * 🚀 OPTIMIZACIÓN: Función unificada que obtiene todos los datos de mercado en una sola llamada
- * Combina monedas y símbolos de activos para minimizar llamadas a la API Lambda
+ * Obtiene tasas de cambio y cotizaciones de activos a través de la capa de
+ * proveedores (services/marketData): finance-query con failover a Yahoo
+ * Finance y Google Finance
+ *
+ * @param {string[]} currencyCodes - Códigos de monedas activas
+ * @param {string[]} assetSymbols - Símbolos de currentPrices
+ * @param {Object.<string, string>} [assetExchanges] - Código de bolsa por símbolo
  */
-async function getAllMarketDataBatch(currencyCodes, assetSymbols) {
+async function getAllMarketDataBatch(currencyCodes, assetSymbols, assetExchanges = {}) {
   try {
-    // Preparar símbolos de monedas (agregar %3DX para codificación URL)
-    const currencySymbols = currencyCodes.map(code => `${code}%3DX`);
-    
-    // Combinar todos los símbolos en una sola consulta
-    const allSymbols = [...currencySymbols, ...assetSymbols];
-    
-    // Dividir en lotes más grandes (100 símbolos por llamada para optimizar)
-    const batchSize = 100;
-    const results = {
-      currencies: {},
-      assets: new Map()
-    };
-    
-    logInfo(`📡 Consultando ${allSymbols.length} símbolos en ${Math.ceil(allSymbols.length / batchSize)} lotes optimizados`);
-    
-    for (let i = 0; i < allSymbols.length; i += batchSize) {
-      const symbolBatch = allSymbols.slice(i, i + batchSize);
-      const symbolsParam = symbolBatch.join(',');
-      
-      const url = `${API_BASE_URL}/market-quotes?symbols=${symbolsParam}`;
-      logDebug(`🔄 Lote ${Math.floor(i/batchSize) + 1}: ${symbolBatch.length} símbolos`);
-      
-      const { data } = await axios.get(url);
-      
-      if (Array.isArray(data)) {
-        data.forEach(item => {
-          if (item.symbol && item.regularMarketPrice) {
-            // Si es una moneda (termina en =X en la respuesta)
-            if (item.symbol.includes('=X')) {
-              const currencyCode = item.symbol.replace('=X', '');
-              if (currencyCodes.includes(currencyCode)) {
-                results.currencies[currencyCode] = item.regularMarketPrice;
-              }
-            } 
-            // Si es un activo normal
-            else if (assetSymbols.includes(item.symbol)) {
-              results.assets.set(item.symbol, item);
-            }
-          }
-        });
-      }
-    }
-    
-    logInfo(`✅ Datos obtenidos: ${Object.keys(results.currencies).length} monedas, ${results.assets.size} activos`);
-    return results;
+    logInfo(`📡 Consultando ${currencyCodes.length} monedas y ${assetSymbols.length} activos`);
+
+    const [fx, quotes] = await Promise.all([
+      marketDataService.getExchangeRates(currencyCodes),
+      marketDataService.getQuotes(assetSymbols, { exchanges: assetExchanges })
+    ]);
+
+    logInfo(`✅ Datos obtenidos: ${Object.keys(fx.rates).length} monedas, ${quotes.quotes.size} activos`, {
+      fxProviders: fx.servedBy,
+      quoteProviders: quotes.servedBy,
+      missingCurrencies: fx.missing,
+      missingAssets: quotes.missing.length
+    });
+    return { currencies: fx.rates, assets: quotes.quotes };
   } catch (error) {
     logError(`❌ Error al obtener datos de mercado en lote:`, error.message);
     return { currencies: {}, assets: new Map() };
@@ -177,6 +159,7 @@ async function getAllMarketDataBatch(currencyCodes, assetSymbols) {
 
 /**
  * Actualiza las tasas de cambio de monedas usando datos ya obtenidos
+ * y guarda las tasas del día en fxHistory
  */
 async function updateCurrencyRates(db, currencyRates) {
   logDebug('🔄 Actualizando tasas de cambio...');
@@ -186,6 +169,7 @@ async function updateCurrencyRates(db, currencyRates) {
   const batch = db.batch();
   let updatesCount = 0;
   let invalidCount = 0;
+  const validRates = {};
 
   const activeCurrencies = snapshot.docs.map(doc => ({
     code: doc.data().code,
@@ -207,6 +191,7 @@ async function updateCurrencyRates(db, currencyRates) {
       };
 
       batch.update(ref, updatedData);
+      validRates[code] = newRate;
       updatesCount++;
       
       // 🚀 OPTIMIZACIÓN: Solo log detallado si está habilitado
@@ -222,42 +207,123 @@ async function updateCurrencyRates(db, currencyRates) {
   if (updatesCount > 0) {
     await batch.commit();
     logInfo(`✅ ${updatesCount} tasas de cambio actualizadas${invalidCount > 0 ? ` (${invalidCount} inválidas)` : ''}`);
+
+    // Histórico diario (la última actualización del día queda como cierre)
+    try {
+      const today = DateTime.now().setZone('America/New_York').toISODate();
+      await recordRates(today, validRates);
+    } catch (fxHistoryError) {
+      logWarn('No se pudo guardar fxHistory (no crítico)', fxHistoryError.message);
+    }
   }
   
   return updatesCount;
 }
 
+/** Escrituras por batch (límite de Firestore: 500) */
+const WRITE_BATCH_SIZE = 450;
+
+/**
+ * Escritor que hace commit cada WRITE_BATCH_SIZE operaciones
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {{set: function, update: function, delete: function, commit: function(): Promise<number>}}
+ *   commit devuelve los batches confirmados
+ */
+function createBatchWriter(db) {
+  let batch = db.batch();
+  let count = 0;
+  let committed = 0;
+
+  const flushIfFull = async () => {
+    if (++count >= WRITE_BATCH_SIZE) {
+      await batch.commit();
+      committed++;
+      batch = db.batch();
+      count = 0;
+    }
+  };
+
+  return {
+    set: (ref, data) => {
+      batch.set(ref, data);
+      return flushIfFull();
+    },
+    update: (ref, data) => {
+      batch.update(ref, data);
+      return flushIfFull();
+    },
+    delete: (ref) => {
+      batch.delete(ref);
+      return flushIfFull();
+    },
+    async commit() {
+      if (count > 0) {
+        await batch.commit();
+        committed++;
+      }
+      return committed;
+    }
+  };
+}
+
+/** Campos de la cotización normalizada que se copian a currentPrices */
+const QUOTE_FIELDS = [
+  'change', 'percentChange', 'previousClose', 'currency', 'marketState',
+  'quoteType', 'exchange', 'fullExchangeName'
+];
+
 /**
  * Actualiza los precios actuales de los activos usando datos ya obtenidos
+ * (cotizaciones normalizadas de services/marketData). Los tickers de
+ * watchlists que aún no tienen documento en currentPrices se crean marcados
+ * con `source: 'watchlist'`, y los así marcados que ya ninguna lista
+ * incluye se eliminan. Las escrituras se reparten en batches de
+ * WRITE_BATCH_SIZE.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Map<string, Object>} assetQuotes - Cotizaciones por ticker
+ * @param {Object} [watchlistPlan] - Ver planWatchlistPrices
+ * @param {string[]} [watchlistPlan.newSymbols=[]] - Tickers de watchlists sin documento en currentPrices
+ * @param {string[]} [watchlistPlan.staleSymbols=[]] - Documentos de watchlists que ninguna lista incluye
  */
-async function updateCurrentPrices(db, assetQuotes) {
+async function updateCurrentPrices(db, assetQuotes, { newSymbols = [], staleSymbols = [] } = {}) {
   logDebug('🔄 Actualizando precios actuales...');
   
   const currentPricesRef = db.collection('currentPrices');
   const snapshot = await currentPricesRef.get();
-  const batch = db.batch();
+  const writer = createBatchWriter(db);
+  const stale = new Set(staleSymbols);
   let updatesCount = 0;
   let failedUpdates = 0;
+  let removedCount = 0;
 
-  snapshot.docs.forEach(doc => {
+  for (const doc of snapshot.docs) {
     const docData = doc.data();
     const symbol = docData.symbol;
+
+    // Solo existía por una watchlist que ya no lo incluye
+    if (stale.has(symbol) && docData.source === WATCHLIST_PRICE_SOURCE) {
+      await writer.delete(doc.ref);
+      removedCount++;
+      continue;
+    }
+
     const quote = assetQuotes.get(symbol);
     
-    if (quote && quote.regularMarketPrice) {
+    if (quote && quote.price) {
       const updatedData = {
         symbol: symbol,
-        price: quote.regularMarketPrice,
+        price: quote.price,
         lastUpdated: Date.now(),
-        change: quote.regularMarketChange,
-        percentChange: quote.regularMarketChangePercent,
-        previousClose: quote.regularMarketPreviousClose,
-        currency: quote.currency,
-        marketState: quote.marketState,
-        quoteType: quote.quoteType,
-        exchange: quote.exchange,
-        fullExchangeName: quote.fullExchangeName
+        priceProvider: quote.provider
       };
+
+      // Campos que el proveedor no informa conservan el valor anterior
+      QUOTE_FIELDS.forEach(key => {
+        if (quote[key] !== null && quote[key] !== undefined) {
+          updatedData[key] = quote[key];
+        }
+      });
       
       // Mantener campos existentes
       if (docData.name) updatedData.name = docData.name;
@@ -278,24 +344,58 @@ async function updateCurrentPrices(db, assetQuotes) {
         }
       }
       
-      batch.update(doc.ref, updatedData);
+      await writer.update(doc.ref, updatedData);
       updatesCount++;
       
       // 🚀 OPTIMIZACIÓN: Solo log detallado si está habilitado
       if (ENABLE_DETAILED_LOGS) {
-        logDebug(`Actualizado precio para ${symbol}: ${quote.regularMarketPrice} ${quote.currency}`);
+        logDebug(`Actualizado precio para ${symbol}: ${quote.price} ${quote.currency} (${quote.provider})`);
       }
     } else {
       failedUpdates++;
     }
-  });
+  }
 
-  if (updatesCount > 0) {
-    await batch.commit();
-    logInfo(`✅ ${updatesCount} precios actualizados${failedUpdates > 0 ? ` (${failedUpdates} fallidos)` : ''}`);
+  // Tickers de watchlists que no están en assets
+  let createdCount = 0;
+  for (const symbol of newSymbols) {
+    const quote = assetQuotes.get(symbol);
+    if (!quote || !quote.price) continue;
+
+    const assetType = getWatchlistAssetType(quote.quoteType);
+    const newData = {
+      symbol,
+      price: quote.price,
+      lastUpdated: Date.now(),
+      priceProvider: quote.provider,
+      name: quote.name || symbol,
+      source: WATCHLIST_PRICE_SOURCE
+    };
+    if (assetType) newData.type = assetType;
+    QUOTE_FIELDS.forEach(key => {
+      if (quote[key] !== null && quote[key] !== undefined) {
+        newData[key] = quote[key];
+      }
+    });
+    const generatedLogo = generateLogoUrl(symbol, { assetType: assetType || 'stock' });
+    if (generatedLogo) newData.logo = generatedLogo;
+
+    await writer.set(currentPricesRef.doc(symbol), newData);
+    createdCount++;
+  }
+
+  const batchesCommitted = await writer.commit();
+  if (batchesCommitted > 0) {
+    logInfo(`✅ ${updatesCount} precios actualizados${failedUpdates > 0 ? ` (${failedUpdates} fallidos)` : ''} (${batchesCommitted} batches)`);
+    if (createdCount > 0) {
+      logInfo(`➕ ${createdCount} tickers de watchlists agregados a currentPrices`);
+    }
+    if (removedCount > 0) {
+      logInfo(`➖ ${removedCount} tickers que ninguna watchlist incluye eliminados de currentPrices`);
+    }
   }
   
-  return updatesCount;
+  return updatesCount + createdCount;
 }
 
 /**
@@ -433,6 +533,7 @@ async function calculateDailyPortfolioPerformance(db) {
   const now = DateTime.now().setZone('America/New_York');
   const formattedDate = now.toISODate();
   let calculationsCount = 0;
+  const overallByUser = {};
   
   logDebug(`📅 Fecha de cálculo (NY): ${formattedDate}`);
   
@@ -453,6 +554,14 @@ async function calculateDailyPortfolioPerformance(db) {
   
   const todaysTransactions = transactionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
   const sellTransactions = todaysTransactions.filter(t => t.type === 'sell');
+
+  // Eventos corporativos del día: el ajuste de unidades no es rendimiento
+  let corporateAdjustments = {};
+  try {
+    corporateAdjustments = await getPerformanceAdjustments(formattedDate);
+  } catch (error) {
+    logWarn(`⚠️ No se pudieron obtener eventos corporativos: ${error.message}`);
+  }
   const assetIdsInSellTransactions = [...new Set(sellTransactions.map(t => t.assetId).filter(id => id))];
   
   // 🚀 OPTIMIZACIÓN: Log consolidado de transacciones
@@ -541,7 +650,8 @@ async function calculateDailyPortfolioPerformance(db) {
       currentPrices,
       currencies,
       lastOverallTotalValue,
-      userTransactions
+      userTransactions,
+      corporateAdjustments
     );
 
     // Calcular doneProfitAndLoss para cada moneda
@@ -664,6 +774,7 @@ async function calculateDailyPortfolioPerformance(db) {
       ...overallPerformance
     });
     batchCount++;
+    overallByUser[userId] = summarizeByCurrency(overallPerformance, PERFORMANCE_FIELDS);
 
     // Procesar cada cuenta del usuario
     for (const account of accounts) {
@@ -687,7 +798,8 @@ async function calculateDailyPortfolioPerformance(db) {
         currentPrices,
         currencies,
         lastAccountTotalValue,
-        accountTransactions
+        accountTransactions,
+        corporateAdjustments
       );
 
       // Calcular doneProfitAndLoss para la cuenta (similar al usuario)
@@ -829,7 +941,42 @@ async function calculateDailyPortfolioPerformance(db) {
   }
 
   logInfo(`✅ Rendimiento calculado para ${calculationsCount} usuarios (${totalBatchesCommitted} batches)`);
-  return { count: calculationsCount, userIds: Object.keys(userPortfolios) };
+  return { count: calculationsCount, userIds: Object.keys(userPortfolios), date: formattedDate, overallByUser };
+}
+
+/**
+ * Emite performance.computed con el rendimiento del día de cada usuario.
+ * Solo en la ventana de cierre y una vez por fecha y usuario (la ventana
+ * admite dos ejecuciones): portfolioPerformance/{userId} guarda la última
+ * fecha emitida, y se marca solo después de registrar sus entregas, así que
+ * un usuario cuyo evento no se pudo registrar se reintenta en la siguiente
+ * ejecución.
+ * 
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{date: string, overallByUser: Object.<string, Object>}} portfolioResult
+ * @returns {Promise<number>} Usuarios notificados
+ */
+async function emitDailyPerformanceEvents(db, portfolioResult) {
+  const entries = Object.entries(portfolioResult.overallByUser || {});
+  if (entries.length === 0) return 0;
+
+  const userRefs = entries.map(([userId]) => db.collection('portfolioPerformance').doc(userId));
+  const userDocs = await db.getAll(...userRefs);
+
+  let notified = 0;
+  for (const [index, [userId, currencies]] of entries.entries()) {
+    const userDoc = userDocs[index];
+    if (userDoc.exists && userDoc.data().performanceEventDate === portfolioResult.date) {
+      continue;
+    }
+
+    const { failed } = await emitWebhookEvent(userId, WEBHOOK_EVENTS.PERFORMANCE_COMPUTED, { date: portfolioResult.date, currencies });
+    if (failed) continue;
+
+    await userRefs[index].set({ performanceEventDate: portfolioResult.date }, { merge: true });
+    notified++;
+  }
+  return notified;
 }
 
 // Constante del intervalo de actualización (debe coincidir con el cron schedule)
@@ -929,26 +1076,60 @@ exports.unifiedMarketDataUpdate = onSchedule({
     ]);
     
     const currencyCodes = currenciesSnapshot.docs.map(doc => doc.data().code);
-    const assetSymbols = currentPricesSnapshot.docs.map(doc => doc.data().symbol);
-    dataFetchOp.success({ currencyCount: currencyCodes.length, assetCount: assetSymbols.length });
+    let assetSymbols = currentPricesSnapshot.docs.map(doc => doc.data().symbol);
+    const assetExchanges = {};
+    currentPricesSnapshot.docs.forEach(doc => {
+      const { symbol, exchange } = doc.data();
+      if (symbol && exchange) assetExchanges[symbol] = exchange;
+    });
+
+    // Paso 1b: Tickers de watchlists que todavía no están en currentPrices y
+    // documentos de watchlists que ya ninguna lista incluye (no se cotizan)
+    let watchlistPlan = { newSymbols: [], staleSymbols: [] };
+    try {
+      watchlistPlan = planWatchlistPrices(currentPricesSnapshot.docs.map(doc => doc.data()), await getWatchlistSymbols());
+      const staleSymbols = new Set(watchlistPlan.staleSymbols);
+      assetSymbols = assetSymbols.filter(symbol => !staleSymbols.has(symbol)).concat(watchlistPlan.newSymbols);
+    } catch (watchlistError) {
+      logger.warn('Watchlist symbols failed (non-critical)', { error: watchlistError.message });
+    }
+    dataFetchOp.success({
+      currencyCount: currencyCodes.length,
+      assetCount: assetSymbols.length,
+      newWatchlistSymbols: watchlistPlan.newSymbols.length,
+      staleWatchlistSymbols: watchlistPlan.staleSymbols.length
+    });
     
     logger.info('Fetching market data', { currencies: currencyCodes.length, assets: assetSymbols.length });
     
     // Paso 2: Obtener TODOS los datos de mercado en llamadas optimizadas
     const marketDataOp = logger.startOperation('getAllMarketDataBatch');
-    const marketData = await getAllMarketDataBatch(currencyCodes, assetSymbols);
-    marketDataOp.success({ currenciesReceived: Object.keys(marketData.currencies).length, assetsReceived: marketData.assets.size });
+    const marketDataResult = await getAllMarketDataBatch(currencyCodes, assetSymbols, assetExchanges);
+    marketDataOp.success({
+      currenciesReceived: Object.keys(marketDataResult.currencies).length,
+      assetsReceived: marketDataResult.assets.size,
+      providerHealth: marketDataService.getProviderHealth()
+    });
     
     // Paso 3: Actualizar tasas de cambio con datos ya obtenidos
     const currencyOp = logger.startOperation('updateCurrencyRates');
-    const currencyUpdates = await updateCurrencyRates(db, marketData.currencies);
+    const currencyUpdates = await updateCurrencyRates(db, marketDataResult.currencies);
     currencyOp.success({ updated: currencyUpdates });
     
     // Paso 4: Actualizar precios actuales con datos ya obtenidos
     const pricesOp = logger.startOperation('updateCurrentPrices');
-    const priceUpdates = await updateCurrentPrices(db, marketData.assets);
+    const priceUpdates = await updateCurrentPrices(db, marketDataResult.assets, watchlistPlan);
     pricesOp.success({ updated: priceUpdates });
     
+    // Paso 4b: Aplicar eventos corporativos que entran en vigencia (splits, renames, spin-offs)
+    try {
+      const corporateOp = logger.startOperation('applyDueCorporateActions');
+      const corporateActionsApplied = await applyDueCorporateActions(now.toISODate());
+      corporateOp.success({ applied: corporateActionsApplied });
+    } catch (corporateError) {
+      logger.warn('Corporate actions failed (non-critical)', { error: corporateError.message });
+    }
+    
     // Paso 5: Calcular rendimiento del portafolio
     const perfOp = logger.startOperation('calculateDailyPortfolioPerformance');
     const portfolioResult = await calculateDailyPortfolioPerformance(db);
@@ -971,6 +1152,27 @@ exports.unifiedMarketDataUpdate = onSchedule({
       }
     }
     
+    // Paso 7b: Evaluar alertas de usuario con precios y rendimiento ya actualizados
+    let alertsResult = { evaluated: 0, triggered: 0 };
+    try {
+      const alertsOp = logger.startOperation('evaluateAlerts');
+      alertsResult = await evaluateAlerts();
+      alertsOp.success(alertsResult);
+    } catch (alertsError) {
+      logger.warn('Alert evaluation failed (non-critical)', { error: alertsError.message });
+    }
+    
+    // Paso 7c: Webhooks performance.computed con el rendimiento de cierre del día
+    if (isInClosingGrace) {
+      try {
+        const webhooksOp = logger.startOperation('emitDailyPerformanceEvents');
+        const usersNotified = await emitDailyPerformanceEvents(db, portfolioResult);
+        webhooksOp.success({ usersNotified });
+      } catch (webhookError) {
+        logger.warn('Performance webhooks failed (non-critical)', { error: webhookError.message });
+      }
+    }
+    
     const endTime = Date.now();
     const executionTime = (endTime - startTime) / 1000;
     
@@ -1003,6 +1205,7 @@ exports.unifiedMarketDataUpdate = onSchedule({
       priceUpdates,
       portfoliosCalculated: portfolioResult.count,
       cachesInvalidated: cacheInvalidationResult.cachesDeleted,
+      alertsTriggered: alertsResult.triggered,
       executionTimeSec: executionTime
     });
     
@@ -1,6 +1,7 @@
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const admin = require('firebase-admin');
 const { getQuotes } = require('./financeQuery');
+const marketData = require('./marketData');
 const axios = require('axios'); // Asegúrate de tener esta dependencia instalada
 
 // Importar generador de logos
@@ -41,6 +42,18 @@ async function getEtfIsin(symbol) {
   }
 }
 
+// Función para obtener el perfil (logo, sector, dividendos...) desde finance-query.
+// Es opcional: el precio viene de la capa de proveedores con failover.
+async function getQuoteProfiles(symbols) {
+  try {
+    const profiles = await getQuotes(symbols.join(','));
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (error) {
+    console.warn('No se pudo obtener el perfil de las cotizaciones:', error.message);
+    return [];
+  }
+}
+
 async function updateCurrentPrices() {
   const db = admin.firestore();
   const currentPricesRef = db.collection('currentPrices');
@@ -54,13 +67,16 @@ async function updateCurrentPrices() {
     const symbols = snapshot.docs.map(doc => doc.data().symbol);
     const batchSize = 50;
     for (let i = 0; i < symbols.length; i += batchSize) {
-      const symbolBatch = symbols.slice(i, i + batchSize).join(',');
+      const symbolBatch = symbols.slice(i, i + batchSize);
 
-      // Obtener cotizaciones para el lote de símbolos
-      const quotes = await getQuotes(symbolBatch);
+      // Obtener cotizaciones (con failover entre proveedores) y perfiles para el lote
+      const [{ quotes: quotesMap }, profiles] = await Promise.all([
+        marketData.getQuotes(symbolBatch),
+        getQuoteProfiles(symbolBatch)
+      ]);
 
-      if (quotes) {
-        const quotesMap = new Map(quotes.map(quote => [quote.symbol, quote]));
+      if (quotesMap.size > 0) {
+        const profilesMap = new Map(profiles.map(profile => [profile.symbol, profile]));
 
         for (const doc of snapshot.docs) {
           const docData = doc.data();
@@ -91,21 +107,21 @@ async function updateCurrentPrices() {
           }
 
           const quoteData = quotesMap.get(symbol);
+          const profileData = profilesMap.get(symbol) || {};
 
           if (quoteData && quoteData.price) {
-            // Normalizar el precio eliminando comas
-            const normalizedPrice = quoteData.price.replace(/,/g, ''); 
-            const newPrice = parseFloat(normalizedPrice);
-            
             const updatedData = {
               symbol: symbol,
-              price: newPrice,
+              price: quoteData.price,
               lastUpdated: Date.now(),
-              name: quoteData.name || docData.name,
-              change: quoteData.change,
-              percentChange: quoteData.percentChange,
+              name: profileData.name || quoteData.name || docData.name,
+              priceProvider: quoteData.provider,
             };
 
+            if (quoteData.change !== null) updatedData.change = quoteData.change;
+            if (quoteData.percentChange !== null) updatedData.percentChange = quoteData.percentChange;
+            if (quoteData.currency) updatedData.currency = quoteData.currency;
+
             // Lista de campos adicionales a agregar si están en quoteData
             const optionalKeys = [
               'logo', 'website', 'open', 'high', 'low',
@@ -119,15 +135,15 @@ async function updateCurrentPrices() {
             ];
 
             optionalKeys.forEach(key => {
-              if (quoteData[key] !== null && quoteData[key] !== undefined) {
-                updatedData[key] = quoteData[key];
+              if (profileData[key] !== null && profileData[key] !== undefined) {
+                updatedData[key] = profileData[key];
               }
             });
 
             // Generar logo si no viene en la respuesta del API y no existe en el documento
             if (!updatedData.logo && !docData.logo) {
               const generatedLogo = generateLogoUrl(symbol, { 
-                website: quoteData.website || docData.website, 
+                website: profileData.website || docData.website, 
                 assetType: type 
               });
               if (generatedLogo) {
@@ -180,7 +196,8 @@ exports.scheduledUpdateQuotes = onSchedule({
   return null;
 });
 
-// Función para actualizar precios usando el nuevo endpoint de cotizaciones múltiples
+// Función para actualizar precios usando la capa de proveedores (finance-query
+// con failover a Yahoo Finance y Google Finance)
 async function updateMarketQuotes() {
   const db = admin.firestore();
   const currentPricesRef = db.collection('currentPrices');
@@ -190,74 +207,74 @@ async function updateMarketQuotes() {
     const batch = db.batch();
     let updatesCount = 0;
 
-    // Obtener todos los símbolos
+    // Obtener todos los símbolos y la bolsa conocida de cada uno
     const symbols = snapshot.docs.map(doc => doc.data().symbol);
+    const exchanges = {};
+    snapshot.docs.forEach(doc => {
+      const { symbol, exchange } = doc.data();
+      if (symbol && exchange) exchanges[symbol] = exchange;
+    });
     
     // Procesar en lotes de 50 símbolos
     const batchSize = 50;
     for (let i = 0; i < symbols.length; i += batchSize) {
       const symbolBatch = symbols.slice(i, i + batchSize);
-      const symbolsParam = symbolBatch.join(',');
       
       try {
-        // Consultar el nuevo endpoint
-        const response = await axios.get(`${API_BASE_URL}/market-quotes?symbols=${symbolsParam}`);
-        
-        if (Array.isArray(response.data)) {
-          // Crear un mapa para acceso rápido
-          const quotesMap = new Map(response.data.map(quote => [quote.symbol, quote]));
+        const { quotes: quotesMap } = await marketData.getQuotes(symbolBatch, { exchanges });
+          
+        // Actualizar cada documento en el lote actual
+        for (const symbol of symbolBatch) {
+          const quote = quotesMap.get(symbol);
           
-          // Actualizar cada documento en el lote actual
-          for (const symbol of symbolBatch) {
-            const quote = quotesMap.get(symbol);
+          if (quote && quote.price) {
+            // Buscar el documento correspondiente
+            const matchingDocs = snapshot.docs.filter(doc => doc.data().symbol === symbol);
             
-            if (quote && quote.regularMarketPrice) {
-              // Buscar el documento correspondiente
-              const matchingDocs = snapshot.docs.filter(doc => doc.data().symbol === symbol);
+            if (matchingDocs.length > 0) {
+              const doc = matchingDocs[0];
+              const docData = doc.data();
               
-              if (matchingDocs.length > 0) {
-                const doc = matchingDocs[0];
-                const docData = doc.data();
-                
-                const updatedData = {
-                  symbol: symbol,
-                  price: quote.regularMarketPrice,
-                  lastUpdated: Date.now(),
-                  change: quote.regularMarketChange,
-                  percentChange: quote.regularMarketChangePercent,
-                  previousClose: quote.regularMarketPreviousClose,
-                  currency: quote.currency,
-                  marketState: quote.marketState,
-                  quoteType: quote.quoteType,
-                  exchange: quote.exchange,
-                  fullExchangeName: quote.fullExchangeName
-                };
-                
-                // Mantener campos existentes si no están en la nueva respuesta
-                if (docData.name) {
-                  updatedData.name = docData.name;
-                }
-                
-                // Mantener el ISIN si existe
-                if (docData.isin) {
-                  updatedData.isin = docData.isin;
-                }
-                
-                // Mantener el tipo si existe
-                if (docData.type) {
-                  updatedData.type = docData.type;
+              const updatedData = {
+                symbol: symbol,
+                price: quote.price,
+                lastUpdated: Date.now(),
+                priceProvider: quote.provider
+              };
+
+              // Campos que el proveedor no informa conservan el valor anterior
+              const quoteKeys = [
+                'change', 'percentChange', 'previousClose', 'currency', 'marketState',
+                'quoteType', 'exchange', 'fullExchangeName'
+              ];
+              quoteKeys.forEach(key => {
+                if (quote[key] !== null && quote[key] !== undefined) {
+                  updatedData[key] = quote[key];
                 }
-                
-                batch.update(doc.ref, updatedData);
-                updatesCount++;
-                console.log(`Actualizado precio para ${symbol} usando market-quotes: ${quote.regularMarketPrice} ${quote.currency}`);
+              });
+              
+              // Mantener campos existentes si no están en la nueva respuesta
+              if (docData.name) {
+                updatedData.name = docData.name;
+              }
+              
+              // Mantener el ISIN si existe
+              if (docData.isin) {
+                updatedData.isin = docData.isin;
               }
-            } else {
-              console.warn(`No se pudo obtener el precio para ${symbol} desde market-quotes`);
+              
+              // Mantener el tipo si existe
+              if (docData.type) {
+                updatedData.type = docData.type;
+              }
+              
+              batch.update(doc.ref, updatedData);
+              updatesCount++;
+              console.log(`Actualizado precio para ${symbol} usando ${quote.provider}: ${quote.price} ${quote.currency}`);
             }
+          } else {
+            console.warn(`No se pudo obtener el precio para ${symbol} de ningún proveedor`);
           }
-        } else {
-          console.warn('Formato de respuesta inesperado:', response.data);
         }
       } catch (error) {
         console.error(`Error al obtener cotizaciones para el lote de símbolos:`, error.message);
@@ -266,11 +283,11 @@ async function updateMarketQuotes() {
 
     if (updatesCount > 0) {
       await batch.commit();
-      console.log(`${updatesCount} precios han sido actualizados usando market-quotes`);
+      console.log(`${updatesCount} precios han sido actualizados`, marketData.getProviderHealth());
     } else {
-      console.log('No se requirieron actualizaciones desde market-quotes');
+      console.log('No se requirieron actualizaciones de cotizaciones');
     }
   } catch (error) {
-    console.error('Error al actualizar precios desde market-quotes:', error);
+    console.error('Error al actualizar cotizaciones:', error);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,320 @@
+/**
+ * Tests para services/watchlists
+ *
+ * Verifica la validación de listas, el rango de 52 semanas, el CRUD por
+ * usuario, el documento agregado con los tickers para el refresh de
+ * currentPrices, qué documentos de currentPrices crear o quitar y las
+ * cotizaciones con titulares.
+ *
+ * @module __tests__/services/watchlists.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+/** Consultas a la colección watchlists (para verificar que el ciclo no la recorre) */
+const mockWatchlistScans = jest.fn();
+
+jest.mock('../../firebaseAdmin', () => {
+  let autoId = 0;
+  /** set con merge de un nivel; aplica los increment de los mapas anidados */
+  const mergeData = (current = {}, data) => {
+    const next = { ...current };
+    Object.entries(data).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) && value.__increment === undefined) {
+        const nested = { ...(current[key] || {}) };
+        Object.entries(value).forEach(([field, change]) => {
+          nested[field] = change && change.__increment !== undefined ? (nested[field] || 0) + change.__increment : change;
+        });
+        next[key] = nested;
+      } else {
+        next[key] = value;
+      }
+    });
+    return next;
+  };
+  const write = (path, data, options) => mockStore.set(path, options?.merge ? mergeData(mockStore.get(path), data) : data);
+  const createDocRef = (path) => {
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      get: jest.fn(async () => ({ id: ref.id, ref, exists: mockStore.has(path), data: () => mockStore.get(path) })),
+      set: jest.fn(async (data, options) => write(path, data, options)),
+      delete: jest.fn(async () => mockStore.delete(path))
+    };
+    return ref;
+  };
+  const createCollection = (path, filters = []) => ({
+    doc: (id) => createDocRef(`${path}/${id || `auto${++autoId}`}`),
+    where: (field, op, value) => createCollection(path, [...filters, data => data[field] === value]),
+    select: () => createCollection(path, filters),
+    get: jest.fn(async () => {
+      if (path === 'watchlists' && filters.length === 0) mockWatchlistScans();
+      return {
+        docs: [...mockStore.entries()]
+          .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .filter(([, data]) => filters.every(filter => filter(data)))
+          .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }))
+      };
+    })
+  });
+  const db = {
+    collection: (name) => createCollection(name),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push(() => write(ref.path, data, options)),
+        delete: (ref) => writes.push(() => mockStore.delete(ref.path)),
+        commit: async () => writes.forEach(apply => apply())
+      };
+    },
+    runTransaction: async (fn) => {
+      const writes = [];
+      const result = await fn({
+        get: (target) => target.get(),
+        set: (ref, data, options) => writes.push(() => write(ref.path, data, options))
+      });
+      writes.forEach(apply => apply());
+      return result;
+    }
+  };
+  const firestore = jest.fn(() => db);
+  firestore.FieldValue = {
+    serverTimestamp: () => 'SERVER_TIMESTAMP',
+    increment: (n) => ({ __increment: n })
+  };
+  return { firestore };
+});
+
+jest.mock('../../marketData', () => ({ getQuotes: jest.fn() }));
+jest.mock('../../priceHistory', () => ({ getPriceHistory: jest.fn() }));
+jest.mock('../../financeQuery', () => ({ getNewsFromSymbol: jest.fn() }));
+
+const marketData = require('../../marketData');
+const { getPriceHistory } = require('../../priceHistory');
+const { getNewsFromSymbol } = require('../../financeQuery');
+const {
+  validateWatchlist,
+  calculateYearRange,
+  consolidateHeadlines,
+  diffWatchlistSymbols,
+  getWatchlistAssetType,
+  planWatchlistPrices
+} = require('../quotes');
+const {
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  listWatchlists,
+  getWatchlistSymbols,
+  rebuildWatchlistSymbols,
+  getWatchlistQuotes
+} = require('../watchlistService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+/**
+ * Velas diarias con máximos y mínimos dados
+ * @param {Array<[number, number]>} ranges - [high, low] por día
+ */
+const candles = (ranges) => ranges.map(([high, low], index) => ({
+  date: `2024-01-${String(index + 1).padStart(2, '0')}`,
+  open: low,
+  high,
+  low,
+  close: (high + low) / 2
+}));
+
+beforeEach(() => {
+  mockStore.clear();
+  jest.clearAllMocks();
+  marketData.getQuotes.mockResolvedValue({ quotes: new Map(), missing: [], servedBy: {} });
+  getPriceHistory.mockResolvedValue({ success: false, error: 'NO_DATA' });
+  getNewsFromSymbol.mockResolvedValue([]);
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('validateWatchlist', () => {
+  it('normaliza nombre y tickers conservando el orden', () => {
+    expect(validateWatchlist({ name: '  Tech ', symbols: ['nvda', ' AMD', 'NVDA', 'brk.b', '^GSPC'] }))
+      .toEqual({ name: 'Tech', symbols: ['NVDA', 'AMD', 'BRK.B', '^GSPC'] });
+    expect(validateWatchlist({ name: 'Vacía' })).toEqual({ name: 'Vacía', symbols: [] });
+  });
+
+  it('rechaza nombre vacío, tickers inválidos y listas demasiado largas', () => {
+    expect(() => validateWatchlist({ name: ' ', symbols: [] })).toThrow('name es requerido');
+    expect(() => validateWatchlist({ name: 'A', symbols: 'AAPL' })).toThrow('array');
+    expect(() => validateWatchlist({ name: 'A', symbols: ['AAPL', 'NO VALE'] })).toThrow('Ticker no válido');
+    const many = Array.from({ length: 51 }, (_, i) => `T${i}`);
+    expect(() => validateWatchlist({ name: 'A', symbols: many })).toThrow('50 tickers');
+  });
+});
+
+describe('calculateYearRange', () => {
+  it('mide la distancia del precio al máximo y al mínimo', () => {
+    expect(calculateYearRange(90, candles([[100, 80], [95, 50]]))).toEqual({
+      high: 100,
+      low: 50,
+      fromHighPercent: -10,
+      fromLowPercent: 80,
+      position: 80
+    });
+  });
+
+  it('el precio actual puede marcar un máximo nuevo', () => {
+    expect(calculateYearRange(120, candles([[100, 80]]))).toMatchObject({ high: 120, fromHighPercent: 0, position: 100 });
+  });
+
+  it('sin velas o sin precio no hay distancias', () => {
+    expect(calculateYearRange(90, [])).toBeNull();
+    expect(calculateYearRange(null, candles([[100, 80]]))).toEqual({
+      high: 100, low: 80, fromHighPercent: null, fromLowPercent: null, position: null
+    });
+  });
+});
+
+describe('consolidateHeadlines', () => {
+  it('ordena por fecha, etiqueta el ticker y no repite notas', () => {
+    const shared = { title: 'Chips', link: 'https://news/1', pubDate: '2024-06-11T10:00:00Z' };
+    const headlines = consolidateHeadlines({
+      NVDA: [shared, { title: 'Viejo', link: 'https://news/2', pubDate: '2024-06-01T10:00:00Z' }],
+      AMD: [shared, { title: 'Nuevo', link: 'https://news/3', pubDate: '2024-06-12T10:00:00Z' }]
+    });
+    expect(headlines.map(h => [h.title, h.symbol])).toEqual([['Nuevo', 'AMD'], ['Chips', 'NVDA'], ['Viejo', 'NVDA']]);
+  });
+});
+
+describe('CRUD de listas', () => {
+  it('crea, edita y elimina listas del usuario', async () => {
+    const watchlist = await createWatchlist('user1', { name: 'Tech', symbols: ['nvda', 'amd'] });
+    expect(watchlist).toMatchObject({ userId: 'user1', name: 'Tech', symbols: ['NVDA', 'AMD'] });
+
+    const updated = await updateWatchlist('user1', watchlist.id, { addSymbols: ['tsm', 'NVDA'], removeSymbols: ['amd'], note: 'Chips' });
+    expect(updated).toMatchObject({ name: 'Tech', symbols: ['NVDA', 'TSM'], note: 'Chips' });
+
+    const cleared = await updateWatchlist('user1', watchlist.id, { note: '' });
+    expect(cleared.note).toBeUndefined();
+    expect(cleared.symbols).toEqual(['NVDA', 'TSM']);
+
+    expect(await updateWatchlist('user2', watchlist.id, { name: 'Mía' })).toBeNull();
+    expect(await deleteWatchlist('user2', watchlist.id)).toBe(false);
+    expect(await deleteWatchlist('user1', watchlist.id)).toBe(true);
+    expect(await listWatchlists('user1')).toEqual([]);
+  });
+
+  it('no permite dos listas con el mismo nombre', async () => {
+    await createWatchlist('user1', { name: 'Tech' });
+    const other = await createWatchlist('user1', { name: 'Bancos' });
+    await createWatchlist('user2', { name: 'Tech' });
+
+    await expect(createWatchlist('user1', { name: 'TECH' })).rejects.toThrow('Ya existe');
+    await expect(updateWatchlist('user1', other.id, { name: 'tech' })).rejects.toThrow('Ya existe');
+    expect((await listWatchlists('user1')).map(w => w.name)).toEqual(['Bancos', 'Tech']);
+  });
+
+  it('reúne los tickers de todas las listas sin repetir', async () => {
+    await createWatchlist('user1', { name: 'A', symbols: ['NVDA', 'AMD'] });
+    await createWatchlist('user2', { name: 'B', symbols: ['AMD', 'KO'] });
+
+    expect(await getWatchlistSymbols()).toEqual(['AMD', 'KO', 'NVDA']);
+  });
+
+  it('mantiene los conteos agregados sin recorrer las listas en cada ciclo', async () => {
+    await rebuildWatchlistSymbols();
+    const a = await createWatchlist('user1', { name: 'A', symbols: ['NVDA', 'AMD'] });
+    const b = await createWatchlist('user2', { name: 'B', symbols: ['AMD', 'KO'] });
+    mockWatchlistScans.mockClear();
+
+    await updateWatchlist('user1', a.id, { removeSymbols: ['NVDA'], addSymbols: ['BRK.B'] });
+    await deleteWatchlist('user2', b.id);
+
+    expect(mockStore.get('watchlistSymbols/all').counts).toEqual({ NVDA: 0, AMD: 1, KO: 0, 'BRK.B': 1 });
+    expect(await getWatchlistSymbols()).toEqual(['AMD', 'BRK.B']);
+    expect(mockWatchlistScans).not.toHaveBeenCalled();
+  });
+
+  it('reconstruye el documento agregado si no se había reconstruido', async () => {
+    mockStore.set('watchlists/old', { userId: 'user1', name: 'Vieja', symbols: ['KO', 'PEP'] });
+    await createWatchlist('user2', { name: 'Nueva', symbols: ['KO'] });
+
+    expect(await getWatchlistSymbols()).toEqual(['KO', 'PEP']);
+    expect(mockStore.get('watchlistSymbols/all')).toEqual({ counts: { KO: 2, PEP: 1 }, rebuiltAt: expect.any(Number) });
+  });
+});
+
+describe('tickers de listas en currentPrices', () => {
+  it('calcula el cambio de conteos entre dos versiones de una lista', () => {
+    expect(diffWatchlistSymbols(['AAPL', 'KO'], ['KO', 'NVDA'])).toEqual({ NVDA: 1, AAPL: -1 });
+    expect(diffWatchlistSymbols(['KO'], ['KO'])).toEqual({});
+  });
+
+  it('traduce el quoteType del proveedor al tipo de activo', () => {
+    expect(getWatchlistAssetType('EQUITY')).toBe('stock');
+    expect(getWatchlistAssetType('ETF')).toBe('etf');
+    expect(getWatchlistAssetType('CRYPTOCURRENCY')).toBe('crypto');
+    expect(getWatchlistAssetType('INDEX')).toBe('index');
+    expect(getWatchlistAssetType(null)).toBeNull();
+  });
+
+  it('crea los tickers sin documento y quita solo los documentos de listas sin referencias', () => {
+    const prices = [
+      { symbol: 'AAPL' },
+      { symbol: 'KO', source: 'watchlist' },
+      { symbol: 'PEP', source: 'watchlist' },
+      { symbol: 'MSFT' }
+    ];
+
+    expect(planWatchlistPrices(prices, ['KO', 'NVDA'])).toEqual({ newSymbols: ['NVDA'], staleSymbols: ['PEP'] });
+  });
+});
+
+describe('getWatchlistQuotes', () => {
+  it('combina currentPrices, cotización en vivo, rango de 52 semanas y titulares', async () => {
+    const watchlist = await createWatchlist('user1', { name: 'Tech', symbols: ['NVDA', 'NEW', 'GONE'] });
+    mockStore.set('currentPrices/NVDA', {
+      symbol: 'NVDA', name: 'NVIDIA', price: 90, change: 2, percentChange: 2.27, currency: 'USD', lastUpdated: 1718136000000
+    });
+    marketData.getQuotes.mockResolvedValue({
+      quotes: new Map([['NEW', { symbol: 'NEW', price: 10, change: -1, percentChange: -9.09, currency: 'USD', provider: 'yahoo' }]]),
+      missing: ['GONE'],
+      servedBy: { yahoo: 1 }
+    });
+    getPriceHistory.mockImplementation(async (symbol) => (
+      symbol === 'NVDA' ? { success: true, candles: candles([[100, 80], [95, 50]]) } : { success: false, error: 'NO_DATA' }
+    ));
+    getNewsFromSymbol.mockImplementation(async (symbol) => {
+      if (symbol === 'GONE') throw new Error('timeout');
+      return [1, 2, 3, 4].map(n => ({ title: `${symbol} ${n}`, link: `https://news/${symbol}/${n}`, pubDate: `2024-06-1${n}T00:00:00Z` }));
+    });
+
+    const result = await getWatchlistQuotes('user1', watchlist.id, { newsLimit: 2 });
+
+    expect(marketData.getQuotes).toHaveBeenCalledWith(['NEW', 'GONE']);
+    expect(result.quotes).toEqual([
+      expect.objectContaining({
+        symbol: 'NVDA', price: 90, percentChange: 2.27, source: 'currentPrices',
+        yearRange: { high: 100, low: 50, fromHighPercent: -10, fromLowPercent: 80, position: 80 }
+      }),
+      expect.objectContaining({ symbol: 'NEW', price: 10, change: -1, source: 'live', yearRange: null }),
+      expect.objectContaining({ symbol: 'GONE', price: null, source: 'none', yearRange: null })
+    ]);
+    expect(result.newsBySymbol.NVDA).toHaveLength(2);
+    expect(result.newsBySymbol.GONE).toEqual([]);
+    expect(result.headlines.map(h => h.title)).toEqual(['NVDA 2', 'NEW 2', 'NVDA 1', 'NEW 1']);
+  });
+
+  it('no busca noticias con newsLimit 0 ni devuelve listas de otro usuario', async () => {
+    const watchlist = await createWatchlist('user1', { name: 'Tech', symbols: ['NVDA'] });
+
+    const result = await getWatchlistQuotes('user1', watchlist.id, { newsLimit: 0 });
+    expect(getNewsFromSymbol).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ newsBySymbol: {}, headlines: [] });
+
+    expect(await getWatchlistQuotes('user2', watchlist.id)).toBeNull();
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Watchlists Module Index
+ *
+ * Exporta las listas de seguimiento por usuario (CRUD, tickers para el
+ * refresh de currentPrices, documentos de currentPrices a crear o quitar y
+ * cotizaciones con rango de 52 semanas y titulares).
+ *
+ * @module services/watchlists
+ */
+
+const types = require('./types');
+const quotes = require('./quotes');
+const watchlistService = require('./watchlistService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...watchlistService,
+  validateWatchlist: quotes.validateWatchlist,
+  calculateYearRange: quotes.calculateYearRange,
+  getWatchlistAssetType: quotes.getWatchlistAssetType,
+  planWatchlistPrices: quotes.planWatchlistPrices,
+
+  // Utilidades individuales
+  quotes,
+  watchlistService
+};
@@ -0,0 +1,236 @@
+/**
+ * Watchlist Quotes
+ *
+ * Funciones puras de las listas de seguimiento: validación de los datos del
+ * usuario, rango de 52 semanas, cotización de cada ticker, titulares
+ * consolidados y qué tickers de las listas agregar o quitar de
+ * currentPrices.
+ *
+ * @module services/watchlists/quotes
+ */
+
+const {
+  MAX_SYMBOLS_PER_WATCHLIST,
+  MAX_NAME_LENGTH,
+  MAX_NOTE_LENGTH,
+  SYMBOL_PATTERN,
+  MAX_CONSOLIDATED_HEADLINES,
+  WATCHLIST_PRICE_SOURCE,
+  QUOTE_TYPE_ASSET_TYPES
+} = require('./types');
+
+/** Redondeo a 2 decimales */
+const round2 = (num) => Math.round((Number(num) || 0) * 100) / 100;
+
+/**
+ * @param {*} value
+ * @returns {number|null} null si no es un número finito
+ */
+const toFiniteOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Normaliza tickers: mayúsculas, sin espacios ni repetidos, en el orden
+ * recibido
+ *
+ * @param {*} symbols
+ * @returns {string[]}
+ * @throws {Error} Si no es un array, hay tickers inválidos o se excede MAX_SYMBOLS_PER_WATCHLIST
+ */
+function normalizeWatchlistSymbols(symbols) {
+  if (!Array.isArray(symbols)) {
+    throw new Error('symbols debe ser un array de tickers');
+  }
+
+  const normalized = [];
+  symbols.forEach(symbol => {
+    const ticker = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+    if (!SYMBOL_PATTERN.test(ticker)) {
+      throw new Error(`Ticker no válido: ${symbol}`);
+    }
+    if (!normalized.includes(ticker)) normalized.push(ticker);
+  });
+
+  if (normalized.length > MAX_SYMBOLS_PER_WATCHLIST) {
+    throw new Error(`Una lista admite como máximo ${MAX_SYMBOLS_PER_WATCHLIST} tickers`);
+  }
+  return normalized;
+}
+
+/**
+ * Valida y normaliza los datos de una lista
+ *
+ * @param {Object} data
+ * @param {string} data.name - Nombre
+ * @param {string[]} [data.symbols=[]] - Tickers
+ * @param {string} [data.note] - Nota
+ * @returns {{name: string, symbols: string[], note?: string}}
+ * @throws {Error} Si algún campo no es válido
+ */
+function validateWatchlist(data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    throw new Error('name es requerido');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`name admite como máximo ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  const watchlist = { name, symbols: normalizeWatchlistSymbols(data.symbols ?? []) };
+
+  if (data.note !== undefined && data.note !== null && data.note !== '') {
+    if (typeof data.note !== 'string' || data.note.length > MAX_NOTE_LENGTH) {
+      throw new Error(`note debe ser un texto de hasta ${MAX_NOTE_LENGTH} caracteres`);
+    }
+    watchlist.note = data.note;
+  }
+
+  return watchlist;
+}
+
+/**
+ * Rango de 52 semanas a partir de las velas diarias del último año. El
+ * precio actual también cuenta: puede marcar un máximo o mínimo nuevo
+ * antes del cierre.
+ *
+ * @param {number|null} price - Último precio
+ * @param {import('../priceHistory/types').Candle[]} candles - Velas del último año
+ * @returns {import('./types').YearRange|null} null si no hay velas
+ */
+function calculateYearRange(price, candles) {
+  const highs = [];
+  const lows = [];
+  (candles || []).forEach(candle => {
+    const high = toFiniteOrNull(candle.high) ?? toFiniteOrNull(candle.close);
+    const low = toFiniteOrNull(candle.low) ?? toFiniteOrNull(candle.close);
+    if (high !== null) highs.push(high);
+    if (low !== null) lows.push(low);
+  });
+  if (highs.length === 0 || lows.length === 0) return null;
+
+  const hasPrice = toFiniteOrNull(price) !== null && price > 0;
+  const high = Math.max(...highs, ...(hasPrice ? [price] : []));
+  const low = Math.min(...lows, ...(hasPrice ? [price] : []));
+
+  return {
+    high,
+    low,
+    fromHighPercent: hasPrice && high > 0 ? round2((price / high - 1) * 100) : null,
+    fromLowPercent: hasPrice && low > 0 ? round2((price / low - 1) * 100) : null,
+    position: hasPrice && high > low ? round2((price - low) / (high - low) * 100) : null
+  };
+}
+
+/**
+ * Cotización de un ticker de la lista
+ *
+ * @param {string} symbol
+ * @param {Object|null} priceData - Documento de currentPrices o NormalizedQuote
+ * @param {string} source - currentPrices | live | none
+ * @param {import('./types').YearRange|null} yearRange
+ * @returns {import('./types').WatchlistQuote}
+ */
+function buildWatchlistQuote(symbol, priceData, source, yearRange) {
+  const data = priceData || {};
+  return {
+    symbol,
+    name: data.name || null,
+    price: toFiniteOrNull(data.price),
+    change: toFiniteOrNull(data.change),
+    percentChange: toFiniteOrNull(data.percentChange),
+    previousClose: toFiniteOrNull(data.previousClose),
+    currency: data.currency || null,
+    marketState: data.marketState || null,
+    lastUpdated: toFiniteOrNull(data.lastUpdated),
+    source: priceData ? source : 'none',
+    yearRange
+  };
+}
+
+/**
+ * Titulares de todos los tickers, del más reciente al más antiguo
+ *
+ * @param {Object.<string, Object[]>} newsBySymbol - Ticker → noticias
+ * @param {number} [max=20]
+ * @returns {Object[]} Noticias con su `symbol`; una misma nota aparece una vez
+ */
+function consolidateHeadlines(newsBySymbol, max = MAX_CONSOLIDATED_HEADLINES) {
+  const seen = new Set();
+  return Object.entries(newsBySymbol)
+    .flatMap(([symbol, news]) => news.map(item => ({ ...item, symbol })))
+    .sort((a, b) => {
+      const dateA = new Date(a.pubDate || a.date || 0).getTime() || 0;
+      const dateB = new Date(b.pubDate || b.date || 0).getTime() || 0;
+      return dateB - dateA;
+    })
+    .filter(item => {
+      const key = item.link || item.title;
+      if (!key) return true;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, max);
+}
+
+/**
+ * Cambio en los conteos de watchlistSymbols al pasar una lista de
+ * `before` a `after`
+ *
+ * @param {string[]} before - Tickers anteriores
+ * @param {string[]} after - Tickers nuevos
+ * @returns {Object.<string, number>} Ticker → +1 o -1 (solo los que cambian)
+ */
+function diffWatchlistSymbols(before, after) {
+  const previous = new Set(before);
+  const next = new Set(after);
+  const changes = {};
+  next.forEach(symbol => {
+    if (!previous.has(symbol)) changes[symbol] = 1;
+  });
+  previous.forEach(symbol => {
+    if (!next.has(symbol)) changes[symbol] = -1;
+  });
+  return changes;
+}
+
+/**
+ * Tipo de activo de un ticker agregado desde una lista
+ *
+ * @param {string|null} quoteType - Tipo del proveedor (EQUITY, ETF, INDEX, ...)
+ * @returns {string|null} stock, etf, crypto, el quoteType en minúsculas o null si no se informa
+ */
+function getWatchlistAssetType(quoteType) {
+  if (!quoteType) return null;
+  const key = String(quoteType).toUpperCase();
+  return QUOTE_TYPE_ASSET_TYPES[key] || key.toLowerCase();
+}
+
+/**
+ * Tickers de las listas a crear en currentPrices y documentos creados por
+ * una lista que ya ninguna incluye
+ *
+ * @param {Array<{symbol: string, source?: string}>} prices - Documentos de currentPrices
+ * @param {string[]} watchlistSymbols - Tickers de todas las listas
+ * @returns {{newSymbols: string[], staleSymbols: string[]}}
+ */
+function planWatchlistPrices(prices, watchlistSymbols) {
+  const tracked = new Set(prices.map(price => price.symbol));
+  const referenced = new Set(watchlistSymbols);
+  return {
+    newSymbols: watchlistSymbols.filter(symbol => !tracked.has(symbol)),
+    staleSymbols: prices
+      .filter(price => price.source === WATCHLIST_PRICE_SOURCE && !referenced.has(price.symbol))
+      .map(price => price.symbol)
+  };
+}
+
+module.exports = {
+  normalizeWatchlistSymbols,
+  validateWatchlist,
+  calculateYearRange,
+  buildWatchlistQuote,
+  consolidateHeadlines,
+  diffWatchlistSymbols,
+  getWatchlistAssetType,
+  planWatchlistPrices
+};
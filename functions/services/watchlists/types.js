@@ -0,0 +1,119 @@
+/**
+ * Watchlists Types
+ *
+ * Tipos y constantes de las listas de seguimiento con nombre de cada
+ * usuario. Sus tickers se suman al refresh de currentPrices que hace
+ * unifiedMarketDataUpdate aunque no estén en `assets`; el ciclo los lee de
+ * un documento agregado en lugar de recorrer todas las listas.
+ *
+ * @module services/watchlists/types
+ */
+
+/**
+ * Documento de `watchlists`
+ * @typedef {Object} Watchlist
+ * @property {string} id - ID del documento
+ * @property {string} userId - Dueño de la lista
+ * @property {string} name - Nombre (único por usuario, sin distinguir mayúsculas)
+ * @property {string[]} symbols - Tickers en el orden definido por el usuario
+ * @property {string} [note] - Nota del usuario
+ */
+
+/**
+ * Documento agregado con los tickers de todas las listas
+ * (`watchlistSymbols/all`). Cada escritura de una lista ajusta los conteos
+ * en el mismo batch; un ticker con conteo 0 ya no está en ninguna lista.
+ * @typedef {Object} WatchlistSymbolsDoc
+ * @property {Object.<string, number>} counts - Ticker → listas que lo incluyen
+ * @property {number} [rebuiltAt] - Última reconstrucción desde `watchlists` (ms epoch); sin él los conteos están incompletos
+ */
+
+/**
+ * Rango de 52 semanas de un ticker
+ * @typedef {Object} YearRange
+ * @property {number} high - Máximo de 52 semanas
+ * @property {number} low - Mínimo de 52 semanas
+ * @property {number|null} fromHighPercent - Distancia al máximo (-5 = 5% por debajo)
+ * @property {number|null} fromLowPercent - Distancia al mínimo (12 = 12% por encima)
+ * @property {number|null} position - Posición dentro del rango (0 = mínimo, 100 = máximo)
+ */
+
+/**
+ * Cotización de un ticker de la lista
+ * @typedef {Object} WatchlistQuote
+ * @property {string} symbol - Ticker
+ * @property {string|null} name - Nombre del instrumento
+ * @property {number|null} price - Último precio (null si no hay cotización)
+ * @property {number|null} change - Variación del día
+ * @property {number|null} percentChange - Variación porcentual del día
+ * @property {number|null} previousClose - Cierre anterior
+ * @property {string|null} currency - Moneda de cotización
+ * @property {string|null} marketState - Estado del mercado
+ * @property {number|null} lastUpdated - Última actualización del precio (ms epoch)
+ * @property {string} source - currentPrices | live | none
+ * @property {YearRange|null} yearRange - null si no hay histórico
+ */
+
+/** Colección de listas */
+const WATCHLISTS_COLLECTION = 'watchlists';
+
+/** Colección y documento con los tickers de todas las listas */
+const WATCHLIST_SYMBOLS_COLLECTION = 'watchlistSymbols';
+const WATCHLIST_SYMBOLS_DOC_ID = 'all';
+
+/**
+ * Valor de `source` en los documentos de currentPrices que existen solo
+ * por una lista; se eliminan cuando ninguna lista incluye el ticker
+ */
+const WATCHLIST_PRICE_SOURCE = 'watchlist';
+
+/** quoteType del proveedor → tipo de activo de currentPrices (el resto se guarda en minúsculas) */
+const QUOTE_TYPE_ASSET_TYPES = {
+  EQUITY: 'stock',
+  ETF: 'etf',
+  CRYPTOCURRENCY: 'crypto'
+};
+
+/** Listas máximas por usuario */
+const MAX_WATCHLISTS_PER_USER = 20;
+
+/** Tickers máximos por lista */
+const MAX_SYMBOLS_PER_WATCHLIST = 50;
+
+/** Largo máximo del nombre */
+const MAX_NAME_LENGTH = 60;
+
+/** Largo máximo de la nota */
+const MAX_NOTE_LENGTH = 500;
+
+/** Formato de ticker aceptado (AAPL, BRK.B, VUAA.L, ^GSPC, BTC-USD, NKE:NYSE) */
+const SYMBOL_PATTERN = /^[A-Z0-9^][A-Z0-9.\-=^:]{0,19}$/;
+
+/** Noticias por ticker en getWatchlistQuotes */
+const DEFAULT_NEWS_PER_SYMBOL = 3;
+
+/** Máximo de noticias por ticker que puede pedir el cliente */
+const MAX_NEWS_PER_SYMBOL = 10;
+
+/** Tickers de la lista (los primeros) para los que se buscan noticias, como en /news/batch */
+const MAX_NEWS_SYMBOLS = 10;
+
+/** Máximo de titulares en la lista consolidada */
+const MAX_CONSOLIDATED_HEADLINES = 20;
+
+module.exports = {
+  WATCHLISTS_COLLECTION,
+  WATCHLIST_SYMBOLS_COLLECTION,
+  WATCHLIST_SYMBOLS_DOC_ID,
+  WATCHLIST_PRICE_SOURCE,
+  QUOTE_TYPE_ASSET_TYPES,
+  MAX_WATCHLISTS_PER_USER,
+  MAX_SYMBOLS_PER_WATCHLIST,
+  MAX_NAME_LENGTH,
+  MAX_NOTE_LENGTH,
+  SYMBOL_PATTERN,
+  DEFAULT_NEWS_PER_SYMBOL,
+  MAX_NEWS_PER_SYMBOL,
+  MAX_NEWS_SYMBOLS,
+  MAX_CONSOLIDATED_HEADLINES
+};
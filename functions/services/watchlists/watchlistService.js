@@ -0,0 +1,360 @@
+/**
+ * Watchlist Service
+ *
+ * Listas de seguimiento con nombre por usuario:
+ * - Alta, edición, baja y consulta de listas (`watchlists`)
+ * - Tickers de todas las listas (`watchlistSymbols/all`, ajustado en el
+ *   mismo batch que cada lista), que unifiedMarketDataUpdate suma al
+ *   refresh de currentPrices
+ * - Cotizaciones de una lista con variación del día, distancia al rango
+ *   de 52 semanas y últimos titulares
+ *
+ * @module services/watchlists/watchlistService
+ */
+
+const admin = require('../firebaseAdmin');
+const marketData = require('../marketData');
+const { getPriceHistory } = require('../priceHistory');
+const { getNewsFromSymbol } = require('../financeQuery');
+const { TimePeriod, Interval } = require('../../models/time_series');
+const {
+  validateWatchlist,
+  normalizeWatchlistSymbols,
+  calculateYearRange,
+  buildWatchlistQuote,
+  consolidateHeadlines,
+  diffWatchlistSymbols
+} = require('./quotes');
+const {
+  WATCHLISTS_COLLECTION,
+  WATCHLIST_SYMBOLS_COLLECTION,
+  WATCHLIST_SYMBOLS_DOC_ID,
+  MAX_WATCHLISTS_PER_USER,
+  DEFAULT_NEWS_PER_SYMBOL,
+  MAX_NEWS_SYMBOLS
+} = require('./types');
+
+const db = admin.firestore();
+
+/**
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {import('./types').Watchlist}
+ */
+function toWatchlist(doc) {
+  const { createdAt, updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+/**
+ * Verifica que el usuario no tenga otra lista con el mismo nombre
+ *
+ * @param {FirebaseFirestore.QueryDocumentSnapshot[]} docs - Listas del usuario
+ * @param {string} name
+ * @param {string} [exceptId] - Lista que se está editando
+ * @throws {Error} Si el nombre ya existe
+ */
+function assertUniqueName(docs, name, exceptId) {
+  const taken = docs.some(doc => doc.id !== exceptId && doc.data().name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    throw new Error(`Ya existe una lista llamada "${name}"`);
+  }
+}
+
+/** @returns {FirebaseFirestore.DocumentReference} watchlistSymbols/all */
+function getWatchlistSymbolsRef() {
+  return db.collection(WATCHLIST_SYMBOLS_COLLECTION).doc(WATCHLIST_SYMBOLS_DOC_ID);
+}
+
+/**
+ * Agrega al batch el ajuste de los conteos de watchlistSymbols
+ *
+ * @param {FirebaseFirestore.WriteBatch} batch
+ * @param {string[]} before - Tickers anteriores de la lista
+ * @param {string[]} after - Tickers nuevos de la lista
+ */
+function addSymbolCountChanges(batch, before, after) {
+  const changes = diffWatchlistSymbols(before, after);
+  if (Object.keys(changes).length === 0) return;
+
+  const counts = {};
+  Object.entries(changes).forEach(([symbol, delta]) => {
+    counts[symbol] = admin.firestore.FieldValue.increment(delta);
+  });
+  batch.set(getWatchlistSymbolsRef(), { counts }, { merge: true });
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Crea una lista
+ *
+ * @param {string} userId
+ * @param {Object} data - Ver validateWatchlist
+ * @returns {Promise<import('./types').Watchlist>}
+ * @throws {Error} Si los datos no son válidos, el nombre ya existe o se alcanzó MAX_WATCHLISTS_PER_USER
+ */
+async function createWatchlist(userId, data) {
+  const normalized = validateWatchlist(data);
+
+  const existing = await db.collection(WATCHLISTS_COLLECTION).where('userId', '==', userId).get();
+  if (existing.docs.length >= MAX_WATCHLISTS_PER_USER) {
+    throw new Error(`Se alcanzó el máximo de ${MAX_WATCHLISTS_PER_USER} listas`);
+  }
+  assertUniqueName(existing.docs, normalized.name);
+
+  const watchlistRef = db.collection(WATCHLISTS_COLLECTION).doc();
+  const watchlist = { id: watchlistRef.id, userId, ...normalized };
+  const batch = db.batch();
+  batch.set(watchlistRef, {
+    ...watchlist,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  addSymbolCountChanges(batch, [], watchlist.symbols);
+  await batch.commit();
+
+  return watchlist;
+}
+
+/**
+ * Edita una lista. `symbols` reemplaza todos los tickers; `addSymbols` y
+ * `removeSymbols` agregan al final o quitan sobre la lista resultante.
+ *
+ * @param {string} userId
+ * @param {string} watchlistId
+ * @param {Object} data
+ * @param {string} [data.name]
+ * @param {string[]} [data.symbols]
+ * @param {string[]} [data.addSymbols]
+ * @param {string[]} [data.removeSymbols]
+ * @param {string} [data.note]
+ * @returns {Promise<import('./types').Watchlist|null>} null si no existe o es de otro usuario
+ * @throws {Error} Si los datos resultantes no son válidos o el nombre ya existe
+ */
+async function updateWatchlist(userId, watchlistId, data) {
+  const watchlistRef = db.collection(WATCHLISTS_COLLECTION).doc(watchlistId);
+  const doc = await watchlistRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return null;
+
+  const current = doc.data();
+  let symbols = data.symbols !== undefined ? normalizeWatchlistSymbols(data.symbols) : current.symbols;
+  if (data.addSymbols !== undefined) {
+    symbols = [...symbols, ...normalizeWatchlistSymbols(data.addSymbols)];
+  }
+  if (data.removeSymbols !== undefined) {
+    const removed = new Set(normalizeWatchlistSymbols(data.removeSymbols));
+    symbols = symbols.filter(symbol => !removed.has(symbol));
+  }
+
+  const normalized = validateWatchlist({
+    name: data.name ?? current.name,
+    note: data.note !== undefined ? data.note : current.note,
+    symbols
+  });
+
+  if (normalized.name.toLowerCase() !== current.name.toLowerCase()) {
+    const existing = await db.collection(WATCHLISTS_COLLECTION).where('userId', '==', userId).get();
+    assertUniqueName(existing.docs, normalized.name, watchlistId);
+  }
+
+  const watchlist = { id: watchlistId, userId, ...normalized };
+  const batch = db.batch();
+  // set sin merge: una nota vacía elimina la anterior
+  batch.set(watchlistRef, {
+    ...watchlist,
+    createdAt: current.createdAt || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  addSymbolCountChanges(batch, current.symbols || [], watchlist.symbols);
+  await batch.commit();
+
+  return watchlist;
+}
+
+/**
+ * Elimina una lista
+ *
+ * @param {string} userId
+ * @param {string} watchlistId
+ * @returns {Promise<boolean>} false si no existe o es de otro usuario
+ */
+async function deleteWatchlist(userId, watchlistId) {
+  const watchlistRef = db.collection(WATCHLISTS_COLLECTION).doc(watchlistId);
+  const doc = await watchlistRef.get();
+  if (!doc.exists || doc.data().userId !== userId) return false;
+
+  const batch = db.batch();
+  batch.delete(watchlistRef);
+  addSymbolCountChanges(batch, doc.data().symbols || [], []);
+  await batch.commit();
+  return true;
+}
+
+/**
+ * Listas de un usuario
+ *
+ * @param {string} userId
+ * @returns {Promise<import('./types').Watchlist[]>} Ordenadas por nombre
+ */
+async function listWatchlists(userId) {
+  const snapshot = await db.collection(WATCHLISTS_COLLECTION).where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(toWatchlist)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Reconstruye watchlistSymbols recorriendo todas las listas. La
+ * transacción lee el documento agregado, así que un batch de una lista
+ * que llega a la vez se aplica antes o después, nunca se pierde.
+ *
+ * @returns {Promise<import('./types').WatchlistSymbolsDoc>}
+ */
+async function rebuildWatchlistSymbols() {
+  const ref = getWatchlistSymbolsRef();
+
+  return db.runTransaction(async (transaction) => {
+    await transaction.get(ref);
+    const snapshot = await transaction.get(db.collection(WATCHLISTS_COLLECTION).select('symbols'));
+
+    const counts = {};
+    snapshot.docs.forEach(doc => (doc.data().symbols || []).forEach(symbol => {
+      counts[symbol] = (counts[symbol] || 0) + 1;
+    }));
+
+    const data = { counts, rebuiltAt: Date.now() };
+    transaction.set(ref, data);
+    return data;
+  });
+}
+
+/**
+ * Tickers de todas las listas (de todos los usuarios), sin repetidos. Lee
+ * el documento agregado; solo recorre las listas si todavía no se
+ * reconstruyó (listas creadas antes de que existiera).
+ *
+ * @returns {Promise<string[]>} Orden alfabético
+ */
+async function getWatchlistSymbols() {
+  const doc = await getWatchlistSymbolsRef().get();
+  const data = doc.exists && doc.data().rebuiltAt ? doc.data() : await rebuildWatchlistSymbols();
+  const counts = data.counts || {};
+  return Object.keys(counts).filter(symbol => counts[symbol] > 0).sort();
+}
+
+// ============================================================================
+// COTIZACIONES
+// ============================================================================
+
+/**
+ * Precios de los tickers: currentPrices y, para los que aún no tienen
+ * documento (agregados después del último refresh), cotización en vivo
+ *
+ * @param {string[]} symbols
+ * @returns {Promise<Map<string, {data: Object, source: string}>>}
+ */
+async function loadPrices(symbols) {
+  const docs = await Promise.all(symbols.map(symbol => db.collection('currentPrices').doc(symbol).get()));
+
+  const prices = new Map();
+  docs.forEach((doc, index) => {
+    if (doc.exists && doc.data().price > 0) {
+      prices.set(symbols[index], { data: doc.data(), source: 'currentPrices' });
+    }
+  });
+
+  const missing = symbols.filter(symbol => !prices.has(symbol));
+  if (missing.length > 0) {
+    try {
+      const { quotes } = await marketData.getQuotes(missing);
+      quotes.forEach((quote, symbol) => prices.set(symbol, { data: { ...quote, lastUpdated: null }, source: 'live' }));
+    } catch (error) {
+      console.warn(`[watchlistService] Sin cotización en vivo para ${missing.join(', ')}: ${error.message}`);
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Velas diarias del último año desde el cache de priceHistory
+ *
+ * @param {string} symbol
+ * @returns {Promise<import('../priceHistory/types').Candle[]>} Vacío si no hay histórico
+ */
+async function loadYearCandles(symbol) {
+  try {
+    const result = await getPriceHistory(symbol, { range: TimePeriod.YEAR, interval: Interval.DAILY });
+    return result.success ? result.candles : [];
+  } catch (error) {
+    console.warn(`[watchlistService] Sin histórico de 52 semanas para ${symbol}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Últimas noticias de un ticker
+ *
+ * @param {string} symbol
+ * @param {number} limit
+ * @returns {Promise<Object[]>} Vacío si la fuente falla
+ */
+async function loadNews(symbol, limit) {
+  try {
+    const news = await getNewsFromSymbol(symbol);
+    return Array.isArray(news) ? news.slice(0, limit) : [];
+  } catch (error) {
+    console.warn(`[watchlistService] Sin noticias para ${symbol}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Cotizaciones y titulares de una lista
+ *
+ * @param {string} userId
+ * @param {string} watchlistId
+ * @param {Object} [options]
+ * @param {number} [options.newsLimit=3] - Noticias por ticker (0 = sin noticias)
+ * @returns {Promise<{watchlist: import('./types').Watchlist, quotes: import('./types').WatchlistQuote[], newsBySymbol: Object.<string, Object[]>, headlines: Object[]}|null>}
+ *   null si la lista no existe o es de otro usuario
+ */
+async function getWatchlistQuotes(userId, watchlistId, { newsLimit = DEFAULT_NEWS_PER_SYMBOL } = {}) {
+  const doc = await db.collection(WATCHLISTS_COLLECTION).doc(watchlistId).get();
+  if (!doc.exists || doc.data().userId !== userId) return null;
+
+  const watchlist = toWatchlist(doc);
+  const { symbols } = watchlist;
+  const newsSymbols = newsLimit > 0 ? symbols.slice(0, MAX_NEWS_SYMBOLS) : [];
+
+  const [prices, candlesBySymbol, newsResults] = await Promise.all([
+    loadPrices(symbols),
+    Promise.all(symbols.map(loadYearCandles)),
+    Promise.all(newsSymbols.map(symbol => loadNews(symbol, newsLimit)))
+  ]);
+
+  const quotes = symbols.map((symbol, index) => {
+    const { data = null, source = 'none' } = prices.get(symbol) || {};
+    const yearRange = calculateYearRange(data ? data.price : null, candlesBySymbol[index]);
+    return buildWatchlistQuote(symbol, data, source, yearRange);
+  });
+
+  const newsBySymbol = {};
+  newsSymbols.forEach((symbol, index) => {
+    newsBySymbol[symbol] = newsResults[index];
+  });
+
+  return { watchlist, quotes, newsBySymbol, headlines: consolidateHeadlines(newsBySymbol) };
+}
+
+module.exports = {
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  listWatchlists,
+  getWatchlistSymbols,
+  rebuildWatchlistSymbols,
+  getWatchlistQuotes
+};
@@ -0,0 +1,48 @@
+/**
+ * Scheduled Function para reintentos de webhooks
+ *
+ * Reenvía las entregas de `webhookDeliveries` en estado retrying cuyo
+ * próximo intento ya venció. El primer intento lo hace deliverWebhookOnCreate
+ * (webhookDeliveryTrigger); los siguientes esperan 5, 10, 20, 40 y 80 minutos
+ * (ver services/webhooks/types). También envía las entregas que siguen
+ * pending tras STALE_PENDING_MINUTES.
+ *
+ * @module webhookDeliveryScheduled
+ * @see services/webhooks
+ */
+
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { retryPendingDeliveries } = require('./webhooks');
+
+/**
+ * Reintenta entregas de webhooks pendientes
+ *
+ * Se ejecuta cada 5 minutos (RETRY_BASE_DELAY_MINUTES)
+ */
+const retryWebhookDeliveries = onSchedule(
+  {
+    schedule: 'every 5 minutes',
+    timeZone: 'America/New_York',
+    memory: '256MiB',
+    timeoutSeconds: 300,
+    retryCount: 0
+  },
+  async (event) => {
+    const startTime = Date.now();
+
+    try {
+      const summary = await retryPendingDeliveries();
+      if (summary.processed > 0) {
+        console.log(`[retryWebhookDeliveries] Completado`, { ...summary, durationMs: Date.now() - startTime });
+      }
+    } catch (error) {
+      console.error(`[retryWebhookDeliveries] Error:`, error);
+    }
+
+    return null;
+  }
+);
+
+module.exports = {
+  retryWebhookDeliveries
+};
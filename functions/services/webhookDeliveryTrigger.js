@@ -0,0 +1,47 @@
+/**
+ * Trigger de primer intento de webhooks
+ *
+ * emitWebhookEvent solo registra entregas pending en `webhookDeliveries`;
+ * este trigger las envía al crearse, fuera del request o de la función
+ * programada que emitió el evento. Los reintentos (y las entregas pending
+ * que el trigger no procesó) quedan a cargo de retryWebhookDeliveries.
+ *
+ * @module webhookDeliveryTrigger
+ * @see services/webhooks
+ */
+
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { deliverPendingWebhook, WEBHOOK_DELIVERIES_COLLECTION } = require('./webhooks');
+
+/**
+ * Envía una entrega de webhook recién registrada
+ *
+ * Sin reintento automático del trigger: un intento fallido queda en
+ * retrying con backoff y lo retoma retryWebhookDeliveries.
+ */
+const deliverWebhookOnCreate = onDocumentCreated(
+  {
+    document: `${WEBHOOK_DELIVERIES_COLLECTION}/{deliveryId}`,
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    retry: false
+  },
+  async (event) => {
+    const { deliveryId } = event.params;
+
+    try {
+      const status = await deliverPendingWebhook(deliveryId);
+      if (status) {
+        console.log(`[deliverWebhookOnCreate] ${deliveryId}: ${status}`);
+      }
+    } catch (error) {
+      console.error(`[deliverWebhookOnCreate] Error - deliveryId: ${deliveryId}`, error);
+    }
+
+    return null;
+  }
+);
+
+module.exports = {
+  deliverWebhookOnCreate
+};
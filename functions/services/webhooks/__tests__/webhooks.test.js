@@ -0,0 +1,359 @@
+/**
+ * Tests para services/webhooks
+ *
+ * Verifica la firma HMAC, la validación de endpoints, el backoff de los
+ * reintentos, la emisión como entregas pending, el primer intento, el
+ * reintento programado y el CRUD por usuario.
+ *
+ * @module __tests__/services/webhooks.test
+ */
+
+/** Documentos en memoria: ruta → datos */
+const mockStore = new Map();
+
+jest.mock('../../firebaseAdmin', () => {
+  let autoId = 0;
+  const createDocRef = (path) => {
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      get: jest.fn(async () => ({ id: ref.id, ref, exists: mockStore.has(path), data: () => mockStore.get(path) })),
+      set: jest.fn(async (data) => mockStore.set(path, data)),
+      update: jest.fn(async (changes) => {
+        if (!mockStore.has(path)) throw new Error(`NOT_FOUND: ${path}`);
+        mockStore.set(path, { ...mockStore.get(path), ...changes });
+      }),
+      delete: jest.fn(async () => mockStore.delete(path))
+    };
+    return ref;
+  };
+  const OPERATORS = {
+    '==': (a, b) => a === b,
+    '<=': (a, b) => a !== null && a !== undefined && a <= b
+  };
+  const createCollection = (path, filters = [], order = null, max = null) => ({
+    doc: (id) => createDocRef(`${path}/${id || `auto${++autoId}`}`),
+    where: (field, op, value) => createCollection(path, [...filters, data => OPERATORS[op](data[field], value)], order, max),
+    orderBy: (field, direction) => createCollection(path, filters, { field, direction }, max),
+    limit: (count) => createCollection(path, filters, order, count),
+    get: jest.fn(async () => {
+      let docs = [...mockStore.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(filter => filter(data)));
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        docs.sort(([, a], [, b]) => sign * String(a[order.field]).localeCompare(String(b[order.field])));
+      }
+      if (max !== null) docs = docs.slice(0, max);
+      return { docs: docs.map(([key, data]) => ({ id: key.split('/').pop(), ref: createDocRef(key), data: () => data })) };
+    })
+  });
+  const firestore = jest.fn(() => ({ collection: (name) => createCollection(name) }));
+  firestore.FieldValue = { serverTimestamp: () => 'SERVER_TIMESTAMP' };
+  return { firestore };
+});
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+/** Resolución de DNS por host (se cambia en los tests de destinos no públicos) */
+const mockHosts = new Map();
+jest.mock('dns', () => ({
+  lookup: jest.fn(),
+  promises: {
+    lookup: jest.fn(async (host) => {
+      if (!mockHosts.has(host)) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return [{ address: mockHosts.get(host), family: 4 }];
+    })
+  }
+}));
+
+const axios = require('axios');
+const { deliveryAgent } = require('../destination');
+const { signWebhookPayload, verifyWebhookSignature, generateWebhookSecret } = require('../signing');
+const { buildTransactionData, summarizeByCurrency, PERFORMANCE_FIELDS } = require('../payloads');
+const {
+  validateWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listWebhooks,
+  getWebhookDeliveries,
+  getNextDeliveryState,
+  emitWebhookEvent,
+  deliverPendingWebhook,
+  retryPendingDeliveries
+} = require('../webhookService');
+
+// ============================================================================
+// DATOS DE PRUEBA
+// ============================================================================
+
+const NOW = Date.parse('2024-06-11T20:00:00Z');
+const MINUTE = 60 * 1000;
+const SECRET = 'whsec_test';
+
+/**
+ * Guarda un endpoint
+ * @param {string} id
+ * @param {Object} data
+ */
+const seedWebhook = (id, data = {}) => {
+  mockStore.set(`webhooks/${id}`, {
+    userId: 'user1',
+    url: 'https://hooks.example.com/portfolio',
+    events: ['dividend.paid'],
+    secret: SECRET,
+    isActive: true,
+    ...data
+  });
+};
+
+/** Entregas registradas */
+const deliveries = () => [...mockStore.entries()]
+  .filter(([key]) => key.startsWith('webhookDeliveries/'))
+  .map(([key, data]) => ({ id: key.split('/')[1], ...data }));
+
+/** Headers del último POST */
+const lastHeaders = () => axios.post.mock.calls[axios.post.mock.calls.length - 1][2].headers;
+
+beforeEach(() => {
+  mockStore.clear();
+  mockHosts.clear();
+  mockHosts.set('hooks.example.com', '93.184.216.34');
+  axios.post.mockReset();
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('firma', () => {
+  it('firma timestamp y cuerpo con HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'dividend.paid' });
+    const signature = signWebhookPayload(SECRET, 1718136000, body);
+
+    expect(signature).toMatch(/^sha256=[a-f0-9]{64}$/);
+    expect(verifyWebhookSignature(SECRET, 1718136000, body, signature)).toBe(true);
+    expect(verifyWebhookSignature(SECRET, 1718136001, body, signature)).toBe(false);
+    expect(verifyWebhookSignature('whsec_other', 1718136000, body, signature)).toBe(false);
+    expect(verifyWebhookSignature(SECRET, 1718136000, body, undefined)).toBe(false);
+    expect(generateWebhookSecret()).toMatch(/^whsec_[a-f0-9]{64}$/);
+  });
+});
+
+describe('validateWebhook', () => {
+  it('exige https y eventos soportados', () => {
+    expect(validateWebhook({ url: 'https://hooks.example.com/a', events: ['asset.sold', 'asset.sold'] }))
+      .toEqual({ url: 'https://hooks.example.com/a', events: ['asset.sold'], description: '', isActive: true });
+    expect(() => validateWebhook({ url: 'http://hooks.example.com', events: ['asset.sold'] })).toThrow('https');
+    expect(() => validateWebhook({ url: 'no es url', events: ['asset.sold'] })).toThrow('url no es válida');
+    expect(() => validateWebhook({ url: 'https://hooks.example.com', events: ['asset.bought'] })).toThrow('events');
+  });
+});
+
+describe('getNextDeliveryState', () => {
+  const attempt = (statusCode) => ({ at: 'x', statusCode, error: null, durationMs: 1 });
+
+  it('reintenta errores de red, 429 y 5xx con backoff exponencial', () => {
+    expect(getNextDeliveryState(1, attempt(200), NOW)).toEqual({ status: 'delivered', nextAttemptAt: null });
+    expect(getNextDeliveryState(1, attempt(503), NOW))
+      .toEqual({ status: 'retrying', nextAttemptAt: new Date(NOW + 5 * MINUTE).toISOString() });
+    expect(getNextDeliveryState(3, attempt(null), NOW).nextAttemptAt).toBe(new Date(NOW + 20 * MINUTE).toISOString());
+    expect(getNextDeliveryState(2, attempt(429), NOW).status).toBe('retrying');
+  });
+
+  it('no reintenta otros 4xx ni después del último intento', () => {
+    expect(getNextDeliveryState(1, attempt(404), NOW).status).toBe('failed');
+    expect(getNextDeliveryState(6, attempt(500), NOW).status).toBe('failed');
+  });
+
+  it('no reintenta destinos bloqueados', () => {
+    expect(getNextDeliveryState(1, { ...attempt(null), blocked: true }, NOW).status).toBe('failed');
+  });
+});
+
+describe('emitWebhookEvent', () => {
+  it('registra entregas pending sin enviar nada y el trigger las entrega firmadas', async () => {
+    seedWebhook('w1');
+    seedWebhook('w2', { events: ['asset.sold'] });
+    seedWebhook('w3', { isActive: false });
+    seedWebhook('w4', { userId: 'user2' });
+    axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+
+    const summary = await emitWebhookEvent('user1', 'dividend.paid', { symbol: 'KO' }, { now: NOW });
+
+    expect(summary).toEqual({ queued: 1 });
+    expect(axios.post).not.toHaveBeenCalled();
+    const [pending] = deliveries();
+    expect(pending).toMatchObject({ webhookId: 'w1', status: 'pending', attempts: 0 });
+
+    expect(await deliverPendingWebhook(pending.id, { now: NOW })).toBe('delivered');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    const [url, body] = axios.post.mock.calls[0];
+    const headers = lastHeaders();
+    expect(url).toBe('https://hooks.example.com/portfolio');
+    expect(axios.post.mock.calls[0][2].httpsAgent).toBe(deliveryAgent);
+    expect(JSON.parse(body)).toMatchObject({ event: 'dividend.paid', data: { symbol: 'KO' } });
+    expect(headers['X-Webhook-Event']).toBe('dividend.paid');
+    expect(verifyWebhookSignature(SECRET, headers['X-Webhook-Timestamp'], body, headers['X-Webhook-Signature'])).toBe(true);
+
+    const [delivery] = deliveries();
+    expect(delivery).toMatchObject({ webhookId: 'w1', status: 'delivered', attempts: 1, deliveredAt: new Date(NOW).toISOString() });
+    expect(JSON.parse(body).id).toBe(delivery.id);
+    expect(mockStore.get('webhooks/w1')).toMatchObject({ lastDeliveryStatus: 'delivered' });
+
+    // Un trigger repetido no vuelve a enviar
+    expect(await deliverPendingWebhook(pending.id, { now: NOW })).toBeNull();
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('programa reintentos y los completa con el mismo cuerpo', async () => {
+    seedWebhook('w1');
+    axios.post.mockResolvedValueOnce({ status: 503, data: 'unavailable' });
+
+    await emitWebhookEvent('user1', 'dividend.paid', { symbol: 'KO' }, { now: NOW });
+    expect(await deliverPendingWebhook(deliveries()[0].id, { now: NOW })).toBe('retrying');
+
+    const [pending] = deliveries();
+    expect(pending).toMatchObject({ status: 'retrying', nextAttemptAt: new Date(NOW + 5 * MINUTE).toISOString() });
+    expect(pending.attemptLog[0]).toMatchObject({ statusCode: 503, error: 'HTTP 503: unavailable' });
+
+    // Antes de vencer el backoff no se reintenta
+    expect(await retryPendingDeliveries({ now: NOW + MINUTE })).toMatchObject({ processed: 0 });
+
+    axios.post.mockResolvedValueOnce({ status: 204, data: '' });
+    const retry = await retryPendingDeliveries({ now: NOW + 5 * MINUTE });
+
+    expect(retry).toEqual({ processed: 1, delivered: 1, retrying: 0, failed: 0 });
+    expect(axios.post.mock.calls[1][1]).toBe(axios.post.mock.calls[0][1]);
+    expect(deliveries()[0]).toMatchObject({ status: 'delivered', attempts: 2 });
+    expect(deliveries()[0].attemptLog).toHaveLength(2);
+  });
+
+  it('el reintento programado envía las entregas pending que el trigger no procesó', async () => {
+    seedWebhook('w1');
+    axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+    await emitWebhookEvent('user1', 'dividend.paid', {}, { now: NOW });
+
+    expect(await retryPendingDeliveries({ now: NOW + MINUTE })).toMatchObject({ processed: 0 });
+    expect(await retryPendingDeliveries({ now: NOW + 5 * MINUTE })).toEqual({ processed: 1, delivered: 1, retrying: 0, failed: 0 });
+    expect(deliveries()[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+  });
+
+  it('no lanza ante errores de red y falla las entregas de endpoints eliminados', async () => {
+    seedWebhook('w1');
+    axios.post.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await emitWebhookEvent('user1', 'dividend.paid', {}, { now: NOW });
+    expect(await deliverPendingWebhook(deliveries()[0].id, { now: NOW })).toBe('retrying');
+    expect(deliveries()[0].attemptLog[0]).toMatchObject({ statusCode: null, error: 'ECONNREFUSED' });
+
+    mockStore.delete('webhooks/w1');
+    const retry = await retryPendingDeliveries({ now: NOW + 10 * MINUTE });
+
+    expect(retry).toMatchObject({ processed: 1, failed: 1 });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(deliveries()[0].status).toBe('failed');
+  });
+
+  it('marca failed sin lanzar si no puede registrar las entregas', async () => {
+    seedWebhook('w1');
+
+    expect(await emitWebhookEvent('user1', 'dividend.paid', { amount: 1n }, { now: NOW })).toEqual({ queued: 0, failed: true });
+    expect(deliveries()).toEqual([]);
+  });
+});
+
+describe('destinos no públicos', () => {
+  it('rechaza al registrar urls que resuelven a loopback, link-local o redes privadas', async () => {
+    mockHosts.set('internal.example.com', '10.0.0.5');
+    mockHosts.set('metadata.example.com', '169.254.169.254');
+    const create = (url) => createWebhook('user1', { url, events: ['asset.sold'] });
+
+    await expect(create('https://127.0.0.1/hook')).rejects.toThrow('dirección no pública (127.0.0.1 → 127.0.0.1)');
+    await expect(create('https://[::1]/hook')).rejects.toThrow('dirección no pública');
+    await expect(create('https://[::ffff:192.168.1.1]/hook')).rejects.toThrow('dirección no pública');
+    await expect(create('https://internal.example.com/hook')).rejects.toThrow('(internal.example.com → 10.0.0.5)');
+    await expect(create('https://metadata.example.com/hook')).rejects.toThrow('169.254.169.254');
+    await expect(create('https://missing.example.com/hook')).rejects.toThrow('No se pudo resolver missing.example.com');
+    expect(await listWebhooks('user1')).toEqual([]);
+
+    const webhook = await create('https://hooks.example.com/a');
+    await expect(updateWebhook('user1', webhook.id, { url: 'https://internal.example.com/a' })).rejects.toThrow('dirección no pública');
+    expect(mockStore.get(`webhooks/${webhook.id}`).url).toBe('https://hooks.example.com/a');
+  });
+
+  it('falla sin reintentar la entrega si el host pasó a resolver a una dirección privada', async () => {
+    seedWebhook('w1');
+    await emitWebhookEvent('user1', 'dividend.paid', {}, { now: NOW });
+    mockHosts.set('hooks.example.com', '192.168.0.10');
+
+    expect(await deliverPendingWebhook(deliveries()[0].id, { now: NOW })).toBe('failed');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(deliveries()[0].attemptLog[0]).toMatchObject({ statusCode: null, blocked: true, error: expect.stringContaining('192.168.0.10') });
+  });
+
+  it('falla sin reintentar si el agente rechaza la dirección al conectar', async () => {
+    seedWebhook('w1');
+    const error = new Error('url apunta a una dirección no pública (hooks.example.com → 127.0.0.1)');
+    axios.post.mockRejectedValueOnce(Object.assign(new Error(error.message), { cause: Object.assign(error, { blocked: true }) }));
+
+    await emitWebhookEvent('user1', 'dividend.paid', {}, { now: NOW });
+
+    expect(await deliverPendingWebhook(deliveries()[0].id, { now: NOW })).toBe('failed');
+    expect(deliveries()[0].attemptLog[0]).toMatchObject({ blocked: true });
+  });
+});
+
+describe('CRUD de webhooks', () => {
+  it('devuelve el secreto solo al crear y al rotar', async () => {
+    const webhook = await createWebhook('user1', { url: 'https://hooks.example.com/a', events: ['asset.sold'] });
+    expect(webhook.secret).toMatch(/^whsec_/);
+
+    const [listed] = await listWebhooks('user1');
+    expect(listed).toMatchObject({ id: webhook.id, hasSecret: true });
+    expect(listed.secret).toBeUndefined();
+
+    const updated = await updateWebhook('user1', webhook.id, { events: ['asset.sold', 'dividend.paid'] });
+    expect(updated).toMatchObject({ url: 'https://hooks.example.com/a', events: ['asset.sold', 'dividend.paid'] });
+    expect(updated.secret).toBeUndefined();
+
+    const secret = await rotateWebhookSecret('user1', webhook.id);
+    expect(secret).not.toBe(webhook.secret);
+    expect(mockStore.get(`webhooks/${webhook.id}`).secret).toBe(secret);
+
+    expect(await updateWebhook('user2', webhook.id, { isActive: false })).toBeNull();
+    expect(await rotateWebhookSecret('user2', webhook.id)).toBeNull();
+    expect(await deleteWebhook('user2', webhook.id)).toBe(false);
+    expect(await deleteWebhook('user1', webhook.id)).toBe(true);
+    expect(await listWebhooks('user1')).toEqual([]);
+  });
+
+  it('lista el registro de entregas sin el cuerpo', async () => {
+    mockStore.set('webhookDeliveries/d1', { userId: 'user1', webhookId: 'w1', body: '{}', createdAt: '2024-06-10T00:00:00.000Z' });
+    mockStore.set('webhookDeliveries/d2', { userId: 'user1', webhookId: 'w2', body: '{}', createdAt: '2024-06-11T00:00:00.000Z' });
+
+    const all = await getWebhookDeliveries('user1');
+    expect(all.map(d => d.id)).toEqual(['d2', 'd1']);
+    expect(all[0].body).toBeUndefined();
+    expect((await getWebhookDeliveries('user1', { webhookId: 'w1' })).map(d => d.id)).toEqual(['d1']);
+  });
+});
+
+describe('payloads', () => {
+  it('publica solo los campos de la transacción y el resumen por moneda', () => {
+    const data = buildTransactionData('t1', {
+      type: 'sell', assetName: 'AAPL', amount: 2, price: 190, currency: 'USD',
+      userId: 'user1', createdAt: { _methodName: 'serverTimestamp' }, relatedAssets: ['a1']
+    });
+    expect(data).toEqual({ transactionId: 't1', type: 'sell', assetName: 'AAPL', amount: 2, price: 190, currency: 'USD' });
+
+    expect(summarizeByCurrency({
+      date: '2024-06-11',
+      USD: { totalValue: 100, totalROI: 5, assetPerformance: { AAPL_stock: {} } },
+      COP: { totalValue: 400000 }
+    }, PERFORMANCE_FIELDS)).toEqual({ USD: { totalValue: 100, totalROI: 5 }, COP: { totalValue: 400000 } });
+  });
+});
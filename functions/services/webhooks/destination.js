@@ -0,0 +1,101 @@
+/**
+ * Webhook Destination
+ *
+ * Restringe los endpoints a direcciones públicas: una URL que resuelve a
+ * loopback, link-local o una red privada permitiría usar los envíos para
+ * alcanzar servicios internos (SSRF). Se valida al registrar el endpoint y
+ * antes de cada entrega; además, el agente HTTPS de las entregas vuelve a
+ * verificar las direcciones al conectar, así que un cambio de DNS entre la
+ * validación y el envío no la evita.
+ *
+ * @module services/webhooks/destination
+ */
+
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const { WEBHOOK_BLOCKED_RANGES } = require('./types');
+
+const blockList = new net.BlockList();
+WEBHOOK_BLOCKED_RANGES.forEach(([network, prefix, family]) => blockList.addSubnet(network, prefix, family));
+
+/**
+ * Error de destino no público (sin `code`: los handlers lo devuelven como invalid-argument)
+ * @param {string} host
+ * @param {string} address
+ * @returns {Error} Con `blocked: true`
+ */
+function blockedDestinationError(host, address) {
+  return Object.assign(new Error(`url apunta a una dirección no pública (${host} → ${address})`), { blocked: true });
+}
+
+/**
+ * Indica si una IP es pública
+ * @param {string} address - IPv4 o IPv6
+ * @returns {boolean} false si no es una IP o está en WEBHOOK_BLOCKED_RANGES
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Verifica que el host de la URL resuelva solo a direcciones públicas
+ *
+ * @param {string} url - URL del endpoint
+ * @returns {Promise<void>}
+ * @throws {Error} Con `blocked: true` si alguna dirección no es pública, o sin
+ *   él si el host no resuelve
+ */
+async function assertPublicDestination(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`No se pudo resolver ${host}`);
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked) {
+    throw blockedDestinationError(host, blocked);
+  }
+}
+
+/**
+ * lookup de DNS para el agente de entregas: resuelve y rechaza la conexión
+ * si alguna dirección no es pública
+ *
+ * @param {string} hostname
+ * @param {Object|number} options - Opciones de dns.lookup (o familia)
+ * @param {Function} callback
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  const lookupOptions = typeof options === 'object' && options !== null ? options : { family: options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(blockedDestinationError(hostname, blocked.address));
+
+    if (lookupOptions.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** Agente HTTPS de las entregas (verifica las direcciones al conectar) */
+const deliveryAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+module.exports = {
+  isPublicAddress,
+  assertPublicDestination,
+  publicOnlyLookup,
+  deliveryAgent
+};
@@ -0,0 +1,35 @@
+/**
+ * Webhooks Module Index
+ *
+ * Exporta los webhooks salientes (endpoints del usuario, emisión de eventos
+ * firmados con HMAC, reintentos y registro de entregas).
+ *
+ * @module services/webhooks
+ */
+
+const types = require('./types');
+const signing = require('./signing');
+const payloads = require('./payloads');
+const destination = require('./destination');
+const webhookService = require('./webhookService');
+
+module.exports = {
+  // Tipos y constantes
+  types,
+  ...types,
+
+  // Servicio principal
+  ...webhookService,
+  verifyWebhookSignature: signing.verifyWebhookSignature,
+  buildTransactionData: payloads.buildTransactionData,
+  summarizeByCurrency: payloads.summarizeByCurrency,
+  PERFORMANCE_FIELDS: payloads.PERFORMANCE_FIELDS,
+  CONSOLIDATION_FIELDS: payloads.CONSOLIDATION_FIELDS,
+  isPublicAddress: destination.isPublicAddress,
+
+  // Servicios individuales
+  signing,
+  payloads,
+  destination,
+  webhookService
+};
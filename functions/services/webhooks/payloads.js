@@ -0,0 +1,67 @@
+/**
+ * Webhook Payloads
+ *
+ * Arma el `data` de cada evento a partir de los documentos que escriben los
+ * emisores, sin campos internos (FieldValue de Firestore, lotes
+ * relacionados, desglose por activo).
+ *
+ * @module services/webhooks/payloads
+ */
+
+/** Campos de una transacción que se publican */
+const TRANSACTION_FIELDS = [
+  'type', 'assetId', 'assetName', 'symbol', 'assetType', 'amount', 'price',
+  'currency', 'date', 'portfolioAccountId', 'commission', 'valuePnL',
+  'costBasisMethod', 'grossAmount', 'taxDeductionAmount', 'reinvested', 'description'
+];
+
+/** Campos del rendimiento diario por moneda */
+const PERFORMANCE_FIELDS = [
+  'totalValue', 'totalInvestment', 'totalROI', 'dailyChangePercentage',
+  'adjustedDailyChangePercentage', 'unrealizedProfitAndLoss', 'doneProfitAndLoss'
+];
+
+/** Campos de la consolidación mensual por moneda */
+const CONSOLIDATION_FIELDS = ['startTotalValue', 'endTotalValue', 'periodReturn'];
+
+/**
+ * Datos de una transacción para el evento
+ *
+ * @param {string} id - ID del documento en `transactions`
+ * @param {Object} transaction - Documento escrito
+ * @returns {Object}
+ */
+function buildTransactionData(id, transaction) {
+  const data = { transactionId: id };
+  TRANSACTION_FIELDS.forEach(field => {
+    if (transaction[field] !== undefined) data[field] = transaction[field];
+  });
+  return data;
+}
+
+/**
+ * Resumen por moneda de un documento de rendimiento (claves de 3 letras en
+ * mayúscula, p. ej. USD, COP)
+ *
+ * @param {Object} doc - Documento de portfolioPerformance o consolidado
+ * @param {string[]} fields - Campos a conservar de cada moneda
+ * @returns {Object.<string, Object>}
+ */
+function summarizeByCurrency(doc, fields) {
+  const summary = {};
+  Object.entries(doc || {}).forEach(([key, value]) => {
+    if (!/^[A-Z]{3}$/.test(key) || !value || typeof value !== 'object') return;
+    summary[key] = {};
+    fields.forEach(field => {
+      if (value[field] !== undefined) summary[key][field] = value[field];
+    });
+  });
+  return summary;
+}
+
+module.exports = {
+  PERFORMANCE_FIELDS,
+  CONSOLIDATION_FIELDS,
+  buildTransactionData,
+  summarizeByCurrency
+};
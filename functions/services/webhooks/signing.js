@@ -0,0 +1,55 @@
+/**
+ * Webhook Signing
+ *
+ * Firma HMAC-SHA256 de las entregas. El receptor recalcula la firma sobre
+ * `${timestamp}.${body}` con su secreto y la compara con el header
+ * X-Webhook-Signature ("sha256=<hex>"). El timestamp firmado permite
+ * rechazar entregas repetidas fuera de una ventana de tiempo.
+ *
+ * @module services/webhooks/signing
+ */
+
+const crypto = require('crypto');
+const { WEBHOOK_SECRET_PREFIX } = require('./types');
+
+/**
+ * Genera un secreto nuevo
+ * @returns {string} whsec_ + 64 caracteres hex
+ */
+function generateWebhookSecret() {
+  return `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Firma una entrega
+ *
+ * @param {string} secret
+ * @param {number|string} timestamp - Segundos epoch enviados en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo JSON exacto
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verifica la firma de una entrega (referencia para los receptores)
+ *
+ * @param {string} secret
+ * @param {number|string} timestamp
+ * @param {string} body
+ * @param {string} signature - Valor de X-Webhook-Signature
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature
+};
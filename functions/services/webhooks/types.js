@@ -0,0 +1,164 @@
+/**
+ * Webhooks Types
+ *
+ * Tipos y constantes para los webhooks salientes: endpoints registrados por
+ * el usuario que reciben eventos del portafolio firmados con HMAC.
+ *
+ * @module services/webhooks/types
+ */
+
+/**
+ * Evento de webhook
+ * - transaction.created: compra, venta o movimiento de efectivo registrado por el usuario
+ * - asset.sold: venta de un lote o de varios lotes del mismo ticker
+ * - dividend.paid: pago de dividendo registrado por processDividendPayments
+ * - performance.computed: rendimiento del día al cierre del mercado
+ * - consolidation.completed: consolidación mensual del mes anterior
+ * @typedef {'transaction.created' | 'asset.sold' | 'dividend.paid' | 'performance.computed' | 'consolidation.completed'} WebhookEvent
+ */
+
+/**
+ * Documento de `webhooks`
+ * @typedef {Object} Webhook
+ * @property {string} id - ID del documento
+ * @property {string} userId - Dueño del endpoint
+ * @property {string} url - URL https que recibe los eventos
+ * @property {WebhookEvent[]} events - Eventos suscritos
+ * @property {string} secret - Secreto HMAC (solo se devuelve al crear o rotar)
+ * @property {string} [description] - Descripción del usuario
+ * @property {boolean} isActive - Si recibe eventos
+ * @property {string|null} lastDeliveryAt - Último intento (ISO)
+ * @property {string|null} lastDeliveryStatus - Estado del último intento
+ */
+
+/**
+ * Intento de entrega
+ * @typedef {Object} DeliveryAttempt
+ * @property {string} at - ISO
+ * @property {number|null} statusCode - HTTP status de la respuesta (null si no hubo respuesta)
+ * @property {string|null} error - Error de red o cuerpo de la respuesta fallida
+ * @property {number} durationMs
+ * @property {boolean} [blocked] - El destino resolvió a una dirección no pública (no se reintenta)
+ */
+
+/**
+ * Documento de `webhookDeliveries` (registro de entregas)
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - ID del documento (header X-Webhook-Delivery)
+ * @property {string} webhookId
+ * @property {string} userId
+ * @property {WebhookEvent} event
+ * @property {string} url - URL al momento del evento
+ * @property {string} body - JSON enviado (idéntico en cada reintento)
+ * @property {'pending' | 'delivered' | 'retrying' | 'failed'} status - pending hasta el primer intento
+ * @property {number} attempts - Intentos realizados
+ * @property {DeliveryAttempt[]} attemptLog - Detalle de cada intento
+ * @property {string|null} nextAttemptAt - Próximo reintento (ISO) si status es retrying
+ * @property {string} createdAt - ISO
+ * @property {string|null} deliveredAt - ISO
+ */
+
+/** Colección de endpoints */
+const WEBHOOKS_COLLECTION = 'webhooks';
+
+/** Colección del registro de entregas */
+const WEBHOOK_DELIVERIES_COLLECTION = 'webhookDeliveries';
+
+/** Eventos soportados */
+const WEBHOOK_EVENTS = {
+  TRANSACTION_CREATED: 'transaction.created',
+  ASSET_SOLD: 'asset.sold',
+  DIVIDEND_PAID: 'dividend.paid',
+  PERFORMANCE_COMPUTED: 'performance.computed',
+  CONSOLIDATION_COMPLETED: 'consolidation.completed'
+};
+
+/** Estados de una entrega */
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  RETRYING: 'retrying',
+  FAILED: 'failed'
+};
+
+/** Headers de cada entrega */
+const WEBHOOK_HEADERS = {
+  EVENT: 'X-Webhook-Event',
+  DELIVERY: 'X-Webhook-Delivery',
+  TIMESTAMP: 'X-Webhook-Timestamp',
+  SIGNATURE: 'X-Webhook-Signature'
+};
+
+/** Prefijo de los secretos generados */
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+/** Intentos totales por entrega (el primero al registrarla, el resto programados) */
+const MAX_DELIVERY_ATTEMPTS = 6;
+
+/**
+ * Minutos tras los cuales retryWebhookDeliveries envía una entrega que sigue
+ * pending (el trigger de primer intento no la procesó)
+ */
+const STALE_PENDING_MINUTES = 5;
+
+/**
+ * Espera antes del reintento N: base * 2^(N-1) → 5, 10, 20, 40, 80 minutos.
+ * La base coincide con la frecuencia de retryWebhookDeliveries.
+ */
+const RETRY_BASE_DELAY_MINUTES = 5;
+
+/** Entregas pendientes procesadas por ejecución del reintento programado */
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Rangos no públicos a los que no se envían webhooks: [red, prefijo, familia].
+ * Las IPv4 mapeadas en IPv6 (::ffff:a.b.c.d) se evalúan con las reglas IPv4
+ */
+const WEBHOOK_BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // CGNAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local (metadata de la nube)
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reservada y broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'], // loopback
+  ['fc00::', 7, 'ipv6'], // ULA
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+/** Timeout de cada intento */
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/** Caracteres del cuerpo de respuesta que se guardan en el registro */
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+/** Endpoints por usuario */
+const MAX_WEBHOOKS_PER_USER = 10;
+
+/** Entregas devueltas por defecto en el historial */
+const DEFAULT_DELIVERY_HISTORY_LIMIT = 50;
+
+module.exports = {
+  WEBHOOKS_COLLECTION,
+  WEBHOOK_DELIVERIES_COLLECTION,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_HEADERS,
+  WEBHOOK_SECRET_PREFIX,
+  MAX_DELIVERY_ATTEMPTS,
+  STALE_PENDING_MINUTES,
+  RETRY_BASE_DELAY_MINUTES,
+  RETRY_BATCH_SIZE,
+  WEBHOOK_BLOCKED_RANGES,
+  WEBHOOK_TIMEOUT_MS,
+  MAX_LOGGED_RESPONSE_LENGTH,
+  MAX_WEBHOOKS_PER_USER,
+  DEFAULT_DELIVERY_HISTORY_LIMIT
+};
@@ -0,0 +1,519 @@
+/**
+ * Webhook Service
+ *
+ * Webhooks salientes por usuario:
+ * - Alta, edición, baja, rotación de secreto y consulta de endpoints (`webhooks`)
+ * - Emisión de eventos: un documento pending por entrega en `webhookDeliveries`
+ * - Primer intento desde deliverWebhookOnCreate (trigger al crear la entrega)
+ * - Reintentos con backoff exponencial desde retryWebhookDeliveries
+ *
+ * emitWebhookEvent solo escribe en Firestore y nunca lanza: los emisores
+ * (handlers y funciones programadas) no esperan ni fallan por un endpoint
+ * lento o caído.
+ *
+ * Las urls deben resolver solo a direcciones públicas: se comprueba al
+ * registrarlas y en cada envío (destination.js), para que un cambio de DNS
+ * no lleve la entrega a la red interna.
+ *
+ * @module services/webhooks/webhookService
+ */
+
+const axios = require('axios');
+const admin = require('../firebaseAdmin');
+const { generateWebhookSecret, signWebhookPayload } = require('./signing');
+const { assertPublicDestination, deliveryAgent } = require('./destination');
+const {
+  WEBHOOKS_COLLECTION,
+  WEBHOOK_DELIVERIES_COLLECTION,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_HEADERS,
+  MAX_DELIVERY_ATTEMPTS,
+  STALE_PENDING_MINUTES,
+  RETRY_BASE_DELAY_MINUTES,
+  RETRY_BATCH_SIZE,
+  WEBHOOK_TIMEOUT_MS,
+  MAX_LOGGED_RESPONSE_LENGTH,
+  MAX_WEBHOOKS_PER_USER,
+  DEFAULT_DELIVERY_HISTORY_LIMIT
+} = require('./types');
+
+const db = admin.firestore();
+
+const EVENT_VALUES = Object.values(WEBHOOK_EVENTS);
+
+/**
+ * Endpoint sin el secreto (para listados)
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @returns {Object}
+ */
+function toPublicWebhook(doc) {
+  const { secret, createdAt, updatedAt, ...data } = doc.data();
+  return { id: doc.id, ...data, hasSecret: Boolean(secret) };
+}
+
+// ============================================================================
+// VALIDACIÓN
+// ============================================================================
+
+/**
+ * Valida y normaliza los datos de un endpoint
+ *
+ * Solo revisa el formato; que el host resuelva a direcciones públicas lo
+ * comprueba assertPublicDestination.
+ *
+ * @param {Object} data - Datos recibidos
+ * @returns {{url: string, events: string[], description: string, isActive: boolean}}
+ * @throws {Error} Si los datos no son válidos
+ */
+function validateWebhook(data = {}) {
+  let url;
+  try {
+    url = new URL(String(data.url || ''));
+  } catch (error) {
+    throw new Error('url no es válida');
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error('url debe usar https');
+  }
+
+  if (!Array.isArray(data.events) || data.events.length === 0 || data.events.some(event => !EVENT_VALUES.includes(event))) {
+    throw new Error(`events debe ser una lista con: ${EVENT_VALUES.join(', ')}`);
+  }
+
+  return {
+    url: url.toString(),
+    events: [...new Set(data.events)],
+    description: data.description ? String(data.description).slice(0, 200) : '',
+    isActive: data.isActive === undefined ? true : Boolean(data.isActive)
+  };
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * Registra un endpoint. El secreto solo se devuelve aquí y al rotarlo.
+ *
+ * @param {string} userId
+ * @param {Object} data - url, events, description
+ * @returns {Promise<import('./types').Webhook>}
+ * @throws {Error} Si los datos no son válidos, la url no resuelve a una
+ *   dirección pública o se alcanzó MAX_WEBHOOKS_PER_USER
+ */
+async function createWebhook(userId, data) {
+  const normalized = validateWebhook(data);
+  await assertPublicDestination(normalized.url);
+
+  const existing = await db.collection(WEBHOOKS_COLLECTION).where('userId', '==', userId).get();
+  if (existing.docs.length >= MAX_WEBHOOKS_PER_USER) {
+    throw new Error(`Se alcanzó el máximo de ${MAX_WEBHOOKS_PER_USER} webhooks`);
+  }
+
+  const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc();
+  const webhook = {
+    id: webhookRef.id,
+    userId,
+    ...normalized,
+    secret: generateWebhookSecret(),
+    lastDeliveryAt: null,
+    lastDeliveryStatus: null
+  };
+  await webhookRef.set({
+    ...webhook,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return webhook;
+}
+
+/**
+ * Obtiene un endpoint del usuario
+ * @param {string} userId
+ * @param {string} webhookId
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function getOwnedWebhookDoc(userId, webhookId) {
+  const doc = await db.collection(WEBHOOKS_COLLECTION).doc(webhookId).get();
+  return doc.exists && doc.data().userId === userId ? doc : null;
+}
+
+/**
+ * Edita url, eventos, descripción o estado de un endpoint
+ *
+ * @param {string} userId
+ * @param {string} webhookId
+ * @param {Object} data - Campos a cambiar
+ * @returns {Promise<Object|null>} Endpoint sin secreto, o null si no existe o es de otro usuario
+ * @throws {Error} Si los datos resultantes no son válidos o la url no resuelve a una dirección pública
+ */
+async function updateWebhook(userId, webhookId, data) {
+  const doc = await getOwnedWebhookDoc(userId, webhookId);
+  if (!doc) return null;
+
+  const current = doc.data();
+  const normalized = validateWebhook({
+    url: data.url ?? current.url,
+    events: data.events ?? current.events,
+    description: data.description ?? current.description,
+    isActive: data.isActive ?? current.isActive
+  });
+  await assertPublicDestination(normalized.url);
+
+  await doc.ref.update({ ...normalized, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  const { secret, createdAt, updatedAt, ...rest } = current;
+  return { id: webhookId, ...rest, ...normalized, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Genera un secreto nuevo para el endpoint
+ *
+ * @param {string} userId
+ * @param {string} webhookId
+ * @returns {Promise<string|null>} Secreto nuevo, o null si no existe o es de otro usuario
+ */
+async function rotateWebhookSecret(userId, webhookId) {
+  const doc = await getOwnedWebhookDoc(userId, webhookId);
+  if (!doc) return null;
+
+  const secret = generateWebhookSecret();
+  await doc.ref.update({ secret, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return secret;
+}
+
+/**
+ * Elimina un endpoint. Sus entregas pendientes quedan fallidas en el
+ * siguiente reintento.
+ *
+ * @param {string} userId
+ * @param {string} webhookId
+ * @returns {Promise<boolean>} false si no existe o es de otro usuario
+ */
+async function deleteWebhook(userId, webhookId) {
+  const doc = await getOwnedWebhookDoc(userId, webhookId);
+  if (!doc) return false;
+
+  await doc.ref.delete();
+  return true;
+}
+
+/**
+ * Endpoints del usuario (sin secreto)
+ *
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listWebhooks(userId) {
+  const snapshot = await db.collection(WEBHOOKS_COLLECTION).where('userId', '==', userId).get();
+  return snapshot.docs.map(toPublicWebhook);
+}
+
+/**
+ * Registro de entregas del usuario, de la más reciente a la más antigua
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Solo las de un endpoint
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>} Entregas sin el cuerpo enviado
+ */
+async function getWebhookDeliveries(userId, { webhookId, limit = DEFAULT_DELIVERY_HISTORY_LIMIT } = {}) {
+  let query = db.collection(WEBHOOK_DELIVERIES_COLLECTION).where('userId', '==', userId);
+  if (webhookId) query = query.where('webhookId', '==', webhookId);
+
+  const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs.map(doc => {
+    const { body, ...delivery } = doc.data();
+    return { id: doc.id, ...delivery };
+  });
+}
+
+// ============================================================================
+// ENTREGA
+// ============================================================================
+
+/**
+ * Espera antes del siguiente intento
+ * @param {number} attempts - Intentos ya realizados (>= 1)
+ * @returns {number} ms
+ */
+function getRetryDelayMs(attempts) {
+  return RETRY_BASE_DELAY_MINUTES * 60 * 1000 * Math.pow(2, attempts - 1);
+}
+
+/**
+ * Un intento fallido se reintenta si no hubo respuesta, o si el receptor
+ * respondió 408, 429 o 5xx. El resto de 4xx no mejora reintentando.
+ *
+ * @param {number|null} statusCode
+ * @returns {boolean}
+ */
+function isRetryableStatus(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Estado de la entrega después de un intento
+ *
+ * @param {number} attempts - Intentos realizados, incluido este
+ * @param {import('./types').DeliveryAttempt} attempt
+ * @param {number} now - Epoch en ms
+ * @returns {{status: string, nextAttemptAt: string|null}}
+ */
+function getNextDeliveryState(attempts, attempt, now) {
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    return { status: DELIVERY_STATUS.DELIVERED, nextAttemptAt: null };
+  }
+  if (attempt.blocked || !isRetryableStatus(attempt.statusCode) || attempts >= MAX_DELIVERY_ATTEMPTS) {
+    return { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null };
+  }
+  return {
+    status: DELIVERY_STATUS.RETRYING,
+    nextAttemptAt: new Date(now + getRetryDelayMs(attempts)).toISOString()
+  };
+}
+
+/**
+ * Envía la entrega firmada al endpoint, solo si resuelve a direcciones públicas
+ *
+ * @param {import('./types').Webhook} webhook
+ * @param {import('./types').WebhookDelivery} delivery
+ * @param {number} now - Epoch en ms
+ * @returns {Promise<import('./types').DeliveryAttempt>}
+ */
+async function sendDelivery(webhook, delivery, now) {
+  const timestamp = Math.floor(now / 1000);
+  const startTime = Date.now();
+  let statusCode = null;
+  let error = null;
+  let blocked = false;
+
+  try {
+    await assertPublicDestination(delivery.url);
+    const response = await axios.post(delivery.url, delivery.body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpsAgent: deliveryAgent,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PortfolioWebhooks/1.0',
+        [WEBHOOK_HEADERS.EVENT]: delivery.event,
+        [WEBHOOK_HEADERS.DELIVERY]: delivery.id,
+        [WEBHOOK_HEADERS.TIMESTAMP]: String(timestamp),
+        [WEBHOOK_HEADERS.SIGNATURE]: signWebhookPayload(webhook.secret, timestamp, delivery.body)
+      }
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+      error = `HTTP ${statusCode}: ${responseBody.slice(0, MAX_LOGGED_RESPONSE_LENGTH)}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+    blocked = Boolean(requestError.blocked || requestError.cause?.blocked);
+  }
+
+  return {
+    at: new Date(now).toISOString(),
+    statusCode,
+    error,
+    durationMs: Date.now() - startTime,
+    ...(blocked && { blocked })
+  };
+}
+
+/**
+ * Registra el intento en la entrega y en el endpoint
+ *
+ * @param {import('./types').WebhookDelivery} delivery
+ * @param {import('./types').DeliveryAttempt} attempt
+ * @param {number} now
+ * @returns {Promise<string>} Estado resultante
+ */
+async function recordAttempt(delivery, attempt, now) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const { status, nextAttemptAt } = getNextDeliveryState(attempts, attempt, now);
+
+  await db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(delivery.id).set({
+    ...delivery,
+    status,
+    attempts,
+    attemptLog: [...(delivery.attemptLog || []), attempt],
+    nextAttemptAt,
+    deliveredAt: status === DELIVERY_STATUS.DELIVERED ? attempt.at : null
+  });
+
+  await db.collection(WEBHOOKS_COLLECTION).doc(delivery.webhookId).update({
+    lastDeliveryAt: attempt.at,
+    lastDeliveryStatus: status
+  }).catch(error => {
+    // El endpoint pudo eliminarse entre el envío y el registro
+    console.warn(`[webhookService] No se actualizó el webhook ${delivery.webhookId}: ${error.message}`);
+  });
+
+  return status;
+}
+
+/**
+ * Envía una entrega y registra el intento, con la URL y el secreto vigentes
+ * del endpoint. Si el endpoint fue eliminado o desactivado, la entrega queda
+ * fallida.
+ *
+ * @param {import('./types').WebhookDelivery} delivery
+ * @param {import('./types').Webhook|null} webhook - Endpoint actual (null si no existe)
+ * @param {number} now - Epoch en ms
+ * @returns {Promise<string>} Estado resultante
+ */
+async function attemptDelivery(delivery, webhook, now) {
+  if (!webhook || !webhook.isActive) {
+    await db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(delivery.id).update({
+      status: DELIVERY_STATUS.FAILED,
+      nextAttemptAt: null
+    });
+    return DELIVERY_STATUS.FAILED;
+  }
+
+  const current = { ...delivery, url: webhook.url };
+  const attempt = await sendDelivery(webhook, current, now);
+  return recordAttempt(current, attempt, now);
+}
+
+/**
+ * Obtiene un endpoint por id
+ * @param {string} webhookId
+ * @returns {Promise<import('./types').Webhook|null>}
+ */
+async function getWebhook(webhookId) {
+  const doc = await db.collection(WEBHOOKS_COLLECTION).doc(webhookId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Emite un evento a los endpoints activos del usuario suscritos a él.
+ * Solo registra una entrega pending por endpoint; el envío ocurre después,
+ * en deliverWebhookOnCreate.
+ *
+ * @param {string} userId
+ * @param {import('./types').WebhookEvent} event
+ * @param {Object} data - Datos del evento (ver payloads.js)
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Epoch en ms
+ * @returns {Promise<{queued: number, failed?: boolean}>} Entregas registradas;
+ *   failed si no se pudieron leer los endpoints o registrar las entregas
+ */
+async function emitWebhookEvent(userId, event, data, { now = Date.now() } = {}) {
+  const summary = { queued: 0 };
+
+  try {
+    const snapshot = await db.collection(WEBHOOKS_COLLECTION).where('userId', '==', userId).get();
+    const webhooks = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(webhook => webhook.isActive && (webhook.events || []).includes(event));
+
+    await Promise.all(webhooks.map(webhook => {
+      const deliveryRef = db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc();
+      const createdAt = new Date(now).toISOString();
+      return deliveryRef.set({
+        id: deliveryRef.id,
+        webhookId: webhook.id,
+        userId,
+        event,
+        url: webhook.url,
+        body: JSON.stringify({ id: deliveryRef.id, event, createdAt, data }),
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        attemptLog: [],
+        nextAttemptAt: null,
+        createdAt,
+        deliveredAt: null
+      });
+    }));
+
+    summary.queued = webhooks.length;
+  } catch (error) {
+    console.error(`[webhookService] Error emitiendo ${event} para ${userId}:`, error.message);
+    summary.failed = true;
+  }
+
+  return summary;
+}
+
+/**
+ * Primer intento de una entrega pending (invocado por deliverWebhookOnCreate)
+ *
+ * @param {string} deliveryId
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Epoch en ms
+ * @returns {Promise<string|null>} Estado resultante, o null si la entrega ya no estaba pending
+ */
+async function deliverPendingWebhook(deliveryId, { now = Date.now() } = {}) {
+  const doc = await db.collection(WEBHOOK_DELIVERIES_COLLECTION).doc(deliveryId).get();
+  if (!doc.exists || doc.data().status !== DELIVERY_STATUS.PENDING) return null;
+
+  const delivery = { id: doc.id, ...doc.data() };
+  return attemptDelivery(delivery, await getWebhook(delivery.webhookId), now);
+}
+
+/**
+ * Reintenta las entregas cuyo próximo intento ya venció y envía las pending
+ * que el trigger no procesó en STALE_PENDING_MINUTES (invocado por
+ * retryWebhookDeliveries).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Epoch en ms
+ * @returns {Promise<{processed: number, delivered: number, retrying: number, failed: number}>}
+ */
+async function retryPendingDeliveries({ now = Date.now() } = {}) {
+  const summary = { processed: 0, delivered: 0, retrying: 0, failed: 0 };
+  const deliveries = db.collection(WEBHOOK_DELIVERIES_COLLECTION);
+
+  const [stalePending, dueRetries] = await Promise.all([
+    deliveries
+      .where('status', '==', DELIVERY_STATUS.PENDING)
+      .where('createdAt', '<=', new Date(now - STALE_PENDING_MINUTES * 60 * 1000).toISOString())
+      .orderBy('createdAt', 'asc')
+      .limit(RETRY_BATCH_SIZE)
+      .get(),
+    deliveries
+      .where('status', '==', DELIVERY_STATUS.RETRYING)
+      .where('nextAttemptAt', '<=', new Date(now).toISOString())
+      .orderBy('nextAttemptAt', 'asc')
+      .limit(RETRY_BATCH_SIZE)
+      .get()
+  ]);
+
+  const webhooks = new Map();
+
+  for (const doc of [...stalePending.docs, ...dueRetries.docs]) {
+    const delivery = { id: doc.id, ...doc.data() };
+    summary.processed++;
+
+    if (!webhooks.has(delivery.webhookId)) {
+      webhooks.set(delivery.webhookId, await getWebhook(delivery.webhookId));
+    }
+
+    const status = await attemptDelivery(delivery, webhooks.get(delivery.webhookId), now);
+    summary[status]++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  validateWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listWebhooks,
+  getWebhookDeliveries,
+  getRetryDelayMs,
+  getNextDeliveryState,
+  emitWebhookEvent,
+  deliverPendingWebhook,
+  retryPendingDeliveries
+};
@@ -2,18 +2,21 @@
  * STORY-036: Test Script for /closed-positions endpoint
  * 
  * Ejecutar con: node tests/testClosedPositionsEndpoint.js
- * Requiere: Usuario válido en Firebase
+ * Requiere: Usuario válido en Firebase y su ID token en TEST_ID_TOKEN
+ * (con el Auth Emulator sirve el idToken de accounts:signUp)
  */
 
 const BASE_URL = process.env.API_URL || 'http://localhost:5001/portafolio-inversiones/us-central1/app';
+const TEST_ID_TOKEN = process.env.TEST_ID_TOKEN || '';
 
-async function testEndpoint(name, url, expectedStatus = 200, validate = null) {
+async function testEndpoint(name, url, expectedStatus = 200, validate = null, authenticated = true) {
   try {
     console.log(`\n🧪 Test: ${name}`);
     console.log(`   URL: ${url}`);
     
     const start = Date.now();
-    const response = await fetch(url);
+    const headers = authenticated ? { Authorization: `Bearer ${TEST_ID_TOKEN}` } : {};
+    const response = await fetch(url, { headers });
     const duration = Date.now() - start;
     
     const data = await response.json();
@@ -61,11 +64,12 @@ async function runTests() {
   const results = [];
   const TEST_USER_ID = process.env.TEST_USER_ID || 'test-user-id';
   
-  // Test 1: Missing userId should return 400
+  // Test 1: Missing token should return 401
   results.push(await testEndpoint(
-    'Missing userId returns 400',
+    'Missing token returns 401',
     `${BASE_URL}/closed-positions`,
-    400
+    401,
+    null, false
   ));
   
   // Test 2: Valid request
@@ -0,0 +1,221 @@
+/**
+ * HTTP Auth Middleware Tests
+ *
+ * Verifica el middleware de Firebase ID Token para las rutas HTTP:
+ * - 401 sin token o con token inválido
+ * - uid derivado del token (ignora userId ajeno salvo admins)
+ * - Impersonación con custom claims de admin
+ *
+ * El bloque "Auth Emulator" solo corre con FIREBASE_AUTH_EMULATOR_HOST
+ * definido (firebase emulators:exec --only auth "npx jest httpAuth").
+ */
+
+jest.mock('../../services/firebaseAdmin', () => {
+  const mockAuth = { verifyIdToken: jest.fn() };
+  return {
+    auth: () => mockAuth,
+    __mockAuth: mockAuth,
+  };
+});
+
+const { __mockAuth: mockAuth } = require('../../services/firebaseAdmin');
+const {
+  extractBearerToken,
+  createFirebaseAuthMiddleware,
+  requireFirebaseAuth,
+} = require('../httpAuth');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function createRequest({ authorization, query = {} } = {}) {
+  const headers = authorization ? { authorization } : {};
+  return {
+    query,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function runMiddleware(middleware, req) {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('extractBearerToken', () => {
+  it('should extract token from Bearer header', () => {
+    expect(extractBearerToken(createRequest({ authorization: 'Bearer abc.def' }))).toBe('abc.def');
+    expect(extractBearerToken(createRequest({ authorization: 'bearer  abc' }))).toBe('abc');
+  });
+
+  it('should return null for missing or non-Bearer header', () => {
+    expect(extractBearerToken(createRequest())).toBeNull();
+    expect(extractBearerToken(createRequest({ authorization: 'Basic dXNlcjpwYXNz' }))).toBeNull();
+  });
+});
+
+describe('requireFirebaseAuth', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return 401 when Authorization header is missing', async () => {
+    const { res, next } = await runMiddleware(requireFirebaseAuth, createRequest({ query: { userId: 'user1' } }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, error: 'UNAUTHENTICATED' }));
+    expect(mockAuth.verifyIdToken).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 when token verification fails', async () => {
+    mockAuth.verifyIdToken.mockRejectedValue(Object.assign(new Error('expired'), { code: 'auth/id-token-expired' }));
+
+    const { res, next } = await runMiddleware(requireFirebaseAuth, createRequest({ authorization: 'Bearer bad' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'INVALID_TOKEN' }));
+  });
+
+  it('should derive userId from token when query has none', async () => {
+    mockAuth.verifyIdToken.mockResolvedValue({ uid: 'user1' });
+    const req = createRequest({ authorization: 'Bearer good' });
+
+    const { next } = await runMiddleware(requireFirebaseAuth, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe('user1');
+    expect(req.auth).toEqual({ uid: 'user1', token: { uid: 'user1' }, impersonating: false });
+    expect(mockAuth.verifyIdToken).toHaveBeenCalledWith('good', false);
+  });
+
+  it('should accept a userId matching the token', async () => {
+    mockAuth.verifyIdToken.mockResolvedValue({ uid: 'user1' });
+    const req = createRequest({ authorization: 'Bearer good', query: { userId: 'user1' } });
+
+    const { next } = await runMiddleware(requireFirebaseAuth, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe('user1');
+  });
+
+  it('should reject a different userId for non-admin users', async () => {
+    mockAuth.verifyIdToken.mockResolvedValue({ uid: 'user1' });
+    const req = createRequest({ authorization: 'Bearer good', query: { userId: 'victim' } });
+
+    const { res, next } = await runMiddleware(requireFirebaseAuth, req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'PERMISSION_DENIED' }));
+    expect(req.userId).toBeUndefined();
+  });
+
+  it.each([
+    ['admin claim', { uid: 'admin1', admin: true }],
+    ['role claim', { uid: 'admin1', role: 'admin' }],
+  ])('should allow admin impersonation via %s', async (_label, decoded) => {
+    mockAuth.verifyIdToken.mockResolvedValue(decoded);
+    const req = createRequest({ authorization: 'Bearer good', query: { userId: 'user2' } });
+
+    const { next } = await runMiddleware(requireFirebaseAuth, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe('user2');
+    expect(req.auth.uid).toBe('admin1');
+    expect(req.auth.impersonating).toBe(true);
+  });
+
+  it('should use injected auth instance and checkRevoked option', async () => {
+    const customAuth = { verifyIdToken: jest.fn().mockResolvedValue({ uid: 'user3' }) };
+    const middleware = createFirebaseAuthMiddleware({ auth: customAuth, checkRevoked: true });
+    const req = createRequest({ authorization: 'Bearer token' });
+
+    await runMiddleware(middleware, req);
+
+    expect(customAuth.verifyIdToken).toHaveBeenCalledWith('token', true);
+    expect(mockAuth.verifyIdToken).not.toHaveBeenCalled();
+    expect(req.userId).toBe('user3');
+  });
+});
+
+// ============================================================================
+// AUTH EMULATOR
+// ============================================================================
+
+const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const describeEmulator = emulatorHost ? describe : describe.skip;
+
+describeEmulator('requireFirebaseAuth (Auth Emulator)', () => {
+  const firebaseAdmin = jest.requireActual('firebase-admin');
+  const projectId = process.env.GCLOUD_PROJECT || 'demo-portafolio';
+  let emulatorApp;
+  let middleware;
+
+  async function signIn(email, password, endpoint) {
+    const response = await fetch(
+      `http://${emulatorHost}/identitytoolkit.googleapis.com/v1/accounts:${endpoint}?key=fake-api-key`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password, returnSecureToken: true }),
+      }
+    );
+    return response.json();
+  }
+
+  beforeAll(() => {
+    emulatorApp = firebaseAdmin.initializeApp({ projectId }, 'httpAuth-emulator-test');
+    middleware = createFirebaseAuthMiddleware({ auth: emulatorApp.auth() });
+  });
+
+  afterAll(async () => {
+    await emulatorApp.delete();
+  });
+
+  it('should verify an emulator ID token and reject other users', async () => {
+    const email = `user-${Date.now()}@test.com`;
+    const { idToken, localId } = await signIn(email, 'secret123', 'signUp');
+
+    const ownReq = createRequest({ authorization: `Bearer ${idToken}` });
+    const own = await runMiddleware(middleware, ownReq);
+    expect(own.next).toHaveBeenCalled();
+    expect(ownReq.userId).toBe(localId);
+
+    const otherReq = createRequest({ authorization: `Bearer ${idToken}`, query: { userId: 'someone-else' } });
+    const other = await runMiddleware(middleware, otherReq);
+    expect(other.res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should allow impersonation with admin custom claims', async () => {
+    const email = `admin-${Date.now()}@test.com`;
+    const { localId } = await signIn(email, 'secret123', 'signUp');
+    await emulatorApp.auth().setCustomUserClaims(localId, { admin: true });
+    const { idToken } = await signIn(email, 'secret123', 'signInWithPassword');
+
+    const req = createRequest({ authorization: `Bearer ${idToken}`, query: { userId: 'someone-else' } });
+    const { next } = await runMiddleware(middleware, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe('someone-else');
+  });
+});
@@ -222,14 +222,23 @@ describe('getRateLimitConfig', () => {
     expect(config.windowMs).toBe(60000);
   });
 
-  it('should have config for all 22 functions', () => {
+  it('should have config for all 53 functions', () => {
     const expectedFunctions = [
       'getHistoricalReturns', 'getMultiAccountHistoricalReturns',
+      'exportPortfolioData', 'getTaxReport', 'getRebalancePlan',
       'createAsset', 'sellAsset', 'sellPartialAssetsFIFO', 'addCashTransaction',
+      'importTransactions',
       'updateAsset', 'deleteAsset', 'deleteAssets', 'updateStockSector',
-      'getCurrentPricesForUser', 'getIndexHistory',
+      'getCurrentPricesForUser', 'getIndexHistory', 'getDividendCalendar',
       'addCurrency', 'updateCurrency', 'deleteCurrency', 
       'updateDefaultCurrency', 'updateUserCountry', 'updateUserDisplayName',
+      'issueApiKey', 'rotateApiKey', 'revokeApiKey', 'recordCorporateAction',
+      'backfillFxHistory', 'importRiskFreeRates',
+      'createAlert', 'updateAlert', 'deleteAlert', 'getAlerts',
+      'createWebhook', 'updateWebhook', 'rotateWebhookSecret', 'deleteWebhook', 'getWebhooks',
+      'setTargetAllocation', 'getTargetAllocations', 'deleteTargetAllocation',
+      'setBenchmarkPreference', 'getBenchmarkPreferences', 'deleteBenchmarkPreference',
+      'createWatchlist', 'updateWatchlist', 'deleteWatchlist', 'getWatchlists', 'getWatchlistQuotes',
       'addPortfolioAccount', 'updatePortfolioAccount', 
       'deletePortfolioAccount', 'updatePortfolioAccountBalance',
     ];
@@ -240,6 +249,6 @@ describe('getRateLimitConfig', () => {
       expect(RATE_LIMITS[fn].windowMs).toBe(60000);
     });
     
-    expect(Object.keys(RATE_LIMITS).length).toBe(22);
+    expect(Object.keys(RATE_LIMITS).length).toBe(53);
   });
 });
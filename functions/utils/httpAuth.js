@@ -0,0 +1,121 @@
+/**
+ * HTTP Authentication - Middleware Express con Firebase ID Token
+ *
+ * Verifica el header `Authorization: Bearer <idToken>` y deriva el uid del
+ * token en lugar de confiar en el parámetro `userId` del query string.
+ *
+ * Impersonación: un admin (según isAdmin de utils/authorization) puede
+ * enviar `userId` para consultar los datos de otro usuario. Para el resto,
+ * un `userId` distinto al del token se rechaza con 403.
+ *
+ * Emulador: firebase-admin acepta los tokens del Auth Emulator cuando
+ * FIREBASE_AUTH_EMULATOR_HOST está definido, sin cambios en este módulo.
+ *
+ * @module utils/httpAuth
+ * @see utils/authorization.js
+ */
+
+const admin = require('../services/firebaseAdmin');
+const { isAdmin } = require('./authorization');
+
+// ============================================================================
+// UTILIDADES
+// ============================================================================
+
+/**
+ * Extrae el ID token del header Authorization
+ *
+ * @param {Object} req - Request de Express
+ * @returns {string|null} Token o null si no viene en formato Bearer
+ */
+function extractBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Envía una respuesta de error con el formato de los endpoints HTTP
+ *
+ * @param {Object} res - Response de Express
+ * @param {number} status - Código HTTP
+ * @param {string} error - Código de error
+ * @param {string} message - Mensaje para el cliente
+ */
+function sendAuthError(res, status, error, message) {
+  res.status(status).json({ success: false, error, message });
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Crea el middleware de autenticación por Firebase ID Token.
+ *
+ * Al pasar, deja en el request:
+ * - req.auth: { uid, token, impersonating } (mismo shape que context.auth)
+ * - req.userId: uid efectivo (el del token o el impersonado por un admin)
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.auth] - Instancia de Auth (default: admin.auth())
+ * @param {boolean} [options.checkRevoked=false] - Verificar revocación del token (consulta extra)
+ * @returns {function(Object, Object, function): Promise<void>} Middleware Express
+ *
+ * @example
+ * app.get('/risk-metrics', requireFirebaseAuth, async (req, res) => {
+ *   const result = await calculateRiskMetrics(req.userId, {...});
+ * });
+ */
+function createFirebaseAuthMiddleware(options = {}) {
+  const { checkRevoked = false } = options;
+
+  return async function firebaseAuthMiddleware(req, res, next) {
+    const idToken = extractBearerToken(req);
+
+    if (!idToken) {
+      return sendAuthError(res, 401, 'UNAUTHENTICATED',
+        'Se requiere el header Authorization: Bearer <idToken>');
+    }
+
+    let decodedToken;
+    try {
+      const auth = options.auth || admin.auth();
+      decodedToken = await auth.verifyIdToken(idToken, checkRevoked);
+    } catch (error) {
+      console.warn(`[httpAuth] Token inválido: ${error.code || error.message}`);
+      return sendAuthError(res, 401, 'INVALID_TOKEN', 'El token de autenticación no es válido o ha expirado');
+    }
+
+    const context = { auth: { uid: decodedToken.uid, token: decodedToken } };
+    const requestedUserId = req.query.userId;
+    const impersonating = Boolean(requestedUserId) && requestedUserId !== decodedToken.uid;
+
+    if (impersonating) {
+      if (!isAdmin(context)) {
+        console.warn(`[httpAuth] Acceso denegado: ${decodedToken.uid} solicitó datos de ${requestedUserId}`);
+        return sendAuthError(res, 403, 'PERMISSION_DENIED', 'No tienes permiso para acceder a este recurso');
+      }
+
+      console.log(`[httpAuth] Admin ${decodedToken.uid} accediendo a recurso de ${requestedUserId}`);
+    }
+
+    req.auth = { ...context.auth, impersonating };
+    req.userId = impersonating ? requestedUserId : decodedToken.uid;
+
+    return next();
+  };
+}
+
+/** Middleware con la configuración por defecto */
+const requireFirebaseAuth = createFirebaseAuthMiddleware();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  extractBearerToken,
+  createFirebaseAuthMiddleware,
+  requireFirebaseAuth,
+};
@@ -94,15 +94,44 @@ const calculateTotalROIAndReturns = (totalInvestment, totalValue, maxDaysInveste
   return { totalROI, dailyReturn, monthlyReturn, annualReturn };
 };
 
+/**
+ * Datos del día anterior de un grupo, ajustados por eventos corporativos
+ * del día (split, reverse split, rename) para que el ajuste de unidades no
+ * se registre como flujo de caja implícito ni como ganancia/pérdida.
+ *
+ * @param {Object} previousByGroup - Datos del día anterior por groupKey
+ * @param {Asset} asset - Cualquier asset del grupo
+ * @param {{unitFactors?: Object.<string, number>, valueFactors?: Object.<string, number>, renames?: Object.<string, string>}} [corporateAdjustments]
+ * @returns {{data: {totalValue?: number, units?: number}, valueAdjustment: number}}
+ */
+const getPreviousGroupData = (previousByGroup = {}, asset, corporateAdjustments = {}) => {
+  const { unitFactors = {}, valueFactors = {}, renames = {} } = corporateAdjustments;
+  const previousName = renames[asset.name] || asset.name;
+  const data = previousByGroup[`${previousName}_${asset.assetType}`] || {};
+  const unitFactor = unitFactors[asset.name] || 1;
+  const valueFactor = valueFactors[asset.name] || 1;
+
+  if (unitFactor === 1 && valueFactor === 1) {
+    return { data, valueAdjustment: 0 };
+  }
+
+  const totalValue = (data.totalValue || 0) * valueFactor;
+  return {
+    data: { ...data, units: (data.units || 0) * unitFactor, totalValue },
+    valueAdjustment: totalValue - (data.totalValue || 0)
+  };
+};
+
 /**
  * @param {Asset[]} assets
  * @param {CurrentPrice[]} currentPrices
  * @param {Currency[]} currencies
  * @param {Object.<string, {totalValue: number, assetPerformance: Object.<string, {totalValue: number}>}>} totalValueYesterday
  * @param {Transaction[]} todaysTransactions
+ * @param {{unitFactors?: Object, valueFactors?: Object, renames?: Object}} [corporateAdjustments] - Eventos corporativos del día (services/corporateActions)
  * @returns {Object.<string, {totalInvestment: number, totalValue: number, totalROI: number, dailyReturn: number, monthlyReturn: number, annualReturn: number, dailyChangePercentage: number, adjustedDailyChangePercentage: number, assetPerformance: Object.<string, AssetPerformance>}>}
  */
-const calculateAccountPerformance = (assets, currentPrices, currencies, totalValueYesterday, todaysTransactions) => {
+const calculateAccountPerformance = (assets, currentPrices, currencies, totalValueYesterday, todaysTransactions, corporateAdjustments = {}) => {
   const performanceByCurrency = {};
 
   // Group assets by name and assetType
@@ -125,6 +154,7 @@ const calculateAccountPerformance = (assets, currentPrices, currencies, totalVal
     let totalValue = 0;
     let totalCashFlow = 0;
     let totalDividends = 0;
+    let previousValueAdjustment = 0;
     const assetPerformance = {};
     
     // Convertir transacciones para la moneda actual
@@ -314,8 +344,13 @@ const calculateAccountPerformance = (assets, currentPrices, currencies, totalVal
         }
       }
 
-      // Obtener datos del día anterior para este grupo
-      const previousGroupData = totalValueYesterday[currency.code]?.[groupKey] || {};
+      // Obtener datos del día anterior para este grupo (ajustados por eventos corporativos)
+      const { data: previousGroupData, valueAdjustment } = getPreviousGroupData(
+        totalValueYesterday[currency.code],
+        groupAssets[0],
+        corporateAdjustments
+      );
+      previousValueAdjustment += valueAdjustment;
       const previousGroupUnits = previousGroupData.units || 0;
       
       // Determinar si es una nueva inversión después de vender todo
@@ -407,7 +442,8 @@ const calculateAccountPerformance = (assets, currentPrices, currencies, totalVal
     // Calcular adjusted daily change percentage para toda la cartera
     // Usamos totalCashFlow (que ya incluye cashflows implícitos detectados por diferencia de unidades)
     // en lugar de convertedTransactions para asegurar consistencia
-    const previousTotalValue = totalValueYesterday[currency.code]?.totalValue || 0;
+    // Un split registrado tarde re-escala el valor previo del grupo afectado
+    const previousTotalValue = (totalValueYesterday[currency.code]?.totalValue || 0) + previousValueAdjustment;
     let adjustedDailyChangePercentage = 0;
     
     if (isPortfolioNewInvestment) {
@@ -542,6 +578,7 @@ module.exports = {
   calculateDaysInvested,
   calculateTotalROIAndReturns,
   calculateAccountPerformance,
+  getPreviousGroupData,
   calculateDailyChangePercentage,
   calculatePureReturnWithoutCashflows,
   calculateRawDailyChange